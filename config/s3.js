@@ -1,6 +1,6 @@
 
 require('dotenv').config();
-const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
 const multer = require('multer');
 const logger = require('./logger');
 
@@ -50,10 +50,20 @@ async function uploadBufferToS3(s3ClientInstance, bucket, key, buffer, contentTy
     return s3ClientInstance.send(command);
 }
 
+async function downloadBufferFromS3(s3ClientInstance, bucket, key) {
+    if (!s3ClientInstance) throw new Error('S3 client not configured');
+    if (!bucket) throw new Error('S3 bucket not configured');
+    const response = await s3ClientInstance.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+    const chunks = [];
+    for await (const chunk of response.Body) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
 module.exports = {
     upload,
     s3Client,
     bucket: BUCKET,
-    uploadBufferToS3
+    uploadBufferToS3,
+    downloadBufferFromS3
 };
 
@@ -0,0 +1,138 @@
+const asyncHandler = require('../utils/asyncHandler');
+const academicYearService = require('../services/academicYearService');
+const { sendError } = require('../utils/errorMapper');
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+const yearNotFound = (res) => sendError(res, { status: 404, body: { success: false, error: 'Academic year not found', code: 'NOT_FOUND' } });
+
+const requireTenantScope = (req, res) => {
+    if (req.permission && req.permission.scope === 'tenant') return true;
+    sendError(res, { status: 403, body: { success: false, error: 'This requires tenant-wide school config access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+const pick = (body, keys) => {
+    const fields = {};
+    keys.forEach(k => { if (body[k] !== undefined) fields[k] = body[k]; });
+    return fields;
+};
+
+const YEAR_KEYS = ['name', 'startDate', 'endDate', 'terms', 'isCurrent'];
+
+// GET /api/academic-years
+const listYears = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const years = await academicYearService.listYears(userContext.tenantId);
+    res.json({ success: true, data: years });
+});
+
+// GET /api/academic-years/current
+const getCurrentYear = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const year = await academicYearService.getCurrentYearView(userContext.tenantId);
+    if (!year) {
+        return sendError(res, { status: 404, body: { success: false, error: 'No academic year is current; create one first', code: 'NOT_FOUND' } });
+    }
+    res.json({ success: true, data: year });
+});
+
+// GET /api/academic-years/:id
+const getYear = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const year = await academicYearService.getYearById(req.params.id, userContext.tenantId);
+    if (!year) return yearNotFound(res);
+    res.json({ success: true, data: year });
+});
+
+// POST /api/academic-years
+const createYear = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const year = await academicYearService.createYear(userContext.tenantId, pick(req.body, YEAR_KEYS));
+        res.status(201).json({ success: true, data: year });
+    } catch (err) {
+        return sendError(res, err, 'Failed to create academic year');
+    }
+});
+
+// PUT /api/academic-years/:id
+const updateYear = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const year = await academicYearService.updateYear(req.params.id, userContext.tenantId, pick(req.body, ['name', 'startDate', 'endDate', 'terms']));
+        if (!year) return yearNotFound(res);
+        res.json({ success: true, data: year });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update academic year');
+    }
+});
+
+// POST /api/academic-years/:id/make-current
+const makeCurrent = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const year = await academicYearService.setCurrentYear(req.params.id, userContext.tenantId);
+        if (!year) return yearNotFound(res);
+        res.json({ success: true, data: year });
+    } catch (err) {
+        return sendError(res, err, 'Failed to change the current academic year');
+    }
+});
+
+// POST /api/academic-years/:id/link-records
+const linkRecords = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const counts = await academicYearService.linkRecords(req.params.id, userContext.tenantId, {
+            includeUnlabelled: req.body && req.body.includeUnlabelled === true
+        });
+        if (!counts) return yearNotFound(res);
+        res.json({ success: true, data: counts });
+    } catch (err) {
+        return sendError(res, err, 'Failed to link records');
+    }
+});
+
+// DELETE /api/academic-years/:id
+const deleteYear = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const year = await academicYearService.deleteYear(req.params.id, userContext.tenantId);
+        if (!year) return yearNotFound(res);
+        res.status(204).end();
+    } catch (err) {
+        return sendError(res, err, 'Failed to delete academic year');
+    }
+});
+
+module.exports = {
+    listYears,
+    getCurrentYear,
+    getYear,
+    createYear,
+    updateYear,
+    makeCurrent,
+    linkRecords,
+    deleteYear
+};
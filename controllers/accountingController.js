@@ -0,0 +1,279 @@
+const asyncHandler = require('../utils/asyncHandler');
+const accountingService = require('../services/accountingService');
+const { sendError } = require('../utils/errorMapper');
+const { sendReport } = require('../utils/exportHelper');
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+const accountNotFound = (res) => sendError(res, { status: 404, body: { success: false, error: 'Account not found', code: 'NOT_FOUND' } });
+const voucherNotFound = (res) => sendError(res, { status: 404, body: { success: false, error: 'Voucher not found', code: 'NOT_FOUND' } });
+
+/**
+ * The books cover the whole tenant, so owned-scope fee readers (parents, students) are refused
+ */
+const requireTenantScope = (req, res) => {
+    if (req.permission && req.permission.scope === 'tenant') return true;
+    sendError(res, { status: 403, body: { success: false, error: 'Accounting requires tenant-wide access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+/**
+ * Resolve the caller's tenant, answering 401 / 403 itself when the request cannot proceed
+ */
+const tenantOf = (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) {
+        authRequired(res);
+        return null;
+    }
+    if (!requireTenantScope(req, res)) return null;
+    return userContext.tenantId;
+};
+
+const userIdOf = (req) => (req.userContext || req.user).id;
+
+const paginationOptions = (query, defaultLimit) => ({
+    page: Math.max(1, parseInt(query.page, 10) || 1),
+    limit: Math.min(200, Math.max(1, parseInt(query.limit, 10) || defaultLimit))
+});
+
+const pickAccountFields = (body) => {
+    const fields = {};
+    ['code', 'name', 'type', 'parentId', 'description', 'isActive'].forEach(k => {
+        if (body[k] !== undefined) fields[k] = body[k];
+    });
+    return fields;
+};
+
+// ========== CHART OF ACCOUNTS ==========
+
+// GET /api/accounting/accounts
+const listAccounts = asyncHandler(async (req, res) => {
+    const tenantId = tenantOf(req, res);
+    if (!tenantId) return;
+
+    const { type, isActive } = req.query;
+    const accounts = await accountingService.listAccounts(tenantId, {
+        type,
+        isActive: isActive === undefined ? undefined : isActive === 'true'
+    });
+    res.json({ success: true, data: accounts });
+});
+
+// POST /api/accounting/accounts
+const createAccount = asyncHandler(async (req, res) => {
+    const tenantId = tenantOf(req, res);
+    if (!tenantId) return;
+
+    try {
+        const account = await accountingService.createAccount(tenantId, pickAccountFields(req.body));
+        res.status(201).json({ success: true, data: account });
+    } catch (err) {
+        return sendError(res, err, 'Failed to create account');
+    }
+});
+
+// PUT /api/accounting/accounts/:id
+const updateAccount = asyncHandler(async (req, res) => {
+    const tenantId = tenantOf(req, res);
+    if (!tenantId) return;
+
+    try {
+        const account = await accountingService.updateAccount(req.params.id, tenantId, pickAccountFields(req.body));
+        if (!account) return accountNotFound(res);
+        res.json({ success: true, data: account });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update account');
+    }
+});
+
+// DELETE /api/accounting/accounts/:id
+const deleteAccount = asyncHandler(async (req, res) => {
+    const tenantId = tenantOf(req, res);
+    if (!tenantId) return;
+
+    try {
+        const account = await accountingService.deleteAccount(req.params.id, tenantId);
+        if (!account) return accountNotFound(res);
+        res.json({ success: true, message: 'Account deleted' });
+    } catch (err) {
+        return sendError(res, err, 'Failed to delete account');
+    }
+});
+
+// GET /api/accounting/accounts/:id/ledger
+const getAccountLedger = asyncHandler(async (req, res) => {
+    const tenantId = tenantOf(req, res);
+    if (!tenantId) return;
+
+    const ledger = await accountingService.getAccountLedger(req.params.id, tenantId, {
+        from: req.query.from,
+        to: req.query.to
+    });
+    if (!ledger) return accountNotFound(res);
+    res.json({ success: true, data: ledger });
+});
+
+// ========== VOUCHERS ==========
+
+// GET /api/accounting/vouchers
+const listVouchers = asyncHandler(async (req, res) => {
+    const tenantId = tenantOf(req, res);
+    if (!tenantId) return;
+
+    const options = paginationOptions(req.query, 20);
+    const { type, status, from, to, sourceType, sourceId } = req.query;
+    const { count, rows } = await accountingService.listVouchers(tenantId, { ...options, type, status, from, to, sourceType, sourceId });
+    res.json({
+        success: true,
+        data: rows,
+        pagination: { total: count, pages: Math.ceil(count / options.limit), current: options.page }
+    });
+});
+
+// GET /api/accounting/vouchers/:id
+const getVoucherById = asyncHandler(async (req, res) => {
+    const tenantId = tenantOf(req, res);
+    if (!tenantId) return;
+
+    const voucher = await accountingService.getVoucherById(req.params.id, tenantId);
+    if (!voucher) return voucherNotFound(res);
+    res.json({ success: true, data: voucher });
+});
+
+const VOUCHER_CREATORS = {
+    income: accountingService.createIncomeVoucher,
+    expense: accountingService.createExpenseVoucher,
+    journal: accountingService.createJournalVoucher
+};
+
+// POST /api/accounting/vouchers/{income,expense,journal}
+const createVoucher = (type) => asyncHandler(async (req, res) => {
+    const tenantId = tenantOf(req, res);
+    if (!tenantId) return;
+
+    try {
+        const voucher = await VOUCHER_CREATORS[type](tenantId, req.body, userIdOf(req));
+        const created = await accountingService.getVoucherById(voucher.id, tenantId);
+        res.status(201).json({ success: true, data: created });
+    } catch (err) {
+        return sendError(res, err, `Failed to post ${type} voucher`);
+    }
+});
+
+// POST /api/accounting/vouchers/:id/reverse
+const reverseVoucher = asyncHandler(async (req, res) => {
+    const tenantId = tenantOf(req, res);
+    if (!tenantId) return;
+
+    try {
+        const result = await accountingService.reverseVoucher(req.params.id, tenantId, {
+            reason: req.body.reason,
+            date: req.body.date
+        }, userIdOf(req));
+        if (!result) return voucherNotFound(res);
+        res.json({ success: true, data: result });
+    } catch (err) {
+        return sendError(res, err, 'Failed to reverse voucher');
+    }
+});
+
+// POST /api/accounting/payroll/disbursements
+const disbursePayroll = asyncHandler(async (req, res) => {
+    const tenantId = tenantOf(req, res);
+    if (!tenantId) return;
+
+    try {
+        const voucher = await accountingService.disbursePayroll(tenantId, req.body, userIdOf(req));
+        const created = await accountingService.getVoucherById(voucher.id, tenantId);
+        res.status(201).json({ success: true, data: created });
+    } catch (err) {
+        return sendError(res, err, 'Failed to disburse salary');
+    }
+});
+
+// GET /api/accounting/payroll/disbursements
+const listPayrollDisbursements = asyncHandler(async (req, res) => {
+    const tenantId = tenantOf(req, res);
+    if (!tenantId) return;
+
+    const options = paginationOptions(req.query, 20);
+    const { count, rows } = await accountingService.listVouchers(tenantId, {
+        ...options,
+        type: 'payroll',
+        status: req.query.status,
+        from: req.query.from,
+        to: req.query.to,
+        sourceId: req.query.employeeId
+    });
+    res.json({
+        success: true,
+        data: rows,
+        pagination: { total: count, pages: Math.ceil(count / options.limit), current: options.page }
+    });
+});
+
+// ========== JOURNAL AND TRIAL BALANCE ==========
+
+// GET /api/accounting/journal
+const listJournal = asyncHandler(async (req, res) => {
+    const tenantId = tenantOf(req, res);
+    if (!tenantId) return;
+
+    const options = paginationOptions(req.query, 50);
+    const { count, rows } = await accountingService.listJournal(tenantId, {
+        ...options,
+        from: req.query.from,
+        to: req.query.to,
+        accountId: req.query.accountId
+    });
+    res.json({
+        success: true,
+        data: rows,
+        pagination: { total: count, pages: Math.ceil(count / options.limit), current: options.page }
+    });
+});
+
+// GET /api/accounting/trial-balance
+const getTrialBalance = asyncHandler(async (req, res) => {
+    const tenantId = tenantOf(req, res);
+    if (!tenantId) return;
+
+    try {
+        const report = await accountingService.trialBalance(tenantId, { asOf: req.query.asOf });
+        res.json({ success: true, data: report });
+    } catch (err) {
+        return sendError(res, err, 'Failed to build trial balance');
+    }
+});
+
+// GET /api/accounting/trial-balance/export?format=csv|pdf
+const exportTrialBalance = asyncHandler(async (req, res) => {
+    const tenantId = tenantOf(req, res);
+    if (!tenantId) return;
+
+    try {
+        const report = await accountingService.trialBalance(tenantId, { asOf: req.query.asOf });
+        await sendReport(res, report, req.query.format || 'csv', `trial-balance-${req.query.asOf || new Date().toISOString().slice(0, 10)}`);
+    } catch (err) {
+        return sendError(res, err, 'Failed to export trial balance');
+    }
+});
+
+module.exports = {
+    listAccounts,
+    createAccount,
+    updateAccount,
+    deleteAccount,
+    getAccountLedger,
+    listVouchers,
+    getVoucherById,
+    createIncomeVoucher: createVoucher('income'),
+    createExpenseVoucher: createVoucher('expense'),
+    createJournalVoucher: createVoucher('journal'),
+    reverseVoucher,
+    disbursePayroll,
+    listPayrollDisbursements,
+    listJournal,
+    getTrialBalance,
+    exportTrialBalance
+};
@@ -0,0 +1,98 @@
+const asyncHandler = require('../utils/asyncHandler');
+const attendanceAnalyticsService = require('../services/attendanceAnalyticsService');
+const { sendError } = require('../utils/errorMapper');
+const { sendReport } = require('../utils/exportHelper');
+const { RepositoryFactory } = require('../repositories');
+
+// Initialize repository factory for the teacher class restriction
+const repos = new RepositoryFactory();
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+
+/**
+ * Classes the caller's analytics cover: tenant-wide readers everything (null), owned-scope
+ * teachers the classes they teach a subject in. Other owned-scope callers (parents, students)
+ * are refused.
+ *
+ * @returns {Promise<Array|null|false>} Class IDs, null for all, false when a 403 was sent
+ */
+const scopeOf = async (req, res, userContext) => {
+    if (req.permission && req.permission.scope === 'tenant') return null;
+
+    const assignment = await repos.attendance.getTeacherAssignment(userContext);
+    if (assignment) return assignment.classIds;
+
+    sendError(res, { status: 403, body: { success: false, error: 'Attendance analytics require tenant-wide access or a teaching assignment', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+const REPORTS = {
+    students: {
+        build: (tenantId, q, classIds) => attendanceAnalyticsService.studentReport(tenantId, {
+            classId: q.classId,
+            classIds,
+            from: q.from,
+            to: q.to,
+            standing: q.standing
+        }),
+        filename: (report) => `attendance-students-${report.from}-${report.to}`
+    },
+    classes: {
+        build: (tenantId, q, classIds) => attendanceAnalyticsService.classReport(tenantId, {
+            classIds,
+            from: q.from,
+            to: q.to
+        }),
+        filename: (report) => `attendance-classes-${report.from}-${report.to}`
+    },
+    chronic: {
+        build: (tenantId, q, classIds) => attendanceAnalyticsService.chronicAbsenteeReport(tenantId, {
+            classId: q.classId,
+            classIds,
+            from: q.from,
+            to: q.to
+        }),
+        filename: (report) => `chronic-absentees-${report.from}-${report.to}`
+    }
+};
+
+// GET /api/attendance/analytics/:report
+const getReport = (name) => asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const classIds = await scopeOf(req, res, userContext);
+        if (classIds === false) return;
+
+        const report = await REPORTS[name].build(userContext.tenantId, req.query, classIds);
+        res.json({ success: true, data: report });
+    } catch (err) {
+        return sendError(res, err, 'Failed to build attendance analytics');
+    }
+});
+
+// GET /api/attendance/analytics/:report/export?format=csv|pdf
+const exportReport = (name) => asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const classIds = await scopeOf(req, res, userContext);
+        if (classIds === false) return;
+
+        const report = await REPORTS[name].build(userContext.tenantId, req.query, classIds);
+        await sendReport(res, report, req.query.format || 'csv', REPORTS[name].filename(report));
+    } catch (err) {
+        return sendError(res, err, 'Failed to export attendance analytics');
+    }
+});
+
+module.exports = {
+    getStudentReport: getReport('students'),
+    exportStudentReport: exportReport('students'),
+    getClassReport: getReport('classes'),
+    exportClassReport: exportReport('classes'),
+    getChronicAbsenteeReport: getReport('chronic'),
+    exportChronicAbsenteeReport: exportReport('chronic')
+};
@@ -0,0 +1,249 @@
+const asyncHandler = require('../utils/asyncHandler');
+const attendanceService = require('../services/attendanceService');
+const academicYearService = require('../services/academicYearService');
+const { sendError } = require('../utils/errorMapper');
+const { RepositoryFactory } = require('../repositories');
+const { Op } = require('sequelize');
+
+// Initialize repository factory for attendance reads
+const repos = new RepositoryFactory();
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+const attendanceNotFound = (res) => sendError(res, { status: 404, body: { success: false, error: 'Attendance record not found', code: 'NOT_FOUND' } });
+
+/**
+ * Class registers list whole classes, so owned-scope readers (parents, students) are refused
+ */
+const requireTenantScope = (req, res) => {
+    if (req.permission && req.permission.scope === 'tenant') return true;
+    sendError(res, { status: 403, body: { success: false, error: 'Class registers require tenant-wide attendance access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+/**
+ * What the caller may mark: teachers only the classes they teach a subject in (and, by period,
+ * the periods they take), admins also outside the edit window
+ */
+const accessOf = async (userContext) => {
+    const assignment = await repos.attendance.getTeacherAssignment(userContext);
+    return {
+        classIds: assignment ? assignment.classIds : null,
+        teacherId: assignment ? assignment.teacherId : null,
+        bypassWindow: repos.attendance.isAdmin(userContext)
+    };
+};
+
+/**
+ * Build repository filters from attendance query parameters
+ * Supports studentId, classId, status and a date range (from / to, inclusive)
+ */
+const buildAttendanceFilters = (query) => {
+    const { studentId, classId, status, from, to } = query;
+    const filters = {};
+    if (studentId) filters.studentId = studentId;
+    if (classId) filters.classId = classId;
+    if (status) filters.status = status;
+    if (from || to) {
+        filters.attendanceDate = {};
+        if (from) filters.attendanceDate[Op.gte] = from;
+        if (to) filters.attendanceDate[Op.lte] = to;
+    }
+    return filters;
+};
+
+const paginationOptions = (query) => ({
+    page: Math.max(1, parseInt(query.page, 10) || 1),
+    limit: Math.min(200, Math.max(1, parseInt(query.limit, 10) || 50)),
+    order: [['attendanceDate', 'DESC'], ['createdAt', 'ASC']]
+});
+
+// GET /api/attendance
+const listAttendance = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const options = paginationOptions(req.query);
+
+    try {
+        const filters = buildAttendanceFilters(req.query);
+        // The current academic year unless one (or 'all') is asked for
+        const academicYearId = await academicYearService.resolveYearFilter(userContext.tenantId, req.query.academicYearId);
+        if (academicYearId) filters.academicYearId = academicYearId;
+
+        // RLS enforcement: parents/students only get linked students, teachers only their classes
+        const { count, rows } = await repos.attendance.findVisibleAttendance(userContext, filters, options);
+        res.json({
+            success: true,
+            data: rows,
+            pagination: { total: count, pages: Math.ceil(count / options.limit), current: options.page }
+        });
+    } catch (err) {
+        return sendError(res, err, 'Failed to list attendance');
+    }
+});
+
+// GET /api/attendance/classes
+const listClasses = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    const classes = await attendanceService.listMarkableClasses(userContext.tenantId, await accessOf(userContext));
+    res.json({ success: true, data: classes });
+});
+
+// GET /api/attendance/classes/:classId?date=
+const getClassRoster = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const roster = await attendanceService.getClassRoster(userContext.tenantId, req.params.classId, req.query.date, await accessOf(userContext));
+        res.json({ success: true, data: roster });
+    } catch (err) {
+        return sendError(res, err, 'Failed to load class roster');
+    }
+});
+
+// POST /api/attendance/classes/:classId
+const markClassAttendance = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    const { date, records, defaultStatus } = req.body;
+
+    try {
+        const result = await attendanceService.markClassAttendance(userContext.tenantId, req.params.classId, {
+            date, records, defaultStatus
+        }, userContext.userId, await accessOf(userContext));
+        res.json({ success: true, data: result });
+    } catch (err) {
+        return sendError(res, err, 'Failed to mark attendance');
+    }
+});
+
+// GET /api/attendance/periods?date=
+const listPeriods = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    const periods = await attendanceService.listMarkablePeriods(userContext.tenantId, req.query.date, await accessOf(userContext));
+    res.json({ success: true, data: periods });
+});
+
+// GET /api/attendance/periods/:slotId?date=
+const getPeriodRoster = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const roster = await attendanceService.getPeriodRoster(userContext.tenantId, req.params.slotId, req.query.date, await accessOf(userContext));
+        res.json({ success: true, data: roster });
+    } catch (err) {
+        return sendError(res, err, 'Failed to load period roster');
+    }
+});
+
+// POST /api/attendance/periods/:slotId
+const markPeriodAttendance = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    const { date, records, defaultStatus } = req.body;
+
+    try {
+        const result = await attendanceService.markPeriodAttendance(userContext.tenantId, req.params.slotId, {
+            date, records, defaultStatus
+        }, userContext.userId, await accessOf(userContext));
+        res.json({ success: true, data: result });
+    } catch (err) {
+        return sendError(res, err, 'Failed to mark period attendance');
+    }
+});
+
+// GET /api/attendance/:id
+const getAttendance = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const record = await repos.attendance.findAttendanceById(req.params.id, userContext);
+    if (!record) return attendanceNotFound(res);
+    res.json({ success: true, data: record });
+});
+
+// PUT /api/attendance/:id
+const updateAttendance = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const record = await repos.attendance.findAttendanceById(req.params.id, userContext);
+        if (!record) return attendanceNotFound(res);
+
+        const updated = await attendanceService.updateAttendance(record, {
+            status: req.body.status,
+            remarks: req.body.remarks
+        }, userContext.userId, await accessOf(userContext));
+        res.json({ success: true, data: updated });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update attendance');
+    }
+});
+
+// DELETE /api/attendance/:id
+const deleteAttendance = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const record = await repos.attendance.findAttendanceById(req.params.id, userContext);
+        if (!record) return attendanceNotFound(res);
+
+        await attendanceService.deleteAttendance(record, await accessOf(userContext));
+        res.status(204).end();
+    } catch (err) {
+        return sendError(res, err, 'Failed to delete attendance');
+    }
+});
+
+// GET /api/settings/attendance
+const getSettings = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const settings = await attendanceService.getSettings(userContext.tenantId);
+    res.json({ success: true, data: settings });
+});
+
+// PUT /api/settings/attendance
+const updateSettings = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const settings = await attendanceService.updateSettings(userContext.tenantId, req.body);
+        res.json({ success: true, data: settings });
+    } catch (err) {
+        return sendError(res, err, 'Failed to save attendance settings');
+    }
+});
+
+module.exports = {
+    listAttendance,
+    listClasses,
+    getClassRoster,
+    markClassAttendance,
+    listPeriods,
+    getPeriodRoster,
+    markPeriodAttendance,
+    getAttendance,
+    updateAttendance,
+    deleteAttendance,
+    getSettings,
+    updateSettings
+};
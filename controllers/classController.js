@@ -1,14 +1,29 @@
 const asyncHandler = require('../utils/asyncHandler');
 const classService = require('../services/classService');
+const academicYearService = require('../services/academicYearService');
+const classSectionService = require('../services/classSectionService');
 const { sendError } = require('../utils/errorMapper');
 
+// null clears a class override so the class follows the tenant's attendance mode
+const ATTENDANCE_MODES = ['daily', 'period', null];
+const invalidAttendanceMode = (res) => sendError(res, { status: 400, body: { success: false, error: 'attendanceMode must be daily, period or null', code: 'VALIDATION_ERROR' } });
+const invalidClassTeacher = (res) => sendError(res, { status: 400, body: { success: false, error: 'classTeacherId must be a teacher of this school or null', code: 'VALIDATION_ERROR' } });
+
 // List classes (accessible to tenant users; RBAC will have validated read permission)
 const listClasses = asyncHandler(async (req, res) => {
     const { page = 1, limit = 50 } = req.query;
     const tenantId = req.user && req.user.tenantId;
     if (!tenantId) return sendError(res, { status: 400, body: { success: false, error: 'tenantId missing', code: 'TENANT_REQUIRED' } });
 
-    const { count, rows } = await classService.listClasses(tenantId, { page, limit });
+    let yearId;
+    try {
+        // The current academic year unless one (or 'all') is asked for
+        yearId = await academicYearService.resolveYearFilter(tenantId, req.query.academicYearId);
+    } catch (err) {
+        return sendError(res, err, 'Failed to list classes');
+    }
+
+    const { count, rows } = await classService.listClasses(tenantId, { page, limit, query: yearId ? { academicYearId: yearId } : {} });
     res.json({ success: true, data: rows, pagination: { total: count, pages: Math.ceil(count / limit), current: Number(page) } });
 });
 
@@ -29,11 +44,23 @@ const createClass = asyncHandler(async (req, res) => {
         section: req.body.section || null,
         noOfStudents: req.body.noOfStudents || 0,
         noOfSubjects: req.body.noOfSubjects || 0,
-        status: req.body.status || 'active'
+        status: req.body.status || 'active',
+        attendanceMode: req.body.attendanceMode || null,
+        classTeacherId: req.body.classTeacherId || null,
+        academicYearId: req.body.academicYearId || null, // Model hook checks it, or sets the current year
+        classGroupId: req.body.classGroupId || null, // Model hook falls back to the group named className
+        capacity: req.body.capacity
     };
+    if (!ATTENDANCE_MODES.includes(payload.attendanceMode)) return invalidAttendanceMode(res);
+    if (payload.classTeacherId && !(await classService.isTenantTeacher(payload.classTeacherId, tenantId))) return invalidClassTeacher(res);
 
-    const created = await classService.createClass(payload);
-    res.status(201).json({ success: true, data: created });
+    try {
+        payload.capacity = classSectionService.validateCapacity(payload.capacity);
+        const created = await classService.createClass(payload);
+        res.status(201).json({ success: true, data: created });
+    } catch (err) {
+        return sendError(res, err, 'Failed to create class');
+    }
 });
 
 const getClassById = asyncHandler(async (req, res) => {
@@ -58,13 +85,25 @@ const updateClass = asyncHandler(async (req, res) => {
         section: req.body.section,
         noOfStudents: req.body.noOfStudents,
         noOfSubjects: req.body.noOfSubjects,
-        status: req.body.status
+        status: req.body.status,
+        attendanceMode: req.body.attendanceMode,
+        classTeacherId: req.body.classTeacherId === '' ? null : req.body.classTeacherId,
+        academicYearId: req.body.academicYearId,
+        classGroupId: req.body.classGroupId,
+        capacity: req.body.capacity
     };
     Object.keys(updates).forEach(k => updates[k] === undefined && delete updates[k]);
+    if (updates.attendanceMode !== undefined && !ATTENDANCE_MODES.includes(updates.attendanceMode)) return invalidAttendanceMode(res);
+    if (updates.classTeacherId && !(await classService.isTenantTeacher(updates.classTeacherId, tenantId))) return invalidClassTeacher(res);
 
-    const updated = await classService.updateClass(id, tenantId, updates);
-    if (!updated) return res.status(404).json({ success: false, error: 'Class not found' });
-    res.json({ success: true, data: updated });
+    try {
+        if (updates.capacity !== undefined) updates.capacity = classSectionService.validateCapacity(updates.capacity);
+        const updated = await classService.updateClass(id, tenantId, updates);
+        if (!updated) return res.status(404).json({ success: false, error: 'Class not found' });
+        res.json({ success: true, data: updated });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update class');
+    }
 });
 
 const deleteClass = asyncHandler(async (req, res) => {
@@ -0,0 +1,161 @@
+const asyncHandler = require('../utils/asyncHandler');
+const classSectionService = require('../services/classSectionService');
+const { sendError } = require('../utils/errorMapper');
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+const classNotFound = (res) => sendError(res, { status: 404, body: { success: false, error: 'Class not found', code: 'NOT_FOUND' } });
+
+const requireTenantScope = (req, res) => {
+    if (req.permission && req.permission.scope === 'tenant') return true;
+    sendError(res, { status: 403, body: { success: false, error: 'Class sections require tenant-wide access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+const pick = (body, keys) => {
+    const fields = {};
+    keys.forEach(k => { if (body[k] !== undefined) fields[k] = body[k]; });
+    return fields;
+};
+
+const GROUP_KEYS = ['name', 'displayOrder', 'defaultCapacity', 'status'];
+const SECTION_KEYS = ['section', 'capacity', 'classTeacherId', 'status'];
+
+// GET /api/class-sections
+const listGroups = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const groups = await classSectionService.listGroups(userContext.tenantId, pick(req.query, ['academicYearId', 'status']));
+        res.json({ success: true, data: groups });
+    } catch (err) {
+        return sendError(res, err, 'Failed to list classes');
+    }
+});
+
+// GET /api/class-sections/:id
+const getGroup = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const group = await classSectionService.getGroup(req.params.id, userContext.tenantId);
+    if (!group) return classNotFound(res);
+    res.json({ success: true, data: group });
+});
+
+// POST /api/class-sections
+const createGroup = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const group = await classSectionService.createGroup(userContext.tenantId, pick(req.body, [...GROUP_KEYS, 'academicYearId', 'sections']));
+        res.status(201).json({ success: true, data: group });
+    } catch (err) {
+        return sendError(res, err, 'Failed to create class');
+    }
+});
+
+// PUT /api/class-sections/:id
+const updateGroup = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const group = await classSectionService.updateGroup(req.params.id, userContext.tenantId, pick(req.body, GROUP_KEYS));
+        if (!group) return classNotFound(res);
+        res.json({ success: true, data: group });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update class');
+    }
+});
+
+// DELETE /api/class-sections/:id
+const deleteGroup = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const group = await classSectionService.deleteGroup(req.params.id, userContext.tenantId);
+        if (!group) return classNotFound(res);
+        res.status(204).end();
+    } catch (err) {
+        return sendError(res, err, 'Failed to delete class');
+    }
+});
+
+// POST /api/class-sections/:id/sections
+const addSections = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const group = await classSectionService.addSections(userContext.tenantId, req.params.id, req.body.sections);
+        res.status(201).json({ success: true, data: group });
+    } catch (err) {
+        return sendError(res, err, 'Failed to add sections');
+    }
+});
+
+// PUT /api/class-sections/:id/sections/:classId
+const updateSection = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const group = await classSectionService.updateSection(userContext.tenantId, req.params.id, req.params.classId, pick(req.body, SECTION_KEYS));
+        res.json({ success: true, data: group });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update section');
+    }
+});
+
+// POST /api/class-sections/:id/sections/:classId/roll-numbers
+const resequenceRollNumbers = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const rolls = await classSectionService.resequenceRollNumbers(userContext.tenantId, req.params.id, req.params.classId);
+        res.json({ success: true, data: rolls });
+    } catch (err) {
+        return sendError(res, err, 'Failed to resequence roll numbers');
+    }
+});
+
+// POST /api/class-sections/:id/move
+const moveStudents = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const result = await classSectionService.moveStudents(
+            userContext.tenantId,
+            req.params.id,
+            pick(req.body, ['toClassId', 'studentIds']),
+            userContext.userId
+        );
+        res.json({ success: true, data: result });
+    } catch (err) {
+        return sendError(res, err, 'Failed to move students');
+    }
+});
+
+module.exports = {
+    listGroups,
+    getGroup,
+    createGroup,
+    updateGroup,
+    deleteGroup,
+    addSections,
+    updateSection,
+    resequenceRollNumbers,
+    moveStudents
+};
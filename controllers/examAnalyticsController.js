@@ -0,0 +1,105 @@
+const asyncHandler = require('../utils/asyncHandler');
+const examAnalyticsService = require('../services/examAnalyticsService');
+const { sendError } = require('../utils/errorMapper');
+const { sendReport } = require('../utils/exportHelper');
+const { checkPermission } = require('../middleware/rbac');
+const { RepositoryFactory } = require('../repositories');
+
+// Initialize repository factory to find the calling teacher
+const repos = new RepositoryFactory();
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+
+/**
+ * Whose results the caller may analyse: null for every class, { teacherId, classIds } for a
+ * teacher (their classes and the subjects they take). Sends a 403 and returns false for anyone else.
+ *
+ * Parents and students hold exams:read at tenant scope, so the read scope is not enough.
+ */
+const analyticsAccess = async (req, res, userContext) => {
+    const tenantWide = repos.attendance.isAdmin(userContext)
+        || await checkPermission({ ...req.user, userContext: req.userContext }, 'exams', 'update') === 'tenant';
+    if (tenantWide) return null;
+
+    const assignment = await repos.attendance.getTeacherAssignment(userContext);
+    if (assignment && assignment.teacherId) return assignment;
+
+    sendError(res, { status: 403, body: { success: false, error: 'Result analysis is open to teachers and tenant-wide exams access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+const fileName = (...parts) => parts.filter(Boolean).join('-').replace(/[^A-Za-z0-9._-]+/g, '_');
+
+const REPORTS = {
+    ranks: {
+        build: (tenantId, req, access) => examAnalyticsService.rankReport(tenantId, {
+            examId: req.params.id,
+            classId: req.query.classId
+        }, access),
+        filename: (report) => fileName('ranks', report.exam.name, report.class.className, report.class.section)
+    },
+    subjects: {
+        build: (tenantId, req, access) => examAnalyticsService.subjectReport(tenantId, {
+            examId: req.params.id,
+            classId: req.query.classId
+        }, access),
+        filename: (report) => fileName('subject-results', report.exam.name)
+    },
+    teachers: {
+        build: (tenantId, req, access) => examAnalyticsService.teacherReport(tenantId, {
+            examId: req.params.id
+        }, access),
+        filename: (report) => fileName('teacher-results', report.exam.name)
+    },
+    terms: {
+        build: (tenantId, req, access) => examAnalyticsService.termReport(tenantId, {
+            academicSession: req.query.academicSession,
+            classId: req.query.classId,
+            teacherId: req.query.teacherId
+        }, access),
+        filename: (report) => fileName('exam-comparison', report.academicSession)
+    }
+};
+
+// GET /api/exams/:id/analytics/:report and /api/exams/analytics/terms
+const getReport = (name) => asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const access = await analyticsAccess(req, res, userContext);
+        if (access === false) return;
+
+        const report = await REPORTS[name].build(userContext.tenantId, req, access);
+        res.json({ success: true, data: report });
+    } catch (err) {
+        return sendError(res, err, 'Failed to build exam analytics');
+    }
+});
+
+// GET .../export?format=csv|pdf
+const exportReport = (name) => asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const access = await analyticsAccess(req, res, userContext);
+        if (access === false) return;
+
+        const report = await REPORTS[name].build(userContext.tenantId, req, access);
+        await sendReport(res, report, req.query.format || 'csv', REPORTS[name].filename(report));
+    } catch (err) {
+        return sendError(res, err, 'Failed to export exam analytics');
+    }
+});
+
+module.exports = {
+    getRankReport: getReport('ranks'),
+    exportRankReport: exportReport('ranks'),
+    getSubjectReport: getReport('subjects'),
+    exportSubjectReport: exportReport('subjects'),
+    getTeacherReport: getReport('teachers'),
+    exportTeacherReport: exportReport('teachers'),
+    getTermReport: getReport('terms'),
+    exportTermReport: exportReport('terms')
+};
@@ -0,0 +1,206 @@
+const asyncHandler = require('../utils/asyncHandler');
+const examService = require('../services/examService');
+const academicYearService = require('../services/academicYearService');
+const { sendError } = require('../utils/errorMapper');
+const { RepositoryFactory } = require('../repositories');
+
+// Initialize repository factory to find the calling teacher
+const repos = new RepositoryFactory();
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+const examNotFound = (res) => sendError(res, { status: 404, body: { success: false, error: 'Exam not found', code: 'NOT_FOUND' } });
+const paperNotFound = (res) => sendError(res, { status: 404, body: { success: false, error: 'Exam paper not found', code: 'NOT_FOUND' } });
+
+/**
+ * Exams and their timetables are scheduled for the whole school, so owned-scope callers
+ * can read them but not change them
+ */
+const requireTenantScope = (req, res) => {
+    if (req.permission && req.permission.scope === 'tenant') return true;
+    sendError(res, { status: 403, body: { success: false, error: 'Scheduling exams requires tenant-wide exams access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+const pick = (body, keys) => {
+    const fields = {};
+    keys.forEach(k => { if (body[k] !== undefined) fields[k] = body[k]; });
+    return fields;
+};
+
+const EXAM_KEYS = ['name', 'examType', 'description', 'academicSession', 'academicYearId', 'startDate', 'endDate'];
+const PAPER_KEYS = ['classId', 'subject', 'examDate', 'startTime', 'endTime', 'room', 'maxMarks', 'passMarks', 'invigilatorIds'];
+
+// GET /api/exams
+const listExams = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const { examType, academicSession, from, to } = req.query;
+        // The current academic year unless one (or 'all') is asked for
+        const academicYearId = await academicYearService.resolveYearFilter(userContext.tenantId, req.query.academicYearId);
+        const exams = await examService.listExams(userContext.tenantId, { examType, academicSession, academicYearId, from, to });
+        res.json({ success: true, data: exams });
+    } catch (err) {
+        return sendError(res, err, 'Failed to list exams');
+    }
+});
+
+// POST /api/exams
+const createExam = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const exam = await examService.createExam(userContext.tenantId, pick(req.body, EXAM_KEYS));
+        res.status(201).json({ success: true, data: exam });
+    } catch (err) {
+        return sendError(res, err, 'Failed to create exam');
+    }
+});
+
+// GET /api/exams/:id
+const getExam = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const exam = await examService.getExamById(req.params.id, userContext.tenantId, { classId: req.query.classId });
+    if (!exam) return examNotFound(res);
+    res.json({ success: true, data: exam });
+});
+
+// PUT /api/exams/:id
+const updateExam = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const exam = await examService.updateExam(req.params.id, userContext.tenantId, pick(req.body, EXAM_KEYS));
+        if (!exam) return examNotFound(res);
+        res.json({ success: true, data: exam });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update exam');
+    }
+});
+
+// DELETE /api/exams/:id
+const deleteExam = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const deleted = await examService.deleteExam(req.params.id, userContext.tenantId);
+        if (!deleted) return examNotFound(res);
+        res.status(204).send();
+    } catch (err) {
+        return sendError(res, err, 'Failed to delete exam');
+    }
+});
+
+// GET /api/exams/:id/papers
+const listPapers = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const exam = await examService.getExamById(req.params.id, userContext.tenantId, { classId: req.query.classId });
+    if (!exam) return examNotFound(res);
+    res.json({ success: true, data: exam.papers });
+});
+
+// POST /api/exams/:id/papers
+const createPaper = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const paper = await examService.createPaper(userContext.tenantId, req.params.id, pick(req.body, PAPER_KEYS));
+        if (!paper) return examNotFound(res);
+        res.status(201).json({ success: true, data: paper });
+    } catch (err) {
+        return sendError(res, err, 'Failed to add exam paper');
+    }
+});
+
+// PUT /api/exams/:id/papers/:paperId
+const updatePaper = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const paper = await examService.updatePaper(userContext.tenantId, req.params.id, req.params.paperId, pick(req.body, PAPER_KEYS));
+        if (!paper) return paperNotFound(res);
+        res.json({ success: true, data: paper });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update exam paper');
+    }
+});
+
+// DELETE /api/exams/:id/papers/:paperId
+const deletePaper = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const deleted = await examService.deletePaper(userContext.tenantId, req.params.id, req.params.paperId);
+        if (!deleted) return paperNotFound(res);
+        res.status(204).send();
+    } catch (err) {
+        return sendError(res, err, 'Failed to delete exam paper');
+    }
+});
+
+// PUT /api/exams/:id/papers/:paperId/invigilators
+const setInvigilators = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const paper = await examService.setInvigilators(userContext.tenantId, req.params.id, req.params.paperId, req.body.teacherIds);
+        if (!paper) return paperNotFound(res);
+        res.json({ success: true, data: paper });
+    } catch (err) {
+        return sendError(res, err, 'Failed to assign invigilators');
+    }
+});
+
+// GET /api/exams/invigilations
+const listInvigilations = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const { examId, from, to } = req.query;
+    let { teacherId } = req.query;
+
+    // Teachers without tenant-wide access see their own duties only
+    if (!req.permission || req.permission.scope !== 'tenant') {
+        const assignment = await repos.attendance.getTeacherAssignment(userContext);
+        if (!assignment || !assignment.teacherId) {
+            return sendError(res, { status: 403, body: { success: false, error: 'Invigilation duties are available to teachers and tenant-wide exams access', code: 'INSUFFICIENT_PERMISSIONS' } });
+        }
+        teacherId = assignment.teacherId;
+    }
+
+    const duties = await examService.listInvigilations(userContext.tenantId, { teacherId, examId, from, to });
+    res.json({ success: true, data: duties });
+});
+
+module.exports = {
+    listExams,
+    createExam,
+    getExam,
+    updateExam,
+    deleteExam,
+    listPapers,
+    createPaper,
+    updatePaper,
+    deletePaper,
+    setInvigilators,
+    listInvigilations
+};
@@ -0,0 +1,110 @@
+const asyncHandler = require('../utils/asyncHandler');
+const examMarksService = require('../services/examMarksService');
+const { sendError } = require('../utils/errorMapper');
+const { checkPermission } = require('../middleware/rbac');
+const { RepositoryFactory } = require('../repositories');
+
+// Initialize repository factory to find the calling teacher
+const repos = new RepositoryFactory();
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+
+const requireTenantScope = (req, res) => {
+    if (req.permission && req.permission.scope === 'tenant') return true;
+    sendError(res, { status: 403, body: { success: false, error: 'This requires tenant-wide exams access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+/**
+ * Which papers the caller may work on: null for every paper, { teacherId } for a teacher
+ * (then only the subjects they take). Sends a 403 and returns false for anyone else.
+ *
+ * Teachers only hold exams:read, so marks entry is routed on read and the tenant-wide path
+ * is reserved for callers who may update exams (admins may also read). Parents and students
+ * hold exams:read at tenant scope too, so the read scope alone does not open every paper.
+ */
+const markerAccess = async (req, res, userContext, { write }) => {
+    const tenantWide = (!write && repos.attendance.isAdmin(userContext))
+        || await checkPermission({ ...req.user, userContext: req.userContext }, 'exams', 'update') === 'tenant';
+    if (tenantWide) return null;
+
+    const assignment = await repos.attendance.getTeacherAssignment(userContext);
+    if (assignment && assignment.teacherId) return { teacherId: assignment.teacherId };
+
+    sendError(res, { status: 403, body: { success: false, error: 'Marks are entered by the subject teacher or tenant-wide exams access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+// GET /api/exams/:id/papers/:paperId/marks
+const getMarks = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const access = await markerAccess(req, res, userContext, { write: false });
+    if (access === false) return;
+
+    try {
+        const sheet = await examMarksService.getPaperMarks(userContext.tenantId, req.params.id, req.params.paperId, access);
+        res.json({ success: true, data: sheet });
+    } catch (err) {
+        return sendError(res, err, 'Failed to load marks');
+    }
+});
+
+// PUT /api/exams/:id/papers/:paperId/marks
+const saveMarks = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const access = await markerAccess(req, res, userContext, { write: true });
+    if (access === false) return;
+
+    try {
+        const result = await examMarksService.saveMarks(
+            userContext.tenantId,
+            req.params.id,
+            req.params.paperId,
+            { entries: req.body.entries, submit: req.body.submit === true },
+            userContext.userId,
+            access
+        );
+        res.json({ success: true, data: result });
+    } catch (err) {
+        return sendError(res, err, 'Failed to save marks');
+    }
+});
+
+// POST /api/exams/:id/papers/:paperId/marks/moderate
+const moderateMarks = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const paper = await examMarksService.moderateMarks(userContext.tenantId, req.params.id, req.params.paperId, userContext.userId);
+        res.json({ success: true, data: paper });
+    } catch (err) {
+        return sendError(res, err, 'Failed to moderate marks');
+    }
+});
+
+// POST /api/exams/:id/papers/:paperId/marks/reopen
+const reopenMarks = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const paper = await examMarksService.reopenMarks(userContext.tenantId, req.params.id, req.params.paperId);
+        res.json({ success: true, data: paper });
+    } catch (err) {
+        return sendError(res, err, 'Failed to reopen marks');
+    }
+});
+
+module.exports = {
+    getMarks,
+    saveMarks,
+    moderateMarks,
+    reopenMarks
+};
@@ -0,0 +1,150 @@
+const asyncHandler = require('../utils/asyncHandler');
+const { sendError } = require('../utils/errorMapper');
+const { RepositoryFactory } = require('../repositories');
+const feeRuleService = require('../services/feeRuleService');
+const { Op } = require('sequelize');
+
+// Initialize repository factory for fee data access
+const repos = new RepositoryFactory();
+
+/**
+ * Build repository filters from list query parameters
+ * Supports studentId, classId, status and a dueDate range (dueFrom / dueTo, inclusive)
+ */
+const buildFeeFilters = (query) => {
+    const { studentId, classId, status, dueFrom, dueTo } = query;
+    const filters = {};
+    if (studentId) filters.studentId = studentId;
+    if (classId) filters.classId = classId;
+    if (status) filters.status = status;
+    if (dueFrom || dueTo) {
+        filters.dueDate = {};
+        if (dueFrom) filters.dueDate[Op.gte] = dueFrom;
+        if (dueTo) filters.dueDate[Op.lte] = dueTo;
+    }
+    return filters;
+};
+
+// GET /api/fees
+const listFees = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+
+    if (!userContext || !userContext.tenantId) {
+        return sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const options = {
+        page: Math.max(1, parseInt(page, 10) || 1),
+        limit: Math.min(100, Math.max(1, parseInt(limit, 10) || 20)),
+        order: [['dueDate', 'ASC'], ['createdAt', 'DESC']]
+    };
+
+    try {
+        // RLS enforcement: parents/students only get fees of linked students
+        const { count, rows } = await repos.fee.findVisibleFees(userContext, buildFeeFilters(req.query), options);
+
+        res.json({
+            success: true,
+            data: rows,
+            pagination: {
+                total: count,
+                pages: Math.ceil(count / options.limit),
+                current: options.page
+            }
+        });
+    } catch (err) {
+        return sendError(res, err, 'Failed to list fees');
+    }
+});
+
+// POST /api/fees
+const createFee = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+
+    if (!userContext || !userContext.tenantId) {
+        return sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+    }
+
+    const payload = {
+        studentId: req.body.studentId,
+        feeType: req.body.feeType,
+        amount: req.body.amount,
+        dueDate: req.body.dueDate || null,
+        remarks: req.body.remarks || null
+    };
+
+    try {
+        // RLS enforcement: Repository forces tenantId and checks the student's tenant
+        const created = await repos.fee.createFee(payload, userContext);
+        // Apply concession / late fine rules to the new demand
+        await feeRuleService.evaluateFees(userContext.tenantId, { feeIds: [created.id] });
+        const fee = await repos.fee.findFeeById(created.id, userContext);
+        res.status(201).json({ success: true, data: fee });
+    } catch (err) {
+        return sendError(res, err, 'Failed to create fee');
+    }
+});
+
+// GET /api/fees/:id
+const getFeeById = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+
+    if (!userContext || !userContext.tenantId) {
+        return sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+    }
+
+    try {
+        const fee = await repos.fee.findFeeById(req.params.id, userContext);
+        if (!fee) {
+            return sendError(res, { status: 404, body: { success: false, error: 'Fee not found', code: 'NOT_FOUND' } });
+        }
+
+        res.json({ success: true, data: fee });
+    } catch (err) {
+        return sendError(res, err, 'Failed to fetch fee');
+    }
+});
+
+// PUT /api/fees/:id
+const updateFee = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+
+    if (!userContext || !userContext.tenantId) {
+        return sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+    }
+
+    try {
+        await repos.fee.updateFee(req.params.id, req.body || {}, userContext);
+        // Percent concessions and fines depend on the gross amount and due date
+        await feeRuleService.evaluateFees(userContext.tenantId, { feeIds: [req.params.id] });
+        const updated = await repos.fee.findFeeById(req.params.id, userContext);
+        res.json({ success: true, data: updated });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update fee');
+    }
+});
+
+// DELETE /api/fees/:id
+const deleteFee = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+
+    if (!userContext || !userContext.tenantId) {
+        return sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+    }
+
+    try {
+        await repos.fee.deleteFee(req.params.id, userContext);
+        res.status(204).send();
+    } catch (err) {
+        return sendError(res, err, 'Failed to delete fee');
+    }
+});
+
+module.exports = {
+    listFees,
+    createFee,
+    getFeeById,
+    updateFee,
+    deleteFee
+};
@@ -0,0 +1,139 @@
+const asyncHandler = require('../utils/asyncHandler');
+const feePaymentService = require('../services/feePaymentService');
+const { sendError } = require('../utils/errorMapper');
+const { RepositoryFactory } = require('../repositories');
+const { Op } = require('sequelize');
+
+// Initialize repository factory for ledger reads
+const repos = new RepositoryFactory();
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+
+/**
+ * Build repository filters from ledger query parameters
+ * Supports studentId, studentFeeId, mode, status, receiptNo and a paidOn range (from / to, inclusive)
+ */
+const buildPaymentFilters = (query) => {
+    const { studentId, studentFeeId, mode, status, receiptNo, from, to } = query;
+    const filters = {};
+    if (studentId) filters.studentId = studentId;
+    if (studentFeeId) filters.studentFeeId = studentFeeId;
+    if (mode) filters.mode = mode;
+    if (status) filters.status = status;
+    if (receiptNo) filters.receiptNo = receiptNo;
+    if (from || to) {
+        filters.paidOn = {};
+        if (from) filters.paidOn[Op.gte] = from;
+        if (to) filters.paidOn[Op.lte] = to;
+    }
+    return filters;
+};
+
+const paginationOptions = (query) => {
+    const { page = 1, limit = 20 } = query;
+    return {
+        page: Math.max(1, parseInt(page, 10) || 1),
+        limit: Math.min(100, Math.max(1, parseInt(limit, 10) || 20)),
+        order: [['paidOn', 'DESC'], ['createdAt', 'DESC']]
+    };
+};
+
+// GET /api/fees/payments
+const listPayments = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const options = paginationOptions(req.query);
+
+    try {
+        // RLS enforcement: parents/students only get payments of linked students
+        const { count, rows } = await repos.feePayment.findVisiblePayments(userContext, buildPaymentFilters(req.query), options);
+        res.json({
+            success: true,
+            data: rows,
+            pagination: { total: count, pages: Math.ceil(count / options.limit), current: options.page }
+        });
+    } catch (err) {
+        return sendError(res, err, 'Failed to list payments');
+    }
+});
+
+// GET /api/fees/:id/payments
+const listFeePayments = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const fee = await repos.fee.findFeeById(req.params.id, userContext);
+    if (!fee) {
+        return sendError(res, { status: 404, body: { success: false, error: 'Fee not found', code: 'NOT_FOUND' } });
+    }
+
+    const options = paginationOptions(req.query);
+    const { count, rows } = await repos.feePayment.findVisiblePayments(userContext, { studentFeeId: fee.id }, options);
+    res.json({
+        success: true,
+        data: { fee, payments: rows },
+        pagination: { total: count, pages: Math.ceil(count / options.limit), current: options.page }
+    });
+});
+
+// GET /api/fees/payments/:paymentId
+const getPaymentById = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const payment = await repos.feePayment.findPaymentById(req.params.paymentId, userContext);
+    if (!payment) {
+        return sendError(res, { status: 404, body: { success: false, error: 'Payment not found', code: 'NOT_FOUND' } });
+    }
+
+    res.json({ success: true, data: payment });
+});
+
+// POST /api/fees/:id/payments
+const collectPayment = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const payload = {
+        amount: req.body.amount,
+        mode: req.body.mode,
+        referenceNo: req.body.referenceNo || null,
+        paidOn: req.body.paidOn || null,
+        remarks: req.body.remarks || null
+    };
+
+    try {
+        const result = await feePaymentService.collectPayment(req.params.id, userContext.tenantId, payload, userContext.userId);
+        if (!result) {
+            return sendError(res, { status: 404, body: { success: false, error: 'Fee not found', code: 'NOT_FOUND' } });
+        }
+        res.status(201).json({ success: true, data: result });
+    } catch (err) {
+        return sendError(res, err, 'Failed to record payment');
+    }
+});
+
+// POST /api/fees/payments/:paymentId/reverse
+const reversePayment = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const result = await feePaymentService.reversePayment(req.params.paymentId, userContext.tenantId, req.body.reason, userContext.userId);
+        if (!result) {
+            return sendError(res, { status: 404, body: { success: false, error: 'Payment not found', code: 'NOT_FOUND' } });
+        }
+        res.json({ success: true, data: result });
+    } catch (err) {
+        return sendError(res, err, 'Failed to reverse payment');
+    }
+});
+
+module.exports = {
+    listPayments,
+    listFeePayments,
+    getPaymentById,
+    collectPayment,
+    reversePayment
+};
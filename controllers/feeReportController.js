@@ -0,0 +1,83 @@
+const asyncHandler = require('../utils/asyncHandler');
+const feeReportService = require('../services/feeReportService');
+const { sendError } = require('../utils/errorMapper');
+const { sendReport } = require('../utils/exportHelper');
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+
+/**
+ * Reports cover the whole tenant, so owned-scope fee readers (parents, students) are refused
+ */
+const requireTenantScope = (req, res) => {
+    if (req.permission && req.permission.scope === 'tenant') return true;
+    sendError(res, { status: 403, body: { success: false, error: 'Fee reports require tenant-wide fee access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+const REPORTS = {
+    aging: {
+        build: (tenantId, q) => feeReportService.agingReport(tenantId, {
+            asOf: q.asOf,
+            classId: q.classId,
+            feeHeadId: q.feeHeadId
+        }),
+        filename: (q) => `fee-aging-${q.asOf || new Date().toISOString().slice(0, 10)}`
+    },
+    defaulters: {
+        build: (tenantId, q) => feeReportService.defaulterReport(tenantId, {
+            asOf: q.asOf,
+            classId: q.classId,
+            feeHeadId: q.feeHeadId,
+            minDays: q.minDays !== undefined ? parseInt(q.minDays, 10) : undefined,
+            minAmount: q.minAmount
+        }),
+        filename: (q) => `fee-defaulters-${q.asOf || new Date().toISOString().slice(0, 10)}`
+    },
+    collections: {
+        build: (tenantId, q) => feeReportService.collectionReport(tenantId, {
+            from: q.from,
+            to: q.to,
+            groupBy: q.groupBy,
+            mode: q.mode,
+            collectedBy: q.collectedBy
+        }),
+        filename: (q) => `fee-collections-${q.groupBy || 'day'}`
+    }
+};
+
+// GET /api/fees/reports/:report
+const getReport = (name) => asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const report = await REPORTS[name].build(userContext.tenantId, req.query);
+        res.json({ success: true, data: report });
+    } catch (err) {
+        return sendError(res, err, 'Failed to build report');
+    }
+});
+
+// GET /api/fees/reports/:report/export?format=csv|pdf
+const exportReport = (name) => asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const report = await REPORTS[name].build(userContext.tenantId, req.query);
+        await sendReport(res, report, req.query.format || 'csv', REPORTS[name].filename(req.query));
+    } catch (err) {
+        return sendError(res, err, 'Failed to export report');
+    }
+});
+
+module.exports = {
+    getAgingReport: getReport('aging'),
+    exportAgingReport: exportReport('aging'),
+    getDefaulterReport: getReport('defaulters'),
+    exportDefaulterReport: exportReport('defaulters'),
+    getCollectionReport: getReport('collections'),
+    exportCollectionReport: exportReport('collections')
+};
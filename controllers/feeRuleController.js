@@ -0,0 +1,138 @@
+const asyncHandler = require('../utils/asyncHandler');
+const feeRuleService = require('../services/feeRuleService');
+const { sendError } = require('../utils/errorMapper');
+
+const tenantRequired = (res) => sendError(res, { status: 400, body: { success: false, error: 'tenantId missing', code: 'TENANT_REQUIRED' } });
+const ruleNotFound = (res) => sendError(res, { status: 404, body: { success: false, error: 'Fee rule not found', code: 'NOT_FOUND' } });
+
+const pickRuleFields = (body) => {
+    const fields = {};
+    ['name', 'kind', 'valueType', 'value', 'feeHeadId', 'category', 'minSiblingRank',
+        'graceDays', 'maxAmount', 'priority', 'description', 'isActive'].forEach(k => {
+        if (body[k] !== undefined) fields[k] = body[k];
+    });
+    return fields;
+};
+
+// ========== RULES ==========
+
+// GET /api/fees/rules
+const listRules = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    const { kind, isActive } = req.query;
+    const rules = await feeRuleService.listRules(tenantId, {
+        kind,
+        isActive: isActive === undefined ? undefined : isActive === 'true'
+    });
+    res.json({ success: true, data: rules });
+});
+
+// POST /api/fees/rules
+const createRule = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    try {
+        const rule = await feeRuleService.createRule(tenantId, pickRuleFields(req.body));
+        res.status(201).json({ success: true, data: rule });
+    } catch (err) {
+        return sendError(res, err, 'Failed to create fee rule');
+    }
+});
+
+// GET /api/fees/rules/:id
+const getRuleById = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    const rule = await feeRuleService.getRuleById(req.params.id, tenantId);
+    if (!rule) return ruleNotFound(res);
+    res.json({ success: true, data: rule });
+});
+
+// PUT /api/fees/rules/:id
+const updateRule = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    try {
+        const rule = await feeRuleService.updateRule(req.params.id, tenantId, pickRuleFields(req.body));
+        if (!rule) return ruleNotFound(res);
+        res.json({ success: true, data: rule });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update fee rule');
+    }
+});
+
+// DELETE /api/fees/rules/:id
+const deleteRule = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    try {
+        const deleted = await feeRuleService.deleteRule(req.params.id, tenantId);
+        if (!deleted) return ruleNotFound(res);
+        res.status(204).send();
+    } catch (err) {
+        return sendError(res, err, 'Failed to delete fee rule');
+    }
+});
+
+// ========== ASSIGNMENTS ==========
+
+// POST /api/fees/rules/:id/assignments
+const assignRule = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    try {
+        const result = await feeRuleService.assignRule(req.params.id, tenantId, req.body.studentIds, req.body.remarks || null);
+        if (!result) return ruleNotFound(res);
+        res.status(201).json({ success: true, data: result });
+    } catch (err) {
+        return sendError(res, err, 'Failed to assign fee rule');
+    }
+});
+
+// DELETE /api/fees/rules/:id/assignments/:studentId
+const unassignRule = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    const removed = await feeRuleService.unassignRule(req.params.id, tenantId, req.params.studentId);
+    if (!removed) {
+        return sendError(res, { status: 404, body: { success: false, error: 'Assignment not found', code: 'NOT_FOUND' } });
+    }
+    res.status(204).send();
+});
+
+// ========== EVALUATION ==========
+
+// POST /api/fees/rules/evaluate
+const evaluateRules = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    try {
+        const result = await feeRuleService.evaluateFees(tenantId, {
+            studentIds: req.body.studentIds || undefined,
+            feeIds: req.body.feeIds || undefined
+        });
+        res.json({ success: true, data: result });
+    } catch (err) {
+        return sendError(res, err, 'Failed to evaluate fee rules');
+    }
+});
+
+module.exports = {
+    listRules,
+    createRule,
+    getRuleById,
+    updateRule,
+    deleteRule,
+    assignRule,
+    unassignRule,
+    evaluateRules
+};
@@ -0,0 +1,177 @@
+const asyncHandler = require('../utils/asyncHandler');
+const feeStructureService = require('../services/feeStructureService');
+const academicYearService = require('../services/academicYearService');
+const { sendError } = require('../utils/errorMapper');
+
+const tenantRequired = (res) => sendError(res, { status: 400, body: { success: false, error: 'tenantId missing', code: 'TENANT_REQUIRED' } });
+
+// ========== FEE HEADS ==========
+
+// GET /api/fees/heads
+const listFeeHeads = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    const heads = await feeStructureService.listFeeHeads(tenantId, { status: req.query.status });
+    res.json({ success: true, data: heads });
+});
+
+// POST /api/fees/heads
+const createFeeHead = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    try {
+        const head = await feeStructureService.createFeeHead(tenantId, req.body);
+        res.status(201).json({ success: true, data: head });
+    } catch (err) {
+        return sendError(res, err, 'Failed to create fee head');
+    }
+});
+
+// PUT /api/fees/heads/:id
+const updateFeeHead = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    const updates = {
+        name: req.body.name,
+        code: req.body.code,
+        description: req.body.description,
+        taxRate: req.body.taxRate,
+        hsnSacCode: req.body.hsnSacCode,
+        status: req.body.status
+    };
+    Object.keys(updates).forEach(k => updates[k] === undefined && delete updates[k]);
+
+    try {
+        const head = await feeStructureService.updateFeeHead(req.params.id, tenantId, updates);
+        if (!head) return sendError(res, { status: 404, body: { success: false, error: 'Fee head not found', code: 'NOT_FOUND' } });
+        res.json({ success: true, data: head });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update fee head');
+    }
+});
+
+// DELETE /api/fees/heads/:id
+const deleteFeeHead = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    try {
+        const deleted = await feeStructureService.deleteFeeHead(req.params.id, tenantId);
+        if (!deleted) return sendError(res, { status: 404, body: { success: false, error: 'Fee head not found', code: 'NOT_FOUND' } });
+        res.status(204).send();
+    } catch (err) {
+        return sendError(res, err, 'Failed to delete fee head');
+    }
+});
+
+// ========== FEE STRUCTURES ==========
+
+// GET /api/fees/structures
+const listFeeStructures = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    const { page = 1, limit = 50, classId, academicSession, status } = req.query;
+    const options = {
+        page: Math.max(1, parseInt(page, 10) || 1),
+        limit: Math.min(200, Math.max(1, parseInt(limit, 10) || 50))
+    };
+    try {
+        // The current academic year unless one (or 'all') is asked for
+        const academicYearId = await academicYearService.resolveYearFilter(tenantId, req.query.academicYearId);
+        const { count, rows } = await feeStructureService.listFeeStructures(tenantId, { ...options, classId, academicSession, academicYearId, status });
+        res.json({ success: true, data: rows, pagination: { total: count, pages: Math.ceil(count / options.limit), current: options.page } });
+    } catch (err) {
+        return sendError(res, err, 'Failed to list fee structures');
+    }
+});
+
+// GET /api/fees/structures/:id
+const getFeeStructureById = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    const structure = await feeStructureService.getFeeStructureById(req.params.id, tenantId);
+    if (!structure) return sendError(res, { status: 404, body: { success: false, error: 'Fee structure not found', code: 'NOT_FOUND' } });
+    res.json({ success: true, data: structure });
+});
+
+// POST /api/fees/structures
+const createFeeStructure = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    try {
+        const structure = await feeStructureService.createFeeStructure(tenantId, req.body);
+        res.status(201).json({ success: true, data: structure });
+    } catch (err) {
+        return sendError(res, err, 'Failed to create fee structure');
+    }
+});
+
+// PUT /api/fees/structures/:id
+const updateFeeStructure = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    try {
+        const structure = await feeStructureService.updateFeeStructure(req.params.id, tenantId, req.body || {});
+        if (!structure) return sendError(res, { status: 404, body: { success: false, error: 'Fee structure not found', code: 'NOT_FOUND' } });
+        res.json({ success: true, data: structure });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update fee structure');
+    }
+});
+
+// DELETE /api/fees/structures/:id
+const deleteFeeStructure = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    try {
+        const deleted = await feeStructureService.deleteFeeStructure(req.params.id, tenantId);
+        if (!deleted) return sendError(res, { status: 404, body: { success: false, error: 'Fee structure not found', code: 'NOT_FOUND' } });
+        res.status(204).send();
+    } catch (err) {
+        return sendError(res, err, 'Failed to delete fee structure');
+    }
+});
+
+// POST /api/fees/structures/:id/assign
+const assignFeeStructure = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    try {
+        const result = await feeStructureService.assignFeeStructure(req.params.id, tenantId);
+        if (!result) return sendError(res, { status: 404, body: { success: false, error: 'Fee structure not found', code: 'NOT_FOUND' } });
+        res.json({
+            success: true,
+            data: {
+                feeStructureId: result.structure.id,
+                classId: result.structure.classId,
+                assignedAt: result.structure.assignedAt,
+                students: result.students,
+                feesCreated: result.created
+            }
+        });
+    } catch (err) {
+        return sendError(res, err, 'Failed to assign fee structure');
+    }
+});
+
+module.exports = {
+    listFeeHeads,
+    createFeeHead,
+    updateFeeHead,
+    deleteFeeHead,
+    listFeeStructures,
+    getFeeStructureById,
+    createFeeStructure,
+    updateFeeStructure,
+    deleteFeeStructure,
+    assignFeeStructure
+};
@@ -0,0 +1,252 @@
+const asyncHandler = require('../utils/asyncHandler');
+const gradingService = require('../services/gradingService');
+const examMarksService = require('../services/examMarksService');
+const coScholasticService = require('../services/coScholasticService');
+const { sendError } = require('../utils/errorMapper');
+const { checkPermission } = require('../middleware/rbac');
+const { RepositoryFactory } = require('../repositories');
+
+// Initialize repository factory to find the calling teacher
+const repos = new RepositoryFactory();
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+const schemeNotFound = (res) => sendError(res, { status: 404, body: { success: false, error: 'Grading scheme not found', code: 'NOT_FOUND' } });
+
+const requireTenantScope = (req, res) => {
+    if (req.permission && req.permission.scope === 'tenant') return true;
+    sendError(res, { status: 403, body: { success: false, error: 'This requires tenant-wide exams access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+const pick = (body, keys) => {
+    const fields = {};
+    keys.forEach(k => { if (body[k] !== undefined) fields[k] = body[k]; });
+    return fields;
+};
+
+const SCHEME_KEYS = ['name', 'schemeType', 'bands', 'maxGradePoint', 'coScholasticGrades', 'isDefault'];
+
+/**
+ * Which classes the caller may work on: null for every class, { teacherId, classIds } for a
+ * teacher (the service checks the class). Sends a 403 and returns false for anyone else.
+ *
+ * Teachers only hold exams:read, so co-scholastic entry is routed on read and the
+ * tenant-wide path is reserved for callers who may update exams (admins may also read).
+ * Parents and students read their children's results through report cards instead.
+ */
+const classAccess = async (req, res, userContext, { write }) => {
+    const tenantWide = (!write && repos.attendance.isAdmin(userContext))
+        || await checkPermission({ ...req.user, userContext: req.userContext }, 'exams', 'update') === 'tenant';
+    if (tenantWide) return null;
+
+    const assignment = await repos.attendance.getTeacherAssignment(userContext);
+    if (assignment && assignment.teacherId) return assignment;
+
+    sendError(res, { status: 403, body: { success: false, error: 'Results are open to the class\'s teachers or tenant-wide exams access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+// GET /api/exams/grading-schemes
+const listSchemes = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const schemes = await gradingService.listSchemes(userContext.tenantId);
+    res.json({ success: true, data: schemes, builtIn: gradingService.BUILT_IN_SCHEME });
+});
+
+// GET /api/exams/grading-schemes/resolve
+const resolveScheme = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const { classId, academicSession } = req.query;
+    const scheme = await gradingService.resolveScheme(userContext.tenantId, { classId, academicSession });
+    res.json({ success: true, data: scheme });
+});
+
+// GET /api/exams/grading-schemes/:schemeId
+const getScheme = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const scheme = await gradingService.getSchemeById(req.params.schemeId, userContext.tenantId);
+    if (!scheme) return schemeNotFound(res);
+    res.json({ success: true, data: scheme });
+});
+
+// POST /api/exams/grading-schemes
+const createScheme = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const scheme = await gradingService.createScheme(userContext.tenantId, pick(req.body, SCHEME_KEYS));
+        res.status(201).json({ success: true, data: scheme });
+    } catch (err) {
+        return sendError(res, err, 'Failed to create grading scheme');
+    }
+});
+
+// PUT /api/exams/grading-schemes/:schemeId
+const updateScheme = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const scheme = await gradingService.updateScheme(req.params.schemeId, userContext.tenantId, pick(req.body, SCHEME_KEYS));
+        if (!scheme) return schemeNotFound(res);
+        res.json({ success: true, data: scheme });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update grading scheme');
+    }
+});
+
+// DELETE /api/exams/grading-schemes/:schemeId
+const deleteScheme = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const scheme = await gradingService.deleteScheme(req.params.schemeId, userContext.tenantId);
+        if (!scheme) return schemeNotFound(res);
+        res.status(204).end();
+    } catch (err) {
+        return sendError(res, err, 'Failed to delete grading scheme');
+    }
+});
+
+// PUT /api/exams/grading-schemes/:schemeId/assignments
+const assignScheme = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const scheme = await gradingService.assignScheme(userContext.tenantId, req.params.schemeId, {
+            academicSession: req.body.academicSession,
+            classIds: req.body.classIds
+        });
+        if (!scheme) return schemeNotFound(res);
+        res.json({ success: true, data: scheme });
+    } catch (err) {
+        return sendError(res, err, 'Failed to assign grading scheme');
+    }
+});
+
+// DELETE /api/exams/grading-schemes/:schemeId/assignments/:assignmentId
+const removeAssignment = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    const assignment = await gradingService.removeAssignment(userContext.tenantId, req.params.schemeId, req.params.assignmentId);
+    if (!assignment) {
+        return sendError(res, { status: 404, body: { success: false, error: 'Assignment not found', code: 'NOT_FOUND' } });
+    }
+    res.status(204).end();
+});
+
+// GET /api/exams/cgpa
+const getClassCgpa = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const access = await classAccess(req, res, userContext, { write: false });
+    if (access === false) return;
+
+    try {
+        const { classId, academicSession } = req.query;
+        const cgpa = await examMarksService.getClassCgpa(userContext.tenantId, { classId, academicSession }, access);
+        res.json({ success: true, data: cgpa });
+    } catch (err) {
+        return sendError(res, err, 'Failed to compute CGPA');
+    }
+});
+
+// GET /api/exams/:id/results
+const getExamResults = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const access = await classAccess(req, res, userContext, { write: false });
+    if (access === false) return;
+
+    try {
+        const results = await examMarksService.getExamResults(userContext.tenantId, req.params.id, req.query.classId, access);
+        res.json({ success: true, data: results });
+    } catch (err) {
+        return sendError(res, err, 'Failed to load results');
+    }
+});
+
+// POST /api/exams/:id/regrade
+const regradeExam = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const result = await examMarksService.regradeExam(userContext.tenantId, req.params.id);
+        res.json({ success: true, data: result });
+    } catch (err) {
+        return sendError(res, err, 'Failed to regrade exam');
+    }
+});
+
+// GET /api/exams/:id/co-scholastic
+const getCoScholastic = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const access = await classAccess(req, res, userContext, { write: false });
+    if (access === false) return;
+
+    try {
+        const grades = await coScholasticService.getClassGrades(userContext.tenantId, req.params.id, req.query.classId, access);
+        res.json({ success: true, data: grades });
+    } catch (err) {
+        return sendError(res, err, 'Failed to load co-scholastic grades');
+    }
+});
+
+// PUT /api/exams/:id/co-scholastic
+const saveCoScholastic = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const access = await classAccess(req, res, userContext, { write: true });
+    if (access === false) return;
+
+    try {
+        const result = await coScholasticService.saveClassGrades(
+            userContext.tenantId,
+            req.params.id,
+            { classId: req.body.classId, area: req.body.area, entries: req.body.entries },
+            userContext.userId,
+            access
+        );
+        res.json({ success: true, data: result });
+    } catch (err) {
+        return sendError(res, err, 'Failed to save co-scholastic grades');
+    }
+});
+
+module.exports = {
+    listSchemes,
+    resolveScheme,
+    getScheme,
+    createScheme,
+    updateScheme,
+    deleteScheme,
+    assignScheme,
+    removeAssignment,
+    getClassCgpa,
+    getExamResults,
+    regradeExam,
+    getCoScholastic,
+    saveCoScholastic
+};
@@ -0,0 +1,230 @@
+const asyncHandler = require('../utils/asyncHandler');
+const invoiceService = require('../services/invoiceService');
+const schoolProfileService = require('../services/schoolProfileService');
+const { sendError } = require('../utils/errorMapper');
+const { renderInvoicePdf, renderCreditNotePdf } = require('../utils/invoicePdf');
+const { RepositoryFactory } = require('../repositories');
+const { Op } = require('sequelize');
+
+// Initialize repository factory for invoice reads
+const repos = new RepositoryFactory();
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+const invoiceNotFound = (res) => sendError(res, { status: 404, body: { success: false, error: 'Invoice not found', code: 'NOT_FOUND' } });
+const creditNoteNotFound = (res) => sendError(res, { status: 404, body: { success: false, error: 'Credit note not found', code: 'NOT_FOUND' } });
+
+/**
+ * Issuing and crediting invoices covers the whole tenant, so owned-scope fee readers are refused
+ */
+const requireTenantScope = (req, res) => {
+    if (req.permission && req.permission.scope === 'tenant') return true;
+    sendError(res, { status: 403, body: { success: false, error: 'This action requires tenant-wide fee access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+const paginationOptions = (query) => ({
+    page: Math.max(1, parseInt(query.page, 10) || 1),
+    limit: Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20))
+});
+
+/**
+ * Build repository filters from invoice query parameters
+ * Supports studentId, classId, status, invoiceNo and an issueDate range (from / to, inclusive)
+ */
+const buildInvoiceFilters = (query) => {
+    const { studentId, classId, status, invoiceNo, from, to } = query;
+    const filters = {};
+    if (studentId) filters.studentId = studentId;
+    if (classId) filters.classId = classId;
+    if (status) filters.status = status;
+    if (invoiceNo) filters.invoiceNo = invoiceNo;
+    if (from || to) {
+        filters.issueDate = {};
+        if (from) filters.issueDate[Op.gte] = from;
+        if (to) filters.issueDate[Op.lte] = to;
+    }
+    return filters;
+};
+
+const sendPdf = (res, pdf, filename) => {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}.pdf"`);
+    return res.send(pdf);
+};
+
+/**
+ * Load an invoice the caller may see (RLS), with its lines, credit notes and payment position
+ */
+const loadVisibleInvoice = async (id, userContext) => {
+    const visible = await repos.invoice.findInvoiceById(id, userContext);
+    if (!visible) return null;
+    return invoiceService.getInvoiceById(id, userContext.tenantId);
+};
+
+// GET /api/fees/invoices
+const listInvoices = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const options = { ...paginationOptions(req.query), order: [['issueDate', 'DESC'], ['invoiceNo', 'DESC']] };
+
+    try {
+        // RLS enforcement: parents/students only get invoices of linked students
+        const { count, rows } = await repos.invoice.findVisibleInvoices(userContext, buildInvoiceFilters(req.query), options);
+        res.json({
+            success: true,
+            data: rows,
+            pagination: { total: count, pages: Math.ceil(count / options.limit), current: options.page }
+        });
+    } catch (err) {
+        return sendError(res, err, 'Failed to list invoices');
+    }
+});
+
+// POST /api/fees/invoices
+const createInvoice = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    const { studentId, periodStart, periodEnd, issueDate, notes } = req.body;
+
+    try {
+        const invoice = await invoiceService.createInvoice(userContext.tenantId, { studentId, periodStart, periodEnd, issueDate, notes }, userContext.userId);
+        const created = await invoiceService.getInvoiceById(invoice.id, userContext.tenantId);
+        res.status(201).json({ success: true, data: created });
+    } catch (err) {
+        return sendError(res, err, 'Failed to issue invoice');
+    }
+});
+
+// POST /api/fees/invoices/generate
+const generateInvoices = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    const { periodStart, periodEnd, classId, studentIds, issueDate, notes } = req.body;
+
+    try {
+        const result = await invoiceService.generateInvoices(userContext.tenantId, { periodStart, periodEnd, classId, studentIds, issueDate, notes }, userContext.userId);
+        res.status(201).json({
+            success: true,
+            message: `${result.issued.length} invoice(s) issued${result.failed.length ? `, ${result.failed.length} failed` : ''}`,
+            data: result
+        });
+    } catch (err) {
+        return sendError(res, err, 'Failed to generate invoices');
+    }
+});
+
+// GET /api/fees/invoices/:id
+const getInvoiceById = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const invoice = await loadVisibleInvoice(req.params.id, userContext);
+    if (!invoice) return invoiceNotFound(res);
+    res.json({ success: true, data: invoice });
+});
+
+// GET /api/fees/invoices/:id/pdf
+const getInvoicePdf = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const invoice = await loadVisibleInvoice(req.params.id, userContext);
+        if (!invoice) return invoiceNotFound(res);
+
+        const profile = await schoolProfileService.getProfile(userContext.tenantId);
+        const pdf = await renderInvoicePdf(invoice, profile);
+        return sendPdf(res, pdf, invoice.invoiceNo);
+    } catch (err) {
+        return sendError(res, err, 'Failed to render invoice');
+    }
+});
+
+// POST /api/fees/invoices/:id/cancel
+const cancelInvoice = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const invoice = await invoiceService.cancelInvoice(req.params.id, userContext.tenantId, req.body.reason, userContext.userId);
+        if (!invoice) return invoiceNotFound(res);
+        res.json({ success: true, data: invoice });
+    } catch (err) {
+        return sendError(res, err, 'Failed to cancel invoice');
+    }
+});
+
+// POST /api/fees/invoices/:id/credit-notes
+const createCreditNote = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    const { type, reason, lines, issueDate, refundMode, refundReference } = req.body;
+
+    try {
+        const creditNote = await invoiceService.createCreditNote(req.params.id, userContext.tenantId, {
+            type, reason, lines, issueDate, refundMode, refundReference
+        }, userContext.userId);
+        if (!creditNote) return invoiceNotFound(res);
+
+        const created = await invoiceService.getCreditNoteById(creditNote.id, userContext.tenantId);
+        res.status(201).json({ success: true, data: created });
+    } catch (err) {
+        return sendError(res, err, 'Failed to issue credit note');
+    }
+});
+
+// GET /api/fees/invoices/:id/credit-notes/:creditNoteId/pdf
+const getCreditNotePdf = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const invoice = await repos.invoice.findInvoiceById(req.params.id, userContext);
+        if (!invoice) return invoiceNotFound(res);
+
+        const creditNote = await invoiceService.getCreditNoteById(req.params.creditNoteId, userContext.tenantId);
+        if (!creditNote || creditNote.invoiceId !== invoice.id) return creditNoteNotFound(res);
+
+        const profile = await schoolProfileService.getProfile(userContext.tenantId);
+        const pdf = await renderCreditNotePdf(creditNote.get({ plain: true }), profile);
+        return sendPdf(res, pdf, creditNote.creditNoteNo);
+    } catch (err) {
+        return sendError(res, err, 'Failed to render credit note');
+    }
+});
+
+// GET /api/fees/credit-notes
+const listCreditNotes = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    const options = paginationOptions(req.query);
+    const { type, studentId, from, to } = req.query;
+    const { count, rows } = await invoiceService.listCreditNotes(userContext.tenantId, { ...options, type, studentId, from, to });
+    res.json({
+        success: true,
+        data: rows,
+        pagination: { total: count, pages: Math.ceil(count / options.limit), current: options.page }
+    });
+});
+
+module.exports = {
+    listInvoices,
+    createInvoice,
+    generateInvoices,
+    getInvoiceById,
+    getInvoicePdf,
+    cancelInvoice,
+    createCreditNote,
+    getCreditNotePdf,
+    listCreditNotes
+};
@@ -0,0 +1,416 @@
+const asyncHandler = require('../utils/asyncHandler');
+const questionBankService = require('../services/questionBankService');
+const onlineTestService = require('../services/onlineTestService');
+const { sendError } = require('../utils/errorMapper');
+const { checkPermission } = require('../middleware/rbac');
+const { RepositoryFactory } = require('../repositories');
+
+// Initialize repository factory to find the calling teacher or student
+const repos = new RepositoryFactory();
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+const questionNotFound = (res) => sendError(res, { status: 404, body: { success: false, error: 'Question not found', code: 'NOT_FOUND' } });
+
+const pick = (body, keys) => {
+    const fields = {};
+    keys.forEach(k => { if (body[k] !== undefined) fields[k] = body[k]; });
+    return fields;
+};
+
+const QUESTION_KEYS = ['subject', 'topic', 'questionType', 'text', 'options', 'answer', 'marks', 'difficulty', 'isActive'];
+const TEST_KEYS = ['classId', 'subject', 'examPaperId', 'title', 'instructions', 'questionIds', 'questionsPerAttempt', 'shuffleOptions', 'durationMinutes', 'opensAt', 'closesAt'];
+
+/**
+ * Who may build tests and see results: null for every subject (admins and tenant-wide exams
+ * access), { teacherId, classIds } for a teacher (the subjects they take, checked by the
+ * services). Sends a 403 and returns false for anyone else.
+ *
+ * Students hold lms at tenant scope so they can sit tests, so the lms scope is not enough.
+ */
+const managerAccess = async (req, res, userContext) => {
+    const tenantWide = repos.lms.isAdmin(userContext)
+        || await checkPermission({ ...req.user, userContext: req.userContext }, 'exams', 'update') === 'tenant';
+    if (tenantWide) return null;
+
+    const assignment = await repos.attendance.getTeacherAssignment(userContext);
+    if (assignment && assignment.teacherId) return assignment;
+
+    sendError(res, { status: 403, body: { success: false, error: 'The question bank and test results are open to subject teachers and tenant-wide exams access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+/**
+ * The student record of a student login. Sends a 403 and returns false for anyone else.
+ */
+const studentAccess = async (res, userContext) => {
+    const student = repos.lms.isStudent(userContext) ? await repos.lms.getOwnStudent(userContext) : null;
+    if (student) return student;
+
+    sendError(res, { status: 403, body: { success: false, error: 'Online tests are sat from a student account in a class', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+// GET /api/lms/questions
+const listQuestions = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const access = await managerAccess(req, res, userContext);
+        if (access === false) return;
+
+        const { questions, pagination } = await questionBankService.listQuestions(userContext.tenantId, {
+            subject: req.query.subject,
+            topic: req.query.topic,
+            questionType: req.query.questionType,
+            difficulty: req.query.difficulty,
+            includeInactive: req.query.includeInactive === 'true',
+            page: parseInt(req.query.page, 10) || 1,
+            limit: parseInt(req.query.limit, 10) || 50
+        }, access);
+        res.json({ success: true, data: questions, pagination });
+    } catch (err) {
+        return sendError(res, err, 'Failed to fetch questions');
+    }
+});
+
+// GET /api/lms/questions/:questionId
+const getQuestion = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const access = await managerAccess(req, res, userContext);
+        if (access === false) return;
+
+        const question = await questionBankService.getQuestionById(req.params.questionId, userContext.tenantId, access);
+        if (!question) return questionNotFound(res);
+        res.json({ success: true, data: question });
+    } catch (err) {
+        return sendError(res, err, 'Failed to fetch question');
+    }
+});
+
+// POST /api/lms/questions
+const createQuestion = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const access = await managerAccess(req, res, userContext);
+        if (access === false) return;
+
+        const question = await questionBankService.createQuestion(userContext.tenantId, pick(req.body, QUESTION_KEYS), userContext.userId, access);
+        res.status(201).json({ success: true, data: question });
+    } catch (err) {
+        return sendError(res, err, 'Failed to create question');
+    }
+});
+
+// PUT /api/lms/questions/:questionId
+const updateQuestion = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const access = await managerAccess(req, res, userContext);
+        if (access === false) return;
+
+        const question = await questionBankService.updateQuestion(req.params.questionId, userContext.tenantId, pick(req.body, QUESTION_KEYS), access);
+        if (!question) return questionNotFound(res);
+        res.json({ success: true, data: question });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update question');
+    }
+});
+
+// DELETE /api/lms/questions/:questionId
+const deleteQuestion = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const access = await managerAccess(req, res, userContext);
+        if (access === false) return;
+
+        const question = await questionBankService.deleteQuestion(req.params.questionId, userContext.tenantId, access);
+        if (!question) return questionNotFound(res);
+        res.json({ success: true, message: 'Question deleted' });
+    } catch (err) {
+        return sendError(res, err, 'Failed to delete question');
+    }
+});
+
+// GET /api/lms/tests (students see the tests of their class)
+const listTests = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        if (repos.lms.isStudent(userContext)) {
+            const student = await studentAccess(res, userContext);
+            if (student === false) return;
+            const tests = await onlineTestService.listStudentTests(userContext.tenantId, student);
+            return res.json({ success: true, data: tests });
+        }
+
+        const access = await managerAccess(req, res, userContext);
+        if (access === false) return;
+
+        const tests = await onlineTestService.listTests(userContext.tenantId, {
+            classId: req.query.classId,
+            subject: req.query.subject,
+            status: req.query.status
+        }, access);
+        res.json({ success: true, data: tests });
+    } catch (err) {
+        return sendError(res, err, 'Failed to fetch online tests');
+    }
+});
+
+// GET /api/lms/tests/:id
+const getTest = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const access = await managerAccess(req, res, userContext);
+        if (access === false) return;
+
+        const test = await onlineTestService.getTest(req.params.id, userContext.tenantId, access);
+        res.json({ success: true, data: test });
+    } catch (err) {
+        return sendError(res, err, 'Failed to fetch online test');
+    }
+});
+
+// POST /api/lms/tests
+const createTest = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const access = await managerAccess(req, res, userContext);
+        if (access === false) return;
+
+        const test = await onlineTestService.createTest(userContext.tenantId, pick(req.body, TEST_KEYS), userContext.userId, access);
+        res.status(201).json({ success: true, data: test });
+    } catch (err) {
+        return sendError(res, err, 'Failed to create online test');
+    }
+});
+
+// PUT /api/lms/tests/:id
+const updateTest = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const access = await managerAccess(req, res, userContext);
+        if (access === false) return;
+
+        const test = await onlineTestService.updateTest(req.params.id, userContext.tenantId, pick(req.body, TEST_KEYS), access);
+        res.json({ success: true, data: test });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update online test');
+    }
+});
+
+// DELETE /api/lms/tests/:id
+const deleteTest = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const access = await managerAccess(req, res, userContext);
+        if (access === false) return;
+
+        await onlineTestService.deleteTest(req.params.id, userContext.tenantId, access);
+        res.json({ success: true, message: 'Online test deleted' });
+    } catch (err) {
+        return sendError(res, err, 'Failed to delete online test');
+    }
+});
+
+// POST /api/lms/tests/:id/publish
+const publishTest = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const access = await managerAccess(req, res, userContext);
+        if (access === false) return;
+
+        const test = await onlineTestService.publishTest(req.params.id, userContext.tenantId, access);
+        res.json({ success: true, data: test });
+    } catch (err) {
+        return sendError(res, err, 'Failed to publish online test');
+    }
+});
+
+// POST /api/lms/tests/:id/close
+const closeTest = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const access = await managerAccess(req, res, userContext);
+        if (access === false) return;
+
+        const { test, attemptsSubmitted } = await onlineTestService.closeTest(req.params.id, userContext.tenantId, access);
+        res.json({ success: true, data: test, attemptsSubmitted });
+    } catch (err) {
+        return sendError(res, err, 'Failed to close online test');
+    }
+});
+
+// GET /api/lms/tests/:id/attempts
+const listAttempts = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const access = await managerAccess(req, res, userContext);
+        if (access === false) return;
+
+        const results = await onlineTestService.listAttempts(req.params.id, userContext.tenantId, access);
+        res.json({ success: true, data: results });
+    } catch (err) {
+        return sendError(res, err, 'Failed to fetch test attempts');
+    }
+});
+
+// GET /api/lms/tests/:id/attempts/:attemptId
+const getAttemptForReview = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const access = await managerAccess(req, res, userContext);
+        if (access === false) return;
+
+        const attempt = await onlineTestService.getAttemptForReview(req.params.id, req.params.attemptId, userContext.tenantId, access);
+        res.json({ success: true, data: attempt });
+    } catch (err) {
+        return sendError(res, err, 'Failed to fetch test attempt');
+    }
+});
+
+// PUT /api/lms/tests/:id/attempts/:attemptId/review
+const reviewAttempt = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const access = await managerAccess(req, res, userContext);
+        if (access === false) return;
+
+        const attempt = await onlineTestService.reviewAttempt(req.params.id, req.params.attemptId, userContext.tenantId, req.body.entries, userContext.userId, access);
+        res.json({ success: true, data: attempt });
+    } catch (err) {
+        return sendError(res, err, 'Failed to mark test attempt');
+    }
+});
+
+// POST /api/lms/tests/:id/post-marks
+const postMarks = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const access = await managerAccess(req, res, userContext);
+        if (access === false) return;
+
+        const result = await onlineTestService.postMarks(req.params.id, userContext.tenantId, userContext.userId, access);
+        res.json({ success: true, data: result });
+    } catch (err) {
+        return sendError(res, err, 'Failed to post test scores to exam marks');
+    }
+});
+
+// POST /api/lms/tests/:id/attempts (student starts or resumes)
+const startAttempt = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const student = await studentAccess(res, userContext);
+        if (student === false) return;
+
+        const attempt = await onlineTestService.startAttempt(userContext.tenantId, req.params.id, student);
+        res.json({ success: true, data: attempt });
+    } catch (err) {
+        return sendError(res, err, 'Failed to start online test');
+    }
+});
+
+// GET /api/lms/attempts/:attemptId
+const getAttempt = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const student = await studentAccess(res, userContext);
+        if (student === false) return;
+
+        const attempt = await onlineTestService.getStudentAttempt(userContext.tenantId, req.params.attemptId, student);
+        res.json({ success: true, data: attempt });
+    } catch (err) {
+        return sendError(res, err, 'Failed to fetch test attempt');
+    }
+});
+
+// PUT /api/lms/attempts/:attemptId/answers
+const saveAnswers = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const student = await studentAccess(res, userContext);
+        if (student === false) return;
+
+        const result = await onlineTestService.saveAnswers(userContext.tenantId, req.params.attemptId, req.body.answers, student);
+        res.json({ success: true, data: result });
+    } catch (err) {
+        return sendError(res, err, 'Failed to save answers');
+    }
+});
+
+// POST /api/lms/attempts/:attemptId/submit
+const submitAttempt = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const student = await studentAccess(res, userContext);
+        if (student === false) return;
+
+        const attempt = await onlineTestService.submitAttempt(userContext.tenantId, req.params.attemptId, student);
+        res.json({ success: true, data: attempt });
+    } catch (err) {
+        return sendError(res, err, 'Failed to submit online test');
+    }
+});
+
+module.exports = {
+    listQuestions,
+    getQuestion,
+    createQuestion,
+    updateQuestion,
+    deleteQuestion,
+    listTests,
+    getTest,
+    createTest,
+    updateTest,
+    deleteTest,
+    publishTest,
+    closeTest,
+    listAttempts,
+    getAttemptForReview,
+    reviewAttempt,
+    postMarks,
+    startAttempt,
+    getAttempt,
+    saveAnswers,
+    submitAttempt
+};
@@ -0,0 +1,84 @@
+const asyncHandler = require('../utils/asyncHandler');
+const notificationService = require('../services/notificationService');
+const { sendError } = require('../utils/errorMapper');
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+
+/**
+ * Templates and the outbox are tenant-wide, so owned-scope callers are refused
+ */
+const requireTenantScope = (req, res) => {
+    if (req.permission && req.permission.scope === 'tenant') return true;
+    sendError(res, { status: 403, body: { success: false, error: 'This requires tenant-wide communication access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+const paginationOptions = (query) => ({
+    page: Math.max(1, parseInt(query.page, 10) || 1),
+    limit: Math.min(200, Math.max(1, parseInt(query.limit, 10) || 50))
+});
+
+// GET /api/notifications/templates
+const listTemplates = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    const templates = await notificationService.getTemplates(userContext.tenantId);
+    res.json({ success: true, data: templates, variables: notificationService.TEMPLATE_VARIABLES });
+});
+
+// PUT /api/notifications/templates/:event/:channel
+const saveTemplate = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const template = await notificationService.saveTemplate(userContext.tenantId, req.params.event, req.params.channel, req.body);
+        res.json({ success: true, data: template });
+    } catch (err) {
+        return sendError(res, err, 'Failed to save template');
+    }
+});
+
+// DELETE /api/notifications/templates/:event/:channel
+const resetTemplate = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const template = await notificationService.resetTemplate(userContext.tenantId, req.params.event, req.params.channel);
+        res.json({ success: true, data: template });
+    } catch (err) {
+        return sendError(res, err, 'Failed to reset template');
+    }
+});
+
+// GET /api/notifications/messages
+const listMessages = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    const options = paginationOptions(req.query);
+
+    try {
+        const { count, rows } = await notificationService.listMessages(userContext.tenantId, req.query, options);
+        res.json({
+            success: true,
+            data: rows,
+            pagination: { total: count, pages: Math.ceil(count / options.limit), current: options.page }
+        });
+    } catch (err) {
+        return sendError(res, err, 'Failed to list messages');
+    }
+});
+
+module.exports = {
+    listTemplates,
+    saveTemplate,
+    resetTemplate,
+    listMessages
+};
@@ -0,0 +1,168 @@
+const asyncHandler = require('../utils/asyncHandler');
+const paymentService = require('../services/paymentService');
+const { sendError } = require('../utils/errorMapper');
+const { RepositoryFactory } = require('../repositories');
+const { Op } = require('sequelize');
+const logger = require('../config/logger');
+
+// Initialize repository factory for RLS-checked fee reads
+const repos = new RepositoryFactory();
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+const orderNotFound = (res) => sendError(res, { status: 404, body: { success: false, error: 'Payment order not found', code: 'NOT_FOUND' } });
+
+/**
+ * Orders are visible to tenant-wide fee readers and to the user who created them
+ */
+const canSeeOrder = (req, order) => (req.permission && req.permission.scope === 'tenant') ||
+    order.createdBy === (req.userContext || req.user).userId;
+
+// ========== GATEWAY SETTINGS ==========
+
+// GET /api/settings/payment-gateways
+const listGateways = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const data = await paymentService.listGatewayConfigs(userContext.tenantId);
+    res.json({ success: true, data });
+});
+
+// PUT /api/settings/payment-gateways/:provider
+const upsertGateway = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const config = await paymentService.upsertGatewayConfig(userContext.tenantId, req.params.provider, {
+            keyId: req.body.keyId,
+            keySecret: req.body.keySecret,
+            webhookSecret: req.body.webhookSecret,
+            mode: req.body.mode,
+            isActive: req.body.isActive
+        });
+        res.json({ success: true, data: config });
+    } catch (err) {
+        return sendError(res, err, 'Failed to save payment gateway');
+    }
+});
+
+// ========== ORDERS ==========
+
+// POST /api/payments/orders
+const createOrder = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const items = req.body.fees;
+    const feeIds = [...new Set(items.map(i => i.studentFeeId))];
+    const amounts = {};
+    items.forEach(i => { if (i.amount !== undefined) amounts[i.studentFeeId] = i.amount; });
+
+    try {
+        // RLS enforcement: parents/students can only pay fees of linked students
+        const { rows } = await repos.fee.findVisibleFees(userContext, { id: { [Op.in]: feeIds } }, { limit: feeIds.length });
+        if (rows.length !== feeIds.length) {
+            return sendError(res, { status: 404, body: { success: false, error: 'One or more fees not found', code: 'NOT_FOUND' } });
+        }
+
+        const result = await paymentService.createOrder(userContext.tenantId, rows, { provider: req.body.provider, amounts }, userContext.userId);
+        res.status(201).json({ success: true, data: result });
+    } catch (err) {
+        return sendError(res, err, 'Failed to create payment order');
+    }
+});
+
+// GET /api/payments/orders/:id
+const getOrder = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const order = await paymentService.getOrderById(req.params.id, userContext.tenantId);
+    if (!order || !canSeeOrder(req, order)) return orderNotFound(res);
+
+    res.json({ success: true, data: order });
+});
+
+// POST /api/payments/orders/:id/verify
+const verifyPayment = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const existing = await paymentService.getOrderById(req.params.id, userContext.tenantId);
+    if (!existing || !canSeeOrder(req, existing)) return orderNotFound(res);
+
+    try {
+        const order = await paymentService.verifyPayment(existing.id, userContext.tenantId, {
+            providerPaymentId: req.body.providerPaymentId,
+            signature: req.body.signature
+        });
+        res.json({ success: true, data: order });
+    } catch (err) {
+        return sendError(res, err, 'Failed to verify payment');
+    }
+});
+
+// POST /api/payments/orders/:id/mock-pay
+const simulateMockPayment = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const existing = await paymentService.getOrderById(req.params.id, userContext.tenantId);
+    if (!existing || !canSeeOrder(req, existing)) return orderNotFound(res);
+
+    try {
+        const result = await paymentService.simulateMockPayment(existing.id, userContext.tenantId);
+        res.json({ success: true, data: result });
+    } catch (err) {
+        return sendError(res, err, 'Failed to simulate payment');
+    }
+});
+
+// POST /api/payments/reconcile
+const reconcile = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const summary = await paymentService.reconcileSettlements(userContext.tenantId, {
+            provider: req.body.provider || null,
+            from: req.body.from,
+            to: req.body.to
+        });
+        res.json({ success: true, data: summary });
+    } catch (err) {
+        return sendError(res, err, 'Failed to reconcile settlements');
+    }
+});
+
+// ========== WEBHOOKS ==========
+
+// POST /api/payments/webhooks/:provider/:tenantId (unauthenticated, signature-verified)
+const handleWebhook = asyncHandler(async (req, res) => {
+    const { provider, tenantId } = req.params;
+    const rawBody = req.rawBody || JSON.stringify(req.body || {});
+
+    try {
+        const result = await paymentService.handleWebhook(provider, tenantId, rawBody, req.headers, req.body || {});
+        if (result.status === 'invalid_signature') {
+            return sendError(res, { status: 401, body: { success: false, error: 'Invalid webhook signature', code: 'INVALID_SIGNATURE' } });
+        }
+        res.json({ success: true, status: result.status });
+    } catch (err) {
+        // Non-2xx makes the gateway redeliver the event
+        logger.error(`[PAYMENT_WEBHOOK] ${provider} webhook for tenant ${tenantId} failed: ${err.message}`);
+        return sendError(res, err, 'Failed to process webhook');
+    }
+});
+
+module.exports = {
+    listGateways,
+    upsertGateway,
+    createOrder,
+    getOrder,
+    verifyPayment,
+    simulateMockPayment,
+    reconcile,
+    handleWebhook
+};
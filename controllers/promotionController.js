@@ -0,0 +1,70 @@
+const asyncHandler = require('../utils/asyncHandler');
+const promotionService = require('../services/promotionService');
+const { sendError } = require('../utils/errorMapper');
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+
+const requireTenantScope = (req, res) => {
+    if (req.permission && req.permission.scope === 'tenant') return true;
+    sendError(res, { status: 403, body: { success: false, error: 'Promotions require tenant-wide student access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+const pick = (body, keys) => {
+    const fields = {};
+    keys.forEach(k => { if (body[k] !== undefined) fields[k] = body[k]; });
+    return fields;
+};
+
+// GET /api/promotions/classes/:classId
+const getPreview = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const preview = await promotionService.getPromotionPreview(userContext.tenantId, req.params.classId);
+        res.json({ success: true, data: preview });
+    } catch (err) {
+        return sendError(res, err, 'Failed to load the promotion preview');
+    }
+});
+
+// POST /api/promotions/classes/:classId
+const promoteClass = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const result = await promotionService.promoteClass(
+            userContext.tenantId,
+            req.params.classId,
+            pick(req.body, ['targetClassId', 'detainClassId', 'decisions']),
+            userContext.userId
+        );
+        res.json({ success: true, data: result });
+    } catch (err) {
+        return sendError(res, err, 'Failed to promote the class');
+    }
+});
+
+// GET /api/promotions/students/:studentId/history
+const getClassHistory = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const history = await promotionService.getClassHistory(userContext.tenantId, req.params.studentId);
+        res.json({ success: true, data: history });
+    } catch (err) {
+        return sendError(res, err, 'Failed to load the class history');
+    }
+});
+
+module.exports = {
+    getPreview,
+    promoteClass,
+    getClassHistory
+};
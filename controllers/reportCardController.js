@@ -0,0 +1,235 @@
+const asyncHandler = require('../utils/asyncHandler');
+const reportCardService = require('../services/reportCardService');
+const schoolProfileService = require('../services/schoolProfileService');
+const { renderReportCards } = require('../utils/reportCardPdf');
+const { sendError } = require('../utils/errorMapper');
+const { checkPermission } = require('../middleware/rbac');
+const { RepositoryFactory } = require('../repositories');
+
+// Initialize repository factory to find the calling teacher or parent
+const repos = new RepositoryFactory();
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+const templateNotFound = (res) => sendError(res, { status: 404, body: { success: false, error: 'Report card template not found', code: 'NOT_FOUND' } });
+
+const requireTenantScope = (req, res) => {
+    if (req.permission && req.permission.scope === 'tenant') return true;
+    sendError(res, { status: 403, body: { success: false, error: 'This requires tenant-wide exams access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+const pick = (body, keys) => {
+    const fields = {};
+    keys.forEach(k => { if (body[k] !== undefined) fields[k] = body[k]; });
+    return fields;
+};
+
+const TEMPLATE_KEYS = ['name', 'title', 'sections', 'signatures', 'footerText', 'isDefault'];
+
+const isTenantWide = async (req, userContext) => repos.reportCard.isAdmin(userContext)
+    || await checkPermission({ ...req.user, userContext: req.userContext }, 'exams', 'update') === 'tenant';
+
+/**
+ * Whose cards the caller may print: null for every student, { teacherId, classIds } for a
+ * teacher (the service checks the class), { studentIds } for parents and students (their
+ * linked students). Sends a 403 and returns false for anyone else.
+ *
+ * Parents and students hold exams:read at tenant scope, so the read scope is not enough.
+ */
+const cardAccess = async (req, res, userContext, { classWide }) => {
+    if (await isTenantWide(req, userContext)) return null;
+
+    const assignment = await repos.attendance.getTeacherAssignment(userContext);
+    if (assignment && assignment.teacherId) return assignment;
+
+    if (!classWide && repos.reportCard.isGuardianOrStudent(userContext)) {
+        return { studentIds: await repos.reportCard.getLinkedStudentIds(userContext) };
+    }
+
+    sendError(res, { status: 403, body: { success: false, error: 'Report cards are open to the class\'s teachers, the student\'s parents or tenant-wide exams access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+/**
+ * Teachers write remarks for the classes they are class teacher of (checked by the service);
+ * the tenant-wide path is reserved for callers who may update exams
+ */
+const remarksAccess = async (req, res, userContext) => {
+    if (await checkPermission({ ...req.user, userContext: req.userContext }, 'exams', 'update') === 'tenant') return null;
+
+    const assignment = await repos.attendance.getTeacherAssignment(userContext);
+    if (assignment && assignment.teacherId) return assignment;
+
+    sendError(res, { status: 403, body: { success: false, error: 'Remarks are written by the class teacher or tenant-wide exams access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+const sendPdf = (res, pdf, filename) => {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${filename}.pdf"`);
+    return res.send(pdf);
+};
+
+const fileName = (...parts) => parts.filter(Boolean).join('-').replace(/[^A-Za-z0-9._-]+/g, '_');
+
+/**
+ * Render cards with the requested (or default) template and the school's letterhead
+ */
+const renderCards = async (tenantId, data, templateId) => {
+    const [template, profile] = await Promise.all([
+        reportCardService.resolveTemplate(tenantId, templateId),
+        schoolProfileService.getProfile(tenantId)
+    ]);
+    const logo = await schoolProfileService.loadLogo(profile);
+    return renderReportCards(data, profile, template, logo);
+};
+
+const cardOptions = (query) => ({ academicSession: query.academicSession, from: query.from, to: query.to });
+
+// GET /api/exams/report-card-templates
+const listTemplates = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const templates = await reportCardService.listTemplates(userContext.tenantId);
+    res.json({ success: true, data: templates, builtIn: reportCardService.BUILT_IN_TEMPLATE });
+});
+
+// GET /api/exams/report-card-templates/:templateId
+const getTemplate = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const template = await reportCardService.getTemplateById(req.params.templateId, userContext.tenantId);
+    if (!template) return templateNotFound(res);
+    res.json({ success: true, data: template });
+});
+
+// POST /api/exams/report-card-templates
+const createTemplate = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const template = await reportCardService.createTemplate(userContext.tenantId, pick(req.body, TEMPLATE_KEYS));
+        res.status(201).json({ success: true, data: template });
+    } catch (err) {
+        return sendError(res, err, 'Failed to create report card template');
+    }
+});
+
+// PUT /api/exams/report-card-templates/:templateId
+const updateTemplate = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const template = await reportCardService.updateTemplate(req.params.templateId, userContext.tenantId, pick(req.body, TEMPLATE_KEYS));
+        if (!template) return templateNotFound(res);
+        res.json({ success: true, data: template });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update report card template');
+    }
+});
+
+// DELETE /api/exams/report-card-templates/:templateId
+const deleteTemplate = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    const template = await reportCardService.deleteTemplate(req.params.templateId, userContext.tenantId);
+    if (!template) return templateNotFound(res);
+    res.status(204).end();
+});
+
+// GET /api/exams/:id/remarks
+const getRemarks = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const access = await remarksAccess(req, res, userContext);
+    if (access === false) return;
+
+    try {
+        const remarks = await reportCardService.getClassRemarks(userContext.tenantId, req.params.id, req.query.classId, access);
+        res.json({ success: true, data: remarks });
+    } catch (err) {
+        return sendError(res, err, 'Failed to load remarks');
+    }
+});
+
+// PUT /api/exams/:id/remarks
+const saveRemarks = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const access = await remarksAccess(req, res, userContext);
+    if (access === false) return;
+
+    try {
+        const result = await reportCardService.saveClassRemarks(
+            userContext.tenantId,
+            req.params.id,
+            { classId: req.body.classId, entries: req.body.entries },
+            userContext.userId,
+            access
+        );
+        res.json({ success: true, data: result });
+    } catch (err) {
+        return sendError(res, err, 'Failed to save remarks');
+    }
+});
+
+// GET /api/exams/report-cards/students/:studentId
+const getStudentCard = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const access = await cardAccess(req, res, userContext, { classWide: false });
+    if (access === false) return;
+
+    try {
+        const data = await reportCardService.getStudentCard(userContext.tenantId, req.params.studentId, cardOptions(req.query), access);
+        if (req.query.format === 'json') return res.json({ success: true, data });
+
+        const pdf = await renderCards(userContext.tenantId, data, req.query.templateId);
+        const student = data.cards[0].student;
+        return sendPdf(res, pdf, fileName('report-card', student.admissionNo || student.name, data.academicSession));
+    } catch (err) {
+        return sendError(res, err, 'Failed to generate report card');
+    }
+});
+
+// GET /api/exams/report-cards/classes/:classId
+const getClassCards = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const access = await cardAccess(req, res, userContext, { classWide: true });
+    if (access === false) return;
+
+    try {
+        const data = await reportCardService.getClassCards(userContext.tenantId, { classId: req.params.classId, ...cardOptions(req.query) }, access);
+        if (req.query.format === 'json') return res.json({ success: true, data });
+
+        const pdf = await renderCards(userContext.tenantId, data, req.query.templateId);
+        return sendPdf(res, pdf, fileName('report-cards', data.class.className, data.class.section, data.academicSession));
+    } catch (err) {
+        return sendError(res, err, 'Failed to generate report cards');
+    }
+});
+
+module.exports = {
+    listTemplates,
+    getTemplate,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    getRemarks,
+    saveRemarks,
+    getStudentCard,
+    getClassCards
+};
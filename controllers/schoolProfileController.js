@@ -0,0 +1,56 @@
+const asyncHandler = require('../utils/asyncHandler');
+const schoolProfileService = require('../services/schoolProfileService');
+const { sendError } = require('../utils/errorMapper');
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+
+// GET /api/settings/school-profile
+const getProfile = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const profile = await schoolProfileService.getProfile(userContext.tenantId);
+    res.json({ success: true, data: profile });
+});
+
+// PUT /api/settings/school-profile
+const updateProfile = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const profile = await schoolProfileService.updateProfile(userContext.tenantId, req.body);
+        res.json({ success: true, data: profile });
+    } catch (err) {
+        return sendError(res, err, 'Failed to save school profile');
+    }
+});
+
+// PUT /api/settings/school-profile/logo
+const uploadLogo = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const profile = await schoolProfileService.setLogo(userContext.tenantId, req.file);
+        res.json({ success: true, data: profile });
+    } catch (err) {
+        return sendError(res, err, 'Failed to upload school logo');
+    }
+});
+
+// DELETE /api/settings/school-profile/logo
+const removeLogo = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const profile = await schoolProfileService.removeLogo(userContext.tenantId);
+    res.json({ success: true, data: profile });
+});
+
+module.exports = {
+    getProfile,
+    updateProfile,
+    uploadLogo,
+    removeLogo
+};
@@ -0,0 +1,243 @@
+const asyncHandler = require('../utils/asyncHandler');
+const staffAttendanceService = require('../services/staffAttendanceService');
+const { sendError } = require('../utils/errorMapper');
+const { sendReport } = require('../utils/exportHelper');
+const { RepositoryFactory } = require('../repositories');
+const { Op } = require('sequelize');
+
+// Initialize repository factory for staff attendance reads
+const repos = new RepositoryFactory();
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+const recordNotFound = (res) => sendError(res, { status: 404, body: { success: false, error: 'Staff attendance record not found', code: 'NOT_FOUND' } });
+
+/**
+ * Sheets, shifts and HR corrections cover every employee, so owned-scope callers are refused
+ */
+const requireTenantScope = (req, res) => {
+    if (req.permission && req.permission.scope === 'tenant') return true;
+    sendError(res, { status: 403, body: { success: false, error: 'This requires tenant-wide staff attendance access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+/**
+ * Build repository filters from staff attendance query parameters
+ * Supports employeeType, employeeId, status and a date range (from / to, inclusive)
+ */
+const buildFilters = (query) => {
+    const { employeeType, employeeId, status, from, to } = query;
+    const filters = {};
+    if (employeeType) filters.employeeType = employeeType;
+    if (employeeId) filters.employeeId = employeeId;
+    if (status) filters.status = status;
+    if (from || to) {
+        filters.attendanceDate = {};
+        if (from) filters.attendanceDate[Op.gte] = from;
+        if (to) filters.attendanceDate[Op.lte] = to;
+    }
+    return filters;
+};
+
+const paginationOptions = (query) => ({
+    page: Math.max(1, parseInt(query.page, 10) || 1),
+    limit: Math.min(200, Math.max(1, parseInt(query.limit, 10) || 50)),
+    order: [['attendanceDate', 'DESC'], ['createdAt', 'ASC']]
+});
+
+// POST /api/staff-attendance/check-in
+const checkIn = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const record = await staffAttendanceService.checkIn(userContext.tenantId, userContext.userId);
+        res.status(201).json({ success: true, data: record });
+    } catch (err) {
+        return sendError(res, err, 'Failed to check in');
+    }
+});
+
+// POST /api/staff-attendance/check-out
+const checkOut = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const record = await staffAttendanceService.checkOut(userContext.tenantId, userContext.userId);
+        res.json({ success: true, data: record });
+    } catch (err) {
+        return sendError(res, err, 'Failed to check out');
+    }
+});
+
+// GET /api/staff-attendance/me?month=
+const getMySheet = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const { rows, ...sheet } = await staffAttendanceService.buildSheet(userContext.tenantId, {
+            month: req.query.month || currentMonth(),
+            userId: userContext.userId
+        });
+        res.json({ success: true, data: { ...sheet, row: rows[0] || null } });
+    } catch (err) {
+        return sendError(res, err, 'Failed to load attendance');
+    }
+});
+
+// GET /api/staff-attendance
+const listRecords = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const options = paginationOptions(req.query);
+
+    try {
+        // RLS enforcement: owned-scope callers only get their own days
+        const { count, rows } = await repos.staffAttendance.findVisibleStaffAttendance(userContext, buildFilters(req.query), options);
+        res.json({
+            success: true,
+            data: rows,
+            pagination: { total: count, pages: Math.ceil(count / options.limit), current: options.page }
+        });
+    } catch (err) {
+        return sendError(res, err, 'Failed to list staff attendance');
+    }
+});
+
+// POST /api/staff-attendance
+const recordAttendance = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    const { employeeType, employeeId, date, status, checkInAt, checkOutAt, remarks } = req.body;
+
+    try {
+        const { record, created } = await staffAttendanceService.recordAttendance(userContext.tenantId, {
+            employeeType, employeeId, date, status, checkInAt, checkOutAt, remarks
+        }, userContext.userId);
+        res.status(created ? 201 : 200).json({ success: true, data: record });
+    } catch (err) {
+        return sendError(res, err, 'Failed to record staff attendance');
+    }
+});
+
+// GET /api/staff-attendance/sheet?month=&employeeType=
+const getSheet = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const sheet = await staffAttendanceService.buildSheet(userContext.tenantId, {
+            month: req.query.month || currentMonth(),
+            employeeType: req.query.employeeType
+        });
+        res.json({ success: true, data: sheet });
+    } catch (err) {
+        return sendError(res, err, 'Failed to build attendance sheet');
+    }
+});
+
+// GET /api/staff-attendance/sheet/export?month=&employeeType=&format=csv|pdf
+const exportSheet = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    const month = req.query.month || currentMonth();
+
+    try {
+        const sheet = await staffAttendanceService.buildSheet(userContext.tenantId, { month, employeeType: req.query.employeeType });
+        await sendReport(res, staffAttendanceService.sheetReport(sheet), req.query.format || 'csv', `staff-attendance-${month}`);
+    } catch (err) {
+        return sendError(res, err, 'Failed to export attendance sheet');
+    }
+});
+
+// GET /api/staff-attendance/shifts
+const listShifts = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const shifts = await staffAttendanceService.getShifts(userContext.tenantId);
+    res.json({ success: true, data: shifts });
+});
+
+// PUT /api/staff-attendance/shifts/:name
+const updateShift = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const shift = await staffAttendanceService.updateShift(userContext.tenantId, req.params.name, req.body);
+        res.json({ success: true, data: shift });
+    } catch (err) {
+        return sendError(res, err, 'Failed to save shift');
+    }
+});
+
+// GET /api/staff-attendance/:id
+const getRecord = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const record = await repos.staffAttendance.findStaffAttendanceById(req.params.id, userContext);
+    if (!record) return recordNotFound(res);
+    res.json({ success: true, data: record });
+});
+
+// PUT /api/staff-attendance/:id
+const updateRecord = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const record = await repos.staffAttendance.findStaffAttendanceById(req.params.id, userContext);
+        if (!record) return recordNotFound(res);
+
+        const { status, checkInAt, checkOutAt, remarks } = req.body;
+        const updated = await staffAttendanceService.updateRecord(record, { status, checkInAt, checkOutAt, remarks }, userContext.userId);
+        res.json({ success: true, data: updated });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update staff attendance');
+    }
+});
+
+// DELETE /api/staff-attendance/:id
+const deleteRecord = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const record = await repos.staffAttendance.findStaffAttendanceById(req.params.id, userContext);
+        if (!record) return recordNotFound(res);
+
+        await staffAttendanceService.deleteRecord(record);
+        res.status(204).end();
+    } catch (err) {
+        return sendError(res, err, 'Failed to delete staff attendance');
+    }
+});
+
+module.exports = {
+    checkIn,
+    checkOut,
+    getMySheet,
+    listRecords,
+    recordAttendance,
+    getSheet,
+    exportSheet,
+    listShifts,
+    updateShift,
+    getRecord,
+    updateRecord,
+    deleteRecord
+};
@@ -0,0 +1,248 @@
+const asyncHandler = require('../utils/asyncHandler');
+const staffLeaveService = require('../services/staffLeaveService');
+const { sendError } = require('../utils/errorMapper');
+const { RepositoryFactory } = require('../repositories');
+const { Op } = require('sequelize');
+
+// Initialize repository factory for leave reads
+const repos = new RepositoryFactory();
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+const leaveNotFound = (res) => sendError(res, { status: 404, body: { success: false, error: 'Leave application not found', code: 'NOT_FOUND' } });
+
+/**
+ * Leave types, approval chains and other employees' balances are tenant-wide, so owned-scope callers are refused
+ */
+const requireTenantScope = (req, res) => {
+    if (req.permission && req.permission.scope === 'tenant') return true;
+    sendError(res, { status: 403, body: { success: false, error: 'This requires tenant-wide staff attendance access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+/**
+ * Who is acting, for the approval chain and cancellation rules
+ */
+const callerOf = (userContext) => ({
+    userId: userContext.userId,
+    roles: userContext.roles || (userContext.role ? [userContext.role] : []),
+    isAdmin: repos.staffLeave.isAdmin(userContext)
+});
+
+/**
+ * Build repository filters from leave query parameters
+ * Supports employeeType, employeeId, leaveTypeId, status and a date range (leave overlapping from / to)
+ */
+const buildLeaveFilters = (query) => {
+    const { employeeType, employeeId, leaveTypeId, status, from, to } = query;
+    const filters = {};
+    if (employeeType) filters.employeeType = employeeType;
+    if (employeeId) filters.employeeId = employeeId;
+    if (leaveTypeId) filters.leaveTypeId = leaveTypeId;
+    if (status) filters.status = status;
+    if (from) filters.toDate = { [Op.gte]: from };
+    if (to) filters.fromDate = { [Op.lte]: to };
+    return filters;
+};
+
+const paginationOptions = (query) => ({
+    page: Math.max(1, parseInt(query.page, 10) || 1),
+    limit: Math.min(200, Math.max(1, parseInt(query.limit, 10) || 50)),
+    order: [['fromDate', 'DESC'], ['createdAt', 'DESC']]
+});
+
+// GET /api/staff-leaves/types
+const listLeaveTypes = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const types = await staffLeaveService.getLeaveTypes(userContext.tenantId, {
+        employeeType: req.query.employeeType,
+        activeOnly: req.query.includeInactive !== 'true'
+    });
+    res.json({ success: true, data: types });
+});
+
+// POST /api/staff-leaves/types
+const createLeaveType = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const leaveType = await staffLeaveService.createLeaveType(userContext.tenantId, req.body);
+        res.status(201).json({ success: true, data: leaveType });
+    } catch (err) {
+        return sendError(res, err, 'Failed to create leave type');
+    }
+});
+
+// PUT /api/staff-leaves/types/:id
+const updateLeaveType = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const leaveType = await staffLeaveService.updateLeaveType(userContext.tenantId, req.params.id, req.body);
+        res.json({ success: true, data: leaveType });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update leave type');
+    }
+});
+
+// GET /api/staff-leaves/approval-chains
+const listApprovalChains = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const chains = await staffLeaveService.getApprovalChains(userContext.tenantId);
+    res.json({ success: true, data: chains });
+});
+
+// PUT /api/staff-leaves/approval-chains/:employeeType
+const setApprovalChain = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const chain = await staffLeaveService.setApprovalChain(userContext.tenantId, req.params.employeeType, req.body.roleCodes);
+        res.json({ success: true, data: chain });
+    } catch (err) {
+        return sendError(res, err, 'Failed to save approval chain');
+    }
+});
+
+// GET /api/staff-leaves/balances?employeeType=&employeeId=&year=
+const getBalances = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    const { employeeType, employeeId, year } = req.query;
+
+    try {
+        const balances = await staffLeaveService.getBalances(userContext.tenantId, { employeeType, employeeId }, year ? Number(year) : null);
+        res.json({ success: true, data: balances });
+    } catch (err) {
+        return sendError(res, err, 'Failed to load leave balances');
+    }
+});
+
+// GET /api/staff-leaves/me?year=
+const getMyLeave = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const data = await staffLeaveService.getMyLeave(userContext.tenantId, userContext.userId, req.query.year ? Number(req.query.year) : null);
+        res.json({ success: true, data });
+    } catch (err) {
+        return sendError(res, err, 'Failed to load leave');
+    }
+});
+
+// GET /api/staff-leaves/approvals
+const listPendingApprovals = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const leaves = await staffLeaveService.pendingApprovals(userContext.tenantId, callerOf(userContext));
+    res.json({ success: true, data: leaves });
+});
+
+// GET /api/staff-leaves
+const listLeaves = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const options = paginationOptions(req.query);
+
+    try {
+        // RLS enforcement: owned-scope callers only get their own leave
+        const { count, rows } = await repos.staffLeave.findVisibleLeaves(userContext, buildLeaveFilters(req.query), options);
+        res.json({
+            success: true,
+            data: rows,
+            pagination: { total: count, pages: Math.ceil(count / options.limit), current: options.page }
+        });
+    } catch (err) {
+        return sendError(res, err, 'Failed to list leave applications');
+    }
+});
+
+// POST /api/staff-leaves
+const applyForLeave = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const { leaveTypeId, fromDate, toDate, reason } = req.body;
+
+    try {
+        const leave = await staffLeaveService.applyForLeave(userContext.tenantId, userContext.userId, { leaveTypeId, fromDate, toDate, reason });
+        res.status(201).json({ success: true, data: leave });
+    } catch (err) {
+        return sendError(res, err, 'Failed to apply for leave');
+    }
+});
+
+// GET /api/staff-leaves/:id
+const getLeave = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const visible = await repos.staffLeave.findLeaveById(req.params.id, userContext);
+    if (!visible) return leaveNotFound(res);
+
+    const leave = await staffLeaveService.getLeaveById(visible.id, userContext.tenantId);
+    res.json({ success: true, data: leave });
+});
+
+// POST /api/staff-leaves/:id/approve | /reject
+const reviewLeave = (decision) => asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const leave = await repos.staffLeave.findLeaveById(req.params.id, userContext);
+        if (!leave) return leaveNotFound(res);
+
+        const reviewed = await staffLeaveService.reviewLeave(leave, decision, req.body.remarks, callerOf(userContext));
+        res.json({ success: true, data: reviewed });
+    } catch (err) {
+        return sendError(res, err, 'Failed to review leave');
+    }
+});
+
+// POST /api/staff-leaves/:id/cancel
+const cancelLeave = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const leave = await repos.staffLeave.findLeaveById(req.params.id, userContext);
+        if (!leave) return leaveNotFound(res);
+
+        const cancelled = await staffLeaveService.cancelLeave(leave, callerOf(userContext));
+        res.json({ success: true, data: cancelled });
+    } catch (err) {
+        return sendError(res, err, 'Failed to cancel leave');
+    }
+});
+
+module.exports = {
+    listLeaveTypes,
+    createLeaveType,
+    updateLeaveType,
+    listApprovalChains,
+    setApprovalChain,
+    getBalances,
+    getMyLeave,
+    listPendingApprovals,
+    listLeaves,
+    applyForLeave,
+    getLeave,
+    approveLeave: reviewLeave('approved'),
+    rejectLeave: reviewLeave('rejected'),
+    cancelLeave
+};
@@ -1,5 +1,9 @@
 const asyncHandler = require('../utils/asyncHandler');
+const { Op } = require('sequelize');
 const studentService = require('../services/studentService');
+const feeStructureService = require('../services/feeStructureService');
+const academicYearService = require('../services/academicYearService');
+const classSectionService = require('../services/classSectionService');
 const { buildProxyUrl, generateS3Key, validateExtensionForCategory } = require('../utils/s3Helper');
 const { sendError } = require('../utils/errorMapper');
 const { RepositoryFactory } = require('../repositories');
@@ -52,7 +56,7 @@ const getClassDataForStudent = async (classId, userContext) => {
                     id: classData.id,
                     name: classData.className, // Map className to name
                     section: classData.section,
-                    academicYear: classData.academicYear, // If exists
+                    academicYearId: classData.academicYearId || null,
                     classTeacherId: classData.classTeacherId // If exists
                 };
                 logger.debug(`[CLASS_FETCH] Fetched via repository/model for input: ${classId}`);
@@ -73,7 +77,7 @@ const getClassDataForStudent = async (classId, userContext) => {
 
 // GET /api/students
 const listStudents = asyncHandler(async (req, res) => {
-    const { page = 1, limit = 20, classId } = req.query;
+    const { page = 1, limit = 20, classId, academicYearId } = req.query;
     const userContext = req.userContext || req.user;
 
     if (!userContext) {
@@ -82,7 +86,14 @@ const listStudents = asyncHandler(async (req, res) => {
 
     try {
         // Build filters for repository
-        const filters = classId ? { classId } : {};
+        let filters = classId ? { classId } : {};
+        // The current academic year unless one (or 'all') is asked for. A year's students (and
+        // their class in it) come from their enrollments, which outlive promotion
+        const yearId = await academicYearService.resolveYearFilter(userContext.tenantId, academicYearId);
+        if (yearId) {
+            const studentIds = await academicYearService.enrolledStudentIds(userContext.tenantId, yearId, classId);
+            filters = { id: { [Op.in]: studentIds } };
+        }
         const options = { page: Number(page), limit: Number(limit) };
 
         // Debug logging
@@ -204,6 +215,7 @@ const createStudent = asyncHandler(async (req, res) => {
         // Academic Info
         stream: req.body.stream || null,
         session: req.body.session || null,
+        academicYearId: req.body.academicYearId || null, // Model hook fills it from session / the class / the current year
         admissionClass: req.body.className || null,
 
         // Personal Details
@@ -253,6 +265,11 @@ const createStudent = asyncHandler(async (req, res) => {
     const transaction = await sequelize.transaction();
 
     try {
+        // The section must have a seat; the student takes its next roll number
+        if (classData) {
+            payload.rollNumber = (await classSectionService.placeStudent(userContext.tenantId, classData.id, transaction)).rollNumber;
+        }
+
         // RLS enforcement: Repository enforces tenant isolation automatically
         // Pass transaction to student creation
         const student = await repos.student.createStudent(payload, userContext, transaction);
@@ -289,6 +306,12 @@ const createStudent = asyncHandler(async (req, res) => {
             }
         }
 
+        // Raise the fees of any structure already assigned to the student's class
+        const feesCreated = await feeStructureService.applyAssignedStructuresToStudent(student, transaction);
+        if (feesCreated > 0) {
+            logger.info(`[createStudent] Generated ${feesCreated} fees from assigned structures for student ${student.id}`);
+        }
+
         // Commit transaction
         await transaction.commit();
 
@@ -375,6 +398,7 @@ const updateStudent = asyncHandler(async (req, res) => {
         // Academic Info
         stream: req.body.stream || undefined,
         session: req.body.session || undefined,
+        academicYearId: req.body.academicYearId || undefined,
 
         // Personal Details
         gender: req.body.gender || undefined,
@@ -426,8 +450,31 @@ const updateStudent = asyncHandler(async (req, res) => {
     try {
         // RLS enforcement: Repository validates access and updates only if allowed
         // Pass transaction to student update
+        // Bulk updates skip the model hooks: keep the academic year and session label in step here
+        const year = await academicYearService.resolveYearLabel(userContext.tenantId, {
+            academicYearId: updates.academicYearId,
+            label: updates.session
+        }, transaction);
+        if (year) {
+            updates.academicYearId = year.academicYearId;
+            updates.session = year.label;
+        }
+
+        // A student changing class takes a seat and the next roll number of the new section
+        if (updates.classId) {
+            const current = await repos.student.findStudentById(studentId, userContext, { transaction });
+            if (current && current.classId !== updates.classId) {
+                const placed = await classSectionService.placeStudent(userContext.tenantId, updates.classId, transaction);
+                updates.classData = placed.classData;
+                updates.rollNumber = placed.rollNumber;
+            }
+        }
+
         await repos.student.updateStudent(studentId, updates, userContext, transaction);
 
+        const updated = await repos.student.findStudentById(studentId, userContext, { transaction });
+        if (updated) await academicYearService.syncEnrollment(updated, transaction);
+
         // Handle sibling relationship updates if provided
         if (siblingIds !== undefined) {
             try {
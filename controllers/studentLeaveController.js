@@ -0,0 +1,153 @@
+const asyncHandler = require('../utils/asyncHandler');
+const studentLeaveService = require('../services/studentLeaveService');
+const { sendError } = require('../utils/errorMapper');
+const { RepositoryFactory } = require('../repositories');
+const { generateS3Key, buildProxyUrl, validateExtensionForCategory } = require('../utils/s3Helper');
+const { s3Client, bucket: S3_BUCKET, uploadBufferToS3 } = require('../config/s3');
+const { Op } = require('sequelize');
+
+// Initialize repository factory for leave reads
+const repos = new RepositoryFactory();
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+const leaveNotFound = (res) => sendError(res, { status: 404, body: { success: false, error: 'Leave application not found', code: 'NOT_FOUND' } });
+
+/**
+ * Serialize a leave, turning the attachment key into a proxy URL
+ */
+const toLeaveJson = (leave) => {
+    const l = leave.toJSON ? leave.toJSON() : leave;
+    l.attachmentUrl = l.attachmentKey ? buildProxyUrl(l.attachmentKey) : null;
+    return l;
+};
+
+/**
+ * Build repository filters from leave query parameters
+ * Supports studentId, classId, status and a date range (leave overlapping from / to)
+ */
+const buildLeaveFilters = (query) => {
+    const { studentId, classId, status, from, to } = query;
+    const filters = {};
+    if (studentId) filters.studentId = studentId;
+    if (classId) filters.classId = classId;
+    if (status) filters.status = status;
+    if (from) filters.toDate = { [Op.gte]: from };
+    if (to) filters.fromDate = { [Op.lte]: to };
+    return filters;
+};
+
+const paginationOptions = (query) => ({
+    page: Math.max(1, parseInt(query.page, 10) || 1),
+    limit: Math.min(200, Math.max(1, parseInt(query.limit, 10) || 50)),
+    order: [['fromDate', 'DESC'], ['createdAt', 'DESC']]
+});
+
+// GET /api/student-leaves
+const listLeaves = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const options = paginationOptions(req.query);
+
+    try {
+        // RLS enforcement: parents only get their children, teachers only their classes
+        const { count, rows } = await repos.studentLeave.findVisibleLeaves(userContext, buildLeaveFilters(req.query), options);
+        res.json({
+            success: true,
+            data: rows.map(toLeaveJson),
+            pagination: { total: count, pages: Math.ceil(count / options.limit), current: options.page }
+        });
+    } catch (err) {
+        return sendError(res, err, 'Failed to list leave applications');
+    }
+});
+
+// POST /api/student-leaves (multipart: attachment)
+const applyForLeave = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    if (req.file && !validateExtensionForCategory(req.file.originalname, 'documents')) {
+        return sendError(res, { status: 400, body: { success: false, error: 'Invalid attachment type', code: 'VALIDATION_ERROR' } });
+    }
+
+    const { studentId, fromDate, toDate, reason } = req.body;
+
+    try {
+        let leave = await studentLeaveService.applyForLeave(userContext.tenantId, { studentId, fromDate, toDate, reason }, {
+            userId: userContext.userId,
+            onBehalf: repos.studentLeave.isAdmin(userContext)
+        });
+
+        // Upload the attachment once the application exists, keyed under the student
+        if (req.file && req.file.buffer) {
+            const key = generateS3Key(userContext.tenantId, 'students', studentId, 'leave', req.file.originalname);
+            await uploadBufferToS3(s3Client, S3_BUCKET, key, req.file.buffer, req.file.mimetype);
+            leave = await studentLeaveService.setAttachment(leave, key);
+        }
+
+        res.status(201).json({ success: true, data: toLeaveJson(leave) });
+    } catch (err) {
+        return sendError(res, err, 'Failed to apply for leave');
+    }
+});
+
+// GET /api/student-leaves/:id
+const getLeave = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const visible = await repos.studentLeave.findLeaveById(req.params.id, userContext);
+    if (!visible) return leaveNotFound(res);
+
+    const leave = await studentLeaveService.getLeaveById(visible.id, userContext.tenantId);
+    res.json({ success: true, data: toLeaveJson(leave) });
+});
+
+// POST /api/student-leaves/:id/approve | /reject
+const reviewLeave = (decision) => asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const leave = await repos.studentLeave.findLeaveById(req.params.id, userContext);
+        if (!leave) return leaveNotFound(res);
+
+        const assignment = await repos.studentLeave.getTeacherAssignment(userContext);
+        const result = await studentLeaveService.reviewLeave(leave, decision, req.body.remarks, userContext.userId, {
+            classIds: assignment ? assignment.classIds : null,
+            teacherId: assignment ? assignment.teacherId : null
+        });
+        res.json({ success: true, data: toLeaveJson(result.leave), excused: result.excused });
+    } catch (err) {
+        return sendError(res, err, 'Failed to review leave');
+    }
+});
+
+// POST /api/student-leaves/:id/cancel
+const cancelLeave = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const leave = await repos.studentLeave.findLeaveById(req.params.id, userContext);
+        if (!leave) return leaveNotFound(res);
+
+        const cancelled = await studentLeaveService.cancelLeave(leave, {
+            userId: userContext.userId,
+            isAdmin: repos.studentLeave.isAdmin(userContext)
+        });
+        res.json({ success: true, data: toLeaveJson(cancelled) });
+    } catch (err) {
+        return sendError(res, err, 'Failed to cancel leave');
+    }
+});
+
+module.exports = {
+    listLeaves,
+    applyForLeave,
+    getLeave,
+    approveLeave: reviewLeave('approved'),
+    rejectLeave: reviewLeave('rejected'),
+    cancelLeave
+};
@@ -0,0 +1,149 @@
+const asyncHandler = require('../utils/asyncHandler');
+const subjectService = require('../services/subjectService');
+const { sendError } = require('../utils/errorMapper');
+
+const authRequired = (res) => sendError(res, { status: 401, body: { success: false, error: 'Authentication required', code: 'AUTH_REQUIRED' } });
+const subjectNotFound = (res) => sendError(res, { status: 404, body: { success: false, error: 'Subject not found', code: 'NOT_FOUND' } });
+
+const requireTenantScope = (req, res) => {
+    if (req.permission && req.permission.scope === 'tenant') return true;
+    sendError(res, { status: 403, body: { success: false, error: 'This requires tenant-wide school config access', code: 'INSUFFICIENT_PERMISSIONS' } });
+    return false;
+};
+
+const pick = (body, keys) => {
+    const fields = {};
+    keys.forEach(k => { if (body[k] !== undefined) fields[k] = body[k]; });
+    return fields;
+};
+
+const SUBJECT_KEYS = ['name', 'code', 'type', 'category', 'status'];
+
+// GET /api/subjects
+const listSubjects = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const subjects = await subjectService.listSubjects(userContext.tenantId, pick(req.query, ['status', 'type', 'category']));
+    res.json({ success: true, data: subjects });
+});
+
+// GET /api/subjects/:id
+const getSubject = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    const subject = await subjectService.getSubjectById(req.params.id, userContext.tenantId);
+    if (!subject) return subjectNotFound(res);
+    res.json({ success: true, data: subject });
+});
+
+// POST /api/subjects
+const createSubject = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const subject = await subjectService.createSubject(userContext.tenantId, pick(req.body, SUBJECT_KEYS));
+        res.status(201).json({ success: true, data: subject });
+    } catch (err) {
+        return sendError(res, err, 'Failed to create subject');
+    }
+});
+
+// PUT /api/subjects/:id
+const updateSubject = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const subject = await subjectService.updateSubject(req.params.id, userContext.tenantId, pick(req.body, SUBJECT_KEYS));
+        if (!subject) return subjectNotFound(res);
+        res.json({ success: true, data: subject });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update subject');
+    }
+});
+
+// DELETE /api/subjects/:id
+const deleteSubject = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const subject = await subjectService.deleteSubject(req.params.id, userContext.tenantId);
+        if (!subject) return subjectNotFound(res);
+        res.status(204).end();
+    } catch (err) {
+        return sendError(res, err, 'Failed to delete subject');
+    }
+});
+
+// GET /api/subjects/classes/:classId
+const getClassSubjects = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const mapping = await subjectService.listClassSubjects(userContext.tenantId, req.params.classId);
+        res.json({ success: true, data: mapping });
+    } catch (err) {
+        return sendError(res, err, 'Failed to load the class subjects');
+    }
+});
+
+// PUT /api/subjects/classes/:classId
+const setClassSubjects = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const mapping = await subjectService.setClassSubjects(userContext.tenantId, req.params.classId, req.body.subjects);
+        res.json({ success: true, data: mapping });
+    } catch (err) {
+        return sendError(res, err, 'Failed to save the class subjects');
+    }
+});
+
+// GET /api/subjects/teachers/:teacherId
+const getTeacherSubjects = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+
+    try {
+        const mapping = await subjectService.getTeacherSubjects(userContext.tenantId, req.params.teacherId);
+        res.json({ success: true, data: mapping });
+    } catch (err) {
+        return sendError(res, err, 'Failed to load the teacher\'s subjects');
+    }
+});
+
+// POST /api/subjects/import-timetable
+const importFromTimetable = asyncHandler(async (req, res) => {
+    const userContext = req.userContext || req.user;
+    if (!userContext || !userContext.tenantId) return authRequired(res);
+    if (!requireTenantScope(req, res)) return;
+
+    try {
+        const counts = await subjectService.importFromTimetable(userContext.tenantId);
+        res.json({ success: true, data: counts });
+    } catch (err) {
+        return sendError(res, err, 'Failed to import subjects from the timetable');
+    }
+});
+
+module.exports = {
+    listSubjects,
+    getSubject,
+    createSubject,
+    updateSubject,
+    deleteSubject,
+    getClassSubjects,
+    setClassSubjects,
+    getTeacherSubjects,
+    importFromTimetable
+};
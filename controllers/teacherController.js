@@ -76,8 +76,8 @@ const convertKeysToUrls = async (teacher) => {
  * @param {String} dateOfJoining - Optional, YYYY-MM-DD format
  * @param {String} contractType - Optional: Permanent|Temporary|Contract|Probation
  * @param {String} qualifications - Optional
- * @param {String} classIds - Optional, JSON array of class UUIDs
- * @param {String} subjectIds - Optional, JSON array of subject UUIDs
+ * @param {String} classIds - Optional, legacy JSON array of class UUIDs; assign classes through /api/subjects/classes/:classId
+ * @param {String} subjectIds - Optional, legacy JSON array of subject UUIDs; superseded by the class subjects
  * @param {File} profileImage - Optional, JPG/PNG/SVG, max 4MB
  * @param {File} resume - Optional, PDF, max 4MB
  * @param {File} joiningLetter - Optional, PDF, max 4MB
@@ -0,0 +1,88 @@
+const asyncHandler = require('../utils/asyncHandler');
+const timetableService = require('../services/timetableService');
+const { sendError } = require('../utils/errorMapper');
+
+const tenantRequired = (res) => sendError(res, { status: 400, body: { success: false, error: 'tenantId missing', code: 'TENANT_REQUIRED' } });
+const slotNotFound = (res) => sendError(res, { status: 404, body: { success: false, error: 'Timetable slot not found', code: 'NOT_FOUND' } });
+
+const pickSlotFields = (body) => {
+    const fields = {};
+    ['classId', 'dayOfWeek', 'periodNo', 'startTime', 'endTime', 'subject', 'subjectId', 'teacherId', 'room', 'isActive'].forEach(k => {
+        if (body[k] !== undefined) fields[k] = body[k];
+    });
+    return fields;
+};
+
+// GET /api/timetable
+const listSlots = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    const { classId, teacherId, dayOfWeek, includeInactive } = req.query;
+    const slots = await timetableService.listSlots(tenantId, {
+        classId,
+        teacherId,
+        dayOfWeek: dayOfWeek ? Number(dayOfWeek) : undefined,
+        includeInactive: includeInactive === 'true'
+    });
+    res.json({ success: true, data: slots });
+});
+
+// POST /api/timetable
+const createSlot = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    try {
+        const slot = await timetableService.createSlot(tenantId, pickSlotFields(req.body));
+        res.status(201).json({ success: true, data: slot });
+    } catch (err) {
+        return sendError(res, err, 'Failed to create timetable slot');
+    }
+});
+
+// GET /api/timetable/:id
+const getSlotById = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    const slot = await timetableService.getSlotById(req.params.id, tenantId);
+    if (!slot) return slotNotFound(res);
+    res.json({ success: true, data: slot });
+});
+
+// PUT /api/timetable/:id
+const updateSlot = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    try {
+        const slot = await timetableService.updateSlot(req.params.id, tenantId, pickSlotFields(req.body));
+        if (!slot) return slotNotFound(res);
+        res.json({ success: true, data: slot });
+    } catch (err) {
+        return sendError(res, err, 'Failed to update timetable slot');
+    }
+});
+
+// DELETE /api/timetable/:id
+const deleteSlot = asyncHandler(async (req, res) => {
+    const tenantId = req.user && req.user.tenantId;
+    if (!tenantId) return tenantRequired(res);
+
+    try {
+        const deleted = await timetableService.deleteSlot(req.params.id, tenantId);
+        if (!deleted) return slotNotFound(res);
+        res.status(204).send();
+    } catch (err) {
+        return sendError(res, err, 'Failed to delete timetable slot');
+    }
+});
+
+module.exports = {
+    listSlots,
+    createSlot,
+    getSlotById,
+    updateSlot,
+    deleteSlot
+};
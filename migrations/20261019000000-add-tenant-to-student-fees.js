@@ -0,0 +1,95 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tableInfo = await queryInterface.describeTable('student_fees');
+
+    // 1. tenantId: add as nullable, backfill from the owning student, then enforce NOT NULL
+    if (!tableInfo.tenantId) {
+      await queryInterface.addColumn('student_fees', 'tenantId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'tenants', key: 'id' }
+      });
+    }
+
+    await queryInterface.sequelize.query(
+      `UPDATE student_fees sf
+       INNER JOIN students s ON s.id = sf.studentId
+       SET sf.tenantId = s.tenantId
+       WHERE sf.tenantId IS NULL`
+    );
+
+    await queryInterface.changeColumn('student_fees', 'tenantId', {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: { model: 'tenants', key: 'id' }
+    });
+
+    // 2. classId snapshot, backfilled from the student's current class
+    if (!tableInfo.classId) {
+      await queryInterface.addColumn('student_fees', 'classId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'classes', key: 'id' }
+      });
+
+      await queryInterface.sequelize.query(
+        `UPDATE student_fees sf
+         INNER JOIN students s ON s.id = sf.studentId
+         SET sf.classId = s.classId
+         WHERE sf.classId IS NULL`
+      );
+    }
+
+    // 3. Columns the model already declares but the original migration missed
+    if (!tableInfo.paidDate) {
+      await queryInterface.addColumn('student_fees', 'paidDate', {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      });
+    }
+
+    if (!tableInfo.remarks) {
+      await queryInterface.addColumn('student_fees', 'remarks', {
+        type: Sequelize.TEXT,
+        allowNull: true
+      });
+    }
+
+    await queryInterface.changeColumn('student_fees', 'dueDate', {
+      type: Sequelize.DATEONLY,
+      allowNull: true
+    });
+
+    await queryInterface.changeColumn('student_fees', 'status', {
+      type: Sequelize.ENUM('pending', 'paid', 'partial', 'overdue'),
+      defaultValue: 'pending'
+    });
+
+    // 4. Tenant-scoped indexes used by the fee list filters
+    const indexes = [
+      { fields: ['tenantId', 'status'], name: 'idx_student_fees_tenant_status' },
+      { fields: ['tenantId', 'classId'], name: 'idx_student_fees_tenant_class' },
+      { fields: ['tenantId', 'dueDate'], name: 'idx_student_fees_tenant_due' }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex('student_fees', index.fields, { name: index.name });
+      } catch (e) {
+        if (!e.message.includes('Duplicate key name') && !e.message.includes('already exists')) {
+          throw e;
+        }
+      }
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('student_fees', 'idx_student_fees_tenant_due');
+    await queryInterface.removeIndex('student_fees', 'idx_student_fees_tenant_class');
+    await queryInterface.removeIndex('student_fees', 'idx_student_fees_tenant_status');
+    await queryInterface.removeColumn('student_fees', 'classId');
+    await queryInterface.removeColumn('student_fees', 'tenantId');
+  }
+};
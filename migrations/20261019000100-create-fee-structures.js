@@ -0,0 +1,193 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const timestamps = {
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    };
+
+    if (!(await queryInterface.tableExists('fee_heads'))) {
+      await queryInterface.createTable('fee_heads', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' }
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        code: {
+          type: Sequelize.STRING(30),
+          allowNull: true
+        },
+        description: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        status: {
+          type: Sequelize.ENUM('active', 'inactive'),
+          defaultValue: 'active'
+        },
+        ...timestamps
+      });
+
+      await queryInterface.addIndex('fee_heads', ['tenantId', 'name'], { unique: true, name: 'uq_fee_heads_tenant_name' });
+      await queryInterface.addIndex('fee_heads', ['tenantId', 'status']);
+    }
+
+    if (!(await queryInterface.tableExists('fee_structures'))) {
+      await queryInterface.createTable('fee_structures', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' }
+        },
+        classId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'classes', key: 'id' }
+        },
+        name: {
+          type: Sequelize.STRING(150),
+          allowNull: false
+        },
+        academicSession: {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        },
+        description: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        status: {
+          type: Sequelize.ENUM('active', 'inactive'),
+          defaultValue: 'active'
+        },
+        assignedAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        ...timestamps
+      });
+
+      await queryInterface.addIndex('fee_structures', ['tenantId', 'classId']);
+      await queryInterface.addIndex('fee_structures', ['tenantId', 'academicSession']);
+    }
+
+    if (!(await queryInterface.tableExists('fee_structure_items'))) {
+      await queryInterface.createTable('fee_structure_items', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' }
+        },
+        feeStructureId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'fee_structures', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        feeHeadId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'fee_heads', key: 'id' }
+        },
+        installmentNo: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 1
+        },
+        label: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        amount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false
+        },
+        dueDate: {
+          type: Sequelize.DATEONLY,
+          allowNull: true
+        },
+        ...timestamps
+      });
+
+      await queryInterface.addIndex('fee_structure_items', ['feeStructureId']);
+      await queryInterface.addIndex('fee_structure_items', ['feeStructureId', 'feeHeadId', 'installmentNo'], {
+        unique: true,
+        name: 'uq_fee_structure_item'
+      });
+    }
+
+    // Link generated student fees back to their structure line
+    const feeTable = await queryInterface.describeTable('student_fees');
+
+    if (!feeTable.feeHeadId) {
+      await queryInterface.addColumn('student_fees', 'feeHeadId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'fee_heads', key: 'id' }
+      });
+    }
+
+    if (!feeTable.feeStructureId) {
+      await queryInterface.addColumn('student_fees', 'feeStructureId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'fee_structures', key: 'id' }
+      });
+    }
+
+    if (!feeTable.feeStructureItemId) {
+      await queryInterface.addColumn('student_fees', 'feeStructureItemId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'fee_structure_items', key: 'id' }
+      });
+    }
+
+    try {
+      await queryInterface.addIndex('student_fees', ['studentId', 'feeStructureItemId'], {
+        unique: true,
+        name: 'uq_student_fee_structure_item'
+      });
+    } catch (e) {
+      if (!e.message.includes('Duplicate key name') && !e.message.includes('already exists')) {
+        throw e;
+      }
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeIndex('student_fees', 'uq_student_fee_structure_item');
+    await queryInterface.removeColumn('student_fees', 'feeStructureItemId');
+    await queryInterface.removeColumn('student_fees', 'feeStructureId');
+    await queryInterface.removeColumn('student_fees', 'feeHeadId');
+    await queryInterface.dropTable('fee_structure_items');
+    await queryInterface.dropTable('fee_structures');
+    await queryInterface.dropTable('fee_heads');
+  }
+};
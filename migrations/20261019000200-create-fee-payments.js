@@ -0,0 +1,177 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const timestamps = {
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    };
+
+    if (!(await queryInterface.tableExists('receipt_sequences'))) {
+      await queryInterface.createTable('receipt_sequences', {
+        tenantId: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          references: { model: 'tenants', key: 'id' }
+        },
+        prefix: {
+          type: Sequelize.STRING(10),
+          allowNull: false,
+          defaultValue: 'RCT-'
+        },
+        lastNumber: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        ...timestamps
+      });
+    }
+
+    if (!(await queryInterface.tableExists('fee_payments'))) {
+      await queryInterface.createTable('fee_payments', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' }
+        },
+        studentFeeId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'student_fees', key: 'id' }
+        },
+        studentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'students', key: 'id' }
+        },
+        receiptNo: {
+          type: Sequelize.STRING(30),
+          allowNull: false
+        },
+        amount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false
+        },
+        mode: {
+          type: Sequelize.ENUM('cash', 'cheque', 'upi', 'bank_transfer'),
+          allowNull: false
+        },
+        referenceNo: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        paidOn: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        collectedBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        remarks: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        status: {
+          type: Sequelize.ENUM('active', 'reversed'),
+          defaultValue: 'active'
+        },
+        reversedAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        reversedBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        reversalReason: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        ...timestamps
+      });
+
+      await queryInterface.addIndex('fee_payments', ['tenantId', 'receiptNo'], { unique: true, name: 'uq_fee_payments_tenant_receipt' });
+      await queryInterface.addIndex('fee_payments', ['studentFeeId', 'status']);
+      await queryInterface.addIndex('fee_payments', ['tenantId', 'studentId']);
+      await queryInterface.addIndex('fee_payments', ['tenantId', 'paidOn']);
+    }
+
+    if (!(await queryInterface.tableExists('fee_payment_audits'))) {
+      await queryInterface.createTable('fee_payment_audits', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' }
+        },
+        feePaymentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'fee_payments', key: 'id' }
+        },
+        action: {
+          type: Sequelize.ENUM('collected', 'reversed'),
+          allowNull: false
+        },
+        performedBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        reason: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        snapshot: {
+          type: Sequelize.JSON,
+          allowNull: true
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+
+      await queryInterface.addIndex('fee_payment_audits', ['feePaymentId']);
+      await queryInterface.addIndex('fee_payment_audits', ['tenantId', 'createdAt']);
+    }
+
+    const feeTable = await queryInterface.describeTable('student_fees');
+    if (!feeTable.paidAmount) {
+      await queryInterface.addColumn('student_fees', 'paidAmount', {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      });
+
+      // Fees marked paid by hand before the ledger existed count as fully paid
+      await queryInterface.sequelize.query("UPDATE student_fees SET paidAmount = amount WHERE status = 'paid'");
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('student_fees', 'paidAmount');
+    await queryInterface.dropTable('fee_payment_audits');
+    await queryInterface.dropTable('fee_payments');
+    await queryInterface.dropTable('receipt_sequences');
+  }
+};
@@ -0,0 +1,191 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const timestamps = {
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    };
+
+    if (!(await queryInterface.tableExists('payment_gateway_configs'))) {
+      await queryInterface.createTable('payment_gateway_configs', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' }
+        },
+        provider: {
+          type: Sequelize.STRING(30),
+          allowNull: false
+        },
+        keyId: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        keySecret: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        webhookSecret: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        mode: {
+          type: Sequelize.ENUM('test', 'live'),
+          defaultValue: 'test'
+        },
+        isActive: {
+          type: Sequelize.BOOLEAN,
+          defaultValue: true
+        },
+        ...timestamps
+      });
+
+      await queryInterface.addIndex('payment_gateway_configs', ['tenantId', 'provider'], { unique: true, name: 'uq_payment_gateway_tenant_provider' });
+    }
+
+    if (!(await queryInterface.tableExists('payment_orders'))) {
+      await queryInterface.createTable('payment_orders', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' }
+        },
+        provider: {
+          type: Sequelize.STRING(30),
+          allowNull: false
+        },
+        providerOrderId: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        providerPaymentId: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        amount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false
+        },
+        currency: {
+          type: Sequelize.STRING(3),
+          allowNull: false,
+          defaultValue: 'INR'
+        },
+        allocations: {
+          type: Sequelize.JSON,
+          allowNull: false
+        },
+        status: {
+          type: Sequelize.ENUM('created', 'paid', 'failed'),
+          defaultValue: 'created'
+        },
+        paidAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        unallocatedAmount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        failureReason: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        settlementId: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        settledAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        createdBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        ...timestamps
+      });
+
+      await queryInterface.addIndex('payment_orders', ['provider', 'providerOrderId'], { unique: true, name: 'uq_payment_orders_provider_order' });
+      await queryInterface.addIndex('payment_orders', ['tenantId', 'status']);
+      await queryInterface.addIndex('payment_orders', ['tenantId', 'paidAt']);
+    }
+
+    if (!(await queryInterface.tableExists('payment_webhook_events'))) {
+      await queryInterface.createTable('payment_webhook_events', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' }
+        },
+        provider: {
+          type: Sequelize.STRING(30),
+          allowNull: false
+        },
+        eventId: {
+          type: Sequelize.STRING(150),
+          allowNull: false
+        },
+        eventType: {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        },
+        payload: {
+          type: Sequelize.JSON,
+          allowNull: true
+        },
+        status: {
+          type: Sequelize.ENUM('processed', 'ignored', 'failed'),
+          defaultValue: 'processed'
+        },
+        error: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        ...timestamps
+      });
+
+      await queryInterface.addIndex('payment_webhook_events', ['provider', 'eventId'], { unique: true, name: 'uq_payment_webhook_provider_event' });
+    }
+
+    // Gateway-confirmed payments are recorded in the ledger with mode `online`
+    await queryInterface.changeColumn('fee_payments', 'mode', {
+      type: Sequelize.ENUM('cash', 'cheque', 'upi', 'bank_transfer', 'online'),
+      allowNull: false
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.changeColumn('fee_payments', 'mode', {
+      type: Sequelize.ENUM('cash', 'cheque', 'upi', 'bank_transfer'),
+      allowNull: false
+    });
+    await queryInterface.dropTable('payment_webhook_events');
+    await queryInterface.dropTable('payment_orders');
+    await queryInterface.dropTable('payment_gateway_configs');
+  }
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const timestamps = {
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    };
+
+    if (!(await queryInterface.tableExists('fee_rules'))) {
+      await queryInterface.createTable('fee_rules', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' }
+        },
+        name: {
+          type: Sequelize.STRING(150),
+          allowNull: false
+        },
+        kind: {
+          type: Sequelize.ENUM(
+            'sibling_concession',
+            'staff_ward_waiver',
+            'scholarship',
+            'category_concession',
+            'late_fine_per_day',
+            'late_fine_flat'
+          ),
+          allowNull: false
+        },
+        valueType: {
+          type: Sequelize.ENUM('percent', 'fixed'),
+          allowNull: false,
+          defaultValue: 'fixed'
+        },
+        value: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: false
+        },
+        feeHeadId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'fee_heads', key: 'id' }
+        },
+        category: {
+          type: Sequelize.STRING(20),
+          allowNull: true
+        },
+        minSiblingRank: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        graceDays: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        maxAmount: {
+          type: Sequelize.DECIMAL(10, 2),
+          allowNull: true
+        },
+        priority: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 100
+        },
+        description: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        isActive: {
+          type: Sequelize.BOOLEAN,
+          defaultValue: true
+        },
+        ...timestamps
+      });
+
+      await queryInterface.addIndex('fee_rules', ['tenantId', 'isActive']);
+    }
+
+    if (!(await queryInterface.tableExists('fee_rule_assignments'))) {
+      await queryInterface.createTable('fee_rule_assignments', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' }
+        },
+        feeRuleId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'fee_rules', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        studentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'students', key: 'id' }
+        },
+        remarks: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        ...timestamps
+      });
+
+      await queryInterface.addIndex('fee_rule_assignments', ['feeRuleId', 'studentId'], { unique: true, name: 'uq_fee_rule_assignment' });
+      await queryInterface.addIndex('fee_rule_assignments', ['tenantId', 'studentId']);
+    }
+
+    // Gross / discount / fine breakdown on student fees; `amount` stays the net amount due
+    const feeTable = await queryInterface.describeTable('student_fees');
+
+    if (!feeTable.grossAmount) {
+      await queryInterface.addColumn('student_fees', 'grossAmount', {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true
+      });
+      await queryInterface.sequelize.query('UPDATE student_fees SET grossAmount = amount');
+    }
+
+    if (!feeTable.discountAmount) {
+      await queryInterface.addColumn('student_fees', 'discountAmount', {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      });
+    }
+
+    if (!feeTable.fineAmount) {
+      await queryInterface.addColumn('student_fees', 'fineAmount', {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+      });
+    }
+
+    if (!feeTable.adjustments) {
+      await queryInterface.addColumn('student_fees', 'adjustments', {
+        type: Sequelize.JSON,
+        allowNull: true
+      });
+    }
+
+    if (!feeTable.rulesEvaluatedAt) {
+      await queryInterface.addColumn('student_fees', 'rulesEvaluatedAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('student_fees', 'rulesEvaluatedAt');
+    await queryInterface.removeColumn('student_fees', 'adjustments');
+    await queryInterface.removeColumn('student_fees', 'fineAmount');
+    await queryInterface.removeColumn('student_fees', 'discountAmount');
+    await queryInterface.removeColumn('student_fees', 'grossAmount');
+    await queryInterface.dropTable('fee_rule_assignments');
+    await queryInterface.dropTable('fee_rules');
+  }
+};
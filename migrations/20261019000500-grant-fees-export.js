@@ -0,0 +1,64 @@
+'use strict';
+
+const { randomUUID } = require('crypto');
+
+/**
+ * Roles seeded per tenant (services/rolePermissionService.seedTenantRoles) got create/read/update/delete
+ * for 'full' modules but never 'export', unlike scripts/seedRBAC.js. Fee report exports are gated on
+ * fees:export, so grant it to every role that holds fees:create (only 'full' grants create).
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const now = new Date();
+
+    let [exportPermission] = await queryInterface.sequelize.query(
+      `SELECT id FROM permissions WHERE resource = 'fees' AND action = 'export' LIMIT 1`,
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+    if (!exportPermission) {
+      exportPermission = { id: randomUUID() };
+      await queryInterface.bulkInsert('permissions', [{
+        id: exportPermission.id,
+        resource: 'fees',
+        action: 'export',
+        description: 'EXPORT action on fees resource',
+        createdAt: now,
+        updatedAt: now
+      }]);
+    }
+
+    // effect / scope / level were added to role_permissions after its create migration
+    const columns = await queryInterface.describeTable('role_permissions');
+
+    const roles = await queryInterface.sequelize.query(
+      `SELECT DISTINCT rp.roleId
+         FROM role_permissions rp
+         JOIN permissions p ON p.id = rp.permissionId
+        WHERE p.resource = 'fees' AND p.action = 'create'
+          ${columns.effect ? "AND rp.effect = 'allow'" : ''}
+          AND NOT EXISTS (
+            SELECT 1 FROM role_permissions x WHERE x.roleId = rp.roleId AND x.permissionId = :permissionId
+          )`,
+      { replacements: { permissionId: exportPermission.id }, type: Sequelize.QueryTypes.SELECT }
+    );
+
+    if (roles.length === 0) return;
+
+    await queryInterface.bulkInsert('role_permissions', roles.map(r => ({
+      id: randomUUID(),
+      roleId: r.roleId,
+      permissionId: exportPermission.id,
+      ...(columns.effect ? { effect: 'allow' } : {}),
+      ...(columns.scope ? { scope: 'tenant' } : {}),
+      ...(columns.level ? { level: 'full' } : {}),
+      createdAt: now,
+      updatedAt: now
+    })));
+
+    console.log(`Granted fees:export to ${roles.length} role(s).`);
+  },
+
+  down: async () => {
+    // Grants are indistinguishable from ones made through the roles API; leave them in place
+  }
+};
@@ -0,0 +1,232 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const timestamps = {
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    };
+
+    if (!(await queryInterface.tableExists('ledger_accounts'))) {
+      await queryInterface.createTable('ledger_accounts', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' }
+        },
+        code: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        name: {
+          type: Sequelize.STRING(150),
+          allowNull: false
+        },
+        type: {
+          type: Sequelize.ENUM('asset', 'liability', 'equity', 'income', 'expense'),
+          allowNull: false
+        },
+        parentId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'ledger_accounts', key: 'id' }
+        },
+        systemKey: {
+          type: Sequelize.STRING(30),
+          allowNull: true
+        },
+        description: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        isActive: {
+          type: Sequelize.BOOLEAN,
+          defaultValue: true
+        },
+        ...timestamps
+      });
+
+      await queryInterface.addIndex('ledger_accounts', ['tenantId', 'code'], { unique: true, name: 'uq_ledger_accounts_tenant_code' });
+      await queryInterface.addIndex('ledger_accounts', ['tenantId', 'systemKey'], { unique: true, name: 'uq_ledger_accounts_tenant_system_key' });
+      await queryInterface.addIndex('ledger_accounts', ['tenantId', 'type']);
+    }
+
+    if (!(await queryInterface.tableExists('voucher_sequences'))) {
+      await queryInterface.createTable('voucher_sequences', {
+        tenantId: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          references: { model: 'tenants', key: 'id' }
+        },
+        series: {
+          type: Sequelize.STRING(20),
+          primaryKey: true
+        },
+        lastNumber: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        ...timestamps
+      });
+    }
+
+    if (!(await queryInterface.tableExists('vouchers'))) {
+      await queryInterface.createTable('vouchers', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' }
+        },
+        voucherNo: {
+          type: Sequelize.STRING(30),
+          allowNull: false
+        },
+        type: {
+          type: Sequelize.ENUM('income', 'expense', 'journal', 'fee_receipt', 'payroll', 'reversal'),
+          allowNull: false
+        },
+        date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        amount: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false
+        },
+        narration: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        partyName: {
+          type: Sequelize.STRING(150),
+          allowNull: true
+        },
+        referenceNo: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        sourceType: {
+          type: Sequelize.STRING(30),
+          allowNull: true
+        },
+        sourceId: {
+          type: Sequelize.UUID,
+          allowNull: true
+        },
+        sourceRef: {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        },
+        status: {
+          type: Sequelize.ENUM('posted', 'reversed'),
+          allowNull: false,
+          defaultValue: 'posted'
+        },
+        reversalOfId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'vouchers', key: 'id' }
+        },
+        reversedAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        reversedBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        reversalReason: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        createdBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        ...timestamps
+      });
+
+      await queryInterface.addIndex('vouchers', ['tenantId', 'voucherNo'], { unique: true, name: 'uq_vouchers_tenant_voucher_no' });
+      await queryInterface.addIndex('vouchers', ['tenantId', 'date']);
+      await queryInterface.addIndex('vouchers', ['tenantId', 'type']);
+      await queryInterface.addIndex('vouchers', ['tenantId', 'sourceType', 'sourceId']);
+    }
+
+    if (!(await queryInterface.tableExists('journal_lines'))) {
+      await queryInterface.createTable('journal_lines', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' }
+        },
+        voucherId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'vouchers', key: 'id' }
+        },
+        accountId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'ledger_accounts', key: 'id' }
+        },
+        date: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        debit: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        credit: {
+          type: Sequelize.DECIMAL(12, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        narration: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+
+      await queryInterface.addIndex('journal_lines', ['voucherId']);
+      await queryInterface.addIndex('journal_lines', ['tenantId', 'accountId', 'date']);
+      await queryInterface.addIndex('journal_lines', ['tenantId', 'date']);
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('journal_lines');
+    await queryInterface.dropTable('vouchers');
+    await queryInterface.dropTable('voucher_sequences');
+    await queryInterface.dropTable('ledger_accounts');
+  }
+};
@@ -0,0 +1,366 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const timestamps = {
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    };
+
+    const money = (precision = 10) => ({
+      type: Sequelize.DECIMAL(precision, 2),
+      allowNull: false,
+      defaultValue: 0
+    });
+
+    if (!(await queryInterface.tableExists('school_profiles'))) {
+      await queryInterface.createTable('school_profiles', {
+        tenantId: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          references: { model: 'tenants', key: 'id' }
+        },
+        displayName: Sequelize.STRING(255),
+        tagline: Sequelize.STRING(255),
+        addressLine1: Sequelize.STRING(255),
+        addressLine2: Sequelize.STRING(255),
+        city: Sequelize.STRING(100),
+        state: Sequelize.STRING(100),
+        postalCode: Sequelize.STRING(20),
+        country: Sequelize.STRING(100),
+        phone: Sequelize.STRING(50),
+        email: Sequelize.STRING(255),
+        website: Sequelize.STRING(255),
+        taxLabel: {
+          type: Sequelize.STRING(30),
+          allowNull: false,
+          defaultValue: 'GSTIN'
+        },
+        taxRegistrationNo: Sequelize.STRING(50),
+        invoiceTerms: Sequelize.TEXT,
+        ...timestamps
+      });
+    }
+
+    if (!(await queryInterface.tableExists('invoice_sequences'))) {
+      await queryInterface.createTable('invoice_sequences', {
+        tenantId: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          references: { model: 'tenants', key: 'id' }
+        },
+        series: {
+          type: Sequelize.ENUM('invoice', 'credit_note'),
+          primaryKey: true
+        },
+        prefix: {
+          type: Sequelize.STRING(10),
+          allowNull: false
+        },
+        lastNumber: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        ...timestamps
+      });
+    }
+
+    if (!(await queryInterface.tableExists('invoices'))) {
+      await queryInterface.createTable('invoices', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' }
+        },
+        invoiceNo: {
+          type: Sequelize.STRING(30),
+          allowNull: false
+        },
+        studentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'students', key: 'id' }
+        },
+        classId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'classes', key: 'id' }
+        },
+        periodStart: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        periodEnd: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        issueDate: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        dueDate: {
+          type: Sequelize.DATEONLY,
+          allowNull: true
+        },
+        billTo: {
+          type: Sequelize.JSON,
+          allowNull: true
+        },
+        grossAmount: money(12),
+        discountAmount: money(12),
+        fineAmount: money(12),
+        taxableAmount: money(12),
+        taxAmount: money(12),
+        total: money(12),
+        creditedAmount: money(12),
+        status: {
+          type: Sequelize.ENUM('issued', 'cancelled'),
+          allowNull: false,
+          defaultValue: 'issued'
+        },
+        notes: Sequelize.TEXT,
+        cancelledAt: Sequelize.DATE,
+        cancelledBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        cancellationReason: Sequelize.TEXT,
+        createdBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        ...timestamps
+      });
+
+      await queryInterface.addIndex('invoices', ['tenantId', 'invoiceNo'], { unique: true, name: 'uq_invoices_tenant_invoice_no' });
+      await queryInterface.addIndex('invoices', ['tenantId', 'studentId']);
+      await queryInterface.addIndex('invoices', ['tenantId', 'periodStart']);
+      await queryInterface.addIndex('invoices', ['tenantId', 'status']);
+    }
+
+    if (!(await queryInterface.tableExists('invoice_lines'))) {
+      await queryInterface.createTable('invoice_lines', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' }
+        },
+        invoiceId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'invoices', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        studentFeeId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'student_fees', key: 'id' }
+        },
+        feeHeadId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'fee_heads', key: 'id' }
+        },
+        description: {
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        hsnSacCode: Sequelize.STRING(20),
+        dueDate: Sequelize.DATEONLY,
+        grossAmount: money(),
+        discountAmount: money(),
+        fineAmount: money(),
+        taxRate: {
+          type: Sequelize.DECIMAL(5, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        taxableAmount: money(),
+        taxAmount: money(),
+        amount: money(),
+        creditedAmount: money(),
+        ...timestamps
+      });
+
+      await queryInterface.addIndex('invoice_lines', ['invoiceId']);
+      await queryInterface.addIndex('invoice_lines', ['tenantId', 'studentFeeId']);
+    }
+
+    if (!(await queryInterface.tableExists('credit_notes'))) {
+      await queryInterface.createTable('credit_notes', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' }
+        },
+        creditNoteNo: {
+          type: Sequelize.STRING(30),
+          allowNull: false
+        },
+        invoiceId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'invoices', key: 'id' }
+        },
+        studentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'students', key: 'id' }
+        },
+        type: {
+          type: Sequelize.ENUM('adjustment', 'refund'),
+          allowNull: false
+        },
+        issueDate: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        reason: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        taxableAmount: money(12),
+        taxAmount: money(12),
+        amount: money(12),
+        refundMode: {
+          type: Sequelize.ENUM('cash', 'cheque', 'upi', 'bank_transfer'),
+          allowNull: true
+        },
+        refundReference: Sequelize.STRING(100),
+        voucherId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'vouchers', key: 'id' }
+        },
+        createdBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        ...timestamps
+      });
+
+      await queryInterface.addIndex('credit_notes', ['tenantId', 'creditNoteNo'], { unique: true, name: 'uq_credit_notes_tenant_credit_note_no' });
+      await queryInterface.addIndex('credit_notes', ['invoiceId']);
+      await queryInterface.addIndex('credit_notes', ['tenantId', 'studentId']);
+    }
+
+    if (!(await queryInterface.tableExists('credit_note_lines'))) {
+      await queryInterface.createTable('credit_note_lines', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' }
+        },
+        creditNoteId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'credit_notes', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        invoiceLineId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'invoice_lines', key: 'id' }
+        },
+        studentFeeId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'student_fees', key: 'id' }
+        },
+        description: {
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        taxRate: {
+          type: Sequelize.DECIMAL(5, 2),
+          allowNull: false,
+          defaultValue: 0
+        },
+        taxableAmount: money(),
+        taxAmount: money(),
+        amount: money(),
+        ...timestamps
+      });
+
+      await queryInterface.addIndex('credit_note_lines', ['creditNoteId']);
+      await queryInterface.addIndex('credit_note_lines', ['invoiceLineId']);
+    }
+
+    // Tax printed on invoice lines
+    const headTable = await queryInterface.describeTable('fee_heads');
+    if (!headTable.taxRate) {
+      await queryInterface.addColumn('fee_heads', 'taxRate', {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0
+      });
+    }
+    if (!headTable.hsnSacCode) {
+      await queryInterface.addColumn('fee_heads', 'hsnSacCode', {
+        type: Sequelize.STRING(20),
+        allowNull: true
+      });
+    }
+
+    // Credit notes reduce the fee demand; refunds also reduce what counts as paid
+    const feeTable = await queryInterface.describeTable('student_fees');
+    if (!feeTable.creditAmount) {
+      await queryInterface.addColumn('student_fees', 'creditAmount', money());
+    }
+    if (!feeTable.refundedAmount) {
+      await queryInterface.addColumn('student_fees', 'refundedAmount', money());
+    }
+
+    await queryInterface.changeColumn('vouchers', 'type', {
+      type: Sequelize.ENUM('income', 'expense', 'journal', 'fee_receipt', 'fee_refund', 'payroll', 'reversal'),
+      allowNull: false
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.changeColumn('vouchers', 'type', {
+      type: Sequelize.ENUM('income', 'expense', 'journal', 'fee_receipt', 'payroll', 'reversal'),
+      allowNull: false
+    });
+    await queryInterface.removeColumn('student_fees', 'refundedAmount');
+    await queryInterface.removeColumn('student_fees', 'creditAmount');
+    await queryInterface.removeColumn('fee_heads', 'hsnSacCode');
+    await queryInterface.removeColumn('fee_heads', 'taxRate');
+    await queryInterface.dropTable('credit_note_lines');
+    await queryInterface.dropTable('credit_notes');
+    await queryInterface.dropTable('invoice_lines');
+    await queryInterface.dropTable('invoices');
+    await queryInterface.dropTable('invoice_sequences');
+    await queryInterface.dropTable('school_profiles');
+  }
+};
@@ -0,0 +1,140 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const tableInfo = await queryInterface.describeTable('attendance');
+
+    // 1. tenantId: add as nullable, backfill from the owning student, then enforce NOT NULL
+    if (!tableInfo.tenantId) {
+      await queryInterface.addColumn('attendance', 'tenantId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'tenants', key: 'id' }
+      });
+    }
+
+    await queryInterface.sequelize.query(
+      `UPDATE attendance a
+       INNER JOIN students s ON s.id = a.studentId
+       SET a.tenantId = s.tenantId
+       WHERE a.tenantId IS NULL`
+    );
+
+    await queryInterface.changeColumn('attendance', 'tenantId', {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: { model: 'tenants', key: 'id' }
+    });
+
+    // 2. The original migration named the date column `date`; the model has always used attendanceDate
+    if (tableInfo.date && !tableInfo.attendanceDate) {
+      await queryInterface.renameColumn('attendance', 'date', 'attendanceDate');
+    }
+
+    // 3. classId snapshot, backfilled from the student's current class
+    if (!tableInfo.classId) {
+      await queryInterface.addColumn('attendance', 'classId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'classes', key: 'id' }
+      });
+
+      await queryInterface.sequelize.query(
+        `UPDATE attendance a
+         INNER JOIN students s ON s.id = a.studentId
+         SET a.classId = s.classId
+         WHERE a.classId IS NULL`
+      );
+    }
+
+    if (!tableInfo.remarks) {
+      await queryInterface.addColumn('attendance', 'remarks', {
+        type: Sequelize.TEXT,
+        allowNull: true
+      });
+    }
+
+    if (!tableInfo.markedBy) {
+      await queryInterface.addColumn('attendance', 'markedBy', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+      });
+    }
+
+    await queryInterface.changeColumn('attendance', 'status', {
+      type: Sequelize.ENUM('present', 'absent', 'late', 'excused'),
+      allowNull: false,
+      defaultValue: 'present'
+    });
+
+    // 4. One row per student per day within a tenant, and the class register lookup.
+    // Older duplicates of a day are dropped first, keeping the latest updated row (then highest id)
+    await queryInterface.sequelize.query(
+      `DELETE older FROM attendance older
+       INNER JOIN attendance newer
+         ON newer.tenantId = older.tenantId
+        AND newer.studentId = older.studentId
+        AND newer.attendanceDate = older.attendanceDate
+        AND (newer.updatedAt > older.updatedAt OR (newer.updatedAt = older.updatedAt AND newer.id > older.id))`
+    );
+
+    const indexes = [
+      { fields: ['tenantId', 'studentId', 'attendanceDate'], name: 'uq_attendance_tenant_student_date', unique: true },
+      { fields: ['tenantId', 'classId', 'attendanceDate'], name: 'idx_attendance_tenant_class_date' }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex('attendance', index.fields, { name: index.name, unique: !!index.unique });
+      } catch (e) {
+        if (!e.message.includes('Duplicate key name') && !e.message.includes('already exists')) {
+          throw e;
+        }
+      }
+    }
+
+    // 5. Per-tenant attendance rules
+    if (!(await queryInterface.tableExists('attendance_settings'))) {
+      await queryInterface.createTable('attendance_settings', {
+        tenantId: {
+          type: Sequelize.UUID,
+          primaryKey: true,
+          references: { model: 'tenants', key: 'id' }
+        },
+        editWindowDays: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 2
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('attendance_settings');
+    await queryInterface.removeIndex('attendance', 'idx_attendance_tenant_class_date');
+    await queryInterface.removeIndex('attendance', 'uq_attendance_tenant_student_date');
+
+    // The original ENUM has no `excused`
+    await queryInterface.sequelize.query("UPDATE attendance SET status = 'absent' WHERE status = 'excused'");
+    await queryInterface.changeColumn('attendance', 'status', {
+      type: Sequelize.ENUM('present', 'absent', 'late'),
+      allowNull: false
+    });
+
+    await queryInterface.removeColumn('attendance', 'markedBy');
+    await queryInterface.removeColumn('attendance', 'remarks');
+    await queryInterface.removeColumn('attendance', 'classId');
+    await queryInterface.renameColumn('attendance', 'attendanceDate', 'date');
+    await queryInterface.removeColumn('attendance', 'tenantId');
+  }
+};
@@ -0,0 +1,198 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Weekly timetable of each class
+    if (!(await queryInterface.tableExists('timetable_slots'))) {
+      await queryInterface.createTable('timetable_slots', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        classId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'classes', key: 'id' }
+        },
+        dayOfWeek: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        periodNo: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        startTime: {
+          type: Sequelize.TIME,
+          allowNull: true
+        },
+        endTime: {
+          type: Sequelize.TIME,
+          allowNull: true
+        },
+        subject: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        teacherId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'teachers', key: 'id' }
+        },
+        room: {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        },
+        isActive: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    // 2. Attendance per student per period
+    if (!(await queryInterface.tableExists('period_attendance'))) {
+      await queryInterface.createTable('period_attendance', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        studentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'students', key: 'id' }
+        },
+        classId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'classes', key: 'id' }
+        },
+        timetableSlotId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'timetable_slots', key: 'id' }
+        },
+        attendanceDate: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        periodNo: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        subject: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        teacherId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'teachers', key: 'id' }
+        },
+        status: {
+          type: Sequelize.ENUM('present', 'absent', 'late', 'excused'),
+          allowNull: false,
+          defaultValue: 'present'
+        },
+        remarks: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        markedBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    const indexes = [
+      { table: 'timetable_slots', fields: ['tenantId', 'classId', 'dayOfWeek', 'periodNo'], name: 'idx_timetable_slots_class_day' },
+      { table: 'timetable_slots', fields: ['tenantId', 'teacherId', 'dayOfWeek'], name: 'idx_timetable_slots_teacher_day' },
+      { table: 'period_attendance', fields: ['tenantId', 'studentId', 'attendanceDate', 'timetableSlotId'], name: 'uq_period_attendance_student_slot_date', unique: true },
+      { table: 'period_attendance', fields: ['tenantId', 'classId', 'attendanceDate'], name: 'idx_period_attendance_class_date' }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex(index.table, index.fields, { name: index.name, unique: !!index.unique });
+      } catch (e) {
+        if (!e.message.includes('Duplicate key name') && !e.message.includes('already exists')) {
+          throw e;
+        }
+      }
+    }
+
+    // 3. Attendance mode: per tenant, overridable per class
+    const settingsInfo = await queryInterface.describeTable('attendance_settings');
+    if (!settingsInfo.mode) {
+      await queryInterface.addColumn('attendance_settings', 'mode', {
+        type: Sequelize.ENUM('daily', 'period'),
+        allowNull: false,
+        defaultValue: 'daily'
+      });
+    }
+    if (!settingsInfo.dailyStatusRule) {
+      await queryInterface.addColumn('attendance_settings', 'dailyStatusRule', {
+        type: Sequelize.ENUM('missed_share', 'first_period'),
+        allowNull: false,
+        defaultValue: 'missed_share'
+      });
+    }
+    if (!settingsInfo.absentThresholdPercent) {
+      await queryInterface.addColumn('attendance_settings', 'absentThresholdPercent', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 50
+      });
+    }
+
+    const classInfo = await queryInterface.describeTable('classes');
+    if (!classInfo.attendanceMode) {
+      await queryInterface.addColumn('classes', 'attendanceMode', {
+        type: Sequelize.ENUM('daily', 'period'),
+        allowNull: true
+      });
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('classes', 'attendanceMode');
+    await queryInterface.removeColumn('attendance_settings', 'absentThresholdPercent');
+    await queryInterface.removeColumn('attendance_settings', 'dailyStatusRule');
+    await queryInterface.removeColumn('attendance_settings', 'mode');
+    await queryInterface.dropTable('period_attendance');
+    await queryInterface.dropTable('timetable_slots');
+  }
+};
@@ -0,0 +1,194 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Shift timings per tenant
+    if (!(await queryInterface.tableExists('staff_shifts'))) {
+      await queryInterface.createTable('staff_shifts', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        name: {
+          type: Sequelize.ENUM('Morning', 'Afternoon', 'Night'),
+          allowNull: false
+        },
+        startTime: {
+          type: Sequelize.TIME,
+          allowNull: false
+        },
+        endTime: {
+          type: Sequelize.TIME,
+          allowNull: false
+        },
+        lateGraceMinutes: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 10
+        },
+        earlyLeaveGraceMinutes: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 10
+        },
+        halfDayMinutes: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 240
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    // 2. Check-in / check-out per employee per shift day
+    if (!(await queryInterface.tableExists('staff_attendance'))) {
+      await queryInterface.createTable('staff_attendance', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        employeeType: {
+          type: Sequelize.ENUM('staff', 'teacher'),
+          allowNull: false
+        },
+        employeeId: {
+          type: Sequelize.UUID,
+          allowNull: false
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        attendanceDate: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        status: {
+          type: Sequelize.ENUM('present', 'half_day', 'absent', 'on_leave', 'holiday'),
+          allowNull: false,
+          defaultValue: 'present'
+        },
+        shift: {
+          type: Sequelize.ENUM('Morning', 'Afternoon', 'Night'),
+          allowNull: true
+        },
+        shiftStartAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        shiftEndAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        checkInAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        checkOutAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        lateMinutes: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        earlyLeaveMinutes: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        workedMinutes: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        source: {
+          type: Sequelize.ENUM('self', 'manual'),
+          allowNull: false,
+          defaultValue: 'self'
+        },
+        remarks: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        markedBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    const indexes = [
+      { table: 'staff_shifts', fields: ['tenantId', 'name'], name: 'uq_staff_shifts_tenant_name', unique: true },
+      { table: 'staff_attendance', fields: ['tenantId', 'employeeType', 'employeeId', 'attendanceDate'], name: 'uq_staff_attendance_employee_date', unique: true },
+      { table: 'staff_attendance', fields: ['tenantId', 'attendanceDate'], name: 'idx_staff_attendance_tenant_date' },
+      { table: 'staff_attendance', fields: ['userId'], name: 'idx_staff_attendance_user' }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex(index.table, index.fields, { name: index.name, unique: !!index.unique });
+      } catch (e) {
+        if (!e.message.includes('Duplicate key name') && !e.message.includes('already exists')) {
+          throw e;
+        }
+      }
+    }
+
+    // 3. School time zone and weekly offs for the monthly sheets
+    const settingsInfo = await queryInterface.describeTable('attendance_settings');
+    if (!settingsInfo.timezone) {
+      await queryInterface.addColumn('attendance_settings', 'timezone', {
+        type: Sequelize.STRING(64),
+        allowNull: false,
+        defaultValue: 'UTC'
+      });
+    }
+    if (!settingsInfo.weeklyOffDays) {
+      // MySQL does not allow literal defaults on JSON columns; the model supplies [7]
+      await queryInterface.addColumn('attendance_settings', 'weeklyOffDays', {
+        type: Sequelize.JSON,
+        allowNull: true
+      });
+      await queryInterface.sequelize.query("UPDATE attendance_settings SET weeklyOffDays = '[7]' WHERE weeklyOffDays IS NULL");
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('attendance_settings', 'weeklyOffDays');
+    await queryInterface.removeColumn('attendance_settings', 'timezone');
+    await queryInterface.dropTable('staff_attendance');
+    await queryInterface.dropTable('staff_shifts');
+  }
+};
@@ -0,0 +1,115 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Leave applications for students
+    if (!(await queryInterface.tableExists('student_leaves'))) {
+      await queryInterface.createTable('student_leaves', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        studentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'students', key: 'id' }
+        },
+        classId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'classes', key: 'id' }
+        },
+        parentId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'parents', key: 'id' }
+        },
+        fromDate: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        toDate: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        reason: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        attachmentKey: {
+          type: Sequelize.STRING(500),
+          allowNull: true
+        },
+        status: {
+          type: Sequelize.ENUM('pending', 'approved', 'rejected', 'cancelled'),
+          allowNull: false,
+          defaultValue: 'pending'
+        },
+        appliedBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        reviewedBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        reviewedAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        reviewRemarks: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    const indexes = [
+      { table: 'student_leaves', fields: ['tenantId', 'studentId', 'fromDate'], name: 'idx_student_leaves_student_dates' },
+      { table: 'student_leaves', fields: ['tenantId', 'classId', 'status'], name: 'idx_student_leaves_class_status' }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex(index.table, index.fields, { name: index.name, unique: !!index.unique });
+      } catch (e) {
+        if (!e.message.includes('Duplicate key name') && !e.message.includes('already exists')) {
+          throw e;
+        }
+      }
+    }
+
+    // 2. Class teacher, who reviews the leave of the class
+    const classInfo = await queryInterface.describeTable('classes');
+    if (!classInfo.classTeacherId) {
+      await queryInterface.addColumn('classes', 'classTeacherId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'teachers', key: 'id' },
+        onDelete: 'SET NULL'
+      });
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('classes', 'classTeacherId');
+    await queryInterface.dropTable('student_leaves');
+  }
+};
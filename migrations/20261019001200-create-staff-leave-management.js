@@ -0,0 +1,292 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Leave types with their accrual and carry-forward rules
+    if (!(await queryInterface.tableExists('leave_types'))) {
+      await queryInterface.createTable('leave_types', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        code: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        appliesTo: {
+          type: Sequelize.ENUM('all', 'staff', 'teacher'),
+          allowNull: false,
+          defaultValue: 'all'
+        },
+        annualQuota: {
+          type: Sequelize.DECIMAL(5, 1),
+          allowNull: false,
+          defaultValue: 0
+        },
+        accrual: {
+          type: Sequelize.ENUM('yearly', 'monthly'),
+          allowNull: false,
+          defaultValue: 'yearly'
+        },
+        carryForwardLimit: {
+          type: Sequelize.DECIMAL(5, 1),
+          allowNull: false,
+          defaultValue: 0
+        },
+        isPaid: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        profileField: {
+          type: Sequelize.ENUM('casualLeaves', 'sickLeaves', 'medicalLeaves', 'maternityLeaves'),
+          allowNull: true
+        },
+        isActive: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    // 2. Yearly balance per employee and leave type
+    if (!(await queryInterface.tableExists('leave_balances'))) {
+      await queryInterface.createTable('leave_balances', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        employeeType: {
+          type: Sequelize.ENUM('staff', 'teacher'),
+          allowNull: false
+        },
+        employeeId: {
+          type: Sequelize.UUID,
+          allowNull: false
+        },
+        leaveTypeId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'leave_types', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        year: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        entitlement: {
+          type: Sequelize.DECIMAL(5, 1),
+          allowNull: false,
+          defaultValue: 0
+        },
+        carriedForward: {
+          type: Sequelize.DECIMAL(5, 1),
+          allowNull: false,
+          defaultValue: 0
+        },
+        used: {
+          type: Sequelize.DECIMAL(5, 1),
+          allowNull: false,
+          defaultValue: 0
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    // 3. Approval chain steps per employee type
+    if (!(await queryInterface.tableExists('leave_approval_steps'))) {
+      await queryInterface.createTable('leave_approval_steps', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        employeeType: {
+          type: Sequelize.ENUM('staff', 'teacher'),
+          allowNull: false
+        },
+        stepNo: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        roleCode: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    // 4. Leave applications
+    if (!(await queryInterface.tableExists('staff_leaves'))) {
+      await queryInterface.createTable('staff_leaves', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        employeeType: {
+          type: Sequelize.ENUM('staff', 'teacher'),
+          allowNull: false
+        },
+        employeeId: {
+          type: Sequelize.UUID,
+          allowNull: false
+        },
+        userId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        leaveTypeId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'leave_types', key: 'id' }
+        },
+        fromDate: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        toDate: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        days: {
+          type: Sequelize.DECIMAL(5, 1),
+          allowNull: false
+        },
+        reason: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        status: {
+          type: Sequelize.ENUM('pending', 'approved', 'rejected', 'cancelled'),
+          allowNull: false,
+          defaultValue: 'pending'
+        },
+        approvalChain: {
+          type: Sequelize.JSON,
+          allowNull: false
+        },
+        currentStep: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        currentRoleCode: {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        },
+        approvals: {
+          type: Sequelize.JSON,
+          allowNull: true
+        },
+        appliedBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        decidedAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        cancelledBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        cancelledAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    const indexes = [
+      { table: 'leave_types', fields: ['tenantId', 'code'], name: 'uq_leave_types_tenant_code', unique: true },
+      { table: 'leave_balances', fields: ['tenantId', 'employeeType', 'employeeId', 'leaveTypeId', 'year'], name: 'uq_leave_balances_employee_type_year', unique: true },
+      { table: 'leave_approval_steps', fields: ['tenantId', 'employeeType', 'stepNo'], name: 'uq_leave_approval_steps_tenant_type_step', unique: true },
+      { table: 'staff_leaves', fields: ['tenantId', 'employeeType', 'employeeId', 'fromDate'], name: 'idx_staff_leaves_employee_dates' },
+      { table: 'staff_leaves', fields: ['tenantId', 'status', 'currentRoleCode'], name: 'idx_staff_leaves_status_role' },
+      { table: 'staff_leaves', fields: ['userId'], name: 'idx_staff_leaves_user' }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex(index.table, index.fields, { name: index.name, unique: !!index.unique });
+      } catch (e) {
+        if (!e.message.includes('Duplicate key name') && !e.message.includes('already exists')) {
+          throw e;
+        }
+      }
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('staff_leaves');
+    await queryInterface.dropTable('leave_approval_steps');
+    await queryInterface.dropTable('leave_balances');
+    await queryInterface.dropTable('leave_types');
+  }
+};
@@ -0,0 +1,203 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Per-tenant message templates (tenants without a row use the built-in defaults)
+    if (!(await queryInterface.tableExists('notification_templates'))) {
+      await queryInterface.createTable('notification_templates', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        event: {
+          type: Sequelize.ENUM('student_absent', 'student_late'),
+          allowNull: false
+        },
+        channel: {
+          type: Sequelize.ENUM('sms', 'email'),
+          allowNull: false
+        },
+        subject: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        body: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        isActive: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    // 2. Outbox of SMS / email messages, sent by the notifications job
+    if (!(await queryInterface.tableExists('notification_messages'))) {
+      await queryInterface.createTable('notification_messages', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        event: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        channel: {
+          type: Sequelize.ENUM('sms', 'email'),
+          allowNull: false
+        },
+        recipient: {
+          type: Sequelize.STRING(255),
+          allowNull: false
+        },
+        recipientRank: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        parentId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'parents', key: 'id' },
+          onDelete: 'SET NULL'
+        },
+        studentId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'students', key: 'id' },
+          onDelete: 'SET NULL'
+        },
+        referenceDate: {
+          type: Sequelize.DATEONLY,
+          allowNull: true
+        },
+        subject: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        body: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        status: {
+          type: Sequelize.ENUM('queued', 'sent', 'failed', 'cancelled'),
+          allowNull: false,
+          defaultValue: 'queued'
+        },
+        sendAfter: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        attempts: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        lastError: {
+          type: Sequelize.STRING(500),
+          allowNull: true
+        },
+        sentAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        providerMessageId: {
+          type: Sequelize.STRING(255),
+          allowNull: true
+        },
+        dedupeKey: {
+          type: Sequelize.STRING(191),
+          allowNull: true
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    // 3. Absence alert switches and quiet hours on the attendance settings
+    const settingsInfo = await queryInterface.describeTable('attendance_settings');
+    if (!settingsInfo.absenceAlerts) {
+      await queryInterface.addColumn('attendance_settings', 'absenceAlerts', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      });
+    }
+    if (!settingsInfo.alertChannels) {
+      // MySQL does not allow literal defaults on JSON columns; the model supplies ["sms","email"]
+      await queryInterface.addColumn('attendance_settings', 'alertChannels', {
+        type: Sequelize.JSON,
+        allowNull: true
+      });
+      await queryInterface.sequelize.query('UPDATE attendance_settings SET alertChannels = \'["sms","email"]\' WHERE alertChannels IS NULL');
+    }
+    if (!settingsInfo.quietHoursStart) {
+      await queryInterface.addColumn('attendance_settings', 'quietHoursStart', {
+        type: Sequelize.TIME,
+        allowNull: true
+      });
+    }
+    if (!settingsInfo.quietHoursEnd) {
+      await queryInterface.addColumn('attendance_settings', 'quietHoursEnd', {
+        type: Sequelize.TIME,
+        allowNull: true
+      });
+    }
+
+    const indexes = [
+      { table: 'notification_templates', fields: ['tenantId', 'event', 'channel'], name: 'uq_notification_templates_event_channel', unique: true },
+      { table: 'notification_messages', fields: ['tenantId', 'dedupeKey'], name: 'uq_notification_messages_dedupe', unique: true },
+      { table: 'notification_messages', fields: ['status', 'sendAfter'], name: 'idx_notification_messages_due' },
+      { table: 'notification_messages', fields: ['tenantId', 'studentId', 'referenceDate'], name: 'idx_notification_messages_student_date' }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex(index.table, index.fields, { name: index.name, unique: !!index.unique });
+      } catch (e) {
+        if (!e.message.includes('Duplicate key name') && !e.message.includes('already exists')) {
+          throw e;
+        }
+      }
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('attendance_settings', 'quietHoursEnd');
+    await queryInterface.removeColumn('attendance_settings', 'quietHoursStart');
+    await queryInterface.removeColumn('attendance_settings', 'alertChannels');
+    await queryInterface.removeColumn('attendance_settings', 'absenceAlerts');
+    await queryInterface.dropTable('notification_messages');
+    await queryInterface.dropTable('notification_templates');
+  }
+};
@@ -0,0 +1,35 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Minimum attendance, warning margin and chronic absence thresholds used by attendance analytics
+    const settingsInfo = await queryInterface.describeTable('attendance_settings');
+    if (!settingsInfo.minAttendancePercent) {
+      await queryInterface.addColumn('attendance_settings', 'minAttendancePercent', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 75
+      });
+    }
+    if (!settingsInfo.attendanceWarningMargin) {
+      await queryInterface.addColumn('attendance_settings', 'attendanceWarningMargin', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 5
+      });
+    }
+    if (!settingsInfo.chronicAbsencePercent) {
+      await queryInterface.addColumn('attendance_settings', 'chronicAbsencePercent', {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 10
+      });
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('attendance_settings', 'chronicAbsencePercent');
+    await queryInterface.removeColumn('attendance_settings', 'attendanceWarningMargin');
+    await queryInterface.removeColumn('attendance_settings', 'minAttendancePercent');
+  }
+};
@@ -0,0 +1,204 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Exams become terms: a type and a date window. Marks and dates move to the papers,
+    //    so the single-paper columns of the first exams table no longer need values.
+    const examInfo = await queryInterface.describeTable('exams');
+    if (!examInfo.examType) {
+      await queryInterface.addColumn('exams', 'examType', {
+        type: Sequelize.ENUM('unit_test', 'midterm', 'final'),
+        allowNull: false,
+        defaultValue: 'unit_test'
+      });
+    }
+    if (!examInfo.description) {
+      await queryInterface.addColumn('exams', 'description', {
+        type: Sequelize.TEXT,
+        allowNull: true
+      });
+    }
+    if (!examInfo.startDate) {
+      await queryInterface.addColumn('exams', 'startDate', {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      });
+    }
+    if (!examInfo.endDate) {
+      await queryInterface.addColumn('exams', 'endDate', {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      });
+    }
+    if (examInfo.examDate) {
+      await queryInterface.sequelize.query(
+        'UPDATE exams SET startDate = examDate, endDate = examDate WHERE startDate IS NULL AND examDate IS NOT NULL'
+      );
+      await queryInterface.changeColumn('exams', 'examDate', {
+        type: Sequelize.DATEONLY,
+        allowNull: true
+      });
+    }
+    if (examInfo.totalMarks) {
+      await queryInterface.changeColumn('exams', 'totalMarks', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      });
+    }
+    if (examInfo.passingMarks) {
+      await queryInterface.changeColumn('exams', 'passingMarks', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      });
+    }
+
+    // 2. One paper per exam, class and subject
+    if (!(await queryInterface.tableExists('exam_papers'))) {
+      await queryInterface.createTable('exam_papers', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        examId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'exams', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        classId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'classes', key: 'id' }
+        },
+        subject: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        examDate: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        startTime: {
+          type: Sequelize.TIME,
+          allowNull: false
+        },
+        endTime: {
+          type: Sequelize.TIME,
+          allowNull: false
+        },
+        room: {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        },
+        maxMarks: {
+          type: Sequelize.DECIMAL(6, 2),
+          allowNull: false,
+          defaultValue: 100
+        },
+        passMarks: {
+          type: Sequelize.DECIMAL(6, 2),
+          allowNull: false,
+          defaultValue: 35
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    // 3. Teachers on invigilation duty per paper
+    if (!(await queryInterface.tableExists('exam_invigilators'))) {
+      await queryInterface.createTable('exam_invigilators', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        examPaperId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'exam_papers', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        teacherId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'teachers', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    const indexes = [
+      { table: 'exams', fields: ['tenantId', 'startDate'], name: 'idx_exams_tenant_start' },
+      { table: 'exam_papers', fields: ['tenantId', 'examId', 'classId', 'subject'], name: 'uq_exam_papers_exam_class_subject', unique: true },
+      { table: 'exam_papers', fields: ['tenantId', 'classId', 'examDate'], name: 'idx_exam_papers_class_date' },
+      { table: 'exam_papers', fields: ['tenantId', 'examDate'], name: 'idx_exam_papers_date' },
+      { table: 'exam_invigilators', fields: ['examPaperId', 'teacherId'], name: 'uq_exam_invigilators_paper_teacher', unique: true },
+      { table: 'exam_invigilators', fields: ['tenantId', 'teacherId'], name: 'idx_exam_invigilators_teacher' }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex(index.table, index.fields, { name: index.name, unique: !!index.unique });
+      } catch (e) {
+        if (!e.message.includes('Duplicate key name') && !e.message.includes('already exists')) {
+          throw e;
+        }
+      }
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('exam_invigilators');
+    await queryInterface.dropTable('exam_papers');
+    await queryInterface.removeIndex('exams', 'idx_exams_tenant_start');
+
+    // Put values back into the single-paper columns before they are required again
+    await queryInterface.sequelize.query(
+      'UPDATE exams SET examDate = COALESCE(examDate, startDate, DATE(createdAt)), totalMarks = COALESCE(totalMarks, 100), passingMarks = COALESCE(passingMarks, 0)'
+    );
+    await queryInterface.changeColumn('exams', 'passingMarks', {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    });
+    await queryInterface.changeColumn('exams', 'totalMarks', {
+      type: Sequelize.INTEGER,
+      allowNull: false
+    });
+    await queryInterface.changeColumn('exams', 'examDate', {
+      type: Sequelize.DATEONLY,
+      allowNull: false
+    });
+    await queryInterface.removeColumn('exams', 'endDate');
+    await queryInterface.removeColumn('exams', 'startDate');
+    await queryInterface.removeColumn('exams', 'description');
+    await queryInterface.removeColumn('exams', 'examType');
+  }
+};
@@ -0,0 +1,201 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const marksInfo = await queryInterface.describeTable('exam_marks');
+
+    // 1. tenantId: add as nullable, backfill from the exam, then enforce NOT NULL
+    if (!marksInfo.tenantId) {
+      await queryInterface.addColumn('exam_marks', 'tenantId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'tenants', key: 'id' }
+      });
+    }
+
+    await queryInterface.sequelize.query(
+      `UPDATE exam_marks m
+       INNER JOIN exams e ON e.id = m.examId
+       SET m.tenantId = e.tenantId
+       WHERE m.tenantId IS NULL`
+    );
+
+    await queryInterface.changeColumn('exam_marks', 'tenantId', {
+      type: Sequelize.UUID,
+      allowNull: false,
+      references: { model: 'tenants', key: 'id' }
+    });
+
+    // 2. Marks are entered per paper. Rows from before papers existed keep a NULL paper.
+    if (!marksInfo.examPaperId) {
+      await queryInterface.addColumn('exam_marks', 'examPaperId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'exam_papers', key: 'id' }
+      });
+    }
+    if (!marksInfo.status) {
+      await queryInterface.addColumn('exam_marks', 'status', {
+        type: Sequelize.ENUM('present', 'absent', 'medical'),
+        allowNull: false,
+        defaultValue: 'present'
+      });
+    }
+    // Absent and medical entries have no marks
+    await queryInterface.changeColumn('exam_marks', 'marksObtained', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: true
+    });
+    if (!marksInfo.enteredBy) {
+      await queryInterface.addColumn('exam_marks', 'enteredBy', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+      });
+    }
+
+    // 3. Columns the model already declares but the original migration missed
+    if (!marksInfo.totalMarks) {
+      await queryInterface.addColumn('exam_marks', 'totalMarks', {
+        type: Sequelize.DECIMAL(10, 2),
+        allowNull: true,
+        defaultValue: 100
+      });
+    }
+    if (!marksInfo.percentage) {
+      await queryInterface.addColumn('exam_marks', 'percentage', {
+        type: Sequelize.DECIMAL(5, 2),
+        allowNull: true
+      });
+    }
+    if (!marksInfo.grade) {
+      await queryInterface.addColumn('exam_marks', 'grade', {
+        type: Sequelize.STRING(10),
+        allowNull: true
+      });
+    }
+    if (!marksInfo.remarks) {
+      await queryInterface.addColumn('exam_marks', 'remarks', {
+        type: Sequelize.TEXT,
+        allowNull: true
+      });
+    }
+
+    // 4. Entry state of each paper: open -> submitted -> moderated (locked)
+    const paperInfo = await queryInterface.describeTable('exam_papers');
+    if (!paperInfo.marksStatus) {
+      await queryInterface.addColumn('exam_papers', 'marksStatus', {
+        type: Sequelize.ENUM('open', 'submitted', 'moderated'),
+        allowNull: false,
+        defaultValue: 'open'
+      });
+    }
+    if (!paperInfo.marksSubmittedBy) {
+      await queryInterface.addColumn('exam_papers', 'marksSubmittedBy', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+      });
+    }
+    if (!paperInfo.marksSubmittedAt) {
+      await queryInterface.addColumn('exam_papers', 'marksSubmittedAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+    }
+    if (!paperInfo.moderatedBy) {
+      await queryInterface.addColumn('exam_papers', 'moderatedBy', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+      });
+    }
+    if (!paperInfo.moderatedAt) {
+      await queryInterface.addColumn('exam_papers', 'moderatedAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+    }
+
+    // 5. The tenant's grading scale
+    if (!(await queryInterface.tableExists('grading_schemes'))) {
+      await queryInterface.createTable('grading_schemes', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        bands: {
+          type: Sequelize.JSON,
+          allowNull: false
+        },
+        isDefault: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    const indexes = [
+      { table: 'exam_marks', fields: ['examPaperId', 'studentId'], name: 'uq_exam_marks_paper_student', unique: true },
+      { table: 'exam_marks', fields: ['tenantId', 'examId'], name: 'idx_exam_marks_tenant_exam' },
+      { table: 'grading_schemes', fields: ['tenantId', 'name'], name: 'uq_grading_schemes_tenant_name', unique: true }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex(index.table, index.fields, { name: index.name, unique: !!index.unique });
+      } catch (e) {
+        if (!e.message.includes('Duplicate key name') && !e.message.includes('already exists')) {
+          throw e;
+        }
+      }
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.dropTable('grading_schemes');
+    await queryInterface.removeIndex('exam_marks', 'idx_exam_marks_tenant_exam');
+    await queryInterface.removeIndex('exam_marks', 'uq_exam_marks_paper_student');
+
+    await queryInterface.removeColumn('exam_papers', 'moderatedAt');
+    await queryInterface.removeColumn('exam_papers', 'moderatedBy');
+    await queryInterface.removeColumn('exam_papers', 'marksSubmittedAt');
+    await queryInterface.removeColumn('exam_papers', 'marksSubmittedBy');
+    await queryInterface.removeColumn('exam_papers', 'marksStatus');
+
+    // Absent and medical entries have no marks to keep
+    await queryInterface.sequelize.query('DELETE FROM exam_marks WHERE marksObtained IS NULL');
+    await queryInterface.changeColumn('exam_marks', 'marksObtained', {
+      type: Sequelize.DECIMAL(10, 2),
+      allowNull: false
+    });
+    await queryInterface.removeColumn('exam_marks', 'remarks');
+    await queryInterface.removeColumn('exam_marks', 'grade');
+    await queryInterface.removeColumn('exam_marks', 'percentage');
+    await queryInterface.removeColumn('exam_marks', 'totalMarks');
+    await queryInterface.removeColumn('exam_marks', 'enteredBy');
+    await queryInterface.removeColumn('exam_marks', 'status');
+    await queryInterface.removeColumn('exam_marks', 'examPaperId');
+    await queryInterface.removeColumn('exam_marks', 'tenantId');
+  }
+};
@@ -0,0 +1,170 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Schemes gain a board type, grade points and the co-scholastic grade list
+    const schemeInfo = await queryInterface.describeTable('grading_schemes');
+    if (!schemeInfo.schemeType) {
+      await queryInterface.addColumn('grading_schemes', 'schemeType', {
+        type: Sequelize.ENUM('cbse', 'icse', 'state', 'gpa', 'custom'),
+        allowNull: false,
+        defaultValue: 'custom'
+      });
+    }
+    if (!schemeInfo.maxGradePoint) {
+      await queryInterface.addColumn('grading_schemes', 'maxGradePoint', {
+        type: Sequelize.DECIMAL(4, 2),
+        allowNull: true
+      });
+    }
+    if (!schemeInfo.coScholasticGrades) {
+      await queryInterface.addColumn('grading_schemes', 'coScholasticGrades', {
+        type: Sequelize.JSON,
+        allowNull: true
+      });
+    }
+
+    // 2. Which scheme an academic session and/or class uses
+    if (!(await queryInterface.tableExists('grading_scheme_assignments'))) {
+      await queryInterface.createTable('grading_scheme_assignments', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        gradingSchemeId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'grading_schemes', key: 'id' }
+        },
+        academicSession: {
+          type: Sequelize.STRING(50),
+          allowNull: true
+        },
+        classId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'classes', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    // 3. The session an exam belongs to picks its scheme and groups terms for CGPA
+    const examInfo = await queryInterface.describeTable('exams');
+    if (!examInfo.academicSession) {
+      await queryInterface.addColumn('exams', 'academicSession', {
+        type: Sequelize.STRING(50),
+        allowNull: true
+      });
+    }
+
+    const marksInfo = await queryInterface.describeTable('exam_marks');
+    if (!marksInfo.gradePoint) {
+      await queryInterface.addColumn('exam_marks', 'gradePoint', {
+        type: Sequelize.DECIMAL(4, 2),
+        allowNull: true
+      });
+    }
+
+    // 4. Co-scholastic grades: one grade per student, exam and area
+    if (!(await queryInterface.tableExists('co_scholastic_grades'))) {
+      await queryInterface.createTable('co_scholastic_grades', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        examId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'exams', key: 'id' }
+        },
+        classId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'classes', key: 'id' }
+        },
+        studentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'students', key: 'id' }
+        },
+        area: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        grade: {
+          type: Sequelize.STRING(10),
+          allowNull: false
+        },
+        remarks: {
+          type: Sequelize.STRING(500),
+          allowNull: true
+        },
+        enteredBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    const indexes = [
+      { table: 'grading_scheme_assignments', fields: ['tenantId', 'academicSession', 'classId'], name: 'idx_grading_assignments_lookup' },
+      { table: 'grading_scheme_assignments', fields: ['gradingSchemeId'], name: 'idx_grading_assignments_scheme' },
+      { table: 'exams', fields: ['tenantId', 'academicSession'], name: 'idx_exams_tenant_session' },
+      { table: 'co_scholastic_grades', fields: ['examId', 'studentId', 'area'], name: 'uq_co_scholastic_exam_student_area', unique: true },
+      { table: 'co_scholastic_grades', fields: ['tenantId', 'examId', 'classId'], name: 'idx_co_scholastic_tenant_exam_class' }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex(index.table, index.fields, { name: index.name, unique: !!index.unique });
+      } catch (e) {
+        if (!e.message.includes('Duplicate key name') && !e.message.includes('already exists')) {
+          throw e;
+        }
+      }
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('co_scholastic_grades');
+    await queryInterface.removeColumn('exam_marks', 'gradePoint');
+    await queryInterface.removeIndex('exams', 'idx_exams_tenant_session');
+    await queryInterface.removeColumn('exams', 'academicSession');
+    await queryInterface.dropTable('grading_scheme_assignments');
+    await queryInterface.removeColumn('grading_schemes', 'coScholasticGrades');
+    await queryInterface.removeColumn('grading_schemes', 'maxGradePoint');
+    await queryInterface.removeColumn('grading_schemes', 'schemeType');
+  }
+};
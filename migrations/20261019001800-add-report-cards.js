@@ -0,0 +1,135 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. The school logo printed on report cards (S3 key, like students.photoKey)
+    const profileInfo = await queryInterface.describeTable('school_profiles');
+    if (!profileInfo.logoKey) {
+      await queryInterface.addColumn('school_profiles', 'logoKey', {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      });
+    }
+
+    // 2. Report card layouts per tenant
+    if (!(await queryInterface.tableExists('report_card_templates'))) {
+      await queryInterface.createTable('report_card_templates', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        title: {
+          type: Sequelize.STRING(150),
+          allowNull: false
+        },
+        sections: {
+          type: Sequelize.JSON,
+          allowNull: false
+        },
+        signatures: {
+          type: Sequelize.JSON,
+          allowNull: true
+        },
+        footerText: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        isDefault: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    // 3. The class teacher's remarks on a student for an exam term
+    if (!(await queryInterface.tableExists('report_card_remarks'))) {
+      await queryInterface.createTable('report_card_remarks', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        examId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'exams', key: 'id' }
+        },
+        classId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'classes', key: 'id' }
+        },
+        studentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'students', key: 'id' }
+        },
+        remarks: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        enteredBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    const indexes = [
+      { table: 'report_card_templates', fields: ['tenantId', 'name'], name: 'uq_report_card_templates_tenant_name', unique: true },
+      { table: 'report_card_remarks', fields: ['examId', 'studentId'], name: 'uq_report_card_remarks_exam_student', unique: true },
+      { table: 'report_card_remarks', fields: ['tenantId', 'examId', 'classId'], name: 'idx_report_card_remarks_tenant_exam_class' }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex(index.table, index.fields, { name: index.name, unique: !!index.unique });
+      } catch (e) {
+        if (!e.message.includes('Duplicate key name') && !e.message.includes('already exists')) {
+          throw e;
+        }
+      }
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('report_card_remarks');
+    await queryInterface.dropTable('report_card_templates');
+    await queryInterface.removeColumn('school_profiles', 'logoKey');
+  }
+};
@@ -0,0 +1,64 @@
+'use strict';
+
+const { randomUUID } = require('crypto');
+
+/**
+ * Result analysis exports are gated on exams:export, which roles seeded per tenant before
+ * 20261019000500-grant-fees-export.js never got. Grant it to every role that holds exams:create,
+ * as that migration did for fees.
+ */
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    const now = new Date();
+
+    let [exportPermission] = await queryInterface.sequelize.query(
+      `SELECT id FROM permissions WHERE resource = 'exams' AND action = 'export' LIMIT 1`,
+      { type: Sequelize.QueryTypes.SELECT }
+    );
+    if (!exportPermission) {
+      exportPermission = { id: randomUUID() };
+      await queryInterface.bulkInsert('permissions', [{
+        id: exportPermission.id,
+        resource: 'exams',
+        action: 'export',
+        description: 'EXPORT action on exams resource',
+        createdAt: now,
+        updatedAt: now
+      }]);
+    }
+
+    // effect / scope / level were added to role_permissions after its create migration
+    const columns = await queryInterface.describeTable('role_permissions');
+
+    const roles = await queryInterface.sequelize.query(
+      `SELECT DISTINCT rp.roleId
+         FROM role_permissions rp
+         JOIN permissions p ON p.id = rp.permissionId
+        WHERE p.resource = 'exams' AND p.action = 'create'
+          ${columns.effect ? "AND rp.effect = 'allow'" : ''}
+          AND NOT EXISTS (
+            SELECT 1 FROM role_permissions x WHERE x.roleId = rp.roleId AND x.permissionId = :permissionId
+          )`,
+      { replacements: { permissionId: exportPermission.id }, type: Sequelize.QueryTypes.SELECT }
+    );
+
+    if (roles.length === 0) return;
+
+    await queryInterface.bulkInsert('role_permissions', roles.map(r => ({
+      id: randomUUID(),
+      roleId: r.roleId,
+      permissionId: exportPermission.id,
+      ...(columns.effect ? { effect: 'allow' } : {}),
+      ...(columns.scope ? { scope: 'tenant' } : {}),
+      ...(columns.level ? { level: 'full' } : {}),
+      createdAt: now,
+      updatedAt: now
+    })));
+
+    console.log(`Granted exams:export to ${roles.length} role(s).`);
+  },
+
+  down: async () => {
+    // Grants are indistinguishable from ones made through the roles API; leave them in place
+  }
+};
@@ -0,0 +1,265 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Question bank per subject
+    if (!(await queryInterface.tableExists('questions'))) {
+      await queryInterface.createTable('questions', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        subject: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        topic: {
+          type: Sequelize.STRING(100),
+          allowNull: true
+        },
+        questionType: {
+          type: Sequelize.ENUM('mcq', 'multi_select', 'numeric', 'short_answer'),
+          allowNull: false
+        },
+        text: {
+          type: Sequelize.TEXT,
+          allowNull: false
+        },
+        options: {
+          type: Sequelize.JSON,
+          allowNull: true
+        },
+        answer: {
+          type: Sequelize.JSON,
+          allowNull: true
+        },
+        marks: {
+          type: Sequelize.DECIMAL(6, 2),
+          allowNull: false,
+          defaultValue: 1
+        },
+        difficulty: {
+          type: Sequelize.ENUM('easy', 'medium', 'hard'),
+          allowNull: false,
+          defaultValue: 'medium'
+        },
+        isActive: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        createdBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    // 2. Timed online tests built from the bank for a class
+    if (!(await queryInterface.tableExists('online_tests'))) {
+      await queryInterface.createTable('online_tests', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        classId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'classes', key: 'id' }
+        },
+        subject: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        examPaperId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'exam_papers', key: 'id' }
+        },
+        title: {
+          type: Sequelize.STRING(150),
+          allowNull: false
+        },
+        instructions: {
+          type: Sequelize.TEXT,
+          allowNull: true
+        },
+        questionIds: {
+          type: Sequelize.JSON,
+          allowNull: false
+        },
+        questionsPerAttempt: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        shuffleOptions: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: true
+        },
+        durationMinutes: {
+          type: Sequelize.INTEGER,
+          allowNull: false
+        },
+        opensAt: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        closesAt: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        status: {
+          type: Sequelize.ENUM('draft', 'published', 'closed'),
+          allowNull: false,
+          defaultValue: 'draft'
+        },
+        marksPostedAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        createdBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    // 3. One student's sitting of a test: their shuffled paper, answers and score
+    if (!(await queryInterface.tableExists('online_test_attempts'))) {
+      await queryInterface.createTable('online_test_attempts', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        onlineTestId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'online_tests', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        studentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'students', key: 'id' }
+        },
+        paper: {
+          type: Sequelize.JSON,
+          allowNull: false
+        },
+        answers: {
+          type: Sequelize.JSON,
+          allowNull: true
+        },
+        reviewMarks: {
+          type: Sequelize.JSON,
+          allowNull: true
+        },
+        status: {
+          type: Sequelize.ENUM('in_progress', 'submitted', 'graded'),
+          allowNull: false,
+          defaultValue: 'in_progress'
+        },
+        startedAt: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        deadlineAt: {
+          type: Sequelize.DATE,
+          allowNull: false
+        },
+        submittedAt: {
+          type: Sequelize.DATE,
+          allowNull: true
+        },
+        maxScore: {
+          type: Sequelize.DECIMAL(8, 2),
+          allowNull: false
+        },
+        autoScore: {
+          type: Sequelize.DECIMAL(8, 2),
+          allowNull: true
+        },
+        score: {
+          type: Sequelize.DECIMAL(8, 2),
+          allowNull: true
+        },
+        reviewedBy: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'users', key: 'id' }
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    const indexes = [
+      { table: 'questions', fields: ['tenantId', 'subject', 'topic'], name: 'idx_questions_tenant_subject_topic' },
+      { table: 'online_tests', fields: ['tenantId', 'classId', 'status'], name: 'idx_online_tests_tenant_class_status' },
+      { table: 'online_test_attempts', fields: ['onlineTestId', 'studentId'], name: 'uq_online_test_attempts_test_student', unique: true },
+      { table: 'online_test_attempts', fields: ['tenantId', 'studentId'], name: 'idx_online_test_attempts_tenant_student' }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex(index.table, index.fields, { name: index.name, unique: !!index.unique });
+      } catch (e) {
+        if (!e.message.includes('Duplicate key name') && !e.message.includes('already exists')) {
+          throw e;
+        }
+      }
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.dropTable('online_test_attempts');
+    await queryInterface.dropTable('online_tests');
+    await queryInterface.dropTable('questions');
+  }
+};
@@ -0,0 +1,188 @@
+'use strict';
+
+// Tables whose rows belong to one academic year
+const SCOPED_TABLES = ['classes', 'students', 'exams', 'fee_structures', 'attendance'];
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Academic years; exactly one per tenant is current
+    if (!(await queryInterface.tableExists('academic_years'))) {
+      await queryInterface.createTable('academic_years', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        name: {
+          type: Sequelize.STRING(50),
+          allowNull: false
+        },
+        startDate: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        endDate: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        isCurrent: {
+          type: Sequelize.BOOLEAN,
+          allowNull: false,
+          defaultValue: false
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    // 2. Terms within a year
+    if (!(await queryInterface.tableExists('academic_terms'))) {
+      await queryInterface.createTable('academic_terms', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        academicYearId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'academic_years', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        startDate: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        endDate: {
+          type: Sequelize.DATEONLY,
+          allowNull: false
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    // 3. A student's class in each year
+    if (!(await queryInterface.tableExists('student_enrollments'))) {
+      await queryInterface.createTable('student_enrollments', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        academicYearId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'academic_years', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        studentId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'students', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        classId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'classes', key: 'id' },
+          onDelete: 'SET NULL'
+        },
+        rollNumber: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        status: {
+          type: Sequelize.ENUM('enrolled', 'left'),
+          allowNull: false,
+          defaultValue: 'enrolled'
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    // 4. Year of the academic records. Existing rows stay unassigned until a year with the
+    // same name (or dates, for attendance) is created or linked (academicYearService.linkRecords)
+    for (const table of SCOPED_TABLES) {
+      const info = await queryInterface.describeTable(table);
+      if (!info.academicYearId) {
+        await queryInterface.addColumn(table, 'academicYearId', {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'academic_years', key: 'id' },
+          onDelete: 'SET NULL'
+        });
+      }
+    }
+
+    const indexes = [
+      { table: 'academic_years', fields: ['tenantId', 'name'], name: 'uq_academic_years_tenant_name', unique: true },
+      { table: 'academic_years', fields: ['tenantId', 'isCurrent'], name: 'idx_academic_years_tenant_current' },
+      { table: 'academic_terms', fields: ['academicYearId', 'startDate'], name: 'idx_academic_terms_year_start' },
+      { table: 'student_enrollments', fields: ['academicYearId', 'studentId'], name: 'uq_student_enrollments_year_student', unique: true },
+      { table: 'student_enrollments', fields: ['tenantId', 'academicYearId', 'classId'], name: 'idx_student_enrollments_tenant_year_class' },
+      ...SCOPED_TABLES.map(table => ({ table, fields: ['tenantId', 'academicYearId'], name: `idx_${table}_tenant_year` }))
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex(index.table, index.fields, { name: index.name, unique: !!index.unique });
+      } catch (e) {
+        if (!e.message.includes('Duplicate key name') && !e.message.includes('already exists')) {
+          throw e;
+        }
+      }
+    }
+  },
+
+  down: async (queryInterface) => {
+    for (const table of SCOPED_TABLES) {
+      await queryInterface.removeIndex(table, `idx_${table}_tenant_year`);
+      await queryInterface.removeColumn(table, 'academicYearId');
+    }
+    await queryInterface.dropTable('student_enrollments');
+    await queryInterface.dropTable('academic_terms');
+    await queryInterface.dropTable('academic_years');
+  }
+};
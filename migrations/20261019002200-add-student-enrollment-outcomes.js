@@ -0,0 +1,39 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // Year-end decision on each enrollment (promotionService)
+    const info = await queryInterface.describeTable('student_enrollments');
+    if (!info.outcome) {
+      await queryInterface.addColumn('student_enrollments', 'outcome', {
+        type: Sequelize.ENUM('promoted', 'detained', 'left'),
+        allowNull: true
+      });
+    }
+    if (!info.remarks) {
+      await queryInterface.addColumn('student_enrollments', 'remarks', {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      });
+    }
+    if (!info.decidedBy) {
+      await queryInterface.addColumn('student_enrollments', 'decidedBy', {
+        type: Sequelize.UUID,
+        allowNull: true
+      });
+    }
+    if (!info.decidedAt) {
+      await queryInterface.addColumn('student_enrollments', 'decidedAt', {
+        type: Sequelize.DATE,
+        allowNull: true
+      });
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('student_enrollments', 'decidedAt');
+    await queryInterface.removeColumn('student_enrollments', 'decidedBy');
+    await queryInterface.removeColumn('student_enrollments', 'remarks');
+    await queryInterface.removeColumn('student_enrollments', 'outcome');
+  }
+};
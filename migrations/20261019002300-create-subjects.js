@@ -0,0 +1,132 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Subjects of a school
+    if (!(await queryInterface.tableExists('subjects'))) {
+      await queryInterface.createTable('subjects', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        code: {
+          type: Sequelize.STRING(20),
+          allowNull: false
+        },
+        type: {
+          type: Sequelize.ENUM('theory', 'practical'),
+          allowNull: false,
+          defaultValue: 'theory'
+        },
+        category: {
+          type: Sequelize.ENUM('core', 'elective'),
+          allowNull: false,
+          defaultValue: 'core'
+        },
+        status: {
+          type: Sequelize.ENUM('active', 'inactive'),
+          allowNull: false,
+          defaultValue: 'active'
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    // 2. Subjects of each class with their teacher
+    if (!(await queryInterface.tableExists('class_subjects'))) {
+      await queryInterface.createTable('class_subjects', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        classId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'classes', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        subjectId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'subjects', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        teacherId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'teachers', key: 'id' },
+          onDelete: 'SET NULL'
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    // 3. Subject of each timetable slot; existing slots are linked by
+    // POST /api/subjects/import-timetable (subjectService.importFromTimetable)
+    const slotInfo = await queryInterface.describeTable('timetable_slots');
+    if (!slotInfo.subjectId) {
+      await queryInterface.addColumn('timetable_slots', 'subjectId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'subjects', key: 'id' },
+        onDelete: 'SET NULL'
+      });
+    }
+
+    const indexes = [
+      { table: 'subjects', fields: ['tenantId', 'code'], name: 'uq_subjects_tenant_code', unique: true },
+      { table: 'subjects', fields: ['tenantId', 'name'], name: 'uq_subjects_tenant_name', unique: true },
+      { table: 'class_subjects', fields: ['classId', 'subjectId'], name: 'uq_class_subjects_class_subject', unique: true },
+      { table: 'class_subjects', fields: ['tenantId', 'teacherId'], name: 'idx_class_subjects_tenant_teacher' },
+      { table: 'class_subjects', fields: ['tenantId', 'subjectId'], name: 'idx_class_subjects_tenant_subject' }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex(index.table, index.fields, { name: index.name, unique: !!index.unique });
+      } catch (e) {
+        if (!e.message.includes('Duplicate key name') && !e.message.includes('already exists')) {
+          throw e;
+        }
+      }
+    }
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('timetable_slots', 'subjectId');
+    await queryInterface.dropTable('class_subjects');
+    await queryInterface.dropTable('subjects');
+  }
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // 1. Classes (e.g. "Grade 5") whose sections are the rows of `classes`
+    if (!(await queryInterface.tableExists('class_groups'))) {
+      await queryInterface.createTable('class_groups', {
+        id: {
+          type: Sequelize.UUID,
+          defaultValue: Sequelize.UUIDV4,
+          primaryKey: true
+        },
+        tenantId: {
+          type: Sequelize.UUID,
+          allowNull: false,
+          references: { model: 'tenants', key: 'id' },
+          onDelete: 'CASCADE'
+        },
+        academicYearId: {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'academic_years', key: 'id' },
+          onDelete: 'SET NULL'
+        },
+        name: {
+          type: Sequelize.STRING(100),
+          allowNull: false
+        },
+        displayOrder: {
+          type: Sequelize.INTEGER,
+          allowNull: false,
+          defaultValue: 0
+        },
+        defaultCapacity: {
+          type: Sequelize.INTEGER,
+          allowNull: true
+        },
+        status: {
+          type: Sequelize.ENUM('active', 'inactive'),
+          allowNull: false,
+          defaultValue: 'active'
+        },
+        createdAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        },
+        updatedAt: {
+          allowNull: false,
+          type: Sequelize.DATE
+        }
+      });
+    }
+
+    // 2. The group and capacity of each section
+    const classInfo = await queryInterface.describeTable('classes');
+    if (!classInfo.classGroupId) {
+      await queryInterface.addColumn('classes', 'classGroupId', {
+        type: Sequelize.UUID,
+        allowNull: true,
+        references: { model: 'class_groups', key: 'id' },
+        onDelete: 'SET NULL'
+      });
+    }
+    if (!classInfo.capacity) {
+      await queryInterface.addColumn('classes', 'capacity', {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      });
+    }
+
+    const indexes = [
+      { table: 'class_groups', fields: ['tenantId', 'academicYearId', 'name'], name: 'uq_class_groups_tenant_year_name', unique: true },
+      { table: 'class_groups', fields: ['tenantId', 'displayOrder'], name: 'idx_class_groups_tenant_order' },
+      { table: 'classes', fields: ['classGroupId'], name: 'idx_classes_group' }
+    ];
+
+    for (const index of indexes) {
+      try {
+        await queryInterface.addIndex(index.table, index.fields, { name: index.name, unique: !!index.unique });
+      } catch (e) {
+        if (!e.message.includes('Duplicate key name') && !e.message.includes('already exists')) {
+          throw e;
+        }
+      }
+    }
+
+    // 3. One group per className of a tenant and year; its rows become the sections
+    await queryInterface.sequelize.query(`
+      INSERT INTO class_groups (id, tenantId, academicYearId, name, displayOrder, status, createdAt, updatedAt)
+      SELECT UUID(), c.tenantId, c.academicYearId, c.className, 0, 'active', NOW(), NOW()
+      FROM classes c
+      WHERE c.classGroupId IS NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM class_groups g
+          WHERE g.tenantId = c.tenantId AND g.academicYearId <=> c.academicYearId AND g.name = c.className
+        )
+      GROUP BY c.tenantId, c.academicYearId, c.className
+    `);
+    await queryInterface.sequelize.query(`
+      UPDATE classes c
+      JOIN class_groups g
+        ON g.tenantId = c.tenantId AND g.academicYearId <=> c.academicYearId AND g.name = c.className
+      SET c.classGroupId = g.id
+      WHERE c.classGroupId IS NULL
+    `);
+  },
+
+  down: async (queryInterface) => {
+    await queryInterface.removeColumn('classes', 'capacity');
+    await queryInterface.removeColumn('classes', 'classGroupId');
+    await queryInterface.dropTable('class_groups');
+  }
+};
@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    // A dispatcher claims a message (queued -> sending) before handing it to the provider
+    await queryInterface.changeColumn('notification_messages', 'status', {
+      type: Sequelize.ENUM('queued', 'sending', 'sent', 'failed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'queued'
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query("UPDATE notification_messages SET status = 'queued' WHERE status = 'sending'");
+    await queryInterface.changeColumn('notification_messages', 'status', {
+      type: Sequelize.ENUM('queued', 'sent', 'failed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'queued'
+    });
+  }
+};
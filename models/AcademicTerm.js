@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * AcademicTerm Model
+ *
+ * A term of an academic year (e.g. "Term 1"). Terms fall within the year's dates and do
+ * not overlap; they are saved with the year (academicYearService).
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const AcademicTerm = sequelize.define('AcademicTerm', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    academicYearId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'academic_years', key: 'id' }
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    startDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    endDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    }
+}, {
+    tableName: 'academic_terms',
+    timestamps: true,
+    indexes: [
+        { name: 'idx_academic_terms_year_start', fields: ['academicYearId', 'startDate'] }
+    ]
+});
+
+module.exports = AcademicTerm;
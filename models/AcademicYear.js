@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * AcademicYear Model
+ *
+ * A school year of the tenant (e.g. "2026-27") with its terms (AcademicTerm). Classes,
+ * enrollments, exams, fee structures and attendance carry academicYearId. Exactly one year
+ * per tenant is current; list APIs default to it (academicYearService).
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const AcademicYear = sequelize.define('AcademicYear', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    // Also the label on Student.session and Exam / FeeStructure.academicSession
+    name: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    startDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    endDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    isCurrent: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    }
+}, {
+    tableName: 'academic_years',
+    timestamps: true,
+    indexes: [
+        { name: 'uq_academic_years_tenant_name', unique: true, fields: ['tenantId', 'name'] },
+        { name: 'idx_academic_years_tenant_current', fields: ['tenantId', 'isCurrent'] }
+    ]
+});
+
+module.exports = AcademicYear;
@@ -1,17 +1,42 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 
+/**
+ * Attendance Model
+ *
+ * One row per student per day. Rows are written through attendanceService, which marks a
+ * whole class at once and enforces the tenant's edit window (AttendanceSetting).
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
 const Attendance = sequelize.define('Attendance', {
     id: {
         type: DataTypes.UUID,
         defaultValue: DataTypes.UUIDV4,
         primaryKey: true
     },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
     studentId: {
         type: DataTypes.UUID,
         allowNull: false,
         references: { model: 'students', key: 'id' }
     },
+    // Class the student was in when marked (snapshot, like StudentFee.classId)
+    classId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'classes', key: 'id' }
+    },
+    // Academic year of the day (AcademicYear); set from the year whose dates hold attendanceDate when not given
+    academicYearId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'academic_years', key: 'id' }
+    },
     attendanceDate: {
         type: DataTypes.DATEONLY,
         allowNull: false
@@ -21,12 +46,20 @@ const Attendance = sequelize.define('Attendance', {
         allowNull: false,
         defaultValue: 'present'
     },
-    remarks: DataTypes.TEXT
+    remarks: DataTypes.TEXT,
+    // User who last marked or edited the row
+    markedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    }
 }, {
     tableName: 'attendance',
     timestamps: true,
     indexes: [
-        { fields: ['studentId', 'attendanceDate'] }
+        { name: 'uq_attendance_tenant_student_date', unique: true, fields: ['tenantId', 'studentId', 'attendanceDate'] },
+        { name: 'idx_attendance_tenant_class_date', fields: ['tenantId', 'classId', 'attendanceDate'] },
+        { name: 'idx_attendance_tenant_year', fields: ['tenantId', 'academicYearId'] }
     ]
 });
 
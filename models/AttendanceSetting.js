@@ -0,0 +1,97 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * AttendanceSetting Model
+ *
+ * A tenant's attendance rules (the `attendanceSettings` screen). Tenants without a row
+ * use the defaults below. Classes can override `mode` with Class.attendanceMode.
+ */
+const AttendanceSetting = sequelize.define('AttendanceSetting', {
+    tenantId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        references: { model: 'tenants', key: 'id' }
+    },
+    // Attendance for a date can be marked or edited until this many days after it (0 = same day only)
+    editWindowDays: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 2
+    },
+    // 'daily': one status per student per day; 'period': per timetable period, daily status derived
+    mode: {
+        type: DataTypes.ENUM('daily', 'period'),
+        allowNull: false,
+        defaultValue: 'daily'
+    },
+    // How the daily status is derived from periods:
+    // 'missed_share' - absent when more than absentThresholdPercent of the marked periods were missed
+    // 'first_period' - the status of the first marked period of the day
+    dailyStatusRule: {
+        type: DataTypes.ENUM('missed_share', 'first_period'),
+        allowNull: false,
+        defaultValue: 'missed_share'
+    },
+    absentThresholdPercent: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 50
+    },
+    // IANA time zone the school runs on; staff check-in times are compared to shifts in it
+    timezone: {
+        type: DataTypes.STRING(64),
+        allowNull: false,
+        defaultValue: 'UTC'
+    },
+    // ISO weekdays (1 = Monday ... 7 = Sunday) that are not working days on staff attendance sheets
+    weeklyOffDays: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        defaultValue: [7]
+    },
+    // Notify linked parents the same day when a student is marked absent or late (absenceAlertService)
+    absenceAlerts: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    },
+    // Channels absence alerts go out on: 'sms' and / or 'email'
+    alertChannels: {
+        type: DataTypes.JSON,
+        allowNull: true,
+        defaultValue: ['sms', 'email']
+    },
+    // Local times (in `timezone`) between which alerts are held back; an end before the start spans midnight
+    quietHoursStart: {
+        type: DataTypes.TIME,
+        allowNull: true
+    },
+    quietHoursEnd: {
+        type: DataTypes.TIME,
+        allowNull: true
+    },
+    // Board minimum attendance; students below it are flagged by attendance analytics
+    minAttendancePercent: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 75
+    },
+    // Students within this many points above the minimum are warned before they fall below it
+    attendanceWarningMargin: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 5
+    },
+    // Chronic absentees missed at least this share of their marked days (absent or excused)
+    chronicAbsencePercent: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 10
+    }
+}, {
+    tableName: 'attendance_settings',
+    timestamps: true
+});
+
+module.exports = AttendanceSetting;
@@ -12,6 +12,18 @@ const Class = sequelize.define('Class', {
         allowNull: false,
         references: { model: 'tenants', key: 'id' }
     },
+    // Academic year of the class (AcademicYear); set from the current year when not given
+    academicYearId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'academic_years', key: 'id' }
+    },
+    // The class this row is a section of (ClassGroup); className follows the group's name
+    classGroupId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'class_groups', key: 'id' }
+    },
     className: {
         type: DataTypes.STRING(100),
         allowNull: false
@@ -20,11 +32,17 @@ const Class = sequelize.define('Class', {
         type: DataTypes.STRING(50),
         allowNull: true
     },
+    // Most active students in the section; null follows the group's defaultCapacity
+    capacity: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
     noOfStudents: {
         type: DataTypes.INTEGER,
         allowNull: true,
         defaultValue: 0
     },
+    // Number of ClassSubject rows once the class's subjects are mapped (subjectService)
     noOfSubjects: {
         type: DataTypes.INTEGER,
         allowNull: true,
@@ -33,6 +51,17 @@ const Class = sequelize.define('Class', {
     status: {
         type: DataTypes.ENUM('active', 'inactive'),
         defaultValue: 'active'
+    },
+    // 'daily' or 'period'; null follows the tenant's AttendanceSetting.mode
+    attendanceMode: {
+        type: DataTypes.ENUM('daily', 'period'),
+        allowNull: true
+    },
+    // Reviews the leave applications of the class
+    classTeacherId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'teachers', key: 'id' }
     }
 }, {
     tableName: 'classes',
@@ -40,6 +69,8 @@ const Class = sequelize.define('Class', {
     indexes: [
         { fields: ['tenantId'] },
         { fields: ['tenantId', 'status'] },
+        { name: 'idx_classes_tenant_year', fields: ['tenantId', 'academicYearId'] },
+        { name: 'idx_classes_group', fields: ['classGroupId'] },
         { fields: ['className'] }
     ]
 });
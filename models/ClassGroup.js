@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * ClassGroup Model
+ *
+ * A class of an academic year (e.g. "Grade 5") with its sections. Each section is a Class row
+ * (section "A", "B", ...) pointing here through classGroupId and carrying the group's name as
+ * className. defaultCapacity applies to the sections without a capacity of their own.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const ClassGroup = sequelize.define('ClassGroup', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    // Academic year of the class; its sections belong to the same year
+    academicYearId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'academic_years', key: 'id' }
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    // Position in class lists (lower first)
+    displayOrder: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    // Most active students per section; null for no limit
+    defaultCapacity: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.ENUM('active', 'inactive'),
+        allowNull: false,
+        defaultValue: 'active'
+    }
+}, {
+    tableName: 'class_groups',
+    timestamps: true,
+    indexes: [
+        { name: 'uq_class_groups_tenant_year_name', unique: true, fields: ['tenantId', 'academicYearId', 'name'] },
+        { name: 'idx_class_groups_tenant_order', fields: ['tenantId', 'displayOrder'] }
+    ]
+});
+
+module.exports = ClassGroup;
@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * ClassSubject Model
+ *
+ * A subject taken by a class and the teacher who teaches it there. Teachers' classes and
+ * subjects (attendance, marks entry, the timetable) come from these rows.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const ClassSubject = sequelize.define('ClassSubject', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    classId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'classes', key: 'id' }
+    },
+    subjectId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'subjects', key: 'id' }
+    },
+    // Null until a teacher is assigned
+    teacherId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'teachers', key: 'id' }
+    }
+}, {
+    tableName: 'class_subjects',
+    timestamps: true,
+    indexes: [
+        { name: 'uq_class_subjects_class_subject', unique: true, fields: ['classId', 'subjectId'] },
+        { name: 'idx_class_subjects_tenant_teacher', fields: ['tenantId', 'teacherId'] },
+        { name: 'idx_class_subjects_tenant_subject', fields: ['tenantId', 'subjectId'] }
+    ]
+});
+
+module.exports = ClassSubject;
@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * CoScholasticGrade Model
+ *
+ * A student's grade in a co-scholastic area (e.g. "Art Education", "Discipline") for one exam
+ * term. Grades come from the co-scholastic list of the class's grading scheme.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const CoScholasticGrade = sequelize.define('CoScholasticGrade', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    examId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'exams', key: 'id' }
+    },
+    // The student's class when the grade was entered
+    classId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'classes', key: 'id' }
+    },
+    studentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'students', key: 'id' }
+    },
+    area: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    grade: {
+        type: DataTypes.STRING(10),
+        allowNull: false
+    },
+    remarks: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+    },
+    enteredBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    }
+}, {
+    tableName: 'co_scholastic_grades',
+    timestamps: true,
+    indexes: [
+        { name: 'uq_co_scholastic_exam_student_area', unique: true, fields: ['examId', 'studentId', 'area'] },
+        { name: 'idx_co_scholastic_tenant_exam_class', fields: ['tenantId', 'examId', 'classId'] }
+    ]
+});
+
+module.exports = CoScholasticGrade;
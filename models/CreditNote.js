@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * CreditNote Model
+ *
+ * Reduces what an invoice bills. Credit notes are final: they are not edited or cancelled.
+ *
+ * type:
+ *   adjustment - waives part of the unpaid balance of the credited fees
+ *   refund     - pays back part of what was collected; posts a fee_refund voucher (voucherId)
+ */
+const CreditNote = sequelize.define('CreditNote', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    creditNoteNo: {
+        type: DataTypes.STRING(30),
+        allowNull: false
+    },
+    invoiceId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'invoices', key: 'id' }
+    },
+    studentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'students', key: 'id' }
+    },
+    type: {
+        type: DataTypes.ENUM('adjustment', 'refund'),
+        allowNull: false
+    },
+    issueDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    taxableAmount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false
+    },
+    taxAmount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false
+    },
+    // Refunds only: how the money went back and its trace (cheque no., UTR)
+    refundMode: {
+        type: DataTypes.ENUM('cash', 'cheque', 'upi', 'bank_transfer'),
+        allowNull: true
+    },
+    refundReference: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    voucherId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'vouchers', key: 'id' }
+    },
+    createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    }
+}, {
+    tableName: 'credit_notes',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['tenantId', 'creditNoteNo'], name: 'uq_credit_notes_tenant_credit_note_no' },
+        { fields: ['invoiceId'] },
+        { fields: ['tenantId', 'studentId'] }
+    ]
+});
+
+module.exports = CreditNote;
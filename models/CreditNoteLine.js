@@ -0,0 +1,66 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * CreditNoteLine Model
+ *
+ * The part of one invoice line a credit note credits, with its tax share at the line's rate.
+ */
+const CreditNoteLine = sequelize.define('CreditNoteLine', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    creditNoteId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'credit_notes', key: 'id' }
+    },
+    invoiceLineId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'invoice_lines', key: 'id' }
+    },
+    studentFeeId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'student_fees', key: 'id' }
+    },
+    description: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    taxRate: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    taxableAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    taxAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    }
+}, {
+    tableName: 'credit_note_lines',
+    timestamps: true,
+    indexes: [
+        { fields: ['creditNoteId'] },
+        { fields: ['invoiceLineId'] }
+    ]
+});
+
+module.exports = CreditNoteLine;
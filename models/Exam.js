@@ -1,6 +1,15 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 
+/**
+ * Exam Model
+ *
+ * An exam term (unit test, midterm, final). Its timetable is the ExamPaper rows: one paper
+ * per class and subject with its own date, room, max marks and pass marks. academicSession
+ * picks the grading scheme of its papers and groups the terms of a year for CGPA.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
 const Exam = sequelize.define('Exam', {
     id: {
         type: DataTypes.UUID,
@@ -16,18 +25,40 @@ const Exam = sequelize.define('Exam', {
         type: DataTypes.STRING(200),
         allowNull: false
     },
+    examType: {
+        type: DataTypes.ENUM('unit_test', 'midterm', 'final'),
+        allowNull: false,
+        defaultValue: 'unit_test'
+    },
     description: DataTypes.TEXT,
-    startDate: DataTypes.DATE,
-    endDate: DataTypes.DATE,
-    totalMarks: {
-        type: DataTypes.INTEGER,
-        defaultValue: 100
+    // Session label (e.g. "2026-27"), kept equal to the academic year's name
+    academicSession: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+    },
+    // Academic year of the exam (AcademicYear); set from academicSession, or the current year, when not given
+    academicYearId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'academic_years', key: 'id' }
+    },
+    // Papers must fall between these dates when they are set
+    startDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    endDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
     }
 }, {
     tableName: 'exams',
     timestamps: true,
     indexes: [
-        { fields: ['tenantId'] }
+        { fields: ['tenantId'] },
+        { name: 'idx_exams_tenant_start', fields: ['tenantId', 'startDate'] },
+        { name: 'idx_exams_tenant_session', fields: ['tenantId', 'academicSession'] },
+        { name: 'idx_exams_tenant_year', fields: ['tenantId', 'academicYearId'] }
     ]
 });
 
@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * ExamInvigilator Model
+ *
+ * A teacher on invigilation duty for an exam paper. A paper can have several invigilators.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const ExamInvigilator = sequelize.define('ExamInvigilator', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    examPaperId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'exam_papers', key: 'id' }
+    },
+    teacherId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'teachers', key: 'id' }
+    }
+}, {
+    tableName: 'exam_invigilators',
+    timestamps: true,
+    indexes: [
+        { name: 'uq_exam_invigilators_paper_teacher', unique: true, fields: ['examPaperId', 'teacherId'] },
+        { name: 'idx_exam_invigilators_teacher', fields: ['tenantId', 'teacherId'] }
+    ]
+});
+
+module.exports = ExamInvigilator;
@@ -1,12 +1,27 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 
+/**
+ * ExamMarks Model
+ *
+ * A student's result in one exam paper. Entered in bulk per paper (examMarksService);
+ * percentage, grade and gradePoint are computed from the marks and the grading scheme of
+ * the paper's class and academic session (gradingService.resolveScheme).
+ * Rows from before papers existed have no examPaperId.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
 const ExamMarks = sequelize.define('ExamMarks', {
     id: {
         type: DataTypes.UUID,
         defaultValue: DataTypes.UUIDV4,
         primaryKey: true
     },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
     studentId: {
         type: DataTypes.UUID,
         allowNull: false,
@@ -17,22 +32,43 @@ const ExamMarks = sequelize.define('ExamMarks', {
         allowNull: false,
         references: { model: 'exams', key: 'id' }
     },
+    examPaperId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'exam_papers', key: 'id' }
+    },
+    // 'absent' and 'medical' (absent on medical grounds) carry no marks
+    status: {
+        type: DataTypes.ENUM('present', 'absent', 'medical'),
+        allowNull: false,
+        defaultValue: 'present'
+    },
     marksObtained: {
         type: DataTypes.DECIMAL(10, 2),
-        allowNull: false
+        allowNull: true
     },
+    // The paper's max marks when the marks were entered
     totalMarks: {
         type: DataTypes.DECIMAL(10, 2),
         defaultValue: 100
     },
     percentage: DataTypes.DECIMAL(5, 2),
     grade: DataTypes.STRING(10),
-    remarks: DataTypes.TEXT
+    // Null when the scheme has no grade points, or the student did not write the paper
+    gradePoint: DataTypes.DECIMAL(4, 2),
+    remarks: DataTypes.TEXT,
+    enteredBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    }
 }, {
     tableName: 'exam_marks',
     timestamps: true,
     indexes: [
-        { fields: ['studentId', 'examId'] }
+        { fields: ['studentId', 'examId'] },
+        { name: 'uq_exam_marks_paper_student', unique: true, fields: ['examPaperId', 'studentId'] },
+        { name: 'idx_exam_marks_tenant_exam', fields: ['tenantId', 'examId'] }
     ]
 });
 
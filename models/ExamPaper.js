@@ -0,0 +1,98 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * ExamPaper Model
+ *
+ * One subject paper of an exam for a class: when and where it is written, and its max and
+ * pass marks. The papers of an exam for a class make up that class's exam timetable.
+ * Invigilators are linked through ExamInvigilator, marks are ExamMarks rows.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const ExamPaper = sequelize.define('ExamPaper', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    examId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'exams', key: 'id' }
+    },
+    classId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'classes', key: 'id' }
+    },
+    subject: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    examDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    startTime: {
+        type: DataTypes.TIME,
+        allowNull: false
+    },
+    endTime: {
+        type: DataTypes.TIME,
+        allowNull: false
+    },
+    room: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+    },
+    maxMarks: {
+        type: DataTypes.DECIMAL(6, 2),
+        allowNull: false,
+        defaultValue: 100
+    },
+    passMarks: {
+        type: DataTypes.DECIMAL(6, 2),
+        allowNull: false,
+        defaultValue: 35
+    },
+    // Marks entry: 'open' -> 'submitted' by the subject teacher -> 'moderated', which locks the marks
+    marksStatus: {
+        type: DataTypes.ENUM('open', 'submitted', 'moderated'),
+        allowNull: false,
+        defaultValue: 'open'
+    },
+    marksSubmittedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    },
+    marksSubmittedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    moderatedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    },
+    moderatedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'exam_papers',
+    timestamps: true,
+    indexes: [
+        { name: 'uq_exam_papers_exam_class_subject', unique: true, fields: ['tenantId', 'examId', 'classId', 'subject'] },
+        { name: 'idx_exam_papers_class_date', fields: ['tenantId', 'classId', 'examDate'] },
+        { name: 'idx_exam_papers_date', fields: ['tenantId', 'examDate'] }
+    ]
+});
+
+module.exports = ExamPaper;
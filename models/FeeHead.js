@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * FeeHead Model
+ *
+ * A named component of a fee structure (Tuition, Transport, Lab, ...).
+ * Backs the `feesType` screen.
+ */
+const FeeHead = sequelize.define('FeeHead', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    code: {
+        type: DataTypes.STRING(30),
+        allowNull: true
+    },
+    description: DataTypes.TEXT,
+    // Tax printed on invoices. Fee amounts are tax-inclusive; invoiceService splits out the tax.
+    taxRate: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    // HSN / SAC code of the service, for GST invoices
+    hsnSacCode: {
+        type: DataTypes.STRING(20),
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.ENUM('active', 'inactive'),
+        defaultValue: 'active'
+    }
+}, {
+    tableName: 'fee_heads',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['tenantId', 'name'], name: 'uq_fee_heads_tenant_name' },
+        { fields: ['tenantId', 'status'] }
+    ]
+});
+
+module.exports = FeeHead;
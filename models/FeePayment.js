@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * FeePayment Model
+ *
+ * One entry in the fee payment ledger (the `collectFees` screen). A fee can have many
+ * payments; StudentFee.paidAmount / status are recalculated from the active entries.
+ *
+ * Payments are never edited or deleted. A mistaken payment is reversed (status `reversed`,
+ * with reason and who/when), which keeps its receipt number in the sequence.
+ */
+const FeePayment = sequelize.define('FeePayment', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    studentFeeId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'student_fees', key: 'id' }
+    },
+    // Denormalized from the fee so ledger queries and parent RLS don't need a join
+    studentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'students', key: 'id' }
+    },
+    // Gapless per tenant, allocated from receipt_sequences
+    receiptNo: {
+        type: DataTypes.STRING(30),
+        allowNull: false
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    // `online` payments are written by paymentService when a gateway confirms an order
+    mode: {
+        type: DataTypes.ENUM('cash', 'cheque', 'upi', 'bank_transfer', 'online'),
+        allowNull: false
+    },
+    // Cheque number, UPI transaction id, bank UTR, gateway payment id, ...
+    referenceNo: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    paidOn: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    collectedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    },
+    remarks: DataTypes.TEXT,
+    status: {
+        type: DataTypes.ENUM('active', 'reversed'),
+        defaultValue: 'active'
+    },
+    reversedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    reversedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    },
+    reversalReason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'fee_payments',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['tenantId', 'receiptNo'], name: 'uq_fee_payments_tenant_receipt' },
+        { fields: ['studentFeeId', 'status'] },
+        { fields: ['tenantId', 'studentId'] },
+        { fields: ['tenantId', 'paidOn'] }
+    ]
+});
+
+module.exports = FeePayment;
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * FeePaymentAudit Model
+ *
+ * Append-only trail of everything that happens to a payment (collection, reversal),
+ * with the acting user and a snapshot of the payment and fee balance at that moment.
+ */
+const FeePaymentAudit = sequelize.define('FeePaymentAudit', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    feePaymentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'fee_payments', key: 'id' }
+    },
+    action: {
+        type: DataTypes.ENUM('collected', 'reversed'),
+        allowNull: false
+    },
+    performedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    snapshot: {
+        type: DataTypes.JSON,
+        allowNull: true
+    }
+}, {
+    tableName: 'fee_payment_audits',
+    timestamps: true,
+    updatedAt: false,
+    indexes: [
+        { fields: ['feePaymentId'] },
+        { fields: ['tenantId', 'createdAt'] }
+    ]
+});
+
+module.exports = FeePaymentAudit;
@@ -0,0 +1,99 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * FeeRule Model
+ *
+ * A concession or fine evaluated on each unpaid StudentFee by services/feeRuleService.
+ *
+ * kind:
+ *   sibling_concession   - student is the minSiblingRank-th (or later) child among active siblings
+ *   staff_ward_waiver    - a linked parent is active staff, or the student is assigned to the rule
+ *   scholarship          - student is assigned to the rule (fee_rule_assignments)
+ *   category_concession  - Student.category equals `category`
+ *   late_fine_per_day    - `value` per day after dueDate + graceDays
+ *   late_fine_flat       - `value` (or percent of gross) once after dueDate + graceDays
+ *
+ * valueType percent is a percentage of the fee's gross amount; maxAmount caps a single rule.
+ */
+const FeeRule = sequelize.define('FeeRule', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    name: {
+        type: DataTypes.STRING(150),
+        allowNull: false
+    },
+    kind: {
+        type: DataTypes.ENUM(
+            'sibling_concession',
+            'staff_ward_waiver',
+            'scholarship',
+            'category_concession',
+            'late_fine_per_day',
+            'late_fine_flat'
+        ),
+        allowNull: false
+    },
+    valueType: {
+        type: DataTypes.ENUM('percent', 'fixed'),
+        allowNull: false,
+        defaultValue: 'fixed'
+    },
+    value: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    // Restrict the rule to one fee head (null = every fee)
+    feeHeadId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'fee_heads', key: 'id' }
+    },
+    // category_concession: Student.category value (General, OBC, SC, ST, Other)
+    category: {
+        type: DataTypes.STRING(20),
+        allowNull: true
+    },
+    // sibling_concession: 2 = second child onwards
+    minSiblingRank: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    // Fines: days after dueDate before the fine starts
+    graceDays: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    maxAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+    },
+    // Lower runs first; concessions are applied in this order until the gross is used up
+    priority: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 100
+    },
+    description: DataTypes.TEXT,
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+    }
+}, {
+    tableName: 'fee_rules',
+    timestamps: true,
+    indexes: [
+        { fields: ['tenantId', 'isActive'] }
+    ]
+});
+
+module.exports = FeeRule;
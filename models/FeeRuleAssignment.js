@@ -0,0 +1,41 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * FeeRuleAssignment Model
+ *
+ * Students a rule is granted to explicitly: scholarships, and staff wards whose parent is
+ * not linked to a staff account.
+ */
+const FeeRuleAssignment = sequelize.define('FeeRuleAssignment', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    feeRuleId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'fee_rules', key: 'id' }
+    },
+    studentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'students', key: 'id' }
+    },
+    remarks: DataTypes.TEXT
+}, {
+    tableName: 'fee_rule_assignments',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['feeRuleId', 'studentId'], name: 'uq_fee_rule_assignment' },
+        { fields: ['tenantId', 'studentId'] }
+    ]
+});
+
+module.exports = FeeRuleAssignment;
@@ -0,0 +1,63 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * FeeStructure Model
+ *
+ * The fee plan of one class for one academic session (the `feesGroup` / `feesMaster` screens).
+ * Line items live in fee_structure_items; assigning the structure generates student_fees rows.
+ *
+ * assignedAt: set on first assignment. Assigned structures are also applied to students
+ * admitted into the class later, and their items can no longer be edited.
+ */
+const FeeStructure = sequelize.define('FeeStructure', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    classId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'classes', key: 'id' }
+    },
+    name: {
+        type: DataTypes.STRING(150),
+        allowNull: false
+    },
+    // Session label (e.g. "2026-27"), kept equal to the academic year's name
+    academicSession: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+    },
+    // Academic year of the structure (AcademicYear); set from academicSession, or the current year, when not given
+    academicYearId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'academic_years', key: 'id' }
+    },
+    description: DataTypes.TEXT,
+    status: {
+        type: DataTypes.ENUM('active', 'inactive'),
+        defaultValue: 'active'
+    },
+    assignedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'fee_structures',
+    timestamps: true,
+    indexes: [
+        { fields: ['tenantId', 'classId'] },
+        { fields: ['tenantId', 'academicSession'] },
+        { name: 'idx_fee_structures_tenant_year', fields: ['tenantId', 'academicYearId'] }
+    ]
+});
+
+module.exports = FeeStructure;
@@ -0,0 +1,57 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * FeeStructureItem Model
+ *
+ * One installment of one fee head inside a fee structure.
+ * e.g. Tuition / installment 1 "Term 1" / 12000.00 / due 2026-04-10
+ */
+const FeeStructureItem = sequelize.define('FeeStructureItem', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    feeStructureId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'fee_structures', key: 'id' }
+    },
+    feeHeadId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'fee_heads', key: 'id' }
+    },
+    installmentNo: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+    },
+    label: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    dueDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    }
+}, {
+    tableName: 'fee_structure_items',
+    timestamps: true,
+    indexes: [
+        { fields: ['feeStructureId'] },
+        { unique: true, fields: ['feeStructureId', 'feeHeadId', 'installmentNo'], name: 'uq_fee_structure_item' }
+    ]
+});
+
+module.exports = FeeStructureItem;
@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * GradingScheme Model
+ *
+ * Percentage bands mapped to grades and grade points, plus the grades used for co-scholastic
+ * areas. Academic sessions and classes pick a scheme through GradingSchemeAssignment; the
+ * rest use the tenant's default scheme, or gradingService's built-in one.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const GradingScheme = sequelize.define('GradingScheme', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    // Label only: the bands decide the grades
+    schemeType: {
+        type: DataTypes.ENUM('cbse', 'icse', 'state', 'gpa', 'custom'),
+        allowNull: false,
+        defaultValue: 'custom'
+    },
+    // [{ grade, minPercent, gradePoint, description }], highest band first; the last band starts at 0
+    bands: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+    // Set when the bands carry grade points (e.g. 10 or 4); null means no GPA
+    maxGradePoint: {
+        type: DataTypes.DECIMAL(4, 2),
+        allowNull: true
+    },
+    // [{ grade, description }], best first; null uses the built-in three-point list
+    coScholasticGrades: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    isDefault: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    }
+}, {
+    tableName: 'grading_schemes',
+    timestamps: true,
+    indexes: [
+        { name: 'uq_grading_schemes_tenant_name', unique: true, fields: ['tenantId', 'name'] }
+    ]
+});
+
+module.exports = GradingScheme;
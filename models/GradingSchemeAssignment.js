@@ -0,0 +1,48 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * GradingSchemeAssignment Model
+ *
+ * Picks the grading scheme of an academic session, a class, or a class in one session.
+ * A null academicSession matches every session and a null classId every class; at least one
+ * is set. The most specific match wins (see gradingService.pickAssignment).
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const GradingSchemeAssignment = sequelize.define('GradingSchemeAssignment', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    gradingSchemeId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'grading_schemes', key: 'id' }
+    },
+    // Free-text session label, matched against Exam.academicSession (e.g. "2026-27")
+    academicSession: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+    },
+    classId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'classes', key: 'id' }
+    }
+}, {
+    tableName: 'grading_scheme_assignments',
+    timestamps: true,
+    indexes: [
+        { name: 'idx_grading_assignments_lookup', fields: ['tenantId', 'academicSession', 'classId'] },
+        { name: 'idx_grading_assignments_scheme', fields: ['gradingSchemeId'] }
+    ]
+});
+
+module.exports = GradingSchemeAssignment;
@@ -0,0 +1,125 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Invoice Model
+ *
+ * Groups a student's fee demands (StudentFee) due in a billing period. Amounts and the
+ * bill-to block are a snapshot taken when the invoice is issued; later payments are read
+ * live from the fees, later reductions are made with credit notes.
+ */
+const Invoice = sequelize.define('Invoice', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    invoiceNo: {
+        type: DataTypes.STRING(30),
+        allowNull: false
+    },
+    studentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'students', key: 'id' }
+    },
+    classId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'classes', key: 'id' }
+    },
+    // Billing period: fees with a dueDate between periodStart and periodEnd (inclusive)
+    periodStart: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    periodEnd: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    issueDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    // Earliest due date of the lines
+    dueDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    // { studentName, admissionNo, className, section, parentName, phone, email, address }
+    billTo: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    grossAmount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    discountAmount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    fineAmount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    taxableAmount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    taxAmount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    // taxableAmount + taxAmount = sum of the net line amounts
+    total: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    // Sum of its credit notes
+    creditedAmount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    status: {
+        type: DataTypes.ENUM('issued', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'issued'
+    },
+    notes: DataTypes.TEXT,
+    cancelledAt: DataTypes.DATE,
+    cancelledBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    },
+    cancellationReason: DataTypes.TEXT,
+    createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    }
+}, {
+    tableName: 'invoices',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['tenantId', 'invoiceNo'], name: 'uq_invoices_tenant_invoice_no' },
+        { fields: ['tenantId', 'studentId'] },
+        { fields: ['tenantId', 'periodStart'] },
+        { fields: ['tenantId', 'status'] }
+    ]
+});
+
+module.exports = Invoice;
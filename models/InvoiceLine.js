@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * InvoiceLine Model
+ *
+ * One fee demand on an invoice. `amount` is the net fee (gross - discount + fine) and
+ * includes tax at `taxRate`: taxableAmount + taxAmount = amount.
+ */
+const InvoiceLine = sequelize.define('InvoiceLine', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    invoiceId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'invoices', key: 'id' }
+    },
+    studentFeeId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'student_fees', key: 'id' }
+    },
+    feeHeadId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'fee_heads', key: 'id' }
+    },
+    description: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    hsnSacCode: {
+        type: DataTypes.STRING(20),
+        allowNull: true
+    },
+    dueDate: DataTypes.DATEONLY,
+    grossAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    discountAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    fineAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    taxRate: {
+        type: DataTypes.DECIMAL(5, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    taxableAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    taxAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    // Sum of credit note lines against this line; never more than amount
+    creditedAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    }
+}, {
+    tableName: 'invoice_lines',
+    timestamps: true,
+    indexes: [
+        { fields: ['invoiceId'] },
+        { fields: ['tenantId', 'studentFeeId'] }
+    ]
+});
+
+module.exports = InvoiceLine;
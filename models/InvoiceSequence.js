@@ -0,0 +1,34 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * InvoiceSequence Model
+ *
+ * Per-tenant counters for invoice (INV-) and credit note (CN-) numbers. Locked and
+ * incremented in the issuing transaction like ReceiptSequence, so numbers stay gapless.
+ */
+const InvoiceSequence = sequelize.define('InvoiceSequence', {
+    tenantId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        references: { model: 'tenants', key: 'id' }
+    },
+    series: {
+        type: DataTypes.ENUM('invoice', 'credit_note'),
+        primaryKey: true
+    },
+    prefix: {
+        type: DataTypes.STRING(10),
+        allowNull: false
+    },
+    lastNumber: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    }
+}, {
+    tableName: 'invoice_sequences',
+    timestamps: true
+});
+
+module.exports = InvoiceSequence;
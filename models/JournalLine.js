@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * JournalLine Model
+ *
+ * A debit or credit of one account within a voucher. `date` is copied from the voucher so
+ * ledgers and the trial balance can be computed from this table alone.
+ */
+const JournalLine = sequelize.define('JournalLine', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    voucherId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'vouchers', key: 'id' }
+    },
+    accountId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'ledger_accounts', key: 'id' }
+    },
+    date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    debit: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    credit: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    narration: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    }
+}, {
+    tableName: 'journal_lines',
+    timestamps: true,
+    updatedAt: false, // Lines are immutable
+    indexes: [
+        { fields: ['voucherId'] },
+        { fields: ['tenantId', 'accountId', 'date'] },
+        { fields: ['tenantId', 'date'] }
+    ]
+});
+
+module.exports = JournalLine;
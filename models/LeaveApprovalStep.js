@@ -0,0 +1,45 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * LeaveApprovalStep Model
+ *
+ * One step of the approval chain for staff or teacher leave, e.g. HOD (step 1) then
+ * PRINCIPAL (step 2). Any user holding roleCode may act on the step. Tenants without steps
+ * for an employee type use the default chain in staffLeaveService.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const LeaveApprovalStep = sequelize.define('LeaveApprovalStep', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    employeeType: {
+        type: DataTypes.ENUM('staff', 'teacher'),
+        allowNull: false
+    },
+    stepNo: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // Role.code of the approvers
+    roleCode: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    }
+}, {
+    tableName: 'leave_approval_steps',
+    timestamps: true,
+    indexes: [
+        { fields: ['tenantId', 'employeeType', 'stepNo'], unique: true, name: 'uq_leave_approval_steps_tenant_type_step' }
+    ]
+});
+
+module.exports = LeaveApprovalStep;
@@ -0,0 +1,67 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * LeaveBalance Model
+ *
+ * One employee's balance of one leave type for one calendar year, created the first time it
+ * is needed. entitlement is the year's quota and carriedForward the days brought over from
+ * the previous year, both fixed when the row is created; how much of the entitlement has
+ * accrued so far is worked out by staffLeaveService. used goes up when a leave is approved
+ * and back down when an approved leave is cancelled.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const LeaveBalance = sequelize.define('LeaveBalance', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    employeeType: {
+        type: DataTypes.ENUM('staff', 'teacher'),
+        allowNull: false
+    },
+    // Staff.id or Teacher.id, depending on employeeType
+    employeeId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    leaveTypeId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'leave_types', key: 'id' }
+    },
+    year: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    entitlement: {
+        type: DataTypes.DECIMAL(5, 1),
+        allowNull: false,
+        defaultValue: 0
+    },
+    carriedForward: {
+        type: DataTypes.DECIMAL(5, 1),
+        allowNull: false,
+        defaultValue: 0
+    },
+    used: {
+        type: DataTypes.DECIMAL(5, 1),
+        allowNull: false,
+        defaultValue: 0
+    }
+}, {
+    tableName: 'leave_balances',
+    timestamps: true,
+    indexes: [
+        { fields: ['tenantId', 'employeeType', 'employeeId', 'leaveTypeId', 'year'], unique: true, name: 'uq_leave_balances_employee_type_year' }
+    ]
+});
+
+module.exports = LeaveBalance;
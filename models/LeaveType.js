@@ -0,0 +1,79 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * LeaveType Model
+ *
+ * A kind of leave staff and teachers can apply for (casual, sick, ...) with its yearly
+ * entitlement. Leave years are calendar years. Yearly accrual credits the whole quota on
+ * 1 January; monthly accrual credits a twelfth at the start of each month. Up to
+ * carryForwardLimit unused days move into the next year.
+ *
+ * profileField names the Staff / Teacher column (casualLeaves, sickLeaves, ...) that
+ * overrides annualQuota for one employee when it is set above zero.
+ * Unpaid types have no balance; their days count as loss of pay.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const LeaveType = sequelize.define('LeaveType', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    code: {
+        type: DataTypes.STRING(20),
+        allowNull: false
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    appliesTo: {
+        type: DataTypes.ENUM('all', 'staff', 'teacher'),
+        allowNull: false,
+        defaultValue: 'all'
+    },
+    annualQuota: {
+        type: DataTypes.DECIMAL(5, 1),
+        allowNull: false,
+        defaultValue: 0
+    },
+    accrual: {
+        type: DataTypes.ENUM('yearly', 'monthly'),
+        allowNull: false,
+        defaultValue: 'yearly'
+    },
+    carryForwardLimit: {
+        type: DataTypes.DECIMAL(5, 1),
+        allowNull: false,
+        defaultValue: 0
+    },
+    isPaid: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    },
+    profileField: {
+        type: DataTypes.ENUM('casualLeaves', 'sickLeaves', 'medicalLeaves', 'maternityLeaves'),
+        allowNull: true
+    },
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    }
+}, {
+    tableName: 'leave_types',
+    timestamps: true,
+    indexes: [
+        { fields: ['tenantId', 'code'], unique: true, name: 'uq_leave_types_tenant_code' }
+    ]
+});
+
+module.exports = LeaveType;
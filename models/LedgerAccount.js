@@ -0,0 +1,61 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * LedgerAccount Model
+ *
+ * Chart of accounts of a tenant. Accounts with a systemKey are created by accountingService
+ * and used for automatic postings (fee receipts, payroll); they cannot be deleted.
+ *
+ * Normal balance: asset / expense accounts are debit accounts, liability / equity / income credit accounts.
+ */
+const LedgerAccount = sequelize.define('LedgerAccount', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    code: {
+        type: DataTypes.STRING(20),
+        allowNull: false
+    },
+    name: {
+        type: DataTypes.STRING(150),
+        allowNull: false
+    },
+    type: {
+        type: DataTypes.ENUM('asset', 'liability', 'equity', 'income', 'expense'),
+        allowNull: false
+    },
+    // Grouping only; postings can go to any active account
+    parentId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'ledger_accounts', key: 'id' }
+    },
+    // cash, bank, gateway_clearing, fee_income, other_income, salary_expense, general_expense, opening_equity
+    systemKey: {
+        type: DataTypes.STRING(30),
+        allowNull: true
+    },
+    description: DataTypes.TEXT,
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+    }
+}, {
+    tableName: 'ledger_accounts',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['tenantId', 'code'], name: 'uq_ledger_accounts_tenant_code' },
+        { unique: true, fields: ['tenantId', 'systemKey'], name: 'uq_ledger_accounts_tenant_system_key' },
+        { fields: ['tenantId', 'type'] }
+    ]
+});
+
+module.exports = LedgerAccount;
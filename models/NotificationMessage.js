@@ -0,0 +1,111 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * NotificationMessage Model
+ *
+ * One SMS or email in the outbox. Messages are written `queued` and claimed (`sending`) by the
+ * notifications job once sendAfter has passed (later than now during quiet hours).
+ * Failed sends are retried a few times before the message is marked `failed`.
+ *
+ * dedupeKey is unique per tenant so the same alert is never queued twice; the producer
+ * updates or cancels its queued message instead (e.g. when attendance is corrected).
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const NotificationMessage = sequelize.define('NotificationMessage', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    // Template event the message was rendered from, e.g. 'student_absent'
+    event: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    channel: {
+        type: DataTypes.ENUM('sms', 'email'),
+        allowNull: false
+    },
+    // Phone number (E.164) or email address
+    recipient: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    // Send order among messages due at the same time (0 = primary contact)
+    recipientRank: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    parentId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'parents', key: 'id' }
+    },
+    studentId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'students', key: 'id' }
+    },
+    // The day the message is about (the attendance date for absence alerts)
+    referenceDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    subject: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    body: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('queued', 'sending', 'sent', 'failed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'queued'
+    },
+    sendAfter: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    },
+    attempts: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    lastError: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+    },
+    sentAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    providerMessageId: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    dedupeKey: {
+        type: DataTypes.STRING(191),
+        allowNull: true
+    }
+}, {
+    tableName: 'notification_messages',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['tenantId', 'dedupeKey'], name: 'uq_notification_messages_dedupe' },
+        { fields: ['status', 'sendAfter'], name: 'idx_notification_messages_due' },
+        { fields: ['tenantId', 'studentId', 'referenceDate'], name: 'idx_notification_messages_student_date' }
+    ]
+});
+
+module.exports = NotificationMessage;
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * NotificationTemplate Model
+ *
+ * A tenant's wording for one event on one channel (e.g. the SMS sent when a student is
+ * absent). Placeholders like {{studentName}} are filled in when a message is queued.
+ * Events and channels without a row use the defaults in notificationService.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const NotificationTemplate = sequelize.define('NotificationTemplate', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    event: {
+        type: DataTypes.ENUM('student_absent', 'student_late'),
+        allowNull: false
+    },
+    channel: {
+        type: DataTypes.ENUM('sms', 'email'),
+        allowNull: false
+    },
+    // Email only
+    subject: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    body: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    // Inactive templates switch the event off on that channel
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    }
+}, {
+    tableName: 'notification_templates',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['tenantId', 'event', 'channel'], name: 'uq_notification_templates_event_channel' }
+    ]
+});
+
+module.exports = NotificationTemplate;
@@ -0,0 +1,97 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * OnlineTest Model
+ *
+ * A timed test for a class and subject, built from question bank questions. Each student
+ * sitting it gets the questions (or questionsPerAttempt of them) in their own random order.
+ * Linked to an exam paper, its scores are posted to that paper's marks.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const OnlineTest = sequelize.define('OnlineTest', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    classId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'classes', key: 'id' }
+    },
+    subject: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    // Exam paper (same class and subject) the scores are posted to
+    examPaperId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'exam_papers', key: 'id' }
+    },
+    title: {
+        type: DataTypes.STRING(150),
+        allowNull: false
+    },
+    instructions: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    // Question bank IDs the papers are drawn from
+    questionIds: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+    // Questions drawn per student; null for all of them
+    questionsPerAttempt: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    shuffleOptions: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    },
+    durationMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    // Students can start between opensAt and closesAt; no attempt runs past closesAt
+    opensAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    closesAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('draft', 'published', 'closed'),
+        allowNull: false,
+        defaultValue: 'draft'
+    },
+    marksPostedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    }
+}, {
+    tableName: 'online_tests',
+    timestamps: true,
+    indexes: [
+        { name: 'idx_online_tests_tenant_class_status', fields: ['tenantId', 'classId', 'status'] }
+    ]
+});
+
+module.exports = OnlineTest;
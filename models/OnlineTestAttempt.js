@@ -0,0 +1,92 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * OnlineTestAttempt Model
+ *
+ * A student's sitting of an online test: the paper drawn for them, their answers and score.
+ * The deadline is fixed on the server when the attempt starts. One attempt per student.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const OnlineTestAttempt = sequelize.define('OnlineTestAttempt', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    onlineTestId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'online_tests', key: 'id' }
+    },
+    studentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'students', key: 'id' }
+    },
+    // Questions in the order shown: [{ questionId, optionOrder }]
+    paper: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+    // { questionId: answer }
+    answers: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    // Teacher's marks for short answers: { questionId: marks }
+    reviewMarks: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    // graded once every short answer has been marked
+    status: {
+        type: DataTypes.ENUM('in_progress', 'submitted', 'graded'),
+        allowNull: false,
+        defaultValue: 'in_progress'
+    },
+    startedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    deadlineAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+    },
+    submittedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    maxScore: {
+        type: DataTypes.DECIMAL(8, 2),
+        allowNull: false
+    },
+    autoScore: {
+        type: DataTypes.DECIMAL(8, 2),
+        allowNull: true
+    },
+    score: {
+        type: DataTypes.DECIMAL(8, 2),
+        allowNull: true
+    },
+    reviewedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    }
+}, {
+    tableName: 'online_test_attempts',
+    timestamps: true,
+    indexes: [
+        { name: 'uq_online_test_attempts_test_student', unique: true, fields: ['onlineTestId', 'studentId'] },
+        { name: 'idx_online_test_attempts_tenant_student', fields: ['tenantId', 'studentId'] }
+    ]
+});
+
+module.exports = OnlineTestAttempt;
@@ -0,0 +1,55 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * PaymentGatewayConfig Model
+ *
+ * A tenant's credentials for one payment provider (the `paymentGateways` settings screen).
+ * keySecret and webhookSecret are stored encrypted (utils/credentialCipher) and are never
+ * returned by the API.
+ */
+const PaymentGatewayConfig = sequelize.define('PaymentGatewayConfig', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    // Adapter key, see services/paymentGateways
+    provider: {
+        type: DataTypes.STRING(30),
+        allowNull: false
+    },
+    keyId: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    keySecret: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    webhookSecret: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    mode: {
+        type: DataTypes.ENUM('test', 'live'),
+        defaultValue: 'test'
+    },
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+    }
+}, {
+    tableName: 'payment_gateway_configs',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['tenantId', 'provider'], name: 'uq_payment_gateway_tenant_provider' }
+    ]
+});
+
+module.exports = PaymentGatewayConfig;
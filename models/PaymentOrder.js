@@ -0,0 +1,90 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * PaymentOrder Model
+ *
+ * An online payment for one or more student fees. allocations holds how the order amount
+ * is split across fees ([{ studentFeeId, studentId, amount }]); when the gateway confirms
+ * the payment, one FeePayment (mode `online`) is written per allocation.
+ *
+ * unallocatedAmount: money received that could not be applied because the fee was paid
+ * in the meantime (e.g. at the counter); it needs a manual refund.
+ */
+const PaymentOrder = sequelize.define('PaymentOrder', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    provider: {
+        type: DataTypes.STRING(30),
+        allowNull: false
+    },
+    providerOrderId: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    providerPaymentId: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    amount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false
+    },
+    currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: 'INR'
+    },
+    allocations: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('created', 'paid', 'failed'),
+        defaultValue: 'created'
+    },
+    paidAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    unallocatedAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    failureReason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    settlementId: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    settledAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    }
+}, {
+    tableName: 'payment_orders',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['provider', 'providerOrderId'], name: 'uq_payment_orders_provider_order' },
+        { fields: ['tenantId', 'status'] },
+        { fields: ['tenantId', 'paidAt'] }
+    ]
+});
+
+module.exports = PaymentOrder;
@@ -0,0 +1,53 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * PaymentWebhookEvent Model
+ *
+ * Every verified gateway webhook, keyed by the provider's event id. The unique index makes
+ * redelivered events no-ops.
+ */
+const PaymentWebhookEvent = sequelize.define('PaymentWebhookEvent', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    provider: {
+        type: DataTypes.STRING(30),
+        allowNull: false
+    },
+    eventId: {
+        type: DataTypes.STRING(150),
+        allowNull: false
+    },
+    eventType: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+    },
+    payload: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.ENUM('processed', 'ignored', 'failed'),
+        defaultValue: 'processed'
+    },
+    error: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'payment_webhook_events',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['provider', 'eventId'], name: 'uq_payment_webhook_provider_event' }
+    ]
+});
+
+module.exports = PaymentWebhookEvent;
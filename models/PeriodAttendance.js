@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * PeriodAttendance Model
+ *
+ * One row per student per timetable period per day, for classes that take attendance by
+ * period. The daily Attendance row of the student is derived from these rows by the
+ * tenant's daily status rule (AttendanceSetting).
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const PeriodAttendance = sequelize.define('PeriodAttendance', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    studentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'students', key: 'id' }
+    },
+    classId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'classes', key: 'id' }
+    },
+    timetableSlotId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'timetable_slots', key: 'id' }
+    },
+    attendanceDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    // Snapshots of the slot when marked, so later timetable changes don't rewrite history
+    periodNo: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    subject: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    teacherId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'teachers', key: 'id' }
+    },
+    status: {
+        type: DataTypes.ENUM('present', 'absent', 'late', 'excused'),
+        allowNull: false,
+        defaultValue: 'present'
+    },
+    remarks: DataTypes.TEXT,
+    markedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    }
+}, {
+    tableName: 'period_attendance',
+    timestamps: true,
+    indexes: [
+        { name: 'uq_period_attendance_student_slot_date', unique: true, fields: ['tenantId', 'studentId', 'attendanceDate', 'timetableSlotId'] },
+        { name: 'idx_period_attendance_class_date', fields: ['tenantId', 'classId', 'attendanceDate'] }
+    ]
+});
+
+module.exports = PeriodAttendance;
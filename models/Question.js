@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Question Model
+ *
+ * One question of a tenant's question bank, filed by subject and topic. Online tests are
+ * built from these. MCQ, multi-select and numeric questions are graded automatically; short
+ * answers are marked by the teacher.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const Question = sequelize.define('Question', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    // Same subject names as the timetable and exam papers
+    subject: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    topic: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    questionType: {
+        type: DataTypes.ENUM('mcq', 'multi_select', 'numeric', 'short_answer'),
+        allowNull: false
+    },
+    text: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    // MCQ and multi-select choices: [{ key: "A", text: "..." }]
+    options: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    // mcq: "B"; multi_select: ["A", "C"]; numeric: { value, tolerance }; short_answer: { modelAnswer } for the marker
+    answer: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    marks: {
+        type: DataTypes.DECIMAL(6, 2),
+        allowNull: false,
+        defaultValue: 1
+    },
+    difficulty: {
+        type: DataTypes.ENUM('easy', 'medium', 'hard'),
+        allowNull: false,
+        defaultValue: 'medium'
+    },
+    // Retired questions stay for the tests that used them
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    },
+    createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    }
+}, {
+    tableName: 'questions',
+    timestamps: true,
+    indexes: [
+        { name: 'idx_questions_tenant_subject_topic', fields: ['tenantId', 'subject', 'topic'] }
+    ]
+});
+
+module.exports = Question;
@@ -0,0 +1,32 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * ReceiptSequence Model
+ *
+ * Per-tenant counter for receipt numbers. The row is locked (SELECT ... FOR UPDATE) and
+ * incremented in the same transaction that writes the payment, so a rolled back payment
+ * also rolls back its number and the sequence stays gapless.
+ */
+const ReceiptSequence = sequelize.define('ReceiptSequence', {
+    tenantId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        references: { model: 'tenants', key: 'id' }
+    },
+    prefix: {
+        type: DataTypes.STRING(10),
+        allowNull: false,
+        defaultValue: 'RCT-'
+    },
+    lastNumber: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    }
+}, {
+    tableName: 'receipt_sequences',
+    timestamps: true
+});
+
+module.exports = ReceiptSequence;
@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * ReportCardRemark Model
+ *
+ * The class teacher's remarks on a student for one exam term, printed on the report card.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const ReportCardRemark = sequelize.define('ReportCardRemark', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    examId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'exams', key: 'id' }
+    },
+    // The student's class when the remarks were written
+    classId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'classes', key: 'id' }
+    },
+    studentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'students', key: 'id' }
+    },
+    remarks: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    enteredBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    }
+}, {
+    tableName: 'report_card_remarks',
+    timestamps: true,
+    indexes: [
+        { name: 'uq_report_card_remarks_exam_student', unique: true, fields: ['examId', 'studentId'] },
+        { name: 'idx_report_card_remarks_tenant_exam_class', fields: ['tenantId', 'examId', 'classId'] }
+    ]
+});
+
+module.exports = ReportCardRemark;
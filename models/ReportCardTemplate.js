@@ -0,0 +1,60 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * ReportCardTemplate Model
+ *
+ * Layout of a tenant's report cards: the title, which sections are printed and in what order,
+ * the signature lines and a footer. Tenants without a template get reportCardService's
+ * built-in one.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const ReportCardTemplate = sequelize.define('ReportCardTemplate', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    // Printed under the letterhead, e.g. "Progress Report 2026-27"
+    title: {
+        type: DataTypes.STRING(150),
+        allowNull: false
+    },
+    // Section keys in print order: scholastic, coScholastic, attendance, remarks
+    sections: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+    // Labels of the signature lines at the bottom, e.g. ["Class Teacher", "Principal", "Parent"]
+    signatures: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    footerText: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    isDefault: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    }
+}, {
+    tableName: 'report_card_templates',
+    timestamps: true,
+    indexes: [
+        { name: 'uq_report_card_templates_tenant_name', unique: true, fields: ['tenantId', 'name'] }
+    ]
+});
+
+module.exports = ReportCardTemplate;
@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * SchoolProfile Model
+ *
+ * The school's legal identity per tenant, printed as the letterhead of invoices, credit
+ * notes and report cards. Backs the `schoolSettings` screen. A tenant without a row gets its
+ * tenant name only.
+ */
+const SchoolProfile = sequelize.define('SchoolProfile', {
+    tenantId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        references: { model: 'tenants', key: 'id' }
+    },
+    displayName: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    tagline: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    addressLine1: DataTypes.STRING(255),
+    addressLine2: DataTypes.STRING(255),
+    city: DataTypes.STRING(100),
+    state: DataTypes.STRING(100),
+    postalCode: DataTypes.STRING(20),
+    country: DataTypes.STRING(100),
+    phone: DataTypes.STRING(50),
+    email: DataTypes.STRING(255),
+    website: DataTypes.STRING(255),
+    // Printed as "<taxLabel>: <taxRegistrationNo>", e.g. GSTIN: 29ABCDE1234F1Z5
+    taxLabel: {
+        type: DataTypes.STRING(30),
+        allowNull: false,
+        defaultValue: 'GSTIN'
+    },
+    taxRegistrationNo: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+    },
+    // Footer of every invoice (payment instructions, terms)
+    invoiceTerms: DataTypes.TEXT,
+    // S3 key of the school logo (PNG or JPEG) printed on report cards
+    logoKey: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+    }
+}, {
+    tableName: 'school_profiles',
+    timestamps: true
+});
+
+module.exports = SchoolProfile;
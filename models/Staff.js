@@ -87,6 +87,7 @@ const Staff = sequelize.define('Staff', {
     workLocation: DataTypes.STRING(255),
     
     // ========== LEAVES ==========
+    // Yearly entitlements; when set above zero they override the leave type's quota (staffLeaveService)
     medicalLeaves: {
         type: DataTypes.INTEGER,
         defaultValue: 0
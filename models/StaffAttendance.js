@@ -0,0 +1,109 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * StaffAttendance Model
+ *
+ * One row per staff member or teacher per shift day. Employees check in and out themselves;
+ * HR can record or correct a day. attendanceDate is the local date the shift starts on, so a
+ * night shift's check-out falls on the same row as its check-in.
+ *
+ * Late arrival and early departure are measured against the shift the employee had that day
+ * (snapshotted in shift / shiftStartAt / shiftEndAt).
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const StaffAttendance = sequelize.define('StaffAttendance', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    employeeType: {
+        type: DataTypes.ENUM('staff', 'teacher'),
+        allowNull: false
+    },
+    // Staff.id or Teacher.id, depending on employeeType
+    employeeId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    // Login of the employee, for owned-scope reads
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    },
+    attendanceDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('present', 'half_day', 'absent', 'on_leave', 'holiday'),
+        allowNull: false,
+        defaultValue: 'present'
+    },
+    shift: {
+        type: DataTypes.ENUM('Morning', 'Afternoon', 'Night'),
+        allowNull: true
+    },
+    shiftStartAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    shiftEndAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    checkInAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    checkOutAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Minutes after shift start (0 when within the grace period)
+    lateMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    // Minutes before shift end (0 when within the grace period)
+    earlyLeaveMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    workedMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    source: {
+        type: DataTypes.ENUM('self', 'manual'),
+        allowNull: false,
+        defaultValue: 'self'
+    },
+    remarks: DataTypes.TEXT,
+    // User who recorded or last corrected the row
+    markedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    }
+}, {
+    tableName: 'staff_attendance',
+    timestamps: true,
+    indexes: [
+        { name: 'uq_staff_attendance_employee_date', unique: true, fields: ['tenantId', 'employeeType', 'employeeId', 'attendanceDate'] },
+        { name: 'idx_staff_attendance_tenant_date', fields: ['tenantId', 'attendanceDate'] },
+        { name: 'idx_staff_attendance_user', fields: ['userId'] }
+    ]
+});
+
+module.exports = StaffAttendance;
@@ -0,0 +1,117 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * StaffLeave Model
+ *
+ * A leave application by a staff member or teacher. It moves through the approval chain
+ * snapshotted in approvalChain when it was applied for; currentRoleCode is the role whose
+ * turn it is while the leave is pending. Each decision is appended to approvals.
+ *
+ * days counts the working days of the leave (weekly offs excluded) and is debited from the
+ * employee's LeaveBalance on final approval.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const StaffLeave = sequelize.define('StaffLeave', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    employeeType: {
+        type: DataTypes.ENUM('staff', 'teacher'),
+        allowNull: false
+    },
+    // Staff.id or Teacher.id, depending on employeeType
+    employeeId: {
+        type: DataTypes.UUID,
+        allowNull: false
+    },
+    // Login of the employee, for owned-scope reads
+    userId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    },
+    leaveTypeId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'leave_types', key: 'id' }
+    },
+    fromDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    toDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    days: {
+        type: DataTypes.DECIMAL(5, 1),
+        allowNull: false
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'approved', 'rejected', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    // Role codes of the chain, in order
+    approvalChain: {
+        type: DataTypes.JSON,
+        allowNull: false
+    },
+    // Index into approvalChain of the step waiting for a decision
+    currentStep: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    // approvalChain[currentStep] while pending, otherwise null
+    currentRoleCode: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+    },
+    // [{ step, roleCode, decision, userId, remarks, at }]
+    approvals: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    appliedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    },
+    decidedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    cancelledBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    },
+    cancelledAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'staff_leaves',
+    timestamps: true,
+    indexes: [
+        { fields: ['tenantId', 'employeeType', 'employeeId', 'fromDate'], name: 'idx_staff_leaves_employee_dates' },
+        { fields: ['tenantId', 'status', 'currentRoleCode'], name: 'idx_staff_leaves_status_role' },
+        { fields: ['userId'], name: 'idx_staff_leaves_user' }
+    ]
+});
+
+module.exports = StaffLeave;
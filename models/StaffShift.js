@@ -0,0 +1,62 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * StaffShift Model
+ *
+ * Timings of a work shift (Staff.workShift / Teacher.workShift) for one tenant. Tenants
+ * without a row for a shift use the defaults in staffAttendanceService. A shift whose
+ * endTime is before its startTime runs overnight.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const StaffShift = sequelize.define('StaffShift', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    name: {
+        type: DataTypes.ENUM('Morning', 'Afternoon', 'Night'),
+        allowNull: false
+    },
+    startTime: {
+        type: DataTypes.TIME,
+        allowNull: false
+    },
+    endTime: {
+        type: DataTypes.TIME,
+        allowNull: false
+    },
+    // Check-ins up to this many minutes after startTime are not late
+    lateGraceMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 10
+    },
+    // Check-outs up to this many minutes before endTime are not early departures
+    earlyLeaveGraceMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 10
+    },
+    // A day with fewer worked minutes counts as a half day
+    halfDayMinutes: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 240
+    }
+}, {
+    tableName: 'staff_shifts',
+    timestamps: true,
+    indexes: [
+        { name: 'uq_staff_shifts_tenant_name', unique: true, fields: ['tenantId', 'name'] }
+    ]
+});
+
+module.exports = StaffShift;
@@ -49,7 +49,14 @@ const Student = sequelize.define('Student', {
         defaultValue: null
     },
     // ========== APPLICATION & ACADEMIC INFO ==========
+    // Session label (e.g. "2026-27"), kept equal to the academic year's name
     session: DataTypes.STRING(50),
+    // Year of the current enrollment (StudentEnrollment); set from session, or the current year, when not given
+    academicYearId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'academic_years', key: 'id' }
+    },
     admissionClass: DataTypes.STRING(50),
     stream: DataTypes.STRING(100),
     admissionType: {
@@ -134,6 +141,7 @@ const Student = sequelize.define('Student', {
         { name: 'compositeIndex', unique: true, fields: ['tenantId', 'admissionNo'] },
         { fields: ['tenantId', 'status'] },
         { fields: ['tenantId', 'userId'] },
+        { name: 'idx_students_tenant_year', fields: ['tenantId', 'academicYearId'] },
         { fields: ['tenantId', 'admissionClass'] },
         { fields: ['createdAt'] }
     ]
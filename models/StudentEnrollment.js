@@ -0,0 +1,75 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * StudentEnrollment Model
+ *
+ * A student's class in one academic year and the year-end outcome. Student.classId /
+ * academicYearId point at the latest enrollment; earlier years stay here as the student's
+ * class history.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const StudentEnrollment = sequelize.define('StudentEnrollment', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    academicYearId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'academic_years', key: 'id' }
+    },
+    studentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'students', key: 'id' }
+    },
+    classId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'classes', key: 'id' }
+    },
+    rollNumber: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    // 'left' when the student became inactive during the year
+    status: {
+        type: DataTypes.ENUM('enrolled', 'left'),
+        allowNull: false,
+        defaultValue: 'enrolled'
+    },
+    // Year-end decision (promotionService); null until the class is promoted
+    outcome: {
+        type: DataTypes.ENUM('promoted', 'detained', 'left'),
+        allowNull: true
+    },
+    remarks: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    decidedBy: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    decidedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'student_enrollments',
+    timestamps: true,
+    indexes: [
+        { name: 'uq_student_enrollments_year_student', unique: true, fields: ['academicYearId', 'studentId'] },
+        { name: 'idx_student_enrollments_tenant_year_class', fields: ['tenantId', 'academicYearId', 'classId'] }
+    ]
+});
+
+module.exports = StudentEnrollment;
@@ -7,21 +7,92 @@ const StudentFee = sequelize.define('StudentFee', {
         defaultValue: DataTypes.UUIDV4,
         primaryKey: true
     },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
     studentId: {
         type: DataTypes.UUID,
         allowNull: false,
         references: { model: 'students', key: 'id' }
     },
+    // Class the student was in when the fee was raised (copied from the student on create)
+    classId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'classes', key: 'id' }
+    },
+    // Set when the fee was generated from a fee structure (null for ad-hoc fees)
+    feeHeadId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'fee_heads', key: 'id' }
+    },
+    feeStructureId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'fee_structures', key: 'id' }
+    },
+    feeStructureItemId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'fee_structure_items', key: 'id' }
+    },
     feeType: {
         type: DataTypes.STRING(100),
         allowNull: false
     },
+    // Net amount due: grossAmount - discountAmount + fineAmount - creditAmount
     amount: {
         type: DataTypes.DECIMAL(10, 2),
         allowNull: false
     },
-    dueDate: DataTypes.DATE,
-    paidDate: DataTypes.DATE,
+    // Breakdown maintained by feeRuleService (concessions and late fines)
+    grossAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: true
+    },
+    discountAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    fineAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    // [{ ruleId, name, kind, amount }] - the rules behind discountAmount / fineAmount
+    adjustments: {
+        type: DataTypes.JSON,
+        allowNull: true
+    },
+    rulesEvaluatedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    // Credited by credit notes (invoiceService); refundedAmount is the part paid back to the payer
+    creditAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    refundedAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    // Sum of active payments in fee_payments less refundedAmount; maintained by feePaymentService, never set by hand
+    paidAmount: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0
+    },
+    dueDate: DataTypes.DATEONLY,
+    // Date of the payment that settled the fee (null until fully paid)
+    paidDate: DataTypes.DATEONLY,
+    // Derived from paidAmount and dueDate, see utils/feeStatus.deriveFeeStatus
     status: {
         type: DataTypes.ENUM('pending', 'paid', 'partial', 'overdue'),
         defaultValue: 'pending'
@@ -31,7 +102,12 @@ const StudentFee = sequelize.define('StudentFee', {
     tableName: 'student_fees',
     timestamps: true,
     indexes: [
-        { fields: ['studentId', 'status'] }
+        { fields: ['studentId', 'status'] },
+        { fields: ['tenantId', 'status'] },
+        { fields: ['tenantId', 'classId'] },
+        { fields: ['tenantId', 'dueDate'] },
+        // One demand per student per structure installment (makes assignment idempotent)
+        { unique: true, fields: ['studentId', 'feeStructureItemId'], name: 'uq_student_fee_structure_item' }
     ]
 });
 
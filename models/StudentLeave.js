@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * StudentLeave Model
+ *
+ * A leave application for a student, filed by a linked parent and reviewed by the class
+ * teacher. Approval marks the student's attendance on the leave days as excused.
+ * classId is the class the student was in when the leave was applied for.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const StudentLeave = sequelize.define('StudentLeave', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    studentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'students', key: 'id' }
+    },
+    classId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'classes', key: 'id' }
+    },
+    // Applying parent; null when filed by the school on the family's behalf
+    parentId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'parents', key: 'id' }
+    },
+    fromDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    toDate: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: false
+    },
+    attachmentKey: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.ENUM('pending', 'approved', 'rejected', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'pending'
+    },
+    appliedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    },
+    reviewedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    },
+    reviewedAt: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    reviewRemarks: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'student_leaves',
+    timestamps: true,
+    indexes: [
+        { fields: ['tenantId', 'studentId', 'fromDate'], name: 'idx_student_leaves_student_dates' },
+        { fields: ['tenantId', 'classId', 'status'], name: 'idx_student_leaves_class_status' }
+    ]
+});
+
+module.exports = StudentLeave;
@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Subject Model
+ *
+ * A subject the school teaches (e.g. "Mathematics", code "MATH"): theory or practical, core
+ * or elective. Classes take subjects through ClassSubject, which also names the teacher.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const Subject = sequelize.define('Subject', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    // Short code, upper case and unique per tenant
+    code: {
+        type: DataTypes.STRING(20),
+        allowNull: false
+    },
+    type: {
+        type: DataTypes.ENUM('theory', 'practical'),
+        allowNull: false,
+        defaultValue: 'theory'
+    },
+    category: {
+        type: DataTypes.ENUM('core', 'elective'),
+        allowNull: false,
+        defaultValue: 'core'
+    },
+    status: {
+        type: DataTypes.ENUM('active', 'inactive'),
+        allowNull: false,
+        defaultValue: 'active'
+    }
+}, {
+    tableName: 'subjects',
+    timestamps: true,
+    indexes: [
+        { name: 'uq_subjects_tenant_code', unique: true, fields: ['tenantId', 'code'] },
+        { name: 'uq_subjects_tenant_name', unique: true, fields: ['tenantId', 'name'] }
+    ]
+});
+
+module.exports = Subject;
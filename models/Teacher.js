@@ -17,8 +17,9 @@ const { sequelize } = require('../config/database');
  *   - joiningLetterKey: S3 key for joining letter PDF
  * 
  * Academic Assignment:
- *   - classIds: Stored as JSON array - e.g. ["uuid1", "uuid2"]
- *   - subjectIds: Stored as JSON array - e.g. ["uuid1", "uuid2"]
+ *   - ClassSubject rows (subjectService) name the subjects a teacher takes in each class
+ *   - classIds / subjectIds: Legacy JSON arrays - e.g. ["uuid1", "uuid2"]. classIds is only
+ *     read for teachers without any ClassSubject row
  */
 const Teacher = sequelize.define('Teacher', {
     id: {
@@ -177,6 +178,7 @@ const Teacher = sequelize.define('Teacher', {
     },
 
     // ========== ACADEMIC ASSIGNMENT ==========
+    // Legacy: superseded by ClassSubject (class_subjects)
     classIds: {
         type: DataTypes.JSON,
         allowNull: true,
@@ -203,6 +205,7 @@ const Teacher = sequelize.define('Teacher', {
     },
 
     // ========== LEAVES ==========
+    // Yearly entitlements; when set above zero they override the leave type's quota (staffLeaveService)
     medicalLeaves: {
         type: DataTypes.INTEGER,
         allowNull: true,
@@ -0,0 +1,80 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * TimetableSlot Model
+ *
+ * One period of a class's weekly timetable: the weekday, the period number, the subject
+ * taught and the teacher taking it (by default the subject's teacher in the class). Period-wise attendance (PeriodAttendance) points at a slot.
+ *
+ * Multi-Tenant: MUST include tenantId in all queries
+ */
+const TimetableSlot = sequelize.define('TimetableSlot', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    classId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'classes', key: 'id' }
+    },
+    // ISO weekday: 1 = Monday ... 7 = Sunday
+    dayOfWeek: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    periodNo: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    startTime: {
+        type: DataTypes.TIME,
+        allowNull: true
+    },
+    endTime: {
+        type: DataTypes.TIME,
+        allowNull: true
+    },
+    // Name of the subject as taught; kept equal to the Subject's name when subjectId is set
+    subject: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    // Subject of the class (ClassSubject); null for slots saved before subjects existed
+    subjectId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'subjects', key: 'id' }
+    },
+    teacherId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'teachers', key: 'id' }
+    },
+    room: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+    },
+    // Inactive slots stay for the attendance already recorded against them
+    isActive: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    }
+}, {
+    tableName: 'timetable_slots',
+    timestamps: true,
+    indexes: [
+        { name: 'idx_timetable_slots_class_day', fields: ['tenantId', 'classId', 'dayOfWeek', 'periodNo'] },
+        { name: 'idx_timetable_slots_teacher_day', fields: ['tenantId', 'teacherId', 'dayOfWeek'] }
+    ]
+});
+
+module.exports = TimetableSlot;
@@ -0,0 +1,102 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Voucher Model
+ *
+ * One balanced journal entry (its lines are in journal_lines). Vouchers are never edited or
+ * deleted: a reversal posts a `reversal` voucher with the lines swapped and marks the
+ * original `reversed`.
+ *
+ * type:
+ *   income / expense / journal - entered by accountants
+ *   fee_receipt                - posted by feePaymentService for every collected payment
+ *   fee_refund                 - posted by invoiceService for refund credit notes
+ *   payroll                    - salary disbursement to a staff member or teacher
+ *   reversal                   - cancels the voucher in reversalOfId
+ */
+const Voucher = sequelize.define('Voucher', {
+    id: {
+        type: DataTypes.UUID,
+        defaultValue: DataTypes.UUIDV4,
+        primaryKey: true
+    },
+    tenantId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'tenants', key: 'id' }
+    },
+    voucherNo: {
+        type: DataTypes.STRING(30),
+        allowNull: false
+    },
+    type: {
+        type: DataTypes.ENUM('income', 'expense', 'journal', 'fee_receipt', 'fee_refund', 'payroll', 'reversal'),
+        allowNull: false
+    },
+    date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false
+    },
+    // Sum of the debit lines (= sum of the credit lines)
+    amount: {
+        type: DataTypes.DECIMAL(12, 2),
+        allowNull: false
+    },
+    narration: DataTypes.TEXT,
+    partyName: {
+        type: DataTypes.STRING(150),
+        allowNull: true
+    },
+    referenceNo: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    // What the voucher was posted for: fee_payment (sourceId = FeePayment), credit_note (sourceId = CreditNote),
+    // payroll_staff / payroll_teacher (sourceId = Staff / Teacher, sourceRef = YYYY-MM)
+    sourceType: {
+        type: DataTypes.STRING(30),
+        allowNull: true
+    },
+    sourceId: {
+        type: DataTypes.UUID,
+        allowNull: true
+    },
+    sourceRef: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.ENUM('posted', 'reversed'),
+        allowNull: false,
+        defaultValue: 'posted'
+    },
+    reversalOfId: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'vouchers', key: 'id' }
+    },
+    reversedAt: DataTypes.DATE,
+    reversedBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    },
+    reversalReason: DataTypes.TEXT,
+    createdBy: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        references: { model: 'users', key: 'id' }
+    }
+}, {
+    tableName: 'vouchers',
+    timestamps: true,
+    indexes: [
+        { unique: true, fields: ['tenantId', 'voucherNo'], name: 'uq_vouchers_tenant_voucher_no' },
+        { fields: ['tenantId', 'date'] },
+        { fields: ['tenantId', 'type'] },
+        { fields: ['tenantId', 'sourceType', 'sourceId'] }
+    ]
+});
+
+module.exports = Voucher;
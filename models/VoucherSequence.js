@@ -0,0 +1,30 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * VoucherSequence Model
+ *
+ * Per-tenant, per-voucher-type counter (INC-000001, EXP-000001, ...). Locked and incremented
+ * in the posting transaction like ReceiptSequence, so numbers stay gapless.
+ */
+const VoucherSequence = sequelize.define('VoucherSequence', {
+    tenantId: {
+        type: DataTypes.UUID,
+        primaryKey: true,
+        references: { model: 'tenants', key: 'id' }
+    },
+    series: {
+        type: DataTypes.STRING(20),
+        primaryKey: true
+    },
+    lastNumber: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    }
+}, {
+    tableName: 'voucher_sequences',
+    timestamps: true
+});
+
+module.exports = VoucherSequence;
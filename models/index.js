@@ -17,9 +17,59 @@ const UserRole = require('./UserRole');
 const Attendance = require('./Attendance');
 const Exam = require('./Exam');
 const ExamMarks = require('./ExamMarks');
+const ExamPaper = require('./ExamPaper');
+const ExamInvigilator = require('./ExamInvigilator');
+const GradingScheme = require('./GradingScheme');
+const GradingSchemeAssignment = require('./GradingSchemeAssignment');
+const CoScholasticGrade = require('./CoScholasticGrade');
+const ReportCardTemplate = require('./ReportCardTemplate');
+const ReportCardRemark = require('./ReportCardRemark');
 const StudentFee = require('./StudentFee');
 const Class = require('./Class');
 const StudentSibling = require('./StudentSibling');
+const FeeHead = require('./FeeHead');
+const FeeStructure = require('./FeeStructure');
+const FeeStructureItem = require('./FeeStructureItem');
+const FeePayment = require('./FeePayment');
+const FeePaymentAudit = require('./FeePaymentAudit');
+const ReceiptSequence = require('./ReceiptSequence');
+const PaymentGatewayConfig = require('./PaymentGatewayConfig');
+const PaymentOrder = require('./PaymentOrder');
+const PaymentWebhookEvent = require('./PaymentWebhookEvent');
+const FeeRule = require('./FeeRule');
+const FeeRuleAssignment = require('./FeeRuleAssignment');
+const LedgerAccount = require('./LedgerAccount');
+const Voucher = require('./Voucher');
+const JournalLine = require('./JournalLine');
+const VoucherSequence = require('./VoucherSequence');
+const SchoolProfile = require('./SchoolProfile');
+const InvoiceSequence = require('./InvoiceSequence');
+const Invoice = require('./Invoice');
+const InvoiceLine = require('./InvoiceLine');
+const CreditNote = require('./CreditNote');
+const CreditNoteLine = require('./CreditNoteLine');
+const AttendanceSetting = require('./AttendanceSetting');
+const Teacher = require('./Teacher');
+const TimetableSlot = require('./TimetableSlot');
+const PeriodAttendance = require('./PeriodAttendance');
+const StaffShift = require('./StaffShift');
+const StaffAttendance = require('./StaffAttendance');
+const StudentLeave = require('./StudentLeave');
+const LeaveType = require('./LeaveType');
+const LeaveBalance = require('./LeaveBalance');
+const LeaveApprovalStep = require('./LeaveApprovalStep');
+const StaffLeave = require('./StaffLeave');
+const NotificationTemplate = require('./NotificationTemplate');
+const NotificationMessage = require('./NotificationMessage');
+const Question = require('./Question');
+const OnlineTest = require('./OnlineTest');
+const OnlineTestAttempt = require('./OnlineTestAttempt');
+const AcademicYear = require('./AcademicYear');
+const AcademicTerm = require('./AcademicTerm');
+const StudentEnrollment = require('./StudentEnrollment');
+const Subject = require('./Subject');
+const ClassSubject = require('./ClassSubject');
+const ClassGroup = require('./ClassGroup');
 
 // ===== User & Role Associations =====
 User.hasMany(UserRole, { foreignKey: 'userId', as: 'userRoles' });
@@ -97,9 +147,239 @@ ExamMarks.belongsTo(Student, { foreignKey: 'studentId', as: 'student' });
 Student.hasMany(StudentFee, { foreignKey: 'studentId', as: 'fees' });
 StudentFee.belongsTo(Student, { foreignKey: 'studentId', as: 'student' });
 
+// ===== Fee Associations =====
+Tenant.hasMany(StudentFee, { foreignKey: 'tenantId', as: 'studentFees' });
+StudentFee.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+
+Class.hasMany(StudentFee, { foreignKey: 'classId', as: 'fees' });
+StudentFee.belongsTo(Class, { foreignKey: 'classId', as: 'class' });
+
+Tenant.hasMany(FeeHead, { foreignKey: 'tenantId', as: 'feeHeads' });
+FeeHead.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+
+Tenant.hasMany(FeeStructure, { foreignKey: 'tenantId', as: 'feeStructures' });
+FeeStructure.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+
+Class.hasMany(FeeStructure, { foreignKey: 'classId', as: 'feeStructures' });
+FeeStructure.belongsTo(Class, { foreignKey: 'classId', as: 'class' });
+
+FeeStructure.hasMany(FeeStructureItem, { foreignKey: 'feeStructureId', as: 'items' });
+FeeStructureItem.belongsTo(FeeStructure, { foreignKey: 'feeStructureId', as: 'structure' });
+
+FeeHead.hasMany(FeeStructureItem, { foreignKey: 'feeHeadId', as: 'structureItems' });
+FeeStructureItem.belongsTo(FeeHead, { foreignKey: 'feeHeadId', as: 'feeHead' });
+
+FeeHead.hasMany(StudentFee, { foreignKey: 'feeHeadId', as: 'studentFees' });
+StudentFee.belongsTo(FeeHead, { foreignKey: 'feeHeadId', as: 'feeHead' });
+
+FeeStructure.hasMany(StudentFee, { foreignKey: 'feeStructureId', as: 'studentFees' });
+StudentFee.belongsTo(FeeStructure, { foreignKey: 'feeStructureId', as: 'feeStructure' });
+
+// ===== Fee Payment Associations =====
+StudentFee.hasMany(FeePayment, { foreignKey: 'studentFeeId', as: 'payments' });
+FeePayment.belongsTo(StudentFee, { foreignKey: 'studentFeeId', as: 'fee' });
+
+Student.hasMany(FeePayment, { foreignKey: 'studentId', as: 'feePayments' });
+FeePayment.belongsTo(Student, { foreignKey: 'studentId', as: 'student' });
+
+FeePayment.belongsTo(User, { foreignKey: 'collectedBy', as: 'collector' });
+FeePayment.belongsTo(User, { foreignKey: 'reversedBy', as: 'reverser' });
+
+FeePayment.hasMany(FeePaymentAudit, { foreignKey: 'feePaymentId', as: 'auditTrail' });
+FeePaymentAudit.belongsTo(FeePayment, { foreignKey: 'feePaymentId', as: 'payment' });
+FeePaymentAudit.belongsTo(User, { foreignKey: 'performedBy', as: 'performer' });
+
+// ===== Fee Rule Associations =====
+Tenant.hasMany(FeeRule, { foreignKey: 'tenantId', as: 'feeRules' });
+FeeRule.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+FeeRule.belongsTo(FeeHead, { foreignKey: 'feeHeadId', as: 'feeHead' });
+
+FeeRule.hasMany(FeeRuleAssignment, { foreignKey: 'feeRuleId', as: 'assignments' });
+FeeRuleAssignment.belongsTo(FeeRule, { foreignKey: 'feeRuleId', as: 'rule' });
+FeeRuleAssignment.belongsTo(Student, { foreignKey: 'studentId', as: 'student' });
+
+// ===== Payment Gateway Associations =====
+Tenant.hasMany(PaymentGatewayConfig, { foreignKey: 'tenantId', as: 'paymentGateways' });
+PaymentGatewayConfig.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+
+Tenant.hasMany(PaymentOrder, { foreignKey: 'tenantId', as: 'paymentOrders' });
+PaymentOrder.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+PaymentOrder.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+
+// ===== Accounting Associations =====
+Tenant.hasMany(LedgerAccount, { foreignKey: 'tenantId', as: 'ledgerAccounts' });
+LedgerAccount.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+LedgerAccount.belongsTo(LedgerAccount, { foreignKey: 'parentId', as: 'parent' });
+LedgerAccount.hasMany(LedgerAccount, { foreignKey: 'parentId', as: 'children' });
+
+Tenant.hasMany(Voucher, { foreignKey: 'tenantId', as: 'vouchers' });
+Voucher.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+Voucher.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+Voucher.belongsTo(User, { foreignKey: 'reversedBy', as: 'reverser' });
+Voucher.belongsTo(Voucher, { foreignKey: 'reversalOfId', as: 'reversalOf' });
+
+Voucher.hasMany(JournalLine, { foreignKey: 'voucherId', as: 'lines' });
+JournalLine.belongsTo(Voucher, { foreignKey: 'voucherId', as: 'voucher' });
+LedgerAccount.hasMany(JournalLine, { foreignKey: 'accountId', as: 'journalLines' });
+JournalLine.belongsTo(LedgerAccount, { foreignKey: 'accountId', as: 'account' });
+
+// ===== Invoice Associations =====
+Tenant.hasOne(SchoolProfile, { foreignKey: 'tenantId', as: 'schoolProfile' });
+SchoolProfile.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+
+Student.hasMany(Invoice, { foreignKey: 'studentId', as: 'invoices' });
+Invoice.belongsTo(Student, { foreignKey: 'studentId', as: 'student' });
+Invoice.belongsTo(Class, { foreignKey: 'classId', as: 'class' });
+Invoice.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+Invoice.hasMany(InvoiceLine, { foreignKey: 'invoiceId', as: 'lines' });
+InvoiceLine.belongsTo(Invoice, { foreignKey: 'invoiceId', as: 'invoice' });
+InvoiceLine.belongsTo(StudentFee, { foreignKey: 'studentFeeId', as: 'fee' });
+InvoiceLine.belongsTo(FeeHead, { foreignKey: 'feeHeadId', as: 'feeHead' });
+
+Invoice.hasMany(CreditNote, { foreignKey: 'invoiceId', as: 'creditNotes' });
+CreditNote.belongsTo(Invoice, { foreignKey: 'invoiceId', as: 'invoice' });
+CreditNote.belongsTo(Voucher, { foreignKey: 'voucherId', as: 'voucher' });
+CreditNote.belongsTo(User, { foreignKey: 'createdBy', as: 'creator' });
+CreditNote.hasMany(CreditNoteLine, { foreignKey: 'creditNoteId', as: 'lines' });
+CreditNoteLine.belongsTo(CreditNote, { foreignKey: 'creditNoteId', as: 'creditNote' });
+CreditNoteLine.belongsTo(InvoiceLine, { foreignKey: 'invoiceLineId', as: 'invoiceLine' });
+
+// ===== Attendance Associations =====
+Tenant.hasMany(Attendance, { foreignKey: 'tenantId', as: 'attendance' });
+Attendance.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+Class.hasMany(Attendance, { foreignKey: 'classId', as: 'attendance' });
+Attendance.belongsTo(Class, { foreignKey: 'classId', as: 'class' });
+Attendance.belongsTo(User, { foreignKey: 'markedBy', as: 'marker' });
+
+Tenant.hasOne(AttendanceSetting, { foreignKey: 'tenantId', as: 'attendanceSetting' });
+AttendanceSetting.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+
+// ===== Timetable Associations =====
+Tenant.hasMany(TimetableSlot, { foreignKey: 'tenantId', as: 'timetableSlots' });
+TimetableSlot.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+Class.hasMany(TimetableSlot, { foreignKey: 'classId', as: 'timetableSlots' });
+TimetableSlot.belongsTo(Class, { foreignKey: 'classId', as: 'class' });
+Teacher.hasMany(TimetableSlot, { foreignKey: 'teacherId', as: 'timetableSlots' });
+TimetableSlot.belongsTo(Teacher, { foreignKey: 'teacherId', as: 'teacher' });
+
+TimetableSlot.hasMany(PeriodAttendance, { foreignKey: 'timetableSlotId', as: 'periodAttendance' });
+PeriodAttendance.belongsTo(TimetableSlot, { foreignKey: 'timetableSlotId', as: 'slot' });
+Student.hasMany(PeriodAttendance, { foreignKey: 'studentId', as: 'periodAttendance' });
+PeriodAttendance.belongsTo(Student, { foreignKey: 'studentId', as: 'student' });
+PeriodAttendance.belongsTo(Class, { foreignKey: 'classId', as: 'class' });
+PeriodAttendance.belongsTo(User, { foreignKey: 'markedBy', as: 'marker' });
+
+// ===== Staff Attendance Associations =====
+Tenant.hasMany(StaffShift, { foreignKey: 'tenantId', as: 'staffShifts' });
+StaffShift.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+Tenant.hasMany(StaffAttendance, { foreignKey: 'tenantId', as: 'staffAttendance' });
+StaffAttendance.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+StaffAttendance.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+StaffAttendance.belongsTo(User, { foreignKey: 'markedBy', as: 'marker' });
+
+// ===== Student Leave Associations =====
+Class.belongsTo(Teacher, { foreignKey: 'classTeacherId', as: 'classTeacher' });
+Tenant.hasMany(StudentLeave, { foreignKey: 'tenantId', as: 'studentLeaves' });
+StudentLeave.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+Student.hasMany(StudentLeave, { foreignKey: 'studentId', as: 'leaves' });
+StudentLeave.belongsTo(Student, { foreignKey: 'studentId', as: 'student' });
+StudentLeave.belongsTo(Class, { foreignKey: 'classId', as: 'class' });
+StudentLeave.belongsTo(Parent, { foreignKey: 'parentId', as: 'parent' });
+StudentLeave.belongsTo(User, { foreignKey: 'appliedBy', as: 'applicant' });
+StudentLeave.belongsTo(User, { foreignKey: 'reviewedBy', as: 'reviewer' });
+
+// ===== Staff Leave Associations =====
+Tenant.hasMany(LeaveType, { foreignKey: 'tenantId', as: 'leaveTypes' });
+LeaveType.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+Tenant.hasMany(LeaveApprovalStep, { foreignKey: 'tenantId', as: 'leaveApprovalSteps' });
+LeaveApprovalStep.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+LeaveType.hasMany(LeaveBalance, { foreignKey: 'leaveTypeId', as: 'balances' });
+LeaveBalance.belongsTo(LeaveType, { foreignKey: 'leaveTypeId', as: 'leaveType' });
+LeaveType.hasMany(StaffLeave, { foreignKey: 'leaveTypeId', as: 'leaves' });
+StaffLeave.belongsTo(LeaveType, { foreignKey: 'leaveTypeId', as: 'leaveType' });
+Tenant.hasMany(StaffLeave, { foreignKey: 'tenantId', as: 'staffLeaves' });
+StaffLeave.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+StaffLeave.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+StaffLeave.belongsTo(User, { foreignKey: 'appliedBy', as: 'applicant' });
+
+// ===== Notification Associations =====
+Tenant.hasMany(NotificationTemplate, { foreignKey: 'tenantId', as: 'notificationTemplates' });
+NotificationTemplate.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+Tenant.hasMany(NotificationMessage, { foreignKey: 'tenantId', as: 'notificationMessages' });
+NotificationMessage.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+NotificationMessage.belongsTo(Parent, { foreignKey: 'parentId', as: 'parent' });
+NotificationMessage.belongsTo(Student, { foreignKey: 'studentId', as: 'student' });
+
 // ===== Exam Associations =====
 Exam.hasMany(ExamMarks, { foreignKey: 'examId', as: 'marks' });
 ExamMarks.belongsTo(Exam, { foreignKey: 'examId', as: 'exam' });
+Tenant.hasMany(Exam, { foreignKey: 'tenantId', as: 'exams' });
+Exam.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+Exam.hasMany(ExamPaper, { foreignKey: 'examId', as: 'papers' });
+ExamPaper.belongsTo(Exam, { foreignKey: 'examId', as: 'exam' });
+Class.hasMany(ExamPaper, { foreignKey: 'classId', as: 'examPapers' });
+ExamPaper.belongsTo(Class, { foreignKey: 'classId', as: 'class' });
+ExamPaper.belongsToMany(Teacher, { through: ExamInvigilator, foreignKey: 'examPaperId', otherKey: 'teacherId', as: 'invigilators' });
+Teacher.belongsToMany(ExamPaper, { through: ExamInvigilator, foreignKey: 'teacherId', otherKey: 'examPaperId', as: 'invigilations' });
+ExamPaper.hasMany(ExamInvigilator, { foreignKey: 'examPaperId', as: 'invigilatorLinks' });
+ExamInvigilator.belongsTo(ExamPaper, { foreignKey: 'examPaperId', as: 'paper' });
+ExamInvigilator.belongsTo(Teacher, { foreignKey: 'teacherId', as: 'teacher' });
+ExamPaper.hasMany(ExamMarks, { foreignKey: 'examPaperId', as: 'marks' });
+ExamMarks.belongsTo(ExamPaper, { foreignKey: 'examPaperId', as: 'paper' });
+Tenant.hasMany(GradingScheme, { foreignKey: 'tenantId', as: 'gradingSchemes' });
+GradingScheme.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+GradingScheme.hasMany(GradingSchemeAssignment, { foreignKey: 'gradingSchemeId', as: 'assignments' });
+GradingSchemeAssignment.belongsTo(GradingScheme, { foreignKey: 'gradingSchemeId', as: 'scheme' });
+GradingSchemeAssignment.belongsTo(Class, { foreignKey: 'classId', as: 'class' });
+Exam.hasMany(CoScholasticGrade, { foreignKey: 'examId', as: 'coScholasticGrades' });
+CoScholasticGrade.belongsTo(Exam, { foreignKey: 'examId', as: 'exam' });
+CoScholasticGrade.belongsTo(Student, { foreignKey: 'studentId', as: 'student' });
+Tenant.hasMany(ReportCardTemplate, { foreignKey: 'tenantId', as: 'reportCardTemplates' });
+ReportCardTemplate.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+Exam.hasMany(ReportCardRemark, { foreignKey: 'examId', as: 'reportCardRemarks' });
+ReportCardRemark.belongsTo(Exam, { foreignKey: 'examId', as: 'exam' });
+ReportCardRemark.belongsTo(Student, { foreignKey: 'studentId', as: 'student' });
+
+// ===== LMS Associations =====
+Tenant.hasMany(Question, { foreignKey: 'tenantId', as: 'questions' });
+Question.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+OnlineTest.belongsTo(Class, { foreignKey: 'classId', as: 'class' });
+OnlineTest.belongsTo(ExamPaper, { foreignKey: 'examPaperId', as: 'examPaper' });
+OnlineTest.hasMany(OnlineTestAttempt, { foreignKey: 'onlineTestId', as: 'attempts' });
+OnlineTestAttempt.belongsTo(OnlineTest, { foreignKey: 'onlineTestId', as: 'test' });
+OnlineTestAttempt.belongsTo(Student, { foreignKey: 'studentId', as: 'student' });
+
+// ===== Academic Year Associations =====
+Tenant.hasMany(AcademicYear, { foreignKey: 'tenantId', as: 'academicYears' });
+AcademicYear.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+AcademicYear.hasMany(AcademicTerm, { foreignKey: 'academicYearId', as: 'terms' });
+AcademicTerm.belongsTo(AcademicYear, { foreignKey: 'academicYearId', as: 'academicYear' });
+AcademicYear.hasMany(StudentEnrollment, { foreignKey: 'academicYearId', as: 'enrollments' });
+StudentEnrollment.belongsTo(AcademicYear, { foreignKey: 'academicYearId', as: 'academicYear' });
+StudentEnrollment.belongsTo(Student, { foreignKey: 'studentId', as: 'student' });
+StudentEnrollment.belongsTo(Class, { foreignKey: 'classId', as: 'class' });
+Student.hasMany(StudentEnrollment, { foreignKey: 'studentId', as: 'enrollments' });
+Class.belongsTo(AcademicYear, { foreignKey: 'academicYearId', as: 'academicYear' });
+Exam.belongsTo(AcademicYear, { foreignKey: 'academicYearId', as: 'academicYear' });
+FeeStructure.belongsTo(AcademicYear, { foreignKey: 'academicYearId', as: 'academicYear' });
+
+// ===== Subject Associations =====
+Tenant.hasMany(Subject, { foreignKey: 'tenantId', as: 'subjects' });
+Subject.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+Subject.hasMany(ClassSubject, { foreignKey: 'subjectId', as: 'classSubjects' });
+ClassSubject.belongsTo(Subject, { foreignKey: 'subjectId', as: 'subject' });
+Class.hasMany(ClassSubject, { foreignKey: 'classId', as: 'classSubjects' });
+ClassSubject.belongsTo(Class, { foreignKey: 'classId', as: 'class' });
+Teacher.hasMany(ClassSubject, { foreignKey: 'teacherId', as: 'classSubjects' });
+ClassSubject.belongsTo(Teacher, { foreignKey: 'teacherId', as: 'teacher' });
+TimetableSlot.belongsTo(Subject, { foreignKey: 'subjectId', as: 'subjectDetail' });
+
+// ===== Class Group Associations =====
+Tenant.hasMany(ClassGroup, { foreignKey: 'tenantId', as: 'classGroups' });
+ClassGroup.belongsTo(Tenant, { foreignKey: 'tenantId', as: 'tenant' });
+ClassGroup.belongsTo(AcademicYear, { foreignKey: 'academicYearId', as: 'academicYear' });
+ClassGroup.hasMany(Class, { foreignKey: 'classGroupId', as: 'sections' });
+Class.belongsTo(ClassGroup, { foreignKey: 'classGroupId', as: 'classGroup' });
 
 module.exports = {
     Tenant,
@@ -115,7 +395,57 @@ module.exports = {
     Attendance,
     Exam,
     ExamMarks,
+    ExamPaper,
+    ExamInvigilator,
+    GradingScheme,
+    GradingSchemeAssignment,
+    CoScholasticGrade,
+    ReportCardTemplate,
+    ReportCardRemark,
     StudentFee,
     Class,
-    StudentSibling
+    StudentSibling,
+    FeeHead,
+    FeeStructure,
+    FeeStructureItem,
+    FeePayment,
+    FeePaymentAudit,
+    ReceiptSequence,
+    PaymentGatewayConfig,
+    PaymentOrder,
+    PaymentWebhookEvent,
+    FeeRule,
+    FeeRuleAssignment,
+    LedgerAccount,
+    Voucher,
+    JournalLine,
+    VoucherSequence,
+    SchoolProfile,
+    InvoiceSequence,
+    Invoice,
+    InvoiceLine,
+    CreditNote,
+    CreditNoteLine,
+    AttendanceSetting,
+    Teacher,
+    TimetableSlot,
+    PeriodAttendance,
+    StaffShift,
+    StaffAttendance,
+    StudentLeave,
+    LeaveType,
+    LeaveBalance,
+    LeaveApprovalStep,
+    StaffLeave,
+    NotificationTemplate,
+    NotificationMessage,
+    Question,
+    OnlineTest,
+    OnlineTestAttempt,
+    AcademicYear,
+    AcademicTerm,
+    StudentEnrollment,
+    Subject,
+    ClassSubject,
+    ClassGroup
 };
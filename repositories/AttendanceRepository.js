@@ -0,0 +1,136 @@
+/**
+ * AttendanceRepository
+ *
+ * Read access to student attendance. Marking and edits go through attendanceService,
+ * which checks the class roster and the tenant's edit window.
+ *
+ * Permission-Scope RLS Rules:
+ * - TENANT (Admin/Principal): See all attendance in their tenant
+ * - TENANT (Teacher): See attendance of the classes they teach a subject in (ClassSubject)
+ * - OWNED (Parent): See only attendance of their own children
+ * - OWNED (Student): See only their own attendance
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { Op } = require('sequelize');
+const Teacher = require('../models/Teacher');
+const ClassSubject = require('../models/ClassSubject');
+
+class AttendanceRepository extends BaseRepository {
+    constructor(model) {
+        super(model, 'attendance_students');
+    }
+
+    /**
+     * CRITICAL: Apply attendance-specific OWNED scope filtering
+     * Attendance carries studentId, so ownership resolves the same way as for fees
+     *
+     * @param {Object} where - WHERE clause with tenantId already included
+     * @param {Object} userContext - User context
+     * @param {String} action - 'read', 'update', 'delete'
+     * @returns {Object} Updated WHERE clause
+     */
+    applyOwnedFilter(where, userContext, action = 'read') {
+        const { roles } = userContext;
+
+        if (this.isAdmin(userContext)) {
+            return where;
+        }
+
+        if (roles.some(r => r.toLowerCase().includes('parent') || r.toLowerCase().includes('student'))) {
+            where[Op.and] = [
+                ...(where[Op.and] || []),
+                { studentId: { [Op.in]: this.buildLinkedStudentIdsLiteral(userContext) } }
+            ];
+            return where;
+        }
+
+        // Unknown owner type - fail closed
+        where.id = { [Op.eq]: null };
+        return where;
+    }
+
+    /**
+     * The caller's Teacher profile and assigned classes: the classes they teach a subject in
+     * (ClassSubject). Teachers without any class subject keep their legacy Teacher.classIds.
+     * Teachers hold tenant-wide attendance permissions, so the class restriction is by role.
+     *
+     * @param {Object} userContext - User context
+     * @returns {Promise<Object|null>} { teacherId, classIds }, or null when the user is not restricted to classes
+     */
+    async getTeacherAssignment(userContext) {
+        const context = this.validateUserContext(userContext);
+        if (this.isAdmin(context) || !this.hasRole(context, ['teacher'])) {
+            return null;
+        }
+
+        const teacher = await Teacher.findOne({
+            where: { tenantId: context.tenantId, userId: context.userId },
+            attributes: ['id', 'classIds']
+        });
+        if (!teacher) {
+            return { teacherId: null, classIds: [] };
+        }
+
+        const taught = await ClassSubject.findAll({
+            where: { tenantId: context.tenantId, teacherId: teacher.id },
+            attributes: ['classId']
+        });
+        if (taught.length) {
+            return { teacherId: teacher.id, classIds: [...new Set(taught.map(row => row.classId))] };
+        }
+        return { teacherId: teacher.id, classIds: Array.isArray(teacher.classIds) ? teacher.classIds : [] };
+    }
+
+    /**
+     * Classes a teacher is assigned to
+     *
+     * @param {Object} userContext - User context
+     * @returns {Promise<Array|null>} Class IDs, or null when the user is not restricted to classes
+     */
+    async getAssignedClassIds(userContext) {
+        const assignment = await this.getTeacherAssignment(userContext);
+        return assignment ? assignment.classIds : null;
+    }
+
+    /**
+     * Add the teacher class restriction to repository filters
+     */
+    async withClassRestriction(userContext, filters) {
+        const classIds = await this.getAssignedClassIds(userContext);
+        if (!classIds) return filters;
+
+        return {
+            ...filters,
+            [Op.and]: [...(filters[Op.and] || []), { classId: { [Op.in]: classIds } }]
+        };
+    }
+
+    /**
+     * Find visible attendance with RLS enforcement
+     *
+     * @param {Object} userContext - User context
+     * @param {Object} filters - Additional filters (studentId, classId, status, attendanceDate)
+     * @param {Object} options - Pagination { page, limit, order }
+     * @returns {Promise<Object>} { count, rows }
+     */
+    async findVisibleAttendance(userContext, filters = {}, options = {}) {
+        return this.findAndCountWithRLS(userContext, await this.withClassRestriction(userContext, filters), options);
+    }
+
+    /**
+     * Find an attendance record by ID with RLS enforcement
+     *
+     * @param {String} id - Attendance ID
+     * @param {Object} userContext - User context
+     * @returns {Promise<Object|null>} Attendance or null
+     */
+    async findAttendanceById(id, userContext) {
+        const classIds = await this.getAssignedClassIds(userContext);
+        const record = await this.findByIdWithRLS(id, userContext);
+        if (!record || (classIds && !classIds.includes(record.classId))) return null;
+        return record;
+    }
+}
+
+module.exports = AttendanceRepository;
@@ -171,6 +171,30 @@ class BaseRepository {
         return where;
     }
 
+    /**
+     * Helper: Sub-query of student IDs linked to the user
+     * Covers guardians (parents -> parent_students) and the student's own record (students.userId).
+     * Used by OWNED filters of student-owned resources (fees, attendance, marks) so the
+     * ownership check runs inside the main query instead of a separate lookup.
+     * 
+     * @param {Object} userContext - Validated user context
+     * @returns {Object} Sequelize literal for use with Op.in
+     */
+    buildLinkedStudentIdsLiteral(userContext) {
+        const sequelize = this.model.sequelize;
+        const userId = sequelize.escape(userContext.userId);
+        const tenantId = sequelize.escape(userContext.tenantId);
+
+        return sequelize.literal(`(
+            SELECT ps.studentId FROM parent_students ps
+            INNER JOIN parents p ON p.id = ps.parentId
+            WHERE p.userId = ${userId} AND ps.tenantId = ${tenantId}
+            UNION
+            SELECT s.id FROM students s
+            WHERE s.userId = ${userId} AND s.tenantId = ${tenantId}
+        )`);
+    }
+
     /**
      * Audit log all data access
      * Called on every repository operation for security monitoring
@@ -0,0 +1,79 @@
+/**
+ * FeePaymentRepository
+ *
+ * Read access to the fee payment ledger with the same RLS rules as FeeRepository.
+ * Writes (collection, reversal) go through feePaymentService, which locks the fee row
+ * and keeps receipt numbers and fee status consistent.
+ *
+ * Permission-Scope RLS Rules:
+ * - TENANT (Admin/Accountant): See all payments in their tenant
+ * - OWNED (Parent): See only payments for their own children
+ * - OWNED (Student): See only their own payments
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { Op } = require('sequelize');
+const { FeePaymentAudit } = require('../models'); // index registers the auditTrail association
+
+class FeePaymentRepository extends BaseRepository {
+    constructor(model) {
+        super(model, 'fees');
+    }
+
+    /**
+     * CRITICAL: Apply payment-specific OWNED scope filtering
+     * Payments carry studentId, so ownership resolves the same way as for fees
+     *
+     * @param {Object} where - WHERE clause with tenantId already included
+     * @param {Object} userContext - User context
+     * @param {String} action - 'read', 'update', 'delete'
+     * @returns {Object} Updated WHERE clause
+     */
+    applyOwnedFilter(where, userContext, action = 'read') {
+        const { roles } = userContext;
+
+        if (this.isAdmin(userContext)) {
+            return where;
+        }
+
+        if (roles.some(r => r.toLowerCase().includes('parent') || r.toLowerCase().includes('student'))) {
+            where[Op.and] = [
+                ...(where[Op.and] || []),
+                { studentId: { [Op.in]: this.buildLinkedStudentIdsLiteral(userContext) } }
+            ];
+            return where;
+        }
+
+        // Unknown owner type - fail closed
+        where.id = { [Op.eq]: null };
+        return where;
+    }
+
+    /**
+     * Find visible payments with RLS enforcement
+     *
+     * @param {Object} userContext - User context
+     * @param {Object} filters - Additional filters (studentFeeId, studentId, mode, status, paidOn)
+     * @param {Object} options - Pagination { page, limit, order }
+     * @returns {Promise<Object>} { count, rows }
+     */
+    async findVisiblePayments(userContext, filters = {}, options = {}) {
+        return this.findAndCountWithRLS(userContext, filters, options);
+    }
+
+    /**
+     * Find payment by ID with RLS enforcement, including its audit trail
+     *
+     * @param {String} id - Payment ID
+     * @param {Object} userContext - User context
+     * @returns {Promise<Object|null>} Payment or null
+     */
+    async findPaymentById(id, userContext) {
+        return this.findByIdWithRLS(id, userContext, {
+            include: [{ model: FeePaymentAudit, as: 'auditTrail' }],
+            order: [[{ model: FeePaymentAudit, as: 'auditTrail' }, 'createdAt', 'ASC']]
+        });
+    }
+}
+
+module.exports = FeePaymentRepository;
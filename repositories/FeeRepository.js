@@ -0,0 +1,184 @@
+/**
+ * FeeRepository
+ *
+ * Extends BaseRepository with fee-specific RLS rules.
+ * CRITICAL: All student fee data access MUST flow through this repository.
+ *
+ * Permission-Scope RLS Rules:
+ * - TENANT (Admin/Accountant): See all fees in their tenant
+ * - OWNED (Parent): See only their own children's fees
+ * - OWNED (Student): See only their own fees
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { Op } = require('sequelize');
+const Student = require('../models/Student');
+const FeePayment = require('../models/FeePayment');
+const { toCents, fromCents, deriveFeeStatus } = require('../utils/feeStatus');
+
+// Fields that may be changed on an existing fee record
+// status, paidAmount and paidDate are derived from the payment ledger (feePaymentService);
+// `amount` is the gross amount, the net is recomputed from the concession/fine breakdown (feeRuleService)
+const UPDATABLE_FIELDS = ['feeType', 'amount', 'dueDate', 'remarks'];
+
+class FeeRepository extends BaseRepository {
+    constructor(model) {
+        super(model, 'fees');
+    }
+
+    /**
+     * CRITICAL: Apply fee-specific OWNED scope filtering
+     * Fees have no userId column, so ownership is resolved through the student
+     *
+     * @param {Object} where - WHERE clause with tenantId already included
+     * @param {Object} userContext - User context
+     * @param {String} action - 'read', 'update', 'delete'
+     * @returns {Object} Updated WHERE clause
+     */
+    applyOwnedFilter(where, userContext, action = 'read') {
+        const { roles } = userContext;
+
+        if (this.isAdmin(userContext)) {
+            return where;
+        }
+
+        if (roles.some(r => r.toLowerCase().includes('parent') || r.toLowerCase().includes('student'))) {
+            // Parent: children linked via parent_students; Student: own record
+            // Added under Op.and so an explicit studentId filter still narrows the result
+            where[Op.and] = [
+                ...(where[Op.and] || []),
+                { studentId: { [Op.in]: this.buildLinkedStudentIdsLiteral(userContext) } }
+            ];
+            return where;
+        }
+
+        // Unknown owner type - fail closed
+        where.id = { [Op.eq]: null };
+        return where;
+    }
+
+    /**
+     * Find visible fees with RLS enforcement
+     *
+     * @param {Object} userContext - User context
+     * @param {Object} filters - Additional filters (studentId, classId, status, dueDate)
+     * @param {Object} options - Pagination { page, limit, order }
+     * @returns {Promise<Object>} { count, rows }
+     */
+    async findVisibleFees(userContext, filters = {}, options = {}) {
+        return this.findAndCountWithRLS(userContext, filters, options);
+    }
+
+    /**
+     * Find fee by ID with RLS enforcement
+     *
+     * @param {String} id - Fee ID
+     * @param {Object} userContext - User context
+     * @param {Object} options - Query options
+     * @returns {Promise<Object|null>} Fee or null
+     */
+    async findFeeById(id, userContext, options = {}) {
+        return this.findByIdWithRLS(id, userContext, options);
+    }
+
+    /**
+     * Create fee with RLS enforcement
+     * The student must belong to the caller's tenant; classId is copied from the student
+     * A new fee has nothing paid, so its status is pending (or overdue if already past due)
+     *
+     * @param {Object} feeData - Fee fields
+     * @param {Object} userContext - User context
+     * @param {Object} transaction - Optional Sequelize transaction
+     * @returns {Promise<Object>} Created fee
+     */
+    async createFee(feeData, userContext, transaction = null) {
+        const context = this.validateUserContext(userContext);
+
+        const student = await Student.findOne({
+            where: { id: feeData.studentId, tenantId: context.tenantId },
+            attributes: ['id', 'classId'],
+            transaction
+        });
+        if (!student) {
+            throw new Error('NOT_FOUND: Student not found');
+        }
+
+        const options = transaction ? { transaction } : {};
+        return this.createWithRLS({
+            ...feeData,
+            classId: feeData.classId || student.classId || null,
+            grossAmount: feeData.amount,
+            discountAmount: 0,
+            fineAmount: 0,
+            paidAmount: 0,
+            paidDate: null,
+            status: deriveFeeStatus({ amount: feeData.amount, paidAmount: 0, dueDate: feeData.dueDate })
+        }, userContext, options);
+    }
+
+    /**
+     * Update fee with RLS enforcement
+     *
+     * @param {String} id - Fee ID
+     * @param {Object} updateData - Fields to update (non-updatable fields are dropped)
+     * @param {Object} userContext - User context
+     * @param {Object} transaction - Optional Sequelize transaction
+     * @returns {Promise<Object>} Updated fee
+     */
+    async updateFee(id, updateData, userContext, transaction = null) {
+        const findOptions = transaction ? { transaction } : {};
+        const fee = await this.findFeeById(id, userContext, findOptions);
+        if (!fee) {
+            throw new Error('NOT_FOUND: Fee not found or access denied');
+        }
+
+        const safeData = {};
+        UPDATABLE_FIELDS.forEach(field => {
+            if (updateData[field] !== undefined) safeData[field] = updateData[field];
+        });
+
+        if (safeData.amount !== undefined) {
+            // Keep the current concessions and fines; the rule engine re-evaluates them afterwards
+            safeData.grossAmount = safeData.amount;
+            safeData.amount = fromCents(toCents(safeData.amount) - toCents(fee.discountAmount) + toCents(fee.fineAmount) - toCents(fee.creditAmount));
+
+            if (toCents(safeData.amount) < toCents(fee.paidAmount)) {
+                throw new Error('VALIDATION_ERROR: amount cannot be less than what has already been paid');
+            }
+        }
+
+        // Amount or due date changes can move the fee between pending/partial/overdue/paid
+        safeData.status = deriveFeeStatus({
+            amount: safeData.amount !== undefined ? safeData.amount : fee.amount,
+            paidAmount: fee.paidAmount,
+            dueDate: safeData.dueDate !== undefined ? safeData.dueDate : fee.dueDate
+        });
+
+        await this.updateWithRLS(id, safeData, userContext, findOptions);
+        return this.findFeeById(id, userContext, findOptions);
+    }
+
+    /**
+     * Delete fee with RLS enforcement. Fees with payments (even reversed ones) are kept, so
+     * the ledger and its receipt numbers stay whole
+     *
+     * @param {String} id - Fee ID
+     * @param {Object} userContext - User context
+     * @param {Object} transaction - Optional Sequelize transaction
+     * @returns {Promise<Number>} Rows deleted
+     */
+    async deleteFee(id, userContext, transaction = null) {
+        const options = transaction ? { transaction } : {};
+        const fee = await this.findFeeById(id, userContext, options);
+        if (!fee) {
+            throw new Error('NOT_FOUND: Fee not found or access denied');
+        }
+        if (await FeePayment.count({ where: { tenantId: fee.tenantId, studentFeeId: fee.id }, ...options })) {
+            throw new Error('CONFLICT: Fee has payments; cancel or refund them first');
+        }
+
+        return this.deleteWithRLS(id, userContext, options);
+    }
+}
+
+module.exports = FeeRepository;
@@ -0,0 +1,76 @@
+/**
+ * InvoiceRepository
+ *
+ * Read access to fee invoices with the same RLS rules as FeeRepository.
+ * Issuing, cancelling and crediting go through invoiceService, which locks the invoice
+ * and its fees and keeps document numbers consistent.
+ *
+ * Permission-Scope RLS Rules:
+ * - TENANT (Admin/Accountant): See all invoices in their tenant
+ * - OWNED (Parent): See only invoices for their own children
+ * - OWNED (Student): See only their own invoices
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { Op } = require('sequelize');
+require('../models'); // register associations used by callers' includes
+
+class InvoiceRepository extends BaseRepository {
+    constructor(model) {
+        super(model, 'fees');
+    }
+
+    /**
+     * CRITICAL: Apply invoice-specific OWNED scope filtering
+     * Invoices carry studentId, so ownership resolves the same way as for fees
+     *
+     * @param {Object} where - WHERE clause with tenantId already included
+     * @param {Object} userContext - User context
+     * @param {String} action - 'read', 'update', 'delete'
+     * @returns {Object} Updated WHERE clause
+     */
+    applyOwnedFilter(where, userContext, action = 'read') {
+        const { roles } = userContext;
+
+        if (this.isAdmin(userContext)) {
+            return where;
+        }
+
+        if (roles.some(r => r.toLowerCase().includes('parent') || r.toLowerCase().includes('student'))) {
+            where[Op.and] = [
+                ...(where[Op.and] || []),
+                { studentId: { [Op.in]: this.buildLinkedStudentIdsLiteral(userContext) } }
+            ];
+            return where;
+        }
+
+        // Unknown owner type - fail closed
+        where.id = { [Op.eq]: null };
+        return where;
+    }
+
+    /**
+     * Find visible invoices with RLS enforcement
+     *
+     * @param {Object} userContext - User context
+     * @param {Object} filters - Additional filters (studentId, classId, status, issueDate)
+     * @param {Object} options - Pagination { page, limit, order }
+     * @returns {Promise<Object>} { count, rows }
+     */
+    async findVisibleInvoices(userContext, filters = {}, options = {}) {
+        return this.findAndCountWithRLS(userContext, filters, options);
+    }
+
+    /**
+     * Check that an invoice is visible to the user
+     *
+     * @param {String} id - Invoice ID
+     * @param {Object} userContext - User context
+     * @returns {Promise<Object|null>} Invoice (without lines) or null
+     */
+    async findInvoiceById(id, userContext) {
+        return this.findByIdWithRLS(id, userContext);
+    }
+}
+
+module.exports = InvoiceRepository;
@@ -0,0 +1,82 @@
+/**
+ * LmsRepository
+ *
+ * Read access to online test attempts and the student record behind a student login.
+ * Building and running tests goes through questionBankService and onlineTestService.
+ *
+ * Permission-Scope RLS Rules (resource `lms`):
+ * - TENANT (Admin): See every attempt in their tenant
+ * - OWNED (Teacher): See attempts of the tests of their subjects (checked by onlineTestService)
+ * - Parent: See only their children's attempts
+ * - Student: See and write only their own attempts
+ *
+ * Students hold lms at tenant scope so they can sit tests, so they are restricted by role
+ * here rather than by scope.
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { Op } = require('sequelize');
+const Student = require('../models/Student');
+
+class LmsRepository extends BaseRepository {
+    constructor(model) {
+        super(model, 'lms');
+    }
+
+    /**
+     * CRITICAL: Apply attempt-specific OWNED scope filtering
+     * Attempts carry studentId, so ownership resolves the same way as for report cards
+     *
+     * @param {Object} where - WHERE clause with tenantId already included
+     * @param {Object} userContext - User context
+     * @param {String} action - 'read', 'update', 'delete'
+     * @returns {Object} Updated WHERE clause
+     */
+    applyOwnedFilter(where, userContext, action = 'read') {
+        if (this.isAdmin(userContext)) {
+            return where;
+        }
+
+        if (this.hasRole(userContext, ['parent', 'student'])) {
+            where[Op.and] = [
+                ...(where[Op.and] || []),
+                { studentId: { [Op.in]: this.buildLinkedStudentIdsLiteral(userContext) } }
+            ];
+            return where;
+        }
+
+        // Unknown owner type - fail closed
+        where.id = { [Op.eq]: null };
+        return where;
+    }
+
+    /**
+     * Whether the user sits tests (a student login that is not also an admin)
+     *
+     * @param {Object} userContext - User context
+     * @returns {Boolean}
+     */
+    isStudent(userContext) {
+        const context = this.validateUserContext(userContext);
+        return !this.isAdmin(context) && this.hasRole(context, ['student']);
+    }
+
+    /**
+     * The active student record linked to a student login
+     *
+     * @param {Object} userContext - User context
+     * @returns {Promise<Object|null>} { id, classId } or null
+     */
+    async getOwnStudent(userContext) {
+        const context = this.validateUserContext(userContext);
+        this.auditLog('read', context, 'own student record for online tests');
+
+        const student = await Student.findOne({
+            where: { tenantId: context.tenantId, userId: context.userId, status: 'active' },
+            attributes: ['id', 'classId']
+        });
+        return student && student.classId ? { id: student.id, classId: student.classId } : null;
+    }
+}
+
+module.exports = LmsRepository;
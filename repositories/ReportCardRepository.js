@@ -0,0 +1,82 @@
+/**
+ * ReportCardRepository
+ *
+ * Read access to report card data (class teacher remarks) and the students whose cards a
+ * parent or student may download. Printing goes through reportCardService.
+ *
+ * Permission-Scope RLS Rules (resource `exams`):
+ * - TENANT (Admin/Principal): See every student's card in their tenant
+ * - OWNED (Teacher): See cards of the classes they teach (checked by reportCardService)
+ * - Parent: See only the cards of their own children
+ * - Student: See only their own card
+ *
+ * Parents and students hold exams:read, which resolves to tenant scope, so they are
+ * restricted by role here rather than by scope.
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { Op } = require('sequelize');
+const Student = require('../models/Student');
+
+class ReportCardRepository extends BaseRepository {
+    constructor(model) {
+        super(model, 'exams');
+    }
+
+    /**
+     * CRITICAL: Apply remark-specific OWNED scope filtering
+     * Remarks carry studentId, so ownership resolves the same way as for fees
+     *
+     * @param {Object} where - WHERE clause with tenantId already included
+     * @param {Object} userContext - User context
+     * @param {String} action - 'read', 'update', 'delete'
+     * @returns {Object} Updated WHERE clause
+     */
+    applyOwnedFilter(where, userContext, action = 'read') {
+        if (this.isAdmin(userContext)) {
+            return where;
+        }
+
+        if (this.isGuardianOrStudent(userContext)) {
+            where[Op.and] = [
+                ...(where[Op.and] || []),
+                { studentId: { [Op.in]: this.buildLinkedStudentIdsLiteral(userContext) } }
+            ];
+            return where;
+        }
+
+        // Unknown owner type - fail closed
+        where.id = { [Op.eq]: null };
+        return where;
+    }
+
+    /**
+     * Whether the user reads exams as a parent or student (their own children / themselves only)
+     *
+     * @param {Object} userContext - User context
+     * @returns {Boolean}
+     */
+    isGuardianOrStudent(userContext) {
+        const context = this.validateUserContext(userContext);
+        return !this.isAdmin(context) && this.hasRole(context, ['parent', 'student']);
+    }
+
+    /**
+     * Students linked to the user: a parent's children, or the student's own record
+     *
+     * @param {Object} userContext - User context
+     * @returns {Promise<Array>} Student IDs
+     */
+    async getLinkedStudentIds(userContext) {
+        const context = this.validateUserContext(userContext);
+        this.auditLog('read', context, 'linked students for report cards');
+
+        const students = await Student.findAll({
+            where: { tenantId: context.tenantId, id: { [Op.in]: this.buildLinkedStudentIdsLiteral(context) } },
+            attributes: ['id']
+        });
+        return students.map(s => s.id);
+    }
+}
+
+module.exports = ReportCardRepository;
@@ -16,6 +16,15 @@ const UserRepository = require('./UserRepository');
 const ClassRepository = require('./ClassRepository');
 const TeacherRepository = require('./TeacherRepository');
 const StudentSiblingRepository = require('./StudentSiblingRepository');
+const FeeRepository = require('./FeeRepository');
+const FeePaymentRepository = require('./FeePaymentRepository');
+const InvoiceRepository = require('./InvoiceRepository');
+const AttendanceRepository = require('./AttendanceRepository');
+const StaffAttendanceRepository = require('./StaffAttendanceRepository');
+const StudentLeaveRepository = require('./StudentLeaveRepository');
+const StaffLeaveRepository = require('./StaffLeaveRepository');
+const ReportCardRepository = require('./ReportCardRepository');
+const LmsRepository = require('./LmsRepository');
 
 const Student = require('../models/Student');
 const Staff = require('../models/Staff');
@@ -23,6 +32,15 @@ const User = require('../models/User');
 const Class = require('../models/Class');
 const Teacher = require('../models/Teacher');
 const StudentSibling = require('../models/StudentSibling');
+const StudentFee = require('../models/StudentFee');
+const FeePayment = require('../models/FeePayment');
+const Invoice = require('../models/Invoice');
+const Attendance = require('../models/Attendance');
+const StaffAttendance = require('../models/StaffAttendance');
+const StudentLeave = require('../models/StudentLeave');
+const StaffLeave = require('../models/StaffLeave');
+const ReportCardRemark = require('../models/ReportCardRemark');
+const OnlineTestAttempt = require('../models/OnlineTestAttempt');
 
 class RepositoryFactory {
     constructor() {
@@ -33,6 +51,15 @@ class RepositoryFactory {
         this._classRepo = null;
         this._teacherRepo = null;
         this._studentSiblingRepo = null;
+        this._feeRepo = null;
+        this._feePaymentRepo = null;
+        this._invoiceRepo = null;
+        this._attendanceRepo = null;
+        this._staffAttendanceRepo = null;
+        this._studentLeaveRepo = null;
+        this._staffLeaveRepo = null;
+        this._reportCardRepo = null;
+        this._lmsRepo = null;
     }
 
     /**
@@ -107,6 +134,114 @@ class RepositoryFactory {
         return this._studentSiblingRepo;
     }
 
+    /**
+     * Get FeeRepository instance
+     * 
+     * @returns {FeeRepository}
+     */
+    get fee() {
+        if (!this._feeRepo) {
+            this._feeRepo = new FeeRepository(StudentFee);
+        }
+        return this._feeRepo;
+    }
+
+    /**
+     * Get FeePaymentRepository instance
+     * 
+     * @returns {FeePaymentRepository}
+     */
+    get feePayment() {
+        if (!this._feePaymentRepo) {
+            this._feePaymentRepo = new FeePaymentRepository(FeePayment);
+        }
+        return this._feePaymentRepo;
+    }
+
+    /**
+     * Get InvoiceRepository instance
+     * 
+     * @returns {InvoiceRepository}
+     */
+    get invoice() {
+        if (!this._invoiceRepo) {
+            this._invoiceRepo = new InvoiceRepository(Invoice);
+        }
+        return this._invoiceRepo;
+    }
+
+    /**
+     * Get AttendanceRepository instance
+     * 
+     * @returns {AttendanceRepository}
+     */
+    get attendance() {
+        if (!this._attendanceRepo) {
+            this._attendanceRepo = new AttendanceRepository(Attendance);
+        }
+        return this._attendanceRepo;
+    }
+
+    /**
+     * Get StaffAttendanceRepository instance
+     * 
+     * @returns {StaffAttendanceRepository}
+     */
+    get staffAttendance() {
+        if (!this._staffAttendanceRepo) {
+            this._staffAttendanceRepo = new StaffAttendanceRepository(StaffAttendance);
+        }
+        return this._staffAttendanceRepo;
+    }
+
+    /**
+     * Get StudentLeaveRepository instance
+     * 
+     * @returns {StudentLeaveRepository}
+     */
+    get studentLeave() {
+        if (!this._studentLeaveRepo) {
+            this._studentLeaveRepo = new StudentLeaveRepository(StudentLeave);
+        }
+        return this._studentLeaveRepo;
+    }
+
+    /**
+     * Get StaffLeaveRepository instance
+     * 
+     * @returns {StaffLeaveRepository}
+     */
+    get staffLeave() {
+        if (!this._staffLeaveRepo) {
+            this._staffLeaveRepo = new StaffLeaveRepository(StaffLeave);
+        }
+        return this._staffLeaveRepo;
+    }
+
+    /**
+     * Get ReportCardRepository instance
+     * 
+     * @returns {ReportCardRepository}
+     */
+    get reportCard() {
+        if (!this._reportCardRepo) {
+            this._reportCardRepo = new ReportCardRepository(ReportCardRemark);
+        }
+        return this._reportCardRepo;
+    }
+
+    /**
+     * Get LmsRepository instance
+     * 
+     * @returns {LmsRepository}
+     */
+    get lms() {
+        if (!this._lmsRepo) {
+            this._lmsRepo = new LmsRepository(OnlineTestAttempt);
+        }
+        return this._lmsRepo;
+    }
+
     /**
      * Get all repositories at once
      * 
@@ -119,14 +254,23 @@ class RepositoryFactory {
             user: this.user,
             class: this.class,
             teacher: this.teacher,
-            studentSibling: this.studentSibling
+            studentSibling: this.studentSibling,
+            fee: this.fee,
+            feePayment: this.feePayment,
+            invoice: this.invoice,
+            attendance: this.attendance,
+            staffAttendance: this.staffAttendance,
+            studentLeave: this.studentLeave,
+            staffLeave: this.staffLeave,
+            reportCard: this.reportCard,
+            lms: this.lms
         };
     }
 
     /**
      * Create a new instance for testing or specific contexts
      * 
-     * @param {String} repositoryName - Name of repository (student, staff, user, class, teacher, studentSibling)
+     * @param {String} repositoryName - Name of repository (student, staff, user, class, teacher, studentSibling, fee, feePayment, invoice, attendance, staffAttendance, studentLeave, staffLeave)
      * @param {Object} model - Sequelize model to use
      * @returns {BaseRepository} New repository instance
      */
@@ -144,6 +288,20 @@ class RepositoryFactory {
                 return new TeacherRepository(model);
             case 'studentsibling':
                 return new StudentSiblingRepository(model);
+            case 'fee':
+                return new FeeRepository(model);
+            case 'feepayment':
+                return new FeePaymentRepository(model);
+            case 'invoice':
+                return new InvoiceRepository(model);
+            case 'attendance':
+                return new AttendanceRepository(model);
+            case 'staffattendance':
+                return new StaffAttendanceRepository(model);
+            case 'studentleave':
+                return new StudentLeaveRepository(model);
+            case 'staffleave':
+                return new StaffLeaveRepository(model);
             default:
                 throw new Error(`Unknown repository: ${repositoryName}`);
         }
@@ -0,0 +1,68 @@
+/**
+ * StaffAttendanceRepository
+ *
+ * Read access to staff and teacher attendance. Check-in, check-out and HR corrections go
+ * through staffAttendanceService, which evaluates each day against the employee's shift.
+ *
+ * Permission-Scope RLS Rules:
+ * - TENANT (Admin/HR Manager): See all staff attendance in their tenant
+ * - OWNED (e.g. Transport Manager): See only their own attendance (StaffAttendance.userId)
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { Op } = require('sequelize');
+
+class StaffAttendanceRepository extends BaseRepository {
+    constructor(model) {
+        super(model, 'attendance_staff');
+    }
+
+    /**
+     * CRITICAL: Apply staff-attendance OWNED scope filtering
+     * Rows carry the employee's login, so ownership is the caller's own rows
+     *
+     * @param {Object} where - WHERE clause with tenantId already included
+     * @param {Object} userContext - User context
+     * @param {String} action - 'read', 'update', 'delete'
+     * @returns {Object} Updated WHERE clause
+     */
+    applyOwnedFilter(where, userContext, action = 'read') {
+        if (this.isAdmin(userContext)) {
+            return where;
+        }
+
+        if (userContext.userId) {
+            where.userId = userContext.userId;
+            return where;
+        }
+
+        // No login to own rows by - fail closed
+        where.id = { [Op.eq]: null };
+        return where;
+    }
+
+    /**
+     * Find visible staff attendance with RLS enforcement
+     *
+     * @param {Object} userContext - User context
+     * @param {Object} filters - Additional filters (employeeType, employeeId, status, attendanceDate)
+     * @param {Object} options - Pagination { page, limit, order }
+     * @returns {Promise<Object>} { count, rows }
+     */
+    async findVisibleStaffAttendance(userContext, filters = {}, options = {}) {
+        return this.findAndCountWithRLS(userContext, filters, options);
+    }
+
+    /**
+     * Find a staff attendance record by ID with RLS enforcement
+     *
+     * @param {String} id - StaffAttendance ID
+     * @param {Object} userContext - User context
+     * @returns {Promise<Object|null>} StaffAttendance or null
+     */
+    async findStaffAttendanceById(id, userContext) {
+        return this.findByIdWithRLS(id, userContext);
+    }
+}
+
+module.exports = StaffAttendanceRepository;
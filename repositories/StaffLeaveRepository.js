@@ -0,0 +1,56 @@
+/**
+ * StaffLeaveRepository
+ *
+ * Read access to staff and teacher leave applications. Applying, approving and cancelling
+ * go through staffLeaveService, which walks the approval chain and keeps the balances.
+ *
+ * Leave follows the staff attendance rules (resource `attendance_staff`):
+ * - TENANT (Admin/HR Manager/Principal): See all leave in their tenant
+ * - OWNED: See only their own leave (StaffLeave.userId)
+ * - Everyone sees their own leave by ID, and approvers the pending leave waiting for one of their roles
+ */
+
+const StaffAttendanceRepository = require('./StaffAttendanceRepository');
+const { Op } = require('sequelize');
+
+class StaffLeaveRepository extends StaffAttendanceRepository {
+    /**
+     * Find visible leave applications with RLS enforcement
+     *
+     * @param {Object} userContext - User context
+     * @param {Object} filters - Additional filters (employeeType, employeeId, leaveTypeId, status, dates)
+     * @param {Object} options - Pagination { page, limit, order }
+     * @returns {Promise<Object>} { count, rows }
+     */
+    async findVisibleLeaves(userContext, filters = {}, options = {}) {
+        return this.findAndCountWithRLS(userContext, filters, options);
+    }
+
+    /**
+     * Find a leave application by ID with RLS enforcement
+     * Employees without staff attendance access still see their own leave, and approvers
+     * the pending leave waiting for one of their roles.
+     *
+     * @param {String} id - StaffLeave ID
+     * @param {Object} userContext - User context
+     * @returns {Promise<Object|null>} StaffLeave or null
+     */
+    async findLeaveById(id, userContext) {
+        const leave = await this.findByIdWithRLS(id, userContext);
+        if (leave) return leave;
+
+        const context = this.validateUserContext(userContext);
+        return this.model.findOne({
+            where: {
+                id,
+                tenantId: context.tenantId,
+                [Op.or]: [
+                    { userId: context.userId },
+                    { status: 'pending', currentRoleCode: { [Op.in]: context.roles.map(role => String(role).toUpperCase()) } }
+                ]
+            }
+        });
+    }
+}
+
+module.exports = StaffLeaveRepository;
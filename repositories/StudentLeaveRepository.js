@@ -0,0 +1,64 @@
+/**
+ * StudentLeaveRepository
+ *
+ * Read access to student leave applications. Applying, reviewing and cancelling go through
+ * studentLeaveService, which checks the parent link and the class teacher.
+ *
+ * Leave follows the attendance rules (resource `attendance_students`):
+ * - TENANT (Admin/Principal): See all leave in their tenant
+ * - TENANT (Teacher): See leave of the classes they are assigned to or class teacher of
+ * - OWNED (Parent): See only leave of their own children
+ * - OWNED (Student): See only their own leave
+ */
+
+const AttendanceRepository = require('./AttendanceRepository');
+const Class = require('../models/Class');
+
+class StudentLeaveRepository extends AttendanceRepository {
+    /**
+     * Classes a teacher may see leave of: the classes they teach a subject in plus the classes
+     * they are class teacher of
+     *
+     * @param {Object} userContext - User context
+     * @returns {Promise<Array|null>} Class IDs, or null when the user is not restricted to classes
+     */
+    async getAssignedClassIds(userContext) {
+        const assignment = await this.getTeacherAssignment(userContext);
+        if (!assignment) return null;
+        if (!assignment.teacherId) return assignment.classIds;
+
+        const led = await Class.findAll({
+            where: { tenantId: userContext.tenantId, classTeacherId: assignment.teacherId },
+            attributes: ['id']
+        });
+        return [...new Set([...assignment.classIds, ...led.map(c => c.id)])];
+    }
+
+    /**
+     * Find visible leave applications with RLS enforcement
+     *
+     * @param {Object} userContext - User context
+     * @param {Object} filters - Additional filters (studentId, classId, status, dates)
+     * @param {Object} options - Pagination { page, limit, order }
+     * @returns {Promise<Object>} { count, rows }
+     */
+    async findVisibleLeaves(userContext, filters = {}, options = {}) {
+        return this.findAndCountWithRLS(userContext, await this.withClassRestriction(userContext, filters), options);
+    }
+
+    /**
+     * Find a leave application by ID with RLS enforcement
+     *
+     * @param {String} id - StudentLeave ID
+     * @param {Object} userContext - User context
+     * @returns {Promise<Object|null>} StudentLeave or null
+     */
+    async findLeaveById(id, userContext) {
+        const classIds = await this.getAssignedClassIds(userContext);
+        const leave = await this.findByIdWithRLS(id, userContext);
+        if (!leave || (classIds && !classIds.includes(leave.classId))) return null;
+        return leave;
+    }
+}
+
+module.exports = StudentLeaveRepository;
@@ -7,6 +7,8 @@
  * Permission-Scope RLS Rules:
  * - TENANT (Admin): See all teachers in their tenant
  * - OWNED (Principal/Manager): See teachers in their division/department
+ * - OWNED (Parent/Student): See the teachers of their children's (or their own) classes:
+ *   the subject teachers (class_subjects) and the class teacher
  * - SELF (Teacher): See only their own record
  * 
  * SECURITY RULES:
@@ -100,10 +102,42 @@ class TeacherRepository extends BaseRepository {
             return where;
         }
 
+        // OWNED: Parents and students see the teachers of the linked students' classes
+        if (roles.some(r => r.toLowerCase().includes('parent') || r.toLowerCase().includes('student'))) {
+            where[Op.and] = [
+                ...(where[Op.and] || []),
+                { id: { [Op.in]: this.buildClassTeacherIdsLiteral(userContext) } }
+            ];
+            return where;
+        }
+
         // Default: No special filtering for other roles (relies on permission scope)
         return where;
     }
 
+    /**
+     * Subquery of the teachers of the classes of the students linked to the user: the subject
+     * teachers of those classes (class_subjects) and their class teachers
+     *
+     * @param {Object} userContext - Validated user context
+     * @returns {Object} Sequelize literal for use with Op.in
+     */
+    buildClassTeacherIdsLiteral(userContext) {
+        const sequelize = this.model.sequelize;
+        const tenantId = sequelize.escape(userContext.tenantId);
+        const linkedStudents = this.buildLinkedStudentIdsLiteral(userContext).val;
+
+        return sequelize.literal(`(
+            SELECT cs.teacherId FROM class_subjects cs
+            INNER JOIN students s ON s.classId = cs.classId
+            WHERE cs.tenantId = ${tenantId} AND cs.teacherId IS NOT NULL AND s.id IN ${linkedStudents}
+            UNION
+            SELECT c.classTeacherId FROM classes c
+            INNER JOIN students s ON s.classId = c.id
+            WHERE c.tenantId = ${tenantId} AND c.classTeacherId IS NOT NULL AND s.id IN ${linkedStudents}
+        )`);
+    }
+
     /**
      * CRITICAL: Find visible teachers for user
      * Main method for listing teachers with full RLS enforcement
@@ -9,6 +9,15 @@ const StudentRepository = require('./StudentRepository');
 const StaffRepository = require('./StaffRepository');
 const UserRepository = require('./UserRepository');
 const ClassRepository = require('./ClassRepository');
+const FeeRepository = require('./FeeRepository');
+const FeePaymentRepository = require('./FeePaymentRepository');
+const InvoiceRepository = require('./InvoiceRepository');
+const AttendanceRepository = require('./AttendanceRepository');
+const StaffAttendanceRepository = require('./StaffAttendanceRepository');
+const StudentLeaveRepository = require('./StudentLeaveRepository');
+const StaffLeaveRepository = require('./StaffLeaveRepository');
+const ReportCardRepository = require('./ReportCardRepository');
+const LmsRepository = require('./LmsRepository');
 const RepositoryFactory = require('./RepositoryFactory');
 
 module.exports = {
@@ -17,5 +26,14 @@ module.exports = {
     StaffRepository,
     UserRepository,
     ClassRepository,
+    FeeRepository,
+    FeePaymentRepository,
+    InvoiceRepository,
+    AttendanceRepository,
+    StaffAttendanceRepository,
+    StudentLeaveRepository,
+    StaffLeaveRepository,
+    ReportCardRepository,
+    LmsRepository,
     RepositoryFactory
 };
@@ -0,0 +1,261 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const academicYearController = require('../controllers/academicYearController');
+
+const router = express.Router();
+
+const validateId = [param('id').isUUID().withMessage('id must be a valid UUID')];
+
+const validateDate = (field) => body(field).isISO8601({ strict: true }).withMessage(`${field} must be a date (YYYY-MM-DD)`);
+
+const termValidators = [
+    body('terms').optional().isArray({ max: 6 }).withMessage('terms must be an array of at most 6 terms'),
+    body('terms.*.name').isString().withMessage('Each term needs a name')
+        .bail().trim().isLength({ min: 1, max: 100 }).withMessage('name must be 1-100 characters'),
+    body('terms.*.startDate').isISO8601({ strict: true }).withMessage('Each term needs a startDate (YYYY-MM-DD)'),
+    body('terms.*.endDate').isISO8601({ strict: true }).withMessage('Each term needs an endDate (YYYY-MM-DD)')
+];
+
+const validateYear = [
+    body('name').trim().notEmpty().withMessage('name is required')
+        .isLength({ max: 50 }).withMessage('name must be at most 50 characters'),
+    validateDate('startDate'),
+    validateDate('endDate'),
+    body('isCurrent').optional().isBoolean().withMessage('isCurrent must be a boolean').toBoolean(),
+    ...termValidators
+];
+
+const validateYearUpdate = [
+    ...validateId,
+    body('name').optional().trim().notEmpty().withMessage('name cannot be empty')
+        .isLength({ max: 50 }).withMessage('name must be at most 50 characters'),
+    validateDate('startDate').optional(),
+    validateDate('endDate').optional(),
+    ...termValidators
+];
+
+const validateLink = [
+    ...validateId,
+    body('includeUnlabelled').optional().isBoolean().withMessage('includeUnlabelled must be a boolean').toBoolean()
+];
+
+/**
+ * @openapi
+ * /api/academic-years:
+ *   get:
+ *     tags:
+ *       - Academic Years
+ *     summary: List the tenant's academic years with their terms
+ *     description: Latest first. Exactly one year has isCurrent true once the tenant has a year.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ *   post:
+ *     tags:
+ *       - Academic Years
+ *     summary: Create an academic year
+ *     description: >
+ *       The tenant's first year becomes current and takes the classes, students, exams and fee structures
+ *       created before years existed. Records labelled with the year's name (Student.session,
+ *       academicSession) and attendance within its dates are linked to it.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - startDate
+ *               - endDate
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: 2026-27
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2026-04-01
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *                 example: 2027-03-31
+ *               isCurrent:
+ *                 type: boolean
+ *               terms:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       example: Term 1
+ *                     startDate:
+ *                       type: string
+ *                       format: date
+ *                     endDate:
+ *                       type: string
+ *                       format: date
+ *     responses:
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Bad dates, or terms outside the year or overlapping
+ *       409:
+ *         description: A year with this name exists, or the dates overlap another year
+ */
+router.get('/', authenticateToken, authorize('school_config', 'read'), asyncHandler(academicYearController.listYears));
+router.post('/', authenticateToken, authorize('school_config', 'create'), validateYear, validate, asyncHandler(academicYearController.createYear));
+
+/**
+ * @openapi
+ * /api/academic-years/current:
+ *   get:
+ *     tags:
+ *       - Academic Years
+ *     summary: The current academic year with its terms and today's term
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: The tenant has no academic year
+ */
+router.get('/current', authenticateToken, authorize('school_config', 'read'), asyncHandler(academicYearController.getCurrentYear));
+
+/**
+ * @openapi
+ * /api/academic-years/{id}:
+ *   get:
+ *     tags:
+ *       - Academic Years
+ *     summary: Get an academic year with its terms
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not Found
+ *   put:
+ *     tags:
+ *       - Academic Years
+ *     summary: Update an academic year
+ *     description: Terms, when given, replace the year's terms. Renaming relabels the year's students, exams and fee structures.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       400:
+ *         description: Bad dates, or attendance of the year would fall outside them
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: The name or dates clash with another year
+ *   delete:
+ *     tags:
+ *       - Academic Years
+ *     summary: Delete an academic year
+ *     description: The current year and years with records cannot be deleted.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: The year is current or has records
+ */
+router.get('/:id', authenticateToken, authorize('school_config', 'read'), validateId, validate, asyncHandler(academicYearController.getYear));
+router.put('/:id', authenticateToken, authorize('school_config', 'update'), validateYearUpdate, validate, asyncHandler(academicYearController.updateYear));
+router.delete('/:id', authenticateToken, authorize('school_config', 'delete'), validateId, validate, asyncHandler(academicYearController.deleteYear));
+
+/**
+ * @openapi
+ * /api/academic-years/{id}/make-current:
+ *   post:
+ *     tags:
+ *       - Academic Years
+ *     summary: Make a year the current academic year
+ *     description: List APIs default to the current year from then on.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not Found
+ */
+router.post('/:id/make-current', authenticateToken, authorize('school_config', 'update'), validateId, validate, asyncHandler(academicYearController.makeCurrent));
+
+/**
+ * @openapi
+ * /api/academic-years/{id}/link-records:
+ *   post:
+ *     tags:
+ *       - Academic Years
+ *     summary: Link records without a year to this year
+ *     description: >
+ *       Students, exams and fee structures labelled with the year's name, attendance within its dates and
+ *       the classes of its students. includeUnlabelled also takes unlabelled records and every class without
+ *       a year. Records already in a year are left alone.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               includeUnlabelled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Counts of the records linked
+ *       404:
+ *         description: Not Found
+ */
+router.post('/:id/link-records', authenticateToken, authorize('school_config', 'update'), validateLink, validate, asyncHandler(academicYearController.linkRecords));
+
+module.exports = router;
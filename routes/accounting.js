@@ -0,0 +1,591 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const accountingController = require('../controllers/accountingController');
+const { ACCOUNT_TYPES, VOUCHER_TYPES, VOUCHER_MODES } = require('../services/accountingService');
+
+// The books are a finance function: they run on the `fees` resource, salary payouts on `hr_payroll`
+const router = express.Router();
+
+const validateId = [param('id').isUUID().withMessage('id must be a valid UUID')];
+
+const validateDateRange = [
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date')
+];
+
+const validateAccount = [
+    body('code').trim().notEmpty().withMessage('code is required')
+        .isLength({ max: 20 }).withMessage('code must be at most 20 characters'),
+    body('name').trim().notEmpty().withMessage('name is required')
+        .isLength({ max: 150 }).withMessage('name must be at most 150 characters'),
+    body('type').notEmpty().withMessage('type is required')
+        .bail().isIn(ACCOUNT_TYPES).withMessage(`type must be one of: ${ACCOUNT_TYPES.join(', ')}`),
+    body('parentId').optional({ nullable: true }).isUUID().withMessage('parentId must be a valid UUID'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean(true)
+];
+
+const validateAccountUpdate = [
+    ...validateId,
+    body('code').optional().trim().notEmpty().withMessage('code cannot be empty')
+        .isLength({ max: 20 }).withMessage('code must be at most 20 characters'),
+    body('name').optional().trim().notEmpty().withMessage('name cannot be empty')
+        .isLength({ max: 150 }).withMessage('name must be at most 150 characters'),
+    body('type').optional().isIn(ACCOUNT_TYPES).withMessage(`type must be one of: ${ACCOUNT_TYPES.join(', ')}`),
+    body('parentId').optional({ nullable: true }).isUUID().withMessage('parentId must be a valid UUID'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean(true)
+];
+
+const voucherFieldValidators = [
+    body('date').optional({ nullable: true }).isISO8601().withMessage('date must be a valid date'),
+    body('referenceNo').optional({ nullable: true }).isLength({ max: 100 }).withMessage('referenceNo must be at most 100 characters')
+];
+
+// Income / expense vouchers and salary payouts move money through cash or bank
+const cashSideValidators = [
+    body('mode').optional().isIn(VOUCHER_MODES).withMessage(`mode must be one of: ${VOUCHER_MODES.join(', ')}`),
+    body('cashAccountId').optional({ nullable: true }).isUUID().withMessage('cashAccountId must be a valid UUID'),
+    body().custom(value => Boolean(value && (value.mode || value.cashAccountId)))
+        .withMessage('mode or cashAccountId is required')
+];
+
+const validateCashVoucher = [
+    body('amount').notEmpty().withMessage('amount is required')
+        .bail().isFloat({ gt: 0 }).withMessage('amount must be a positive number'),
+    body('accountId').optional({ nullable: true }).isUUID().withMessage('accountId must be a valid UUID'),
+    body('partyName').optional({ nullable: true }).isLength({ max: 150 }).withMessage('partyName must be at most 150 characters'),
+    ...cashSideValidators,
+    ...voucherFieldValidators
+];
+
+const validateJournalVoucher = [
+    body('lines').isArray({ min: 2 }).withMessage('lines must have at least two entries'),
+    body('lines.*.accountId').isUUID().withMessage('lines[].accountId must be a valid UUID'),
+    body('lines.*.debit').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('lines[].debit must be a non-negative number'),
+    body('lines.*.credit').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('lines[].credit must be a non-negative number'),
+    ...voucherFieldValidators
+];
+
+const validateReverseVoucher = [
+    ...validateId,
+    body('reason').trim().notEmpty().withMessage('reason is required'),
+    body('date').optional({ nullable: true }).isISO8601().withMessage('date must be a valid date')
+];
+
+const validateListVouchers = [
+    query('type').optional().isIn(VOUCHER_TYPES).withMessage(`type must be one of: ${VOUCHER_TYPES.join(', ')}`),
+    query('status').optional().isIn(['posted', 'reversed']).withMessage('status must be posted or reversed'),
+    query('sourceId').optional().isUUID().withMessage('sourceId must be a valid UUID'),
+    ...validateDateRange
+];
+
+const validateDisbursement = [
+    body('employeeType').isIn(['staff', 'teacher']).withMessage('employeeType must be staff or teacher'),
+    body('employeeId').isUUID().withMessage('employeeId must be a valid UUID'),
+    body('period').matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('period must be a month in YYYY-MM format'),
+    body('amount').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('amount must be a positive number'),
+    body('applyLossOfPay').optional().isBoolean().withMessage('applyLossOfPay must be a boolean').toBoolean(),
+    ...cashSideValidators,
+    ...voucherFieldValidators
+];
+
+/**
+ * @openapi
+ * /api/accounting/accounts:
+ *   get:
+ *     tags:
+ *       - Accounting
+ *     summary: Chart of accounts
+ *     description: Creates the default system accounts (cash, bank, fee income, salaries, ...) on first use.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [asset, liability, equity, income, expense]
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: OK
+ *   post:
+ *     tags:
+ *       - Accounting
+ *     summary: Add an account
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, name, type]
+ *             properties:
+ *               code:
+ *                 type: string
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [asset, liability, equity, income, expense]
+ *               parentId:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Created
+ *       409:
+ *         description: Code already in use
+ */
+router.get('/accounts', authenticateToken, authorize('fees', 'read'),
+    query('type').optional().isIn(ACCOUNT_TYPES).withMessage(`type must be one of: ${ACCOUNT_TYPES.join(', ')}`),
+    validate, asyncHandler(accountingController.listAccounts));
+router.post('/accounts', authenticateToken, authorize('fees', 'create'), validateAccount, validate, asyncHandler(accountingController.createAccount));
+
+/**
+ * @openapi
+ * /api/accounting/accounts/{id}:
+ *   put:
+ *     tags:
+ *       - Accounting
+ *     summary: Update an account
+ *     description: The type of system accounts and of accounts with postings cannot change; system accounts cannot be deactivated.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       404:
+ *         description: Not found
+ *   delete:
+ *     tags:
+ *       - Accounting
+ *     summary: Delete an unused account
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deleted
+ *       409:
+ *         description: System account, or the account has postings or sub-accounts
+ */
+router.put('/accounts/:id', authenticateToken, authorize('fees', 'update'), validateAccountUpdate, validate, asyncHandler(accountingController.updateAccount));
+router.delete('/accounts/:id', authenticateToken, authorize('fees', 'delete'), validateId, validate, asyncHandler(accountingController.deleteAccount));
+
+/**
+ * @openapi
+ * /api/accounting/accounts/{id}/ledger:
+ *   get:
+ *     tags:
+ *       - Accounting
+ *     summary: Account ledger with opening, running and closing balance
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not found
+ */
+router.get('/accounts/:id/ledger', authenticateToken, authorize('fees', 'read'), validateId, validateDateRange, validate, asyncHandler(accountingController.getAccountLedger));
+
+/**
+ * @openapi
+ * /api/accounting/vouchers:
+ *   get:
+ *     tags:
+ *       - Accounting
+ *     summary: List vouchers with their journal lines
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [income, expense, journal, fee_receipt, fee_refund, payroll, reversal]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [posted, reversed]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: sourceType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sourceId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get('/vouchers', authenticateToken, authorize('fees', 'read'), validateListVouchers, validate, asyncHandler(accountingController.listVouchers));
+
+/**
+ * @openapi
+ * /api/accounting/vouchers/income:
+ *   post:
+ *     tags:
+ *       - Accounting
+ *     summary: Record non-fee income (debit cash / bank, credit an income account)
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               accountId:
+ *                 type: string
+ *                 description: Income account (default Other Income)
+ *               mode:
+ *                 type: string
+ *                 enum: [cash, cheque, upi, bank_transfer]
+ *               cashAccountId:
+ *                 type: string
+ *                 description: Asset account received into, instead of mode
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               partyName:
+ *                 type: string
+ *               referenceNo:
+ *                 type: string
+ *               narration:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Posted
+ */
+router.post('/vouchers/income', authenticateToken, authorize('fees', 'create'), validateCashVoucher, validate, asyncHandler(accountingController.createIncomeVoucher));
+
+/**
+ * @openapi
+ * /api/accounting/vouchers/expense:
+ *   post:
+ *     tags:
+ *       - Accounting
+ *     summary: Record an expense (debit an expense account, credit cash / bank)
+ *     description: Same body as income vouchers; accountId defaults to General Expenses.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Posted
+ */
+router.post('/vouchers/expense', authenticateToken, authorize('fees', 'create'), validateCashVoucher, validate, asyncHandler(accountingController.createExpenseVoucher));
+
+/**
+ * @openapi
+ * /api/accounting/vouchers/journal:
+ *   post:
+ *     tags:
+ *       - Accounting
+ *     summary: Post a journal voucher
+ *     description: Each line has either a debit or a credit; total debits must equal total credits.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [lines]
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               narration:
+ *                 type: string
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     accountId:
+ *                       type: string
+ *                     debit:
+ *                       type: number
+ *                     credit:
+ *                       type: number
+ *                     narration:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Posted
+ *       400:
+ *         description: Unbalanced or invalid lines
+ */
+router.post('/vouchers/journal', authenticateToken, authorize('fees', 'create'), validateJournalVoucher, validate, asyncHandler(accountingController.createJournalVoucher));
+
+/**
+ * @openapi
+ * /api/accounting/vouchers/{id}:
+ *   get:
+ *     tags:
+ *       - Accounting
+ *     summary: Get a voucher with its lines
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not found
+ */
+router.get('/vouchers/:id', authenticateToken, authorize('fees', 'read'), validateId, validate, asyncHandler(accountingController.getVoucherById));
+
+/**
+ * @openapi
+ * /api/accounting/vouchers/{id}/reverse:
+ *   post:
+ *     tags:
+ *       - Accounting
+ *     summary: Reverse a voucher
+ *     description: Posts a reversal voucher with the lines swapped and marks the original reversed. Fee receipt vouchers are reversed by reversing the fee payment instead.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Reversed
+ *       409:
+ *         description: Already reversed
+ */
+router.post('/vouchers/:id/reverse', authenticateToken, authorize('fees', 'update'), validateReverseVoucher, validate, asyncHandler(accountingController.reverseVoucher));
+
+/**
+ * @openapi
+ * /api/accounting/payroll/disbursements:
+ *   get:
+ *     tags:
+ *       - Accounting
+ *     summary: List salary disbursements
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: employeeId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: OK
+ *   post:
+ *     tags:
+ *       - Accounting
+ *     summary: Disburse a month's salary (debit salaries, credit cash / bank)
+ *     description: One disbursement per employee and period; amount defaults to the employee's basic salary.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [employeeType, employeeId, period]
+ *             properties:
+ *               employeeType:
+ *                 type: string
+ *                 enum: [staff, teacher]
+ *               employeeId:
+ *                 type: string
+ *               period:
+ *                 type: string
+ *                 example: 2026-09
+ *               amount:
+ *                 type: number
+ *               applyLossOfPay:
+ *                 type: boolean
+ *                 description: Without an amount, deduct the loss-of-pay days of the period's staff attendance sheet from the basic salary
+ *               mode:
+ *                 type: string
+ *                 enum: [cash, cheque, upi, bank_transfer]
+ *               cashAccountId:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               referenceNo:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Posted
+ *       409:
+ *         description: Already disbursed for the period
+ */
+router.get('/payroll/disbursements', authenticateToken, authorize('hr_payroll', 'read'),
+    query('employeeId').optional().isUUID().withMessage('employeeId must be a valid UUID'),
+    validateDateRange, validate, asyncHandler(accountingController.listPayrollDisbursements));
+router.post('/payroll/disbursements', authenticateToken, authorize('hr_payroll', 'create'), validateDisbursement, validate, asyncHandler(accountingController.disbursePayroll));
+
+/**
+ * @openapi
+ * /api/accounting/journal:
+ *   get:
+ *     tags:
+ *       - Accounting
+ *     summary: Journal (day book) lines in date order
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: accountId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get('/journal', authenticateToken, authorize('fees', 'read'),
+    query('accountId').optional().isUUID().withMessage('accountId must be a valid UUID'),
+    validateDateRange, validate, asyncHandler(accountingController.listJournal));
+
+/**
+ * @openapi
+ * /api/accounting/trial-balance:
+ *   get:
+ *     tags:
+ *       - Accounting
+ *     summary: Trial balance as of a date
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Report with columns, rows, totals and a `balanced` flag
+ */
+router.get('/trial-balance', authenticateToken, authorize('fees', 'read'),
+    query('asOf').optional().isISO8601().withMessage('asOf must be a valid date'),
+    validate, asyncHandler(accountingController.getTrialBalance));
+
+/**
+ * @openapi
+ * /api/accounting/trial-balance/export:
+ *   get:
+ *     tags:
+ *       - Accounting
+ *     summary: Export the trial balance as CSV or PDF
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, pdf]
+ *     responses:
+ *       200:
+ *         description: File download
+ */
+router.get('/trial-balance/export', authenticateToken, authorize('fees', 'export'),
+    query('asOf').optional().isISO8601().withMessage('asOf must be a valid date'),
+    query('format').optional().isIn(['csv', 'pdf']).withMessage('format must be csv or pdf'),
+    validate, asyncHandler(accountingController.exportTrialBalance));
+
+module.exports = router;
@@ -1,18 +1,47 @@
 const express = require('express');
+const { body, param, query } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
 const asyncHandler = require('../utils/asyncHandler');
+const attendanceController = require('../controllers/attendanceController');
+const { ATTENDANCE_STATUSES } = require('../services/attendanceService');
 
 const router = express.Router();
 
-// Placeholder: TODO - Implement attendance controller
-const attendanceController = {
-    listAttendance: (req, res) => res.json({ success: true, data: [] }),
-    createAttendance: (req, res) => res.status(201).json({ success: true, data: {} }),
-    getAttendance: (req, res) => res.json({ success: true, data: {} }),
-    updateAttendance: (req, res) => res.json({ success: true, data: {} }),
-    deleteAttendance: (req, res) => res.status(204).end()
-};
+const statusMessage = `status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`;
+
+const validateListAttendance = [
+    query('studentId').optional().isUUID().withMessage('studentId must be a valid UUID'),
+    query('classId').optional().isUUID().withMessage('classId must be a valid UUID'),
+    query('status').optional().isIn(ATTENDANCE_STATUSES).withMessage(statusMessage),
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date'),
+    query('academicYearId').optional().if(value => value !== 'all').isUUID().withMessage('academicYearId must be a valid UUID or "all"')
+];
+
+const validateClassId = param('classId').isUUID().withMessage('classId must be a valid UUID');
+
+// Body of a class or period marking
+const validateMarking = [
+    body('date').optional({ nullable: true }).isISO8601().withMessage('date must be a valid date'),
+    body('defaultStatus').optional({ nullable: true }).isIn(ATTENDANCE_STATUSES).withMessage(`defaultStatus must be one of: ${ATTENDANCE_STATUSES.join(', ')}`),
+    body('records').optional().isArray().withMessage('records must be an array'),
+    body('records.*.studentId').isUUID().withMessage('records[].studentId must be a valid UUID'),
+    body('records.*.status').isIn(ATTENDANCE_STATUSES).withMessage(`records[].${statusMessage}`),
+    body('records.*.remarks').optional({ nullable: true }).isLength({ max: 500 }).withMessage('records[].remarks must be at most 500 characters')
+];
+
+const validateSlotId = param('slotId').isUUID().withMessage('slotId must be a valid UUID');
+const validateDateQuery = query('date').optional().isISO8601().withMessage('date must be a valid date');
+
+const validateAttendanceId = param('id').isUUID().withMessage('id must be a valid UUID');
+
+const validateUpdateAttendance = [
+    validateAttendanceId,
+    body('status').optional().isIn(ATTENDANCE_STATUSES).withMessage(statusMessage),
+    body('remarks').optional({ nullable: true }).isLength({ max: 500 }).withMessage('remarks must be at most 500 characters')
+];
 
 /**
  * @openapi
@@ -21,10 +50,39 @@ const attendanceController = {
  *     tags:
  *       - Attendance
  *     summary: List attendance records
+ *     description: Parents and students only see their linked students; teachers only the classes they are assigned to.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: classId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [present, absent, late, excused]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: academicYearId
+ *         schema:
+ *           type: string
+ *         description: An academic year, or "all". Defaults to the current year
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -40,19 +98,68 @@ const attendanceController = {
  *       403:
  *         description: Forbidden
  */
+router.get('/', authenticateToken, authorize('attendance_students', 'read'), validateListAttendance, validate, asyncHandler(attendanceController.listAttendance));
 
-// GET /api/attendance - List attendance records
-router.get('/', authenticateToken, authorize('attendance_students', 'read'), asyncHandler(attendanceController.listAttendance));
+/**
+ * @openapi
+ * /api/attendance/classes:
+ *   get:
+ *     tags:
+ *       - Attendance
+ *     summary: List the classes the caller can mark
+ *     description: Teachers get the classes in their classIds; other staff get every active class.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/classes', authenticateToken, authorize('attendance_students', 'read'), asyncHandler(attendanceController.listClasses));
 
 /**
  * @openapi
- * /api/attendance:
+ * /api/attendance/classes/{classId}:
+ *   get:
+ *     tags:
+ *       - Attendance
+ *     summary: Load the roster of a class for a date
+ *     description: Active students of the class with the status already marked for the date (null if not marked), plus whether the date is still inside the edit window.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         description: Defaults to today
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: OK
+ *       403:
+ *         description: Not assigned to this class
+ *       404:
+ *         description: Class not found
  *   post:
  *     tags:
  *       - Attendance
- *     summary: Create attendance record
+ *     summary: Mark a whole class for a date
+ *     description: Every active student must be covered, by a record or by defaultStatus. Marking a date again updates the existing records; defaultStatus never overwrites a status that was already marked.
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
@@ -60,27 +167,144 @@ router.get('/', authenticateToken, authorize('attendance_students', 'read'), asy
  *           schema:
  *             type: object
  *             properties:
- *               studentId:
- *                 type: string
  *               date:
  *                 type: string
  *                 format: date
- *               status:
+ *                 description: Defaults to today
+ *               defaultStatus:
  *                 type: string
- *                 enum: [present, absent, late]
+ *                 enum: [present, absent, late, excused]
+ *               records:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     studentId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [present, absent, late, excused]
+ *                     remarks:
+ *                       type: string
  *     responses:
- *       201:
- *         description: Created
+ *       200:
+ *         description: Marked
  *       400:
- *         description: Bad Request
- *       401:
- *         description: Unauthorized
+ *         description: Student not in the class, listed twice, not covered, or a future date
+ *       403:
+ *         description: Not assigned to this class
+ *       409:
+ *         description: Class in period mode, or outside the edit window
+ */
+router.get('/classes/:classId', authenticateToken, authorize('attendance_students', 'read'), validateClassId, validateDateQuery, validate, asyncHandler(attendanceController.getClassRoster));
+router.post('/classes/:classId', authenticateToken, authorize('attendance_students', 'create'), validateClassId, validateMarking, validate, asyncHandler(attendanceController.markClassAttendance));
+
+/**
+ * @openapi
+ * /api/attendance/periods:
+ *   get:
+ *     tags:
+ *       - Attendance
+ *     summary: List the periods the caller can mark on a date
+ *     description: Timetable periods of classes in period mode on the weekday of the date. Teachers get the periods they take and every period of their assigned classes.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         description: Defaults to today
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: OK
  *       403:
  *         description: Forbidden
  */
+router.get('/periods', authenticateToken, authorize('attendance_students', 'read'), validateDateQuery, validate, asyncHandler(attendanceController.listPeriods));
 
-// POST /api/attendance - Create attendance record
-router.post('/', authenticateToken, authorize('attendance_students', 'create'), asyncHandler(attendanceController.createAttendance));
+/**
+ * @openapi
+ * /api/attendance/periods/{slotId}:
+ *   get:
+ *     tags:
+ *       - Attendance
+ *     summary: Load the roster of a class for one period
+ *     description: Active students of the class with the status already marked for the period on the date (null if not marked).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slotId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         description: Defaults to today; must fall on the weekday of the slot
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: The period is not on the timetable for the date
+ *       403:
+ *         description: Neither takes the period nor assigned to its class
+ *       404:
+ *         description: Timetable slot not found
+ *   post:
+ *     tags:
+ *       - Attendance
+ *     summary: Mark a class for one period
+ *     description: Same body as class marking. The class must be in period mode; the daily status of every student is re-derived from all their periods of the day.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slotId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               defaultStatus:
+ *                 type: string
+ *                 enum: [present, absent, late, excused]
+ *               records:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     studentId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [present, absent, late, excused]
+ *                     remarks:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Marked
+ *       400:
+ *         description: Student not in the class, not covered, wrong weekday or a future date
+ *       403:
+ *         description: Neither takes the period nor assigned to its class
+ *       409:
+ *         description: Class in daily mode, inactive slot, or outside the edit window
+ */
+router.get('/periods/:slotId', authenticateToken, authorize('attendance_students', 'read'), validateSlotId, validateDateQuery, validate, asyncHandler(attendanceController.getPeriodRoster));
+router.post('/periods/:slotId', authenticateToken, authorize('attendance_students', 'create'), validateSlotId, validateMarking, validate, asyncHandler(attendanceController.markPeriodAttendance));
 
 /**
  * @openapi
@@ -107,9 +331,7 @@ router.post('/', authenticateToken, authorize('attendance_students', 'create'),
  *       404:
  *         description: Not Found
  */
-
-// GET /api/attendance/:id - Get attendance record
-router.get('/:id', authenticateToken, authorize('attendance_students', 'read'), asyncHandler(attendanceController.getAttendance));
+router.get('/:id', authenticateToken, authorize('attendance_students', 'read'), validateAttendanceId, validate, asyncHandler(attendanceController.getAttendance));
 
 /**
  * @openapi
@@ -118,6 +340,7 @@ router.get('/:id', authenticateToken, authorize('attendance_students', 'read'),
  *     tags:
  *       - Attendance
  *     summary: Update attendance record
+ *     description: Only inside the tenant's edit window (admins excepted).
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -134,7 +357,9 @@ router.get('/:id', authenticateToken, authorize('attendance_students', 'read'),
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [present, absent, late]
+ *                 enum: [present, absent, late, excused]
+ *               remarks:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Updated
@@ -146,10 +371,10 @@ router.get('/:id', authenticateToken, authorize('attendance_students', 'read'),
  *         description: Forbidden
  *       404:
  *         description: Not Found
+ *       409:
+ *         description: Outside the edit window, or derived from period attendance
  */
-
-// PUT /api/attendance/:id - Update attendance record
-router.put('/:id', authenticateToken, authorize('attendance_students', 'update'), asyncHandler(attendanceController.updateAttendance));
+router.put('/:id', authenticateToken, authorize('attendance_students', 'update'), validateUpdateAttendance, validate, asyncHandler(attendanceController.updateAttendance));
 
 /**
  * @openapi
@@ -158,6 +383,7 @@ router.put('/:id', authenticateToken, authorize('attendance_students', 'update')
  *     tags:
  *       - Attendance
  *     summary: Delete attendance record
+ *     description: Only inside the tenant's edit window (admins excepted).
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -175,9 +401,9 @@ router.put('/:id', authenticateToken, authorize('attendance_students', 'update')
  *         description: Forbidden
  *       404:
  *         description: Not Found
+ *       409:
+ *         description: Outside the edit window, or derived from period attendance
  */
-
-// DELETE /api/attendance/:id - Delete attendance record
-router.delete('/:id', authenticateToken, authorize('attendance_students', 'delete'), asyncHandler(attendanceController.deleteAttendance));
+router.delete('/:id', authenticateToken, authorize('attendance_students', 'delete'), validateAttendanceId, validate, asyncHandler(attendanceController.deleteAttendance));
 
 module.exports = router;
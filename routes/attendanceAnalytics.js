@@ -0,0 +1,182 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const attendanceAnalyticsController = require('../controllers/attendanceAnalyticsController');
+const { STANDINGS } = require('../services/attendanceAnalyticsService');
+
+// Mounted at /api/attendance ahead of routes/attendance.js so /analytics wins over /:id
+const router = express.Router();
+
+const validateFormat = [
+    query('format').optional().isIn(['csv', 'pdf']).withMessage('format must be csv or pdf')
+];
+
+const validateRange = [
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date')
+];
+
+const validateStudentFilters = [
+    ...validateRange,
+    query('classId').optional().isUUID().withMessage('classId must be a valid UUID'),
+    query('standing').optional().isIn(STANDINGS).withMessage(`standing must be one of: ${STANDINGS.join(', ')}`)
+];
+
+const validateChronicFilters = [
+    ...validateRange,
+    query('classId').optional().isUUID().withMessage('classId must be a valid UUID')
+];
+
+/**
+ * @openapi
+ * /api/attendance/analytics/students:
+ *   get:
+ *     tags:
+ *       - Attendance
+ *     summary: Attendance percentage per student against the tenant's minimum
+ *     description: >
+ *       Present and late days count as attended. standing is below (under minAttendancePercent),
+ *       at_risk (within attendanceWarningMargin of it, or under it over the last 30 days of the range) or ok.
+ *       Teachers with limited analytics access see the classes they are assigned to.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         description: First day of the range, e.g. the start of the term (default the start of the academic year, else 1 January)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         description: Last day of the range (default today)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: classId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: standing
+ *         schema:
+ *           type: string
+ *           enum: [below, at_risk, ok]
+ *     responses:
+ *       200:
+ *         description: Report with columns, rows and totals
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/analytics/students', authenticateToken, authorize('analytics', 'read'), validateStudentFilters, validate, attendanceAnalyticsController.getStudentReport);
+
+/**
+ * @openapi
+ * /api/attendance/analytics/students/export:
+ *   get:
+ *     tags:
+ *       - Attendance
+ *     summary: Export the student attendance report as CSV or PDF
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, pdf]
+ *     responses:
+ *       200:
+ *         description: File download
+ */
+router.get('/analytics/students/export', authenticateToken, authorize('analytics', 'export'), validateFormat, validateStudentFilters, validate, attendanceAnalyticsController.exportStudentReport);
+
+/**
+ * @openapi
+ * /api/attendance/analytics/classes:
+ *   get:
+ *     tags:
+ *       - Attendance
+ *     summary: Attendance percentage per class, with students below the minimum, at risk and chronically absent
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Report with columns, rows and totals
+ */
+router.get('/analytics/classes', authenticateToken, authorize('analytics', 'read'), validateRange, validate, attendanceAnalyticsController.getClassReport);
+
+/**
+ * @openapi
+ * /api/attendance/analytics/classes/export:
+ *   get:
+ *     tags:
+ *       - Attendance
+ *     summary: Export the class attendance report as CSV or PDF
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: File download
+ */
+router.get('/analytics/classes/export', authenticateToken, authorize('analytics', 'export'), validateFormat, validateRange, validate, attendanceAnalyticsController.exportClassReport);
+
+/**
+ * @openapi
+ * /api/attendance/analytics/chronic-absentees:
+ *   get:
+ *     tags:
+ *       - Attendance
+ *     summary: Students who missed at least chronicAbsencePercent of their days, with their primary parent contact
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: classId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report with columns, rows and totals
+ */
+router.get('/analytics/chronic-absentees', authenticateToken, authorize('analytics', 'read'), validateChronicFilters, validate, attendanceAnalyticsController.getChronicAbsenteeReport);
+
+/**
+ * @openapi
+ * /api/attendance/analytics/chronic-absentees/export:
+ *   get:
+ *     tags:
+ *       - Attendance
+ *     summary: Export the chronic absentee list as CSV or PDF
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: File download
+ */
+router.get('/analytics/chronic-absentees/export', authenticateToken, authorize('analytics', 'export'), validateFormat, validateChronicFilters, validate, attendanceAnalyticsController.exportChronicAbsenteeReport);
+
+module.exports = router;
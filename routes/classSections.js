@@ -0,0 +1,370 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const classSectionController = require('../controllers/classSectionController');
+const { STATUSES } = require('../services/classSectionService');
+
+const router = express.Router();
+
+const validateId = [param('id').isUUID().withMessage('id must be a valid UUID')];
+
+const validateSectionId = [
+    ...validateId,
+    param('classId').isUUID().withMessage('classId must be a valid UUID')
+];
+
+const capacity = (field) => body(field).optional({ nullable: true }).isInt({ min: 1, max: 1000 }).withMessage(`${field} must be a whole number from 1 to 1000, or null`).toInt();
+
+const sectionValidators = (prefix) => [
+    body(`${prefix}.section`).isString().withMessage('Each section needs a name')
+        .bail().trim().isLength({ min: 1, max: 50 }).withMessage('section must be 1-50 characters'),
+    capacity(`${prefix}.capacity`),
+    body(`${prefix}.classTeacherId`).optional({ nullable: true }).isUUID().withMessage('classTeacherId must be a valid UUID')
+];
+
+const groupFieldValidators = [
+    body('displayOrder').optional().isInt({ min: 0 }).withMessage('displayOrder must be a whole number from 0').toInt(),
+    capacity('defaultCapacity'),
+    body('status').optional().isIn(STATUSES).withMessage(`status must be one of: ${STATUSES.join(', ')}`)
+];
+
+const validateGroup = [
+    body('name').trim().notEmpty().withMessage('name is required')
+        .isLength({ max: 100 }).withMessage('name must be at most 100 characters'),
+    body('academicYearId').optional().isUUID().withMessage('academicYearId must be a valid UUID'),
+    ...groupFieldValidators,
+    body('sections').optional().isArray({ max: 26 }).withMessage('sections must be an array of at most 26 sections'),
+    ...sectionValidators('sections.*')
+];
+
+const validateGroupUpdate = [
+    ...validateId,
+    body('name').optional().trim().notEmpty().withMessage('name cannot be empty')
+        .isLength({ max: 100 }).withMessage('name must be at most 100 characters'),
+    ...groupFieldValidators
+];
+
+const validateListGroups = [
+    query('academicYearId').optional().if(value => value !== 'all').isUUID().withMessage('academicYearId must be a valid UUID or "all"'),
+    query('status').optional().isIn(STATUSES).withMessage(`status must be one of: ${STATUSES.join(', ')}`)
+];
+
+const validateAddSections = [
+    ...validateId,
+    body('sections').isArray({ min: 1, max: 26 }).withMessage('sections must be an array of 1-26 sections'),
+    ...sectionValidators('sections.*')
+];
+
+const validateSectionUpdate = [
+    ...validateSectionId,
+    body('section').optional().isString().withMessage('section must be a string')
+        .bail().trim().isLength({ min: 1, max: 50 }).withMessage('section must be 1-50 characters'),
+    capacity('capacity'),
+    body('classTeacherId').optional({ nullable: true }).isUUID().withMessage('classTeacherId must be a valid UUID'),
+    body('status').optional().isIn(STATUSES).withMessage(`status must be one of: ${STATUSES.join(', ')}`)
+];
+
+const validateMove = [
+    ...validateId,
+    body('toClassId').isUUID().withMessage('toClassId must be a valid UUID'),
+    body('studentIds').isArray({ min: 1, max: 200 }).withMessage('studentIds must be an array of 1-200 student IDs'),
+    body('studentIds.*').isUUID().withMessage('Each student ID must be a valid UUID')
+];
+
+/**
+ * @openapi
+ * /api/class-sections:
+ *   get:
+ *     tags:
+ *       - Class Sections
+ *     summary: List the classes of a year with their sections
+ *     description: >
+ *       Each class (e.g. Grade 5) lists its sections with their class teacher, capacity, active students
+ *       and seats left. The current academic year unless academicYearId (or 'all') is given.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: academicYearId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive]
+ *     responses:
+ *       200:
+ *         description: OK
+ *   post:
+ *     tags:
+ *       - Class Sections
+ *     summary: Create a class with its sections
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Grade 5
+ *               academicYearId:
+ *                 type: string
+ *                 description: Defaults to the current academic year
+ *               displayOrder:
+ *                 type: integer
+ *               defaultCapacity:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Capacity of the sections without their own
+ *               sections:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     section:
+ *                       type: string
+ *                       example: A
+ *                     capacity:
+ *                       type: integer
+ *                       nullable: true
+ *                     classTeacherId:
+ *                       type: string
+ *                       nullable: true
+ *     responses:
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Bad fields, repeated section names or unknown teachers
+ *       409:
+ *         description: The year already has a class with this name
+ */
+router.get('/', authenticateToken, authorize('school_config', 'read'), validateListGroups, validate, asyncHandler(classSectionController.listGroups));
+router.post('/', authenticateToken, authorize('school_config', 'create'), validateGroup, validate, asyncHandler(classSectionController.createGroup));
+
+/**
+ * @openapi
+ * /api/class-sections/{id}:
+ *   get:
+ *     tags:
+ *       - Class Sections
+ *     summary: Get a class with its sections
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not Found
+ *   put:
+ *     tags:
+ *       - Class Sections
+ *     summary: Update a class
+ *     description: Renaming it renames its sections and updates their students' classData.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: The name is taken, or a section has more students than the new defaultCapacity
+ *   delete:
+ *     tags:
+ *       - Class Sections
+ *     summary: Delete a class without sections
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: The class still has sections
+ */
+router.get('/:id', authenticateToken, authorize('school_config', 'read'), validateId, validate, asyncHandler(classSectionController.getGroup));
+router.put('/:id', authenticateToken, authorize('school_config', 'update'), validateGroupUpdate, validate, asyncHandler(classSectionController.updateGroup));
+router.delete('/:id', authenticateToken, authorize('school_config', 'delete'), validateId, validate, asyncHandler(classSectionController.deleteGroup));
+
+/**
+ * @openapi
+ * /api/class-sections/{id}/sections:
+ *   post:
+ *     tags:
+ *       - Class Sections
+ *     summary: Add sections to a class
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sections
+ *             properties:
+ *               sections:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     section:
+ *                       type: string
+ *                     capacity:
+ *                       type: integer
+ *                       nullable: true
+ *                     classTeacherId:
+ *                       type: string
+ *                       nullable: true
+ *     responses:
+ *       201:
+ *         description: The class with its sections
+ *       400:
+ *         description: A section name is taken or repeated
+ *       404:
+ *         description: Not Found
+ */
+router.post('/:id/sections', authenticateToken, authorize('school_config', 'update'), validateAddSections, validate, asyncHandler(classSectionController.addSections));
+
+/**
+ * @openapi
+ * /api/class-sections/{id}/sections/{classId}:
+ *   put:
+ *     tags:
+ *       - Class Sections
+ *     summary: Update a section's name, capacity, class teacher or status
+ *     description: The students' classData follows a new name or class teacher.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The class with its sections
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: The section has more students than the new capacity
+ */
+router.put('/:id/sections/:classId', authenticateToken, authorize('school_config', 'update'), validateSectionUpdate, validate, asyncHandler(classSectionController.updateSection));
+
+/**
+ * @openapi
+ * /api/class-sections/{id}/sections/{classId}/roll-numbers:
+ *   post:
+ *     tags:
+ *       - Class Sections
+ *     summary: Renumber the section's active students 1, 2, ... in name order
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The new roll numbers
+ *       404:
+ *         description: Not Found
+ */
+router.post('/:id/sections/:classId/roll-numbers', authenticateToken, authorize('students', 'update'), validateSectionId, validate, asyncHandler(classSectionController.resequenceRollNumbers));
+
+/**
+ * @openapi
+ * /api/class-sections/{id}/move:
+ *   post:
+ *     tags:
+ *       - Class Sections
+ *     summary: Move students to another section of the class
+ *     description: >
+ *       The students take roll numbers after those already in the section. Student.classId, classData and
+ *       the enrollment of the year follow. Refused when the section lacks the seats.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - toClassId
+ *               - studentIds
+ *             properties:
+ *               toClassId:
+ *                 type: string
+ *               studentIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The students moved with their new roll numbers
+ *       400:
+ *         description: Students outside the class, already in the section, or an inactive section
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: Not enough seats in the section
+ */
+router.post('/:id/move', authenticateToken, authorize('students', 'update'), validateMove, validate, asyncHandler(classSectionController.moveStudents));
+
+module.exports = router;
@@ -24,6 +24,11 @@ const router = express.Router();
  *         name: limit
  *         schema:
  *           type: integer
+ *       - in: query
+ *         name: academicYearId
+ *         schema:
+ *           type: string
+ *         description: An academic year, or "all". Defaults to the current year
  *     responses:
  *       200:
  *         description: OK
@@ -59,6 +64,25 @@ router.get('/', authenticateToken, blockSuperAdmin(), authorize('classes', 'read
  *               status:
  *                 type: string
  *                 enum: [active, inactive]
+ *               attendanceMode:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [daily, period]
+ *                 description: Overrides the tenant's attendance mode for this class; null follows the tenant
+ *               classTeacherId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Teacher who reviews the class's student leave applications
+ *               academicYearId:
+ *                 type: string
+ *                 description: Defaults to the current academic year
+ *               classGroupId:
+ *                 type: string
+ *                 description: The class (ClassGroup) this row is a section of; defaults to the group named className
+ *               capacity:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Most active students in the section; null follows the class's defaultCapacity
  *     responses:
  *       201:
  *         description: Created
@@ -120,6 +144,22 @@ router.get('/:id', authenticateToken, blockSuperAdmin(), authorize('classes', 'r
  *               status:
  *                 type: string
  *                 enum: [active, inactive]
+ *               attendanceMode:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [daily, period]
+ *                 description: Overrides the tenant's attendance mode for this class; null follows the tenant
+ *               classTeacherId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Teacher who reviews the class's student leave applications
+ *               classGroupId:
+ *                 type: string
+ *                 description: The class (ClassGroup) this row is a section of; defaults to the group named className
+ *               capacity:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Most active students in the section; null follows the class's defaultCapacity
  *     responses:
  *       200:
  *         description: Updated
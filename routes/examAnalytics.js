@@ -0,0 +1,223 @@
+const express = require('express');
+const { param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const examAnalyticsController = require('../controllers/examAnalyticsController');
+
+// Mounted at /api/exams ahead of routes/exams.js so /analytics wins over /:id
+const router = express.Router();
+
+const validateFormat = [
+    query('format').optional().isIn(['csv', 'pdf']).withMessage('format must be csv or pdf')
+];
+
+const validateId = [param('id').isUUID().withMessage('id must be a valid UUID')];
+
+const validateRanks = [
+    ...validateId,
+    query('classId').isUUID().withMessage('classId must be a valid UUID')
+];
+
+const validateSubjects = [
+    ...validateId,
+    query('classId').optional().isUUID().withMessage('classId must be a valid UUID')
+];
+
+const validateTerms = [
+    query('academicSession').trim().isLength({ min: 1, max: 50 }).withMessage('academicSession is required'),
+    query('classId').optional().isUUID().withMessage('classId must be a valid UUID'),
+    query('teacherId').optional().isUUID().withMessage('teacherId must be a valid UUID')
+];
+
+/**
+ * @openapi
+ * /api/exams/analytics/terms:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: Compare a class's or a subject teacher's results across the exams of a session
+ *     description: >
+ *       One row per subject (per class and subject for a teacher) with the average percentage
+ *       and pass percentage in each exam of the session, and the change in average from the
+ *       first exam to the latest. Teachers compare their own classes or their own subjects.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: academicSession
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 2026-27
+ *       - in: query
+ *         name: classId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: teacherId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report with columns, rows and totals
+ *       400:
+ *         description: Neither or both of classId and teacherId
+ *       403:
+ *         description: Not a teacher of the class
+ */
+router.get('/analytics/terms', authenticateToken, authorize('exams', 'read'), validateTerms, validate, asyncHandler(examAnalyticsController.getTermReport));
+
+/**
+ * @openapi
+ * /api/exams/analytics/terms/export:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: Export the exam comparison as CSV or PDF
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, pdf]
+ *     responses:
+ *       200:
+ *         description: File download
+ */
+router.get('/analytics/terms/export', authenticateToken, authorize('exams', 'export'), validateFormat, validateTerms, validate, asyncHandler(examAnalyticsController.exportTermReport));
+
+/**
+ * @openapi
+ * /api/exams/{id}/analytics/ranks:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: Ranks of a section's students within the section and the class
+ *     description: >
+ *       Ranked by overall percentage; equal percentages share a rank. The class rank is among
+ *       every section with the same class name. result is fail when any paper is failed or
+ *       absent, and empty while papers are still to be entered.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report with columns, rows and totals
+ *       403:
+ *         description: Not a teacher of the class
+ */
+router.get('/:id/analytics/ranks', authenticateToken, authorize('exams', 'read'), validateRanks, validate, asyncHandler(examAnalyticsController.getRankReport));
+
+/**
+ * @openapi
+ * /api/exams/{id}/analytics/ranks/export:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: Export a section's ranks as CSV or PDF
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: File download
+ */
+router.get('/:id/analytics/ranks/export', authenticateToken, authorize('exams', 'export'), validateFormat, validateRanks, validate, asyncHandler(examAnalyticsController.exportRankReport));
+
+/**
+ * @openapi
+ * /api/exams/{id}/analytics/subjects:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: Average, highest and lowest marks and pass percentage of each paper
+ *     description: >
+ *       One row per class and subject with its subject teacher from the timetable. Absent
+ *       students count as failing; medical entries are left out. Teachers see the papers of
+ *       their classes and of the subjects they take.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: classId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report with columns, rows and totals
+ */
+router.get('/:id/analytics/subjects', authenticateToken, authorize('exams', 'read'), validateSubjects, validate, asyncHandler(examAnalyticsController.getSubjectReport));
+
+/**
+ * @openapi
+ * /api/exams/{id}/analytics/subjects/export:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: Export the subject results as CSV or PDF
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: File download
+ */
+router.get('/:id/analytics/subjects/export', authenticateToken, authorize('exams', 'export'), validateFormat, validateSubjects, validate, asyncHandler(examAnalyticsController.exportSubjectReport));
+
+/**
+ * @openapi
+ * /api/exams/{id}/analytics/teachers:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: Average and pass percentage of each subject teacher's papers
+ *     description: >
+ *       Subject teachers come from the class timetables; papers with no teacher on the
+ *       timetable are grouped as Unassigned. Teachers see their own row.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report with columns, rows and totals
+ */
+router.get('/:id/analytics/teachers', authenticateToken, authorize('exams', 'read'), validateId, validate, asyncHandler(examAnalyticsController.getTeacherReport));
+
+/**
+ * @openapi
+ * /api/exams/{id}/analytics/teachers/export:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: Export the subject teacher results as CSV or PDF
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: File download
+ */
+router.get('/:id/analytics/teachers/export', authenticateToken, authorize('exams', 'export'), validateFormat, validateId, validate, asyncHandler(examAnalyticsController.exportTeacherReport));
+
+module.exports = router;
@@ -1,53 +1,195 @@
 const express = require('express');
+const { body, param, query } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
 const asyncHandler = require('../utils/asyncHandler');
+const examController = require('../controllers/examController');
+const examMarksController = require('../controllers/examMarksController');
+const { EXAM_TYPES, MAX_PAPER_MARKS } = require('../services/examService');
+const { MARK_STATUSES } = require('../services/examMarksService');
 
 const router = express.Router();
 
-// Placeholder: TODO - Implement exams controller
-const examsController = {
-    listExams: (req, res) => res.json({ success: true, data: [] }),
-    createExam: (req, res) => res.status(201).json({ success: true, data: {} }),
-    getExam: (req, res) => res.json({ success: true, data: {} }),
-    updateExam: (req, res) => res.json({ success: true, data: {} }),
-    deleteExam: (req, res) => res.status(204).end()
-};
+const TIME = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const validateId = [param('id').isUUID().withMessage('id must be a valid UUID')];
+
+const validatePaperId = [
+    ...validateId,
+    param('paperId').isUUID().withMessage('paperId must be a valid UUID')
+];
+
+const validateInvigilators = [
+    ...validatePaperId,
+    body('teacherIds').isArray().withMessage('teacherIds must be an array of teacher IDs'),
+    body('teacherIds.*').isUUID().withMessage('teacherIds must contain valid UUIDs')
+];
+
+const examFieldValidators = [
+    body('description').optional({ nullable: true }).isString().withMessage('description must be a string'),
+    body('academicSession').optional({ nullable: true }).trim().isLength({ min: 1, max: 50 }).withMessage('academicSession must be 1-50 characters'),
+    body('academicYearId').optional({ nullable: true }).isUUID().withMessage('academicYearId must be a valid UUID'),
+    body('startDate').optional({ nullable: true }).isISO8601().withMessage('startDate must be a valid date'),
+    body('endDate').optional({ nullable: true }).isISO8601().withMessage('endDate must be a valid date')
+];
+
+const validateExam = [
+    body('name').trim().notEmpty().withMessage('name is required')
+        .isLength({ max: 200 }).withMessage('name must be at most 200 characters'),
+    body('examType').optional().isIn(EXAM_TYPES).withMessage(`examType must be one of: ${EXAM_TYPES.join(', ')}`),
+    ...examFieldValidators
+];
+
+const validateExamUpdate = [
+    ...validateId,
+    body('name').optional().trim().notEmpty().withMessage('name cannot be empty')
+        .isLength({ max: 200 }).withMessage('name must be at most 200 characters'),
+    body('examType').optional().isIn(EXAM_TYPES).withMessage(`examType must be one of: ${EXAM_TYPES.join(', ')}`),
+    ...examFieldValidators
+];
+
+const validateListExams = [
+    query('examType').optional().isIn(EXAM_TYPES).withMessage(`examType must be one of: ${EXAM_TYPES.join(', ')}`),
+    query('academicSession').optional().trim().isLength({ min: 1, max: 50 }).withMessage('academicSession must be 1-50 characters'),
+    query('academicYearId').optional().if(value => value !== 'all').isUUID().withMessage('academicYearId must be a valid UUID or "all"'),
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date')
+];
+
+const validateClassFilter = [
+    ...validateId,
+    query('classId').optional().isUUID().withMessage('classId must be a valid UUID')
+];
+
+const paperFieldValidators = [
+    body('room').optional({ nullable: true }).isLength({ max: 50 }).withMessage('room must be at most 50 characters'),
+    body('maxMarks').optional().isFloat({ gt: 0, max: MAX_PAPER_MARKS }).withMessage(`maxMarks must be more than 0 and at most ${MAX_PAPER_MARKS}`).toFloat(),
+    body('passMarks').optional().isFloat({ min: 0, max: MAX_PAPER_MARKS }).withMessage('passMarks must be 0 or more').toFloat()
+];
+
+const validatePaper = [
+    ...validateId,
+    body('classId').isUUID().withMessage('classId must be a valid UUID'),
+    body('subject').trim().notEmpty().withMessage('subject is required')
+        .isLength({ max: 100 }).withMessage('subject must be at most 100 characters'),
+    body('examDate').isISO8601().withMessage('examDate must be a valid date'),
+    body('startTime').matches(TIME).withMessage('startTime must be a time (HH:MM)'),
+    body('endTime').matches(TIME).withMessage('endTime must be a time (HH:MM)'),
+    ...paperFieldValidators,
+    body('invigilatorIds').optional().isArray().withMessage('invigilatorIds must be an array of teacher IDs'),
+    body('invigilatorIds.*').isUUID().withMessage('invigilatorIds must contain valid UUIDs')
+];
+
+const validatePaperUpdate = [
+    ...validatePaperId,
+    body('classId').optional().isUUID().withMessage('classId must be a valid UUID'),
+    body('subject').optional().trim().notEmpty().withMessage('subject cannot be empty')
+        .isLength({ max: 100 }).withMessage('subject must be at most 100 characters'),
+    body('examDate').optional().isISO8601().withMessage('examDate must be a valid date'),
+    body('startTime').optional().matches(TIME).withMessage('startTime must be a time (HH:MM)'),
+    body('endTime').optional().matches(TIME).withMessage('endTime must be a time (HH:MM)'),
+    ...paperFieldValidators,
+    body('invigilatorIds').optional().isArray().withMessage('invigilatorIds must be an array of teacher IDs'),
+    body('invigilatorIds.*').isUUID().withMessage('invigilatorIds must contain valid UUIDs')
+];
+
+const validateListInvigilations = [
+    query('teacherId').optional().isUUID().withMessage('teacherId must be a valid UUID'),
+    query('examId').optional().isUUID().withMessage('examId must be a valid UUID'),
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date')
+];
+
+const validateMarksEntry = [
+    ...validatePaperId,
+    body('entries').isArray({ min: 1 }).withMessage('entries must be a non-empty array'),
+    body('entries.*.studentId').isUUID().withMessage('Each entry needs a valid studentId'),
+    body('entries.*.status').optional().isIn(MARK_STATUSES).withMessage(`status must be one of: ${MARK_STATUSES.join(', ')}`),
+    body('entries.*.marksObtained').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('marksObtained must be 0 or more').toFloat(),
+    body('entries.*.remarks').optional({ nullable: true }).isLength({ max: 500 }).withMessage('remarks must be at most 500 characters'),
+    body('submit').optional().isBoolean().withMessage('submit must be a boolean').toBoolean()
+];
 
 /**
  * @openapi
- * /api/exams:
+ * /api/exams/invigilations:
  *   get:
  *     tags:
  *       - Exams
- *     summary: List exams
+ *     summary: List invigilation duties
+ *     description: In date order. Teachers without tenant-wide exams access always get their own duties.
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: query
- *         name: page
+ *         name: teacherId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: examId
  *         schema:
- *           type: integer
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
  *       - in: query
- *         name: limit
+ *         name: to
  *         schema:
- *           type: integer
+ *           type: string
+ *           format: date
  *     responses:
  *       200:
  *         description: OK
- *       401:
- *         description: Unauthorized
  *       403:
- *         description: Forbidden
+ *         description: Neither a teacher nor tenant-wide exams access
  */
+router.get('/invigilations', authenticateToken, authorize('exams', 'read'), validateListInvigilations, validate, asyncHandler(examController.listInvigilations));
 
 /**
  * @openapi
  * /api/exams:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: List exams
+ *     description: Latest first, of the current academic year unless academicYearId is given. from / to return the exams whose dates overlap the range.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: examType
+ *         schema:
+ *           type: string
+ *           enum: [unit_test, midterm, final]
+ *       - in: query
+ *         name: academicSession
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: academicYearId
+ *         schema:
+ *           type: string
+ *         description: An academic year, or "all"
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: OK
  *   post:
  *     tags:
  *       - Exams
- *     summary: Create exam
+ *     summary: Create an exam
  *     security:
  *       - bearerAuth: []
  *     requestBody:
@@ -56,24 +198,40 @@ const examsController = {
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - name
  *             properties:
- *               subject:
+ *               name:
+ *                 type: string
+ *                 example: Midterm 2026
+ *               examType:
+ *                 type: string
+ *                 enum: [unit_test, midterm, final]
+ *               description:
  *                 type: string
- *               date:
+ *               academicSession:
+ *                 type: string
+ *                 example: 2026-27
+ *                 description: Picks the grading scheme and groups the session's exams for CGPA. Kept equal to the academic year's name
+ *               academicYearId:
+ *                 type: string
+ *                 description: Defaults to the year named by academicSession, else the current year
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
  *                 type: string
  *                 format: date
- *               duration:
- *                 type: integer
  *     responses:
  *       201:
  *         description: Created
  *       400:
  *         description: Bad Request
- *       401:
- *         description: Unauthorized
  *       403:
- *         description: Forbidden
+ *         description: Requires tenant-wide exams access
  */
+router.get('/', authenticateToken, authorize('exams', 'read'), validateListExams, validate, asyncHandler(examController.listExams));
+router.post('/', authenticateToken, authorize('exams', 'create'), validateExam, validate, asyncHandler(examController.createExam));
 
 /**
  * @openapi
@@ -81,7 +239,7 @@ const examsController = {
  *   get:
  *     tags:
  *       - Exams
- *     summary: Get exam by id
+ *     summary: Get an exam with its timetable
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -90,19 +248,88 @@ const examsController = {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: query
+ *         name: classId
+ *         description: Only the papers of this class
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: OK
- *       401:
- *         description: Unauthorized
- *       403:
- *         description: Forbidden
  *       404:
  *         description: Not Found
  *   put:
  *     tags:
  *       - Exams
- *     summary: Update exam
+ *     summary: Update an exam
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       400:
+ *         description: Invalid fields, or papers would fall outside the new dates
+ *       404:
+ *         description: Not Found
+ *   delete:
+ *     tags:
+ *       - Exams
+ *     summary: Delete an exam and its timetable
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: Marks were recorded for the exam
+ */
+router.get('/:id', authenticateToken, authorize('exams', 'read'), validateClassFilter, validate, asyncHandler(examController.getExam));
+router.put('/:id', authenticateToken, authorize('exams', 'update'), validateExamUpdate, validate, asyncHandler(examController.updateExam));
+router.delete('/:id', authenticateToken, authorize('exams', 'delete'), validateId, validate, asyncHandler(examController.deleteExam));
+
+/**
+ * @openapi
+ * /api/exams/{id}/papers:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: Exam timetable
+ *     description: The papers of the exam by date and start time. Filter by classId for a class timetable.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: classId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Exam not found
+ *   post:
+ *     tags:
+ *       - Exams
+ *     summary: Add a subject paper for a class
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -112,33 +339,87 @@ const examsController = {
  *         schema:
  *           type: string
  *     requestBody:
+ *       required: true
  *       content:
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - classId
+ *               - subject
+ *               - examDate
+ *               - startTime
+ *               - endTime
  *             properties:
+ *               classId:
+ *                 type: string
  *               subject:
  *                 type: string
- *               date:
+ *                 example: Mathematics
+ *               examDate:
  *                 type: string
  *                 format: date
- *               duration:
- *                 type: integer
+ *               startTime:
+ *                 type: string
+ *                 example: "09:30"
+ *               endTime:
+ *                 type: string
+ *                 example: "12:30"
+ *               room:
+ *                 type: string
+ *               maxMarks:
+ *                 type: number
+ *                 default: 100
+ *               passMarks:
+ *                 type: number
+ *                 default: 35
+ *               invigilatorIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Invalid fields, or the date is outside the exam
+ *       409:
+ *         description: The class already has this subject or another paper at that time, or an invigilator is busy
+ */
+router.get('/:id/papers', authenticateToken, authorize('exams', 'read'), validateClassFilter, validate, asyncHandler(examController.listPapers));
+router.post('/:id/papers', authenticateToken, authorize('exams', 'create'), validatePaper, validate, asyncHandler(examController.createPaper));
+
+/**
+ * @openapi
+ * /api/exams/{id}/papers/{paperId}:
+ *   put:
+ *     tags:
+ *       - Exams
+ *     summary: Update a paper
+ *     description: Any paper field. invigilatorIds, when sent, replaces the invigilators.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: paperId
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Updated
- *       400:
- *         description: Bad Request
- *       401:
- *         description: Unauthorized
- *       403:
- *         description: Forbidden
  *       404:
  *         description: Not Found
+ *       409:
+ *         description: Clash with another paper of the class or an invigilator's duty
  *   delete:
  *     tags:
  *       - Exams
- *     summary: Delete exam
+ *     summary: Remove a paper from the timetable
  *     security:
  *       - bearerAuth: []
  *     parameters:
@@ -147,42 +428,203 @@ const examsController = {
  *         required: true
  *         schema:
  *           type: string
+ *       - in: path
+ *         name: paperId
+ *         required: true
+ *         schema:
+ *           type: string
  *     responses:
  *       204:
  *         description: Deleted
- *       401:
- *         description: Unauthorized
- *       403:
- *         description: Forbidden
  *       404:
  *         description: Not Found
  */
+router.put('/:id/papers/:paperId', authenticateToken, authorize('exams', 'update'), validatePaperUpdate, validate, asyncHandler(examController.updatePaper));
+router.delete('/:id/papers/:paperId', authenticateToken, authorize('exams', 'delete'), validatePaperId, validate, asyncHandler(examController.deletePaper));
 
-// GET /api/exams - List exams
-router.get('/', authenticateToken, authorize('exams', 'read'), asyncHandler(examsController.listExams));
-
-// POST /api/exams - Create exam
-router.post('/', authenticateToken, authorize('exams', 'create'), asyncHandler(examsController.createExam));
-
-// GET /api/exams/:id - Get exam
-router.get('/:id', authenticateToken, authorize('exams', 'read'), asyncHandler(examsController.getExam));
-
-// PUT /api/exams/:id - Update exam
-router.put('/:id', authenticateToken, authorize('exams', 'update'), asyncHandler(examsController.updateExam));
-
-// DELETE /api/exams/:id - Delete exam
-router.delete('/:id', authenticateToken, authorize('exams', 'delete'), asyncHandler(examsController.deleteExam));
-
-// POST /api/exams - Create exam
-router.post('/', authenticateToken, authorize('exams', 'create'), asyncHandler(examsController.createExam));
-
-// GET /api/exams/:id - Get exam
-router.get('/:id', authenticateToken, authorize('exams', 'read'), asyncHandler(examsController.getExam));
+/**
+ * @openapi
+ * /api/exams/{id}/papers/{paperId}/invigilators:
+ *   put:
+ *     tags:
+ *       - Exams
+ *     summary: Replace the invigilators of a paper
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: paperId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - teacherIds
+ *             properties:
+ *               teacherIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The paper with its invigilators
+ *       400:
+ *         description: Unknown teachers
+ *       409:
+ *         description: A teacher invigilates another paper at that time
+ */
+router.put('/:id/papers/:paperId/invigilators', authenticateToken, authorize('exams', 'update'), validateInvigilators, validate, asyncHandler(examController.setInvigilators));
 
-// PUT /api/exams/:id - Update exam
-router.put('/:id', authenticateToken, authorize('exams', 'update'), asyncHandler(examsController.updateExam));
+/**
+ * @openapi
+ * /api/exams/{id}/papers/{paperId}/marks:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: Marks sheet of a paper
+ *     description: The class roster with the marks entered so far. Teachers only see the subjects they take in the class.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: paperId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       403:
+ *         description: Not the subject teacher
+ *       404:
+ *         description: Not Found
+ *   put:
+ *     tags:
+ *       - Exams
+ *     summary: Enter marks for the class
+ *     description: >
+ *       Saves the given students; others are left as they are. Percentage, grade and grade point are computed from the grading scheme of the class and academic session.
+ *       With submit, every student must have an entry and the paper goes to moderation.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: paperId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - entries
+ *             properties:
+ *               entries:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     studentId:
+ *                       type: string
+ *                     status:
+ *                       type: string
+ *                       enum: [present, absent, medical]
+ *                       default: present
+ *                     marksObtained:
+ *                       type: number
+ *                       description: Required when present, empty when absent or medical
+ *                     remarks:
+ *                       type: string
+ *               submit:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Saved
+ *       400:
+ *         description: Marks above max marks, missing marks, or students outside the class
+ *       403:
+ *         description: Not the subject teacher
+ *       409:
+ *         description: The marks were moderated and are locked
+ */
+router.get('/:id/papers/:paperId/marks', authenticateToken, authorize('exams', 'read'), validatePaperId, validate, asyncHandler(examMarksController.getMarks));
+router.put('/:id/papers/:paperId/marks', authenticateToken, authorize('exams', 'read'), validateMarksEntry, validate, asyncHandler(examMarksController.saveMarks));
 
-// DELETE /api/exams/:id - Delete exam
-router.delete('/:id', authenticateToken, authorize('exams', 'delete'), asyncHandler(examsController.deleteExam));
+/**
+ * @openapi
+ * /api/exams/{id}/papers/{paperId}/marks/moderate:
+ *   post:
+ *     tags:
+ *       - Exams
+ *     summary: Moderate submitted marks
+ *     description: Locks the marks of the paper.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: paperId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Moderated
+ *       409:
+ *         description: The marks were not submitted
+ * /api/exams/{id}/papers/{paperId}/marks/reopen:
+ *   post:
+ *     tags:
+ *       - Exams
+ *     summary: Reopen a paper for marks corrections
+ *     description: Unlocks moderated marks and sends the paper back to the teacher.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: paperId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reopened
+ *       409:
+ *         description: Already open
+ */
+router.post('/:id/papers/:paperId/marks/moderate', authenticateToken, authorize('exams', 'update'), validatePaperId, validate, asyncHandler(examMarksController.moderateMarks));
+router.post('/:id/papers/:paperId/marks/reopen', authenticateToken, authorize('exams', 'update'), validatePaperId, validate, asyncHandler(examMarksController.reopenMarks));
 
 module.exports = router;
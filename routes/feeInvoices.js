@@ -0,0 +1,408 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const invoiceController = require('../controllers/invoiceController');
+const { CREDIT_NOTE_TYPES, REFUND_MODES } = require('../services/invoiceService');
+
+// Mounted at /api/fees ahead of routes/fees.js so /invoices and /credit-notes win over /:id
+const router = express.Router();
+
+const validatePeriod = [
+    body('periodStart').notEmpty().withMessage('periodStart is required')
+        .bail().isISO8601().withMessage('periodStart must be a valid date'),
+    body('periodEnd').notEmpty().withMessage('periodEnd is required')
+        .bail().isISO8601().withMessage('periodEnd must be a valid date'),
+    body('issueDate').optional({ nullable: true }).isISO8601().withMessage('issueDate must be a valid date'),
+    body('notes').optional({ nullable: true }).isLength({ max: 1000 }).withMessage('notes must be at most 1000 characters')
+];
+
+const validateListInvoices = [
+    query('studentId').optional().isUUID().withMessage('studentId must be a valid UUID'),
+    query('classId').optional().isUUID().withMessage('classId must be a valid UUID'),
+    query('status').optional().isIn(['issued', 'cancelled']).withMessage('status must be issued or cancelled'),
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date')
+];
+
+const validateCreateInvoice = [
+    body('studentId').notEmpty().withMessage('studentId is required')
+        .bail().isUUID().withMessage('studentId must be a valid UUID'),
+    ...validatePeriod
+];
+
+const validateGenerateInvoices = [
+    body('classId').optional({ nullable: true }).isUUID().withMessage('classId must be a valid UUID'),
+    body('studentIds').optional({ nullable: true }).isArray({ min: 1 }).withMessage('studentIds must be a non-empty array'),
+    body('studentIds.*').isUUID().withMessage('studentIds must contain valid UUIDs'),
+    ...validatePeriod
+];
+
+const validateInvoiceId = param('id').isUUID().withMessage('id must be a valid UUID');
+
+const validateCancelInvoice = [
+    validateInvoiceId,
+    body('reason').trim().notEmpty().withMessage('reason is required')
+];
+
+const validateCreateCreditNote = [
+    validateInvoiceId,
+    body('type').notEmpty().withMessage('type is required')
+        .bail().isIn(CREDIT_NOTE_TYPES).withMessage(`type must be one of: ${CREDIT_NOTE_TYPES.join(', ')}`),
+    body('reason').trim().notEmpty().withMessage('reason is required'),
+    body('lines').isArray({ min: 1 }).withMessage('lines must be a non-empty array'),
+    body('lines.*.invoiceLineId').isUUID().withMessage('lines[].invoiceLineId must be a valid UUID'),
+    body('lines.*.amount').isFloat({ gt: 0 }).withMessage('lines[].amount must be a positive number'),
+    body('issueDate').optional({ nullable: true }).isISO8601().withMessage('issueDate must be a valid date'),
+    body('refundMode').if(body('type').equals('refund'))
+        .notEmpty().withMessage('refundMode is required for refunds')
+        .bail().isIn(REFUND_MODES).withMessage(`refundMode must be one of: ${REFUND_MODES.join(', ')}`),
+    body('refundReference').optional({ nullable: true }).isLength({ max: 100 }).withMessage('refundReference must be at most 100 characters')
+];
+
+const validateListCreditNotes = [
+    query('type').optional().isIn(CREDIT_NOTE_TYPES).withMessage(`type must be one of: ${CREDIT_NOTE_TYPES.join(', ')}`),
+    query('studentId').optional().isUUID().withMessage('studentId must be a valid UUID'),
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date')
+];
+
+/**
+ * @openapi
+ * /api/fees/invoices:
+ *   get:
+ *     tags:
+ *       - Fees
+ *     summary: List fee invoices
+ *     description: Parents and students only see invoices of their linked students.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: classId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [issued, cancelled]
+ *       - in: query
+ *         name: invoiceNo
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: OK
+ *   post:
+ *     tags:
+ *       - Fees
+ *     summary: Issue an invoice for one student
+ *     description: Groups the student's uninvoiced fees due between periodStart and periodEnd into one invoice with the next invoice number of the tenant.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - studentId
+ *               - periodStart
+ *               - periodEnd
+ *             properties:
+ *               studentId:
+ *                 type: string
+ *               periodStart:
+ *                 type: string
+ *                 format: date
+ *               periodEnd:
+ *                 type: string
+ *                 format: date
+ *               issueDate:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Issued
+ *       409:
+ *         description: Nothing left to invoice in the period
+ */
+router.get('/invoices', authenticateToken, authorize('fees', 'read'), validateListInvoices, validate, asyncHandler(invoiceController.listInvoices));
+router.post('/invoices', authenticateToken, authorize('fees', 'create'), validateCreateInvoice, validate, asyncHandler(invoiceController.createInvoice));
+
+/**
+ * @openapi
+ * /api/fees/invoices/generate:
+ *   post:
+ *     tags:
+ *       - Fees
+ *     summary: Issue invoices in bulk for a billing period
+ *     description: One invoice per student (of a class, from a list, or the whole school) with uninvoiced fees due in the period. Students are invoiced independently; failures are reported per student.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - periodStart
+ *               - periodEnd
+ *             properties:
+ *               periodStart:
+ *                 type: string
+ *                 format: date
+ *               periodEnd:
+ *                 type: string
+ *                 format: date
+ *               classId:
+ *                 type: string
+ *               studentIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               issueDate:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Issued
+ */
+router.post('/invoices/generate', authenticateToken, authorize('fees', 'create'), validateGenerateInvoices, validate, asyncHandler(invoiceController.generateInvoices));
+
+/**
+ * @openapi
+ * /api/fees/invoices/{id}:
+ *   get:
+ *     tags:
+ *       - Fees
+ *     summary: Get an invoice with its lines, credit notes and payment position
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not Found
+ */
+router.get('/invoices/:id', authenticateToken, authorize('fees', 'read'), validateInvoiceId, validate, asyncHandler(invoiceController.getInvoiceById));
+
+/**
+ * @openapi
+ * /api/fees/invoices/{id}/pdf:
+ *   get:
+ *     tags:
+ *       - Fees
+ *     summary: Download an invoice as PDF on the school letterhead
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PDF document
+ *         content:
+ *           application/pdf: {}
+ *       404:
+ *         description: Not Found
+ */
+router.get('/invoices/:id/pdf', authenticateToken, authorize('fees', 'read'), validateInvoiceId, validate, asyncHandler(invoiceController.getInvoicePdf));
+
+/**
+ * @openapi
+ * /api/fees/invoices/{id}/cancel:
+ *   post:
+ *     tags:
+ *       - Fees
+ *     summary: Cancel an invoice
+ *     description: The invoice keeps its number; its fees can be invoiced again. Invoices with credit notes cannot be cancelled.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cancelled
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: Already cancelled or has credit notes
+ */
+router.post('/invoices/:id/cancel', authenticateToken, authorize('fees', 'update'), validateCancelInvoice, validate, asyncHandler(invoiceController.cancelInvoice));
+
+/**
+ * @openapi
+ * /api/fees/invoices/{id}/credit-notes:
+ *   post:
+ *     tags:
+ *       - Fees
+ *     summary: Issue a credit note against an invoice
+ *     description: An adjustment reduces what is still owed on the credited lines. A refund pays back money already collected and posts a fee refund voucher.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - reason
+ *               - lines
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [adjustment, refund]
+ *               reason:
+ *                 type: string
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     invoiceLineId:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *               issueDate:
+ *                 type: string
+ *                 format: date
+ *               refundMode:
+ *                 type: string
+ *                 enum: [cash, cheque, upi, bank_transfer]
+ *                 description: Required for refunds
+ *               refundReference:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Issued
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: Invoice is cancelled
+ */
+router.post('/invoices/:id/credit-notes', authenticateToken, authorize('fees', 'update'), validateCreateCreditNote, validate, asyncHandler(invoiceController.createCreditNote));
+
+/**
+ * @openapi
+ * /api/fees/invoices/{id}/credit-notes/{creditNoteId}/pdf:
+ *   get:
+ *     tags:
+ *       - Fees
+ *     summary: Download a credit note as PDF on the school letterhead
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: creditNoteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PDF document
+ *         content:
+ *           application/pdf: {}
+ *       404:
+ *         description: Not Found
+ */
+router.get('/invoices/:id/credit-notes/:creditNoteId/pdf', authenticateToken, authorize('fees', 'read'),
+    validateInvoiceId, param('creditNoteId').isUUID().withMessage('creditNoteId must be a valid UUID'), validate,
+    asyncHandler(invoiceController.getCreditNotePdf));
+
+/**
+ * @openapi
+ * /api/fees/credit-notes:
+ *   get:
+ *     tags:
+ *       - Fees
+ *     summary: List credit notes
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [adjustment, refund]
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get('/credit-notes', authenticateToken, authorize('fees', 'read'), validateListCreditNotes, validate, asyncHandler(invoiceController.listCreditNotes));
+
+module.exports = router;
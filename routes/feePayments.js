@@ -0,0 +1,220 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const feePaymentController = require('../controllers/feePaymentController');
+const { PAYMENT_MODES, LEDGER_MODES } = require('../services/feePaymentService');
+
+// Mounted at /api/fees ahead of routes/fees.js so /payments wins over /:id
+const router = express.Router();
+
+const validateListPayments = [
+    query('studentId').optional().isUUID().withMessage('studentId must be a valid UUID'),
+    query('studentFeeId').optional().isUUID().withMessage('studentFeeId must be a valid UUID'),
+    query('mode').optional().isIn(LEDGER_MODES).withMessage(`mode must be one of: ${LEDGER_MODES.join(', ')}`),
+    query('status').optional().isIn(['active', 'reversed']).withMessage('status must be active or reversed'),
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date')
+];
+
+const validateCollectPayment = [
+    param('id').isUUID().withMessage('id must be a valid UUID'),
+    body('amount').notEmpty().withMessage('amount is required')
+        .bail().isFloat({ gt: 0 }).withMessage('amount must be a positive number'),
+    body('mode').notEmpty().withMessage('mode is required')
+        .bail().isIn(PAYMENT_MODES).withMessage(`mode must be one of: ${PAYMENT_MODES.join(', ')}`),
+    body('referenceNo').if(body('mode').isIn(['cheque', 'upi', 'bank_transfer']))
+        .trim().notEmpty().withMessage('referenceNo is required for cheque, UPI and bank transfer payments'),
+    body('referenceNo').optional({ nullable: true }).isLength({ max: 100 }).withMessage('referenceNo must be at most 100 characters'),
+    body('paidOn').optional({ nullable: true }).isISO8601().withMessage('paidOn must be a valid date')
+];
+
+const validateReversePayment = [
+    param('paymentId').isUUID().withMessage('paymentId must be a valid UUID'),
+    body('reason').trim().notEmpty().withMessage('reason is required')
+];
+
+/**
+ * @openapi
+ * /api/fees/payments:
+ *   get:
+ *     tags:
+ *       - Fees
+ *     summary: List the fee payment ledger
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: studentFeeId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [cash, cheque, upi, bank_transfer, online]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, reversed]
+ *       - in: query
+ *         name: receiptNo
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get('/payments', authenticateToken, authorize('fees', 'read'), validateListPayments, validate, asyncHandler(feePaymentController.listPayments));
+
+/**
+ * @openapi
+ * /api/fees/payments/{paymentId}:
+ *   get:
+ *     tags:
+ *       - Fees
+ *     summary: Get a payment (receipt) with its audit trail
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not Found
+ */
+router.get('/payments/:paymentId', authenticateToken, authorize('fees', 'read'),
+    param('paymentId').isUUID().withMessage('paymentId must be a valid UUID'), validate,
+    asyncHandler(feePaymentController.getPaymentById));
+
+/**
+ * @openapi
+ * /api/fees/payments/{paymentId}/reverse:
+ *   post:
+ *     tags:
+ *       - Fees
+ *     summary: Reverse a payment
+ *     description: The payment stays in the ledger with status `reversed` and keeps its receipt number. The fee's paid amount and status are recalculated.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reversed
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: Payment already reversed
+ */
+router.post('/payments/:paymentId/reverse', authenticateToken, authorize('fees', 'update'), validateReversePayment, validate, asyncHandler(feePaymentController.reversePayment));
+
+/**
+ * @openapi
+ * /api/fees/{id}/payments:
+ *   get:
+ *     tags:
+ *       - Fees
+ *     summary: List payments made against a fee
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not Found
+ *   post:
+ *     tags:
+ *       - Fees
+ *     summary: Collect a payment against a fee
+ *     description: Issues the next receipt number of the tenant and recalculates the fee's paid amount and status. Payments cannot exceed the outstanding balance.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - mode
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               mode:
+ *                 type: string
+ *                 enum: [cash, cheque, upi, bank_transfer]
+ *               referenceNo:
+ *                 type: string
+ *                 description: Required for cheque, UPI and bank transfer
+ *               paidOn:
+ *                 type: string
+ *                 format: date
+ *               remarks:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Payment recorded
+ *       400:
+ *         description: Bad Request (e.g. amount exceeds the outstanding balance)
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: Fee already fully paid
+ */
+router.get('/:id/payments', authenticateToken, authorize('fees', 'read'),
+    param('id').isUUID().withMessage('id must be a valid UUID'), validate,
+    asyncHandler(feePaymentController.listFeePayments));
+router.post('/:id/payments', authenticateToken, authorize('fees', 'create'), validateCollectPayment, validate, asyncHandler(feePaymentController.collectPayment));
+
+module.exports = router;
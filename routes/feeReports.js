@@ -0,0 +1,214 @@
+const express = require('express');
+const { query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const feeReportController = require('../controllers/feeReportController');
+const { LEDGER_MODES } = require('../services/feePaymentService');
+
+// Mounted at /api/fees ahead of routes/fees.js so /reports wins over /:id
+const router = express.Router();
+
+const validateFormat = [
+    query('format').optional().isIn(['csv', 'pdf']).withMessage('format must be csv or pdf')
+];
+
+const validateDuesFilters = [
+    query('asOf').optional().isISO8601().withMessage('asOf must be a valid date'),
+    query('classId').optional().isUUID().withMessage('classId must be a valid UUID'),
+    query('feeHeadId').optional().isUUID().withMessage('feeHeadId must be a valid UUID')
+];
+
+const validateDefaulterFilters = [
+    ...validateDuesFilters,
+    query('minDays').optional().isInt({ min: 1 }).withMessage('minDays must be a positive integer'),
+    query('minAmount').optional().isFloat({ min: 0 }).withMessage('minAmount must be a non-negative number')
+];
+
+const validateCollectionFilters = [
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date'),
+    query('groupBy').optional().isIn(['day', 'collector']).withMessage('groupBy must be day or collector'),
+    query('mode').optional().isIn(LEDGER_MODES).withMessage(`mode must be one of: ${LEDGER_MODES.join(', ')}`),
+    query('collectedBy').optional().isUUID().withMessage('collectedBy must be a valid UUID')
+];
+
+/**
+ * @openapi
+ * /api/fees/reports/aging:
+ *   get:
+ *     tags:
+ *       - Fees
+ *     summary: Dues aging by class, section and fee head
+ *     description: Outstanding balances of fees due on or before `asOf`, in 0-30, 31-60, 61-90 and 90+ days-past-due buckets. Tenant-wide fee readers only.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: classId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: feeHeadId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report with columns, rows and totals
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/reports/aging', authenticateToken, authorize('fees', 'read'), validateDuesFilters, validate, asyncHandler(feeReportController.getAgingReport));
+
+/**
+ * @openapi
+ * /api/fees/reports/aging/export:
+ *   get:
+ *     tags:
+ *       - Fees
+ *     summary: Export the dues aging report as CSV or PDF
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, pdf]
+ *     responses:
+ *       200:
+ *         description: File download
+ */
+router.get('/reports/aging/export', authenticateToken, authorize('fees', 'export'), validateFormat, validateDuesFilters, validate, asyncHandler(feeReportController.exportAgingReport));
+
+/**
+ * @openapi
+ * /api/fees/reports/defaulters:
+ *   get:
+ *     tags:
+ *       - Fees
+ *     summary: Students with overdue dues and their parents' contact details
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: classId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: feeHeadId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: minDays
+ *         description: Only students whose oldest unpaid fee is at least this many days past due (default 1)
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: minAmount
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Report with columns, rows and totals
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/reports/defaulters', authenticateToken, authorize('fees', 'read'), validateDefaulterFilters, validate, asyncHandler(feeReportController.getDefaulterReport));
+
+/**
+ * @openapi
+ * /api/fees/reports/defaulters/export:
+ *   get:
+ *     tags:
+ *       - Fees
+ *     summary: Export the defaulter list as CSV or PDF
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, pdf]
+ *     responses:
+ *       200:
+ *         description: File download
+ */
+router.get('/reports/defaulters/export', authenticateToken, authorize('fees', 'export'), validateFormat, validateDefaulterFilters, validate, asyncHandler(feeReportController.exportDefaulterReport));
+
+/**
+ * @openapi
+ * /api/fees/reports/collections:
+ *   get:
+ *     tags:
+ *       - Fees
+ *     summary: Collection totals per day or per collector, split by payment mode
+ *     description: Sums active (non-reversed) payments with paidOn between `from` and `to`. Defaults to the current month.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [day, collector]
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: collectedBy
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report with columns, rows and totals
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/reports/collections', authenticateToken, authorize('fees', 'read'), validateCollectionFilters, validate, asyncHandler(feeReportController.getCollectionReport));
+
+/**
+ * @openapi
+ * /api/fees/reports/collections/export:
+ *   get:
+ *     tags:
+ *       - Fees
+ *     summary: Export the collection report as CSV or PDF
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, pdf]
+ *     responses:
+ *       200:
+ *         description: File download
+ */
+router.get('/reports/collections/export', authenticateToken, authorize('fees', 'export'), validateFormat, validateCollectionFilters, validate, asyncHandler(feeReportController.exportCollectionReport));
+
+module.exports = router;
@@ -0,0 +1,271 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const feeRuleController = require('../controllers/feeRuleController');
+const { RULE_KINDS } = require('../services/feeRuleService');
+
+// Mounted at /api/fees ahead of routes/fees.js so /rules wins over /:id
+const router = express.Router();
+
+const validateId = [param('id').isUUID().withMessage('id must be a valid UUID')];
+
+const ruleFieldValidators = [
+    body('valueType').optional().isIn(['percent', 'fixed']).withMessage('valueType must be percent or fixed'),
+    body('feeHeadId').optional({ nullable: true }).isUUID().withMessage('feeHeadId must be a valid UUID'),
+    body('category').optional({ nullable: true }).isIn(['General', 'OBC', 'SC', 'ST', 'Other'])
+        .withMessage('category must be one of: General, OBC, SC, ST, Other'),
+    body('minSiblingRank').optional({ nullable: true }).isInt({ min: 2 }).withMessage('minSiblingRank must be 2 or more'),
+    body('graceDays').optional().isInt({ min: 0 }).withMessage('graceDays must be a non-negative integer'),
+    body('maxAmount').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('maxAmount must be a positive number'),
+    body('priority').optional().isInt({ min: 0 }).withMessage('priority must be a non-negative integer'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+const validateRule = [
+    body('name').trim().notEmpty().withMessage('name is required')
+        .isLength({ max: 150 }).withMessage('name must be at most 150 characters'),
+    body('kind').notEmpty().withMessage('kind is required')
+        .bail().isIn(RULE_KINDS).withMessage(`kind must be one of: ${RULE_KINDS.join(', ')}`),
+    body('value').notEmpty().withMessage('value is required')
+        .bail().isFloat({ gt: 0 }).withMessage('value must be a positive number'),
+    ...ruleFieldValidators
+];
+
+const validateRuleUpdate = [
+    ...validateId,
+    body('name').optional().trim().notEmpty().withMessage('name cannot be empty')
+        .isLength({ max: 150 }).withMessage('name must be at most 150 characters'),
+    body('kind').optional().isIn(RULE_KINDS).withMessage(`kind must be one of: ${RULE_KINDS.join(', ')}`),
+    body('value').optional().isFloat({ gt: 0 }).withMessage('value must be a positive number'),
+    ...ruleFieldValidators
+];
+
+const validateAssignment = [
+    ...validateId,
+    body('studentIds').isArray({ min: 1 }).withMessage('studentIds must be a non-empty array'),
+    body('studentIds.*').isUUID().withMessage('studentIds[] must be valid UUIDs')
+];
+
+const validateEvaluate = [
+    body('studentIds').optional().isArray({ min: 1 }).withMessage('studentIds must be a non-empty array'),
+    body('studentIds.*').optional().isUUID().withMessage('studentIds[] must be valid UUIDs'),
+    body('feeIds').optional().isArray({ min: 1 }).withMessage('feeIds must be a non-empty array'),
+    body('feeIds.*').optional().isUUID().withMessage('feeIds[] must be valid UUIDs')
+];
+
+/**
+ * @openapi
+ * /api/fees/rules:
+ *   get:
+ *     tags:
+ *       - Fees
+ *     summary: List concession and late fine rules
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: OK
+ *   post:
+ *     tags:
+ *       - Fees
+ *     summary: Create a concession or late fine rule
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - kind
+ *               - value
+ *             properties:
+ *               name:
+ *                 type: string
+ *               kind:
+ *                 type: string
+ *                 enum: [sibling_concession, staff_ward_waiver, scholarship, category_concession, late_fine_per_day, late_fine_flat]
+ *               valueType:
+ *                 type: string
+ *                 enum: [percent, fixed]
+ *               value:
+ *                 type: number
+ *               feeHeadId:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *               minSiblingRank:
+ *                 type: integer
+ *               graceDays:
+ *                 type: integer
+ *               maxAmount:
+ *                 type: number
+ *               priority:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Created
+ */
+router.get('/rules', authenticateToken, authorize('fees', 'read'),
+    query('kind').optional().isIn(RULE_KINDS).withMessage(`kind must be one of: ${RULE_KINDS.join(', ')}`),
+    query('isActive').optional().isIn(['true', 'false']).withMessage('isActive must be true or false'), validate,
+    asyncHandler(feeRuleController.listRules));
+router.post('/rules', authenticateToken, authorize('fees', 'create'), validateRule, validate, asyncHandler(feeRuleController.createRule));
+
+/**
+ * @openapi
+ * /api/fees/rules/evaluate:
+ *   post:
+ *     tags:
+ *       - Fees
+ *     summary: Re-apply the rules to unpaid fees now
+ *     description: Runs the same evaluation as the daily job, for the whole tenant or the given students / fees. Recomputes the gross, discount, fine and net breakdown and flips past-due fees to overdue.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Counts of evaluated, updated and newly overdue fees
+ */
+router.post('/rules/evaluate', authenticateToken, authorize('fees', 'update'), validateEvaluate, validate, asyncHandler(feeRuleController.evaluateRules));
+
+/**
+ * @openapi
+ * /api/fees/rules/{id}:
+ *   get:
+ *     tags:
+ *       - Fees
+ *     summary: Get a fee rule with its student assignments
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not Found
+ *   put:
+ *     tags:
+ *       - Fees
+ *     summary: Update a fee rule
+ *     description: Applied to unpaid fees on the next evaluation.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       404:
+ *         description: Not Found
+ *   delete:
+ *     tags:
+ *       - Fees
+ *     summary: Delete a fee rule and its assignments
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Deleted
+ */
+router.get('/rules/:id', authenticateToken, authorize('fees', 'read'), validateId, validate, asyncHandler(feeRuleController.getRuleById));
+router.put('/rules/:id', authenticateToken, authorize('fees', 'update'), validateRuleUpdate, validate, asyncHandler(feeRuleController.updateRule));
+router.delete('/rules/:id', authenticateToken, authorize('fees', 'delete'), validateId, validate, asyncHandler(feeRuleController.deleteRule));
+
+/**
+ * @openapi
+ * /api/fees/rules/{id}/assignments:
+ *   post:
+ *     tags:
+ *       - Fees
+ *     summary: Grant a scholarship or staff ward rule to students
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - studentIds
+ *             properties:
+ *               studentIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               remarks:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Assigned
+ *       404:
+ *         description: Not Found
+ */
+router.post('/rules/:id/assignments', authenticateToken, authorize('fees', 'update'), validateAssignment, validate, asyncHandler(feeRuleController.assignRule));
+
+/**
+ * @openapi
+ * /api/fees/rules/{id}/assignments/{studentId}:
+ *   delete:
+ *     tags:
+ *       - Fees
+ *     summary: Remove a student from a rule
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Removed
+ *       404:
+ *         description: Not Found
+ */
+router.delete('/rules/:id/assignments/:studentId', authenticateToken, authorize('fees', 'update'),
+    [...validateId, param('studentId').isUUID().withMessage('studentId must be a valid UUID')], validate,
+    asyncHandler(feeRuleController.unassignRule));
+
+module.exports = router;
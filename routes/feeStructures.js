@@ -0,0 +1,321 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const feeStructureController = require('../controllers/feeStructureController');
+
+// Mounted at /api/fees ahead of routes/fees.js so /heads and /structures win over /:id
+const router = express.Router();
+
+const validateId = [param('id').isUUID().withMessage('id must be a valid UUID')];
+
+const validateFeeHead = [
+    body('name').trim().notEmpty().withMessage('name is required')
+        .isLength({ max: 100 }).withMessage('name must be at most 100 characters'),
+    body('code').optional({ nullable: true }).trim().isLength({ max: 30 }).withMessage('code must be at most 30 characters'),
+    body('taxRate').optional().isFloat({ min: 0, max: 100 }).withMessage('taxRate must be a percentage between 0 and 100'),
+    body('hsnSacCode').optional({ nullable: true }).trim().isLength({ max: 20 }).withMessage('hsnSacCode must be at most 20 characters'),
+    body('status').optional().isIn(['active', 'inactive']).withMessage('status must be active or inactive')
+];
+
+const validateFeeHeadUpdate = [
+    ...validateId,
+    body('name').optional().trim().notEmpty().withMessage('name cannot be empty')
+        .isLength({ max: 100 }).withMessage('name must be at most 100 characters'),
+    body('code').optional({ nullable: true }).trim().isLength({ max: 30 }).withMessage('code must be at most 30 characters'),
+    body('taxRate').optional().isFloat({ min: 0, max: 100 }).withMessage('taxRate must be a percentage between 0 and 100'),
+    body('hsnSacCode').optional({ nullable: true }).trim().isLength({ max: 20 }).withMessage('hsnSacCode must be at most 20 characters'),
+    body('status').optional().isIn(['active', 'inactive']).withMessage('status must be active or inactive')
+];
+
+const validateItems = (required) => [
+    (required ? body('items') : body('items').optional())
+        .isArray({ min: 1 }).withMessage('items must be a non-empty array'),
+    body('items.*.feeHeadId').isUUID().withMessage('items[].feeHeadId must be a valid UUID'),
+    body('items.*.amount').isFloat({ gt: 0 }).withMessage('items[].amount must be a positive number'),
+    body('items.*.installmentNo').optional().isInt({ min: 1 }).withMessage('items[].installmentNo must be a positive integer'),
+    body('items.*.dueDate').optional({ nullable: true }).isISO8601().withMessage('items[].dueDate must be a valid date')
+];
+
+const validateListFeeStructures = [
+    query('classId').optional().isUUID().withMessage('classId must be a valid UUID'),
+    query('academicYearId').optional().if(value => value !== 'all').isUUID().withMessage('academicYearId must be a valid UUID or "all"')
+];
+
+const validateFeeStructure = [
+    body('name').trim().notEmpty().withMessage('name is required')
+        .isLength({ max: 150 }).withMessage('name must be at most 150 characters'),
+    body('classId').notEmpty().withMessage('classId is required')
+        .bail().isUUID().withMessage('classId must be a valid UUID'),
+    body('academicSession').optional({ nullable: true }).trim().isLength({ max: 50 }).withMessage('academicSession must be at most 50 characters'),
+    body('academicYearId').optional({ nullable: true }).isUUID().withMessage('academicYearId must be a valid UUID'),
+    ...validateItems(true)
+];
+
+const validateFeeStructureUpdate = [
+    ...validateId,
+    body('name').optional().trim().notEmpty().withMessage('name cannot be empty'),
+    body('academicYearId').optional({ nullable: true }).isUUID().withMessage('academicYearId must be a valid UUID'),
+    body('status').optional().isIn(['active', 'inactive']).withMessage('status must be active or inactive'),
+    ...validateItems(false)
+];
+
+/**
+ * @openapi
+ * /api/fees/heads:
+ *   get:
+ *     tags:
+ *       - Fees
+ *     summary: List fee heads (Tuition, Transport, Lab, ...)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive]
+ *     responses:
+ *       200:
+ *         description: OK
+ *   post:
+ *     tags:
+ *       - Fees
+ *     summary: Create a fee head
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               taxRate:
+ *                 type: number
+ *                 description: Tax percentage included in the fee amount (default 0)
+ *               hsnSacCode:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Created
+ *       409:
+ *         description: A fee head with this name already exists
+ */
+router.get('/heads', authenticateToken, authorize('fees', 'read'),
+    query('status').optional().isIn(['active', 'inactive']).withMessage('status must be active or inactive'), validate,
+    asyncHandler(feeStructureController.listFeeHeads));
+router.post('/heads', authenticateToken, authorize('fees', 'create'), validateFeeHead, validate, asyncHandler(feeStructureController.createFeeHead));
+
+/**
+ * @openapi
+ * /api/fees/heads/{id}:
+ *   put:
+ *     tags:
+ *       - Fees
+ *     summary: Update a fee head
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       404:
+ *         description: Not Found
+ *   delete:
+ *     tags:
+ *       - Fees
+ *     summary: Delete a fee head that is not used by any structure
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       409:
+ *         description: Fee head is in use
+ */
+router.put('/heads/:id', authenticateToken, authorize('fees', 'update'), validateFeeHeadUpdate, validate, asyncHandler(feeStructureController.updateFeeHead));
+router.delete('/heads/:id', authenticateToken, authorize('fees', 'delete'), validateId, validate, asyncHandler(feeStructureController.deleteFeeHead));
+
+/**
+ * @openapi
+ * /api/fees/structures:
+ *   get:
+ *     tags:
+ *       - Fees
+ *     summary: List fee structures with their installments
+ *     description: Of the current academic year unless academicYearId is given.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: classId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: academicSession
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: academicYearId
+ *         schema:
+ *           type: string
+ *         description: An academic year, or "all"
+ *     responses:
+ *       200:
+ *         description: OK
+ *   post:
+ *     tags:
+ *       - Fees
+ *     summary: Create a fee structure for a class and academic session
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - classId
+ *               - items
+ *             properties:
+ *               name:
+ *                 type: string
+ *               classId:
+ *                 type: string
+ *               academicSession:
+ *                 type: string
+ *                 example: 2026-27
+ *               academicYearId:
+ *                 type: string
+ *                 description: Defaults to the year named by academicSession, else the current year
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     feeHeadId:
+ *                       type: string
+ *                     installmentNo:
+ *                       type: integer
+ *                     label:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *                     dueDate:
+ *                       type: string
+ *                       format: date
+ *     responses:
+ *       201:
+ *         description: Created
+ */
+router.get('/structures', authenticateToken, authorize('fees', 'read'), validateListFeeStructures, validate, asyncHandler(feeStructureController.listFeeStructures));
+router.post('/structures', authenticateToken, authorize('fees', 'create'), validateFeeStructure, validate, asyncHandler(feeStructureController.createFeeStructure));
+
+/**
+ * @openapi
+ * /api/fees/structures/{id}:
+ *   get:
+ *     tags:
+ *       - Fees
+ *     summary: Get fee structure by id
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not Found
+ *   put:
+ *     tags:
+ *       - Fees
+ *     summary: Update fee structure (items are locked once assigned)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       409:
+ *         description: Structure already assigned
+ *   delete:
+ *     tags:
+ *       - Fees
+ *     summary: Delete an unassigned fee structure
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       409:
+ *         description: Structure already assigned
+ */
+router.get('/structures/:id', authenticateToken, authorize('fees', 'read'), validateId, validate, asyncHandler(feeStructureController.getFeeStructureById));
+router.put('/structures/:id', authenticateToken, authorize('fees', 'update'), validateFeeStructureUpdate, validate, asyncHandler(feeStructureController.updateFeeStructure));
+router.delete('/structures/:id', authenticateToken, authorize('fees', 'delete'), validateId, validate, asyncHandler(feeStructureController.deleteFeeStructure));
+
+/**
+ * @openapi
+ * /api/fees/structures/{id}/assign:
+ *   post:
+ *     tags:
+ *       - Fees
+ *     summary: Assign a fee structure to its class
+ *     description: Generates one student fee per student per installment for every active student in the class. Safe to repeat; existing demands are skipped. Students admitted later receive the same fees automatically.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Assigned
+ *       404:
+ *         description: Not Found
+ */
+router.post('/structures/:id/assign', authenticateToken, authorize('fees', 'create'), validateId, validate, asyncHandler(feeStructureController.assignFeeStructure));
+
+module.exports = router;
@@ -1,18 +1,47 @@
 const express = require('express');
+const { body, query, param } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
 const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
 const asyncHandler = require('../utils/asyncHandler');
+const feeController = require('../controllers/feeController');
 
 const router = express.Router();
 
-// Placeholder: TODO - Implement fees controller
-const feesController = {
-    listFees: (req, res) => res.json({ success: true, data: [] }),
-    createFee: (req, res) => res.status(201).json({ success: true, data: {} }),
-    getFee: (req, res) => res.json({ success: true, data: {} }),
-    updateFee: (req, res) => res.json({ success: true, data: {} }),
-    deleteFee: (req, res) => res.status(204).end()
-};
+const FEE_STATUSES = ['pending', 'paid', 'partial', 'overdue'];
+
+const validateListFees = [
+    query('studentId').optional().isUUID().withMessage('studentId must be a valid UUID'),
+    query('classId').optional().isUUID().withMessage('classId must be a valid UUID'),
+    query('status').optional().isIn(FEE_STATUSES).withMessage(`status must be one of: ${FEE_STATUSES.join(', ')}`),
+    query('dueFrom').optional().isISO8601().withMessage('dueFrom must be a valid date'),
+    query('dueTo').optional().isISO8601().withMessage('dueTo must be a valid date')
+];
+
+// Status and paid fields follow the payment ledger (POST /api/fees/:id/payments)
+const rejectLedgerFields = ['status', 'paidAmount', 'paidDate'].map(field =>
+    body(field).not().exists().withMessage(`${field} is derived from payments and cannot be set directly`)
+);
+
+const validateCreateFee = [
+    body('studentId').notEmpty().withMessage('studentId is required')
+        .bail().isUUID().withMessage('studentId must be a valid UUID'),
+    body('feeType').trim().notEmpty().withMessage('feeType is required')
+        .isLength({ max: 100 }).withMessage('feeType must be at most 100 characters'),
+    body('amount').notEmpty().withMessage('amount is required')
+        .bail().isFloat({ gt: 0 }).withMessage('amount must be a positive number'),
+    body('dueDate').optional({ nullable: true }).isISO8601().withMessage('dueDate must be a valid date'),
+    ...rejectLedgerFields
+];
+
+const validateUpdateFee = [
+    param('id').isUUID().withMessage('id must be a valid UUID'),
+    body('feeType').optional().trim().notEmpty().withMessage('feeType cannot be empty')
+        .isLength({ max: 100 }).withMessage('feeType must be at most 100 characters'),
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('amount must be a positive number'),
+    body('dueDate').optional({ nullable: true }).isISO8601().withMessage('dueDate must be a valid date'),
+    ...rejectLedgerFields
+];
 
 /**
  * @openapi
@@ -32,6 +61,31 @@ const feesController = {
  *         name: limit
  *         schema:
  *           type: integer
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: classId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, paid, partial, overdue]
+ *       - in: query
+ *         name: dueFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dueTo
+ *         schema:
+ *           type: string
+ *           format: date
  *     responses:
  *       200:
  *         description: OK
@@ -56,12 +110,18 @@ const feesController = {
  *         application/json:
  *           schema:
  *             type: object
+ *             required:
+ *               - studentId
+ *               - feeType
+ *               - amount
  *             properties:
  *               studentId:
  *                 type: string
+ *               feeType:
+ *                 type: string
  *               amount:
  *                 type: number
- *               description:
+ *               remarks:
  *                 type: string
  *               dueDate:
  *                 type: string
@@ -119,9 +179,11 @@ const feesController = {
  *           schema:
  *             type: object
  *             properties:
+ *               feeType:
+ *                 type: string
  *               amount:
  *                 type: number
- *               description:
+ *               remarks:
  *                 type: string
  *               dueDate:
  *                 type: string
@@ -158,33 +220,23 @@ const feesController = {
  *         description: Forbidden
  *       404:
  *         description: Not Found
+ *       409:
+ *         description: The fee has payments
  */
 
 // GET /api/fees - List fees
-router.get('/', authenticateToken, authorize('fees', 'read'), asyncHandler(feesController.listFees));
-
-// POST /api/fees - Create fee record
-router.post('/', authenticateToken, authorize('fees', 'create'), asyncHandler(feesController.createFee));
-
-// GET /api/fees/:id - Get fee record
-router.get('/:id', authenticateToken, authorize('fees', 'read'), asyncHandler(feesController.getFee));
-
-// PUT /api/fees/:id - Update fee record
-router.put('/:id', authenticateToken, authorize('fees', 'update'), asyncHandler(feesController.updateFee));
-
-// DELETE /api/fees/:id - Delete fee record
-router.delete('/:id', authenticateToken, authorize('fees', 'delete'), asyncHandler(feesController.deleteFee));
+router.get('/', authenticateToken, authorize('fees', 'read'), validateListFees, validate, asyncHandler(feeController.listFees));
 
 // POST /api/fees - Create fee record
-router.post('/', authenticateToken, authorize('fees', 'create'), asyncHandler(feesController.createFee));
+router.post('/', authenticateToken, authorize('fees', 'create'), validateCreateFee, validate, asyncHandler(feeController.createFee));
 
 // GET /api/fees/:id - Get fee record
-router.get('/:id', authenticateToken, authorize('fees', 'read'), asyncHandler(feesController.getFee));
+router.get('/:id', authenticateToken, authorize('fees', 'read'), param('id').isUUID().withMessage('id must be a valid UUID'), validate, asyncHandler(feeController.getFeeById));
 
 // PUT /api/fees/:id - Update fee record
-router.put('/:id', authenticateToken, authorize('fees', 'update'), asyncHandler(feesController.updateFee));
+router.put('/:id', authenticateToken, authorize('fees', 'update'), validateUpdateFee, validate, asyncHandler(feeController.updateFee));
 
 // DELETE /api/fees/:id - Delete fee record
-router.delete('/:id', authenticateToken, authorize('fees', 'delete'), asyncHandler(feesController.deleteFee));
+router.delete('/:id', authenticateToken, authorize('fees', 'delete'), param('id').isUUID().withMessage('id must be a valid UUID'), validate, asyncHandler(feeController.deleteFee));
 
 module.exports = router;
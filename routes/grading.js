@@ -0,0 +1,494 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const gradingController = require('../controllers/gradingController');
+const { SCHEME_TYPES } = require('../services/gradingService');
+
+// Mounted at /api/exams ahead of routes/exams.js so /grading-schemes and /cgpa win over /:id
+const router = express.Router();
+
+const validateId = [param('id').isUUID().withMessage('id must be a valid UUID')];
+
+const validateSchemeId = [param('schemeId').isUUID().withMessage('schemeId must be a valid UUID')];
+
+const validateSession = (location) => location('academicSession').optional({ nullable: true }).trim()
+    .isLength({ min: 1, max: 50 }).withMessage('academicSession must be 1-50 characters');
+
+const schemeFieldValidators = [
+    body('schemeType').optional().isIn(SCHEME_TYPES).withMessage(`schemeType must be one of: ${SCHEME_TYPES.join(', ')}`),
+    body('maxGradePoint').optional({ nullable: true }).isFloat({ gt: 0, max: 100 }).withMessage('maxGradePoint must be more than 0 and at most 100').toFloat(),
+    body('bands.*.grade').isString().withMessage('Each band needs a grade')
+        .bail().trim().isLength({ min: 1, max: 10 }).withMessage('grade must be 1-10 characters'),
+    body('bands.*.minPercent').isFloat({ min: 0, max: 100 }).withMessage('minPercent must be between 0 and 100').toFloat(),
+    body('bands.*.gradePoint').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('gradePoint must be 0 or more').toFloat(),
+    body('coScholasticGrades').optional({ nullable: true }).isArray({ min: 1, max: 10 }).withMessage('coScholasticGrades must be an array of 1-10 grades'),
+    body('coScholasticGrades.*.grade').isString().withMessage('Each co-scholastic grade needs a grade')
+        .bail().trim().isLength({ min: 1, max: 10 }).withMessage('grade must be 1-10 characters'),
+    body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean').toBoolean()
+];
+
+const validateScheme = [
+    body('name').trim().notEmpty().withMessage('name is required')
+        .isLength({ max: 100 }).withMessage('name must be at most 100 characters'),
+    body('bands').isArray({ min: 1, max: 20 }).withMessage('bands must be an array of 1-20 grade bands'),
+    ...schemeFieldValidators
+];
+
+const validateSchemeUpdate = [
+    ...validateSchemeId,
+    body('name').optional().trim().notEmpty().withMessage('name cannot be empty')
+        .isLength({ max: 100 }).withMessage('name must be at most 100 characters'),
+    body('bands').optional().isArray({ min: 1, max: 20 }).withMessage('bands must be an array of 1-20 grade bands'),
+    ...schemeFieldValidators
+];
+
+const validateAssignment = [
+    ...validateSchemeId,
+    validateSession(body),
+    body('classIds').optional().isArray().withMessage('classIds must be an array of class IDs'),
+    body('classIds.*').isUUID().withMessage('classIds must contain valid UUIDs')
+];
+
+const validateResolve = [
+    query('classId').optional().isUUID().withMessage('classId must be a valid UUID'),
+    validateSession(query)
+];
+
+const validateCgpa = [
+    query('classId').isUUID().withMessage('classId must be a valid UUID'),
+    query('academicSession').trim().isLength({ min: 1, max: 50 }).withMessage('academicSession is required')
+];
+
+const validateClassQuery = [
+    ...validateId,
+    query('classId').isUUID().withMessage('classId must be a valid UUID')
+];
+
+const validateCoScholastic = [
+    ...validateId,
+    body('classId').isUUID().withMessage('classId must be a valid UUID'),
+    body('area').trim().notEmpty().withMessage('area is required')
+        .isLength({ max: 100 }).withMessage('area must be at most 100 characters'),
+    body('entries').isArray({ min: 1 }).withMessage('entries must be a non-empty array'),
+    body('entries.*.studentId').isUUID().withMessage('Each entry needs a valid studentId'),
+    body('entries.*.grade').optional({ nullable: true }).isString().withMessage('grade must be a string'),
+    body('entries.*.remarks').optional({ nullable: true }).isLength({ max: 500 }).withMessage('remarks must be at most 500 characters')
+];
+
+/**
+ * @openapi
+ * /api/exams/grading-schemes:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: List the tenant's grading schemes
+ *     description: Default first, each with its assignments. builtIn is the scheme used when the tenant has none.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ *   post:
+ *     tags:
+ *       - Exams
+ *     summary: Create a grading scheme
+ *     description: The tenant's first scheme becomes its default.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - bands
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: CBSE Secondary
+ *               schemeType:
+ *                 type: string
+ *                 enum: [cbse, icse, state, gpa, custom]
+ *               maxGradePoint:
+ *                 type: number
+ *                 example: 10
+ *                 description: Required when the bands carry grade points
+ *               bands:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     grade:
+ *                       type: string
+ *                       example: A1
+ *                     minPercent:
+ *                       type: number
+ *                       example: 91
+ *                     gradePoint:
+ *                       type: number
+ *                       example: 10
+ *                     description:
+ *                       type: string
+ *               coScholasticGrades:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     grade:
+ *                       type: string
+ *                       example: A
+ *                     description:
+ *                       type: string
+ *                       example: Outstanding
+ *               isDefault:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Duplicate grades or thresholds, no band starting at 0, or missing grade points
+ *       403:
+ *         description: Requires tenant-wide exams access
+ *       409:
+ *         description: A scheme with this name exists
+ */
+router.get('/grading-schemes', authenticateToken, authorize('exams', 'read'), asyncHandler(gradingController.listSchemes));
+router.post('/grading-schemes', authenticateToken, authorize('exams', 'create'), validateScheme, validate, asyncHandler(gradingController.createScheme));
+
+/**
+ * @openapi
+ * /api/exams/grading-schemes/resolve:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: The scheme that grades a class in an academic session
+ *     description: source is assignment, default or built-in.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: classId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: academicSession
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get('/grading-schemes/resolve', authenticateToken, authorize('exams', 'read'), validateResolve, validate, asyncHandler(gradingController.resolveScheme));
+
+/**
+ * @openapi
+ * /api/exams/grading-schemes/{schemeId}:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: Get a grading scheme with its assignments
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: schemeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not Found
+ *   put:
+ *     tags:
+ *       - Exams
+ *     summary: Update a grading scheme
+ *     description: Marks already entered keep their grades until the exam is regraded. isDefault true moves the default here.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: schemeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       400:
+ *         description: Bad Request
+ *       404:
+ *         description: Not Found
+ *   delete:
+ *     tags:
+ *       - Exams
+ *     summary: Delete a grading scheme
+ *     description: Assigned schemes cannot be deleted. Without a default the built-in scheme applies.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: schemeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: The scheme is assigned
+ */
+router.get('/grading-schemes/:schemeId', authenticateToken, authorize('exams', 'read'), validateSchemeId, validate, asyncHandler(gradingController.getScheme));
+router.put('/grading-schemes/:schemeId', authenticateToken, authorize('exams', 'update'), validateSchemeUpdate, validate, asyncHandler(gradingController.updateScheme));
+router.delete('/grading-schemes/:schemeId', authenticateToken, authorize('exams', 'delete'), validateSchemeId, validate, asyncHandler(gradingController.deleteScheme));
+
+/**
+ * @openapi
+ * /api/exams/grading-schemes/{schemeId}/assignments:
+ *   put:
+ *     tags:
+ *       - Exams
+ *     summary: Assign a scheme to an academic session, a group of classes, or both
+ *     description: Sessions or classes that had another scheme move to this one.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: schemeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               academicSession:
+ *                 type: string
+ *                 example: 2026-27
+ *               classIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The scheme with its assignments
+ *       400:
+ *         description: Neither a session nor classes, or unknown classes
+ *       404:
+ *         description: Not Found
+ */
+router.put('/grading-schemes/:schemeId/assignments', authenticateToken, authorize('exams', 'update'), validateAssignment, validate, asyncHandler(gradingController.assignScheme));
+
+/**
+ * @openapi
+ * /api/exams/grading-schemes/{schemeId}/assignments/{assignmentId}:
+ *   delete:
+ *     tags:
+ *       - Exams
+ *     summary: Remove an assignment
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: schemeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: assignmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Removed
+ *       404:
+ *         description: Not Found
+ */
+router.delete(
+    '/grading-schemes/:schemeId/assignments/:assignmentId',
+    authenticateToken,
+    authorize('exams', 'update'),
+    validateSchemeId,
+    param('assignmentId').isUUID().withMessage('assignmentId must be a valid UUID'),
+    validate,
+    asyncHandler(gradingController.removeAssignment)
+);
+
+/**
+ * @openapi
+ * /api/exams/cgpa:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: CGPA of a class over the exams of an academic session
+ *     description: The mean of each student's exam GPAs. Teachers see the classes they teach.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: academicSession
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       403:
+ *         description: Not a teacher of the class
+ */
+router.get('/cgpa', authenticateToken, authorize('exams', 'read'), validateCgpa, validate, asyncHandler(gradingController.getClassCgpa));
+
+/**
+ * @openapi
+ * /api/exams/{id}/results:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: Results of a class in an exam
+ *     description: >
+ *       Each student's papers, overall percentage and grade, and GPA (once every paper has an entry).
+ *       Teachers see the classes they teach.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       403:
+ *         description: Not a teacher of the class
+ *       404:
+ *         description: Not Found
+ */
+router.get('/:id/results', authenticateToken, authorize('exams', 'read'), validateClassQuery, validate, asyncHandler(gradingController.getExamResults));
+
+/**
+ * @openapi
+ * /api/exams/{id}/regrade:
+ *   post:
+ *     tags:
+ *       - Exams
+ *     summary: Regrade an exam's marks with the schemes that now apply
+ *     description: Moderated papers keep their grades.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Counts of regraded papers, skipped papers and changed rows
+ *       404:
+ *         description: Not Found
+ */
+router.post('/:id/regrade', authenticateToken, authorize('exams', 'update'), validateId, validate, asyncHandler(gradingController.regradeExam));
+
+/**
+ * @openapi
+ * /api/exams/{id}/co-scholastic:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: Co-scholastic grades of a class in an exam
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       403:
+ *         description: Not the class teacher
+ *   put:
+ *     tags:
+ *       - Exams
+ *     summary: Grade a class in one co-scholastic area
+ *     description: >
+ *       Entered by the class teacher or with tenant-wide exams:update. Grades come from the
+ *       scheme's co-scholastic list; a null grade clears the student's grade.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - classId
+ *               - area
+ *               - entries
+ *             properties:
+ *               classId:
+ *                 type: string
+ *               area:
+ *                 type: string
+ *                 example: Art Education
+ *               entries:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     studentId:
+ *                       type: string
+ *                     grade:
+ *                       type: string
+ *                       example: A
+ *                     remarks:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Saved
+ *       400:
+ *         description: Unknown grade or a student outside the class
+ *       403:
+ *         description: Not the class teacher
+ */
+router.get('/:id/co-scholastic', authenticateToken, authorize('exams', 'read'), validateClassQuery, validate, asyncHandler(gradingController.getCoScholastic));
+router.put('/:id/co-scholastic', authenticateToken, authorize('exams', 'read'), validateCoScholastic, validate, asyncHandler(gradingController.saveCoScholastic));
+
+module.exports = router;
@@ -0,0 +1,553 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const lmsController = require('../controllers/lmsController');
+const { QUESTION_TYPES, DIFFICULTIES } = require('../services/questionBankService');
+const { TEST_STATES } = require('../services/onlineTestService');
+
+const router = express.Router();
+
+const validateId = [param('id').isUUID().withMessage('id must be a valid UUID')];
+
+const validateQuestionId = [param('questionId').isUUID().withMessage('questionId must be a valid UUID')];
+
+const validateAttemptId = [param('attemptId').isUUID().withMessage('attemptId must be a valid UUID')];
+
+const validateQuestionList = [
+    query('subject').optional().trim().isLength({ min: 1, max: 100 }).withMessage('subject must be 1-100 characters'),
+    query('topic').optional().trim().isLength({ min: 1, max: 100 }).withMessage('topic must be 1-100 characters'),
+    query('questionType').optional().isIn(QUESTION_TYPES).withMessage(`questionType must be one of: ${QUESTION_TYPES.join(', ')}`),
+    query('difficulty').optional().isIn(DIFFICULTIES).withMessage(`difficulty must be one of: ${DIFFICULTIES.join(', ')}`),
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be 1-200')
+];
+
+// Answers and options are checked against the question type by questionBankService
+const questionFieldValidators = [
+    body('questionType').optional().isIn(QUESTION_TYPES).withMessage(`questionType must be one of: ${QUESTION_TYPES.join(', ')}`),
+    body('topic').optional({ nullable: true }).isLength({ max: 100 }).withMessage('topic must be at most 100 characters'),
+    body('text').optional().isString().withMessage('text must be a string')
+        .bail().trim().notEmpty().withMessage('text cannot be empty'),
+    body('options').optional({ nullable: true }).isArray({ min: 2, max: 8 }).withMessage('options must be an array of 2-8 choices'),
+    body('marks').optional().isFloat({ gt: 0, max: 100 }).withMessage('marks must be more than 0 and at most 100').toFloat(),
+    body('difficulty').optional().isIn(DIFFICULTIES).withMessage(`difficulty must be one of: ${DIFFICULTIES.join(', ')}`),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean()
+];
+
+const validateQuestion = [
+    body('subject').trim().notEmpty().withMessage('subject is required')
+        .isLength({ max: 100 }).withMessage('subject must be at most 100 characters'),
+    body('questionType').notEmpty().withMessage('questionType is required'),
+    body('text').notEmpty().withMessage('text is required'),
+    ...questionFieldValidators
+];
+
+const validateQuestionUpdate = [
+    ...validateQuestionId,
+    body('subject').optional().trim().notEmpty().withMessage('subject cannot be empty')
+        .isLength({ max: 100 }).withMessage('subject must be at most 100 characters'),
+    ...questionFieldValidators
+];
+
+const testFieldValidators = [
+    body('examPaperId').optional({ nullable: true }).isUUID().withMessage('examPaperId must be a valid UUID'),
+    body('instructions').optional({ nullable: true }).isLength({ max: 5000 }).withMessage('instructions must be at most 5000 characters'),
+    body('questionIds').optional().isArray({ min: 1, max: 200 }).withMessage('questionIds must be an array of 1-200 question IDs'),
+    body('questionIds.*').isUUID().withMessage('questionIds must contain valid UUIDs'),
+    body('questionsPerAttempt').optional({ nullable: true }).isInt({ min: 1 }).withMessage('questionsPerAttempt must be a positive integer').toInt(),
+    body('shuffleOptions').optional().isBoolean().withMessage('shuffleOptions must be a boolean').toBoolean(),
+    body('durationMinutes').optional().isInt({ min: 1, max: 600 }).withMessage('durationMinutes must be 1-600').toInt(),
+    body('opensAt').optional().isISO8601().withMessage('opensAt must be an ISO 8601 date-time'),
+    body('closesAt').optional().isISO8601().withMessage('closesAt must be an ISO 8601 date-time')
+];
+
+const validateTest = [
+    body('classId').isUUID().withMessage('classId must be a valid UUID'),
+    body('subject').trim().notEmpty().withMessage('subject is required')
+        .isLength({ max: 100 }).withMessage('subject must be at most 100 characters'),
+    body('title').trim().notEmpty().withMessage('title is required')
+        .isLength({ max: 150 }).withMessage('title must be at most 150 characters'),
+    body('questionIds').exists().withMessage('questionIds is required'),
+    body('durationMinutes').exists().withMessage('durationMinutes is required'),
+    body('opensAt').exists().withMessage('opensAt is required'),
+    body('closesAt').exists().withMessage('closesAt is required'),
+    ...testFieldValidators
+];
+
+const validateTestUpdate = [
+    ...validateId,
+    body('classId').optional().isUUID().withMessage('classId must be a valid UUID'),
+    body('subject').optional().trim().notEmpty().withMessage('subject cannot be empty')
+        .isLength({ max: 100 }).withMessage('subject must be at most 100 characters'),
+    body('title').optional().trim().notEmpty().withMessage('title cannot be empty')
+        .isLength({ max: 150 }).withMessage('title must be at most 150 characters'),
+    ...testFieldValidators
+];
+
+const validateTestList = [
+    query('classId').optional().isUUID().withMessage('classId must be a valid UUID'),
+    query('subject').optional().trim().isLength({ min: 1, max: 100 }).withMessage('subject must be 1-100 characters'),
+    query('status').optional().isIn(TEST_STATES).withMessage(`status must be one of: ${TEST_STATES.join(', ')}`)
+];
+
+const validateReview = [
+    ...validateId,
+    ...validateAttemptId,
+    body('entries').isArray({ min: 1 }).withMessage('entries must be a non-empty array'),
+    body('entries.*.questionId').isUUID().withMessage('Each entry needs a valid questionId'),
+    body('entries.*.marks').isFloat({ min: 0 }).withMessage('marks must be 0 or more').toFloat()
+];
+
+const validateAnswers = [
+    ...validateAttemptId,
+    body('answers').isObject().withMessage('answers must be an object of questionId to answer')
+];
+
+/**
+ * @openapi
+ * /api/lms/questions:
+ *   get:
+ *     tags:
+ *       - LMS
+ *     summary: List the question bank
+ *     description: >
+ *       Newest first, active questions only unless includeInactive is true. Teachers see the
+ *       questions of the subjects they take on the timetable.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: topic
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: questionType
+ *         schema:
+ *           type: string
+ *           enum: [mcq, multi_select, numeric, short_answer]
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           enum: [easy, medium, hard]
+ *     responses:
+ *       200:
+ *         description: Questions with pagination
+ *   post:
+ *     tags:
+ *       - LMS
+ *     summary: Add a question to the bank
+ *     description: >
+ *       mcq answers are one option key, multi_select answers a list of option keys, numeric
+ *       answers { value, tolerance } and short_answer answers an optional { modelAnswer }.
+ *       Options are { key, text } (or plain strings keyed A, B, C...).
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [subject, questionType, text]
+ *             properties:
+ *               subject:
+ *                 type: string
+ *               topic:
+ *                 type: string
+ *               questionType:
+ *                 type: string
+ *                 enum: [mcq, multi_select, numeric, short_answer]
+ *               text:
+ *                 type: string
+ *               options:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               answer: {}
+ *               marks:
+ *                 type: number
+ *               difficulty:
+ *                 type: string
+ *                 enum: [easy, medium, hard]
+ *     responses:
+ *       201:
+ *         description: Question created
+ *       400:
+ *         description: Answer does not fit the question type
+ *       403:
+ *         description: Not a teacher of the subject
+ */
+router.get('/questions', authenticateToken, authorize('lms', 'read'), validateQuestionList, validate, asyncHandler(lmsController.listQuestions));
+router.post('/questions', authenticateToken, authorize('lms', 'create'), validateQuestion, validate, asyncHandler(lmsController.createQuestion));
+
+/**
+ * @openapi
+ * /api/lms/questions/{questionId}:
+ *   get:
+ *     tags:
+ *       - LMS
+ *     summary: Get a question with its answer
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Question
+ *       404:
+ *         description: Question not found
+ *   put:
+ *     tags:
+ *       - LMS
+ *     summary: Update a question
+ *     description: >
+ *       Once a published test uses the question, its type, options, answer and marks cannot
+ *       change (409).
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Question updated
+ *       409:
+ *         description: Used by a published test
+ *   delete:
+ *     tags:
+ *       - LMS
+ *     summary: Delete a question no test uses
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Question deleted
+ *       409:
+ *         description: Used by a test; retire it with isActive false
+ */
+router.get('/questions/:questionId', authenticateToken, authorize('lms', 'read'), validateQuestionId, validate, asyncHandler(lmsController.getQuestion));
+router.put('/questions/:questionId', authenticateToken, authorize('lms', 'update'), validateQuestionUpdate, validate, asyncHandler(lmsController.updateQuestion));
+router.delete('/questions/:questionId', authenticateToken, authorize('lms', 'delete'), validateQuestionId, validate, asyncHandler(lmsController.deleteQuestion));
+
+/**
+ * @openapi
+ * /api/lms/tests:
+ *   get:
+ *     tags:
+ *       - LMS
+ *     summary: List online tests
+ *     description: >
+ *       Teachers see the tests of the subjects they take in each class. Students see the
+ *       published and closed tests of their class with their own attempt.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: classId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: subject
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, published, closed]
+ *     responses:
+ *       200:
+ *         description: Tests
+ *   post:
+ *     tags:
+ *       - LMS
+ *     summary: Draft a timed online test from the question bank
+ *     description: >
+ *       Questions must be of the test's subject. With questionsPerAttempt set, each student
+ *       gets that many questions drawn at random. examPaperId links an exam paper of the same
+ *       class and subject that the scores are posted to.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [classId, subject, title, questionIds, durationMinutes, opensAt, closesAt]
+ *             properties:
+ *               classId:
+ *                 type: string
+ *               subject:
+ *                 type: string
+ *               examPaperId:
+ *                 type: string
+ *               title:
+ *                 type: string
+ *               instructions:
+ *                 type: string
+ *               questionIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               questionsPerAttempt:
+ *                 type: integer
+ *               shuffleOptions:
+ *                 type: boolean
+ *               durationMinutes:
+ *                 type: integer
+ *               opensAt:
+ *                 type: string
+ *                 format: date-time
+ *               closesAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Draft test created
+ *       403:
+ *         description: Not a teacher of the subject in the class
+ */
+router.get('/tests', authenticateToken, authorize('lms', 'read'), validateTestList, validate, asyncHandler(lmsController.listTests));
+router.post('/tests', authenticateToken, authorize('lms', 'create'), validateTest, validate, asyncHandler(lmsController.createTest));
+
+/**
+ * @openapi
+ * /api/lms/tests/{id}:
+ *   get:
+ *     tags:
+ *       - LMS
+ *     summary: Get a test with its questions and answers
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Test
+ *   put:
+ *     tags:
+ *       - LMS
+ *     summary: Update a test
+ *     description: >
+ *       Drafts change freely; published and closed tests only allow the title, instructions,
+ *       closesAt and examPaperId to change.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Test updated
+ *       409:
+ *         description: Field locked once published
+ *   delete:
+ *     tags:
+ *       - LMS
+ *     summary: Delete a test nobody has sat
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Test deleted
+ *       409:
+ *         description: Students have sat the test
+ */
+router.get('/tests/:id', authenticateToken, authorize('lms', 'read'), validateId, validate, asyncHandler(lmsController.getTest));
+router.put('/tests/:id', authenticateToken, authorize('lms', 'update'), validateTestUpdate, validate, asyncHandler(lmsController.updateTest));
+router.delete('/tests/:id', authenticateToken, authorize('lms', 'delete'), validateId, validate, asyncHandler(lmsController.deleteTest));
+
+/**
+ * @openapi
+ * /api/lms/tests/{id}/publish:
+ *   post:
+ *     tags:
+ *       - LMS
+ *     summary: Open a draft test to its class
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Test published
+ *       409:
+ *         description: Not a draft
+ */
+router.post('/tests/:id/publish', authenticateToken, authorize('lms', 'update'), validateId, validate, asyncHandler(lmsController.publishTest));
+
+/**
+ * @openapi
+ * /api/lms/tests/{id}/close:
+ *   post:
+ *     tags:
+ *       - LMS
+ *     summary: Close a test; open attempts are submitted with their saved answers
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Test closed, with the number of attempts submitted
+ */
+router.post('/tests/:id/close', authenticateToken, authorize('lms', 'update'), validateId, validate, asyncHandler(lmsController.closeTest));
+
+/**
+ * @openapi
+ * /api/lms/tests/{id}/attempts:
+ *   get:
+ *     tags:
+ *       - LMS
+ *     summary: Results of a test for every student of the class
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Test, status counts and one row per student
+ *   post:
+ *     tags:
+ *       - LMS
+ *     summary: Start the test as a student, or resume the started attempt
+ *     description: >
+ *       Draws the student's paper and fixes the deadline on the server: durationMinutes from
+ *       now, or closesAt if sooner. Returns the paper without answers and secondsLeft.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Attempt with the paper
+ *       403:
+ *         description: Not a student account
+ *       409:
+ *         description: The test is not open
+ */
+router.get('/tests/:id/attempts', authenticateToken, authorize('lms', 'read'), validateId, validate, asyncHandler(lmsController.listAttempts));
+router.post('/tests/:id/attempts', authenticateToken, authorize('lms', 'read'), validateId, validate, asyncHandler(lmsController.startAttempt));
+
+/**
+ * @openapi
+ * /api/lms/tests/{id}/attempts/{attemptId}:
+ *   get:
+ *     tags:
+ *       - LMS
+ *     summary: A student's attempt with answers and marks, for marking
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Attempt with each question, the answer given and the marks awarded
+ */
+router.get('/tests/:id/attempts/:attemptId', authenticateToken, authorize('lms', 'read'), validateId, validateAttemptId, validate, asyncHandler(lmsController.getAttemptForReview));
+
+/**
+ * @openapi
+ * /api/lms/tests/{id}/attempts/{attemptId}/review:
+ *   put:
+ *     tags:
+ *       - LMS
+ *     summary: Mark the short answers of a submitted attempt
+ *     description: The attempt is graded once every short answer has marks.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               entries:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     questionId:
+ *                       type: string
+ *                     marks:
+ *                       type: number
+ *     responses:
+ *       200:
+ *         description: Attempt with its score and the short answers still to mark
+ */
+router.put('/tests/:id/attempts/:attemptId/review', authenticateToken, authorize('lms', 'update'), validateReview, validate, asyncHandler(lmsController.reviewAttempt));
+
+/**
+ * @openapi
+ * /api/lms/tests/{id}/post-marks:
+ *   post:
+ *     tags:
+ *       - LMS
+ *     summary: Post the test's scores to the linked exam paper
+ *     description: >
+ *       Scores are scaled to the paper's max marks and saved through the marks sheet, so a
+ *       moderated paper refuses them. Every attempt must be graded. Can be repeated after
+ *       marks change.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scores posted with the paper's marks summary
+ *       400:
+ *         description: No exam paper linked, or attempts still open or to be marked
+ *       409:
+ *         description: The paper's marks are moderated
+ */
+router.post('/tests/:id/post-marks', authenticateToken, authorize('lms', 'update'), validateId, validate, asyncHandler(lmsController.postMarks));
+
+/**
+ * @openapi
+ * /api/lms/attempts/{attemptId}:
+ *   get:
+ *     tags:
+ *       - LMS
+ *     summary: The student's own attempt
+ *     description: >
+ *       The paper, saved answers and secondsLeft while it runs; the score once graded; the
+ *       correct answers once the test is closed.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Attempt
+ */
+router.get('/attempts/:attemptId', authenticateToken, authorize('lms', 'read'), validateAttemptId, validate, asyncHandler(lmsController.getAttempt));
+
+/**
+ * @openapi
+ * /api/lms/attempts/{attemptId}/answers:
+ *   put:
+ *     tags:
+ *       - LMS
+ *     summary: Save answers while time is left
+ *     description: Merged into the answers saved before; null clears an answer.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               answers:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Number answered and secondsLeft
+ *       409:
+ *         description: Time is up or the attempt was submitted
+ */
+router.put('/attempts/:attemptId/answers', authenticateToken, authorize('lms', 'read'), validateAnswers, validate, asyncHandler(lmsController.saveAnswers));
+
+/**
+ * @openapi
+ * /api/lms/attempts/{attemptId}/submit:
+ *   post:
+ *     tags:
+ *       - LMS
+ *     summary: Hand in the attempt; objective questions are graded straight away
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Submitted attempt
+ */
+router.post('/attempts/:attemptId/submit', authenticateToken, authorize('lms', 'read'), validateAttemptId, validate, asyncHandler(lmsController.submitAttempt));
+
+module.exports = router;
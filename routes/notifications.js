@@ -0,0 +1,174 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const notificationController = require('../controllers/notificationController');
+const {
+    NOTIFICATION_EVENTS,
+    NOTIFICATION_CHANNELS,
+    MESSAGE_STATUSES,
+    MAX_EMAIL_LENGTH
+} = require('../services/notificationService');
+
+const router = express.Router();
+
+const validateTemplateKey = [
+    param('event').isIn(NOTIFICATION_EVENTS).withMessage(`event must be one of: ${NOTIFICATION_EVENTS.join(', ')}`),
+    param('channel').isIn(NOTIFICATION_CHANNELS).withMessage(`channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`)
+];
+
+const validateTemplate = [
+    ...validateTemplateKey,
+    body('subject').optional({ nullable: true }).isString().withMessage('subject must be a string')
+        .bail().isLength({ max: 255 }).withMessage('subject must be at most 255 characters'),
+    body('body').isString().withMessage('body is required')
+        .bail().trim().notEmpty().withMessage('body is required')
+        .isLength({ max: MAX_EMAIL_LENGTH }).withMessage(`body must be at most ${MAX_EMAIL_LENGTH} characters`),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean()
+];
+
+const validateListMessages = [
+    query('status').optional().isIn(MESSAGE_STATUSES).withMessage(`status must be one of: ${MESSAGE_STATUSES.join(', ')}`),
+    query('channel').optional().isIn(NOTIFICATION_CHANNELS).withMessage(`channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`),
+    query('event').optional().isIn(NOTIFICATION_EVENTS).withMessage(`event must be one of: ${NOTIFICATION_EVENTS.join(', ')}`),
+    query('studentId').optional().isUUID().withMessage('studentId must be a valid UUID'),
+    query('date').optional().isISO8601().withMessage('date must be a valid date')
+];
+
+/**
+ * @openapi
+ * /api/notifications/templates:
+ *   get:
+ *     tags:
+ *       - Notifications
+ *     summary: List the message templates of the tenant
+ *     description: Every event and channel, with the tenant's own wording or the default (isDefault). Also returns the placeholders templates can use.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ *       403:
+ *         description: Requires tenant-wide communication access
+ */
+router.get('/templates', authenticateToken, authorize('communication', 'read'), asyncHandler(notificationController.listTemplates));
+
+/**
+ * @openapi
+ * /api/notifications/templates/{event}/{channel}:
+ *   put:
+ *     tags:
+ *       - Notifications
+ *     summary: Save the tenant's template for an event and channel
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: event
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [student_absent, student_late]
+ *       - in: path
+ *         name: channel
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [sms, email]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [body]
+ *             properties:
+ *               subject:
+ *                 type: string
+ *                 description: Required for email, ignored for SMS
+ *               body:
+ *                 type: string
+ *                 example: "Dear {{parentName}}, {{studentName}} is absent today ({{date}})."
+ *               isActive:
+ *                 type: boolean
+ *                 description: false stops this event on this channel
+ *     responses:
+ *       200:
+ *         description: Saved
+ *       400:
+ *         description: Unknown placeholders, missing subject or too long
+ *   delete:
+ *     tags:
+ *       - Notifications
+ *     summary: Go back to the default template
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: event
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: channel
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The default template
+ */
+router.put('/templates/:event/:channel', authenticateToken, authorize('communication', 'update'), validateTemplate, validate, asyncHandler(notificationController.saveTemplate));
+router.delete('/templates/:event/:channel', authenticateToken, authorize('communication', 'update'), validateTemplateKey, validate, asyncHandler(notificationController.resetTemplate));
+
+/**
+ * @openapi
+ * /api/notifications/messages:
+ *   get:
+ *     tags:
+ *       - Notifications
+ *     summary: List queued and sent messages
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, sent, failed, cancelled]
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [sms, email]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         description: The day the messages are about (attendance date for absence alerts)
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get('/messages', authenticateToken, authorize('communication', 'read'), validateListMessages, validate, asyncHandler(notificationController.listMessages));
+
+module.exports = router;
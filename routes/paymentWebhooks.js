@@ -0,0 +1,39 @@
+const express = require('express');
+const { param } = require('express-validator');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const paymentController = require('../controllers/paymentController');
+
+// Public: mounted at /api/payments/webhooks before authenticateToken; callers are
+// authenticated by the gateway's signature instead of a user token
+const router = express.Router();
+
+/**
+ * @openapi
+ * /api/payments/webhooks/{provider}/{tenantId}:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Gateway webhook endpoint
+ *     description: Called by the payment gateway, authenticated by the provider's signature over the raw body. Redelivered events are acknowledged without being applied twice.
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: tenantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Accepted
+ *       401:
+ *         description: Invalid signature
+ */
+router.post('/:provider/:tenantId', param('tenantId').isUUID().withMessage('tenantId must be a valid UUID'), validate,
+    asyncHandler(paymentController.handleWebhook));
+
+module.exports = router;
@@ -0,0 +1,192 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const paymentController = require('../controllers/paymentController');
+const { isProviderEnabled } = require('../services/paymentGateways');
+
+const router = express.Router();
+
+const validateOrderId = [param('id').isUUID().withMessage('id must be a valid UUID')];
+
+const validateCreateOrder = [
+    body('fees').isArray({ min: 1, max: 50 }).withMessage('fees must be an array of 1 to 50 items'),
+    body('fees.*.studentFeeId').isUUID().withMessage('fees[].studentFeeId must be a valid UUID'),
+    body('fees.*.amount').optional().isFloat({ gt: 0 }).withMessage('fees[].amount must be a positive number'),
+    body('provider').optional().isString().trim().notEmpty().withMessage('provider cannot be empty')
+];
+
+const validateVerifyPayment = [
+    ...validateOrderId,
+    body('providerPaymentId').trim().notEmpty().withMessage('providerPaymentId is required'),
+    body('signature').trim().notEmpty().withMessage('signature is required')
+];
+
+const validateReconcile = [
+    body('from').isISO8601().withMessage('from must be a valid date'),
+    body('to').isISO8601().withMessage('to must be a valid date'),
+    body('provider').optional().isString().trim().notEmpty().withMessage('provider cannot be empty')
+];
+
+/**
+ * @openapi
+ * /api/payments/orders:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Create an online payment order for one or more fees
+ *     description: Parents and students may only include fees of their own children / themselves. The response carries the checkout parameters for the gateway's client SDK.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - fees
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 description: Needed only when the tenant has several active gateways
+ *               fees:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     studentFeeId:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *                       description: Defaults to the outstanding balance
+ *     responses:
+ *       201:
+ *         description: Order created
+ *       404:
+ *         description: One or more fees not found
+ *       409:
+ *         description: A fee is already fully paid
+ */
+router.post('/orders', authenticateToken, authorize('fees', 'read'), validateCreateOrder, validate, asyncHandler(paymentController.createOrder));
+
+/**
+ * @openapi
+ * /api/payments/orders/{id}:
+ *   get:
+ *     tags:
+ *       - Payments
+ *     summary: Get a payment order (status polling)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not Found
+ */
+router.get('/orders/:id', authenticateToken, authorize('fees', 'read'), validateOrderId, validate, asyncHandler(paymentController.getOrder));
+
+/**
+ * @openapi
+ * /api/payments/orders/{id}/verify:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Verify the signed checkout callback and record the payment
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - providerPaymentId
+ *               - signature
+ *             properties:
+ *               providerPaymentId:
+ *                 type: string
+ *               signature:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment recorded (or already recorded)
+ *       400:
+ *         description: Signature verification failed
+ */
+router.post('/orders/:id/verify', authenticateToken, authorize('fees', 'read'), validateVerifyPayment, validate, asyncHandler(paymentController.verifyPayment));
+
+if (isProviderEnabled('mock')) {
+    /**
+     * @openapi
+     * /api/payments/orders/{id}/mock-pay:
+     *   post:
+     *     tags:
+     *       - Payments
+     *     summary: Pay a mock-provider order (not available in production)
+     *     description: Returns the callback fields to send to /verify and the signed webhook the gateway would deliver.
+     *     security:
+     *       - bearerAuth: []
+     *     parameters:
+     *       - in: path
+     *         name: id
+     *         required: true
+     *         schema:
+     *           type: string
+     *     responses:
+     *       200:
+     *         description: Simulated payment
+     */
+    router.post('/orders/:id/mock-pay', authenticateToken, authorize('fees', 'read'), validateOrderId, validate, asyncHandler(paymentController.simulateMockPayment));
+}
+
+/**
+ * @openapi
+ * /api/payments/reconcile:
+ *   post:
+ *     tags:
+ *       - Payments
+ *     summary: Reconcile gateway settlements with payment orders
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - from
+ *               - to
+ *             properties:
+ *               provider:
+ *                 type: string
+ *               from:
+ *                 type: string
+ *                 format: date
+ *               to:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       200:
+ *         description: Reconciliation summary
+ */
+router.post('/reconcile', authenticateToken, authorize('fees', 'update'), validateReconcile, validate, asyncHandler(paymentController.reconcile));
+
+module.exports = router;
@@ -0,0 +1,132 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const promotionController = require('../controllers/promotionController');
+const { ACTIONS } = require('../services/promotionService');
+
+const router = express.Router();
+
+const validateClassId = [param('classId').isUUID().withMessage('classId must be a valid UUID')];
+
+const validatePromotion = [
+    ...validateClassId,
+    body('targetClassId').optional({ nullable: true }).isUUID().withMessage('targetClassId must be a valid UUID'),
+    body('detainClassId').optional({ nullable: true }).isUUID().withMessage('detainClassId must be a valid UUID'),
+    body('decisions').isArray({ min: 1 }).withMessage('decisions must be a non-empty array'),
+    body('decisions.*.studentId').isUUID().withMessage('Each decision needs a valid studentId'),
+    body('decisions.*.action').isIn(ACTIONS).withMessage(`action must be one of: ${ACTIONS.join(', ')}`),
+    body('decisions.*.remarks').optional({ nullable: true }).isString().withMessage('remarks must be a string')
+        .bail().isLength({ max: 255 }).withMessage('remarks must be at most 255 characters')
+];
+
+/**
+ * @openapi
+ * /api/promotions/classes/{classId}:
+ *   get:
+ *     tags:
+ *       - Promotions
+ *     summary: Promotion preview for a class
+ *     description: >
+ *       The class's students with their results over the exams of the class's academic year and a
+ *       suggested action (detain when a paper of the final exams was failed), the next academic year
+ *       and its classes to move them into.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       400:
+ *         description: The class has no academic year
+ *       404:
+ *         description: Class not found
+ *   post:
+ *     tags:
+ *       - Promotions
+ *     summary: Promote, detain or release every student of a class
+ *     description: >
+ *       One decision per student of the class. Promoted students move into targetClassId, detained students
+ *       into detainClassId; both must be classes of a later academic year. The outcome is recorded on the
+ *       student's enrollment for the old year, classId, classData and rollNumber are updated, and leaving
+ *       students become inactive. Everything happens in one transaction.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decisions
+ *             properties:
+ *               targetClassId:
+ *                 type: string
+ *               detainClassId:
+ *                 type: string
+ *               decisions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     studentId:
+ *                       type: string
+ *                     action:
+ *                       type: string
+ *                       enum: [promote, detain, leave]
+ *                     remarks:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Counts of the students promoted, detained and left
+ *       400:
+ *         description: Missing or extra decisions, or a target class outside a later year
+ *       404:
+ *         description: Class not found
+ *       409:
+ *         description: Students are already enrolled in the next year
+ */
+router.get('/classes/:classId', authenticateToken, authorize('students', 'update'), validateClassId, validate, asyncHandler(promotionController.getPreview));
+router.post('/classes/:classId', authenticateToken, authorize('students', 'update'), validatePromotion, validate, asyncHandler(promotionController.promoteClass));
+
+/**
+ * @openapi
+ * /api/promotions/students/{studentId}/history:
+ *   get:
+ *     tags:
+ *       - Promotions
+ *     summary: A student's class in each academic year
+ *     description: Oldest year first, with the year-end outcome (promoted, detained or left) and remarks.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Student not found
+ */
+router.get('/students/:studentId/history', authenticateToken, authorize('students', 'read'),
+    param('studentId').isUUID().withMessage('studentId must be a valid UUID'), validate,
+    asyncHandler(promotionController.getClassHistory));
+
+module.exports = router;
@@ -0,0 +1,387 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const reportCardController = require('../controllers/reportCardController');
+const { SECTIONS } = require('../services/reportCardService');
+
+// Mounted at /api/exams ahead of routes/exams.js so /report-cards and /report-card-templates win over /:id
+const router = express.Router();
+
+const validateId = [param('id').isUUID().withMessage('id must be a valid UUID')];
+
+const validateTemplateId = [param('templateId').isUUID().withMessage('templateId must be a valid UUID')];
+
+const templateFieldValidators = [
+    body('title').optional().trim().notEmpty().withMessage('title cannot be empty')
+        .isLength({ max: 150 }).withMessage('title must be at most 150 characters'),
+    body('sections').optional().isArray({ min: 1 }).withMessage('sections must be a non-empty array'),
+    body('sections.*').isIn(SECTIONS).withMessage(`sections must be among: ${SECTIONS.join(', ')}`),
+    body('signatures').optional({ nullable: true }).isArray({ max: 4 }).withMessage('signatures must be an array of at most 4 labels'),
+    body('signatures.*').isString().withMessage('Each signature label must be a string')
+        .bail().trim().isLength({ min: 1, max: 50 }).withMessage('Each signature label must be 1-50 characters'),
+    body('footerText').optional({ nullable: true }).isString().withMessage('footerText must be a string')
+        .bail().isLength({ max: 2000 }).withMessage('footerText must be at most 2000 characters'),
+    body('isDefault').optional().isBoolean().withMessage('isDefault must be a boolean').toBoolean()
+];
+
+const validateTemplate = [
+    body('name').trim().notEmpty().withMessage('name is required')
+        .isLength({ max: 100 }).withMessage('name must be at most 100 characters'),
+    body('title').exists().withMessage('title is required'),
+    ...templateFieldValidators
+];
+
+const validateTemplateUpdate = [
+    ...validateTemplateId,
+    body('name').optional().trim().notEmpty().withMessage('name cannot be empty')
+        .isLength({ max: 100 }).withMessage('name must be at most 100 characters'),
+    ...templateFieldValidators
+];
+
+const validateRemarksQuery = [
+    ...validateId,
+    query('classId').isUUID().withMessage('classId must be a valid UUID')
+];
+
+const validateRemarks = [
+    ...validateId,
+    body('classId').isUUID().withMessage('classId must be a valid UUID'),
+    body('entries').isArray({ min: 1 }).withMessage('entries must be a non-empty array'),
+    body('entries.*.studentId').isUUID().withMessage('Each entry needs a valid studentId'),
+    body('entries.*.remarks').optional({ nullable: true }).isString().withMessage('remarks must be a string')
+        .bail().isLength({ max: 1000 }).withMessage('remarks must be at most 1000 characters')
+];
+
+const cardQueryValidators = [
+    query('academicSession').trim().isLength({ min: 1, max: 50 }).withMessage('academicSession is required'),
+    query('templateId').optional().isUUID().withMessage('templateId must be a valid UUID'),
+    query('from').optional().isISO8601({ strict: true }).withMessage('from must be a date (YYYY-MM-DD)'),
+    query('to').optional().isISO8601({ strict: true }).withMessage('to must be a date (YYYY-MM-DD)'),
+    query('format').optional().isIn(['pdf', 'json']).withMessage('format must be pdf or json')
+];
+
+const validateStudentCard = [
+    param('studentId').isUUID().withMessage('studentId must be a valid UUID'),
+    ...cardQueryValidators
+];
+
+const validateClassCards = [
+    param('classId').isUUID().withMessage('classId must be a valid UUID'),
+    ...cardQueryValidators
+];
+
+/**
+ * @openapi
+ * /api/exams/report-card-templates:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: List the tenant's report card templates
+ *     description: Default first. builtIn is the template used when the tenant has none.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ *   post:
+ *     tags:
+ *       - Exams
+ *     summary: Create a report card template
+ *     description: The tenant's first template becomes its default.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - title
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Secondary
+ *               title:
+ *                 type: string
+ *                 example: Progress Report
+ *               sections:
+ *                 type: array
+ *                 description: Printed in this order; all four by default
+ *                 items:
+ *                   type: string
+ *                   enum: [scholastic, coScholastic, attendance, remarks]
+ *               signatures:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [Class Teacher, Principal, Parent]
+ *               footerText:
+ *                 type: string
+ *               isDefault:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Unknown or repeated section
+ *       403:
+ *         description: Requires tenant-wide exams access
+ *       409:
+ *         description: A template with this name exists
+ */
+router.get('/report-card-templates', authenticateToken, authorize('exams', 'read'), asyncHandler(reportCardController.listTemplates));
+router.post('/report-card-templates', authenticateToken, authorize('exams', 'create'), validateTemplate, validate, asyncHandler(reportCardController.createTemplate));
+
+/**
+ * @openapi
+ * /api/exams/report-card-templates/{templateId}:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: Get a report card template
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not found
+ *   put:
+ *     tags:
+ *       - Exams
+ *     summary: Update a report card template
+ *     description: isDefault can only be turned on; the default moves to this template.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       400:
+ *         description: Validation error
+ *   delete:
+ *     tags:
+ *       - Exams
+ *     summary: Delete a report card template
+ *     description: Deleting the default falls back to the built-in template.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Deleted
+ */
+router.get('/report-card-templates/:templateId', authenticateToken, authorize('exams', 'read'), validateTemplateId, validate, asyncHandler(reportCardController.getTemplate));
+router.put('/report-card-templates/:templateId', authenticateToken, authorize('exams', 'update'), validateTemplateUpdate, validate, asyncHandler(reportCardController.updateTemplate));
+router.delete('/report-card-templates/:templateId', authenticateToken, authorize('exams', 'delete'), validateTemplateId, validate, asyncHandler(reportCardController.deleteTemplate));
+
+/**
+ * @openapi
+ * /api/exams/report-cards/students/{studentId}:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: Report card of one student for an academic session (PDF)
+ *     description: >
+ *       Every exam of the session with papers for the student's class, co-scholastic grades,
+ *       attendance and remarks, printed on the school's letterhead with its logo. Parents get
+ *       their own children's cards only, students their own. format=json returns the data.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: studentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: academicSession
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: 2026-27
+ *       - in: query
+ *         name: templateId
+ *         schema:
+ *           type: string
+ *         description: Defaults to the tenant's default template
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start of the attendance count
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End of the attendance count; defaults to the end of the session's last exam
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, json]
+ *     responses:
+ *       200:
+ *         description: PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Not a teacher of the student's class
+ *       404:
+ *         description: Student not found (or not linked to the parent)
+ */
+router.get('/report-cards/students/:studentId', authenticateToken, authorize('exams', 'read'), validateStudentCard, validate, asyncHandler(reportCardController.getStudentCard));
+
+/**
+ * @openapi
+ * /api/exams/report-cards/classes/{classId}:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: Report cards of a class's active students as one PDF
+ *     description: One card per student, in roll number order. Open to the class's teachers and tenant-wide exams access.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: academicSession
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: templateId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, json]
+ *     responses:
+ *       200:
+ *         description: PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Not a teacher of the class
+ */
+router.get('/report-cards/classes/:classId', authenticateToken, authorize('exams', 'read'), validateClassCards, validate, asyncHandler(reportCardController.getClassCards));
+
+/**
+ * @openapi
+ * /api/exams/{id}/remarks:
+ *   get:
+ *     tags:
+ *       - Exams
+ *     summary: The class teacher's report card remarks on a class for an exam
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       403:
+ *         description: Not the class teacher
+ *   put:
+ *     tags:
+ *       - Exams
+ *     summary: Write report card remarks for students of a class
+ *     description: >
+ *       Written by the class teacher or with tenant-wide exams:update. Empty remarks clear a
+ *       student's remarks; students left out keep theirs.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - classId
+ *               - entries
+ *             properties:
+ *               classId:
+ *                 type: string
+ *               entries:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     studentId:
+ *                       type: string
+ *                     remarks:
+ *                       type: string
+ *                       example: Participates well in class; needs to practise handwriting.
+ *     responses:
+ *       200:
+ *         description: Saved
+ *       400:
+ *         description: A student outside the class
+ *       403:
+ *         description: Not the class teacher
+ */
+router.get('/:id/remarks', authenticateToken, authorize('exams', 'read'), validateRemarksQuery, validate, asyncHandler(reportCardController.getRemarks));
+router.put('/:id/remarks', authenticateToken, authorize('exams', 'read'), validateRemarks, validate, asyncHandler(reportCardController.saveRemarks));
+
+module.exports = router;
@@ -0,0 +1,303 @@
+const express = require('express');
+const { body, param } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const paymentController = require('../controllers/paymentController');
+const schoolProfileController = require('../controllers/schoolProfileController');
+const attendanceController = require('../controllers/attendanceController');
+const { upload } = require('../config/s3');
+const { MAX_EDIT_WINDOW_DAYS, ATTENDANCE_MODES, DAILY_STATUS_RULES, ALERT_CHANNELS } = require('../services/attendanceService');
+
+const router = express.Router();
+
+const validateGatewayConfig = [
+    param('provider').trim().notEmpty().withMessage('provider is required'),
+    body('keyId').optional({ nullable: true }).isString().isLength({ max: 100 }).withMessage('keyId must be at most 100 characters'),
+    body('keySecret').optional({ nullable: true }).isString().withMessage('keySecret must be a string'),
+    body('webhookSecret').optional({ nullable: true }).isString().withMessage('webhookSecret must be a string'),
+    body('mode').optional().isIn(['test', 'live']).withMessage('mode must be test or live'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean()
+];
+
+const optionalText = (field, max) => body(field).optional({ nullable: true }).isString().withMessage(`${field} must be a string`)
+    .bail().trim().isLength({ max }).withMessage(`${field} must be at most ${max} characters`);
+
+const validateSchoolProfile = [
+    optionalText('displayName', 255),
+    optionalText('tagline', 255),
+    optionalText('addressLine1', 255),
+    optionalText('addressLine2', 255),
+    optionalText('city', 100),
+    optionalText('state', 100),
+    optionalText('postalCode', 20),
+    optionalText('country', 100),
+    optionalText('phone', 50),
+    body('email').optional({ nullable: true, checkFalsy: true }).isEmail().withMessage('email must be a valid email'),
+    optionalText('website', 255),
+    optionalText('taxLabel', 30),
+    optionalText('taxRegistrationNo', 50),
+    optionalText('invoiceTerms', 2000)
+];
+
+const validateAttendanceSettings = [
+    body('editWindowDays').optional().isInt({ min: 0, max: MAX_EDIT_WINDOW_DAYS })
+        .withMessage(`editWindowDays must be a whole number between 0 and ${MAX_EDIT_WINDOW_DAYS}`).toInt(),
+    body('mode').optional().isIn(ATTENDANCE_MODES).withMessage(`mode must be one of: ${ATTENDANCE_MODES.join(', ')}`),
+    body('dailyStatusRule').optional().isIn(DAILY_STATUS_RULES).withMessage(`dailyStatusRule must be one of: ${DAILY_STATUS_RULES.join(', ')}`),
+    body('absentThresholdPercent').optional().isInt({ min: 0, max: 100 })
+        .withMessage('absentThresholdPercent must be a whole number between 0 and 100').toInt(),
+    body('timezone').optional().isString().withMessage('timezone must be an IANA time zone such as Asia/Kolkata'),
+    body('weeklyOffDays').optional().isArray({ max: 7 }).withMessage('weeklyOffDays must be an array of weekdays'),
+    body('weeklyOffDays.*').isInt({ min: 1, max: 7 }).withMessage('weeklyOffDays must hold weekdays from 1 (Monday) to 7 (Sunday)').toInt(),
+    body(['minAttendancePercent', 'attendanceWarningMargin', 'chronicAbsencePercent']).optional().isInt({ min: 0, max: 100 })
+        .withMessage('Attendance thresholds must be whole numbers between 0 and 100').toInt(),
+    body('absenceAlerts').optional().isBoolean().withMessage('absenceAlerts must be a boolean').toBoolean(),
+    body('alertChannels').optional().isArray({ max: ALERT_CHANNELS.length }).withMessage('alertChannels must be an array of channels'),
+    body('alertChannels.*').isIn(ALERT_CHANNELS).withMessage(`alertChannels must hold: ${ALERT_CHANNELS.join(', ')}`),
+    body('quietHoursStart').optional({ nullable: true, checkFalsy: true }).matches(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/)
+        .withMessage('quietHoursStart must be a time of day as HH:MM'),
+    body('quietHoursEnd').optional({ nullable: true, checkFalsy: true }).matches(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/)
+        .withMessage('quietHoursEnd must be a time of day as HH:MM')
+];
+
+/**
+ * @openapi
+ * /api/settings/payment-gateways:
+ *   get:
+ *     tags:
+ *       - Settings
+ *     summary: List the tenant's payment gateway configurations
+ *     description: Secrets are never returned; keySecretSet / webhookSecretSet tell whether they are stored.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get('/payment-gateways', authenticateToken, authorize('school_config', 'read'), asyncHandler(paymentController.listGateways));
+
+/**
+ * @openapi
+ * /api/settings/payment-gateways/{provider}:
+ *   put:
+ *     tags:
+ *       - Settings
+ *     summary: Create or update credentials for a payment provider
+ *     description: Omitted secrets keep their stored value. Secrets are encrypted at rest.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [razorpay, mock]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               keyId:
+ *                 type: string
+ *               keySecret:
+ *                 type: string
+ *               webhookSecret:
+ *                 type: string
+ *               mode:
+ *                 type: string
+ *                 enum: [test, live]
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Saved
+ *       400:
+ *         description: Unsupported provider
+ */
+router.put('/payment-gateways/:provider', authenticateToken, authorize('school_config', 'update'), validateGatewayConfig, validate, asyncHandler(paymentController.upsertGateway));
+
+/**
+ * @openapi
+ * /api/settings/school-profile:
+ *   get:
+ *     tags:
+ *       - Settings
+ *     summary: Get the school profile printed on invoices and credit notes
+ *     description: displayName falls back to the tenant name until a profile is saved.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ *   put:
+ *     tags:
+ *       - Settings
+ *     summary: Update the school profile
+ *     description: Omitted fields keep their value; an empty string clears a field.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               displayName:
+ *                 type: string
+ *               tagline:
+ *                 type: string
+ *               addressLine1:
+ *                 type: string
+ *               addressLine2:
+ *                 type: string
+ *               city:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               postalCode:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               website:
+ *                 type: string
+ *               taxLabel:
+ *                 type: string
+ *                 description: Label of the registration number, e.g. GSTIN
+ *               taxRegistrationNo:
+ *                 type: string
+ *               invoiceTerms:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Saved
+ */
+router.get('/school-profile', authenticateToken, authorize('school_config', 'read'), asyncHandler(schoolProfileController.getProfile));
+router.put('/school-profile', authenticateToken, authorize('school_config', 'update'), validateSchoolProfile, validate, asyncHandler(schoolProfileController.updateProfile));
+
+/**
+ * @openapi
+ * /api/settings/school-profile/logo:
+ *   put:
+ *     tags:
+ *       - Settings
+ *     summary: Upload the school logo printed on report cards
+ *     description: Replaces the previous logo. The profile's logoUrl serves it through the image proxy.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               logo:
+ *                 type: string
+ *                 format: binary
+ *                 description: PNG or JPEG, up to 4 MB
+ *     responses:
+ *       200:
+ *         description: Saved
+ *       400:
+ *         description: Missing file or not a PNG / JPEG image
+ *   delete:
+ *     tags:
+ *       - Settings
+ *     summary: Remove the school logo
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Removed
+ */
+router.put('/school-profile/logo', authenticateToken, authorize('school_config', 'update'), upload.single('logo'), asyncHandler(schoolProfileController.uploadLogo));
+router.delete('/school-profile/logo', authenticateToken, authorize('school_config', 'update'), asyncHandler(schoolProfileController.removeLogo));
+
+/**
+ * @openapi
+ * /api/settings/attendance:
+ *   get:
+ *     tags:
+ *       - Settings
+ *     summary: Get the attendance rules of the tenant
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ *   put:
+ *     tags:
+ *       - Settings
+ *     summary: Update the attendance rules
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               editWindowDays:
+ *                 type: integer
+ *                 description: Days after a date during which its attendance can still be marked or edited (0 = same day only, default 2)
+ *               mode:
+ *                 type: string
+ *                 enum: [daily, period]
+ *                 description: Default attendance mode of the tenant's classes (a class can override it with attendanceMode)
+ *               dailyStatusRule:
+ *                 type: string
+ *                 enum: [missed_share, first_period]
+ *                 description: How period-mode classes get their daily status
+ *               absentThresholdPercent:
+ *                 type: integer
+ *                 description: With missed_share, absent for the day when more than this share of the periods was missed (default 50)
+ *               timezone:
+ *                 type: string
+ *                 example: Asia/Kolkata
+ *                 description: Time zone of staff shift timings (default UTC)
+ *               weeklyOffDays:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Weekdays (1 = Monday ... 7 = Sunday) not counted as staff absences (default [7])
+ *               minAttendancePercent:
+ *                 type: integer
+ *                 description: Board minimum attendance; attendance analytics flags students below it (default 75)
+ *               attendanceWarningMargin:
+ *                 type: integer
+ *                 description: Students less than this many points above the minimum are at risk (default 5)
+ *               chronicAbsencePercent:
+ *                 type: integer
+ *                 description: Share of marked days missed (absent or excused) that makes a chronic absentee (default 10)
+ *               absenceAlerts:
+ *                 type: boolean
+ *                 description: Notify linked parents the same day when a student is marked absent or late (default true)
+ *               alertChannels:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [sms, email]
+ *                 description: Channels absence alerts are sent on (default both)
+ *               quietHoursStart:
+ *                 type: string
+ *                 example: "21:00"
+ *                 description: Local time from which alerts are held back (null for none)
+ *               quietHoursEnd:
+ *                 type: string
+ *                 example: "07:00"
+ *                 description: Local time held-back alerts go out; before quietHoursStart means the next morning
+ *     responses:
+ *       200:
+ *         description: Saved
+ */
+router.get('/attendance', authenticateToken, authorize('school_config', 'read'), asyncHandler(attendanceController.getSettings));
+router.put('/attendance', authenticateToken, authorize('school_config', 'update'), validateAttendanceSettings, validate, asyncHandler(attendanceController.updateSettings));
+
+module.exports = router;
@@ -0,0 +1,430 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const staffAttendanceController = require('../controllers/staffAttendanceController');
+const { EMPLOYEE_TYPES, SHIFT_NAMES, STAFF_ATTENDANCE_STATUSES } = require('../services/staffAttendanceService');
+
+const router = express.Router();
+
+const statusMessage = `status must be one of: ${STAFF_ATTENDANCE_STATUSES.join(', ')}`;
+const employeeTypeMessage = `employeeType must be one of: ${EMPLOYEE_TYPES.join(', ')}`;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const validateMonth = query('month').optional().matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('month must be YYYY-MM');
+
+const validateListRecords = [
+    query('employeeType').optional().isIn(EMPLOYEE_TYPES).withMessage(employeeTypeMessage),
+    query('employeeId').optional().isUUID().withMessage('employeeId must be a valid UUID'),
+    query('status').optional().isIn(STAFF_ATTENDANCE_STATUSES).withMessage(statusMessage),
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date')
+];
+
+const validateSheet = [
+    validateMonth,
+    query('employeeType').optional().isIn(EMPLOYEE_TYPES).withMessage(employeeTypeMessage)
+];
+
+const validateExport = [
+    ...validateSheet,
+    query('format').optional().isIn(['csv', 'pdf']).withMessage('format must be csv or pdf')
+];
+
+const recordTimeValidators = [
+    body('checkInAt').optional({ nullable: true }).isISO8601().withMessage('checkInAt must be a date-time'),
+    body('checkOutAt').optional({ nullable: true }).isISO8601().withMessage('checkOutAt must be a date-time'),
+    body('remarks').optional({ nullable: true }).isLength({ max: 500 }).withMessage('remarks must be at most 500 characters')
+];
+
+const validateRecord = [
+    body('employeeType').isIn(EMPLOYEE_TYPES).withMessage(employeeTypeMessage),
+    body('employeeId').isUUID().withMessage('employeeId must be a valid UUID'),
+    body('date').isISO8601().withMessage('date must be a valid date'),
+    body('status').optional().isIn(STAFF_ATTENDANCE_STATUSES).withMessage(statusMessage),
+    ...recordTimeValidators
+];
+
+const validateRecordId = param('id').isUUID().withMessage('id must be a valid UUID');
+
+const validateRecordUpdate = [
+    validateRecordId,
+    body('status').optional().isIn(STAFF_ATTENDANCE_STATUSES).withMessage(statusMessage),
+    ...recordTimeValidators
+];
+
+const validateShiftUpdate = [
+    param('name').isIn(SHIFT_NAMES).withMessage(`shift must be one of: ${SHIFT_NAMES.join(', ')}`),
+    body('startTime').optional().matches(TIME_PATTERN).withMessage('startTime must be a time (HH:MM)'),
+    body('endTime').optional().matches(TIME_PATTERN).withMessage('endTime must be a time (HH:MM)'),
+    body('lateGraceMinutes').optional().isInt({ min: 0, max: 240 }).withMessage('lateGraceMinutes must be between 0 and 240').toInt(),
+    body('earlyLeaveGraceMinutes').optional().isInt({ min: 0, max: 240 }).withMessage('earlyLeaveGraceMinutes must be between 0 and 240').toInt(),
+    body('halfDayMinutes').optional().isInt({ min: 0, max: 1440 }).withMessage('halfDayMinutes must be between 0 and 1440').toInt()
+];
+
+/**
+ * @openapi
+ * /api/staff-attendance/check-in:
+ *   post:
+ *     tags:
+ *       - Staff Attendance
+ *     summary: Check in for the caller's current shift
+ *     description: For staff and teachers with a linked profile and a workShift. Check-in opens two hours before the shift starts and closes when it ends; arriving after the shift's late grace period is flagged with lateMinutes.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Checked in
+ *       400:
+ *         description: No work shift assigned
+ *       404:
+ *         description: No staff or teacher profile linked to the account
+ *       409:
+ *         description: Outside the shift's check-in window, or already checked in
+ */
+router.post('/check-in', authenticateToken, asyncHandler(staffAttendanceController.checkIn));
+
+/**
+ * @openapi
+ * /api/staff-attendance/check-out:
+ *   post:
+ *     tags:
+ *       - Staff Attendance
+ *     summary: Check out of the caller's open shift
+ *     description: Leaving before the shift's early-leave grace period is flagged with earlyLeaveMinutes; working less than the shift's halfDayMinutes makes the day a half day.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Checked out
+ *       404:
+ *         description: No staff or teacher profile linked to the account
+ *       409:
+ *         description: Not checked in
+ */
+router.post('/check-out', authenticateToken, asyncHandler(staffAttendanceController.checkOut));
+
+/**
+ * @openapi
+ * /api/staff-attendance/me:
+ *   get:
+ *     tags:
+ *       - Staff Attendance
+ *     summary: The caller's own attendance for a month
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         description: YYYY-MM, defaults to the current month
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get('/me', authenticateToken, validateMonth, validate, asyncHandler(staffAttendanceController.getMySheet));
+
+/**
+ * @openapi
+ * /api/staff-attendance/sheet:
+ *   get:
+ *     tags:
+ *       - Staff Attendance
+ *     summary: Monthly attendance sheet of all staff and teachers
+ *     description: One row per employee with the status of every day and totals, including loss-of-pay days (absences plus half of half days). Past working days without a record count as absent; weekly off days come from the attendance settings.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         description: YYYY-MM, defaults to the current month
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: employeeType
+ *         schema:
+ *           type: string
+ *           enum: [staff, teacher]
+ *     responses:
+ *       200:
+ *         description: OK
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/sheet', authenticateToken, authorize('attendance_staff', 'read'), validateSheet, validate, asyncHandler(staffAttendanceController.getSheet));
+
+/**
+ * @openapi
+ * /api/staff-attendance/sheet/export:
+ *   get:
+ *     tags:
+ *       - Staff Attendance
+ *     summary: Export the monthly attendance sheet as CSV or PDF
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: employeeType
+ *         schema:
+ *           type: string
+ *           enum: [staff, teacher]
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, pdf]
+ *     responses:
+ *       200:
+ *         description: File download
+ *       403:
+ *         description: Forbidden
+ */
+router.get('/sheet/export', authenticateToken, authorize('attendance_staff', 'read'), validateExport, validate, asyncHandler(staffAttendanceController.exportSheet));
+
+/**
+ * @openapi
+ * /api/staff-attendance/shifts:
+ *   get:
+ *     tags:
+ *       - Staff Attendance
+ *     summary: List shift timings
+ *     description: Morning, Afternoon and Night, with defaults for shifts the school has not configured (configured false).
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get('/shifts', authenticateToken, authorize('attendance_staff', 'read'), asyncHandler(staffAttendanceController.listShifts));
+
+/**
+ * @openapi
+ * /api/staff-attendance/shifts/{name}:
+ *   put:
+ *     tags:
+ *       - Staff Attendance
+ *     summary: Set the timings of a shift
+ *     description: Times are wall-clock times in the attendance settings' timezone. A shift ending before it starts runs overnight.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [Morning, Afternoon, Night]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startTime:
+ *                 type: string
+ *                 example: '08:00'
+ *               endTime:
+ *                 type: string
+ *                 example: '14:00'
+ *               lateGraceMinutes:
+ *                 type: integer
+ *               earlyLeaveGraceMinutes:
+ *                 type: integer
+ *               halfDayMinutes:
+ *                 type: integer
+ *                 description: Worked time below this makes the day a half day
+ *     responses:
+ *       200:
+ *         description: Saved
+ *       400:
+ *         description: Bad Request
+ *       403:
+ *         description: Forbidden
+ */
+router.put('/shifts/:name', authenticateToken, authorize('attendance_staff', 'update'), validateShiftUpdate, validate, asyncHandler(staffAttendanceController.updateShift));
+
+/**
+ * @openapi
+ * /api/staff-attendance:
+ *   get:
+ *     tags:
+ *       - Staff Attendance
+ *     summary: List staff attendance records
+ *     description: Callers with owned scope only see their own days.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: employeeType
+ *         schema:
+ *           type: string
+ *           enum: [staff, teacher]
+ *       - in: query
+ *         name: employeeId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [present, half_day, absent, on_leave, holiday]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: OK
+ *       403:
+ *         description: Forbidden
+ *   post:
+ *     tags:
+ *       - Staff Attendance
+ *     summary: Record or correct an employee's day (HR)
+ *     description: Replaces the day if it exists. Days with times are evaluated against the employee's shift; an explicit present or half_day status wins over the worked time.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [employeeType, employeeId, date]
+ *             properties:
+ *               employeeType:
+ *                 type: string
+ *                 enum: [staff, teacher]
+ *               employeeId:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: The date the shift starts on
+ *               status:
+ *                 type: string
+ *                 enum: [present, half_day, absent, on_leave, holiday]
+ *               checkInAt:
+ *                 type: string
+ *                 format: date-time
+ *               checkOutAt:
+ *                 type: string
+ *                 format: date-time
+ *               remarks:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: Bad Request
+ *       403:
+ *         description: Forbidden
+ *       404:
+ *         description: Employee not found
+ */
+router.get('/', authenticateToken, authorize('attendance_staff', 'read'), validateListRecords, validate, asyncHandler(staffAttendanceController.listRecords));
+router.post('/', authenticateToken, authorize('attendance_staff', 'create'), validateRecord, validate, asyncHandler(staffAttendanceController.recordAttendance));
+
+/**
+ * @openapi
+ * /api/staff-attendance/{id}:
+ *   get:
+ *     tags:
+ *       - Staff Attendance
+ *     summary: Get a staff attendance record
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not Found
+ *   put:
+ *     tags:
+ *       - Staff Attendance
+ *     summary: Correct a staff attendance record (HR)
+ *     description: Moving a day to absent, on_leave or holiday clears its times.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [present, half_day, absent, on_leave, holiday]
+ *               checkInAt:
+ *                 type: string
+ *                 format: date-time
+ *               checkOutAt:
+ *                 type: string
+ *                 format: date-time
+ *               remarks:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       400:
+ *         description: Bad Request
+ *       404:
+ *         description: Not Found
+ *   delete:
+ *     tags:
+ *       - Staff Attendance
+ *     summary: Delete a staff attendance record (HR)
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       404:
+ *         description: Not Found
+ */
+router.get('/:id', authenticateToken, authorize('attendance_staff', 'read'), validateRecordId, validate, asyncHandler(staffAttendanceController.getRecord));
+router.put('/:id', authenticateToken, authorize('attendance_staff', 'update'), validateRecordUpdate, validate, asyncHandler(staffAttendanceController.updateRecord));
+router.delete('/:id', authenticateToken, authorize('attendance_staff', 'delete'), validateRecordId, validate, asyncHandler(staffAttendanceController.deleteRecord));
+
+module.exports = router;
@@ -0,0 +1,516 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const staffLeaveController = require('../controllers/staffLeaveController');
+const { LEAVE_STATUSES, ACCRUAL_TYPES, LEAVE_APPLIES_TO, PROFILE_FIELDS, MAX_APPROVAL_STEPS } = require('../services/staffLeaveService');
+const { EMPLOYEE_TYPES } = require('../services/staffAttendanceService');
+
+const router = express.Router();
+
+const employeeTypeMessage = `employeeType must be one of: ${EMPLOYEE_TYPES.join(', ')}`;
+
+const validateYear = query('year').optional().isInt({ min: 2000, max: 2100 }).withMessage('year must be a valid year');
+
+const validateListLeaves = [
+    query('employeeType').optional().isIn(EMPLOYEE_TYPES).withMessage(employeeTypeMessage),
+    query('employeeId').optional().isUUID().withMessage('employeeId must be a valid UUID'),
+    query('leaveTypeId').optional().isUUID().withMessage('leaveTypeId must be a valid UUID'),
+    query('status').optional().isIn(LEAVE_STATUSES).withMessage(`status must be one of: ${LEAVE_STATUSES.join(', ')}`),
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date')
+];
+
+const validateApplication = [
+    body('leaveTypeId').isUUID().withMessage('leaveTypeId must be a valid UUID'),
+    body('fromDate').isISO8601().withMessage('fromDate must be a valid date'),
+    body('toDate').isISO8601().withMessage('toDate must be a valid date'),
+    body('reason').trim().notEmpty().withMessage('reason is required')
+        .isLength({ max: 2000 }).withMessage('reason must be at most 2000 characters')
+];
+
+const validateBalances = [
+    query('employeeType').isIn(EMPLOYEE_TYPES).withMessage(employeeTypeMessage),
+    query('employeeId').isUUID().withMessage('employeeId must be a valid UUID'),
+    validateYear
+];
+
+const leaveTypeRules = [
+    body('name').optional().trim().notEmpty().withMessage('name cannot be empty')
+        .isLength({ max: 100 }).withMessage('name must be at most 100 characters'),
+    body('appliesTo').optional().isIn(LEAVE_APPLIES_TO).withMessage(`appliesTo must be one of: ${LEAVE_APPLIES_TO.join(', ')}`),
+    body('annualQuota').optional().isFloat({ min: 0, max: 365 }).withMessage('annualQuota must be between 0 and 365'),
+    body('accrual').optional().isIn(ACCRUAL_TYPES).withMessage(`accrual must be one of: ${ACCRUAL_TYPES.join(', ')}`),
+    body('carryForwardLimit').optional().isFloat({ min: 0, max: 365 }).withMessage('carryForwardLimit must be between 0 and 365'),
+    body('isPaid').optional().isBoolean().withMessage('isPaid must be a boolean').toBoolean(),
+    body('profileField').optional({ nullable: true }).isIn(PROFILE_FIELDS).withMessage(`profileField must be one of: ${PROFILE_FIELDS.join(', ')}`),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean()
+];
+
+const validateLeaveTypeCreate = [
+    body('code').trim().matches(/^[A-Za-z0-9_]{1,20}$/).withMessage('code must be 1-20 letters, digits or underscores'),
+    body('name').trim().notEmpty().withMessage('name is required'),
+    ...leaveTypeRules
+];
+
+const validateLeaveTypeUpdate = [
+    param('id').isUUID().withMessage('id must be a valid UUID'),
+    ...leaveTypeRules
+];
+
+const validateApprovalChain = [
+    param('employeeType').isIn(EMPLOYEE_TYPES).withMessage(employeeTypeMessage),
+    body('roleCodes').isArray({ min: 1, max: MAX_APPROVAL_STEPS }).withMessage(`roleCodes must list 1 to ${MAX_APPROVAL_STEPS} role codes`),
+    body('roleCodes.*').isString().trim().notEmpty().withMessage('roleCodes must be role codes')
+];
+
+const validateLeaveId = param('id').isUUID().withMessage('id must be a valid UUID');
+
+const validateReview = [
+    validateLeaveId,
+    body('remarks').optional({ nullable: true }).isLength({ max: 1000 }).withMessage('remarks must be at most 1000 characters')
+];
+
+/**
+ * @openapi
+ * /api/staff-leaves/types:
+ *   get:
+ *     tags:
+ *       - Staff Leave
+ *     summary: List leave types
+ *     description: Tenants without leave types get the defaults (CL, SL, ML, MAT, LWP) the first time they are listed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: employeeType
+ *         description: Only types that apply to staff or to teachers
+ *         schema:
+ *           type: string
+ *           enum: [staff, teacher]
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: OK
+ *   post:
+ *     tags:
+ *       - Staff Leave
+ *     summary: Create a leave type
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, name]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: EL
+ *               name:
+ *                 type: string
+ *                 example: Earned Leave
+ *               appliesTo:
+ *                 type: string
+ *                 enum: [all, staff, teacher]
+ *               annualQuota:
+ *                 type: number
+ *                 description: Days per calendar year, in half days
+ *               accrual:
+ *                 type: string
+ *                 enum: [yearly, monthly]
+ *                 description: yearly credits the quota on 1 January, monthly a twelfth each month
+ *               carryForwardLimit:
+ *                 type: number
+ *                 description: Unused days that move into the next year
+ *               isPaid:
+ *                 type: boolean
+ *                 description: Unpaid types have no balance and count as loss of pay
+ *               profileField:
+ *                 type: string
+ *                 enum: [casualLeaves, sickLeaves, medicalLeaves, maternityLeaves]
+ *                 description: Staff / Teacher column that overrides annualQuota per employee when set above zero
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Created
+ *       409:
+ *         description: Code already used
+ */
+router.get('/types', authenticateToken, query('employeeType').optional().isIn(EMPLOYEE_TYPES).withMessage(employeeTypeMessage), validate, asyncHandler(staffLeaveController.listLeaveTypes));
+router.post('/types', authenticateToken, authorize('attendance_staff', 'create'), validateLeaveTypeCreate, validate, asyncHandler(staffLeaveController.createLeaveType));
+
+/**
+ * @openapi
+ * /api/staff-leaves/types/{id}:
+ *   put:
+ *     tags:
+ *       - Staff Leave
+ *     summary: Update a leave type
+ *     description: The code cannot change. Balances already opened keep their entitlement; a new quota applies to balances opened afterwards (normally from the next year).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       404:
+ *         description: Not Found
+ */
+router.put('/types/:id', authenticateToken, authorize('attendance_staff', 'update'), validateLeaveTypeUpdate, validate, asyncHandler(staffLeaveController.updateLeaveType));
+
+/**
+ * @openapi
+ * /api/staff-leaves/approval-chains:
+ *   get:
+ *     tags:
+ *       - Staff Leave
+ *     summary: Approval chains for staff and teacher leave
+ *     description: Without a configured chain, staff leave goes to HR_MANAGER and teacher leave to PRINCIPAL.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get('/approval-chains', authenticateToken, authorize('attendance_staff', 'read'), asyncHandler(staffLeaveController.listApprovalChains));
+
+/**
+ * @openapi
+ * /api/staff-leaves/approval-chains/{employeeType}:
+ *   put:
+ *     tags:
+ *       - Staff Leave
+ *     summary: Set the approval chain for staff or teacher leave
+ *     description: Role codes in approval order. Any user holding the role of a step may act on it; the roles need read access to attendance_staff. Pending leave keeps the chain it was applied under.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: employeeType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [staff, teacher]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [roleCodes]
+ *             properties:
+ *               roleCodes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: [HOD, PRINCIPAL]
+ *     responses:
+ *       200:
+ *         description: Saved
+ *       400:
+ *         description: Unknown or repeated role codes
+ */
+router.put('/approval-chains/:employeeType', authenticateToken, authorize('attendance_staff', 'update'), validateApprovalChain, validate, asyncHandler(staffLeaveController.setApprovalChain));
+
+/**
+ * @openapi
+ * /api/staff-leaves/balances:
+ *   get:
+ *     tags:
+ *       - Staff Leave
+ *     summary: Leave balances of an employee
+ *     description: One row per paid leave type with the entitlement, days carried forward, days accrued so far, used, pending and available days.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: employeeType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [staff, teacher]
+ *       - in: query
+ *         name: employeeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: year
+ *         description: Leave year, defaults to the current one
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Employee not found
+ */
+router.get('/balances', authenticateToken, authorize('attendance_staff', 'read'), validateBalances, validate, asyncHandler(staffLeaveController.getBalances));
+
+/**
+ * @openapi
+ * /api/staff-leaves/me:
+ *   get:
+ *     tags:
+ *       - Staff Leave
+ *     summary: The caller's own leave applications and balances
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: No staff or teacher profile linked to the account
+ */
+router.get('/me', authenticateToken, validateYear, validate, asyncHandler(staffLeaveController.getMyLeave));
+
+/**
+ * @openapi
+ * /api/staff-leaves/approvals:
+ *   get:
+ *     tags:
+ *       - Staff Leave
+ *     summary: Pending leave waiting for the caller's approval
+ *     description: Leave whose current approval step is one of the caller's roles (all pending leave for admins), except the caller's own.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: OK
+ */
+router.get('/approvals', authenticateToken, authorize('attendance_staff', 'read'), asyncHandler(staffLeaveController.listPendingApprovals));
+
+/**
+ * @openapi
+ * /api/staff-leaves:
+ *   get:
+ *     tags:
+ *       - Staff Leave
+ *     summary: List leave applications
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: employeeType
+ *         schema:
+ *           type: string
+ *           enum: [staff, teacher]
+ *       - in: query
+ *         name: employeeId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: leaveTypeId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *       - in: query
+ *         name: from
+ *         description: Leave ending on or after this date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         description: Leave starting on or before this date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: OK
+ *   post:
+ *     tags:
+ *       - Staff Leave
+ *     summary: Apply for leave
+ *     description: For staff and teachers with a linked profile. days is the working days of the leave (weekly offs excluded); for paid types it must fit in the balance accrued by the last day of the leave, less pending applications. A leave stays within one calendar year.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [leaveTypeId, fromDate, toDate, reason]
+ *             properties:
+ *               leaveTypeId:
+ *                 type: string
+ *               fromDate:
+ *                 type: string
+ *                 format: date
+ *               toDate:
+ *                 type: string
+ *                 format: date
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Applied
+ *       400:
+ *         description: Bad dates or insufficient balance
+ *       404:
+ *         description: No linked profile, or unknown leave type
+ *       409:
+ *         description: Overlaps another leave
+ */
+router.get('/', authenticateToken, authorize('attendance_staff', 'read'), validateListLeaves, validate, asyncHandler(staffLeaveController.listLeaves));
+router.post('/', authenticateToken, validateApplication, validate, asyncHandler(staffLeaveController.applyForLeave));
+
+/**
+ * @openapi
+ * /api/staff-leaves/{id}:
+ *   get:
+ *     tags:
+ *       - Staff Leave
+ *     summary: Get a leave application
+ *     description: Employees see their own leave; approvers the leave waiting for them.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not Found
+ */
+router.get('/:id', authenticateToken, validateLeaveId, validate, asyncHandler(staffLeaveController.getLeave));
+
+/**
+ * @openapi
+ * /api/staff-leaves/{id}/approve:
+ *   post:
+ *     tags:
+ *       - Staff Leave
+ *     summary: Approve the current step of a pending leave
+ *     description: Only a holder of the step's role (or an admin), never the employee themselves. Approving the last step approves the leave and debits the balance.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               remarks:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Forwarded to the next step, or approved
+ *       400:
+ *         description: Insufficient balance
+ *       403:
+ *         description: Not the caller's step
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: Not pending
+ */
+router.post('/:id/approve', authenticateToken, authorize('attendance_staff', 'read'), validateReview, validate, asyncHandler(staffLeaveController.approveLeave));
+
+/**
+ * @openapi
+ * /api/staff-leaves/{id}/reject:
+ *   post:
+ *     tags:
+ *       - Staff Leave
+ *     summary: Reject a pending leave at the current step
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               remarks:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rejected
+ *       403:
+ *         description: Not the caller's step
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: Not pending
+ */
+router.post('/:id/reject', authenticateToken, authorize('attendance_staff', 'read'), validateReview, validate, asyncHandler(staffLeaveController.rejectLeave));
+
+/**
+ * @openapi
+ * /api/staff-leaves/{id}/cancel:
+ *   post:
+ *     tags:
+ *       - Staff Leave
+ *     summary: Cancel a leave
+ *     description: The employee may cancel pending leave, or approved leave that has not started; admins any pending or approved leave. Cancelling approved leave restores the balance.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cancelled
+ *       403:
+ *         description: Not the employee
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: Already decided, or started
+ */
+router.post('/:id/cancel', authenticateToken, validateLeaveId, validate, asyncHandler(staffLeaveController.cancelLeave));
+
+module.exports = router;
@@ -0,0 +1,264 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const { upload } = require('../config/s3');
+const asyncHandler = require('../utils/asyncHandler');
+const studentLeaveController = require('../controllers/studentLeaveController');
+const { LEAVE_STATUSES } = require('../services/studentLeaveService');
+
+const router = express.Router();
+
+const validateListLeaves = [
+    query('studentId').optional().isUUID().withMessage('studentId must be a valid UUID'),
+    query('classId').optional().isUUID().withMessage('classId must be a valid UUID'),
+    query('status').optional().isIn(LEAVE_STATUSES).withMessage(`status must be one of: ${LEAVE_STATUSES.join(', ')}`),
+    query('from').optional().isISO8601().withMessage('from must be a valid date'),
+    query('to').optional().isISO8601().withMessage('to must be a valid date')
+];
+
+const validateApplication = [
+    body('studentId').isUUID().withMessage('studentId must be a valid UUID'),
+    body('fromDate').isISO8601().withMessage('fromDate must be a valid date'),
+    body('toDate').isISO8601().withMessage('toDate must be a valid date'),
+    body('reason').trim().notEmpty().withMessage('reason is required')
+        .isLength({ max: 2000 }).withMessage('reason must be at most 2000 characters')
+];
+
+const validateLeaveId = param('id').isUUID().withMessage('id must be a valid UUID');
+
+const validateReview = [
+    validateLeaveId,
+    body('remarks').optional({ nullable: true }).isLength({ max: 1000 }).withMessage('remarks must be at most 1000 characters')
+];
+
+/**
+ * @openapi
+ * /api/student-leaves:
+ *   get:
+ *     tags:
+ *       - Student Leave
+ *     summary: List leave applications
+ *     description: Parents see their children's applications, teachers those of the classes they are assigned to or class teacher of.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: studentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: classId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *       - in: query
+ *         name: from
+ *         description: Leave ending on or after this date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         description: Leave starting on or before this date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: OK
+ *       403:
+ *         description: Forbidden
+ *   post:
+ *     tags:
+ *       - Student Leave
+ *     summary: Apply for leave for a student
+ *     description: Parents apply for students they are linked to; admins may file on a family's behalf. The leave cannot overlap another pending or approved leave of the student.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [studentId, fromDate, toDate, reason]
+ *             properties:
+ *               studentId:
+ *                 type: string
+ *               fromDate:
+ *                 type: string
+ *                 format: date
+ *               toDate:
+ *                 type: string
+ *                 format: date
+ *               reason:
+ *                 type: string
+ *               attachment:
+ *                 type: string
+ *                 format: binary
+ *                 description: Medical certificate or letter (PDF or image, up to 4 MB)
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [studentId, fromDate, toDate, reason]
+ *             properties:
+ *               studentId:
+ *                 type: string
+ *               fromDate:
+ *                 type: string
+ *                 format: date
+ *               toDate:
+ *                 type: string
+ *                 format: date
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Applied
+ *       400:
+ *         description: Bad dates, longer than 60 days, or an inactive student
+ *       403:
+ *         description: Not a parent of the student
+ *       409:
+ *         description: Overlaps another leave
+ */
+router.get('/', authenticateToken, authorize('attendance_students', 'read'), validateListLeaves, validate, asyncHandler(studentLeaveController.listLeaves));
+router.post('/', authenticateToken, authorize('attendance_students', 'read'), upload.single('attachment'), validateApplication, validate, asyncHandler(studentLeaveController.applyForLeave));
+
+/**
+ * @openapi
+ * /api/student-leaves/{id}:
+ *   get:
+ *     tags:
+ *       - Student Leave
+ *     summary: Get a leave application
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not Found
+ */
+router.get('/:id', authenticateToken, authorize('attendance_students', 'read'), validateLeaveId, validate, asyncHandler(studentLeaveController.getLeave));
+
+/**
+ * @openapi
+ * /api/student-leaves/{id}/approve:
+ *   post:
+ *     tags:
+ *       - Student Leave
+ *     summary: Approve a pending leave
+ *     description: Only the class teacher of the student's class (or, when the class has none, a teacher assigned to it) or school management. Marks the student's attendance on the leave days as excused.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               remarks:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Approved
+ *       403:
+ *         description: Not the class teacher
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: Not pending
+ */
+router.post('/:id/approve', authenticateToken, authorize('attendance_students', 'update'), validateReview, validate, asyncHandler(studentLeaveController.approveLeave));
+
+/**
+ * @openapi
+ * /api/student-leaves/{id}/reject:
+ *   post:
+ *     tags:
+ *       - Student Leave
+ *     summary: Reject a pending leave
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               remarks:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Rejected
+ *       403:
+ *         description: Not the class teacher
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: Not pending
+ */
+router.post('/:id/reject', authenticateToken, authorize('attendance_students', 'update'), validateReview, validate, asyncHandler(studentLeaveController.rejectLeave));
+
+/**
+ * @openapi
+ * /api/student-leaves/{id}/cancel:
+ *   post:
+ *     tags:
+ *       - Student Leave
+ *     summary: Withdraw a pending leave
+ *     description: Only the applicant (or an admin).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cancelled
+ *       403:
+ *         description: Not the applicant
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: Not pending
+ */
+router.post('/:id/cancel', authenticateToken, authorize('attendance_students', 'read'), validateLeaveId, validate, asyncHandler(studentLeaveController.cancelLeave));
+
+module.exports = router;
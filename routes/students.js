@@ -35,6 +35,11 @@ const router = express.Router();
  *         schema:
  *           type: string
  *         description: Optional - Filter students by class ID
+ *       - in: query
+ *         name: academicYearId
+ *         schema:
+ *           type: string
+ *         description: Optional - An academic year, or "all" (default the current year)
  *     responses:
  *       200:
  *         description: OK - List of students
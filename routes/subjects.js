@@ -0,0 +1,292 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const subjectController = require('../controllers/subjectController');
+const { TYPES, CATEGORIES, STATUSES } = require('../services/subjectService');
+
+const router = express.Router();
+
+const validateId = [param('id').isUUID().withMessage('id must be a valid UUID')];
+
+const subjectFieldValidators = [
+    body('type').optional().isIn(TYPES).withMessage(`type must be one of: ${TYPES.join(', ')}`),
+    body('category').optional().isIn(CATEGORIES).withMessage(`category must be one of: ${CATEGORIES.join(', ')}`),
+    body('status').optional().isIn(STATUSES).withMessage(`status must be one of: ${STATUSES.join(', ')}`)
+];
+
+const validateSubject = [
+    body('name').trim().notEmpty().withMessage('name is required')
+        .isLength({ max: 100 }).withMessage('name must be at most 100 characters'),
+    body('code').trim().notEmpty().withMessage('code is required')
+        .isLength({ max: 20 }).withMessage('code must be at most 20 characters'),
+    ...subjectFieldValidators
+];
+
+const validateSubjectUpdate = [
+    ...validateId,
+    body('name').optional().trim().notEmpty().withMessage('name cannot be empty')
+        .isLength({ max: 100 }).withMessage('name must be at most 100 characters'),
+    body('code').optional().trim().notEmpty().withMessage('code cannot be empty')
+        .isLength({ max: 20 }).withMessage('code must be at most 20 characters'),
+    ...subjectFieldValidators
+];
+
+const validateListSubjects = [
+    query('type').optional().isIn(TYPES).withMessage(`type must be one of: ${TYPES.join(', ')}`),
+    query('category').optional().isIn(CATEGORIES).withMessage(`category must be one of: ${CATEGORIES.join(', ')}`),
+    query('status').optional().isIn(STATUSES).withMessage(`status must be one of: ${STATUSES.join(', ')}`)
+];
+
+const validateClassId = [param('classId').isUUID().withMessage('classId must be a valid UUID')];
+
+const validateClassSubjects = [
+    ...validateClassId,
+    body('subjects').isArray({ max: 50 }).withMessage('subjects must be an array of at most 50 subjects'),
+    body('subjects.*.subjectId').isUUID().withMessage('Each entry needs a valid subjectId'),
+    body('subjects.*.teacherId').optional({ nullable: true }).isUUID().withMessage('teacherId must be a valid UUID')
+];
+
+/**
+ * @openapi
+ * /api/subjects:
+ *   get:
+ *     tags:
+ *       - Subjects
+ *     summary: List the school's subjects
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [theory, practical]
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *           enum: [core, elective]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive]
+ *     responses:
+ *       200:
+ *         description: OK
+ *   post:
+ *     tags:
+ *       - Subjects
+ *     summary: Create a subject
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - code
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Mathematics
+ *               code:
+ *                 type: string
+ *                 example: MATH
+ *               type:
+ *                 type: string
+ *                 enum: [theory, practical]
+ *               category:
+ *                 type: string
+ *                 enum: [core, elective]
+ *     responses:
+ *       201:
+ *         description: Created
+ *       409:
+ *         description: A subject with this name or code exists
+ */
+router.get('/', authenticateToken, authorize('school_config', 'read'), validateListSubjects, validate, asyncHandler(subjectController.listSubjects));
+router.post('/', authenticateToken, authorize('school_config', 'create'), validateSubject, validate, asyncHandler(subjectController.createSubject));
+
+/**
+ * @openapi
+ * /api/subjects/import-timetable:
+ *   post:
+ *     tags:
+ *       - Subjects
+ *     summary: Create subjects and class subjects from the timetable
+ *     description: >
+ *       Each free-text subject of the active timetable becomes a subject (reusing subjects of the same name),
+ *       each class takes the subjects on its timetable, taught by the teacher with most of their periods, and
+ *       the slots are linked to their subjects. Existing class subjects are left alone.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Counts of the subjects, class subjects and slots created or linked
+ */
+router.post('/import-timetable', authenticateToken, authorize('school_config', 'update'), asyncHandler(subjectController.importFromTimetable));
+
+/**
+ * @openapi
+ * /api/subjects/classes/{classId}:
+ *   get:
+ *     tags:
+ *       - Subjects
+ *     summary: The subjects a class takes with their teachers
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Class not found
+ *   put:
+ *     tags:
+ *       - Subjects
+ *     summary: Replace the subjects of a class and their teachers
+ *     description: >
+ *       A subject on the class's active timetable cannot be removed. Class.noOfSubjects follows the number
+ *       of subjects. Teachers' classes for attendance and marks entry come from this mapping.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: classId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - subjects
+ *             properties:
+ *               subjects:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     subjectId:
+ *                       type: string
+ *                     teacherId:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: The class's subjects
+ *       400:
+ *         description: Unknown or repeated subjects, or unknown teachers
+ *       404:
+ *         description: Class not found
+ *       409:
+ *         description: A removed subject is still on the timetable
+ */
+router.get('/classes/:classId', authenticateToken, authorize('school_config', 'read'), validateClassId, validate, asyncHandler(subjectController.getClassSubjects));
+router.put('/classes/:classId', authenticateToken, authorize('school_config', 'update'), validateClassSubjects, validate, asyncHandler(subjectController.setClassSubjects));
+
+/**
+ * @openapi
+ * /api/subjects/teachers/{teacherId}:
+ *   get:
+ *     tags:
+ *       - Subjects
+ *     summary: The classes and subjects a teacher teaches
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: teacherId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Teacher not found
+ */
+router.get('/teachers/:teacherId', authenticateToken, authorize('school_config', 'read'),
+    param('teacherId').isUUID().withMessage('teacherId must be a valid UUID'), validate,
+    asyncHandler(subjectController.getTeacherSubjects));
+
+/**
+ * @openapi
+ * /api/subjects/{id}:
+ *   get:
+ *     tags:
+ *       - Subjects
+ *     summary: Get a subject with the classes that take it
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not Found
+ *   put:
+ *     tags:
+ *       - Subjects
+ *     summary: Update a subject
+ *     description: Renaming a subject renames the timetable slots linked to it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: Another subject has this name or code
+ *   delete:
+ *     tags:
+ *       - Subjects
+ *     summary: Delete a subject
+ *     description: Subjects taken by a class or on the timetable cannot be deleted; deactivate them instead.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: The subject is in use
+ */
+router.get('/:id', authenticateToken, authorize('school_config', 'read'), validateId, validate, asyncHandler(subjectController.getSubject));
+router.put('/:id', authenticateToken, authorize('school_config', 'update'), validateSubjectUpdate, validate, asyncHandler(subjectController.updateSubject));
+router.delete('/:id', authenticateToken, authorize('school_config', 'delete'), validateId, validate, asyncHandler(subjectController.deleteSubject));
+
+module.exports = router;
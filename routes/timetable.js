@@ -0,0 +1,194 @@
+const express = require('express');
+const { body, param, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const { authorize } = require('../middleware/rbac');
+const { validate } = require('../middleware/validators');
+const asyncHandler = require('../utils/asyncHandler');
+const timetableController = require('../controllers/timetableController');
+const { MAX_PERIODS_PER_DAY } = require('../services/timetableService');
+
+const router = express.Router();
+
+const validateId = [param('id').isUUID().withMessage('id must be a valid UUID')];
+
+const slotFieldValidators = [
+    body('startTime').optional({ nullable: true }).matches(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/).withMessage('startTime must be a time (HH:MM)'),
+    body('endTime').optional({ nullable: true }).matches(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/).withMessage('endTime must be a time (HH:MM)'),
+    body('subjectId').optional({ nullable: true }).isUUID().withMessage('subjectId must be a valid UUID'),
+    body('teacherId').optional({ nullable: true }).isUUID().withMessage('teacherId must be a valid UUID'),
+    body('room').optional({ nullable: true }).isLength({ max: 50 }).withMessage('room must be at most 50 characters'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+];
+
+const validateSlot = [
+    body('classId').isUUID().withMessage('classId must be a valid UUID'),
+    body('dayOfWeek').isInt({ min: 1, max: 7 }).withMessage('dayOfWeek must be between 1 (Monday) and 7 (Sunday)').toInt(),
+    body('periodNo').isInt({ min: 1, max: MAX_PERIODS_PER_DAY }).withMessage(`periodNo must be between 1 and ${MAX_PERIODS_PER_DAY}`).toInt(),
+    body('subject').if((value, { req }) => !req.body.subjectId).trim().notEmpty().withMessage('subject or subjectId is required')
+        .isLength({ max: 100 }).withMessage('subject must be at most 100 characters'),
+    ...slotFieldValidators
+];
+
+const validateSlotUpdate = [
+    ...validateId,
+    body('classId').optional().isUUID().withMessage('classId must be a valid UUID'),
+    body('dayOfWeek').optional().isInt({ min: 1, max: 7 }).withMessage('dayOfWeek must be between 1 (Monday) and 7 (Sunday)').toInt(),
+    body('periodNo').optional().isInt({ min: 1, max: MAX_PERIODS_PER_DAY }).withMessage(`periodNo must be between 1 and ${MAX_PERIODS_PER_DAY}`).toInt(),
+    body('subject').optional().trim().notEmpty().withMessage('subject cannot be empty')
+        .isLength({ max: 100 }).withMessage('subject must be at most 100 characters'),
+    ...slotFieldValidators
+];
+
+const validateListSlots = [
+    query('classId').optional().isUUID().withMessage('classId must be a valid UUID'),
+    query('teacherId').optional().isUUID().withMessage('teacherId must be a valid UUID'),
+    query('dayOfWeek').optional().isInt({ min: 1, max: 7 }).withMessage('dayOfWeek must be between 1 and 7'),
+    query('includeInactive').optional().isIn(['true', 'false']).withMessage('includeInactive must be true or false')
+];
+
+/**
+ * @openapi
+ * /api/timetable:
+ *   get:
+ *     tags:
+ *       - Timetable
+ *     summary: List timetable slots
+ *     description: Ordered by class, weekday and period. Filter by classId for a class timetable or teacherId for a teacher's routine.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: classId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: teacherId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dayOfWeek
+ *         description: 1 = Monday ... 7 = Sunday
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: OK
+ *   post:
+ *     tags:
+ *       - Timetable
+ *     summary: Add a period to a class timetable
+ *     description: >
+ *       Once the class has subjects, the subject (subjectId, or subject by name or code) must be one of
+ *       them and the teacher defaults to the subject's teacher in the class.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - classId
+ *               - dayOfWeek
+ *               - periodNo
+ *             properties:
+ *               classId:
+ *                 type: string
+ *               dayOfWeek:
+ *                 type: integer
+ *               periodNo:
+ *                 type: integer
+ *               startTime:
+ *                 type: string
+ *                 example: "09:00"
+ *               endTime:
+ *                 type: string
+ *                 example: "09:45"
+ *               subject:
+ *                 type: string
+ *                 description: Required without subjectId
+ *               subjectId:
+ *                 type: string
+ *               teacherId:
+ *                 type: string
+ *               room:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Created
+ *       400:
+ *         description: The subject is not one of the class's subjects
+ *       409:
+ *         description: The class or the teacher already has this period
+ */
+router.get('/', authenticateToken, authorize('timetable', 'read'), validateListSlots, validate, asyncHandler(timetableController.listSlots));
+router.post('/', authenticateToken, authorize('timetable', 'create'), validateSlot, validate, asyncHandler(timetableController.createSlot));
+
+/**
+ * @openapi
+ * /api/timetable/{id}:
+ *   get:
+ *     tags:
+ *       - Timetable
+ *     summary: Get a timetable slot
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: OK
+ *       404:
+ *         description: Not Found
+ *   put:
+ *     tags:
+ *       - Timetable
+ *     summary: Update a timetable slot
+ *     description: Set isActive to false to retire a slot that attendance was recorded against.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Updated
+ *       404:
+ *         description: Not Found
+ *       409:
+ *         description: Clash with another slot, or moving a slot with recorded attendance
+ *   delete:
+ *     tags:
+ *       - Timetable
+ *     summary: Delete a timetable slot
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Deleted
+ *       409:
+ *         description: Attendance was recorded against the slot
+ */
+router.get('/:id', authenticateToken, authorize('timetable', 'read'), validateId, validate, asyncHandler(timetableController.getSlotById));
+router.put('/:id', authenticateToken, authorize('timetable', 'update'), validateSlotUpdate, validate, asyncHandler(timetableController.updateSlot));
+router.delete('/:id', authenticateToken, authorize('timetable', 'delete'), validateId, validate, asyncHandler(timetableController.deleteSlot));
+
+module.exports = router;
@@ -191,7 +191,7 @@ const LEVEL_TO_ACTIONS = {
     'none': [],
     'read': ['read'],
     'limited': ['read'],
-    'full': ['create', 'read', 'update', 'delete']
+    'full': ['create', 'read', 'update', 'delete', 'export']
 };
 
 // ============================================================================
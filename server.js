@@ -147,7 +147,13 @@ app.use(compression({
 }));
 
 // Parsers
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Gateway webhook signatures are computed over the exact bytes received
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payments/webhooks/')) req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ limit: '10mb', extended: true }));
 
 // Health check (no auth required)
@@ -166,6 +172,7 @@ if (effectiveSwagger) {
 
 // Public routes (NO authentication required)
 app.use('/api/auth', authRoutes);
+app.use('/api/payments/webhooks', require('./routes/paymentWebhooks'));
 
 // CRITICAL: Authentication & RLS Middleware
 // Applied AFTER auth routes so login/register work without tokens
@@ -189,6 +196,31 @@ app.use('/api/students', studentRoutes);
 app.use('/api/staff', require('./routes/staff'));
 app.use('/api/teachers', require('./routes/teachers'));
 app.use('/api/classes', require('./routes/classes'));
+app.use('/api/academic-years', require('./routes/academicYears'));
+app.use('/api/promotions', require('./routes/promotions'));
+app.use('/api/subjects', require('./routes/subjects'));
+app.use('/api/class-sections', require('./routes/classSections'));
+app.use('/api/attendance', require('./routes/attendanceAnalytics'));
+app.use('/api/attendance', require('./routes/attendance'));
+app.use('/api/student-leaves', require('./routes/studentLeaves'));
+app.use('/api/timetable', require('./routes/timetable'));
+app.use('/api/exams', require('./routes/examAnalytics'));
+app.use('/api/exams', require('./routes/grading'));
+app.use('/api/exams', require('./routes/reportCards'));
+app.use('/api/exams', require('./routes/exams'));
+app.use('/api/lms', require('./routes/lms'));
+app.use('/api/staff-attendance', require('./routes/staffAttendance'));
+app.use('/api/staff-leaves', require('./routes/staffLeaves'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/fees', require('./routes/feeStructures'));
+app.use('/api/fees', require('./routes/feeRules'));
+app.use('/api/fees', require('./routes/feeReports'));
+app.use('/api/fees', require('./routes/feePayments'));
+app.use('/api/fees', require('./routes/feeInvoices'));
+app.use('/api/fees', require('./routes/fees'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/accounting', require('./routes/accounting'));
+app.use('/api/settings', require('./routes/settings'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/roles', require('./routes/roles'));
 app.use('/api/permissions', require('./routes/permissions'));
@@ -203,12 +235,27 @@ try {
     logger.warn('Image routes not registered:', e.message);
 }
 
+// Parents are told about absences and late arrivals as attendance is saved
+require('./services/absenceAlertService').registerAttendanceHooks();
+
+// New classes, students, exams, fee structures and attendance are scoped to an academic year
+require('./services/academicYearService').registerYearHooks();
+
+// Classes join the group (ClassGroup) of their name and year; registered after the year hooks
+require('./services/classSectionService').registerSectionHooks();
+
 // Database sync & start
 const startServer = () => {
     const port = process.env.PORT || 3000;
     app.listen(port, () => {
         logger.info(`🚀 School ERP Backend running on port ${port}`);
     });
+
+    // Daily late fine / overdue evaluation, and the SMS / email outbox
+    if (process.env.NODE_ENV !== 'test') {
+        require('./services/feeRules.job').start();
+        require('./services/notifications.job').start();
+    }
 };
 
 if (process.env.ALLOW_DB_ALTER === 'true') {
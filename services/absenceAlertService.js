@@ -0,0 +1,350 @@
+/**
+ * Absence Alert Service
+ *
+ * Tells parents the same day when their child is marked absent or late. Hooks on the
+ * Attendance model (registerAttendanceHooks, called once at startup) look at every saved
+ * record after its transaction commits and queue one message per linked parent and channel
+ * in the notification outbox, primary contact first. The notifications job sends them.
+ *
+ * Alerts go out only for today's attendance (in the tenant's time zone), on the channels in
+ * AttendanceSetting.alertChannels, and are held back until the end of the quiet hours.
+ *
+ * Each alert has a dedupe key per student, date, parent and channel, so corrections never
+ * produce a second message:
+ *   - absent <-> late while still queued: the queued message is reworded
+ *   - corrected to present / excused or deleted while queued: the message is cancelled
+ *   - marked absent or late again the same day: the cancelled message is queued again
+ *   - already sent: nothing more is sent for that day
+ *
+ * Alert failures are logged and never fail the attendance save.
+ */
+const { Op } = require('sequelize');
+const logger = require('../config/logger');
+const Attendance = require('../models/Attendance');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Parent = require('../models/Parent');
+const ParentStudent = require('../models/ParentStudent');
+const NotificationMessage = require('../models/NotificationMessage');
+const { getSettings } = require('./attendanceService');
+const { localClock, zonedInstant, toMinutes } = require('./staffAttendanceService');
+const { getProfile } = require('./schoolProfileService');
+const { getTemplates, renderTemplate } = require('./notificationService');
+const { toE164 } = require('./smsService');
+const { isEmail } = require('./emailService');
+require('../models'); // register associations used by the includes below
+
+const ALERT_EVENTS = { absent: 'student_absent', late: 'student_late' };
+
+let hooksRegistered = false;
+
+const addDays = (date, days) => {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+};
+
+const studentName = (s) => s.studentName || [s.firstName, s.lastName].filter(Boolean).join(' ');
+
+// ========== PURE HELPERS ==========
+
+/**
+ * The notification event for an attendance status, or null when it needs no alert
+ *
+ * @param {String|null} status - Attendance status (null for a deleted record)
+ * @returns {String|null}
+ */
+function alertEventFor(status) {
+    return ALERT_EVENTS[status] || null;
+}
+
+function alertDedupeKey(studentId, date, parentId, channel) {
+    return `attendance:${studentId}:${date}:${parentId}:${channel}`;
+}
+
+/**
+ * When a message queued now may go out: now, or the end of the quiet hours
+ *
+ * @param {Date} now - Current time
+ * @param {Object} settings - { quietHoursStart, quietHoursEnd, timezone }
+ * @returns {Date}
+ */
+function quietHoursRelease(now, { quietHoursStart, quietHoursEnd, timezone }) {
+    if (!quietHoursStart || !quietHoursEnd) return now;
+
+    const start = toMinutes(quietHoursStart);
+    const end = toMinutes(quietHoursEnd);
+    if (start === end) return now;
+
+    const clock = localClock(now, timezone);
+    const spansMidnight = end < start;
+    const quiet = spansMidnight ? (clock.minutes >= start || clock.minutes < end) : (clock.minutes >= start && clock.minutes < end);
+    if (!quiet) return now;
+
+    // Late evening inside a window that ends tomorrow morning
+    const releaseDate = spansMidnight && clock.minutes >= start ? addDays(clock.date, 1) : clock.date;
+    return zonedInstant(releaseDate, end, timezone);
+}
+
+/**
+ * What to do with the alerts of one student and day after its attendance changed
+ *
+ * @param {String|null} event - Alert event the record calls for (null = none)
+ * @param {Array} recipients - [{ dedupeKey, ... }] parents and channels that should be told
+ * @param {Array} existing - Messages already queued or sent for the student and day
+ * @param {Boolean} allowNew - Whether new alerts may be queued (today's attendance only)
+ * @returns {Object} { create: [recipient], reword: [{ message, recipient }], requeue: [{ message, recipient }], cancel: [message] }
+ */
+function planAlerts(event, recipients, existing, allowNew) {
+    const plan = { create: [], reword: [], requeue: [], cancel: [] };
+    if (!event) {
+        plan.cancel = existing.filter(m => m.status === 'queued');
+        return plan;
+    }
+
+    const byKey = new Map(existing.map(m => [m.dedupeKey, m]));
+    recipients.forEach(recipient => {
+        const message = byKey.get(recipient.dedupeKey);
+        if (!message) {
+            if (allowNew) plan.create.push(recipient);
+        } else if (message.status === 'queued') {
+            if (message.event !== event) plan.reword.push({ message, recipient });
+        } else if (message.status === 'cancelled') {
+            if (allowNew) plan.requeue.push({ message, recipient });
+        }
+        // sent or failed: the parent has already been told about this day
+    });
+    return plan;
+}
+
+// ========== RECONCILING ==========
+
+/**
+ * Active parents of a student, primary contact first, with an address per enabled channel
+ *
+ * @returns {Promise<Array>} [{ parentId, parentName, channel, recipient, recipientRank, dedupeKey }]
+ */
+async function loadRecipients(tenantId, studentId, date, channels) {
+    const links = await ParentStudent.findAll({
+        where: { tenantId, studentId },
+        include: [{ model: Parent, as: 'parent', where: { status: 'active' }, attributes: ['id', 'name', 'phone', 'email'] }],
+        order: [['isPrimary', 'DESC'], ['createdAt', 'ASC']]
+    });
+
+    const recipients = [];
+    links.forEach((link, rank) => {
+        const parent = link.parent;
+        channels.forEach(channel => {
+            const address = channel === 'sms' ? toE164(parent.phone) : (isEmail(parent.email) ? parent.email : null);
+            if (!address) return;
+            recipients.push({
+                parentId: parent.id,
+                parentName: parent.name,
+                channel,
+                recipient: address,
+                recipientRank: rank,
+                dedupeKey: alertDedupeKey(studentId, date, parent.id, channel)
+            });
+        });
+    });
+    return recipients;
+}
+
+/**
+ * Render the subject and body of an alert for one recipient
+ */
+function renderAlert(template, context, recipient) {
+    const variables = { ...context, parentName: recipient.parentName };
+    return {
+        subject: template.subject ? renderTemplate(template.subject, variables) : null,
+        body: renderTemplate(template.body, variables)
+    };
+}
+
+async function reconcileStudentDay(tenantId, record, setup) {
+    const { settings, today, templates, schoolName, existing } = setup;
+    const date = String(record.attendanceDate).slice(0, 10);
+    const event = settings.absenceAlerts ? alertEventFor(record.status) : null;
+    const allowNew = !!event && date === today;
+
+    if (!event && existing.length === 0) return;
+    if (event && !allowNew && !existing.some(m => m.status === 'queued')) return;
+
+    const channels = (settings.alertChannels || []).filter(c => templates.has(`${event}:${c}`));
+    const recipients = event ? await loadRecipients(tenantId, record.studentId, date, channels) : [];
+    const plan = planAlerts(event, recipients, existing, allowNew);
+    if (plan.create.length + plan.reword.length + plan.requeue.length + plan.cancel.length === 0) return;
+
+    let context = null;
+    if (event) {
+        const [student, cls] = await Promise.all([
+            Student.findOne({ where: { id: record.studentId, tenantId }, attributes: ['firstName', 'lastName', 'studentName'] }),
+            record.classId ? Class.findOne({ where: { id: record.classId, tenantId }, attributes: ['className', 'section'] }) : null
+        ]);
+        context = {
+            studentName: student ? studentName(student) : '',
+            className: cls ? [cls.className, cls.section].filter(Boolean).join(' ') : '',
+            date,
+            status: record.status,
+            schoolName
+        };
+    }
+    const sendAfter = quietHoursRelease(new Date(), settings);
+
+    for (const recipient of plan.create) {
+        try {
+            await NotificationMessage.create({
+                tenantId,
+                event,
+                channel: recipient.channel,
+                recipient: recipient.recipient,
+                recipientRank: recipient.recipientRank,
+                parentId: recipient.parentId,
+                studentId: record.studentId,
+                referenceDate: date,
+                ...renderAlert(templates.get(`${event}:${recipient.channel}`), context, recipient),
+                status: 'queued',
+                sendAfter,
+                dedupeKey: recipient.dedupeKey
+            });
+        } catch (err) {
+            // Another save of the same record queued it first
+            if (err.name !== 'SequelizeUniqueConstraintError') throw err;
+        }
+    }
+    for (const { message, recipient } of plan.reword) {
+        await message.update({ event, ...renderAlert(templates.get(`${event}:${recipient.channel}`), context, recipient) });
+    }
+    for (const { message, recipient } of plan.requeue) {
+        await message.update({
+            event,
+            recipient: recipient.recipient,
+            ...renderAlert(templates.get(`${event}:${recipient.channel}`), context, recipient),
+            status: 'queued',
+            sendAfter,
+            attempts: 0,
+            lastError: null
+        });
+    }
+    for (const message of plan.cancel) {
+        await message.update({ status: 'cancelled' });
+    }
+
+    logger.info(`[ABSENCE_ALERTS] Student ${record.studentId} on ${date}: ${plan.create.length} queued, ` +
+        `${plan.reword.length} reworded, ${plan.requeue.length} requeued, ${plan.cancel.length} cancelled`);
+}
+
+/**
+ * Bring the alerts of saved attendance records in line with their status
+ *
+ * @param {Array} records - [{ tenantId, studentId, classId, attendanceDate, status }] (status null when deleted)
+ */
+async function reconcileAttendanceAlerts(records) {
+    const byTenant = new Map();
+    records.forEach(r => {
+        if (!byTenant.has(r.tenantId)) byTenant.set(r.tenantId, []);
+        byTenant.get(r.tenantId).push(r);
+    });
+
+    for (const [tenantId, tenantRecords] of byTenant) {
+        const settings = await getSettings(tenantId);
+        const today = localClock(new Date(), settings.timezone).date;
+
+        const dates = [...new Set(tenantRecords.map(r => String(r.attendanceDate).slice(0, 10)))];
+        const existing = await NotificationMessage.findAll({
+            where: {
+                tenantId,
+                studentId: { [Op.in]: [...new Set(tenantRecords.map(r => r.studentId))] },
+                referenceDate: { [Op.in]: dates },
+                event: { [Op.in]: Object.values(ALERT_EVENTS) }
+            }
+        });
+        // Nothing to queue and nothing queued that could need cancelling
+        const alerting = settings.absenceAlerts && tenantRecords.some(r => alertEventFor(r.status) && String(r.attendanceDate).slice(0, 10) === today);
+        if (!alerting && !existing.some(m => m.status === 'queued')) continue;
+
+        const templates = new Map((await getTemplates(tenantId)).filter(t => t.isActive).map(t => [`${t.event}:${t.channel}`, t]));
+        const schoolName = alerting ? (await getProfile(tenantId)).displayName : '';
+
+        for (const record of tenantRecords) {
+            const date = String(record.attendanceDate).slice(0, 10);
+            await reconcileStudentDay(tenantId, record, {
+                settings,
+                today,
+                templates,
+                schoolName,
+                existing: existing.filter(m => m.studentId === record.studentId && m.referenceDate === date)
+            });
+        }
+    }
+}
+
+// ========== HOOKS ==========
+
+/**
+ * Reconcile once the save is committed, without holding up or failing the save
+ */
+function afterSave(records, options) {
+    const snapshot = records.map(r => ({
+        tenantId: r.tenantId,
+        studentId: r.studentId,
+        classId: r.classId,
+        attendanceDate: r.attendanceDate,
+        status: r.status
+    }));
+    if (snapshot.length === 0) return;
+
+    const run = () => {
+        reconcileAttendanceAlerts(snapshot).catch(err => logger.error(`[ABSENCE_ALERTS] Failed to queue alerts: ${err.message}`));
+    };
+    if (options && options.transaction) {
+        options.transaction.afterCommit(run);
+    } else {
+        run();
+    }
+}
+
+/**
+ * Watch attendance saves for absences. Safe to call more than once.
+ */
+function registerAttendanceHooks() {
+    if (hooksRegistered) return;
+    hooksRegistered = true;
+
+    Attendance.addHook('afterCreate', 'absenceAlerts', (row, options) => afterSave([row], options));
+    Attendance.addHook('afterBulkCreate', 'absenceAlerts', (rows, options) => afterSave(rows, options));
+    Attendance.addHook('afterUpdate', 'absenceAlerts', (row, options) => {
+        if (row.changed('status')) afterSave([row], options);
+    });
+    Attendance.addHook('afterDestroy', 'absenceAlerts', (row, options) => afterSave([{ ...row.get({ plain: true }), status: null }], options));
+
+    // Bulk status changes (e.g. approved student leave excusing the days) note the rows they
+    // will touch first: their where clause (status != 'excused') no longer matches afterwards
+    Attendance.addHook('beforeBulkUpdate', 'absenceAlerts', async (options) => {
+        if (!options.attributes || options.attributes.status === undefined) return;
+        const rows = await Attendance.findAll({ where: options.where, attributes: ['id'], transaction: options.transaction });
+        options.absenceAlertIds = rows.map(r => r.id);
+    });
+    Attendance.addHook('afterBulkUpdate', 'absenceAlerts', (options) => {
+        if (!options.absenceAlertIds || options.absenceAlertIds.length === 0) return;
+        const run = () => {
+            Attendance.findAll({
+                where: { id: { [Op.in]: options.absenceAlertIds } },
+                attributes: ['tenantId', 'studentId', 'classId', 'attendanceDate', 'status']
+            })
+                .then(rows => afterSave(rows))
+                .catch(err => logger.error(`[ABSENCE_ALERTS] Failed to load updated attendance: ${err.message}`));
+        };
+        if (options.transaction) options.transaction.afterCommit(run); else run();
+    });
+}
+
+module.exports = {
+    ALERT_EVENTS,
+    alertEventFor,
+    alertDedupeKey,
+    quietHoursRelease,
+    planAlerts,
+    reconcileAttendanceAlerts,
+    registerAttendanceHooks
+};
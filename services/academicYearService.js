@@ -0,0 +1,636 @@
+/**
+ * Academic Year Service
+ *
+ * Academic years of a tenant with their terms. Exactly one year is current: the tenant's first
+ * year becomes current, and making another year current moves the flag in one transaction.
+ * Years of a tenant cannot overlap, so every date belongs to at most one year.
+ *
+ * Classes, students (with their StudentEnrollment rows), exams, fee structures and attendance
+ * carry academicYearId. The hooks registered at startup (registerYearHooks) fill it in on
+ * create when it is not given:
+ *   - classes: the current year
+ *   - students, exams, fee structures: the year named by session / academicSession, else the
+ *     class's year (students), else the current year. The label is kept equal to the year's name
+ *   - attendance: the year whose dates hold attendanceDate
+ *
+ * List APIs resolve their academicYearId filter with resolveYearFilter: the current year by
+ * default, 'all' for every year. Tenants without years are not filtered.
+ */
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const AcademicYear = require('../models/AcademicYear');
+const AcademicTerm = require('../models/AcademicTerm');
+const StudentEnrollment = require('../models/StudentEnrollment');
+const Class = require('../models/Class');
+const ClassGroup = require('../models/ClassGroup');
+const Student = require('../models/Student');
+const Exam = require('../models/Exam');
+const FeeStructure = require('../models/FeeStructure');
+const Attendance = require('../models/Attendance');
+const logger = require('../config/logger');
+require('../models'); // register associations used by the includes below
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const MAX_NAME_LENGTH = 50;
+const MAX_TERMS = 6;
+const MAX_YEAR_DAYS = 731;
+
+// Models whose year travels with a label field
+const LABEL_FIELDS = { Student: 'session', Exam: 'academicSession', FeeStructure: 'academicSession' };
+
+const TERM_INCLUDE = { model: AcademicTerm, as: 'terms', attributes: ['id', 'name', 'startDate', 'endDate'] };
+
+const today = () => new Date().toISOString().slice(0, 10);
+const dayOf = (d) => (d instanceof Date ? d.toISOString() : String(d)).slice(0, 10);
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+
+// ========== PURE HELPERS ==========
+
+/**
+ * Check and normalize the fields of a year (after merging updates into the stored year)
+ *
+ * @param {Object} year - { name, startDate, endDate }
+ * @returns {Object} { name, startDate, endDate }
+ */
+function validateYearFields(year) {
+    const name = year.name ? String(year.name).trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        throw new Error(`VALIDATION_ERROR: name must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+    ['startDate', 'endDate'].forEach(k => {
+        if (!year[k] || !DATE_PATTERN.test(dayOf(year[k]))) {
+            throw new Error(`VALIDATION_ERROR: ${k} must be a date (YYYY-MM-DD)`);
+        }
+    });
+    const startDate = dayOf(year.startDate);
+    const endDate = dayOf(year.endDate);
+    if (endDate <= startDate) {
+        throw new Error('VALIDATION_ERROR: endDate must be after startDate');
+    }
+    if (daysBetween(startDate, endDate) > MAX_YEAR_DAYS) {
+        throw new Error('VALIDATION_ERROR: An academic year can last at most two years');
+    }
+    return { name, startDate, endDate };
+}
+
+/**
+ * Check and normalize the terms of a year: within the year's dates, without overlaps,
+ * in date order
+ *
+ * @param {Array} terms - [{ name, startDate, endDate }]
+ * @param {Object} year - { startDate, endDate }
+ * @returns {Array} Normalized terms
+ */
+function validateTerms(terms, year) {
+    if (!Array.isArray(terms)) {
+        throw new Error('VALIDATION_ERROR: terms must be an array');
+    }
+    if (terms.length > MAX_TERMS) {
+        throw new Error(`VALIDATION_ERROR: A year can have at most ${MAX_TERMS} terms`);
+    }
+
+    const normalized = terms.map((t, i) => {
+        const name = t && t.name ? String(t.name).trim() : '';
+        if (!name || name.length > 100) {
+            throw new Error(`VALIDATION_ERROR: terms[${i}].name must be 1-100 characters`);
+        }
+        ['startDate', 'endDate'].forEach(k => {
+            if (!t[k] || !DATE_PATTERN.test(t[k])) {
+                throw new Error(`VALIDATION_ERROR: terms[${i}].${k} must be a date (YYYY-MM-DD)`);
+            }
+        });
+        if (t.endDate < t.startDate) {
+            throw new Error(`VALIDATION_ERROR: terms[${i}].endDate cannot be before its startDate`);
+        }
+        if (t.startDate < year.startDate || t.endDate > year.endDate) {
+            throw new Error(`VALIDATION_ERROR: terms[${i}] must be within the year (${year.startDate} to ${year.endDate})`);
+        }
+        return { name, startDate: t.startDate, endDate: t.endDate };
+    }).sort((a, b) => (a.startDate < b.startDate ? -1 : 1));
+
+    const names = new Set(normalized.map(t => t.name.toLowerCase()));
+    if (names.size !== normalized.length) {
+        throw new Error('VALIDATION_ERROR: Term names must be unique');
+    }
+    for (let i = 1; i < normalized.length; i++) {
+        if (normalized[i].startDate <= normalized[i - 1].endDate) {
+            throw new Error(`VALIDATION_ERROR: Terms "${normalized[i - 1].name}" and "${normalized[i].name}" overlap`);
+        }
+    }
+    return normalized;
+}
+
+/**
+ * Whether two date ranges share a day
+ *
+ * @param {Object} a - { startDate, endDate }
+ * @param {Object} b - { startDate, endDate }
+ * @returns {Boolean}
+ */
+function rangesOverlap(a, b) {
+    return dayOf(a.startDate) <= dayOf(b.endDate) && dayOf(b.startDate) <= dayOf(a.endDate);
+}
+
+/**
+ * The year or term whose dates hold a date
+ *
+ * @param {Array} ranges - [{ startDate, endDate }]
+ * @param {String} date - YYYY-MM-DD
+ * @returns {Object|null}
+ */
+function rangeFor(ranges, date) {
+    const day = dayOf(date);
+    return ranges.find(r => dayOf(r.startDate) <= day && day <= dayOf(r.endDate)) || null;
+}
+
+// ========== YEARS ==========
+
+const yearView = (year) => {
+    const plain = year.get ? year.get({ plain: true }) : year;
+    if (plain.terms) plain.terms = [...plain.terms].sort((a, b) => (a.startDate < b.startDate ? -1 : 1));
+    return plain;
+};
+
+/**
+ * The tenant's years with their terms, latest first
+ */
+async function listYears(tenantId) {
+    const years = await AcademicYear.findAll({
+        where: { tenantId },
+        include: [TERM_INCLUDE],
+        order: [['startDate', 'DESC']]
+    });
+    return years.map(yearView);
+}
+
+async function getYearById(id, tenantId) {
+    const year = await AcademicYear.findOne({ where: { id, tenantId }, include: [TERM_INCLUDE] });
+    return year ? yearView(year) : null;
+}
+
+/**
+ * The tenant's current year (model instance), or null when it has none
+ */
+async function getCurrentYear(tenantId, transaction = null) {
+    return AcademicYear.findOne({ where: { tenantId, isCurrent: true }, transaction });
+}
+
+/**
+ * The current year with its terms and the term holding a date
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} date - YYYY-MM-DD (default today)
+ * @returns {Promise<Object|null>} { ...year, terms, currentTerm }
+ */
+async function getCurrentYearView(tenantId, date = today()) {
+    const year = await AcademicYear.findOne({ where: { tenantId, isCurrent: true }, include: [TERM_INCLUDE] });
+    if (!year) return null;
+    const view = yearView(year);
+    return { ...view, currentTerm: rangeFor(view.terms || [], date) };
+}
+
+const assertYearFree = async (tenantId, fields, exceptId, transaction) => {
+    const where = { tenantId };
+    if (exceptId) where.id = { [Op.ne]: exceptId };
+    const others = await AcademicYear.findAll({ where, attributes: ['id', 'name', 'startDate', 'endDate'], transaction });
+    if (others.some(y => y.name.toLowerCase() === fields.name.toLowerCase())) {
+        throw new Error(`CONFLICT: An academic year named "${fields.name}" already exists`);
+    }
+    const clash = others.find(y => rangesOverlap(y, fields));
+    if (clash) {
+        throw new Error(`CONFLICT: The dates overlap the academic year "${clash.name}"`);
+    }
+};
+
+const replaceTerms = async (tenantId, yearId, terms, transaction) => {
+    await AcademicTerm.destroy({ where: { tenantId, academicYearId: yearId }, transaction });
+    if (terms.length) {
+        await AcademicTerm.bulkCreate(terms.map(t => ({ ...t, tenantId, academicYearId: yearId })), { transaction });
+    }
+};
+
+/**
+ * Create a year with its terms. The tenant's first year becomes current and takes the
+ * records created before years existed; records labelled with the year's name are linked
+ * to it either way.
+ *
+ * @param {Object} data - { name, startDate, endDate, terms, isCurrent }
+ */
+async function createYear(tenantId, data) {
+    const fields = validateYearFields(data);
+    const terms = data.terms !== undefined ? validateTerms(data.terms, fields) : [];
+
+    const { id, first } = await sequelize.transaction(async (transaction) => {
+        await assertYearFree(tenantId, fields, null, transaction);
+        const hasCurrent = await AcademicYear.count({ where: { tenantId, isCurrent: true }, transaction });
+        const isCurrent = data.isCurrent === true || !hasCurrent;
+        if (isCurrent && hasCurrent) {
+            await AcademicYear.update({ isCurrent: false }, { where: { tenantId, isCurrent: true }, transaction });
+        }
+        const year = await AcademicYear.create({ ...fields, tenantId, isCurrent }, { transaction });
+        await replaceTerms(tenantId, year.id, terms, transaction);
+        return { id: year.id, first: !hasCurrent };
+    });
+
+    logger.info(`[ACADEMIC_YEAR] Year "${fields.name}" created for tenant ${tenantId}`);
+    await linkRecords(id, tenantId, { includeUnlabelled: first });
+    return getYearById(id, tenantId);
+}
+
+/**
+ * Update a year. Renaming it relabels its records; its dates cannot shrink past attendance
+ * already linked to it. Terms, when given, replace the year's terms.
+ */
+async function updateYear(id, tenantId, updates) {
+    const year = await AcademicYear.findOne({ where: { id, tenantId }, include: [TERM_INCLUDE] });
+    if (!year) return null;
+
+    const merged = {};
+    ['name', 'startDate', 'endDate'].forEach(k => {
+        merged[k] = updates[k] !== undefined ? updates[k] : year[k];
+    });
+    const fields = validateYearFields(merged);
+    const terms = validateTerms(
+        updates.terms !== undefined ? updates.terms : (year.terms || []).map(t => ({ name: t.name, startDate: dayOf(t.startDate), endDate: dayOf(t.endDate) })),
+        fields
+    );
+
+    const stray = await Attendance.count({
+        where: {
+            tenantId,
+            academicYearId: id,
+            [Op.or]: [{ attendanceDate: { [Op.lt]: fields.startDate } }, { attendanceDate: { [Op.gt]: fields.endDate } }]
+        }
+    });
+    if (stray > 0) {
+        throw new Error(`VALIDATION_ERROR: ${stray} attendance record(s) fall outside the new dates`);
+    }
+
+    const renamed = fields.name !== year.name;
+    await sequelize.transaction(async (transaction) => {
+        await assertYearFree(tenantId, fields, id, transaction);
+        await year.update(fields, { transaction });
+        if (updates.terms !== undefined) await replaceTerms(tenantId, id, terms, transaction);
+        if (renamed) {
+            const where = { tenantId, academicYearId: id };
+            await Student.update({ session: fields.name }, { where, transaction });
+            await Exam.update({ academicSession: fields.name }, { where, transaction });
+            await FeeStructure.update({ academicSession: fields.name }, { where, transaction });
+        }
+    });
+    return getYearById(id, tenantId);
+}
+
+/**
+ * Make a year the tenant's current year
+ */
+async function setCurrentYear(id, tenantId) {
+    const year = await AcademicYear.findOne({ where: { id, tenantId } });
+    if (!year) return null;
+
+    if (!year.isCurrent) {
+        await sequelize.transaction(async (transaction) => {
+            await AcademicYear.update({ isCurrent: false }, { where: { tenantId, isCurrent: true }, transaction });
+            await year.update({ isCurrent: true }, { transaction });
+        });
+        logger.info(`[ACADEMIC_YEAR] Year "${year.name}" is now current for tenant ${tenantId}`);
+    }
+    return getYearById(id, tenantId);
+}
+
+/**
+ * Delete a year. The current year and years with linked records cannot be deleted.
+ */
+async function deleteYear(id, tenantId) {
+    const year = await AcademicYear.findOne({ where: { id, tenantId } });
+    if (!year) return null;
+
+    if (year.isCurrent) {
+        throw new Error('CONFLICT: The current academic year cannot be deleted; make another year current first');
+    }
+    const where = { tenantId, academicYearId: id };
+    const linked = await Class.count({ where }) + await Student.count({ where }) + await StudentEnrollment.count({ where })
+        + await Exam.count({ where }) + await FeeStructure.count({ where }) + await Attendance.count({ where });
+    if (linked > 0) {
+        throw new Error(`CONFLICT: ${linked} record(s) belong to this academic year; it cannot be deleted`);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+        await AcademicTerm.destroy({ where: { tenantId, academicYearId: id }, transaction });
+        await year.destroy({ transaction });
+    });
+    logger.info(`[ACADEMIC_YEAR] Year "${year.name}" deleted for tenant ${tenantId}`);
+    return year;
+}
+
+// ========== SCOPING ==========
+
+/**
+ * The academicYearId filter of a list request
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} value - A year ID, 'all', or undefined for the current year
+ * @returns {Promise<String|null>} The year ID, or null for no filter ('all', or a tenant without years)
+ */
+async function resolveYearFilter(tenantId, value) {
+    if (value === 'all') return null;
+    if (value === undefined || value === null || value === '') {
+        const current = await getCurrentYear(tenantId);
+        return current ? current.id : null;
+    }
+    if (!UUID_PATTERN.test(value) || !(await AcademicYear.count({ where: { id: value, tenantId } }))) {
+        throw new Error('VALIDATION_ERROR: academicYearId must be an academic year of this school or "all"');
+    }
+    return value;
+}
+
+/**
+ * The students enrolled in a year, optionally in one of its classes. Student.academicYearId
+ * and classId only hold the latest year, so past years are read from the enrollments.
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} yearId - Academic year ID
+ * @param {String} classId - Optional class ID
+ * @returns {Promise<String[]>} Student IDs
+ */
+async function enrolledStudentIds(tenantId, yearId, classId = null) {
+    const where = { tenantId, academicYearId: yearId };
+    if (classId) where.classId = classId;
+    const enrollments = await StudentEnrollment.findAll({ where, attributes: ['studentId'], raw: true });
+    return enrollments.map(e => e.studentId);
+}
+
+/**
+ * Match a year ID and a session label. The ID wins and sets the label; a label alone links
+ * the year with that name, if there is one.
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} target - { academicYearId, label }
+ * @param {Object} transaction - Optional transaction
+ * @returns {Promise<Object|null>} { academicYearId, label }, or null when neither is given
+ */
+async function resolveYearLabel(tenantId, { academicYearId = null, label = null } = {}, transaction = null) {
+    if (academicYearId) {
+        const year = await AcademicYear.findOne({ where: { id: academicYearId, tenantId }, attributes: ['id', 'name'], transaction });
+        if (!year) {
+            throw new Error('VALIDATION_ERROR: academicYearId must be an academic year of this school');
+        }
+        if (label && String(label).trim() !== year.name) {
+            throw new Error(`VALIDATION_ERROR: The session "${label}" does not match the academic year "${year.name}"`);
+        }
+        return { academicYearId: year.id, label: year.name };
+    }
+    if (label) {
+        const year = await AcademicYear.findOne({ where: { tenantId, name: String(label).trim() }, attributes: ['id', 'name'], transaction });
+        return { academicYearId: year ? year.id : null, label: year ? year.name : label };
+    }
+    return null;
+}
+
+/**
+ * Create or update a student's enrollment in their academicYearId with their class and roll
+ * number. Inactive students are marked 'left'.
+ *
+ * @param {Object} student - Student (model instance or plain)
+ * @param {Object} transaction - Optional transaction
+ * @returns {Promise<Object|null>} The enrollment, or null for a student without a year
+ */
+async function syncEnrollment(student, transaction = null) {
+    if (!student.academicYearId) return null;
+
+    const fields = {
+        classId: student.classId || null,
+        rollNumber: student.rollNumber || null,
+        status: student.status === 'inactive' ? 'left' : 'enrolled'
+    };
+    const where = { tenantId: student.tenantId, academicYearId: student.academicYearId, studentId: student.id };
+    const enrollment = await StudentEnrollment.findOne({ where, transaction });
+    if (enrollment) {
+        return enrollment.update(fields, { transaction });
+    }
+    return StudentEnrollment.create({ ...where, ...fields }, { transaction });
+}
+
+/**
+ * Link year-less records to a year: students, exams and fee structures labelled with its
+ * name, attendance within its dates, the classes of its students, and an enrollment for
+ * each student. Safe to run again; records already in a year are left alone.
+ *
+ * @param {String} id - Year ID
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} options - { includeUnlabelled } also takes unlabelled students, exams and fee structures, and every year-less class
+ * @returns {Promise<Object|null>} Counts of the records linked
+ */
+async function linkRecords(id, tenantId, { includeUnlabelled = false } = {}) {
+    const year = await AcademicYear.findOne({ where: { id, tenantId } });
+    if (!year) return null;
+
+    const free = { tenantId, academicYearId: null };
+    const labelled = (field) => (includeUnlabelled ? { [field]: { [Op.or]: [year.name, null] } } : { [field]: year.name });
+
+    const counts = await sequelize.transaction(async (transaction) => {
+        const result = {};
+        [result.students] = await Student.update(
+            { academicYearId: id, session: year.name },
+            { where: { ...free, ...labelled('session') }, transaction }
+        );
+        [result.exams] = await Exam.update(
+            { academicYearId: id, academicSession: year.name },
+            { where: { ...free, ...labelled('academicSession') }, transaction }
+        );
+        [result.feeStructures] = await FeeStructure.update(
+            { academicYearId: id, academicSession: year.name },
+            { where: { ...free, ...labelled('academicSession') }, transaction }
+        );
+        [result.attendance] = await Attendance.update(
+            { academicYearId: id },
+            { where: { ...free, attendanceDate: { [Op.between]: [dayOf(year.startDate), dayOf(year.endDate)] } }, transaction }
+        );
+
+        const classWhere = { ...free };
+        if (!includeUnlabelled) {
+            const students = await Student.findAll({
+                where: { tenantId, academicYearId: id, classId: { [Op.ne]: null } },
+                attributes: ['classId'],
+                transaction
+            });
+            classWhere.id = [...new Set(students.map(s => s.classId))];
+        }
+        [result.classes] = classWhere.id && classWhere.id.length === 0
+            ? [0]
+            : await Class.update({ academicYearId: id }, { where: classWhere, transaction });
+
+        // The linked classes leave their year-less groups (ClassGroup) for the year's group of that name
+        const linkedGroupIds = [...new Set((await Class.findAll({
+            where: { tenantId, academicYearId: id, classGroupId: { [Op.ne]: null } },
+            attributes: ['classGroupId'],
+            transaction
+        })).map(c => c.classGroupId))];
+        const strayGroups = linkedGroupIds.length
+            ? await ClassGroup.findAll({ where: { tenantId, academicYearId: null, id: { [Op.in]: linkedGroupIds } }, transaction })
+            : [];
+        for (const group of strayGroups) {
+            const where = { tenantId, academicYearId: id, name: group.name };
+            const target = await ClassGroup.findOne({ where, transaction })
+                || await ClassGroup.create({ ...where, displayOrder: group.displayOrder, defaultCapacity: group.defaultCapacity, status: group.status }, { transaction });
+            await Class.update({ classGroupId: target.id }, { where: { tenantId, academicYearId: id, classGroupId: group.id }, transaction });
+            if (!(await Class.count({ where: { tenantId, classGroupId: group.id }, transaction }))) {
+                await group.destroy({ transaction });
+            }
+        }
+
+        const enrolled = new Set((await StudentEnrollment.findAll({
+            where: { tenantId, academicYearId: id },
+            attributes: ['studentId'],
+            transaction
+        })).map(e => e.studentId));
+        const students = await Student.findAll({
+            where: { tenantId, academicYearId: id },
+            attributes: ['id', 'classId', 'rollNumber', 'status'],
+            transaction
+        });
+        const missing = students.filter(s => !enrolled.has(s.id));
+        if (missing.length) {
+            await StudentEnrollment.bulkCreate(missing.map(s => ({
+                tenantId,
+                academicYearId: id,
+                studentId: s.id,
+                classId: s.classId || null,
+                rollNumber: s.rollNumber || null,
+                status: s.status === 'inactive' ? 'left' : 'enrolled'
+            })), { transaction });
+        }
+        result.enrollments = missing.length;
+        return result;
+    });
+
+    logger.info(`[ACADEMIC_YEAR] Linked records to "${year.name}" for tenant ${tenantId}: ${JSON.stringify(counts)}`);
+    return counts;
+}
+
+// ========== MODEL HOOKS ==========
+
+/**
+ * Set a new record's year and label: from academicYearId or the label, else the fallback
+ * year (the current year by default)
+ */
+async function applyYear(record, labelField, transaction, fallbackYearId = null) {
+    const resolved = await resolveYearLabel(record.tenantId, {
+        academicYearId: record.academicYearId,
+        label: labelField ? record[labelField] : null
+    }, transaction);
+    if (resolved) {
+        record.academicYearId = resolved.academicYearId;
+        if (labelField) record[labelField] = resolved.label;
+        return;
+    }
+
+    const year = fallbackYearId
+        ? await AcademicYear.findOne({ where: { id: fallbackYearId, tenantId: record.tenantId }, transaction })
+        : await getCurrentYear(record.tenantId, transaction);
+    if (year) {
+        record.academicYearId = year.id;
+        if (labelField) record[labelField] = year.name;
+    }
+}
+
+/**
+ * Keep the year and label of an updated record in step: a changed ID sets the label, a
+ * changed label links the year with that name
+ */
+async function applyYearChange(record, labelField, transaction) {
+    const idChanged = record.changed('academicYearId');
+    const labelChanged = !!labelField && record.changed(labelField);
+    if (!idChanged && !labelChanged) return;
+
+    const resolved = await resolveYearLabel(record.tenantId, {
+        academicYearId: idChanged ? record.academicYearId : null,
+        label: labelChanged ? record[labelField] : null
+    }, transaction);
+    if (resolved) {
+        record.academicYearId = resolved.academicYearId;
+        if (labelField) record[labelField] = resolved.label;
+    }
+}
+
+const studentFallbackYear = async (student, transaction) => {
+    if (!student.classId) return null;
+    const cls = await Class.findOne({ where: { id: student.classId, tenantId: student.tenantId }, attributes: ['academicYearId'], transaction });
+    return cls ? cls.academicYearId : null;
+};
+
+// Attendance of several tenants can be saved together; each tenant's years are read once
+async function applyAttendanceYears(rows, transaction) {
+    const pending = rows.filter(r => !r.academicYearId && r.attendanceDate);
+    if (!pending.length) return;
+
+    const tenantIds = [...new Set(pending.map(r => r.tenantId))];
+    const years = await AcademicYear.findAll({
+        where: { tenantId: tenantIds },
+        attributes: ['id', 'tenantId', 'startDate', 'endDate'],
+        transaction
+    });
+    pending.forEach(r => {
+        const year = rangeFor(years.filter(y => y.tenantId === r.tenantId), r.attendanceDate);
+        if (year) r.academicYearId = year.id;
+    });
+}
+
+let hooksRegistered = false;
+
+/**
+ * Register the hooks that scope new records to an academic year. Called once at startup.
+ */
+function registerYearHooks() {
+    if (hooksRegistered) return;
+    hooksRegistered = true;
+
+    Class.addHook('beforeCreate', 'academicYear', (cls, options) => applyYear(cls, null, options.transaction));
+    Class.addHook('beforeUpdate', 'academicYear', (cls, options) => applyYearChange(cls, null, options.transaction));
+
+    [Exam, FeeStructure].forEach(model => {
+        const labelField = LABEL_FIELDS[model.name];
+        model.addHook('beforeCreate', 'academicYear', (record, options) => applyYear(record, labelField, options.transaction));
+        model.addHook('beforeUpdate', 'academicYear', (record, options) => applyYearChange(record, labelField, options.transaction));
+    });
+
+    Student.addHook('beforeCreate', 'academicYear', async (student, options) => {
+        const fallback = await studentFallbackYear(student, options.transaction);
+        await applyYear(student, LABEL_FIELDS.Student, options.transaction, fallback);
+    });
+    Student.addHook('beforeUpdate', 'academicYear', (student, options) => applyYearChange(student, LABEL_FIELDS.Student, options.transaction));
+    Student.addHook('afterCreate', 'academicYear', (student, options) => syncEnrollment(student, options.transaction));
+    Student.addHook('afterUpdate', 'academicYear', (student, options) => {
+        if (['academicYearId', 'classId', 'rollNumber', 'status'].some(k => student.changed(k))) {
+            return syncEnrollment(student, options.transaction);
+        }
+        return null;
+    });
+
+    Attendance.addHook('beforeCreate', 'academicYear', (row, options) => applyAttendanceYears([row], options.transaction));
+    Attendance.addHook('beforeBulkCreate', 'academicYear', (rows, options) => applyAttendanceYears(rows, options.transaction));
+}
+
+module.exports = {
+    validateYearFields,
+    validateTerms,
+    rangesOverlap,
+    rangeFor,
+    listYears,
+    getYearById,
+    getCurrentYear,
+    getCurrentYearView,
+    createYear,
+    updateYear,
+    setCurrentYear,
+    deleteYear,
+    resolveYearFilter,
+    enrolledStudentIds,
+    resolveYearLabel,
+    syncEnrollment,
+    linkRecords,
+    registerYearHooks
+};
@@ -0,0 +1,779 @@
+/**
+ * Accounting Service
+ *
+ * Double-entry bookkeeping per tenant: chart of accounts, vouchers (income, expense, journal),
+ * automatic postings for fee receipts and payroll disbursements, account ledgers and the trial
+ * balance. Every voucher is balanced and immutable; corrections are reversal vouchers.
+ */
+const { Op, fn, col } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../config/logger');
+const LedgerAccount = require('../models/LedgerAccount');
+const Voucher = require('../models/Voucher');
+const JournalLine = require('../models/JournalLine');
+const VoucherSequence = require('../models/VoucherSequence');
+const Staff = require('../models/Staff');
+const Teacher = require('../models/Teacher');
+const { toCents, fromCents } = require('../utils/feeStatus');
+const { getLossOfPayDays, lossOfPayAmount } = require('./staffAttendanceService');
+require('../models'); // register associations used by the includes below
+
+const ACCOUNT_TYPES = ['asset', 'liability', 'equity', 'income', 'expense'];
+const DEBIT_NORMAL_TYPES = ['asset', 'expense'];
+
+const VOUCHER_TYPES = ['income', 'expense', 'journal', 'fee_receipt', 'fee_refund', 'payroll', 'reversal'];
+
+const VOUCHER_SERIES = {
+    income: 'INC-',
+    expense: 'EXP-',
+    journal: 'JV-',
+    fee_receipt: 'FRV-',
+    fee_refund: 'FRF-',
+    payroll: 'PAY-',
+    reversal: 'REV-'
+};
+
+// Created for every tenant on first use; automatic postings look accounts up by systemKey
+const DEFAULT_ACCOUNTS = [
+    { systemKey: 'cash', code: '1000', name: 'Cash in Hand', type: 'asset' },
+    { systemKey: 'bank', code: '1010', name: 'Bank Account', type: 'asset' },
+    { systemKey: 'gateway_clearing', code: '1020', name: 'Payment Gateway Clearing', type: 'asset',
+        description: 'Online fee payments awaiting settlement by the gateway' },
+    { systemKey: 'opening_equity', code: '3000', name: 'Opening Balance Equity', type: 'equity' },
+    { systemKey: 'fee_income', code: '4000', name: 'Fee Income', type: 'income' },
+    { systemKey: 'other_income', code: '4900', name: 'Other Income', type: 'income' },
+    { systemKey: 'salary_expense', code: '5000', name: 'Salaries and Wages', type: 'expense' },
+    { systemKey: 'general_expense', code: '5900', name: 'General Expenses', type: 'expense' }
+];
+
+// Where money received / paid in each mode is booked
+const MODE_ACCOUNTS = {
+    cash: 'cash',
+    cheque: 'bank',
+    upi: 'bank',
+    bank_transfer: 'bank',
+    online: 'gateway_clearing'
+};
+const VOUCHER_MODES = ['cash', 'cheque', 'upi', 'bank_transfer'];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const formatVoucherNo = (series, number) => `${series}${String(number).padStart(6, '0')}`;
+
+/**
+ * Signed balance of an account from its debit / credit totals, positive on its normal side
+ */
+const normalBalance = (type, debitCents, creditCents) =>
+    (DEBIT_NORMAL_TYPES.includes(type) ? debitCents - creditCents : creditCents - debitCents);
+
+// ========== CHART OF ACCOUNTS ==========
+
+/**
+ * Create the default accounts a tenant is missing and return them by systemKey
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} transaction - Optional transaction
+ * @returns {Promise<Object>} systemKey -> LedgerAccount
+ */
+async function ensureDefaultAccounts(tenantId, transaction = null) {
+    let accounts = await LedgerAccount.findAll({ where: { tenantId, systemKey: { [Op.ne]: null } }, transaction });
+
+    if (accounts.length < DEFAULT_ACCOUNTS.length) {
+        const present = new Set(accounts.map(a => a.systemKey));
+        const usedCodes = new Set((await LedgerAccount.findAll({ where: { tenantId }, attributes: ['code'], raw: true, transaction })).map(a => a.code));
+
+        const missing = DEFAULT_ACCOUNTS.filter(a => !present.has(a.systemKey)).map(a => ({
+            ...a,
+            tenantId,
+            // A user account may already hold the default code
+            code: usedCodes.has(a.code) ? `${a.code}-SYS` : a.code
+        }));
+        // ignoreDuplicates covers a concurrent first posting of the same tenant
+        await LedgerAccount.bulkCreate(missing, { ignoreDuplicates: true, transaction });
+        accounts = await LedgerAccount.findAll({ where: { tenantId, systemKey: { [Op.ne]: null } }, transaction });
+    }
+
+    const byKey = {};
+    accounts.forEach(a => { byKey[a.systemKey] = a; });
+    return byKey;
+}
+
+async function listAccounts(tenantId, { type, isActive } = {}) {
+    await ensureDefaultAccounts(tenantId);
+
+    const where = { tenantId };
+    if (type) where.type = type;
+    if (isActive !== undefined) where.isActive = isActive;
+    return LedgerAccount.findAll({ where, order: [['code', 'ASC']] });
+}
+
+async function getAccountById(id, tenantId, transaction = null) {
+    return LedgerAccount.findOne({ where: { id, tenantId }, transaction });
+}
+
+async function validateParent(tenantId, parentId, type, selfId = null) {
+    if (!parentId) return;
+    if (parentId === selfId) {
+        throw new Error('VALIDATION_ERROR: An account cannot be its own parent');
+    }
+    const parent = await getAccountById(parentId, tenantId);
+    if (!parent) {
+        throw new Error('VALIDATION_ERROR: Parent account does not exist');
+    }
+    if (parent.type !== type) {
+        throw new Error('VALIDATION_ERROR: Parent account must be of the same type');
+    }
+}
+
+async function createAccount(tenantId, data) {
+    if (!ACCOUNT_TYPES.includes(data.type)) {
+        throw new Error(`VALIDATION_ERROR: type must be one of: ${ACCOUNT_TYPES.join(', ')}`);
+    }
+    await validateParent(tenantId, data.parentId, data.type);
+
+    return LedgerAccount.create({
+        tenantId,
+        code: data.code,
+        name: data.name,
+        type: data.type,
+        parentId: data.parentId || null,
+        description: data.description || null,
+        isActive: data.isActive !== undefined ? data.isActive : true
+    });
+}
+
+async function updateAccount(id, tenantId, updates) {
+    const account = await getAccountById(id, tenantId);
+    if (!account) return null;
+
+    const fields = {};
+    ['code', 'name', 'parentId', 'description', 'isActive'].forEach(k => {
+        if (updates[k] !== undefined) fields[k] = updates[k];
+    });
+
+    if (updates.type !== undefined && updates.type !== account.type) {
+        if (account.systemKey) {
+            throw new Error('CONFLICT: The type of a system account cannot be changed');
+        }
+        const used = await JournalLine.count({ where: { tenantId, accountId: id } });
+        if (used > 0) {
+            throw new Error('CONFLICT: The type of an account with postings cannot be changed');
+        }
+        fields.type = updates.type;
+    }
+    // Automatic postings only use active accounts, so a system account must stay active
+    if (account.systemKey && fields.isActive !== undefined && fields.isActive !== true) {
+        throw new Error('CONFLICT: System accounts are used for automatic postings and cannot be deactivated');
+    }
+
+    await validateParent(tenantId, fields.parentId, fields.type || account.type, id);
+    return account.update(fields);
+}
+
+async function deleteAccount(id, tenantId) {
+    const account = await getAccountById(id, tenantId);
+    if (!account) return null;
+
+    if (account.systemKey) {
+        throw new Error('CONFLICT: System accounts cannot be deleted');
+    }
+    const [lines, children] = await Promise.all([
+        JournalLine.count({ where: { tenantId, accountId: id } }),
+        LedgerAccount.count({ where: { tenantId, parentId: id } })
+    ]);
+    if (lines > 0 || children > 0) {
+        throw new Error('CONFLICT: Account has postings or sub-accounts; mark it inactive instead');
+    }
+
+    await account.destroy();
+    return account;
+}
+
+// ========== POSTING ==========
+
+/**
+ * Allocate the next voucher number of a series (see ReceiptSequence for the locking scheme)
+ */
+async function nextVoucherNo(tenantId, type, transaction) {
+    const series = VOUCHER_SERIES[type];
+    const lockOptions = { where: { tenantId, series }, lock: transaction.LOCK.UPDATE, transaction };
+
+    let sequence = await VoucherSequence.findOne(lockOptions);
+    if (!sequence) {
+        await VoucherSequence.bulkCreate([{ tenantId, series }], { ignoreDuplicates: true, transaction });
+        sequence = await VoucherSequence.findOne(lockOptions);
+    }
+
+    const number = sequence.lastNumber + 1;
+    await sequence.update({ lastNumber: number }, { transaction });
+    return formatVoucherNo(series, number);
+}
+
+/**
+ * Check that journal lines form a balanced entry and normalize their amounts
+ *
+ * @param {Array} lines - [{ accountId, debit, credit, narration }]
+ * @returns {Object} { lines, totalCents }
+ */
+function normalizeLines(lines) {
+    if (!Array.isArray(lines) || lines.length < 2) {
+        throw new Error('VALIDATION_ERROR: A voucher needs at least two lines');
+    }
+
+    let debitCents = 0;
+    let creditCents = 0;
+    const normalized = lines.map((line, i) => {
+        const debit = toCents(line.debit);
+        const credit = toCents(line.credit);
+        if (debit < 0 || credit < 0 || (debit > 0) === (credit > 0)) {
+            throw new Error(`VALIDATION_ERROR: Line ${i + 1} must have either a debit or a credit amount`);
+        }
+        debitCents += debit;
+        creditCents += credit;
+        return { accountId: line.accountId, debit: fromCents(debit), credit: fromCents(credit), narration: line.narration || null };
+    });
+
+    if (debitCents !== creditCents) {
+        throw new Error(`VALIDATION_ERROR: Debits (${fromCents(debitCents)}) and credits (${fromCents(creditCents)}) must be equal`);
+    }
+    return { lines: normalized, totalCents: debitCents };
+}
+
+/**
+ * Post a balanced voucher
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} data - { type, date, narration, partyName, referenceNo, sourceType, sourceId, sourceRef, reversalOfId, lines }
+ * @param {String} userId - Posting user (null for system postings)
+ * @param {Object} transaction - Transaction (required)
+ * @returns {Promise<Object>} Voucher with lines
+ */
+async function postVoucher(tenantId, data, userId, transaction) {
+    const { lines, totalCents } = normalizeLines(data.lines);
+
+    const accountIds = [...new Set(lines.map(l => l.accountId))];
+    const accounts = await LedgerAccount.findAll({
+        where: { tenantId, id: { [Op.in]: accountIds }, isActive: true },
+        attributes: ['id'],
+        transaction
+    });
+    if (accounts.length !== accountIds.length) {
+        throw new Error('VALIDATION_ERROR: One or more accounts do not exist or are inactive');
+    }
+
+    const date = data.date || today();
+    const voucher = await Voucher.create({
+        tenantId,
+        voucherNo: await nextVoucherNo(tenantId, data.type, transaction),
+        type: data.type,
+        date,
+        amount: fromCents(totalCents),
+        narration: data.narration || null,
+        partyName: data.partyName || null,
+        referenceNo: data.referenceNo || null,
+        sourceType: data.sourceType || null,
+        sourceId: data.sourceId || null,
+        sourceRef: data.sourceRef || null,
+        reversalOfId: data.reversalOfId || null,
+        createdBy: userId || null
+    }, { transaction });
+
+    voucher.lines = await JournalLine.bulkCreate(
+        lines.map(line => ({ ...line, tenantId, voucherId: voucher.id, date })),
+        { transaction }
+    );
+    return voucher;
+}
+
+/**
+ * Reverse a posted voucher: post the swapped lines as a `reversal` voucher and mark the original
+ *
+ * @param {Object} options - { reason, date, fromSource } (fromSource: called by the module that posted it)
+ * @param {Object} transaction - Optional outer transaction (fee payment reversal)
+ * @returns {Promise<Object|null>} { voucher, reversal } or null if not found
+ */
+async function reverseVoucher(id, tenantId, { reason, date, fromSource = false }, userId, transaction = null) {
+    if (!reason || !String(reason).trim()) {
+        throw new Error('VALIDATION_ERROR: reason is required to reverse a voucher');
+    }
+
+    const reverse = async (t) => {
+        const voucher = await Voucher.findOne({
+            where: { id, tenantId },
+            include: [{ model: JournalLine, as: 'lines' }],
+            lock: t.LOCK.UPDATE,
+            transaction: t
+        });
+        if (!voucher) return null;
+
+        if (voucher.status === 'reversed') {
+            throw new Error('CONFLICT: Voucher is already reversed');
+        }
+        if (voucher.type === 'reversal') {
+            throw new Error('CONFLICT: A reversal voucher cannot be reversed');
+        }
+        if (voucher.type === 'fee_receipt' && !fromSource) {
+            throw new Error('CONFLICT: Fee receipt vouchers are reversed by reversing the fee payment');
+        }
+        if (voucher.type === 'fee_refund') {
+            throw new Error('CONFLICT: Fee refund vouchers belong to a credit note and cannot be reversed');
+        }
+
+        const reversal = await postVoucher(tenantId, {
+            type: 'reversal',
+            date: date || today(),
+            narration: `Reversal of ${voucher.voucherNo}: ${String(reason).trim()}`,
+            partyName: voucher.partyName,
+            referenceNo: voucher.voucherNo,
+            sourceType: voucher.sourceType,
+            sourceId: voucher.sourceId,
+            sourceRef: voucher.sourceRef,
+            reversalOfId: voucher.id,
+            lines: voucher.lines.map(l => ({ accountId: l.accountId, debit: l.credit, credit: l.debit, narration: l.narration }))
+        }, userId, t);
+
+        await voucher.update({
+            status: 'reversed',
+            reversedAt: new Date(),
+            reversedBy: userId || null,
+            reversalReason: String(reason).trim()
+        }, { transaction: t });
+
+        return { voucher, reversal };
+    };
+
+    return transaction ? reverse(transaction) : sequelize.transaction(reverse);
+}
+
+/**
+ * Resolve the cash / bank side of an income or expense voucher
+ */
+async function resolveMoneyAccount(tenantId, { mode, cashAccountId }, systemAccounts, transaction) {
+    if (cashAccountId) {
+        const account = await getAccountById(cashAccountId, tenantId, transaction);
+        if (!account || account.type !== 'asset') {
+            throw new Error('VALIDATION_ERROR: cashAccountId must be an asset account (cash or bank)');
+        }
+        return account;
+    }
+    if (!VOUCHER_MODES.includes(mode)) {
+        throw new Error(`VALIDATION_ERROR: mode must be one of: ${VOUCHER_MODES.join(', ')} (or pass cashAccountId)`);
+    }
+    return systemAccounts[MODE_ACCOUNTS[mode]];
+}
+
+/**
+ * Income or expense voucher: money in to / out of a cash or bank account
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} type - 'income' or 'expense'
+ * @param {Object} data - { accountId, amount, date, mode | cashAccountId, narration, partyName, referenceNo }
+ * @param {String} userId - Posting user
+ */
+async function createCashVoucher(tenantId, type, data, userId) {
+    if (toCents(data.amount) <= 0) {
+        throw new Error('VALIDATION_ERROR: amount must be greater than zero');
+    }
+
+    return sequelize.transaction(async (transaction) => {
+        const systemAccounts = await ensureDefaultAccounts(tenantId, transaction);
+
+        const account = data.accountId
+            ? await getAccountById(data.accountId, tenantId, transaction)
+            : systemAccounts[type === 'income' ? 'other_income' : 'general_expense'];
+        if (!account || account.type !== type) {
+            throw new Error(`VALIDATION_ERROR: accountId must be an ${type} account`);
+        }
+
+        const moneyAccount = await resolveMoneyAccount(tenantId, data, systemAccounts, transaction);
+        const amount = fromCents(toCents(data.amount));
+        const lines = type === 'income'
+            ? [{ accountId: moneyAccount.id, debit: amount }, { accountId: account.id, credit: amount }]
+            : [{ accountId: account.id, debit: amount }, { accountId: moneyAccount.id, credit: amount }];
+
+        const voucher = await postVoucher(tenantId, {
+            type,
+            date: data.date,
+            narration: data.narration,
+            partyName: data.partyName,
+            referenceNo: data.referenceNo,
+            lines
+        }, userId, transaction);
+
+        logger.info(`[ACCOUNTING] ${voucher.voucherNo} ${type} ${amount} posted to ${account.code}`);
+        return voucher;
+    });
+}
+
+async function createIncomeVoucher(tenantId, data, userId) {
+    return createCashVoucher(tenantId, 'income', data, userId);
+}
+
+async function createExpenseVoucher(tenantId, data, userId) {
+    return createCashVoucher(tenantId, 'expense', data, userId);
+}
+
+/**
+ * Free-form journal voucher (adjustments, opening balances, transfers between accounts)
+ */
+async function createJournalVoucher(tenantId, data, userId) {
+    return sequelize.transaction(async (transaction) => {
+        await ensureDefaultAccounts(tenantId, transaction);
+        return postVoucher(tenantId, {
+            type: 'journal',
+            date: data.date,
+            narration: data.narration,
+            referenceNo: data.referenceNo,
+            lines: data.lines
+        }, userId, transaction);
+    });
+}
+
+// ========== AUTOMATIC POSTINGS ==========
+
+/**
+ * Post a collected fee payment: debit cash / bank / gateway clearing, credit fee income.
+ * Runs inside the collection transaction so the ledger and the books cannot drift apart.
+ *
+ * @param {Object} payment - FeePayment just created
+ * @param {Object} transaction - Collection transaction
+ */
+async function postFeeReceipt(payment, transaction) {
+    const accounts = await ensureDefaultAccounts(payment.tenantId, transaction);
+    const moneyAccount = accounts[MODE_ACCOUNTS[payment.mode]];
+
+    return postVoucher(payment.tenantId, {
+        type: 'fee_receipt',
+        date: payment.paidOn,
+        narration: `Fee receipt ${payment.receiptNo} (${payment.mode})`,
+        referenceNo: payment.receiptNo,
+        sourceType: 'fee_payment',
+        sourceId: payment.id,
+        lines: [
+            { accountId: moneyAccount.id, debit: payment.amount },
+            { accountId: accounts.fee_income.id, credit: payment.amount }
+        ]
+    }, payment.collectedBy, transaction);
+}
+
+/**
+ * Reverse the voucher of a reversed fee payment. Payments collected before accounting
+ * was enabled have no voucher and are skipped.
+ */
+async function postFeeReversal(payment, transaction) {
+    const voucher = await Voucher.findOne({
+        where: { tenantId: payment.tenantId, sourceType: 'fee_payment', sourceId: payment.id, type: 'fee_receipt', status: 'posted' },
+        attributes: ['id'],
+        transaction
+    });
+    if (!voucher) return null;
+
+    return reverseVoucher(voucher.id, payment.tenantId, {
+        reason: payment.reversalReason,
+        date: today(),
+        fromSource: true
+    }, payment.reversedBy, transaction);
+}
+
+/**
+ * Post the refund of a credit note: debit fee income, credit the account the money left from.
+ * Runs inside the credit note transaction.
+ *
+ * @param {Object} creditNote - CreditNote just created (type refund)
+ * @param {Object} transaction - Credit note transaction
+ */
+async function postFeeRefund(creditNote, transaction) {
+    const accounts = await ensureDefaultAccounts(creditNote.tenantId, transaction);
+    const moneyAccount = accounts[MODE_ACCOUNTS[creditNote.refundMode]];
+
+    return postVoucher(creditNote.tenantId, {
+        type: 'fee_refund',
+        date: creditNote.issueDate,
+        narration: `Fee refund ${creditNote.creditNoteNo} (${creditNote.refundMode})`,
+        referenceNo: creditNote.refundReference || creditNote.creditNoteNo,
+        sourceType: 'credit_note',
+        sourceId: creditNote.id,
+        lines: [
+            { accountId: accounts.fee_income.id, debit: creditNote.amount },
+            { accountId: moneyAccount.id, credit: creditNote.amount }
+        ]
+    }, creditNote.createdBy, transaction);
+}
+
+/**
+ * Disburse a month's salary to a staff member or teacher: debit salaries, credit cash / bank.
+ * One disbursement per employee per period; reverse it to pay again.
+ * With applyLossOfPay (and no amount), the basic salary is cut pro rata for the loss-of-pay
+ * days of the period's staff attendance sheet.
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} data - { employeeType: staff|teacher, employeeId, period: YYYY-MM, amount (default basicSalary), applyLossOfPay, mode | cashAccountId, date, referenceNo, narration }
+ * @param {String} userId - Posting user
+ * @returns {Promise<Object>} Voucher
+ */
+async function disbursePayroll(tenantId, data, userId) {
+    const Model = data.employeeType === 'teacher' ? Teacher : Staff;
+    const employee = await Model.findOne({
+        where: { id: data.employeeId, tenantId },
+        attributes: ['id', 'firstName', 'lastName', 'basicSalary']
+    });
+    if (!employee) {
+        throw new Error(`NOT_FOUND: ${data.employeeType === 'teacher' ? 'Teacher' : 'Staff member'} not found`);
+    }
+
+    const amountGiven = data.amount !== undefined && data.amount !== null;
+    let amount = amountGiven ? data.amount : employee.basicSalary;
+    if (toCents(amount) <= 0) {
+        throw new Error('VALIDATION_ERROR: amount is required when the employee has no basic salary');
+    }
+
+    let lopNote = '';
+    if (data.applyLossOfPay && !amountGiven) {
+        const { lopDays, daysInMonth } = await getLossOfPayDays(tenantId, data.employeeType, employee.id, data.period);
+        if (lopDays > 0) {
+            amount = fromCents(toCents(amount) - toCents(lossOfPayAmount(amount, lopDays, daysInMonth)));
+            lopNote = ` (less ${lopDays} loss-of-pay day${lopDays === 1 ? '' : 's'})`;
+        }
+        if (toCents(amount) <= 0) {
+            throw new Error(`VALIDATION_ERROR: Nothing to pay for ${data.period} after ${lopDays} loss-of-pay days`);
+        }
+    }
+
+    return sequelize.transaction(async (transaction) => {
+        const existing = await Voucher.findOne({
+            where: { tenantId, type: 'payroll', sourceId: employee.id, sourceRef: data.period, status: 'posted' },
+            attributes: ['voucherNo'],
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+        if (existing) {
+            throw new Error(`CONFLICT: Salary for ${data.period} was already disbursed (${existing.voucherNo})`);
+        }
+
+        const accounts = await ensureDefaultAccounts(tenantId, transaction);
+        const moneyAccount = await resolveMoneyAccount(tenantId, data, accounts, transaction);
+        const name = [employee.firstName, employee.lastName].filter(Boolean).join(' ');
+
+        const voucher = await postVoucher(tenantId, {
+            type: 'payroll',
+            date: data.date,
+            narration: data.narration || `Salary for ${data.period}${lopNote}`,
+            partyName: name,
+            referenceNo: data.referenceNo,
+            sourceType: data.employeeType === 'teacher' ? 'payroll_teacher' : 'payroll_staff',
+            sourceId: employee.id,
+            sourceRef: data.period,
+            lines: [
+                { accountId: accounts.salary_expense.id, debit: amount },
+                { accountId: moneyAccount.id, credit: amount }
+            ]
+        }, userId, transaction);
+
+        logger.info(`[ACCOUNTING] ${voucher.voucherNo} salary ${voucher.amount} for ${data.period} to ${data.employeeType} ${employee.id}`);
+        return voucher;
+    });
+}
+
+// ========== READS ==========
+
+const VOUCHER_INCLUDE = [{
+    model: JournalLine,
+    as: 'lines',
+    include: [{ model: LedgerAccount, as: 'account', attributes: ['id', 'code', 'name', 'type'] }]
+}];
+
+async function listVouchers(tenantId, { page = 1, limit = 20, type, status, from, to, sourceType, sourceId } = {}) {
+    const where = { tenantId };
+    if (type) where.type = type;
+    if (status) where.status = status;
+    if (sourceType) where.sourceType = sourceType;
+    if (sourceId) where.sourceId = sourceId;
+    if (from || to) {
+        where.date = {};
+        if (from) where.date[Op.gte] = from;
+        if (to) where.date[Op.lte] = to;
+    }
+
+    return Voucher.findAndCountAll({
+        where,
+        include: VOUCHER_INCLUDE,
+        distinct: true,
+        limit,
+        offset: (page - 1) * limit,
+        order: [['date', 'DESC'], ['createdAt', 'DESC']]
+    });
+}
+
+async function getVoucherById(id, tenantId) {
+    return Voucher.findOne({ where: { id, tenantId }, include: VOUCHER_INCLUDE });
+}
+
+/**
+ * Journal (day book): every line in date order with its voucher
+ */
+async function listJournal(tenantId, { page = 1, limit = 50, from, to, accountId } = {}) {
+    const where = { tenantId };
+    if (accountId) where.accountId = accountId;
+    if (from || to) {
+        where.date = {};
+        if (from) where.date[Op.gte] = from;
+        if (to) where.date[Op.lte] = to;
+    }
+
+    return JournalLine.findAndCountAll({
+        where,
+        include: [
+            { model: Voucher, as: 'voucher', attributes: ['id', 'voucherNo', 'type', 'narration', 'partyName', 'referenceNo', 'status'] },
+            { model: LedgerAccount, as: 'account', attributes: ['id', 'code', 'name', 'type'] }
+        ],
+        limit,
+        offset: (page - 1) * limit,
+        order: [['date', 'ASC'], ['createdAt', 'ASC']]
+    });
+}
+
+/**
+ * Ledger of one account: opening balance, lines with a running balance and the closing balance
+ */
+async function getAccountLedger(accountId, tenantId, { from, to } = {}) {
+    const account = await getAccountById(accountId, tenantId);
+    if (!account) return null;
+
+    let openingCents = 0;
+    if (from) {
+        const [opening] = await JournalLine.findAll({
+            where: { tenantId, accountId, date: { [Op.lt]: from } },
+            attributes: [[fn('SUM', col('debit')), 'debit'], [fn('SUM', col('credit')), 'credit']],
+            raw: true
+        });
+        openingCents = normalBalance(account.type, toCents(opening && opening.debit), toCents(opening && opening.credit));
+    }
+
+    const where = { tenantId, accountId };
+    if (from || to) {
+        where.date = {};
+        if (from) where.date[Op.gte] = from;
+        if (to) where.date[Op.lte] = to;
+    }
+    const lines = await JournalLine.findAll({
+        where,
+        include: [{ model: Voucher, as: 'voucher', attributes: ['id', 'voucherNo', 'type', 'narration', 'partyName'] }],
+        order: [['date', 'ASC'], ['createdAt', 'ASC']]
+    });
+
+    let balance = openingCents;
+    const entries = lines.map(line => {
+        balance += normalBalance(account.type, toCents(line.debit), toCents(line.credit));
+        return {
+            id: line.id,
+            date: line.date,
+            voucher: line.voucher,
+            narration: line.narration,
+            debit: line.debit,
+            credit: line.credit,
+            balance: fromCents(balance)
+        };
+    });
+
+    return { account, openingBalance: fromCents(openingCents), entries, closingBalance: fromCents(balance) };
+}
+
+/**
+ * Build trial balance rows from per-account debit / credit totals.
+ * Each account's net balance goes in the debit or the credit column; both columns must agree.
+ *
+ * @param {Array} accounts - [{ id, code, name, type }]
+ * @param {Array} sums - [{ accountId, debit, credit }]
+ * @returns {Object} { rows, totals, balanced }
+ */
+function buildTrialBalance(accounts, sums) {
+    const sumsByAccount = new Map(sums.map(s => [s.accountId, s]));
+    let debitTotal = 0;
+    let creditTotal = 0;
+
+    const rows = accounts
+        .map(account => {
+            const sum = sumsByAccount.get(account.id);
+            if (!sum) return null;
+            const net = toCents(sum.debit) - toCents(sum.credit);
+            if (net === 0) return null;
+
+            debitTotal += Math.max(net, 0);
+            creditTotal += Math.max(-net, 0);
+            return {
+                accountId: account.id,
+                code: account.code,
+                name: account.name,
+                type: account.type,
+                debit: net > 0 ? fromCents(net) : '',
+                credit: net < 0 ? fromCents(-net) : ''
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.code.localeCompare(b.code, undefined, { numeric: true }));
+
+    return {
+        rows,
+        totals: { code: 'Total', debit: fromCents(debitTotal), credit: fromCents(creditTotal) },
+        balanced: debitTotal === creditTotal
+    };
+}
+
+/**
+ * Trial balance as of a date, in the report shape used by utils/exportHelper
+ */
+async function trialBalance(tenantId, { asOf = today() } = {}) {
+    const [accounts, sums] = await Promise.all([
+        LedgerAccount.findAll({ where: { tenantId }, attributes: ['id', 'code', 'name', 'type'], raw: true }),
+        JournalLine.findAll({
+            where: { tenantId, date: { [Op.lte]: asOf } },
+            attributes: ['accountId', [fn('SUM', col('debit')), 'debit'], [fn('SUM', col('credit')), 'credit']],
+            group: ['accountId'],
+            raw: true
+        })
+    ]);
+
+    const { rows, totals, balanced } = buildTrialBalance(accounts, sums);
+    return {
+        title: 'Trial Balance',
+        subtitle: `As of ${asOf}`,
+        columns: [
+            { key: 'code', label: 'Code', width: 0.7 },
+            { key: 'name', label: 'Account', width: 2.5 },
+            { key: 'type', label: 'Type', width: 0.8 },
+            { key: 'debit', label: 'Debit', align: 'right' },
+            { key: 'credit', label: 'Credit', align: 'right' }
+        ],
+        rows,
+        totals,
+        balanced
+    };
+}
+
+module.exports = {
+    ACCOUNT_TYPES,
+    VOUCHER_TYPES,
+    VOUCHER_MODES,
+    ensureDefaultAccounts,
+    listAccounts,
+    getAccountById,
+    createAccount,
+    updateAccount,
+    deleteAccount,
+    postVoucher,
+    reverseVoucher,
+    createIncomeVoucher,
+    createExpenseVoucher,
+    createJournalVoucher,
+    postFeeReceipt,
+    postFeeReversal,
+    postFeeRefund,
+    disbursePayroll,
+    listVouchers,
+    getVoucherById,
+    listJournal,
+    getAccountLedger,
+    trialBalance,
+    normalizeLines,
+    buildTrialBalance
+};
@@ -0,0 +1,362 @@
+/**
+ * Attendance Analytics Service
+ *
+ * Attendance percentages of students and classes over a date range (for a term, its first
+ * and last day), computed from the daily Attendance rows. Present and late days count as
+ * attended, absent and excused days as missed; days without a record are not counted.
+ *
+ * Against the tenant's thresholds (AttendanceSetting) each student is:
+ *   - `below`    under minAttendancePercent
+ *   - `at_risk`  less than attendanceWarningMargin points above it, or under it over the
+ *                last RECENT_WINDOW_DAYS of the range (trending down)
+ *   - `ok`       otherwise
+ * and a chronic absentee when they missed at least chronicAbsencePercent of their days.
+ *
+ * Students are the active students currently in a class. Every report is returned as
+ * { title, subtitle, columns, rows, totals } like feeReportService, so it can be exported
+ * by utils/exportHelper (CSV / PDF).
+ */
+const { Op, fn, col } = require('sequelize');
+const Attendance = require('../models/Attendance');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const AcademicYear = require('../models/AcademicYear');
+const Parent = require('../models/Parent');
+const ParentStudent = require('../models/ParentStudent');
+const { getSettings } = require('./attendanceService');
+const { localClock } = require('./staffAttendanceService');
+require('../models'); // register associations used by the includes below
+
+const STANDINGS = ['below', 'at_risk', 'ok'];
+
+// Recent attendance is the last 30 days of the range
+const RECENT_WINDOW_DAYS = 30;
+
+const addDays = (date, days) => {
+    const d = new Date(`${date}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+};
+
+const studentName = (s) => s.studentName || [s.firstName, s.lastName].filter(Boolean).join(' ');
+
+const className = (c) => (c ? [c.className, c.section].filter(Boolean).join(' ') : '');
+
+// ========== PURE HELPERS ==========
+
+/**
+ * Percentage with one decimal, or null when there is nothing to divide by
+ */
+function percentOf(part, whole) {
+    return whole > 0 ? Math.round((part * 1000) / whole) / 10 : null;
+}
+
+/**
+ * The date range of a report
+ *
+ * @param {Object} range - { from, to } (YYYY-MM-DD, optional)
+ * @param {String} today - Today in the tenant's time zone
+ * @param {String} yearStart - Start of the academic year holding the end date, if any
+ * @returns {Object} { start, end } - defaults to the start of the academic year (else 1 January of the end year) through today
+ */
+function resolveRange({ from, to } = {}, today, yearStart = null) {
+    const end = to ? String(to).slice(0, 10) : today;
+    const start = from ? String(from).slice(0, 10) : (yearStart || `${end.slice(0, 4)}-01-01`);
+    if (start > end) {
+        throw new Error('VALIDATION_ERROR: from must not be after to');
+    }
+    return { start, end };
+}
+
+/**
+ * Attendance figures of one student against the tenant's thresholds
+ *
+ * @param {Object} counts - { present, late, absent, excused } over the whole range
+ * @param {Object} recent - The same counts over the last RECENT_WINDOW_DAYS of the range
+ * @param {Object} thresholds - { minAttendancePercent, attendanceWarningMargin, chronicAbsencePercent }
+ * @returns {Object} { markedDays, attendedDays, missedDays, percentage, recentPercentage, standing, chronic }
+ */
+function summarizeStudent(counts, recent, thresholds) {
+    const tally = (c) => {
+        const attended = (c.present || 0) + (c.late || 0);
+        const missed = (c.absent || 0) + (c.excused || 0);
+        return { attended, missed, marked: attended + missed };
+    };
+    const all = tally(counts);
+    const last = tally(recent || {});
+
+    const percentage = percentOf(all.attended, all.marked);
+    const recentPercentage = percentOf(last.attended, last.marked);
+    const { minAttendancePercent, attendanceWarningMargin, chronicAbsencePercent } = thresholds;
+
+    let standing = null;
+    if (percentage !== null) {
+        if (percentage < minAttendancePercent) {
+            standing = 'below';
+        } else if (percentage < minAttendancePercent + attendanceWarningMargin
+            || (recentPercentage !== null && recentPercentage < minAttendancePercent)) {
+            standing = 'at_risk';
+        } else {
+            standing = 'ok';
+        }
+    }
+
+    return {
+        markedDays: all.marked,
+        attendedDays: all.attended,
+        missedDays: all.missed,
+        present: counts.present || 0,
+        late: counts.late || 0,
+        absent: counts.absent || 0,
+        excused: counts.excused || 0,
+        percentage,
+        recentPercentage,
+        standing,
+        chronic: all.marked > 0 && all.missed * 100 >= chronicAbsencePercent * all.marked
+    };
+}
+
+/**
+ * Roll student figures up to their class
+ *
+ * @param {Array} students - summarizeStudent results
+ * @returns {Object} { students, markedDays, attendedDays, percentage, averagePercentage, below, atRisk, chronic }
+ */
+function summarizeClass(students) {
+    const withData = students.filter(s => s.percentage !== null);
+    const markedDays = students.reduce((sum, s) => sum + s.markedDays, 0);
+    const attendedDays = students.reduce((sum, s) => sum + s.attendedDays, 0);
+    return {
+        students: students.length,
+        markedDays,
+        attendedDays,
+        percentage: percentOf(attendedDays, markedDays),
+        averagePercentage: withData.length === 0
+            ? null
+            : Math.round((withData.reduce((sum, s) => sum + s.percentage, 0) * 10) / withData.length) / 10,
+        below: students.filter(s => s.standing === 'below').length,
+        atRisk: students.filter(s => s.standing === 'at_risk').length,
+        chronic: students.filter(s => s.chronic).length
+    };
+}
+
+// ========== LOADING ==========
+
+/**
+ * Status counts per student, as { studentId: { present, late, absent, excused } }
+ */
+async function countByStudent(tenantId, studentIds, start, end) {
+    if (studentIds.length === 0) return {};
+    const groups = await Attendance.findAll({
+        where: { tenantId, studentId: { [Op.in]: studentIds }, attendanceDate: { [Op.between]: [start, end] } },
+        attributes: ['studentId', 'status', [fn('COUNT', col('id')), 'days']],
+        group: ['studentId', 'status'],
+        raw: true
+    });
+
+    const counts = {};
+    groups.forEach(g => {
+        if (!counts[g.studentId]) counts[g.studentId] = {};
+        counts[g.studentId][g.status] = Number(g.days);
+    });
+    return counts;
+}
+
+/**
+ * Every active student in scope with their figures over the range
+ *
+ * @param {Object} options - { classId, classIds (teacher restriction, null = all), from, to }
+ * @returns {Promise<Object>} { start, end, settings, classes, students }
+ */
+async function loadStudentFigures(tenantId, { classId, classIds = null, from, to } = {}) {
+    const settings = await getSettings(tenantId);
+    const today = localClock(new Date(), settings.timezone).date;
+    const last = to ? String(to).slice(0, 10) : today;
+    const year = from ? null : await AcademicYear.findOne({
+        where: { tenantId, startDate: { [Op.lte]: last }, endDate: { [Op.gte]: last } },
+        attributes: ['startDate']
+    });
+    const { start, end } = resolveRange({ from, to }, today, year ? String(year.startDate).slice(0, 10) : null);
+
+    if (classId && classIds && !classIds.includes(classId)) {
+        throw new Error('INSUFFICIENT_PERMISSIONS: You are not assigned to this class');
+    }
+    const classWhere = { tenantId };
+    if (classId) classWhere.id = classId;
+    else if (classIds) classWhere.id = { [Op.in]: classIds };
+
+    const classes = await Class.findAll({ where: classWhere, attributes: ['id', 'className', 'section'], order: [['className', 'ASC'], ['section', 'ASC']] });
+    if (classId && classes.length === 0) {
+        throw new Error('NOT_FOUND: Class not found');
+    }
+
+    const students = classes.length === 0 ? [] : await Student.findAll({
+        where: { tenantId, status: 'active', classId: { [Op.in]: classes.map(c => c.id) } },
+        attributes: ['id', 'classId', 'admissionNo', 'rollNumber', 'firstName', 'lastName', 'studentName'],
+        order: [['rollNumber', 'ASC'], ['firstName', 'ASC'], ['lastName', 'ASC']]
+    });
+    const studentIds = students.map(s => s.id);
+
+    const recentStart = addDays(end, -(RECENT_WINDOW_DAYS - 1));
+    const [counts, recentCounts] = await Promise.all([
+        countByStudent(tenantId, studentIds, start, end),
+        countByStudent(tenantId, studentIds, recentStart > start ? recentStart : start, end)
+    ]);
+
+    const classById = new Map(classes.map(c => [c.id, c]));
+    const figures = students.map(s => ({
+        studentId: s.id,
+        classId: s.classId,
+        admissionNo: s.admissionNo,
+        rollNumber: s.rollNumber,
+        studentName: studentName(s),
+        className: className(classById.get(s.classId)),
+        ...summarizeStudent(counts[s.id] || {}, recentCounts[s.id], settings)
+    }));
+
+    return { start, end, settings, classes, students: figures };
+}
+
+const thresholdNote = (settings) => `minimum ${settings.minAttendancePercent}%, warning below ${settings.minAttendancePercent + settings.attendanceWarningMargin}%`;
+
+const STUDENT_COLUMNS = [
+    { key: 'admissionNo', label: 'Admission No', width: 1 },
+    { key: 'rollNumber', label: 'Roll', align: 'right', width: 0.5 },
+    { key: 'studentName', label: 'Student', width: 1.8 },
+    { key: 'className', label: 'Class', width: 0.9 },
+    { key: 'markedDays', label: 'Days', align: 'right', width: 0.6 },
+    { key: 'present', label: 'Present', align: 'right', width: 0.7 },
+    { key: 'late', label: 'Late', align: 'right', width: 0.6 },
+    { key: 'absent', label: 'Absent', align: 'right', width: 0.7 },
+    { key: 'excused', label: 'Excused', align: 'right', width: 0.7 },
+    { key: 'percentage', label: 'Attendance %', align: 'right', width: 0.9 },
+    { key: 'recentPercentage', label: `Last ${RECENT_WINDOW_DAYS} Days %`, align: 'right', width: 0.9 },
+    { key: 'standing', label: 'Standing', width: 0.8 }
+];
+
+// ========== REPORTS ==========
+
+/**
+ * Attendance percentage of every student in scope
+ *
+ * @param {Object} options - { classId, classIds, from, to, standing }
+ */
+async function studentReport(tenantId, { standing, ...options } = {}) {
+    if (standing && !STANDINGS.includes(standing)) {
+        throw new Error(`VALIDATION_ERROR: standing must be one of: ${STANDINGS.join(', ')}`);
+    }
+    const { start, end, settings, students } = await loadStudentFigures(tenantId, options);
+    const rows = standing ? students.filter(s => s.standing === standing) : students;
+
+    return {
+        title: 'Student Attendance',
+        subtitle: `${start} to ${end}; ${thresholdNote(settings)}${standing ? `; ${standing.replace('_', ' ')} only` : ''}`,
+        from: start,
+        to: end,
+        thresholds: {
+            minAttendancePercent: settings.minAttendancePercent,
+            attendanceWarningMargin: settings.attendanceWarningMargin,
+            chronicAbsencePercent: settings.chronicAbsencePercent
+        },
+        columns: STUDENT_COLUMNS,
+        rows,
+        totals: { admissionNo: 'Total', studentName: `${rows.length} students`, ...summarizeClass(rows) }
+    };
+}
+
+/**
+ * Attendance of each class in scope, with how many of its students are below, at risk or chronic
+ *
+ * @param {Object} options - { classIds, from, to }
+ */
+async function classReport(tenantId, options = {}) {
+    const { start, end, settings, classes, students } = await loadStudentFigures(tenantId, { ...options, classId: null });
+
+    const byClass = new Map(classes.map(c => [c.id, []]));
+    students.forEach(s => byClass.get(s.classId).push(s));
+    const rows = classes.map(c => ({ classId: c.id, className: className(c), ...summarizeClass(byClass.get(c.id)) }));
+
+    return {
+        title: 'Class Attendance',
+        subtitle: `${start} to ${end}; ${thresholdNote(settings)}`,
+        from: start,
+        to: end,
+        columns: [
+            { key: 'className', label: 'Class', width: 1.2 },
+            { key: 'students', label: 'Students', align: 'right', width: 0.7 },
+            { key: 'markedDays', label: 'Student Days', align: 'right', width: 0.9 },
+            { key: 'percentage', label: 'Attendance %', align: 'right', width: 0.9 },
+            { key: 'averagePercentage', label: 'Average Student %', align: 'right', width: 1 },
+            { key: 'below', label: 'Below Minimum', align: 'right', width: 0.9 },
+            { key: 'atRisk', label: 'At Risk', align: 'right', width: 0.7 },
+            { key: 'chronic', label: 'Chronic Absentees', align: 'right', width: 1 }
+        ],
+        rows,
+        totals: { className: 'Total', ...summarizeClass(students) }
+    };
+}
+
+/**
+ * Chronic absentees in scope, most days missed first, with their primary parent contact
+ *
+ * @param {Object} options - { classId, classIds, from, to }
+ */
+async function chronicAbsenteeReport(tenantId, options = {}) {
+    const { start, end, settings, students } = await loadStudentFigures(tenantId, options);
+    const chronic = students.filter(s => s.chronic).sort((a, b) => b.missedDays - a.missedDays || a.percentage - b.percentage);
+
+    const links = chronic.length === 0 ? [] : await ParentStudent.findAll({
+        where: { tenantId, studentId: { [Op.in]: chronic.map(s => s.studentId) } },
+        attributes: ['studentId', 'relation', 'isPrimary'],
+        include: [{ model: Parent, as: 'parent', attributes: ['name', 'phone', 'email'], where: { status: 'active' } }],
+        order: [['isPrimary', 'DESC']]
+    });
+    const primaryByStudent = new Map();
+    links.forEach(link => {
+        if (!primaryByStudent.has(link.studentId)) primaryByStudent.set(link.studentId, link);
+    });
+
+    const rows = chronic.map(s => {
+        const primary = primaryByStudent.get(s.studentId);
+        return {
+            ...s,
+            parentName: primary ? `${primary.parent.name} (${primary.relation})` : '',
+            parentPhone: primary ? primary.parent.phone : '',
+            parentEmail: primary ? primary.parent.email || '' : ''
+        };
+    });
+
+    return {
+        title: 'Chronic Absentees',
+        subtitle: `Students who missed at least ${settings.chronicAbsencePercent}% of their days, ${start} to ${end}`,
+        from: start,
+        to: end,
+        columns: [
+            { key: 'admissionNo', label: 'Admission No', width: 1 },
+            { key: 'studentName', label: 'Student', width: 1.6 },
+            { key: 'className', label: 'Class', width: 0.8 },
+            { key: 'markedDays', label: 'Days', align: 'right', width: 0.5 },
+            { key: 'absent', label: 'Absent', align: 'right', width: 0.6 },
+            { key: 'excused', label: 'Excused', align: 'right', width: 0.6 },
+            { key: 'percentage', label: 'Attendance %', align: 'right', width: 0.8 },
+            { key: 'standing', label: 'Standing', width: 0.7 },
+            { key: 'parentName', label: 'Parent', width: 1.5 },
+            { key: 'parentPhone', label: 'Phone', width: 1 },
+            { key: 'parentEmail', label: 'Email', width: 1.5 }
+        ],
+        rows,
+        totals: { admissionNo: 'Total', studentName: `${rows.length} students` }
+    };
+}
+
+module.exports = {
+    STANDINGS,
+    RECENT_WINDOW_DAYS,
+    percentOf,
+    resolveRange,
+    summarizeStudent,
+    summarizeClass,
+    studentReport,
+    classReport,
+    chronicAbsenteeReport
+};
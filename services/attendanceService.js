@@ -0,0 +1,852 @@
+/**
+ * Attendance Service
+ *
+ * Class-wise daily attendance: a teacher loads the roster of a class for a date and marks
+ * every student in one request. There is one row per student per day (unique index on
+ * tenantId + studentId + attendanceDate); marking again updates the existing rows.
+ *
+ * A date can be marked or edited from the day itself until `editWindowDays` days after it
+ * (AttendanceSetting). Admins are not bound by the window so they can correct old records.
+ *
+ * Classes in 'period' mode (Class.attendanceMode, else AttendanceSetting.mode) are marked per
+ * timetable period instead (PeriodAttendance). Their daily rows are derived from the periods
+ * by the tenant's daily status rule and rewritten every time a period is marked.
+ */
+const { Op, fn, col } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../config/logger');
+const Attendance = require('../models/Attendance');
+const AttendanceSetting = require('../models/AttendanceSetting');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const TimetableSlot = require('../models/TimetableSlot');
+const PeriodAttendance = require('../models/PeriodAttendance');
+const { isoWeekday, slotsForDate } = require('./timetableService');
+const { studentsOnLeave } = require('./studentLeaveService');
+require('../models'); // register associations used by the includes below
+
+const ATTENDANCE_STATUSES = ['present', 'absent', 'late', 'excused'];
+
+const ATTENDANCE_MODES = ['daily', 'period'];
+const DAILY_STATUS_RULES = ['missed_share', 'first_period'];
+const ALERT_CHANNELS = ['sms', 'email'];
+
+const DEFAULT_SETTINGS = {
+    editWindowDays: 2,
+    mode: 'daily',
+    dailyStatusRule: 'missed_share',
+    absentThresholdPercent: 50,
+    timezone: 'UTC',
+    weeklyOffDays: [7],
+    absenceAlerts: true,
+    alertChannels: ['sms', 'email'],
+    quietHoursStart: null,
+    quietHoursEnd: null,
+    minAttendancePercent: 75,
+    attendanceWarningMargin: 5,
+    chronicAbsencePercent: 10
+};
+const MAX_EDIT_WINDOW_DAYS = 365;
+
+// Today in the tenant's time zone (settings from getSettings). Required lazily:
+// staffAttendanceService loads this module for getSettings
+const todayFor = (settings) => require('./staffAttendanceService').localClock(new Date(), settings.timezone).date;
+
+const addDays = (date, days) => {
+    const d = new Date(`${String(date).slice(0, 10)}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+};
+
+const studentName = (s) => s.studentName || [s.firstName, s.lastName].filter(Boolean).join(' ');
+
+// ========== PURE HELPERS ==========
+
+/**
+ * Whether attendance for a date can still be marked or edited
+ *
+ * @param {String} date - Attendance date (YYYY-MM-DD)
+ * @param {Number} editWindowDays - Days after the date during which edits are allowed
+ * @param {String} asOf - Today in the tenant's time zone (YYYY-MM-DD)
+ * @returns {Object} { editable, editableUntil, reason }
+ */
+function editWindowFor(date, editWindowDays, asOf) {
+    const day = String(date).slice(0, 10);
+    const editableUntil = addDays(day, editWindowDays);
+
+    if (day > asOf) {
+        return { editable: false, editableUntil, reason: 'Attendance cannot be marked for a future date' };
+    }
+    if (asOf > editableUntil) {
+        return { editable: false, editableUntil, reason: `Attendance for ${day} could only be changed until ${editableUntil}` };
+    }
+    return { editable: true, editableUntil, reason: null };
+}
+
+/**
+ * Work out which rows a class marking creates and updates
+ *
+ * Every student on the roster must be covered, either by a record or by defaultStatus.
+ *
+ * @param {Array} studentIds - Active students of the class
+ * @param {Array} records - [{ studentId, status, remarks }]
+ * @param {String} defaultStatus - Status for students without a record (optional)
+ * @param {Map} existingByStudent - studentId -> existing Attendance row for the date
+ * @param {Set} onLeave - Students on approved leave; without a record they are excused
+ * @returns {Object} { toCreate: [{ studentId, status, remarks }], toUpdate: [{ row, status, remarks }], unchanged }
+ */
+function planMarking(studentIds, records = [], defaultStatus, existingByStudent = new Map(), onLeave = new Set()) {
+    const roster = new Set(studentIds);
+    const byStudent = new Map();
+
+    records.forEach(({ studentId, status, remarks }) => {
+        if (!roster.has(studentId)) {
+            throw new Error(`VALIDATION_ERROR: Student ${studentId} is not an active student of this class`);
+        }
+        if (byStudent.has(studentId)) {
+            throw new Error(`VALIDATION_ERROR: Student ${studentId} is listed more than once`);
+        }
+        if (!ATTENDANCE_STATUSES.includes(status)) {
+            throw new Error(`VALIDATION_ERROR: status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`);
+        }
+        byStudent.set(studentId, { status, remarks: remarks === undefined ? undefined : remarks || null });
+    });
+
+    const missing = studentIds.filter(id => !byStudent.has(id) && !onLeave.has(id));
+    if (missing.length > 0 && !defaultStatus) {
+        throw new Error(`VALIDATION_ERROR: ${missing.length} student(s) of the class have no status; mark them or pass defaultStatus`);
+    }
+
+    const toCreate = [];
+    const toUpdate = [];
+    let unchanged = 0;
+
+    studentIds.forEach(studentId => {
+        const entry = byStudent.get(studentId)
+            || (onLeave.has(studentId) ? { status: 'excused', remarks: 'On approved leave' } : { status: defaultStatus, remarks: undefined });
+        const row = existingByStudent.get(studentId);
+
+        if (!row) {
+            toCreate.push({ studentId, status: entry.status, remarks: entry.remarks || null });
+            return;
+        }
+
+        // A default only fills gaps; it never overwrites a status that was already marked
+        if (!byStudent.has(studentId)) {
+            unchanged += 1;
+            return;
+        }
+
+        const remarks = entry.remarks === undefined ? row.remarks : entry.remarks;
+        if (row.status === entry.status && (row.remarks || null) === (remarks || null)) {
+            unchanged += 1;
+            return;
+        }
+        toUpdate.push({ row, status: entry.status, remarks });
+    });
+
+    return { toCreate, toUpdate, unchanged };
+}
+
+/**
+ * Count rows per status
+ *
+ * @param {Array} rows - Rows with a status
+ * @returns {Object} { total, present, absent, late, excused }
+ */
+function summarize(rows) {
+    const summary = { total: rows.length };
+    ATTENDANCE_STATUSES.forEach(s => { summary[s] = 0; });
+    rows.forEach(r => {
+        if (r.status) summary[r.status] += 1;
+    });
+    return summary;
+}
+
+/**
+ * Attendance mode of a class: its own override, else the tenant's
+ *
+ * @param {Object} cls - Class with attendanceMode
+ * @param {Object} settings - Tenant settings with mode
+ * @returns {String} 'daily' or 'period'
+ */
+function resolveMode(cls, settings) {
+    return (cls && cls.attendanceMode) || settings.mode || DEFAULT_SETTINGS.mode;
+}
+
+/**
+ * Daily status of a student from the periods marked for the day
+ *
+ * 'missed_share': absent when more than absentThresholdPercent of the marked periods were
+ * missed (absent or excused), excused if none of those was a plain absence; otherwise late
+ * when the first period was late, else present.
+ * 'first_period': the status of the first marked period.
+ *
+ * @param {Array} periods - [{ periodNo, status }]
+ * @param {Object} settings - { dailyStatusRule, absentThresholdPercent }
+ * @returns {String|null} Status, or null when no period was marked
+ */
+function deriveDailyStatus(periods, settings) {
+    if (periods.length === 0) return null;
+
+    const ordered = [...periods].sort((a, b) => a.periodNo - b.periodNo);
+    if (settings.dailyStatusRule === 'first_period') return ordered[0].status;
+
+    const absent = periods.filter(p => p.status === 'absent').length;
+    const excused = periods.filter(p => p.status === 'excused').length;
+    const threshold = settings.absentThresholdPercent === undefined ? DEFAULT_SETTINGS.absentThresholdPercent : settings.absentThresholdPercent;
+
+    if ((absent + excused) * 100 > threshold * periods.length) {
+        return absent > 0 ? 'absent' : 'excused';
+    }
+    return ordered[0].status === 'late' ? 'late' : 'present';
+}
+
+// ========== SETTINGS ==========
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const isTimeZone = (zone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
+
+async function getSettings(tenantId) {
+    const setting = await AttendanceSetting.findByPk(tenantId);
+    if (!setting) return { tenantId, ...DEFAULT_SETTINGS };
+
+    const plain = setting.get({ plain: true });
+    if (!Array.isArray(plain.weeklyOffDays)) plain.weeklyOffDays = DEFAULT_SETTINGS.weeklyOffDays;
+    if (!Array.isArray(plain.alertChannels)) plain.alertChannels = DEFAULT_SETTINGS.alertChannels;
+    return plain;
+}
+
+async function updateSettings(tenantId, updates) {
+    const fields = {};
+    if (updates.editWindowDays !== undefined) {
+        const days = Number(updates.editWindowDays);
+        if (!Number.isInteger(days) || days < 0 || days > MAX_EDIT_WINDOW_DAYS) {
+            throw new Error(`VALIDATION_ERROR: editWindowDays must be a whole number between 0 and ${MAX_EDIT_WINDOW_DAYS}`);
+        }
+        fields.editWindowDays = days;
+    }
+    if (updates.mode !== undefined) {
+        if (!ATTENDANCE_MODES.includes(updates.mode)) {
+            throw new Error(`VALIDATION_ERROR: mode must be one of: ${ATTENDANCE_MODES.join(', ')}`);
+        }
+        fields.mode = updates.mode;
+    }
+    if (updates.dailyStatusRule !== undefined) {
+        if (!DAILY_STATUS_RULES.includes(updates.dailyStatusRule)) {
+            throw new Error(`VALIDATION_ERROR: dailyStatusRule must be one of: ${DAILY_STATUS_RULES.join(', ')}`);
+        }
+        fields.dailyStatusRule = updates.dailyStatusRule;
+    }
+    if (updates.absentThresholdPercent !== undefined) {
+        const percent = Number(updates.absentThresholdPercent);
+        if (!Number.isInteger(percent) || percent < 0 || percent > 100) {
+            throw new Error('VALIDATION_ERROR: absentThresholdPercent must be a whole number between 0 and 100');
+        }
+        fields.absentThresholdPercent = percent;
+    }
+    ['minAttendancePercent', 'attendanceWarningMargin', 'chronicAbsencePercent'].forEach(key => {
+        if (updates[key] === undefined) return;
+        const percent = Number(updates[key]);
+        if (!Number.isInteger(percent) || percent < 0 || percent > 100) {
+            throw new Error(`VALIDATION_ERROR: ${key} must be a whole number between 0 and 100`);
+        }
+        fields[key] = percent;
+    });
+    if (updates.timezone !== undefined) {
+        if (!isTimeZone(updates.timezone)) {
+            throw new Error('VALIDATION_ERROR: timezone must be an IANA time zone such as Asia/Kolkata');
+        }
+        fields.timezone = updates.timezone;
+    }
+    if (updates.weeklyOffDays !== undefined) {
+        const days = Array.isArray(updates.weeklyOffDays) ? updates.weeklyOffDays.map(Number) : [];
+        if (!Array.isArray(updates.weeklyOffDays) || days.some(d => !Number.isInteger(d) || d < 1 || d > 7)) {
+            throw new Error('VALIDATION_ERROR: weeklyOffDays must be a list of weekdays between 1 (Monday) and 7 (Sunday)');
+        }
+        fields.weeklyOffDays = [...new Set(days)].sort();
+    }
+    if (updates.absenceAlerts !== undefined) {
+        if (typeof updates.absenceAlerts !== 'boolean') {
+            throw new Error('VALIDATION_ERROR: absenceAlerts must be true or false');
+        }
+        fields.absenceAlerts = updates.absenceAlerts;
+    }
+    if (updates.alertChannels !== undefined) {
+        if (!Array.isArray(updates.alertChannels) || updates.alertChannels.some(c => !ALERT_CHANNELS.includes(c))) {
+            throw new Error(`VALIDATION_ERROR: alertChannels must be a list of: ${ALERT_CHANNELS.join(', ')}`);
+        }
+        fields.alertChannels = [...new Set(updates.alertChannels)];
+    }
+    if (updates.quietHoursStart !== undefined || updates.quietHoursEnd !== undefined) {
+        const start = updates.quietHoursStart || null;
+        const end = updates.quietHoursEnd || null;
+        if (!start !== !end) {
+            throw new Error('VALIDATION_ERROR: quietHoursStart and quietHoursEnd must be set together');
+        }
+        if ((start && !TIME_OF_DAY.test(start)) || (end && !TIME_OF_DAY.test(end))) {
+            throw new Error('VALIDATION_ERROR: Quiet hours must be times of day as HH:MM');
+        }
+        fields.quietHoursStart = start;
+        fields.quietHoursEnd = end;
+    }
+
+    const [setting] = await AttendanceSetting.findOrCreate({ where: { tenantId }, defaults: { tenantId, ...DEFAULT_SETTINGS } });
+    await setting.update(fields);
+    return setting.get({ plain: true });
+}
+
+// ========== ACCESS ==========
+
+/**
+ * The class, if it exists and the caller may mark it
+ *
+ * @param {Object} access - { classIds: Array|null } (null = every class)
+ */
+async function loadAccessibleClass(tenantId, classId, access) {
+    if (access.classIds && !access.classIds.includes(classId)) {
+        throw new Error('INSUFFICIENT_PERMISSIONS: You are not assigned to this class');
+    }
+
+    const cls = await Class.findOne({ where: { id: classId, tenantId }, attributes: ['id', 'className', 'section', 'status', 'attendanceMode'] });
+    if (!cls) {
+        throw new Error('NOT_FOUND: Class not found');
+    }
+    return cls;
+}
+
+/**
+ * Throw unless the date is inside the edit window (admins bypass it)
+ *
+ * @param {Object} access - { bypassWindow }
+ */
+async function assertEditable(tenantId, date, access) {
+    const settings = await getSettings(tenantId);
+    const asOf = todayFor(settings);
+    const window = editWindowFor(date, settings.editWindowDays, asOf);
+
+    if (String(date).slice(0, 10) > asOf) {
+        throw new Error(`VALIDATION_ERROR: ${window.reason}`);
+    }
+    if (!window.editable && !access.bypassWindow) {
+        throw new Error(`CONFLICT: ${window.reason}`);
+    }
+    return window;
+}
+
+/**
+ * The timetable slot, if it exists and the caller may mark it: teachers their own periods
+ * and any period of the classes they are assigned to
+ *
+ * @param {Object} access - { classIds: Array|null, teacherId }
+ */
+async function loadAccessibleSlot(tenantId, slotId, access) {
+    const slot = await TimetableSlot.findOne({
+        where: { id: slotId, tenantId },
+        include: [{ model: Class, as: 'class', attributes: ['id', 'className', 'section', 'status', 'attendanceMode'] }]
+    });
+    if (!slot) {
+        throw new Error('NOT_FOUND: Timetable slot not found');
+    }
+
+    const ownPeriod = access.teacherId && slot.teacherId === access.teacherId;
+    if (access.classIds && !access.classIds.includes(slot.classId) && !ownPeriod) {
+        throw new Error('INSUFFICIENT_PERMISSIONS: You do not take this period and are not assigned to its class');
+    }
+    return slot;
+}
+
+const assertSlotOnDate = (slot, day) => {
+    if (slot.dayOfWeek !== isoWeekday(day)) {
+        throw new Error(`VALIDATION_ERROR: Period ${slot.periodNo} (${slot.subject}) is not on the timetable for ${day}`);
+    }
+};
+
+/**
+ * Number of students marked per slot on a date
+ *
+ * @returns {Promise<Map>} slotId -> count
+ */
+async function countMarkedBySlot(tenantId, day, slotIds) {
+    if (slotIds.length === 0) return new Map();
+    const rows = await PeriodAttendance.findAll({
+        where: { tenantId, attendanceDate: day, timetableSlotId: { [Op.in]: slotIds } },
+        attributes: ['timetableSlotId', [fn('COUNT', col('id')), 'count']],
+        group: ['timetableSlotId'],
+        raw: true
+    });
+    return new Map(rows.map(r => [r.timetableSlotId, Number(r.count)]));
+}
+
+const periodSummary = (slot, markedCount) => ({
+    slotId: slot.id,
+    periodNo: slot.periodNo,
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    subject: slot.subject,
+    teacherId: slot.teacherId,
+    marked: markedCount > 0,
+    markedCount
+});
+
+// ========== CLASS REGISTER ==========
+
+/**
+ * Classes the caller can mark
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} access - { classIds: Array|null }
+ * @returns {Promise<Array>} Active classes
+ */
+async function listMarkableClasses(tenantId, access) {
+    const where = { tenantId, status: 'active' };
+    if (access.classIds) where.id = { [Op.in]: access.classIds };
+
+    return Class.findAll({
+        where,
+        attributes: ['id', 'className', 'section', 'noOfStudents'],
+        order: [['className', 'ASC'], ['section', 'ASC']]
+    });
+}
+
+const loadRoster = (tenantId, classId, transaction) => Student.findAll({
+    where: { tenantId, classId, status: 'active' },
+    attributes: ['id', 'admissionNo', 'rollNumber', 'firstName', 'lastName', 'studentName'],
+    order: [['rollNumber', 'ASC'], ['firstName', 'ASC'], ['lastName', 'ASC']],
+    transaction
+});
+
+/**
+ * Roster of a class for a date with the status already marked, if any
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} classId - Class ID
+ * @param {String} date - Attendance date (default today)
+ * @param {Object} access - { classIds, bypassWindow }
+ * @returns {Promise<Object>} { class, date, mode, periods, marked, editable, editableUntil, summary, students }
+ */
+async function getClassRoster(tenantId, classId, date, access) {
+    const settings = await getSettings(tenantId);
+    const asOf = todayFor(settings);
+    const day = date || asOf;
+    const cls = await loadAccessibleClass(tenantId, classId, access);
+
+    const students = await loadRoster(tenantId, classId);
+    const mode = resolveMode(cls, settings);
+    const rows = students.length === 0 ? [] : await Attendance.findAll({
+        where: { tenantId, attendanceDate: day, studentId: { [Op.in]: students.map(s => s.id) } },
+        attributes: ['id', 'studentId', 'status', 'remarks', 'markedBy', 'updatedAt']
+    });
+    const byStudent = new Map(rows.map(r => [r.studentId, r]));
+    const onLeave = await studentsOnLeave(tenantId, students.map(s => s.id), day);
+    const window = editWindowFor(day, settings.editWindowDays, asOf);
+
+    // Period-mode daily rows are derived; show which periods of the day have been taken
+    let periods;
+    if (mode === 'period') {
+        const slots = await slotsForDate(tenantId, classId, day);
+        const counts = await countMarkedBySlot(tenantId, day, slots.map(s => s.id));
+        periods = slots.map(s => periodSummary(s, counts.get(s.id) || 0));
+    }
+
+    return {
+        class: { id: cls.id, className: cls.className, section: cls.section },
+        date: day,
+        mode,
+        periods,
+        marked: rows.length > 0,
+        editable: window.editable || (!!access.bypassWindow && day <= asOf),
+        editableUntil: window.editableUntil,
+        summary: summarize(rows),
+        students: students.map(s => {
+            const row = byStudent.get(s.id);
+            return {
+                studentId: s.id,
+                admissionNo: s.admissionNo,
+                rollNumber: s.rollNumber,
+                name: studentName(s),
+                attendanceId: row ? row.id : null,
+                status: row ? row.status : null,
+                remarks: row ? row.remarks : null,
+                onLeave: onLeave.has(s.id)
+            };
+        })
+    };
+}
+
+/**
+ * Mark a whole class for a date
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} classId - Class ID
+ * @param {Object} data - { date, records: [{ studentId, status, remarks }], defaultStatus }
+ * @param {String} userId - Marking user
+ * @param {Object} access - { classIds, bypassWindow }
+ * @returns {Promise<Object>} { classId, date, created, updated, unchanged, summary }
+ */
+async function markClassAttendance(tenantId, classId, data, userId, access) {
+    const settings = await getSettings(tenantId);
+    const day = data.date || todayFor(settings);
+    const cls = await loadAccessibleClass(tenantId, classId, access);
+    if (resolveMode(cls, settings) === 'period') {
+        throw new Error('CONFLICT: This class takes attendance by period; mark its periods instead');
+    }
+    await assertEditable(tenantId, day, access);
+
+    if (data.defaultStatus && !ATTENDANCE_STATUSES.includes(data.defaultStatus)) {
+        throw new Error(`VALIDATION_ERROR: defaultStatus must be one of: ${ATTENDANCE_STATUSES.join(', ')}`);
+    }
+
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            const students = await loadRoster(tenantId, classId, transaction);
+            if (students.length === 0) {
+                throw new Error('CONFLICT: The class has no active students');
+            }
+            const studentIds = students.map(s => s.id);
+
+            const existing = await Attendance.findAll({
+                where: { tenantId, attendanceDate: day, studentId: { [Op.in]: studentIds } },
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+            const existingByStudent = new Map(existing.map(r => [r.studentId, r]));
+            const onLeave = await studentsOnLeave(tenantId, studentIds, day, transaction);
+
+            const plan = planMarking(studentIds, data.records || [], data.defaultStatus, existingByStudent, onLeave);
+
+            if (plan.toCreate.length > 0) {
+                await Attendance.bulkCreate(plan.toCreate.map(r => ({
+                    ...r,
+                    tenantId,
+                    classId,
+                    attendanceDate: day,
+                    markedBy: userId || null
+                })), { transaction });
+            }
+            for (const { row, status, remarks } of plan.toUpdate) {
+                await row.update({ status, remarks, classId, markedBy: userId || null }, { transaction });
+            }
+
+            const rows = await Attendance.findAll({
+                where: { tenantId, attendanceDate: day, studentId: { [Op.in]: studentIds } },
+                attributes: ['status'],
+                transaction
+            });
+
+            logger.info(`[ATTENDANCE] Class ${classId} on ${day}: ${plan.toCreate.length} created, ${plan.toUpdate.length} updated`);
+            return {
+                classId,
+                date: day,
+                created: plan.toCreate.length,
+                updated: plan.toUpdate.length,
+                unchanged: plan.unchanged,
+                summary: summarize(rows)
+            };
+        });
+    } catch (err) {
+        // Two markers racing on the same class and day
+        if (err.name === 'SequelizeUniqueConstraintError') {
+            throw new Error('CONFLICT: Attendance for this class was just marked by someone else; reload the roster');
+        }
+        throw err;
+    }
+}
+
+// ========== PERIOD REGISTER ==========
+
+/**
+ * Periods the caller can mark on a date, for classes in period mode
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} date - Attendance date (default today)
+ * @param {Object} access - { classIds, teacherId }
+ * @returns {Promise<Object>} { date, dayOfWeek, periods }
+ */
+async function listMarkablePeriods(tenantId, date, access) {
+    const settings = await getSettings(tenantId);
+    const day = date || todayFor(settings);
+    const where = { tenantId, dayOfWeek: isoWeekday(day), isActive: true };
+    if (access.classIds) {
+        where[Op.or] = [
+            { classId: { [Op.in]: access.classIds } },
+            ...(access.teacherId ? [{ teacherId: access.teacherId }] : [])
+        ];
+    }
+
+    const slots = await TimetableSlot.findAll({
+        where,
+        include: [{ model: Class, as: 'class', attributes: ['id', 'className', 'section', 'status', 'attendanceMode'] }],
+        order: [['periodNo', 'ASC'], ['startTime', 'ASC']]
+    });
+    const periodSlots = slots.filter(s => s.class && s.class.status === 'active' && resolveMode(s.class, settings) === 'period');
+    const counts = await countMarkedBySlot(tenantId, day, periodSlots.map(s => s.id));
+
+    return {
+        date: day,
+        dayOfWeek: isoWeekday(day),
+        periods: periodSlots.map(s => ({
+            ...periodSummary(s, counts.get(s.id) || 0),
+            class: { id: s.class.id, className: s.class.className, section: s.class.section }
+        }))
+    };
+}
+
+/**
+ * Roster of a class for one period on a date, with the status already marked, if any
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} slotId - Timetable slot ID
+ * @param {String} date - Attendance date (default today); must fall on the slot's weekday
+ * @param {Object} access - { classIds, teacherId, bypassWindow }
+ * @returns {Promise<Object>} { period, class, date, marked, editable, editableUntil, summary, students }
+ */
+async function getPeriodRoster(tenantId, slotId, date, access) {
+    const settings = await getSettings(tenantId);
+    const asOf = todayFor(settings);
+    const day = date || asOf;
+    const slot = await loadAccessibleSlot(tenantId, slotId, access);
+    assertSlotOnDate(slot, day);
+
+    const students = await loadRoster(tenantId, slot.classId);
+    const rows = await PeriodAttendance.findAll({
+        where: { tenantId, timetableSlotId: slot.id, attendanceDate: day },
+        attributes: ['id', 'studentId', 'status', 'remarks', 'markedBy', 'updatedAt']
+    });
+    const byStudent = new Map(rows.map(r => [r.studentId, r]));
+    const onLeave = await studentsOnLeave(tenantId, students.map(s => s.id), day);
+    const window = editWindowFor(day, settings.editWindowDays, asOf);
+
+    return {
+        period: periodSummary(slot, rows.length),
+        class: { id: slot.class.id, className: slot.class.className, section: slot.class.section },
+        date: day,
+        marked: rows.length > 0,
+        editable: window.editable || (!!access.bypassWindow && day <= asOf),
+        editableUntil: window.editableUntil,
+        summary: summarize(rows),
+        students: students.map(s => {
+            const row = byStudent.get(s.id);
+            return {
+                studentId: s.id,
+                admissionNo: s.admissionNo,
+                rollNumber: s.rollNumber,
+                name: studentName(s),
+                periodAttendanceId: row ? row.id : null,
+                status: row ? row.status : null,
+                remarks: row ? row.remarks : null,
+                onLeave: onLeave.has(s.id)
+            };
+        })
+    };
+}
+
+/**
+ * Rewrite the daily rows of students from all their periods of the day
+ *
+ * @returns {Promise<Object>} Summary of the daily statuses
+ */
+async function syncDailyAttendance(tenantId, classId, day, studentIds, settings, userId, transaction) {
+    const periods = await PeriodAttendance.findAll({
+        where: { tenantId, attendanceDate: day, studentId: { [Op.in]: studentIds } },
+        attributes: ['studentId', 'periodNo', 'status'],
+        transaction
+    });
+    const periodsByStudent = new Map();
+    periods.forEach(p => {
+        if (!periodsByStudent.has(p.studentId)) periodsByStudent.set(p.studentId, []);
+        periodsByStudent.get(p.studentId).push(p);
+    });
+
+    const existing = await Attendance.findAll({
+        where: { tenantId, attendanceDate: day, studentId: { [Op.in]: studentIds } },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+    });
+    const dailyByStudent = new Map(existing.map(r => [r.studentId, r]));
+
+    const statuses = [];
+    for (const studentId of studentIds) {
+        const status = deriveDailyStatus(periodsByStudent.get(studentId) || [], settings);
+        if (!status) continue;
+        statuses.push({ status });
+
+        const row = dailyByStudent.get(studentId);
+        if (!row) {
+            await Attendance.create({ tenantId, studentId, classId, attendanceDate: day, status, markedBy: userId || null }, { transaction });
+        } else if (row.status !== status) {
+            await row.update({ status, classId, markedBy: userId || null }, { transaction });
+        }
+    }
+    return summarize(statuses);
+}
+
+/**
+ * Mark a class for one timetable period and re-derive the students' daily status
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} slotId - Timetable slot ID
+ * @param {Object} data - { date, records: [{ studentId, status, remarks }], defaultStatus }
+ * @param {String} userId - Marking user
+ * @param {Object} access - { classIds, teacherId, bypassWindow }
+ * @returns {Promise<Object>} { slotId, classId, date, periodNo, subject, created, updated, unchanged, summary, daily }
+ */
+async function markPeriodAttendance(tenantId, slotId, data, userId, access) {
+    const settings = await getSettings(tenantId);
+    const day = data.date || todayFor(settings);
+    const slot = await loadAccessibleSlot(tenantId, slotId, access);
+    assertSlotOnDate(slot, day);
+    if (!slot.isActive) {
+        throw new Error('CONFLICT: This timetable slot is inactive');
+    }
+
+    if (resolveMode(slot.class, settings) !== 'period') {
+        throw new Error('CONFLICT: This class takes daily attendance; mark the class register instead');
+    }
+    await assertEditable(tenantId, day, access);
+
+    if (data.defaultStatus && !ATTENDANCE_STATUSES.includes(data.defaultStatus)) {
+        throw new Error(`VALIDATION_ERROR: defaultStatus must be one of: ${ATTENDANCE_STATUSES.join(', ')}`);
+    }
+
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            const students = await loadRoster(tenantId, slot.classId, transaction);
+            if (students.length === 0) {
+                throw new Error('CONFLICT: The class has no active students');
+            }
+            const studentIds = students.map(s => s.id);
+
+            const existing = await PeriodAttendance.findAll({
+                where: { tenantId, timetableSlotId: slot.id, attendanceDate: day, studentId: { [Op.in]: studentIds } },
+                lock: transaction.LOCK.UPDATE,
+                transaction
+            });
+            const existingByStudent = new Map(existing.map(r => [r.studentId, r]));
+            const onLeave = await studentsOnLeave(tenantId, studentIds, day, transaction);
+
+            const plan = planMarking(studentIds, data.records || [], data.defaultStatus, existingByStudent, onLeave);
+
+            if (plan.toCreate.length > 0) {
+                await PeriodAttendance.bulkCreate(plan.toCreate.map(r => ({
+                    ...r,
+                    tenantId,
+                    classId: slot.classId,
+                    timetableSlotId: slot.id,
+                    attendanceDate: day,
+                    periodNo: slot.periodNo,
+                    subject: slot.subject,
+                    teacherId: slot.teacherId,
+                    markedBy: userId || null
+                })), { transaction });
+            }
+            for (const { row, status, remarks } of plan.toUpdate) {
+                await row.update({ status, remarks, markedBy: userId || null }, { transaction });
+            }
+
+            const daily = await syncDailyAttendance(tenantId, slot.classId, day, studentIds, settings, userId, transaction);
+            const rows = await PeriodAttendance.findAll({
+                where: { tenantId, timetableSlotId: slot.id, attendanceDate: day },
+                attributes: ['status'],
+                transaction
+            });
+
+            logger.info(`[ATTENDANCE] Class ${slot.classId} period ${slot.periodNo} on ${day}: ${plan.toCreate.length} created, ${plan.toUpdate.length} updated`);
+            return {
+                slotId: slot.id,
+                classId: slot.classId,
+                date: day,
+                periodNo: slot.periodNo,
+                subject: slot.subject,
+                created: plan.toCreate.length,
+                updated: plan.toUpdate.length,
+                unchanged: plan.unchanged,
+                summary: summarize(rows),
+                daily
+            };
+        });
+    } catch (err) {
+        if (err.name === 'SequelizeUniqueConstraintError') {
+            throw new Error('CONFLICT: Attendance for this period was just marked by someone else; reload the roster');
+        }
+        throw err;
+    }
+}
+
+// ========== SINGLE RECORDS ==========
+
+/**
+ * Daily rows derived from periods are corrected by re-marking the period
+ */
+async function assertNotDerived(record) {
+    const periods = await PeriodAttendance.count({
+        where: { tenantId: record.tenantId, studentId: record.studentId, attendanceDate: record.attendanceDate }
+    });
+    if (periods > 0) {
+        throw new Error('CONFLICT: This day was derived from period attendance; correct the period instead');
+    }
+}
+
+/**
+ * Edit one record inside the edit window
+ *
+ * @param {Object} record - Attendance row the caller may see (from AttendanceRepository)
+ * @param {Object} updates - { status, remarks }
+ * @param {String} userId - Editing user
+ * @param {Object} access - { bypassWindow }
+ */
+async function updateAttendance(record, updates, userId, access) {
+    await assertNotDerived(record);
+    await assertEditable(record.tenantId, record.attendanceDate, access);
+
+    const fields = { markedBy: userId || null };
+    if (updates.status !== undefined) {
+        if (!ATTENDANCE_STATUSES.includes(updates.status)) {
+            throw new Error(`VALIDATION_ERROR: status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`);
+        }
+        fields.status = updates.status;
+    }
+    if (updates.remarks !== undefined) fields.remarks = updates.remarks || null;
+
+    return record.update(fields);
+}
+
+/**
+ * Remove one record inside the edit window (e.g. a student marked in the wrong class)
+ */
+async function deleteAttendance(record, access) {
+    await assertNotDerived(record);
+    await assertEditable(record.tenantId, record.attendanceDate, access);
+    await record.destroy();
+}
+
+module.exports = {
+    ATTENDANCE_STATUSES,
+    ATTENDANCE_MODES,
+    DAILY_STATUS_RULES,
+    ALERT_CHANNELS,
+    MAX_EDIT_WINDOW_DAYS,
+    editWindowFor,
+    planMarking,
+    summarize,
+    resolveMode,
+    deriveDailyStatus,
+    getSettings,
+    updateSettings,
+    listMarkableClasses,
+    getClassRoster,
+    markClassAttendance,
+    listMarkablePeriods,
+    getPeriodRoster,
+    markPeriodAttendance,
+    updateAttendance,
+    deleteAttendance
+};
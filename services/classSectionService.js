@@ -0,0 +1,649 @@
+/**
+ * Class Section Service
+ *
+ * Classes (ClassGroup, e.g. "Grade 5") of an academic year and their sections. A section is a
+ * Class row (section "A", "B", ...) with its own class teacher (classTeacherId) and capacity;
+ * everything else in the app keeps pointing at the section through classId.
+ *
+ *   - Capacity: the section's capacity, else the group's defaultCapacity, else no limit. It
+ *     counts the active students of the section and is checked whenever students join it
+ *     (admission, change of class, section moves, promotion)
+ *   - Roll numbers: a student joining a section takes the next roll number; resequencing
+ *     renumbers the section in name order
+ *   - Student.classData follows renamed classes and sections and changed class teachers
+ *
+ * Classes created through /api/classes join the group of their className (created when
+ * missing) through the hooks registered at startup (registerSectionHooks).
+ */
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const ClassGroup = require('../models/ClassGroup');
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const { getCurrentYear, resolveYearFilter, resolveYearLabel, syncEnrollment } = require('./academicYearService');
+const logger = require('../config/logger');
+require('../models'); // register associations used by the includes below
+
+const STATUSES = ['active', 'inactive'];
+
+const MAX_CAPACITY = 1000;
+const MAX_SECTIONS = 26;
+
+const GROUP_ATTRIBUTES = ['id', 'academicYearId', 'name', 'displayOrder', 'defaultCapacity', 'status'];
+const SECTION_ATTRIBUTES = ['id', 'tenantId', 'classGroupId', 'className', 'section', 'capacity', 'status', 'classTeacherId', 'academicYearId'];
+const TEACHER_ATTRIBUTES = ['id', 'teacherId', 'firstName', 'lastName'];
+
+const studentName = (s) => s.studentName || [s.firstName, s.lastName].filter(Boolean).join(' ');
+
+// ========== PURE HELPERS ==========
+
+/**
+ * Check a capacity: a whole number from 1, or null for no limit
+ *
+ * @param {*} value - Capacity as given
+ * @param {String} field - Field name for the error
+ * @returns {Number|null}
+ */
+function validateCapacity(value, field = 'capacity') {
+    if (value === null || value === undefined || value === '') return null;
+    const capacity = Number(value);
+    if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_CAPACITY) {
+        throw new Error(`VALIDATION_ERROR: ${field} must be a whole number from 1 to ${MAX_CAPACITY}, or null`);
+    }
+    return capacity;
+}
+
+/**
+ * Check and normalize the fields of a class (after merging updates into the stored class)
+ *
+ * @param {Object} group - { name, displayOrder, defaultCapacity, status }
+ * @returns {Object} Normalized fields
+ */
+function validateGroupFields(group) {
+    const name = typeof group.name === 'string' ? group.name.trim() : '';
+    if (!name || name.length > 100) {
+        throw new Error('VALIDATION_ERROR: name must be 1-100 characters');
+    }
+    const displayOrder = group.displayOrder === undefined || group.displayOrder === null ? 0 : Number(group.displayOrder);
+    if (!Number.isInteger(displayOrder) || displayOrder < 0) {
+        throw new Error('VALIDATION_ERROR: displayOrder must be a whole number from 0');
+    }
+    const status = group.status || 'active';
+    if (!STATUSES.includes(status)) {
+        throw new Error(`VALIDATION_ERROR: status must be one of: ${STATUSES.join(', ')}`);
+    }
+    return { name, displayOrder, defaultCapacity: validateCapacity(group.defaultCapacity, 'defaultCapacity'), status };
+}
+
+/**
+ * Check the sections given for a class: unique names (in any case)
+ *
+ * @param {Array} sections - [{ section, capacity, classTeacherId }]
+ * @param {Array} taken - Section names the class already has
+ * @returns {Array} [{ section, capacity, classTeacherId }]
+ */
+function validateSections(sections, taken = []) {
+    if (!Array.isArray(sections) || sections.length > MAX_SECTIONS) {
+        throw new Error(`VALIDATION_ERROR: sections must be an array of at most ${MAX_SECTIONS} sections`);
+    }
+    const seen = new Set(taken.filter(Boolean).map(name => name.toLowerCase()));
+    return sections.map((s, i) => {
+        const section = s && typeof s.section === 'string' ? s.section.trim() : '';
+        if (!section || section.length > 50) {
+            throw new Error(`VALIDATION_ERROR: sections[${i}].section must be 1-50 characters`);
+        }
+        if (seen.has(section.toLowerCase())) {
+            throw new Error(`VALIDATION_ERROR: Section "${section}" is listed more than once`);
+        }
+        seen.add(section.toLowerCase());
+        return {
+            section,
+            capacity: validateCapacity(s.capacity, `sections[${i}].capacity`),
+            classTeacherId: s.classTeacherId || null
+        };
+    });
+}
+
+/**
+ * The capacity of a section: its own, else its class's default, else null (no limit)
+ */
+function capacityOf(section, group = null) {
+    if (section.capacity !== null && section.capacity !== undefined) return section.capacity;
+    if (group && group.defaultCapacity !== null && group.defaultCapacity !== undefined) return group.defaultCapacity;
+    return null;
+}
+
+/**
+ * Seats left in a section; null without a limit
+ */
+function seatsLeft(capacity, enrolled) {
+    if (capacity === null || capacity === undefined) return null;
+    return Math.max(0, capacity - enrolled);
+}
+
+/**
+ * Roll numbers in a section: in name order, after the roll numbers already taken
+ *
+ * @param {Array} students - [{ id, firstName, lastName, studentName }]
+ * @param {Number} startAfter - Highest roll number in the section so far
+ * @returns {Map} studentId -> rollNumber
+ */
+function assignRollNumbers(students, startAfter = 0) {
+    const sorted = [...students].sort((a, b) => studentName(a).localeCompare(studentName(b)) || String(a.id).localeCompare(String(b.id)));
+    return new Map(sorted.map((s, i) => [s.id, startAfter + i + 1]));
+}
+
+/**
+ * Class data denormalized on Student.classData
+ */
+function classDataOf(cls) {
+    return {
+        id: cls.id,
+        name: cls.className,
+        section: cls.section,
+        academicYearId: cls.academicYearId || null,
+        classTeacherId: cls.classTeacherId || null
+    };
+}
+
+// ========== LOOKUPS ==========
+
+const teacherName = (t) => [t.firstName, t.lastName].filter(Boolean).join(' ');
+
+const loadGroup = async (tenantId, groupId, transaction = null) => {
+    const group = await ClassGroup.findOne({ where: { id: groupId, tenantId }, transaction });
+    if (!group) {
+        throw new Error('NOT_FOUND: Class not found');
+    }
+    return group;
+};
+
+const loadSection = async (tenantId, groupId, classId, transaction = null) => {
+    const section = await Class.findOne({ where: { id: classId, tenantId, classGroupId: groupId }, transaction });
+    if (!section) {
+        throw new Error('NOT_FOUND: Section not found in this class');
+    }
+    return section;
+};
+
+const assertTeachers = async (tenantId, teacherIds, transaction = null) => {
+    const ids = [...new Set(teacherIds.filter(Boolean))];
+    if (!ids.length) return;
+    const teachers = await Teacher.findAll({ where: { tenantId, id: { [Op.in]: ids } }, attributes: ['id'], transaction });
+    const strangers = ids.filter(id => !teachers.some(t => t.id === id));
+    if (strangers.length) {
+        throw new Error(`VALIDATION_ERROR: classTeacherId must be a teacher of this school: ${strangers.join(', ')}`);
+    }
+};
+
+/**
+ * Active students of each section
+ *
+ * @returns {Promise<Map>} classId -> count
+ */
+async function countEnrolled(tenantId, classIds, transaction = null) {
+    if (!classIds.length) return new Map();
+    const rows = await Student.findAll({
+        where: { tenantId, classId: { [Op.in]: classIds }, status: 'active' },
+        attributes: ['classId', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        group: ['classId'],
+        raw: true,
+        transaction
+    });
+    return new Map(rows.map(r => [r.classId, Number(r.count)]));
+}
+
+const nextRollNumber = async (tenantId, classId, transaction = null) => {
+    const taken = await Student.max('rollNumber', { where: { tenantId, classId, status: 'active' }, transaction });
+    return (taken || 0) + 1;
+};
+
+/**
+ * Refuse more students than a section holds
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} classId - Section (Class) ID
+ * @param {Number} adding - Students joining
+ * @param {Object} transaction - Optional transaction
+ * @returns {Promise<Object>} { section, capacity, enrolled }
+ */
+async function assertSeats(tenantId, classId, adding, transaction = null) {
+    const section = await Class.findOne({ where: { id: classId, tenantId }, transaction });
+    if (!section) {
+        throw new Error('VALIDATION_ERROR: classId must be a class of this school');
+    }
+    const group = section.classGroupId
+        ? await ClassGroup.findOne({ where: { id: section.classGroupId, tenantId }, attributes: ['defaultCapacity'], transaction })
+        : null;
+    const capacity = capacityOf(section, group);
+    const enrolled = (await countEnrolled(tenantId, [classId], transaction)).get(classId) || 0;
+    const left = seatsLeft(capacity, enrolled);
+    if (left !== null && adding > left) {
+        const label = [section.className, section.section].filter(Boolean).join(' ');
+        throw new Error(`CONFLICT: ${label} has ${left} of ${capacity} seat(s) left; ${adding} student(s) cannot join`);
+    }
+    return { section, capacity, enrolled };
+}
+
+/**
+ * Seat a student in a section: checks its capacity and gives the next roll number
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} classId - Section (Class) ID
+ * @param {Object} transaction - Optional transaction
+ * @returns {Promise<Object>} { classData, rollNumber }
+ */
+async function placeStudent(tenantId, classId, transaction = null) {
+    const { section } = await assertSeats(tenantId, classId, 1, transaction);
+    return { classData: classDataOf(section), rollNumber: await nextRollNumber(tenantId, classId, transaction) };
+}
+
+/**
+ * Copy the sections' current names and class teachers onto their students' classData
+ */
+async function syncClassData(tenantId, sections, transaction = null) {
+    for (const section of sections) {
+        await Student.update({ classData: classDataOf(section) }, { where: { tenantId, classId: section.id }, transaction });
+    }
+}
+
+// ========== CLASSES ==========
+
+const sectionView = (section, group, enrolled) => {
+    const capacity = capacityOf(section, group);
+    const count = enrolled.get(section.id) || 0;
+    return {
+        id: section.id,
+        section: section.section,
+        className: section.className,
+        status: section.status,
+        capacity: section.capacity,
+        effectiveCapacity: capacity,
+        enrolled: count,
+        seatsLeft: seatsLeft(capacity, count),
+        classTeacherId: section.classTeacherId || null,
+        classTeacher: section.classTeacher ? { id: section.classTeacher.id, teacherId: section.classTeacher.teacherId, name: teacherName(section.classTeacher) } : null
+    };
+};
+
+const sectionOrder = (a, b) => String(a.section || '').localeCompare(String(b.section || ''), undefined, { numeric: true });
+
+const groupView = (group, enrolled) => {
+    const sections = [...(group.sections || [])].sort(sectionOrder).map(s => sectionView(s, group, enrolled));
+    return {
+        id: group.id,
+        academicYearId: group.academicYearId,
+        name: group.name,
+        displayOrder: group.displayOrder,
+        defaultCapacity: group.defaultCapacity,
+        status: group.status,
+        enrolled: sections.reduce((sum, s) => sum + s.enrolled, 0),
+        sections
+    };
+};
+
+const SECTION_INCLUDE = {
+    model: Class,
+    as: 'sections',
+    attributes: SECTION_ATTRIBUTES,
+    include: [{ model: Teacher, as: 'classTeacher', attributes: TEACHER_ATTRIBUTES }]
+};
+
+const loadGroupViews = async (where, transaction = null) => {
+    const groups = await ClassGroup.findAll({
+        where,
+        attributes: GROUP_ATTRIBUTES,
+        include: [SECTION_INCLUDE],
+        order: [['displayOrder', 'ASC'], ['name', 'ASC']],
+        transaction
+    });
+    const classIds = groups.flatMap(g => (g.sections || []).map(s => s.id));
+    const enrolled = await countEnrolled(where.tenantId, classIds, transaction);
+    return groups.map(g => groupView(g, enrolled));
+};
+
+/**
+ * The classes of a year with their sections, capacities, enrolment and class teachers
+ *
+ * @param {Object} filters - { academicYearId } a year ID, 'all', or undefined for the current year
+ */
+async function listGroups(tenantId, { academicYearId, status } = {}) {
+    const where = { tenantId };
+    const yearId = await resolveYearFilter(tenantId, academicYearId);
+    if (yearId) where.academicYearId = yearId;
+    if (status) where.status = status;
+    return loadGroupViews(where);
+}
+
+async function getGroup(id, tenantId) {
+    const [group] = await loadGroupViews({ tenantId, id });
+    return group || null;
+}
+
+const assertNameFree = async (tenantId, academicYearId, name, exceptId, transaction = null) => {
+    const where = { tenantId, academicYearId: academicYearId || null, name };
+    if (exceptId) where.id = { [Op.ne]: exceptId };
+    if (await ClassGroup.count({ where, transaction })) {
+        throw new Error(`CONFLICT: The class "${name}" already exists in this academic year`);
+    }
+};
+
+const createSections = async (tenantId, group, sections, transaction) => {
+    for (const s of sections) {
+        await Class.create({
+            tenantId,
+            classGroupId: group.id,
+            className: group.name,
+            academicYearId: group.academicYearId,
+            section: s.section,
+            capacity: s.capacity,
+            classTeacherId: s.classTeacherId,
+            status: 'active'
+        }, { transaction });
+    }
+};
+
+/**
+ * Create a class with its sections
+ *
+ * @param {Object} data - { name, academicYearId, displayOrder, defaultCapacity, status, sections: [{ section, capacity, classTeacherId }] }
+ */
+async function createGroup(tenantId, data) {
+    const fields = validateGroupFields(data);
+    const sections = validateSections(data.sections || []);
+
+    const group = await sequelize.transaction(async (transaction) => {
+        let academicYearId = null;
+        if (data.academicYearId) {
+            ({ academicYearId } = await resolveYearLabel(tenantId, { academicYearId: data.academicYearId }, transaction));
+        } else {
+            const current = await getCurrentYear(tenantId, transaction);
+            academicYearId = current ? current.id : null;
+        }
+
+        await assertNameFree(tenantId, academicYearId, fields.name, null, transaction);
+        await assertTeachers(tenantId, sections.map(s => s.classTeacherId), transaction);
+
+        const created = await ClassGroup.create({ ...fields, tenantId, academicYearId }, { transaction });
+        await createSections(tenantId, created, sections, transaction);
+        return created;
+    });
+
+    logger.info(`[CLASS_SECTION] Class "${group.name}" created for tenant ${tenantId} with ${sections.length} section(s)`);
+    return getGroup(group.id, tenantId);
+}
+
+/**
+ * Update a class. Renaming it renames its sections and their students' classData; the default
+ * capacity cannot drop below the students of a section that follows it.
+ */
+async function updateGroup(id, tenantId, updates) {
+    const group = await ClassGroup.findOne({ where: { id, tenantId } });
+    if (!group) return null;
+
+    const merged = {};
+    ['name', 'displayOrder', 'defaultCapacity', 'status'].forEach(k => {
+        merged[k] = updates[k] !== undefined ? updates[k] : group[k];
+    });
+    const fields = validateGroupFields(merged);
+
+    await sequelize.transaction(async (transaction) => {
+        await assertNameFree(tenantId, group.academicYearId, fields.name, id, transaction);
+
+        const sections = await Class.findAll({ where: { tenantId, classGroupId: id }, transaction });
+        if (fields.defaultCapacity !== null && fields.defaultCapacity !== group.defaultCapacity) {
+            const enrolled = await countEnrolled(tenantId, sections.map(s => s.id), transaction);
+            const over = sections.filter(s => s.capacity === null && (enrolled.get(s.id) || 0) > fields.defaultCapacity);
+            if (over.length) {
+                throw new Error(`CONFLICT: Section(s) ${over.map(s => s.section).join(', ')} already have more than ${fields.defaultCapacity} students`);
+            }
+        }
+
+        const renamed = fields.name !== group.name;
+        await group.update(fields, { transaction });
+        if (renamed) {
+            await Class.update({ className: fields.name }, { where: { tenantId, classGroupId: id }, transaction });
+            sections.forEach(s => { s.className = fields.name; });
+            await syncClassData(tenantId, sections, transaction);
+        }
+    });
+    return getGroup(id, tenantId);
+}
+
+/**
+ * Delete a class without sections
+ */
+async function deleteGroup(id, tenantId) {
+    const group = await ClassGroup.findOne({ where: { id, tenantId } });
+    if (!group) return null;
+
+    const sections = await Class.count({ where: { tenantId, classGroupId: id } });
+    if (sections > 0) {
+        throw new Error(`CONFLICT: The class still has ${sections} section(s); delete or move them first`);
+    }
+    await group.destroy();
+    logger.info(`[CLASS_SECTION] Class "${group.name}" deleted for tenant ${tenantId}`);
+    return group;
+}
+
+// ========== SECTIONS ==========
+
+/**
+ * Add sections to a class
+ *
+ * @param {Array} sections - [{ section, capacity, classTeacherId }]
+ */
+async function addSections(tenantId, groupId, sections) {
+    await sequelize.transaction(async (transaction) => {
+        const group = await loadGroup(tenantId, groupId, transaction);
+        const existing = await Class.findAll({ where: { tenantId, classGroupId: groupId }, attributes: ['section'], transaction });
+        const wanted = validateSections(sections, existing.map(s => s.section));
+        if (existing.length + wanted.length > MAX_SECTIONS) {
+            throw new Error(`VALIDATION_ERROR: A class can have at most ${MAX_SECTIONS} sections`);
+        }
+        await assertTeachers(tenantId, wanted.map(s => s.classTeacherId), transaction);
+        await createSections(tenantId, group, wanted, transaction);
+    });
+    return getGroup(groupId, tenantId);
+}
+
+/**
+ * Update a section: its name, capacity, class teacher or status. The capacity cannot drop below
+ * the students already in the section.
+ */
+async function updateSection(tenantId, groupId, classId, updates) {
+    await sequelize.transaction(async (transaction) => {
+        const group = await loadGroup(tenantId, groupId, transaction);
+        const section = await loadSection(tenantId, groupId, classId, transaction);
+        const fields = {};
+
+        if (updates.section !== undefined) {
+            const others = await Class.findAll({
+                where: { tenantId, classGroupId: groupId, id: { [Op.ne]: classId } },
+                attributes: ['section'],
+                transaction
+            });
+            [{ section: fields.section }] = validateSections([{ section: updates.section }], others.map(s => s.section));
+        }
+        if (updates.capacity !== undefined) {
+            fields.capacity = validateCapacity(updates.capacity);
+            const limit = capacityOf({ capacity: fields.capacity }, group);
+            const enrolled = (await countEnrolled(tenantId, [classId], transaction)).get(classId) || 0;
+            if (limit !== null && enrolled > limit) {
+                throw new Error(`CONFLICT: The section already has ${enrolled} students, more than ${limit}`);
+            }
+        }
+        if (updates.classTeacherId !== undefined) {
+            fields.classTeacherId = updates.classTeacherId || null;
+            await assertTeachers(tenantId, [fields.classTeacherId], transaction);
+        }
+        if (updates.status !== undefined) {
+            if (!STATUSES.includes(updates.status)) {
+                throw new Error(`VALIDATION_ERROR: status must be one of: ${STATUSES.join(', ')}`);
+            }
+            fields.status = updates.status;
+        }
+
+        // The section hooks copy the new name and class teacher onto its students
+        await section.update(fields, { transaction });
+    });
+    return getGroup(groupId, tenantId);
+}
+
+/**
+ * Renumber the active students of a section 1, 2, ... in name order
+ *
+ * @returns {Promise<Array>} [{ studentId, rollNumber }] in roll order
+ */
+async function resequenceRollNumbers(tenantId, groupId, classId) {
+    const rolls = await sequelize.transaction(async (transaction) => {
+        await loadSection(tenantId, groupId, classId, transaction);
+        const students = await Student.findAll({
+            where: { tenantId, classId, status: 'active' },
+            attributes: ['id', 'tenantId', 'firstName', 'lastName', 'studentName', 'classId', 'rollNumber', 'academicYearId', 'status'],
+            transaction
+        });
+        const numbers = assignRollNumbers(students);
+        for (const student of students) {
+            const rollNumber = numbers.get(student.id);
+            if (student.rollNumber === rollNumber) continue;
+            await Student.update({ rollNumber }, { where: { id: student.id, tenantId }, transaction });
+            await syncEnrollment({ ...student.get({ plain: true }), rollNumber }, transaction);
+        }
+        return [...numbers.entries()].map(([studentId, rollNumber]) => ({ studentId, rollNumber }));
+    });
+
+    logger.info(`[CLASS_SECTION] Roll numbers of section ${classId} resequenced for tenant ${tenantId}`);
+    return rolls.sort((a, b) => a.rollNumber - b.rollNumber);
+}
+
+/**
+ * Move students between the sections of a class. They take roll numbers after the students
+ * already in the new section; classId, classData and the enrollment of the year follow.
+ *
+ * @param {Object} data - { toClassId, studentIds }
+ * @returns {Promise<Object>} { toSection, moved: [{ studentId, fromClassId, rollNumber }] }
+ */
+async function moveStudents(tenantId, groupId, { toClassId, studentIds } = {}, userId = null) {
+    if (!Array.isArray(studentIds) || studentIds.length === 0) {
+        throw new Error('VALIDATION_ERROR: studentIds must be a non-empty array');
+    }
+    const ids = [...new Set(studentIds)];
+
+    const result = await sequelize.transaction(async (transaction) => {
+        await loadGroup(tenantId, groupId, transaction);
+        const target = await loadSection(tenantId, groupId, toClassId, transaction);
+        if (target.status !== 'active') {
+            throw new Error(`VALIDATION_ERROR: Section ${target.section} is inactive`);
+        }
+        const sections = await Class.findAll({ where: { tenantId, classGroupId: groupId }, attributes: ['id'], transaction });
+        const sectionIds = sections.map(s => s.id);
+
+        const students = await Student.findAll({
+            where: { tenantId, id: { [Op.in]: ids }, status: 'active' },
+            attributes: ['id', 'tenantId', 'firstName', 'lastName', 'studentName', 'classId', 'rollNumber', 'academicYearId', 'status'],
+            transaction
+        });
+        const strangers = ids.filter(id => !students.some(s => s.id === id && sectionIds.includes(s.classId)));
+        if (strangers.length) {
+            throw new Error(`VALIDATION_ERROR: ${strangers.length} student(s) are not active students of this class: ${strangers.join(', ')}`);
+        }
+        const already = students.filter(s => s.classId === toClassId);
+        if (already.length) {
+            throw new Error(`VALIDATION_ERROR: ${already.length} student(s) are already in section ${target.section}: ${already.map(s => s.id).join(', ')}`);
+        }
+
+        await assertSeats(tenantId, toClassId, students.length, transaction);
+        const rolls = assignRollNumbers(students, (await nextRollNumber(tenantId, toClassId, transaction)) - 1);
+        const classData = classDataOf(target);
+
+        const moved = [];
+        for (const student of students) {
+            const fields = { classId: target.id, classData, rollNumber: rolls.get(student.id) };
+            await Student.update(fields, { where: { id: student.id, tenantId }, transaction });
+            await syncEnrollment({ ...student.get({ plain: true }), ...fields }, transaction);
+            moved.push({ studentId: student.id, fromClassId: student.classId, rollNumber: fields.rollNumber });
+        }
+        return {
+            toSection: { id: target.id, className: target.className, section: target.section },
+            moved: moved.sort((a, b) => a.rollNumber - b.rollNumber)
+        };
+    });
+
+    logger.info(`[CLASS_SECTION] ${result.moved.length} student(s) moved to section ${toClassId} of tenant ${tenantId} by ${userId}`);
+    return result;
+}
+
+// ========== MODEL HOOKS ==========
+
+/**
+ * Put a class in its group: the one named by classGroupId (whose name and year it takes), else
+ * the group of its className and year, created when missing
+ */
+async function linkGroup(cls, transaction) {
+    if (cls.classGroupId) {
+        const group = await ClassGroup.findOne({ where: { id: cls.classGroupId, tenantId: cls.tenantId }, transaction });
+        if (!group) {
+            throw new Error('VALIDATION_ERROR: classGroupId must be a class of this school');
+        }
+        cls.className = group.name;
+        cls.academicYearId = group.academicYearId;
+        return;
+    }
+
+    const where = { tenantId: cls.tenantId, academicYearId: cls.academicYearId || null, name: cls.className };
+    const group = await ClassGroup.findOne({ where, transaction })
+        || await ClassGroup.create({ ...where, status: 'active' }, { transaction });
+    cls.classGroupId = group.id;
+}
+
+let hooksRegistered = false;
+
+/**
+ * Register the hooks that keep classes in their groups and classData in step. Called once at
+ * startup, after the academic year hooks (the group depends on the class's year).
+ */
+function registerSectionHooks() {
+    if (hooksRegistered) return;
+    hooksRegistered = true;
+
+    Class.addHook('beforeCreate', 'classSection', (cls, options) => linkGroup(cls, options.transaction));
+    Class.addHook('beforeUpdate', 'classSection', (cls, options) => {
+        if (cls.changed('classGroupId')) return linkGroup(cls, options.transaction);
+        if (cls.changed('className') || cls.changed('academicYearId')) {
+            cls.classGroupId = null;
+            return linkGroup(cls, options.transaction);
+        }
+        return null;
+    });
+    Class.addHook('afterUpdate', 'classSection', (cls, options) => {
+        if (['className', 'section', 'classTeacherId', 'academicYearId'].some(k => cls.changed(k))) {
+            return syncClassData(cls.tenantId, [cls], options.transaction);
+        }
+        return null;
+    });
+}
+
+module.exports = {
+    STATUSES,
+    validateCapacity,
+    validateGroupFields,
+    validateSections,
+    capacityOf,
+    seatsLeft,
+    assignRollNumbers,
+    classDataOf,
+    assertSeats,
+    placeStudent,
+    listGroups,
+    getGroup,
+    createGroup,
+    updateGroup,
+    deleteGroup,
+    addSections,
+    updateSection,
+    resequenceRollNumbers,
+    moveStudents,
+    registerSectionHooks
+};
@@ -1,4 +1,5 @@
 const Class = require('../models/Class');
+const Teacher = require('../models/Teacher');
 
 async function listClasses(tenantId, { page = 1, limit = 50, query = {} } = {}) {
     const maxLimit = 200;
@@ -32,10 +33,17 @@ async function deleteClass(id, tenantId) {
     return c;
 }
 
+// A class teacher must be a teacher of the same tenant
+async function isTenantTeacher(teacherId, tenantId) {
+    const teacher = await Teacher.findOne({ where: { id: teacherId, tenantId }, attributes: ['id'] });
+    return !!teacher;
+}
+
 module.exports = {
     listClasses,
     createClass,
     getClassById,
     updateClass,
-    deleteClass
+    deleteClass,
+    isTenantTeacher
 };
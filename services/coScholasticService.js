@@ -0,0 +1,187 @@
+/**
+ * Co-Scholastic Service
+ *
+ * Grades in co-scholastic areas (work education, art, health and physical education,
+ * discipline...) per exam term. The class teacher grades the whole class in one area at a
+ * time; grades come from the co-scholastic list of the class's grading scheme.
+ */
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const CoScholasticGrade = require('../models/CoScholasticGrade');
+const Exam = require('../models/Exam');
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const gradingService = require('./gradingService');
+const logger = require('../config/logger');
+
+const studentName = (s) => s.studentName || [s.firstName, s.lastName].filter(Boolean).join(' ');
+
+// ========== PURE HELPERS ==========
+
+/**
+ * Whether the caller may grade a class: its class teacher, or the teachers assigned to the
+ * class when it has none
+ *
+ * @param {Object} cls - { id, classTeacherId }
+ * @param {Object} access - { teacherId, classIds }, or null for tenant-wide callers
+ * @returns {Boolean}
+ */
+function canGradeClass(cls, access) {
+    if (!access) return true;
+    if (cls.classTeacherId) return cls.classTeacherId === access.teacherId;
+    return (access.classIds || []).includes(cls.id);
+}
+
+/**
+ * Check entries for one area against the roster and the scheme's grades
+ *
+ * @param {Array} entries - [{ studentId, grade, remarks }]; a null grade clears the student's grade
+ * @param {Array} rosterIds - Student IDs of the class
+ * @param {Array} allowedGrades - [{ grade }] of the scheme
+ * @returns {Array} [{ studentId, grade, remarks }] with grades spelled as in the scheme
+ */
+function planCoScholasticEntry(entries, rosterIds, allowedGrades) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('VALIDATION_ERROR: entries must be a non-empty array');
+    }
+    const roster = new Set(rosterIds);
+    const grades = new Map(allowedGrades.map(g => [g.grade.toUpperCase(), g.grade]));
+    const seen = new Set();
+
+    return entries.map((entry, i) => {
+        if (!roster.has(entry.studentId)) {
+            throw new Error(`VALIDATION_ERROR: entries[${i}]: the student is not an active student of the class`);
+        }
+        if (seen.has(entry.studentId)) {
+            throw new Error(`VALIDATION_ERROR: entries[${i}]: the student appears more than once`);
+        }
+        seen.add(entry.studentId);
+
+        if (entry.grade === null || entry.grade === undefined || entry.grade === '') {
+            return { studentId: entry.studentId, grade: null, remarks: null };
+        }
+        const grade = grades.get(String(entry.grade).trim().toUpperCase());
+        if (!grade) {
+            throw new Error(`VALIDATION_ERROR: entries[${i}]: grade must be one of: ${allowedGrades.map(g => g.grade).join(', ')}`);
+        }
+        return { studentId: entry.studentId, grade, remarks: entry.remarks ? String(entry.remarks) : null };
+    });
+}
+
+// ========== GRADES ==========
+
+const loadContext = async (tenantId, examId, classId, access, transaction = null) => {
+    const exam = await Exam.findOne({ where: { id: examId, tenantId }, attributes: ['id', 'name', 'academicSession'], transaction });
+    if (!exam) {
+        throw new Error('NOT_FOUND: Exam not found');
+    }
+    const cls = await Class.findOne({ where: { id: classId, tenantId }, attributes: ['id', 'className', 'section', 'classTeacherId'], transaction });
+    if (!cls) {
+        throw new Error('NOT_FOUND: Class not found');
+    }
+    if (!canGradeClass(cls, access)) {
+        throw new Error('INSUFFICIENT_PERMISSIONS: Co-scholastic grades are entered by the class teacher');
+    }
+    const scheme = await gradingService.resolveScheme(tenantId, { classId, academicSession: exam.academicSession }, transaction);
+    return { exam, cls, scheme };
+};
+
+const loadRoster = (tenantId, classId, transaction) => Student.findAll({
+    where: { tenantId, classId, status: 'active' },
+    attributes: ['id', 'admissionNo', 'rollNumber', 'firstName', 'lastName', 'studentName'],
+    order: [['rollNumber', 'ASC'], ['firstName', 'ASC'], ['lastName', 'ASC']],
+    transaction
+});
+
+/**
+ * Co-scholastic grades of a class in an exam, by student and area
+ *
+ * @param {Object} access - { teacherId, classIds } for teachers, null for tenant-wide callers
+ * @returns {Promise<Object>} { exam, class, grades, areas, students: [{ grades: { area: { grade, remarks } } }] }
+ */
+async function getClassGrades(tenantId, examId, classId, access) {
+    const { exam, cls, scheme } = await loadContext(tenantId, examId, classId, access);
+    const students = await loadRoster(tenantId, classId);
+    const rows = await CoScholasticGrade.findAll({
+        where: { tenantId, examId, classId },
+        attributes: ['studentId', 'area', 'grade', 'remarks'],
+        order: [['area', 'ASC']]
+    });
+
+    const byStudent = new Map();
+    rows.forEach(r => {
+        if (!byStudent.has(r.studentId)) byStudent.set(r.studentId, {});
+        byStudent.get(r.studentId)[r.area] = { grade: r.grade, remarks: r.remarks };
+    });
+
+    return {
+        exam: { id: exam.id, name: exam.name, academicSession: exam.academicSession },
+        class: { id: cls.id, className: cls.className, section: cls.section },
+        grades: scheme.coScholasticGrades,
+        areas: [...new Set(rows.map(r => r.area))],
+        students: students.map(s => ({
+            studentId: s.id,
+            admissionNo: s.admissionNo,
+            rollNumber: s.rollNumber,
+            name: studentName(s),
+            grades: byStudent.get(s.id) || {}
+        }))
+    };
+}
+
+/**
+ * Grade students of a class in one area. Students left out keep their grade.
+ *
+ * @param {Object} data - { classId, area, entries: [{ studentId, grade, remarks }] }
+ * @param {String} userId - Entering user
+ * @param {Object} access - { teacherId, classIds } or null
+ * @returns {Promise<Object>} { area, saved, cleared }
+ */
+async function saveClassGrades(tenantId, examId, data, userId, access) {
+    const area = data.area ? String(data.area).trim() : '';
+    if (!area || area.length > 100) {
+        throw new Error('VALIDATION_ERROR: area must be 1-100 characters');
+    }
+
+    return sequelize.transaction(async (transaction) => {
+        const { scheme } = await loadContext(tenantId, examId, data.classId, access, transaction);
+        const students = await loadRoster(tenantId, data.classId, transaction);
+        const plan = planCoScholasticEntry(data.entries, students.map(s => s.id), scheme.coScholasticGrades);
+
+        const existing = await CoScholasticGrade.findAll({
+            where: { tenantId, examId, area, studentId: { [Op.in]: plan.map(p => p.studentId) } },
+            transaction
+        });
+        const existingByStudent = new Map(existing.map(r => [r.studentId, r]));
+
+        let saved = 0;
+        let cleared = 0;
+        for (const p of plan) {
+            const row = existingByStudent.get(p.studentId);
+            if (p.grade === null) {
+                if (row) {
+                    await row.destroy({ transaction });
+                    cleared += 1;
+                }
+                continue;
+            }
+            const fields = { grade: p.grade, remarks: p.remarks, classId: data.classId, enteredBy: userId || null };
+            if (row) {
+                await row.update(fields, { transaction });
+            } else {
+                await CoScholasticGrade.create({ ...fields, tenantId, examId, studentId: p.studentId, area }, { transaction });
+            }
+            saved += 1;
+        }
+
+        logger.info(`[CO_SCHOLASTIC] Exam ${examId}, class ${data.classId}, ${area}: ${saved} saved, ${cleared} cleared`);
+        return { area, saved, cleared };
+    });
+}
+
+module.exports = {
+    canGradeClass,
+    planCoScholasticEntry,
+    getClassGrades,
+    saveClassGrades
+};
@@ -1,2 +1,62 @@
-// Placeholder service: emailService.js
-module.exports = {};
+/**
+ * Email Service
+ *
+ * Sends one plain-text email through the configured provider. Used by the notifications job
+ * (notificationService.dispatchDue); features queue messages rather than calling this directly.
+ *
+ * Environment:
+ *   EMAIL_PROVIDER=log   'log' writes messages to the log only (default), 'aws' sends through Amazon SES
+ *   EMAIL_FROM           verified sender address, required with 'aws'
+ *   AWS_REGION           SES region (default ap-south-1); credentials come from the usual AWS variables
+ */
+const logger = require('../config/logger');
+
+let sesClient = null;
+
+const provider = () => (process.env.EMAIL_PROVIDER || 'log').toLowerCase();
+
+const isEmail = (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value || ''));
+
+function getSesClient() {
+    if (!sesClient) {
+        const SES = require('aws-sdk/clients/ses');
+        sesClient = new SES({ region: process.env.AWS_REGION || 'ap-south-1' });
+    }
+    return sesClient;
+}
+
+/**
+ * Send an email
+ *
+ * @param {Object} message - { to, subject, body }
+ * @returns {Promise<Object>} { providerMessageId }
+ */
+async function sendEmail({ to, subject, body }) {
+    if (!isEmail(to)) {
+        throw new Error(`Invalid email address: ${to}`);
+    }
+
+    switch (provider()) {
+        case 'log':
+            logger.info(`[EMAIL] To ${to}: ${subject}`);
+            return { providerMessageId: null };
+        case 'aws': {
+            if (!process.env.EMAIL_FROM) {
+                throw new Error('EMAIL_FROM is not configured');
+            }
+            const result = await getSesClient().sendEmail({
+                Source: process.env.EMAIL_FROM,
+                Destination: { ToAddresses: [to] },
+                Message: {
+                    Subject: { Data: subject || '', Charset: 'UTF-8' },
+                    Body: { Text: { Data: body, Charset: 'UTF-8' } }
+                }
+            }).promise();
+            return { providerMessageId: result.MessageId || null };
+        }
+        default:
+            throw new Error(`Unknown EMAIL_PROVIDER: ${provider()}`);
+    }
+}
+
+module.exports = { isEmail, sendEmail };
@@ -0,0 +1,514 @@
+/**
+ * Exam Analytics Service
+ *
+ * Result analysis after an exam: ranks of a section's students within the section and within
+ * the class (every section sharing the class name), subject-wise average, highest and lowest
+ * marks and pass percentage per class and per subject teacher, and a comparison of the same
+ * figures across the exams of an academic session.
+ *
+ * A student passes a paper with marks at or above its pass marks. Absent counts as failing
+ * the paper; medical entries are left out of every figure. Papers name their subject, so the
+ * subject teacher of a paper is the subject's teacher in the class (ClassSubject), or else the
+ * teacher taking that subject in the class on the timetable, the same rule marks entry uses.
+ *
+ * Reports share the { title, subtitle, columns, rows, totals } shape of the attendance and
+ * fee reports so they export to CSV or PDF through utils/exportHelper.
+ */
+const { Op } = require('sequelize');
+const Exam = require('../models/Exam');
+const ExamPaper = require('../models/ExamPaper');
+const ExamMarks = require('../models/ExamMarks');
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const TimetableSlot = require('../models/TimetableSlot');
+const gradingService = require('./gradingService');
+const { canSeeClass, studentResult } = require('./examMarksService');
+const { loadClassTeachers, loadTaughtSubjects } = require('./subjectService');
+require('../models'); // register associations used by the includes below
+
+const studentName = (s) => s.studentName || [s.firstName, s.lastName].filter(Boolean).join(' ');
+
+const teacherName = (t) => [t.firstName, t.lastName].filter(Boolean).join(' ');
+
+const className = (c) => [c.className, c.section].filter(Boolean).join(' - ');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const slotKey = (classId, subject) => `${classId}|${subject}`;
+
+// ========== PURE HELPERS ==========
+
+/**
+ * Competition ranks ("1224"): equal values share a rank and the next rank skips.
+ * Missing values are not ranked.
+ *
+ * @param {Array<Number|null>} values - Higher is better
+ * @returns {Array<Number|null>} Rank of each value, in input order
+ */
+function competitionRanks(values) {
+    const ranked = values.filter(v => v !== null && v !== undefined).sort((a, b) => b - a);
+    return values.map(v => (v === null || v === undefined ? null : ranked.indexOf(v) + 1));
+}
+
+/**
+ * Figures of one paper from its marks rows
+ *
+ * @param {Array} rows - Marks rows of the paper ({ status, marksObtained })
+ * @param {Object} paper - { maxMarks, passMarks }
+ * @returns {Object} { entered, appeared, absent, medical, average, highest, lowest, averagePercent, passed, failed, passPercent }
+ */
+function paperStats(rows, paper) {
+    const marks = rows.filter(r => r.status === 'present').map(r => Number(r.marksObtained));
+    const absent = rows.filter(r => r.status === 'absent').length;
+    const passed = marks.filter(m => m >= Number(paper.passMarks)).length;
+    const sat = marks.length + absent;
+    const average = marks.length ? marks.reduce((sum, m) => sum + m, 0) / marks.length : null;
+
+    return {
+        entered: rows.length,
+        appeared: marks.length,
+        absent,
+        medical: rows.length - marks.length - absent,
+        average: average === null ? null : round2(average),
+        highest: marks.length ? Math.max(...marks) : null,
+        lowest: marks.length ? Math.min(...marks) : null,
+        averagePercent: average === null ? null : gradingService.percentOf(average, paper.maxMarks),
+        passed,
+        failed: sat - passed,
+        passPercent: sat ? gradingService.percentOf(passed, sat) : null
+    };
+}
+
+/**
+ * Pool the figures of several papers (a teacher's, a class's, an exam's). The average
+ * percentage is the mean over every student paper, so larger classes weigh more.
+ *
+ * @param {Array} stats - paperStats results
+ * @returns {Object} { papers, appeared, absent, medical, averagePercent, passed, failed, passPercent }
+ */
+function poolStats(stats) {
+    const pooled = { papers: stats.length, appeared: 0, absent: 0, medical: 0, passed: 0, failed: 0 };
+    let percentSum = 0;
+    stats.forEach(s => {
+        ['appeared', 'absent', 'medical', 'passed', 'failed'].forEach(k => { pooled[k] += s[k]; });
+        if (s.averagePercent !== null) percentSum += s.averagePercent * s.appeared;
+    });
+    const sat = pooled.passed + pooled.failed;
+    return {
+        ...pooled,
+        averagePercent: pooled.appeared ? round2(percentSum / pooled.appeared) : null,
+        passPercent: sat ? gradingService.percentOf(pooled.passed, sat) : null
+    };
+}
+
+/**
+ * Whether a student passed an exam: every paper passed. Failing (or missing) any paper is a
+ * fail; papers still to be entered leave the result open.
+ *
+ * @param {Array} papers - The class's papers ({ id, passMarks })
+ * @param {Map} rowsByPaper - examPaperId -> marks row of the student
+ * @returns {String|null} 'pass', 'fail' or null
+ */
+function examOutcome(papers, rowsByPaper) {
+    let pending = false;
+    for (const paper of papers) {
+        const row = rowsByPaper.get(paper.id);
+        if (!row) {
+            pending = true;
+        } else if (row.status === 'absent' || (row.status === 'present' && Number(row.marksObtained) < Number(paper.passMarks))) {
+            return 'fail';
+        }
+    }
+    return pending || papers.length === 0 ? null : 'pass';
+}
+
+// ========== LOADING ==========
+
+const loadExam = async (tenantId, examId) => {
+    const exam = await Exam.findOne({ where: { id: examId, tenantId }, attributes: ['id', 'name', 'examType', 'academicSession'] });
+    if (!exam) {
+        throw new Error('NOT_FOUND: Exam not found');
+    }
+    return exam;
+};
+
+const loadPapers = (tenantId, where) => ExamPaper.findAll({
+    where: { tenantId, ...where },
+    attributes: ['id', 'examId', 'classId', 'subject', 'maxMarks', 'passMarks'],
+    include: [{ model: Class, as: 'class', attributes: ['id', 'className', 'section', 'classTeacherId'] }],
+    order: [['examDate', 'ASC'], ['startTime', 'ASC']]
+});
+
+/**
+ * Marks rows of the papers, by paper
+ *
+ * @returns {Promise<Map>} examPaperId -> rows
+ */
+async function loadRows(tenantId, papers) {
+    const byPaper = new Map(papers.map(p => [p.id, []]));
+    if (papers.length === 0) return byPaper;
+
+    const rows = await ExamMarks.findAll({
+        where: { tenantId, examPaperId: { [Op.in]: papers.map(p => p.id) } },
+        attributes: ['studentId', 'examPaperId', 'status', 'marksObtained', 'totalMarks', 'percentage', 'grade', 'gradePoint']
+    });
+    rows.forEach(r => byPaper.get(r.examPaperId).push(r));
+    return byPaper;
+}
+
+/**
+ * Teachers taking each subject in the classes: the subject's teacher in the class, else the
+ * teachers of its periods on the active timetable
+ *
+ * @returns {Promise<Map>} "classId|subject" -> [{ id, name }]
+ */
+async function loadSubjectTeachers(tenantId, classIds) {
+    const teachers = new Map();
+    if (classIds.length === 0) return teachers;
+
+    const add = (key, teacherId, teacher) => {
+        if (!teachers.has(key)) teachers.set(key, []);
+        const list = teachers.get(key);
+        if (!list.some(t => t.id === teacherId)) {
+            list.push({ id: teacherId, name: teacher ? teacherName(teacher) : '' });
+        }
+    };
+
+    const mapped = await loadClassTeachers(tenantId, classIds);
+    mapped.forEach(row => add(slotKey(row.classId, row.subject), row.teacherId, row.teacher));
+    const assigned = new Set(teachers.keys());
+
+    const slots = await TimetableSlot.findAll({
+        where: { tenantId, classId: { [Op.in]: classIds }, isActive: true, teacherId: { [Op.ne]: null } },
+        attributes: ['classId', 'subject', 'teacherId'],
+        include: [{ model: Teacher, as: 'teacher', attributes: ['id', 'firstName', 'lastName'] }]
+    });
+    slots.forEach(slot => {
+        const key = slotKey(slot.classId, slot.subject);
+        if (!assigned.has(key)) add(key, slot.teacherId, slot.teacher);
+    });
+    return teachers;
+}
+
+/**
+ * Papers a restricted caller may analyse: those of classes they teach and those of subjects
+ * they take on the timetable
+ */
+const visiblePapers = (papers, teachers, access) => papers.filter(p => !access
+    || canSeeClass(p.class || { id: p.classId }, access)
+    || (teachers.get(slotKey(p.classId, p.subject)) || []).some(t => t.id === access.teacherId));
+
+const requireVisible = (papers, total) => {
+    if (total > 0 && papers.length === 0) {
+        throw new Error('INSUFFICIENT_PERMISSIONS: You do not teach in this class');
+    }
+};
+
+// ========== REPORTS ==========
+
+const STAT_COLUMNS = [
+    { key: 'appeared', label: 'Appeared', align: 'right', width: 0.7 },
+    { key: 'absent', label: 'Absent', align: 'right', width: 0.6 },
+    { key: 'averagePercent', label: 'Average %', align: 'right', width: 0.8 },
+    { key: 'passed', label: 'Passed', align: 'right', width: 0.6 },
+    { key: 'passPercent', label: 'Pass %', align: 'right', width: 0.7 }
+];
+
+/**
+ * Ranks of a section's students in an exam, within the section and within the class
+ * (all sections with the same class name), by overall percentage
+ *
+ * @param {Object} options - { examId, classId }
+ * @param {Object} access - { teacherId, classIds } for teachers, null for tenant-wide callers
+ */
+async function rankReport(tenantId, { examId, classId }, access) {
+    const exam = await loadExam(tenantId, examId);
+    const cls = await Class.findOne({ where: { id: classId, tenantId }, attributes: ['id', 'className', 'section', 'classTeacherId'] });
+    if (!cls) {
+        throw new Error('NOT_FOUND: Class not found');
+    }
+    if (!canSeeClass(cls, access)) {
+        throw new Error('INSUFFICIENT_PERMISSIONS: You are not a teacher of this class');
+    }
+
+    const sections = await Class.findAll({ where: { tenantId, className: cls.className }, attributes: ['id', 'section'] });
+    const sectionIds = sections.map(s => s.id);
+    const [papers, students, scheme] = await Promise.all([
+        loadPapers(tenantId, { examId, classId: { [Op.in]: sectionIds } }),
+        Student.findAll({
+            where: { tenantId, classId: { [Op.in]: sectionIds }, status: 'active' },
+            attributes: ['id', 'classId', 'admissionNo', 'rollNumber', 'firstName', 'lastName', 'studentName'],
+            order: [['rollNumber', 'ASC'], ['firstName', 'ASC'], ['lastName', 'ASC']]
+        }),
+        gradingService.resolveScheme(tenantId, { classId, academicSession: exam.academicSession })
+    ]);
+    const rowsByPaper = await loadRows(tenantId, papers);
+
+    const rowsByStudent = new Map();
+    rowsByPaper.forEach((rows, paperId) => rows.forEach(r => {
+        if (!rowsByStudent.has(r.studentId)) rowsByStudent.set(r.studentId, new Map());
+        rowsByStudent.get(r.studentId).set(paperId, r);
+    }));
+
+    const results = students.map(s => {
+        const own = papers.filter(p => p.classId === s.classId);
+        const rows = rowsByStudent.get(s.id) || new Map();
+        return { student: s, result: studentResult(own, rows, scheme.bands), outcome: examOutcome(own, rows) };
+    });
+
+    const classRanks = competitionRanks(results.map(r => r.result.percentage));
+    const inSection = results.map((r, i) => ({ ...r, classRank: classRanks[i] })).filter(r => r.student.classId === cls.id);
+    const sectionRanks = competitionRanks(inSection.map(r => r.result.percentage));
+
+    const rows = inSection.map((r, i) => ({
+        studentId: r.student.id,
+        sectionRank: sectionRanks[i],
+        classRank: r.classRank,
+        admissionNo: r.student.admissionNo,
+        rollNumber: r.student.rollNumber,
+        studentName: studentName(r.student),
+        marksObtained: r.result.marksObtained,
+        maxMarks: r.result.maxMarks,
+        percentage: r.result.percentage,
+        grade: r.result.grade,
+        result: r.outcome,
+        pending: r.result.pending
+    })).sort((a, b) => (a.sectionRank || Infinity) - (b.sectionRank || Infinity));
+
+    const ranked = rows.filter(r => r.percentage !== null);
+    const average = ranked.length ? round2(ranked.reduce((sum, r) => sum + r.percentage, 0) / ranked.length) : null;
+
+    return {
+        title: `Ranks - ${className(cls)}`,
+        subtitle: `${exam.name} (${exam.academicSession}); class rank among ${results.length} students in ${sections.length} section(s) of ${cls.className}`,
+        exam: { id: exam.id, name: exam.name, academicSession: exam.academicSession },
+        class: { id: cls.id, className: cls.className, section: cls.section },
+        columns: [
+            { key: 'sectionRank', label: 'Section Rank', align: 'right', width: 0.7 },
+            { key: 'classRank', label: 'Class Rank', align: 'right', width: 0.7 },
+            { key: 'admissionNo', label: 'Admission No', width: 1 },
+            { key: 'rollNumber', label: 'Roll', align: 'right', width: 0.5 },
+            { key: 'studentName', label: 'Student', width: 1.8 },
+            { key: 'marksObtained', label: 'Marks', align: 'right', width: 0.7 },
+            { key: 'maxMarks', label: 'Out Of', align: 'right', width: 0.7 },
+            { key: 'percentage', label: '%', align: 'right', width: 0.6 },
+            { key: 'grade', label: 'Grade', width: 0.6 },
+            { key: 'result', label: 'Result', width: 0.6 }
+        ],
+        rows,
+        totals: {
+            admissionNo: 'Average',
+            studentName: `${rows.length} students`,
+            percentage: average,
+            result: `${rows.filter(r => r.result === 'pass').length} passed`
+        }
+    };
+}
+
+/**
+ * Average, highest and lowest marks and pass percentage of every paper of an exam
+ *
+ * @param {Object} options - { examId, classId }
+ * @param {Object} access - { teacherId, classIds } or null
+ */
+async function subjectReport(tenantId, { examId, classId }, access) {
+    const exam = await loadExam(tenantId, examId);
+    const papers = await loadPapers(tenantId, { examId, ...(classId ? { classId } : {}) });
+    const teachers = await loadSubjectTeachers(tenantId, [...new Set(papers.map(p => p.classId))]);
+    const visible = visiblePapers(papers, teachers, access);
+    requireVisible(visible, papers.length);
+    const rowsByPaper = await loadRows(tenantId, visible);
+
+    const stats = [];
+    const rows = visible.map(p => {
+        const figures = paperStats(rowsByPaper.get(p.id), p);
+        stats.push(figures);
+        return {
+            paperId: p.id,
+            classId: p.classId,
+            className: p.class ? className(p.class) : '',
+            subject: p.subject,
+            teacherName: (teachers.get(slotKey(p.classId, p.subject)) || []).map(t => t.name).join(', '),
+            maxMarks: Number(p.maxMarks),
+            passMarks: Number(p.passMarks),
+            ...figures
+        };
+    }).sort((a, b) => a.className.localeCompare(b.className) || a.subject.localeCompare(b.subject));
+
+    const pooled = poolStats(stats);
+    return {
+        title: 'Subject Results',
+        subtitle: `${exam.name} (${exam.academicSession})${classId && rows[0] ? `; ${rows[0].className}` : ''}`,
+        exam: { id: exam.id, name: exam.name, academicSession: exam.academicSession },
+        columns: [
+            { key: 'className', label: 'Class', width: 0.9 },
+            { key: 'subject', label: 'Subject', width: 1.1 },
+            { key: 'teacherName', label: 'Teacher', width: 1.3 },
+            { key: 'maxMarks', label: 'Max', align: 'right', width: 0.5 },
+            { key: 'average', label: 'Average', align: 'right', width: 0.7 },
+            { key: 'highest', label: 'Highest', align: 'right', width: 0.7 },
+            { key: 'lowest', label: 'Lowest', align: 'right', width: 0.7 },
+            ...STAT_COLUMNS
+        ],
+        rows,
+        totals: { className: 'Total', subject: `${rows.length} papers`, ...pooled }
+    };
+}
+
+/**
+ * Results of each subject teacher's papers in an exam. Papers with nobody on the timetable
+ * are grouped as unassigned; a paper taken by two teachers counts for both.
+ *
+ * @param {Object} options - { examId }
+ * @param {Object} access - { teacherId, classIds } for teachers (their own row), or null
+ */
+async function teacherReport(tenantId, { examId }, access) {
+    const exam = await loadExam(tenantId, examId);
+    const papers = await loadPapers(tenantId, { examId });
+    const teachers = await loadSubjectTeachers(tenantId, [...new Set(papers.map(p => p.classId))]);
+    const rowsByPaper = await loadRows(tenantId, papers);
+
+    const groups = new Map();
+    const add = (teacher, paper) => {
+        const key = teacher ? teacher.id : null;
+        if (!groups.has(key)) groups.set(key, { teacher, papers: [] });
+        groups.get(key).papers.push(paper);
+    };
+    papers.forEach(p => {
+        const taking = teachers.get(slotKey(p.classId, p.subject)) || [];
+        if (taking.length === 0) add(null, p);
+        taking.forEach(t => add(t, p));
+    });
+
+    const kept = [...groups.values()].filter(g => !access || (g.teacher && g.teacher.id === access.teacherId));
+    const rows = kept
+        .map(g => ({
+            teacherId: g.teacher ? g.teacher.id : null,
+            teacherName: g.teacher ? g.teacher.name : 'Unassigned',
+            subjects: [...new Set(g.papers.map(p => p.subject))].sort().join(', '),
+            classes: [...new Set(g.papers.map(p => (p.class ? className(p.class) : '')))].sort().join(', '),
+            ...poolStats(g.papers.map(p => paperStats(rowsByPaper.get(p.id), p)))
+        }))
+        .sort((a, b) => (a.teacherId === null) - (b.teacherId === null) || a.teacherName.localeCompare(b.teacherName));
+
+    const counted = access ? [...new Set(kept.flatMap(g => g.papers))] : papers;
+    return {
+        title: 'Subject Teacher Results',
+        subtitle: `${exam.name} (${exam.academicSession}); subject teachers from the class timetables`,
+        exam: { id: exam.id, name: exam.name, academicSession: exam.academicSession },
+        columns: [
+            { key: 'teacherName', label: 'Teacher', width: 1.4 },
+            { key: 'subjects', label: 'Subjects', width: 1.4 },
+            { key: 'classes', label: 'Classes', width: 1.4 },
+            { key: 'papers', label: 'Papers', align: 'right', width: 0.6 },
+            ...STAT_COLUMNS
+        ],
+        rows,
+        totals: { teacherName: 'Total', ...poolStats(counted.map(p => paperStats(rowsByPaper.get(p.id), p))) }
+    };
+}
+
+/**
+ * Average and pass percentage of a class's subjects, or of a teacher's class subjects, in
+ * each exam of an academic session side by side, with the change from the first exam to the
+ * latest
+ *
+ * @param {Object} options - { academicSession, classId } or { academicSession, teacherId }
+ * @param {Object} access - { teacherId, classIds } or null
+ */
+async function termReport(tenantId, { academicSession, classId, teacherId }, access) {
+    if (!classId === !teacherId) {
+        throw new Error('VALIDATION_ERROR: Give either classId or teacherId');
+    }
+
+    let subjectOf;
+    let label;
+    let papers;
+    if (classId) {
+        const cls = await Class.findOne({ where: { id: classId, tenantId }, attributes: ['id', 'className', 'section', 'classTeacherId'] });
+        if (!cls) {
+            throw new Error('NOT_FOUND: Class not found');
+        }
+        if (!canSeeClass(cls, access)) {
+            throw new Error('INSUFFICIENT_PERMISSIONS: You are not a teacher of this class');
+        }
+        label = className(cls);
+        subjectOf = (p) => p.subject;
+        papers = await loadPapers(tenantId, { classId });
+    } else {
+        if (access && access.teacherId !== teacherId) {
+            throw new Error('INSUFFICIENT_PERMISSIONS: Teachers can only compare their own subjects');
+        }
+        const teacher = await Teacher.findOne({ where: { id: teacherId, tenantId }, attributes: ['id', 'firstName', 'lastName'] });
+        if (!teacher) {
+            throw new Error('NOT_FOUND: Teacher not found');
+        }
+        const subjects = await loadTaughtSubjects(tenantId, teacherId);
+        const taught = new Set(subjects.map(s => slotKey(s.classId, s.subject)));
+        label = teacherName(teacher);
+        subjectOf = (p) => `${p.class ? className(p.class) : ''}: ${p.subject}`;
+        papers = subjects.length === 0 ? [] : (await loadPapers(tenantId, { classId: { [Op.in]: [...new Set(subjects.map(s => s.classId))] } }))
+            .filter(p => taught.has(slotKey(p.classId, p.subject)));
+    }
+
+    const exams = await Exam.findAll({
+        where: { tenantId, academicSession },
+        attributes: ['id', 'name', 'examType', 'startDate'],
+        order: [['startDate', 'ASC'], ['createdAt', 'ASC']]
+    });
+    const examIds = new Set(exams.map(e => e.id));
+    papers = papers.filter(p => examIds.has(p.examId));
+    const written = exams.filter(e => papers.some(p => p.examId === e.id));
+    const rowsByPaper = await loadRows(tenantId, papers);
+
+    const figures = (list) => {
+        const cells = {};
+        const averages = [];
+        written.forEach((e, i) => {
+            const inExam = list.filter(p => p.examId === e.id);
+            const pooled = inExam.length ? poolStats(inExam.map(p => paperStats(rowsByPaper.get(p.id), p))) : null;
+            cells[`averagePercent_${i + 1}`] = pooled ? pooled.averagePercent : null;
+            cells[`passPercent_${i + 1}`] = pooled ? pooled.passPercent : null;
+            if (pooled && pooled.averagePercent !== null) averages.push(pooled.averagePercent);
+        });
+        cells.change = averages.length > 1 ? round2(averages[averages.length - 1] - averages[0]) : null;
+        return cells;
+    };
+
+    const bySubject = new Map();
+    papers.forEach(p => {
+        const subject = subjectOf(p);
+        if (!bySubject.has(subject)) bySubject.set(subject, []);
+        bySubject.get(subject).push(p);
+    });
+    const rows = [...bySubject.keys()].sort().map(subject => ({ subject, ...figures(bySubject.get(subject)) }));
+
+    return {
+        title: `Exam Comparison - ${label}`,
+        subtitle: `${academicSession}; ${written.map(e => e.name).join(', ') || 'no exams with papers'}`,
+        academicSession,
+        exams: written.map(e => ({ id: e.id, name: e.name, examType: e.examType })),
+        columns: [
+            { key: 'subject', label: classId ? 'Subject' : 'Class: Subject', width: 1.6 },
+            ...written.flatMap((e, i) => [
+                { key: `averagePercent_${i + 1}`, label: `${e.name} Avg %`, align: 'right', width: 0.9 },
+                { key: `passPercent_${i + 1}`, label: `${e.name} Pass %`, align: 'right', width: 0.9 }
+            ]),
+            { key: 'change', label: 'Avg Change', align: 'right', width: 0.8 }
+        ],
+        rows,
+        totals: { subject: 'Overall', ...figures(papers) }
+    };
+}
+
+module.exports = {
+    competitionRanks,
+    paperStats,
+    poolStats,
+    examOutcome,
+    rankReport,
+    subjectReport,
+    teacherReport,
+    termReport
+};
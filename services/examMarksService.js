@@ -0,0 +1,556 @@
+/**
+ * Exam Marks Service
+ *
+ * Bulk marks entry per exam paper. The subject teacher (the teacher taking the subject in the
+ * class on the timetable) enters the whole class in one request and submits it; a moderator
+ * reviews the paper and moderates it, which locks the marks. Reopening unlocks them.
+ *
+ * Marks cannot exceed the paper's max marks. Students can be marked absent or medical
+ * instead, without marks. Percentage, grade and grade point are computed from the grading
+ * scheme of the paper's class and academic session; regradeExam recomputes them after a
+ * scheme changes. GPA and CGPA are built from the stored grade points.
+ */
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const ExamPaper = require('../models/ExamPaper');
+const ExamMarks = require('../models/ExamMarks');
+const Exam = require('../models/Exam');
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const gradingService = require('./gradingService');
+const { teachesSubject } = require('./subjectService');
+const logger = require('../config/logger');
+require('../models'); // register associations used by the includes below
+
+const MARK_STATUSES = ['present', 'absent', 'medical'];
+
+const MARKS_STATES = ['open', 'submitted', 'moderated'];
+
+const studentName = (s) => s.studentName || [s.firstName, s.lastName].filter(Boolean).join(' ');
+
+// ========== PURE HELPERS ==========
+
+/**
+ * Check submitted entries against the roster and the paper, and compute percentage and grade
+ *
+ * @param {Array} entries - [{ studentId, status, marksObtained, remarks }]
+ * @param {Array} rosterIds - Student IDs of the class
+ * @param {Object} paper - { maxMarks }
+ * @param {Array} bands - Grading bands
+ * @returns {Array} [{ studentId, status, marksObtained, totalMarks, percentage, grade, gradePoint, remarks }]
+ */
+function planMarksEntry(entries, rosterIds, paper, bands) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+        throw new Error('VALIDATION_ERROR: entries must be a non-empty array');
+    }
+    const roster = new Set(rosterIds);
+    const maxMarks = Number(paper.maxMarks);
+    const seen = new Set();
+
+    return entries.map((entry, i) => {
+        const { studentId } = entry;
+        if (!roster.has(studentId)) {
+            throw new Error(`VALIDATION_ERROR: entries[${i}]: the student is not an active student of the class`);
+        }
+        if (seen.has(studentId)) {
+            throw new Error(`VALIDATION_ERROR: entries[${i}]: the student appears more than once`);
+        }
+        seen.add(studentId);
+
+        const status = entry.status || 'present';
+        if (!MARK_STATUSES.includes(status)) {
+            throw new Error(`VALIDATION_ERROR: entries[${i}]: status must be one of: ${MARK_STATUSES.join(', ')}`);
+        }
+        const remarks = entry.remarks ? String(entry.remarks) : null;
+
+        if (status !== 'present') {
+            if (entry.marksObtained !== undefined && entry.marksObtained !== null && entry.marksObtained !== '') {
+                throw new Error(`VALIDATION_ERROR: entries[${i}]: a student marked ${status} cannot have marks`);
+            }
+            return { studentId, status, marksObtained: null, totalMarks: maxMarks, percentage: null, grade: null, gradePoint: null, remarks };
+        }
+
+        const marks = Number(entry.marksObtained);
+        if (entry.marksObtained === undefined || entry.marksObtained === null || entry.marksObtained === '' || !Number.isFinite(marks)) {
+            throw new Error(`VALIDATION_ERROR: entries[${i}]: marksObtained is required for a present student`);
+        }
+        if (marks < 0 || marks > maxMarks) {
+            throw new Error(`VALIDATION_ERROR: entries[${i}]: marksObtained ${marks} must be between 0 and the max marks (${maxMarks})`);
+        }
+        if (Math.abs(Math.round(marks * 100) - marks * 100) > 1e-6) {
+            throw new Error(`VALIDATION_ERROR: entries[${i}]: marksObtained can have at most 2 decimals`);
+        }
+
+        const percentage = gradingService.percentOf(marks, maxMarks);
+        return {
+            studentId,
+            status,
+            marksObtained: marks,
+            totalMarks: maxMarks,
+            percentage,
+            grade: gradingService.gradeFor(percentage, bands),
+            gradePoint: gradingService.gradePointFor(percentage, bands),
+            remarks
+        };
+    });
+}
+
+/**
+ * Counts of a paper's entries
+ *
+ * @param {Array} rows - Marks rows ({ status })
+ * @param {Number} rosterSize - Students in the class
+ * @returns {Object} { entered, present, absent, medical, pending }
+ */
+function summarizeMarks(rows, rosterSize) {
+    const summary = { entered: rows.length, present: 0, absent: 0, medical: 0, pending: Math.max(0, rosterSize - rows.length) };
+    rows.forEach(r => { summary[r.status] = (summary[r.status] || 0) + 1; });
+    return summary;
+}
+
+/**
+ * Whether a caller restricted to classes may see a class's results: the teachers assigned to
+ * the class and its class teacher
+ *
+ * @param {Object} cls - { id, classTeacherId }
+ * @param {Object} access - { teacherId, classIds }, or null for tenant-wide callers
+ * @returns {Boolean}
+ */
+function canSeeClass(cls, access) {
+    if (!access) return true;
+    return (access.classIds || []).includes(cls.id) || (!!cls.classTeacherId && cls.classTeacherId === access.teacherId);
+}
+
+/**
+ * A student's result in an exam from their paper rows. Overall percentage counts absent papers
+ * as 0 and leaves medical ones out; GPA is only given once every paper has an entry.
+ *
+ * @param {Array} papers - The class's papers in the exam ({ id, subject, maxMarks })
+ * @param {Map} rowsByPaper - examPaperId -> marks row of the student
+ * @param {Array} bands - Bands of the scheme, for the overall grade
+ * @returns {Object} { papers, marksObtained, maxMarks, percentage, grade, gpa, pending }
+ */
+function studentResult(papers, rowsByPaper, bands) {
+    let obtained = 0;
+    let max = 0;
+    let pending = 0;
+    const results = [];
+
+    const lines = papers.map(paper => {
+        const row = rowsByPaper.get(paper.id);
+        if (!row) {
+            pending += 1;
+            return { paperId: paper.id, subject: paper.subject, maxMarks: Number(paper.maxMarks), status: null };
+        }
+        if (row.status !== 'medical') {
+            obtained += row.status === 'present' ? Number(row.marksObtained) : 0;
+            max += Number(row.totalMarks);
+        }
+        const gradePoint = row.gradePoint === null || row.gradePoint === undefined ? null : Number(row.gradePoint);
+        results.push({ status: row.status, gradePoint });
+        return {
+            paperId: paper.id,
+            subject: paper.subject,
+            maxMarks: Number(row.totalMarks),
+            status: row.status,
+            marksObtained: row.marksObtained === null ? null : Number(row.marksObtained),
+            percentage: row.percentage === null ? null : Number(row.percentage),
+            grade: row.grade,
+            gradePoint
+        };
+    });
+
+    const percentage = max > 0 ? gradingService.percentOf(obtained, max) : null;
+    return {
+        papers: lines,
+        marksObtained: Math.round(obtained * 100) / 100,
+        maxMarks: max,
+        percentage,
+        grade: gradingService.gradeFor(percentage, bands),
+        gpa: pending === 0 ? gradingService.gpaOf(results) : null,
+        pending
+    };
+}
+
+// ========== ACCESS ==========
+
+/**
+ * The paper, if it exists and the caller may enter its marks: tenant-wide callers any paper,
+ * teachers the papers of subjects they take in the class (subjectService.teachesSubject: the
+ * class subjects, or the timetable in classes without them)
+ *
+ * @param {Object} access - { teacherId } for teachers, null for tenant-wide callers
+ */
+async function loadAccessiblePaper(tenantId, examId, paperId, access, transaction = null) {
+    const paper = await ExamPaper.findOne({
+        where: { id: paperId, examId, tenantId },
+        include: [
+            { model: Exam, as: 'exam', attributes: ['id', 'name', 'examType', 'academicSession'] },
+            { model: Class, as: 'class', attributes: ['id', 'className', 'section'] }
+        ],
+        transaction,
+        ...(transaction ? { lock: transaction.LOCK.UPDATE } : {})
+    });
+    if (!paper) {
+        throw new Error('NOT_FOUND: Exam paper not found');
+    }
+
+    if (access) {
+        if (!(await teachesSubject(tenantId, { classId: paper.classId, subject: paper.subject, teacherId: access.teacherId }, transaction))) {
+            throw new Error(`INSUFFICIENT_PERMISSIONS: You do not teach ${paper.subject} in this class`);
+        }
+    }
+    return paper;
+}
+
+const loadRoster = (tenantId, classId, transaction) => Student.findAll({
+    where: { tenantId, classId, status: 'active' },
+    attributes: ['id', 'admissionNo', 'rollNumber', 'firstName', 'lastName', 'studentName'],
+    order: [['rollNumber', 'ASC'], ['firstName', 'ASC'], ['lastName', 'ASC']],
+    transaction
+});
+
+const schemeTarget = (paper) => ({ classId: paper.classId, academicSession: paper.exam ? paper.exam.academicSession : null });
+
+const paperSummary = (paper) => ({
+    id: paper.id,
+    exam: paper.exam ? { id: paper.exam.id, name: paper.exam.name, examType: paper.exam.examType } : { id: paper.examId },
+    class: paper.class ? { id: paper.class.id, className: paper.class.className, section: paper.class.section } : { id: paper.classId },
+    subject: paper.subject,
+    examDate: paper.examDate,
+    maxMarks: Number(paper.maxMarks),
+    passMarks: Number(paper.passMarks),
+    marksStatus: paper.marksStatus,
+    marksSubmittedAt: paper.marksSubmittedAt,
+    moderatedAt: paper.moderatedAt
+});
+
+// ========== MARKS ==========
+
+/**
+ * Marks sheet of a paper: the class roster with the marks entered so far
+ *
+ * @param {Object} access - { teacherId } or null
+ * @returns {Promise<Object>} { paper, locked, summary, students }
+ */
+async function getPaperMarks(tenantId, examId, paperId, access) {
+    const paper = await loadAccessiblePaper(tenantId, examId, paperId, access);
+    const students = await loadRoster(tenantId, paper.classId);
+    const rows = await ExamMarks.findAll({
+        where: { tenantId, examPaperId: paper.id },
+        attributes: ['id', 'studentId', 'status', 'marksObtained', 'percentage', 'grade', 'gradePoint', 'remarks', 'updatedAt']
+    });
+    const byStudent = new Map(rows.map(r => [r.studentId, r]));
+    const rosterIds = new Set(students.map(s => s.id));
+
+    return {
+        paper: paperSummary(paper),
+        locked: paper.marksStatus === 'moderated',
+        summary: summarizeMarks(rows.filter(r => rosterIds.has(r.studentId)), students.length),
+        students: students.map(s => {
+            const row = byStudent.get(s.id);
+            return {
+                studentId: s.id,
+                admissionNo: s.admissionNo,
+                rollNumber: s.rollNumber,
+                name: studentName(s),
+                marksId: row ? row.id : null,
+                status: row ? row.status : null,
+                marksObtained: row && row.marksObtained !== null ? Number(row.marksObtained) : null,
+                percentage: row && row.percentage !== null ? Number(row.percentage) : null,
+                grade: row ? row.grade : null,
+                gradePoint: row && row.gradePoint !== null ? Number(row.gradePoint) : null,
+                passed: row && row.status === 'present' ? Number(row.marksObtained) >= Number(paper.passMarks) : null,
+                remarks: row ? row.remarks : null
+            };
+        })
+    };
+}
+
+/**
+ * Enter marks for some or all students of a paper. With submit, every student must have an
+ * entry and the paper goes to the moderator. Changing a submitted paper without submitting
+ * it again reopens it.
+ *
+ * @param {Object} data - { entries: [{ studentId, status, marksObtained, remarks }], submit }
+ * @param {String} userId - Entering user
+ * @param {Object} access - { teacherId } or null
+ * @returns {Promise<Object>} { paperId, created, updated, marksStatus, summary }
+ */
+async function saveMarks(tenantId, examId, paperId, data, userId, access) {
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            const paper = await loadAccessiblePaper(tenantId, examId, paperId, access, transaction);
+            if (paper.marksStatus === 'moderated') {
+                throw new Error('CONFLICT: The marks of this paper were moderated and are locked');
+            }
+
+            const students = await loadRoster(tenantId, paper.classId, transaction);
+            const rosterIds = students.map(s => s.id);
+            const { bands } = await gradingService.resolveScheme(tenantId, schemeTarget(paper), transaction);
+            const plan = planMarksEntry(data.entries, rosterIds, paper, bands);
+
+            const existing = await ExamMarks.findAll({
+                where: { tenantId, examPaperId: paper.id, studentId: { [Op.in]: plan.map(p => p.studentId) } },
+                transaction
+            });
+            const existingByStudent = new Map(existing.map(r => [r.studentId, r]));
+
+            const toCreate = plan.filter(p => !existingByStudent.has(p.studentId));
+            if (toCreate.length > 0) {
+                await ExamMarks.bulkCreate(toCreate.map(p => ({
+                    ...p,
+                    tenantId,
+                    examId: paper.examId,
+                    examPaperId: paper.id,
+                    enteredBy: userId || null
+                })), { transaction });
+            }
+            const toUpdate = plan.filter(p => existingByStudent.has(p.studentId));
+            for (const p of toUpdate) {
+                await existingByStudent.get(p.studentId).update({ ...p, enteredBy: userId || null }, { transaction });
+            }
+
+            const rows = await ExamMarks.findAll({
+                where: { tenantId, examPaperId: paper.id, studentId: { [Op.in]: rosterIds } },
+                attributes: ['status'],
+                transaction
+            });
+            const summary = summarizeMarks(rows, rosterIds.length);
+
+            if (data.submit) {
+                if (summary.pending > 0) {
+                    throw new Error(`VALIDATION_ERROR: ${summary.pending} student(s) have no marks yet; enter them (or mark them absent) before submitting`);
+                }
+                await paper.update({ marksStatus: 'submitted', marksSubmittedBy: userId || null, marksSubmittedAt: new Date() }, { transaction });
+            } else if (paper.marksStatus === 'submitted') {
+                // Corrected after submission: back to the teacher until it is submitted again
+                await paper.update({ marksStatus: 'open', marksSubmittedBy: null, marksSubmittedAt: null }, { transaction });
+            }
+
+            logger.info(`[EXAM_MARKS] Paper ${paper.id} (${paper.subject}): ${toCreate.length} created, ${toUpdate.length} updated${data.submit ? ', submitted' : ''}`);
+            return {
+                paperId: paper.id,
+                created: toCreate.length,
+                updated: toUpdate.length,
+                marksStatus: paper.marksStatus,
+                summary
+            };
+        });
+    } catch (err) {
+        // Two people entering the same paper at once
+        if (err.name === 'SequelizeUniqueConstraintError') {
+            throw new Error('CONFLICT: Marks for this paper were just entered by someone else; reload the sheet');
+        }
+        throw err;
+    }
+}
+
+/**
+ * Moderate a submitted paper, locking its marks
+ */
+async function moderateMarks(tenantId, examId, paperId, userId) {
+    return sequelize.transaction(async (transaction) => {
+        const paper = await loadAccessiblePaper(tenantId, examId, paperId, null, transaction);
+        if (paper.marksStatus !== 'submitted') {
+            throw new Error(`CONFLICT: Only submitted marks can be moderated (the paper is ${paper.marksStatus})`);
+        }
+        await paper.update({ marksStatus: 'moderated', moderatedBy: userId || null, moderatedAt: new Date() }, { transaction });
+        logger.info(`[EXAM_MARKS] Paper ${paper.id} (${paper.subject}) moderated`);
+        return paperSummary(paper);
+    });
+}
+
+/**
+ * Reopen a paper for corrections: unlocks moderated marks and sends it back to the teacher
+ */
+async function reopenMarks(tenantId, examId, paperId) {
+    return sequelize.transaction(async (transaction) => {
+        const paper = await loadAccessiblePaper(tenantId, examId, paperId, null, transaction);
+        if (paper.marksStatus === 'open') {
+            throw new Error('CONFLICT: The paper is already open for marks entry');
+        }
+        await paper.update({ marksStatus: 'open', moderatedBy: null, moderatedAt: null }, { transaction });
+        logger.info(`[EXAM_MARKS] Paper ${paper.id} (${paper.subject}) reopened`);
+        return paperSummary(paper);
+    });
+}
+
+// ========== RESULTS ==========
+
+const loadClass = async (tenantId, classId, access) => {
+    const cls = await Class.findOne({ where: { id: classId, tenantId }, attributes: ['id', 'className', 'section', 'classTeacherId'] });
+    if (!cls) {
+        throw new Error('NOT_FOUND: Class not found');
+    }
+    if (!canSeeClass(cls, access)) {
+        throw new Error('INSUFFICIENT_PERMISSIONS: You are not a teacher of this class');
+    }
+    return cls;
+};
+
+const schemeSummary = (scheme) => ({
+    id: scheme.id,
+    name: scheme.name,
+    schemeType: scheme.schemeType,
+    maxGradePoint: scheme.maxGradePoint,
+    source: scheme.source
+});
+
+/**
+ * Rows of the class's papers in the given exams, by student and paper
+ *
+ * @returns {Promise<Object>} { papers, rowsByStudent: Map(studentId -> Map(paperId -> row)) }
+ */
+async function loadClassMarks(tenantId, examIds, classId) {
+    const papers = await ExamPaper.findAll({
+        where: { tenantId, classId, examId: { [Op.in]: examIds } },
+        attributes: ['id', 'examId', 'subject', 'maxMarks', 'passMarks', 'marksStatus'],
+        order: [['examDate', 'ASC'], ['startTime', 'ASC']]
+    });
+    const rows = papers.length ? await ExamMarks.findAll({
+        where: { tenantId, examPaperId: { [Op.in]: papers.map(p => p.id) } },
+        attributes: ['studentId', 'examPaperId', 'status', 'marksObtained', 'totalMarks', 'percentage', 'grade', 'gradePoint']
+    }) : [];
+
+    const rowsByStudent = new Map();
+    rows.forEach(r => {
+        if (!rowsByStudent.has(r.studentId)) rowsByStudent.set(r.studentId, new Map());
+        rowsByStudent.get(r.studentId).set(r.examPaperId, r);
+    });
+    return { papers, rowsByStudent };
+}
+
+/**
+ * Results of a class in an exam: every student's papers, overall percentage and grade, and GPA
+ *
+ * @param {Object} access - { teacherId, classIds } for teachers, null for tenant-wide callers
+ * @returns {Promise<Object>} { exam, class, scheme, papers, students }
+ */
+async function getExamResults(tenantId, examId, classId, access) {
+    const exam = await Exam.findOne({ where: { id: examId, tenantId }, attributes: ['id', 'name', 'examType', 'academicSession'] });
+    if (!exam) {
+        throw new Error('NOT_FOUND: Exam not found');
+    }
+    const cls = await loadClass(tenantId, classId, access);
+    const scheme = await gradingService.resolveScheme(tenantId, { classId, academicSession: exam.academicSession });
+    const { papers, rowsByStudent } = await loadClassMarks(tenantId, [examId], classId);
+    const students = await loadRoster(tenantId, classId);
+
+    return {
+        exam: { id: exam.id, name: exam.name, examType: exam.examType, academicSession: exam.academicSession },
+        class: { id: cls.id, className: cls.className, section: cls.section },
+        scheme: schemeSummary(scheme),
+        papers: papers.map(p => ({ id: p.id, subject: p.subject, maxMarks: Number(p.maxMarks), marksStatus: p.marksStatus })),
+        students: students.map(s => ({
+            studentId: s.id,
+            admissionNo: s.admissionNo,
+            rollNumber: s.rollNumber,
+            name: studentName(s),
+            ...studentResult(papers, rowsByStudent.get(s.id) || new Map(), scheme.bands)
+        }))
+    };
+}
+
+/**
+ * CGPA of a class over the exams of an academic session, in date order
+ *
+ * @param {Object} filters - { classId, academicSession }
+ * @param {Object} access - { teacherId, classIds } or null
+ * @returns {Promise<Object>} { academicSession, class, scheme, exams, students: [{ gpas, cgpa }] }
+ */
+async function getClassCgpa(tenantId, { classId, academicSession }, access) {
+    const cls = await loadClass(tenantId, classId, access);
+    const exams = await Exam.findAll({
+        where: { tenantId, academicSession },
+        attributes: ['id', 'name', 'examType', 'startDate'],
+        order: [['startDate', 'ASC'], ['createdAt', 'ASC']]
+    });
+    const scheme = await gradingService.resolveScheme(tenantId, { classId, academicSession });
+    const { papers, rowsByStudent } = exams.length
+        ? await loadClassMarks(tenantId, exams.map(e => e.id), classId)
+        : { papers: [], rowsByStudent: new Map() };
+
+    const examIds = new Set(papers.map(p => p.examId));
+    const written = exams.filter(e => examIds.has(e.id));
+    const students = await loadRoster(tenantId, classId);
+
+    return {
+        academicSession,
+        class: { id: cls.id, className: cls.className, section: cls.section },
+        scheme: schemeSummary(scheme),
+        exams: written.map(e => ({ id: e.id, name: e.name, examType: e.examType })),
+        students: students.map(s => {
+            const rows = rowsByStudent.get(s.id) || new Map();
+            const gpas = written.map(e => ({
+                examId: e.id,
+                gpa: studentResult(papers.filter(p => p.examId === e.id), rows, scheme.bands).gpa
+            }));
+            return {
+                studentId: s.id,
+                admissionNo: s.admissionNo,
+                rollNumber: s.rollNumber,
+                name: studentName(s),
+                gpas,
+                cgpa: gradingService.cgpaOf(gpas.map(g => g.gpa))
+            };
+        })
+    };
+}
+
+/**
+ * Recompute percentage, grade and grade point of an exam's marks with the schemes that now
+ * apply. Moderated papers are locked and keep their grades.
+ *
+ * @returns {Promise<Object>} { papers, skipped, updated }
+ */
+async function regradeExam(tenantId, examId) {
+    return sequelize.transaction(async (transaction) => {
+        const exam = await Exam.findOne({ where: { id: examId, tenantId }, attributes: ['id', 'academicSession'], transaction });
+        if (!exam) {
+            throw new Error('NOT_FOUND: Exam not found');
+        }
+        const papers = await ExamPaper.findAll({ where: { tenantId, examId }, attributes: ['id', 'classId', 'marksStatus'], transaction });
+        const open = papers.filter(p => p.marksStatus !== 'moderated');
+
+        const schemes = new Map();
+        let updated = 0;
+        for (const paper of open) {
+            if (!schemes.has(paper.classId)) {
+                schemes.set(paper.classId, await gradingService.resolveScheme(tenantId, { classId: paper.classId, academicSession: exam.academicSession }, transaction));
+            }
+            const { bands } = schemes.get(paper.classId);
+            const rows = await ExamMarks.findAll({ where: { tenantId, examPaperId: paper.id, status: 'present' }, transaction });
+            for (const row of rows) {
+                const percentage = gradingService.percentOf(row.marksObtained, row.totalMarks);
+                const grade = gradingService.gradeFor(percentage, bands);
+                const gradePoint = gradingService.gradePointFor(percentage, bands);
+                const currentPoint = row.gradePoint === null ? null : Number(row.gradePoint);
+                if (row.grade !== grade || currentPoint !== gradePoint || Number(row.percentage) !== percentage) {
+                    await row.update({ percentage, grade, gradePoint }, { transaction });
+                    updated += 1;
+                }
+            }
+        }
+
+        logger.info(`[EXAM_MARKS] Exam ${examId} regraded: ${updated} row(s) changed, ${papers.length - open.length} moderated paper(s) skipped`);
+        return { papers: open.length, skipped: papers.length - open.length, updated };
+    });
+}
+
+module.exports = {
+    MARK_STATUSES,
+    MARKS_STATES,
+    planMarksEntry,
+    summarizeMarks,
+    canSeeClass,
+    studentResult,
+    getPaperMarks,
+    saveMarks,
+    moderateMarks,
+    reopenMarks,
+    loadClassMarks,
+    getExamResults,
+    getClassCgpa,
+    regradeExam
+};
@@ -0,0 +1,466 @@
+/**
+ * Exam Service
+ *
+ * Exam terms (unit test, midterm, final) and their timetables. Each class writes one paper per
+ * subject with its own date, time, room, max marks and pass marks, and teachers are assigned
+ * to papers as invigilators.
+ *
+ * A class cannot write two papers at overlapping times, and a teacher cannot invigilate two
+ * papers at overlapping times. Rooms are not checked: one hall often seats several classes.
+ * Marks are entered per paper through examMarksService.
+ */
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Exam = require('../models/Exam');
+const ExamPaper = require('../models/ExamPaper');
+const ExamInvigilator = require('../models/ExamInvigilator');
+const ExamMarks = require('../models/ExamMarks');
+const CoScholasticGrade = require('../models/CoScholasticGrade');
+const ReportCardRemark = require('../models/ReportCardRemark');
+const Class = require('../models/Class');
+const Teacher = require('../models/Teacher');
+require('../models'); // register associations used by the includes below
+
+const EXAM_TYPES = ['unit_test', 'midterm', 'final'];
+
+const EXAM_FIELDS = ['name', 'examType', 'description', 'academicSession', 'academicYearId', 'startDate', 'endDate'];
+
+const PAPER_FIELDS = ['classId', 'subject', 'examDate', 'startTime', 'endTime', 'room', 'maxMarks', 'passMarks'];
+
+const MAX_PAPER_MARKS = 1000;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const TEACHER_ATTRIBUTES = ['id', 'teacherId', 'firstName', 'lastName'];
+
+const PAPER_INCLUDES = [
+    { model: Class, as: 'class', attributes: ['id', 'className', 'section'] },
+    { model: Teacher, as: 'invigilators', attributes: TEACHER_ATTRIBUTES, through: { attributes: [] } }
+];
+
+const PAPER_ORDER = [['examDate', 'ASC'], ['startTime', 'ASC'], ['subject', 'ASC']];
+
+// ========== PURE HELPERS ==========
+
+/**
+ * Check the fields of an exam (after merging updates into the stored exam)
+ */
+function validateExamFields(exam) {
+    if (!exam.name || !String(exam.name).trim()) {
+        throw new Error('VALIDATION_ERROR: name is required');
+    }
+    if (!EXAM_TYPES.includes(exam.examType)) {
+        throw new Error(`VALIDATION_ERROR: examType must be one of: ${EXAM_TYPES.join(', ')}`);
+    }
+    ['startDate', 'endDate'].forEach(k => {
+        if (exam[k] && !DATE_PATTERN.test(exam[k])) {
+            throw new Error(`VALIDATION_ERROR: ${k} must be a date (YYYY-MM-DD)`);
+        }
+    });
+    if (exam.startDate && exam.endDate && exam.endDate < exam.startDate) {
+        throw new Error('VALIDATION_ERROR: endDate cannot be before startDate');
+    }
+}
+
+/**
+ * Check the fields of a paper against its exam
+ *
+ * @param {Object} paper - Merged paper fields
+ * @param {Object} exam - { startDate, endDate }
+ */
+function validatePaperFields(paper, exam = {}) {
+    if (!paper.subject || !String(paper.subject).trim()) {
+        throw new Error('VALIDATION_ERROR: subject is required');
+    }
+    if (!paper.examDate || !DATE_PATTERN.test(paper.examDate)) {
+        throw new Error('VALIDATION_ERROR: examDate must be a date (YYYY-MM-DD)');
+    }
+    if ((exam.startDate && paper.examDate < exam.startDate) || (exam.endDate && paper.examDate > exam.endDate)) {
+        throw new Error(`VALIDATION_ERROR: examDate must be within the exam (${exam.startDate || '...'} to ${exam.endDate || '...'})`);
+    }
+    ['startTime', 'endTime'].forEach(k => {
+        if (!paper[k] || !TIME_PATTERN.test(paper[k])) {
+            throw new Error(`VALIDATION_ERROR: ${k} must be a time (HH:MM)`);
+        }
+    });
+    if (paper.startTime.slice(0, 5) >= paper.endTime.slice(0, 5)) {
+        throw new Error('VALIDATION_ERROR: endTime must be after startTime');
+    }
+    const maxMarks = Number(paper.maxMarks);
+    if (!Number.isFinite(maxMarks) || maxMarks <= 0 || maxMarks > MAX_PAPER_MARKS) {
+        throw new Error(`VALIDATION_ERROR: maxMarks must be more than 0 and at most ${MAX_PAPER_MARKS}`);
+    }
+    const passMarks = Number(paper.passMarks);
+    if (!Number.isFinite(passMarks) || passMarks < 0 || passMarks > maxMarks) {
+        throw new Error('VALIDATION_ERROR: passMarks must be between 0 and maxMarks');
+    }
+}
+
+/**
+ * Whether two papers are written at overlapping times. Back-to-back papers do not overlap.
+ *
+ * @param {Object} a - { examDate, startTime, endTime }
+ * @param {Object} b - { examDate, startTime, endTime }
+ * @returns {Boolean}
+ */
+function papersOverlap(a, b) {
+    if (String(a.examDate).slice(0, 10) !== String(b.examDate).slice(0, 10)) return false;
+    const hhmm = (t) => String(t).slice(0, 5);
+    return hhmm(a.startTime) < hhmm(b.endTime) && hhmm(b.startTime) < hhmm(a.endTime);
+}
+
+// ========== EXAMS ==========
+
+/**
+ * List exams, latest first
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} filters - { examType, academicSession, academicYearId, from, to } (from / to match exams overlapping the dates)
+ */
+async function listExams(tenantId, { examType, academicSession, academicYearId, from, to } = {}) {
+    const where = { tenantId };
+    if (examType) where.examType = examType;
+    if (academicSession) where.academicSession = academicSession;
+    if (academicYearId) where.academicYearId = academicYearId;
+    const range = [];
+    if (from) range.push({ [Op.or]: [{ endDate: null }, { endDate: { [Op.gte]: from } }] });
+    if (to) range.push({ [Op.or]: [{ startDate: null }, { startDate: { [Op.lte]: to } }] });
+    if (range.length) where[Op.and] = range;
+
+    return Exam.findAll({ where, order: [['startDate', 'DESC'], ['createdAt', 'DESC']] });
+}
+
+/**
+ * An exam with its papers, optionally only those of one class
+ */
+async function getExamById(id, tenantId, { classId } = {}) {
+    const exam = await Exam.findOne({ where: { id, tenantId } });
+    if (!exam) return null;
+
+    const papers = await listPapers(tenantId, id, { classId });
+    return { ...exam.get({ plain: true }), papers };
+}
+
+async function createExam(tenantId, data) {
+    const fields = { examType: 'unit_test' };
+    EXAM_FIELDS.forEach(k => { if (data[k] !== undefined) fields[k] = data[k]; });
+
+    validateExamFields(fields);
+    const exam = await Exam.create({ ...fields, tenantId });
+    return getExamById(exam.id, tenantId);
+}
+
+/**
+ * Update an exam. Its dates cannot shrink past papers already scheduled.
+ */
+async function updateExam(id, tenantId, updates) {
+    const exam = await Exam.findOne({ where: { id, tenantId } });
+    if (!exam) return null;
+
+    const fields = {};
+    EXAM_FIELDS.forEach(k => { if (updates[k] !== undefined) fields[k] = updates[k]; });
+
+    const merged = { ...exam.get({ plain: true }), ...fields };
+    validateExamFields(merged);
+
+    const outside = [];
+    if (merged.startDate) outside.push({ examDate: { [Op.lt]: merged.startDate } });
+    if (merged.endDate) outside.push({ examDate: { [Op.gt]: merged.endDate } });
+    if (outside.length) {
+        const stray = await ExamPaper.count({ where: { tenantId, examId: id, [Op.or]: outside } });
+        if (stray > 0) {
+            throw new Error(`VALIDATION_ERROR: ${stray} paper(s) fall outside the new dates; move them first`);
+        }
+    }
+
+    await exam.update(fields);
+    return getExamById(id, tenantId);
+}
+
+/**
+ * Delete an exam with its timetable. Exams with recorded marks cannot be deleted.
+ */
+async function deleteExam(id, tenantId) {
+    const exam = await Exam.findOne({ where: { id, tenantId } });
+    if (!exam) return null;
+
+    const marked = await ExamMarks.count({ where: { examId: id } })
+        + await CoScholasticGrade.count({ where: { tenantId, examId: id } })
+        + await ReportCardRemark.count({ where: { tenantId, examId: id } });
+    if (marked > 0) {
+        throw new Error('CONFLICT: Marks were recorded for this exam; it cannot be deleted');
+    }
+
+    await sequelize.transaction(async (t) => {
+        const paperIds = (await ExamPaper.findAll({ where: { tenantId, examId: id }, attributes: ['id'], transaction: t })).map(p => p.id);
+        if (paperIds.length) {
+            await ExamInvigilator.destroy({ where: { tenantId, examPaperId: paperIds }, transaction: t });
+            await ExamPaper.destroy({ where: { tenantId, examId: id }, transaction: t });
+        }
+        await exam.destroy({ transaction: t });
+    });
+    return exam;
+}
+
+// ========== PAPERS ==========
+
+/**
+ * Papers of an exam in timetable order
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} examId - Exam ID
+ * @param {Object} filters - { classId }
+ */
+async function listPapers(tenantId, examId, { classId } = {}) {
+    const where = { tenantId, examId };
+    if (classId) where.classId = classId;
+
+    return ExamPaper.findAll({
+        where,
+        include: PAPER_INCLUDES,
+        order: [...PAPER_ORDER, ['classId', 'ASC']]
+    });
+}
+
+async function getPaperById(examId, paperId, tenantId) {
+    return ExamPaper.findOne({ where: { id: paperId, examId, tenantId }, include: PAPER_INCLUDES });
+}
+
+/**
+ * Papers of the tenant on a date, other than the one being saved
+ */
+async function papersOnDate(tenantId, examDate, where, excludeId, transaction) {
+    const filters = { tenantId, examDate, ...where };
+    if (excludeId) filters.id = { [Op.ne]: excludeId };
+    return ExamPaper.findAll({ where: filters, attributes: ['id', 'subject', 'examDate', 'startTime', 'endTime'], transaction });
+}
+
+/**
+ * Refuse teachers who already invigilate another paper at an overlapping time
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} paper - { id, examDate, startTime, endTime }
+ * @param {Array} teacherIds - Teacher IDs
+ * @param {Object} transaction - Optional transaction
+ */
+async function assertInvigilatorsFree(tenantId, paper, teacherIds, transaction = null) {
+    if (!teacherIds.length) return;
+
+    const others = await papersOnDate(tenantId, paper.examDate, {}, paper.id, transaction);
+    const clashing = others.filter(other => papersOverlap(paper, other));
+    if (!clashing.length) return;
+
+    const busy = await ExamInvigilator.findOne({
+        where: { tenantId, teacherId: teacherIds, examPaperId: clashing.map(p => p.id) },
+        include: [{ model: Teacher, as: 'teacher', attributes: TEACHER_ATTRIBUTES }],
+        transaction
+    });
+    if (busy) {
+        const other = clashing.find(p => p.id === busy.examPaperId);
+        const name = busy.teacher ? `${busy.teacher.firstName} ${busy.teacher.lastName || ''}`.trim() : 'A teacher';
+        throw new Error(`CONFLICT: ${name} already invigilates ${other.subject} at ${String(other.startTime).slice(0, 5)} on this day`);
+    }
+}
+
+/**
+ * Check references and clashes of a paper
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} exam - The paper's exam
+ * @param {Object} paper - Merged paper fields (with id when updating)
+ */
+async function validatePaper(tenantId, exam, paper) {
+    validatePaperFields(paper, exam);
+
+    const cls = await Class.findOne({ where: { id: paper.classId, tenantId }, attributes: ['id'] });
+    if (!cls) {
+        throw new Error('VALIDATION_ERROR: Class does not exist');
+    }
+
+    const duplicate = await ExamPaper.findOne({
+        where: { tenantId, examId: exam.id, classId: paper.classId, subject: String(paper.subject).trim(), ...(paper.id ? { id: { [Op.ne]: paper.id } } : {}) },
+        attributes: ['id']
+    });
+    if (duplicate) {
+        throw new Error(`CONFLICT: The class already has a ${paper.subject} paper in this exam`);
+    }
+
+    const sameClass = await papersOnDate(tenantId, paper.examDate, { classId: paper.classId }, paper.id);
+    const clash = sameClass.find(other => papersOverlap(paper, other));
+    if (clash) {
+        throw new Error(`CONFLICT: The class already writes ${clash.subject} at ${String(clash.startTime).slice(0, 5)} on this day`);
+    }
+}
+
+/**
+ * Add a paper to an exam's timetable
+ */
+async function createPaper(tenantId, examId, data) {
+    const exam = await Exam.findOne({ where: { id: examId, tenantId } });
+    if (!exam) return null;
+
+    const fields = { maxMarks: 100, passMarks: 35 };
+    PAPER_FIELDS.forEach(k => { if (data[k] !== undefined) fields[k] = data[k]; });
+    if (fields.subject) fields.subject = String(fields.subject).trim();
+
+    await validatePaper(tenantId, exam, fields);
+
+    const teacherIds = data.invigilatorIds;
+    const paper = await sequelize.transaction(async (t) => {
+        const created = await ExamPaper.create({ ...fields, tenantId, examId }, { transaction: t });
+        if (teacherIds && teacherIds.length) {
+            await replaceInvigilators(tenantId, created, teacherIds, t);
+        }
+        return created;
+    });
+    return getPaperById(examId, paper.id, tenantId);
+}
+
+/**
+ * Update a paper. Moving it re-checks its invigilators for clashes.
+ */
+async function updatePaper(tenantId, examId, paperId, updates) {
+    const exam = await Exam.findOne({ where: { id: examId, tenantId } });
+    if (!exam) return null;
+    const paper = await ExamPaper.findOne({ where: { id: paperId, examId, tenantId } });
+    if (!paper) return null;
+
+    const fields = {};
+    PAPER_FIELDS.forEach(k => { if (updates[k] !== undefined) fields[k] = updates[k]; });
+    if (fields.subject) fields.subject = String(fields.subject).trim();
+
+    const merged = { ...paper.get({ plain: true }), ...fields };
+    await validatePaper(tenantId, exam, merged);
+
+    // Entered marks belong to the class and subject and were graded against the max marks
+    const reshaped = ['classId', 'subject', 'maxMarks'].filter(k => fields[k] !== undefined &&
+        (k === 'maxMarks' ? Number(fields[k]) !== Number(paper[k]) : fields[k] !== paper[k]));
+    if (reshaped.length && await ExamMarks.count({ where: { tenantId, examPaperId: paperId } }) > 0) {
+        throw new Error(`CONFLICT: Marks were entered for this paper; ${reshaped.join(', ')} can no longer change`);
+    }
+
+    await sequelize.transaction(async (t) => {
+        if (updates.invigilatorIds !== undefined) {
+            await replaceInvigilators(tenantId, merged, updates.invigilatorIds, t);
+        } else {
+            const current = await ExamInvigilator.findAll({ where: { tenantId, examPaperId: paperId }, attributes: ['teacherId'], transaction: t });
+            await assertInvigilatorsFree(tenantId, merged, current.map(i => i.teacherId), t);
+        }
+        await paper.update(fields, { transaction: t });
+    });
+    return getPaperById(examId, paperId, tenantId);
+}
+
+async function deletePaper(tenantId, examId, paperId) {
+    const paper = await ExamPaper.findOne({ where: { id: paperId, examId, tenantId } });
+    if (!paper) return null;
+
+    const marked = await ExamMarks.count({ where: { tenantId, examPaperId: paperId } });
+    if (marked > 0) {
+        throw new Error('CONFLICT: Marks were entered for this paper; it cannot be deleted');
+    }
+
+    await sequelize.transaction(async (t) => {
+        await ExamInvigilator.destroy({ where: { tenantId, examPaperId: paperId }, transaction: t });
+        await paper.destroy({ transaction: t });
+    });
+    return paper;
+}
+
+// ========== INVIGILATORS ==========
+
+/**
+ * Make teacherIds the invigilators of a paper
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} paper - { id, examDate, startTime, endTime }
+ * @param {Array} teacherIds - Teacher IDs (duplicates ignored)
+ * @param {Object} transaction - Transaction
+ */
+async function replaceInvigilators(tenantId, paper, teacherIds, transaction) {
+    const ids = [...new Set(teacherIds || [])];
+    if (ids.length) {
+        const found = await Teacher.count({ where: { tenantId, id: ids }, transaction });
+        if (found !== ids.length) {
+            throw new Error('VALIDATION_ERROR: One or more invigilators are not teachers of this school');
+        }
+    }
+    await assertInvigilatorsFree(tenantId, paper, ids, transaction);
+
+    await ExamInvigilator.destroy({ where: { tenantId, examPaperId: paper.id }, transaction });
+    if (ids.length) {
+        await ExamInvigilator.bulkCreate(ids.map(teacherId => ({ tenantId, examPaperId: paper.id, teacherId })), { transaction });
+    }
+}
+
+/**
+ * Replace the invigilators of a paper
+ */
+async function setInvigilators(tenantId, examId, paperId, teacherIds) {
+    const paper = await ExamPaper.findOne({ where: { id: paperId, examId, tenantId } });
+    if (!paper) return null;
+
+    await sequelize.transaction(async (t) => {
+        await replaceInvigilators(tenantId, paper, teacherIds, t);
+    });
+    return getPaperById(examId, paperId, tenantId);
+}
+
+/**
+ * Invigilation duties, in date order
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} filters - { teacherId, examId, from, to }
+ */
+async function listInvigilations(tenantId, { teacherId, examId, from, to } = {}) {
+    const where = { tenantId };
+    if (teacherId) where.teacherId = teacherId;
+
+    const paperWhere = {};
+    if (examId) paperWhere.examId = examId;
+    if (from || to) {
+        paperWhere.examDate = {};
+        if (from) paperWhere.examDate[Op.gte] = from;
+        if (to) paperWhere.examDate[Op.lte] = to;
+    }
+
+    return ExamInvigilator.findAll({
+        where,
+        attributes: ['id', 'teacherId', 'examPaperId'],
+        include: [
+            { model: Teacher, as: 'teacher', attributes: TEACHER_ATTRIBUTES },
+            {
+                model: ExamPaper,
+                as: 'paper',
+                where: paperWhere,
+                include: [
+                    { model: Exam, as: 'exam', attributes: ['id', 'name', 'examType'] },
+                    { model: Class, as: 'class', attributes: ['id', 'className', 'section'] }
+                ]
+            }
+        ],
+        order: [[{ model: ExamPaper, as: 'paper' }, 'examDate', 'ASC'], [{ model: ExamPaper, as: 'paper' }, 'startTime', 'ASC']]
+    });
+}
+
+module.exports = {
+    EXAM_TYPES,
+    MAX_PAPER_MARKS,
+    validateExamFields,
+    validatePaperFields,
+    papersOverlap,
+    listExams,
+    getExamById,
+    createExam,
+    updateExam,
+    deleteExam,
+    listPapers,
+    getPaperById,
+    createPaper,
+    updatePaper,
+    deletePaper,
+    setInvigilators,
+    listInvigilations
+};
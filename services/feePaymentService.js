@@ -0,0 +1,217 @@
+/**
+ * Fee Payment Service
+ *
+ * The fee payment ledger: collecting payments against a student fee, gapless receipt
+ * numbers per tenant, reversals, and recalculating the fee's paidAmount / status from
+ * the ledger. Every write runs in one transaction with the fee row locked, together with
+ * the matching fee receipt voucher in the accounts (accountingService).
+ */
+const { sequelize } = require('../config/database');
+const logger = require('../config/logger');
+const StudentFee = require('../models/StudentFee');
+const FeePayment = require('../models/FeePayment');
+const FeePaymentAudit = require('../models/FeePaymentAudit');
+const ReceiptSequence = require('../models/ReceiptSequence');
+const accountingService = require('./accountingService');
+const { toCents, fromCents, deriveFeeStatus } = require('../utils/feeStatus');
+
+// Modes a collector can record at the counter
+const PAYMENT_MODES = ['cash', 'cheque', 'upi', 'bank_transfer'];
+
+// `online` is only written by paymentService once a gateway confirms an order
+const LEDGER_MODES = [...PAYMENT_MODES, 'online'];
+
+// Modes that are only traceable with a reference (cheque no., UPI txn id, UTR, gateway payment id)
+const MODES_REQUIRING_REFERENCE = ['cheque', 'upi', 'bank_transfer', 'online'];
+
+const formatReceiptNo = (prefix, number) => `${prefix}${String(number).padStart(6, '0')}`;
+
+/**
+ * Allocate the next receipt number for a tenant.
+ * Must be called inside the transaction that creates the payment: the sequence row stays
+ * locked until commit, and a rollback returns the number to the sequence.
+ */
+async function nextReceiptNo(tenantId, transaction) {
+    const lockOptions = { where: { tenantId }, lock: transaction.LOCK.UPDATE, transaction };
+
+    let sequence = await ReceiptSequence.findOne(lockOptions);
+    if (!sequence) {
+        // First receipt of the tenant; ignoreDuplicates covers a concurrent first payment
+        await ReceiptSequence.bulkCreate([{ tenantId }], { ignoreDuplicates: true, transaction });
+        sequence = await ReceiptSequence.findOne(lockOptions);
+    }
+
+    const number = sequence.lastNumber + 1;
+    await sequence.update({ lastNumber: number }, { transaction });
+    return formatReceiptNo(sequence.prefix, number);
+}
+
+/**
+ * Recompute paidAmount, paidDate and status of a (locked) fee from its active payments,
+ * less what credit notes refunded
+ */
+async function recalculateFee(fee, transaction) {
+    const payments = await FeePayment.findAll({
+        where: { studentFeeId: fee.id, status: 'active' },
+        attributes: ['amount', 'paidOn'],
+        raw: true,
+        transaction
+    });
+
+    const paidCents = payments.reduce((sum, p) => sum + toCents(p.amount), 0) - toCents(fee.refundedAmount);
+    const paidAmount = fromCents(paidCents);
+    const status = deriveFeeStatus({ amount: fee.amount, paidAmount, dueDate: fee.dueDate });
+    const paidDate = status === 'paid' && payments.length > 0
+        ? payments.map(p => p.paidOn).sort().pop()
+        : null;
+
+    return fee.update({ paidAmount, paidDate, status }, { transaction });
+}
+
+const snapshotOf = (payment, fee) => ({
+    receiptNo: payment.receiptNo,
+    amount: payment.amount,
+    mode: payment.mode,
+    referenceNo: payment.referenceNo,
+    paidOn: payment.paidOn,
+    fee: { id: fee.id, amount: fee.amount, paidAmount: fee.paidAmount, status: fee.status }
+});
+
+/**
+ * Record a payment against a fee
+ *
+ * @param {String} feeId - StudentFee id
+ * @param {String} tenantId - Tenant of the caller
+ * @param {Object} data - { amount, mode, referenceNo, paidOn, remarks }
+ * @param {String} userId - Collecting user
+ * @param {Object} transaction - Optional outer transaction (e.g. a gateway order paying several fees)
+ * @returns {Promise<Object|null>} { payment, fee } or null if the fee does not exist
+ */
+async function collectPayment(feeId, tenantId, data, userId, transaction = null) {
+    if (!LEDGER_MODES.includes(data.mode)) {
+        throw new Error(`VALIDATION_ERROR: mode must be one of: ${LEDGER_MODES.join(', ')}`);
+    }
+    if (MODES_REQUIRING_REFERENCE.includes(data.mode) && !data.referenceNo) {
+        throw new Error(`VALIDATION_ERROR: referenceNo is required for ${data.mode} payments`);
+    }
+
+    const amountCents = toCents(data.amount);
+    if (amountCents <= 0) {
+        throw new Error('VALIDATION_ERROR: amount must be greater than zero');
+    }
+
+    const collect = async (transaction) => {
+        const fee = await StudentFee.findOne({ where: { id: feeId, tenantId }, lock: transaction.LOCK.UPDATE, transaction });
+        if (!fee) return null;
+
+        const outstanding = toCents(fee.amount) - toCents(fee.paidAmount);
+        if (outstanding <= 0) {
+            throw new Error('CONFLICT: Fee is already fully paid');
+        }
+        if (amountCents > outstanding) {
+            throw new Error(`VALIDATION_ERROR: amount exceeds the outstanding balance of ${fromCents(outstanding)}`);
+        }
+
+        const receiptNo = await nextReceiptNo(tenantId, transaction);
+        const payment = await FeePayment.create({
+            tenantId,
+            studentFeeId: fee.id,
+            studentId: fee.studentId,
+            receiptNo,
+            amount: fromCents(amountCents),
+            mode: data.mode,
+            referenceNo: data.referenceNo || null,
+            paidOn: data.paidOn || new Date().toISOString().slice(0, 10),
+            collectedBy: userId || null,
+            remarks: data.remarks || null
+        }, { transaction });
+
+        await recalculateFee(fee, transaction);
+        await accountingService.postFeeReceipt(payment, transaction);
+
+        await FeePaymentAudit.create({
+            tenantId,
+            feePaymentId: payment.id,
+            action: 'collected',
+            performedBy: userId || null,
+            snapshot: snapshotOf(payment, fee)
+        }, { transaction });
+
+        logger.info(`[FEE_PAYMENT] ${receiptNo} collected ${payment.amount} (${payment.mode}) against fee ${fee.id}`);
+        return { payment, fee };
+    };
+
+    return transaction ? collect(transaction) : sequelize.transaction(collect);
+}
+
+/**
+ * Reverse a payment. The payment row stays in the ledger (and keeps its receipt number);
+ * the fee balance and status are recalculated without it.
+ *
+ * @param {String} paymentId - FeePayment id
+ * @param {String} tenantId - Tenant of the caller
+ * @param {String} reason - Why the payment is reversed (required)
+ * @param {String} userId - Reversing user
+ * @returns {Promise<Object|null>} { payment, fee } or null if the payment does not exist
+ */
+async function reversePayment(paymentId, tenantId, reason, userId) {
+    if (!reason || !String(reason).trim()) {
+        throw new Error('VALIDATION_ERROR: reason is required to reverse a payment');
+    }
+
+    return sequelize.transaction(async (transaction) => {
+        const payment = await FeePayment.findOne({ where: { id: paymentId, tenantId }, lock: transaction.LOCK.UPDATE, transaction });
+        if (!payment) return null;
+
+        if (payment.status === 'reversed') {
+            throw new Error('CONFLICT: Payment is already reversed');
+        }
+
+        const fee = await StudentFee.findOne({ where: { id: payment.studentFeeId, tenantId }, lock: transaction.LOCK.UPDATE, transaction });
+        if (toCents(fee.paidAmount) - toCents(payment.amount) < 0) {
+            throw new Error('CONFLICT: Part of this payment was refunded by a credit note and it can no longer be reversed');
+        }
+
+        await payment.update({
+            status: 'reversed',
+            reversedAt: new Date(),
+            reversedBy: userId || null,
+            reversalReason: String(reason).trim()
+        }, { transaction });
+
+        await recalculateFee(fee, transaction);
+        await accountingService.postFeeReversal(payment, transaction);
+
+        await FeePaymentAudit.create({
+            tenantId,
+            feePaymentId: payment.id,
+            action: 'reversed',
+            performedBy: userId || null,
+            reason: payment.reversalReason,
+            snapshot: snapshotOf(payment, fee)
+        }, { transaction });
+
+        logger.info(`[FEE_PAYMENT] ${payment.receiptNo} reversed against fee ${fee.id}: ${payment.reversalReason}`);
+        return { payment, fee };
+    });
+}
+
+/**
+ * Audit trail of a payment, oldest first
+ */
+async function getPaymentAuditTrail(paymentId, tenantId) {
+    return FeePaymentAudit.findAll({
+        where: { tenantId, feePaymentId: paymentId },
+        order: [['createdAt', 'ASC']]
+    });
+}
+
+module.exports = {
+    PAYMENT_MODES,
+    LEDGER_MODES,
+    collectPayment,
+    reversePayment,
+    recalculateFee,
+    getPaymentAuditTrail,
+    formatReceiptNo
+};
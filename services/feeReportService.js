@@ -0,0 +1,424 @@
+/**
+ * Fee Report Service
+ *
+ * Accountant reports over the fee ledger: dues aging, defaulters with parent contacts and
+ * collection totals. Every report is returned as { title, subtitle, columns, rows, totals }
+ * so the same object can be sent as JSON or rendered by utils/exportHelper (CSV / PDF).
+ */
+const { Op, fn, col } = require('sequelize');
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const StudentFee = require('../models/StudentFee');
+const FeeHead = require('../models/FeeHead');
+const FeePayment = require('../models/FeePayment');
+const Parent = require('../models/Parent');
+const ParentStudent = require('../models/ParentStudent');
+const Staff = require('../models/Staff');
+const Teacher = require('../models/Teacher');
+const User = require('../models/User');
+const { toCents, fromCents } = require('../utils/feeStatus');
+const { LEDGER_MODES } = require('./feePaymentService');
+require('../models'); // register associations used by the includes below
+
+const UNPAID_STATUSES = ['pending', 'partial', 'overdue'];
+
+// Days past due, upper bound inclusive
+const AGING_BUCKETS = [
+    { key: 'days0to30', label: '0-30 days', max: 30 },
+    { key: 'days31to60', label: '31-60 days', max: 60 },
+    { key: 'days61to90', label: '61-90 days', max: 90 },
+    { key: 'days90plus', label: '90+ days', max: Infinity }
+];
+
+const COLLECTION_GROUPS = ['day', 'collector'];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+
+const studentName = (s) => (s ? (s.studentName || [s.firstName, s.lastName].filter(Boolean).join(' ')) : '');
+
+const personName = (p) => [p.firstName, p.lastName].filter(Boolean).join(' ');
+
+const sumColumns = (rows, keys) => {
+    const totals = {};
+    keys.forEach(key => { totals[key] = fromCents(rows.reduce((sum, row) => sum + toCents(row[key]), 0)); });
+    return totals;
+};
+
+// ========== AGING ==========
+
+/**
+ * Group outstanding fees by class, section and fee head into aging buckets
+ *
+ * @param {Array} fees - [{ studentId, classId, className, section, feeHeadId, feeHead, amount, paidAmount, dueDate }]
+ * @param {String} asOf - YYYY-MM-DD
+ * @returns {Object} { rows, totals }
+ */
+function buildAgingRows(fees, asOf) {
+    const groups = new Map();
+    const allStudents = new Set();
+
+    fees.forEach(fee => {
+        const outstanding = toCents(fee.amount) - toCents(fee.paidAmount);
+        const daysOverdue = daysBetween(String(fee.dueDate).slice(0, 10), asOf);
+        if (outstanding <= 0 || daysOverdue < 0) return;
+
+        const key = `${fee.classId || ''}|${fee.feeHeadId || fee.feeHead}`;
+        if (!groups.has(key)) {
+            const row = {
+                classId: fee.classId || null,
+                className: fee.className || 'Unassigned',
+                section: fee.section || '',
+                feeHeadId: fee.feeHeadId || null,
+                feeHead: fee.feeHead,
+                students: new Set(),
+                total: 0
+            };
+            AGING_BUCKETS.forEach(b => { row[b.key] = 0; });
+            groups.set(key, row);
+        }
+
+        const row = groups.get(key);
+        const bucket = AGING_BUCKETS.find(b => daysOverdue <= b.max);
+        row[bucket.key] += outstanding;
+        row.total += outstanding;
+        row.students.add(fee.studentId);
+        allStudents.add(fee.studentId);
+    });
+
+    const amountKeys = [...AGING_BUCKETS.map(b => b.key), 'total'];
+    const rows = [...groups.values()]
+        .sort((a, b) => a.className.localeCompare(b.className, undefined, { numeric: true }) ||
+            a.section.localeCompare(b.section) || a.feeHead.localeCompare(b.feeHead))
+        .map(row => {
+            const out = { ...row, students: row.students.size };
+            amountKeys.forEach(key => { out[key] = fromCents(row[key]); });
+            return out;
+        });
+
+    return {
+        rows,
+        totals: { className: 'Total', ...sumColumns(rows, amountKeys), students: allStudents.size }
+    };
+}
+
+/**
+ * Load unpaid fees that are due on or before asOf, flattened for the report builders
+ */
+async function loadDueFees(tenantId, { asOf, classId, feeHeadId }) {
+    const where = {
+        tenantId,
+        status: { [Op.in]: UNPAID_STATUSES },
+        dueDate: { [Op.ne]: null, [Op.lte]: asOf }
+    };
+    if (classId) where.classId = classId;
+    if (feeHeadId) where.feeHeadId = feeHeadId;
+
+    const fees = await StudentFee.findAll({
+        where,
+        attributes: ['id', 'studentId', 'classId', 'feeHeadId', 'feeType', 'amount', 'paidAmount', 'dueDate'],
+        include: [
+            { model: Class, as: 'class', attributes: ['className', 'section'] },
+            { model: FeeHead, as: 'feeHead', attributes: ['name'] }
+        ]
+    });
+
+    return fees.map(f => ({
+        id: f.id,
+        studentId: f.studentId,
+        classId: f.classId,
+        className: f.class ? f.class.className : null,
+        section: f.class ? f.class.section : null,
+        feeHeadId: f.feeHeadId,
+        // Ad-hoc fees have no head; group them by their fee type
+        feeHead: f.feeHead ? f.feeHead.name : f.feeType,
+        amount: f.amount,
+        paidAmount: f.paidAmount,
+        dueDate: f.dueDate
+    }));
+}
+
+/**
+ * Dues aging by class, section and fee head
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} filters - { asOf, classId, feeHeadId }
+ * @returns {Promise<Object>} Report
+ */
+async function agingReport(tenantId, { asOf = today(), classId, feeHeadId } = {}) {
+    const fees = await loadDueFees(tenantId, { asOf, classId, feeHeadId });
+    const { rows, totals } = buildAgingRows(fees, asOf);
+
+    return {
+        title: 'Fee Dues Aging',
+        subtitle: `Outstanding balances by days past due, as of ${asOf}`,
+        columns: [
+            { key: 'className', label: 'Class', width: 1.2 },
+            { key: 'section', label: 'Section', width: 0.8 },
+            { key: 'feeHead', label: 'Fee Head', width: 1.6 },
+            { key: 'students', label: 'Students', align: 'right', width: 0.8 },
+            ...AGING_BUCKETS.map(b => ({ key: b.key, label: b.label, align: 'right' })),
+            { key: 'total', label: 'Total', align: 'right' }
+        ],
+        rows,
+        totals
+    };
+}
+
+// ========== DEFAULTERS ==========
+
+/**
+ * Summarize overdue balances per student
+ *
+ * @param {Array} fees - Flattened due fees (see loadDueFees)
+ * @param {String} asOf - YYYY-MM-DD
+ * @param {Object} thresholds - { minDays, minAmount }
+ * @returns {Array} [{ studentId, outstanding, fees, oldestDueDate, daysOverdue, classId, className, section }]
+ */
+function buildDefaulterRows(fees, asOf, { minDays = 1, minAmount = 0 } = {}) {
+    const byStudent = new Map();
+
+    fees.forEach(fee => {
+        const outstanding = toCents(fee.amount) - toCents(fee.paidAmount);
+        const dueDate = String(fee.dueDate).slice(0, 10);
+        const daysOverdue = daysBetween(dueDate, asOf);
+        if (outstanding <= 0 || daysOverdue < 1) return;
+
+        if (!byStudent.has(fee.studentId)) {
+            byStudent.set(fee.studentId, {
+                studentId: fee.studentId,
+                classId: fee.classId || null,
+                className: fee.className || '',
+                section: fee.section || '',
+                outstanding: 0,
+                fees: 0,
+                oldestDueDate: dueDate,
+                daysOverdue
+            });
+        }
+
+        const row = byStudent.get(fee.studentId);
+        row.outstanding += outstanding;
+        row.fees += 1;
+        if (dueDate < row.oldestDueDate) {
+            row.oldestDueDate = dueDate;
+            row.daysOverdue = daysOverdue;
+        }
+    });
+
+    return [...byStudent.values()]
+        .filter(row => row.daysOverdue >= minDays && row.outstanding >= toCents(minAmount))
+        .sort((a, b) => (b.outstanding - a.outstanding) || (b.daysOverdue - a.daysOverdue))
+        .map(row => ({ ...row, outstanding: fromCents(row.outstanding) }));
+}
+
+/**
+ * Students with overdue dues and their parents' contact details
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} filters - { asOf, classId, feeHeadId, minDays, minAmount }
+ * @returns {Promise<Object>} Report
+ */
+async function defaulterReport(tenantId, { asOf = today(), classId, feeHeadId, minDays = 1, minAmount = 0 } = {}) {
+    const fees = await loadDueFees(tenantId, { asOf, classId, feeHeadId });
+    const rows = buildDefaulterRows(fees, asOf, { minDays, minAmount });
+    const studentIds = rows.map(r => r.studentId);
+
+    const [students, links] = studentIds.length === 0 ? [[], []] : await Promise.all([
+        Student.findAll({
+            where: { tenantId, id: { [Op.in]: studentIds } },
+            attributes: ['id', 'admissionNo', 'rollNumber', 'firstName', 'lastName', 'studentName']
+        }),
+        ParentStudent.findAll({
+            where: { tenantId, studentId: { [Op.in]: studentIds } },
+            attributes: ['studentId', 'relation', 'isPrimary'],
+            include: [{ model: Parent, as: 'parent', attributes: ['name', 'phone', 'email'], where: { status: 'active' } }],
+            order: [['isPrimary', 'DESC']]
+        })
+    ]);
+
+    const studentById = new Map(students.map(s => [s.id, s]));
+    const parentsByStudent = new Map();
+    links.forEach(link => {
+        if (!parentsByStudent.has(link.studentId)) parentsByStudent.set(link.studentId, []);
+        parentsByStudent.get(link.studentId).push({
+            name: link.parent.name,
+            relation: link.relation,
+            phone: link.parent.phone,
+            email: link.parent.email || null,
+            isPrimary: Boolean(link.isPrimary)
+        });
+    });
+
+    const reportRows = rows.map(row => {
+        const student = studentById.get(row.studentId);
+        const parents = parentsByStudent.get(row.studentId) || [];
+        const primary = parents[0];
+        return {
+            ...row,
+            admissionNo: student ? student.admissionNo : '',
+            rollNumber: student ? student.rollNumber : '',
+            studentName: studentName(student),
+            parents,
+            // Flattened primary contact for CSV / PDF
+            parentName: primary ? `${primary.name} (${primary.relation})` : '',
+            parentPhone: primary ? primary.phone : '',
+            parentEmail: primary ? primary.email || '' : ''
+        };
+    });
+
+    return {
+        title: 'Fee Defaulters',
+        subtitle: `Students with dues at least ${minDays} day(s) past due, as of ${asOf}`,
+        columns: [
+            { key: 'admissionNo', label: 'Admission No', width: 1 },
+            { key: 'studentName', label: 'Student', width: 1.6 },
+            { key: 'className', label: 'Class', width: 0.8 },
+            { key: 'section', label: 'Section', width: 0.6 },
+            { key: 'fees', label: 'Fees', align: 'right', width: 0.5 },
+            { key: 'oldestDueDate', label: 'Oldest Due', width: 0.9 },
+            { key: 'daysOverdue', label: 'Days Overdue', align: 'right', width: 0.8 },
+            { key: 'outstanding', label: 'Outstanding', align: 'right', width: 1 },
+            { key: 'parentName', label: 'Parent', width: 1.5 },
+            { key: 'parentPhone', label: 'Phone', width: 1 },
+            { key: 'parentEmail', label: 'Email', width: 1.6 }
+        ],
+        rows: reportRows,
+        totals: { admissionNo: 'Total', studentName: `${reportRows.length} students`, ...sumColumns(reportRows, ['outstanding']) }
+    };
+}
+
+// ========== COLLECTIONS ==========
+
+/**
+ * Pivot grouped payment sums into one row per day or collector with a column per mode
+ *
+ * @param {Array} groups - [{ paidOn, collectedBy, mode, count, amount }]
+ * @param {String} groupBy - 'day' or 'collector'
+ * @param {Object} collectorNames - userId -> display name
+ * @returns {Object} { rows, totals }
+ */
+function buildCollectionRows(groups, groupBy, collectorNames = {}) {
+    const byKey = new Map();
+
+    groups.forEach(g => {
+        const key = groupBy === 'day' ? String(g.paidOn).slice(0, 10) : (g.collectedBy || '');
+        if (!byKey.has(key)) {
+            const row = groupBy === 'day'
+                ? { date: key }
+                : { collectedBy: g.collectedBy || null, collector: collectorNames[g.collectedBy] || (g.collectedBy ? 'Unknown user' : 'Online / system') };
+            LEDGER_MODES.forEach(mode => { row[mode] = 0; });
+            row.count = 0;
+            row.total = 0;
+            byKey.set(key, row);
+        }
+
+        const row = byKey.get(key);
+        const cents = toCents(g.amount);
+        row[g.mode] += cents;
+        row.total += cents;
+        row.count += Number(g.count) || 0;
+    });
+
+    const amountKeys = [...LEDGER_MODES, 'total'];
+    const rows = [...byKey.values()]
+        .sort(groupBy === 'day' ? (a, b) => a.date.localeCompare(b.date) : (a, b) => b.total - a.total)
+        .map(row => {
+            const out = { ...row };
+            amountKeys.forEach(key => { out[key] = fromCents(row[key]); });
+            return out;
+        });
+
+    const totals = {
+        [groupBy === 'day' ? 'date' : 'collector']: 'Total',
+        ...sumColumns(rows, amountKeys),
+        count: rows.reduce((sum, row) => sum + row.count, 0)
+    };
+    return { rows, totals };
+}
+
+/**
+ * Display names of collecting users: staff / teacher name, else the login email
+ */
+async function loadCollectorNames(tenantId, userIds) {
+    if (userIds.length === 0) return {};
+
+    const [staff, teachers, users] = await Promise.all([
+        Staff.findAll({ where: { tenantId, userId: { [Op.in]: userIds } }, attributes: ['userId', 'firstName', 'lastName'] }),
+        Teacher.findAll({ where: { tenantId, userId: { [Op.in]: userIds } }, attributes: ['userId', 'firstName', 'lastName'] }),
+        User.findAll({ where: { id: { [Op.in]: userIds } }, attributes: ['id', 'email'] })
+    ]);
+
+    const names = {};
+    users.forEach(u => { names[u.id] = u.email; });
+    [...teachers, ...staff].forEach(p => { names[p.userId] = personName(p) || names[p.userId]; });
+    return names;
+}
+
+/**
+ * Collection totals of active (non-reversed) payments per day or per collector, split by mode
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} filters - { from, to, groupBy, mode, collectedBy }
+ * @returns {Promise<Object>} Report
+ */
+async function collectionReport(tenantId, { from, to, groupBy = 'day', mode, collectedBy } = {}) {
+    if (!COLLECTION_GROUPS.includes(groupBy)) {
+        throw new Error(`VALIDATION_ERROR: groupBy must be one of: ${COLLECTION_GROUPS.join(', ')}`);
+    }
+
+    const end = to || today();
+    const start = from || `${end.slice(0, 8)}01`;
+    if (start > end) {
+        throw new Error('VALIDATION_ERROR: from must not be after to');
+    }
+
+    const where = { tenantId, status: 'active', paidOn: { [Op.between]: [start, end] } };
+    if (mode) where.mode = mode;
+    if (collectedBy) where.collectedBy = collectedBy;
+
+    const groups = await FeePayment.findAll({
+        where,
+        attributes: [
+            'paidOn',
+            'collectedBy',
+            'mode',
+            [fn('COUNT', col('id')), 'count'],
+            [fn('SUM', col('amount')), 'amount']
+        ],
+        group: ['paidOn', 'collectedBy', 'mode'],
+        raw: true
+    });
+
+    const collectorNames = groupBy === 'collector'
+        ? await loadCollectorNames(tenantId, [...new Set(groups.map(g => g.collectedBy).filter(Boolean))])
+        : {};
+    const { rows, totals } = buildCollectionRows(groups, groupBy, collectorNames);
+
+    return {
+        title: groupBy === 'day' ? 'Fee Collections by Day' : 'Fee Collections by Collector',
+        subtitle: `Active payments from ${start} to ${end}${mode ? `, mode ${mode}` : ''}`,
+        columns: [
+            groupBy === 'day'
+                ? { key: 'date', label: 'Date', width: 1.2 }
+                : { key: 'collector', label: 'Collected By', width: 2 },
+            { key: 'count', label: 'Receipts', align: 'right', width: 0.8 },
+            ...LEDGER_MODES.map(m => ({ key: m, label: m.replace('_', ' ').replace(/\b\w/g, c => c.toUpperCase()), align: 'right' })),
+            { key: 'total', label: 'Total', align: 'right' }
+        ],
+        rows,
+        totals
+    };
+}
+
+module.exports = {
+    AGING_BUCKETS,
+    COLLECTION_GROUPS,
+    agingReport,
+    defaulterReport,
+    collectionReport,
+    buildAgingRows,
+    buildDefaulterRows,
+    buildCollectionRows
+};
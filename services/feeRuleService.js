@@ -0,0 +1,487 @@
+/**
+ * Fee Rule Service
+ *
+ * Concession and late-fine rules, and the engine that applies them to unpaid student fees.
+ * Each evaluated fee keeps a breakdown: grossAmount - discountAmount + fineAmount - creditAmount = amount (net),
+ * where creditAmount comes from credit notes and is left untouched here.
+ * Re-running the evaluation is idempotent; rows are only written when something changed.
+ */
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../config/logger');
+const Tenant = require('../models/Tenant');
+const Student = require('../models/Student');
+const StudentSibling = require('../models/StudentSibling');
+const StudentFee = require('../models/StudentFee');
+const FeeHead = require('../models/FeeHead');
+const FeeRule = require('../models/FeeRule');
+const FeeRuleAssignment = require('../models/FeeRuleAssignment');
+const { toCents, fromCents, deriveFeeStatus } = require('../utils/feeStatus');
+require('../models'); // register associations used by the includes below
+
+const CONCESSION_KINDS = ['sibling_concession', 'staff_ward_waiver', 'scholarship', 'category_concession'];
+const FINE_KINDS = ['late_fine_per_day', 'late_fine_flat'];
+const RULE_KINDS = [...CONCESSION_KINDS, ...FINE_KINDS];
+
+// Paid fees are settled; their breakdown is frozen at the time of the last evaluation
+const UNPAID_STATUSES = ['pending', 'partial', 'overdue'];
+
+const EVALUATION_BATCH_SIZE = 200;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+/**
+ * Whole days from `from` to `to` (YYYY-MM-DD), negative when `to` is earlier
+ */
+const daysBetween = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+
+// ========== RULE EVALUATION (pure) ==========
+
+/**
+ * Whether a concession rule applies to a student
+ *
+ * @param {Object} rule - FeeRule
+ * @param {Object} context - { category, siblingRank, isStaffWard, assignedRuleIds }
+ * @returns {Boolean}
+ */
+function concessionApplies(rule, context) {
+    const assigned = context.assignedRuleIds && context.assignedRuleIds.has(rule.id);
+
+    switch (rule.kind) {
+        case 'sibling_concession':
+            return (context.siblingRank || 1) >= (rule.minSiblingRank || 2);
+        case 'staff_ward_waiver':
+            return Boolean(context.isStaffWard) || Boolean(assigned);
+        case 'scholarship':
+            return Boolean(assigned);
+        case 'category_concession':
+            return Boolean(rule.category) && rule.category === context.category;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Amount (in cents) of a single rule, capped by its maxAmount
+ */
+function ruleCents(rule, grossCents, multiplier = 1) {
+    let cents = rule.valueType === 'percent'
+        ? Math.round(grossCents * Number(rule.value) / 100) * multiplier
+        : toCents(rule.value) * multiplier;
+
+    if (rule.maxAmount !== null && rule.maxAmount !== undefined) {
+        cents = Math.min(cents, toCents(rule.maxAmount));
+    }
+    return Math.max(0, cents);
+}
+
+/**
+ * Compute the concession / fine breakdown of a fee
+ *
+ * Concessions run in priority order and together never exceed the gross amount, nor bring the
+ * net below what has already been paid. Fines start once dueDate + graceDays has passed;
+ * late_fine_per_day accrues per day late, late_fine_flat is charged once.
+ *
+ * @param {Object} fee - { grossAmount, amount, creditAmount, paidAmount, dueDate, feeHeadId }
+ * @param {Array} rules - Active FeeRules of the tenant
+ * @param {Object} context - { category, siblingRank, isStaffWard, assignedRuleIds:Set }
+ * @param {String} asOf - YYYY-MM-DD (defaults to the current date)
+ * @returns {Object} { grossAmount, discountAmount, fineAmount, amount, adjustments }
+ */
+function computeAdjustments(fee, rules, context = {}, asOf = today()) {
+    const grossCents = toCents(fee.grossAmount !== null && fee.grossAmount !== undefined ? fee.grossAmount : fee.amount);
+    const paidCents = toCents(fee.paidAmount);
+    const creditCents = toCents(fee.creditAmount);
+    const dueDate = fee.dueDate ? String(fee.dueDate).slice(0, 10) : null;
+
+    const applicable = rules
+        .filter(rule => rule.isActive !== false)
+        .filter(rule => !rule.feeHeadId || rule.feeHeadId === fee.feeHeadId)
+        .sort((a, b) => (a.priority - b.priority) || String(a.name).localeCompare(String(b.name)));
+
+    const adjustments = [];
+
+    let fineCents = 0;
+    applicable.filter(rule => FINE_KINDS.includes(rule.kind)).forEach(rule => {
+        if (!dueDate) return;
+        const daysLate = daysBetween(dueDate, asOf) - (rule.graceDays || 0);
+        if (daysLate <= 0) return;
+
+        const cents = ruleCents(rule, grossCents, rule.kind === 'late_fine_per_day' ? daysLate : 1);
+        if (cents === 0) return;
+
+        fineCents += cents;
+        adjustments.push({ ruleId: rule.id, name: rule.name, kind: rule.kind, amount: fromCents(cents) });
+    });
+
+    // Concessions cannot take the net below zero, nor below what was already collected
+    let discountRoom = Math.max(0, Math.min(grossCents - creditCents, grossCents + fineCents - creditCents - paidCents));
+    let discountCents = 0;
+    applicable.filter(rule => CONCESSION_KINDS.includes(rule.kind)).forEach(rule => {
+        if (discountRoom === 0 || !concessionApplies(rule, context)) return;
+
+        const cents = Math.min(ruleCents(rule, grossCents), discountRoom);
+        if (cents === 0) return;
+
+        discountCents += cents;
+        discountRoom -= cents;
+        adjustments.push({ ruleId: rule.id, name: rule.name, kind: rule.kind, amount: fromCents(-cents) });
+    });
+
+    return {
+        grossAmount: fromCents(grossCents),
+        discountAmount: fromCents(discountCents),
+        fineAmount: fromCents(fineCents),
+        amount: fromCents(Math.max(0, grossCents - discountCents + fineCents - creditCents)),
+        adjustments
+    };
+}
+
+// ========== STUDENT CONTEXT ==========
+
+/**
+ * Position of each student among their active siblings, eldest first (1 = eldest)
+ */
+async function loadSiblingRanks(tenantId, studentIds, transaction) {
+    const links = await StudentSibling.findAll({
+        where: {
+            tenantId,
+            [Op.or]: [
+                { studentId: { [Op.in]: studentIds } },
+                { siblingStudentId: { [Op.in]: studentIds } }
+            ]
+        },
+        attributes: ['studentId', 'siblingStudentId'],
+        raw: true,
+        transaction
+    });
+
+    const groups = new Map(studentIds.map(id => [id, new Set([id])]));
+    links.forEach(({ studentId, siblingStudentId }) => {
+        if (groups.has(studentId)) groups.get(studentId).add(siblingStudentId);
+        if (groups.has(siblingStudentId)) groups.get(siblingStudentId).add(studentId);
+    });
+
+    const allIds = [...new Set([...groups.values()].flatMap(group => [...group]))];
+    const members = await Student.findAll({
+        where: { tenantId, id: { [Op.in]: allIds }, status: 'active' },
+        attributes: ['id', 'dateOfBirth', 'createdAt'],
+        raw: true,
+        transaction
+    });
+    const byId = new Map(members.map(s => [s.id, s]));
+
+    // Eldest by date of birth; admission order (createdAt) when it is missing
+    const compare = (a, b) => {
+        const dobA = a.dateOfBirth ? String(a.dateOfBirth) : '9999-12-31';
+        const dobB = b.dateOfBirth ? String(b.dateOfBirth) : '9999-12-31';
+        if (dobA !== dobB) return dobA < dobB ? -1 : 1;
+        const createdDiff = new Date(a.createdAt) - new Date(b.createdAt);
+        if (createdDiff !== 0) return createdDiff;
+        return a.id < b.id ? -1 : 1;
+    };
+
+    const ranks = new Map();
+    groups.forEach((group, studentId) => {
+        const active = [...group].map(id => byId.get(id)).filter(Boolean).sort(compare);
+        const index = active.findIndex(s => s.id === studentId);
+        ranks.set(studentId, index === -1 ? 1 : index + 1);
+    });
+    return ranks;
+}
+
+/**
+ * Students with a linked parent whose user account belongs to active staff or teachers
+ */
+async function loadStaffWardIds(tenantId, studentIds, transaction) {
+    const rows = await sequelize.query(
+        `SELECT DISTINCT ps.studentId
+           FROM parent_students ps
+           JOIN parents p ON p.id = ps.parentId AND p.tenantId = ps.tenantId
+          WHERE ps.tenantId = :tenantId
+            AND ps.studentId IN (:studentIds)
+            AND p.userId IS NOT NULL
+            AND (
+                EXISTS (SELECT 1 FROM staff s WHERE s.tenantId = :tenantId AND s.userId = p.userId AND s.status = 'active')
+                OR EXISTS (SELECT 1 FROM teachers t WHERE t.tenantId = :tenantId AND t.userId = p.userId
+                           AND t.status = 'active' AND t.deletedAt IS NULL)
+            )`,
+        { replacements: { tenantId, studentIds }, type: QueryTypes.SELECT, transaction }
+    );
+    return new Set(rows.map(r => r.studentId));
+}
+
+/**
+ * Per-student evaluation context for a batch of fees
+ *
+ * @returns {Promise<Map>} studentId -> { category, siblingRank, isStaffWard, assignedRuleIds }
+ */
+async function loadStudentContexts(tenantId, studentIds, transaction) {
+    const [students, siblingRanks, staffWards, assignments] = await Promise.all([
+        Student.findAll({ where: { tenantId, id: { [Op.in]: studentIds } }, attributes: ['id', 'category'], raw: true, transaction }),
+        loadSiblingRanks(tenantId, studentIds, transaction),
+        loadStaffWardIds(tenantId, studentIds, transaction),
+        FeeRuleAssignment.findAll({
+            where: { tenantId, studentId: { [Op.in]: studentIds } },
+            attributes: ['studentId', 'feeRuleId'],
+            raw: true,
+            transaction
+        })
+    ]);
+
+    const contexts = new Map();
+    students.forEach(student => contexts.set(student.id, {
+        category: student.category || null,
+        siblingRank: siblingRanks.get(student.id) || 1,
+        isStaffWard: staffWards.has(student.id),
+        assignedRuleIds: new Set()
+    }));
+    assignments.forEach(a => {
+        if (contexts.has(a.studentId)) contexts.get(a.studentId).assignedRuleIds.add(a.feeRuleId);
+    });
+    return contexts;
+}
+
+// ========== FEE EVALUATION ==========
+
+const sameAdjustments = (a, b) => JSON.stringify(a || []) === JSON.stringify(b || []);
+
+/**
+ * Evaluate one locked batch of fees and write the ones whose breakdown or status changed
+ */
+async function evaluateBatch(tenantId, fees, rules, asOf, transaction) {
+    const contexts = await loadStudentContexts(tenantId, [...new Set(fees.map(f => f.studentId))], transaction);
+    const evaluatedAt = new Date();
+    const result = { evaluated: fees.length, updated: 0, overdue: 0 };
+
+    for (const fee of fees) {
+        const breakdown = computeAdjustments(fee, rules, contexts.get(fee.studentId) || {}, asOf);
+        const status = deriveFeeStatus({ amount: breakdown.amount, paidAmount: fee.paidAmount, dueDate: fee.dueDate }, asOf);
+
+        const changed = toCents(fee.amount) !== toCents(breakdown.amount) ||
+            fee.grossAmount === null ||
+            toCents(fee.discountAmount) !== toCents(breakdown.discountAmount) ||
+            toCents(fee.fineAmount) !== toCents(breakdown.fineAmount) ||
+            !sameAdjustments(fee.adjustments, breakdown.adjustments) ||
+            fee.status !== status;
+        if (!changed) continue;
+
+        if (status === 'overdue' && fee.status !== 'overdue') result.overdue += 1;
+        await fee.update({
+            ...breakdown,
+            // A concession can settle a fee outright; paidDate then marks the day it was waived
+            paidDate: status === 'paid' ? (fee.paidDate || asOf) : null,
+            status,
+            rulesEvaluatedAt: evaluatedAt
+        }, { transaction });
+        result.updated += 1;
+    }
+    return result;
+}
+
+/**
+ * Apply the tenant's active rules to its unpaid fees and refresh their status
+ *
+ * Fees are processed in id order in batches; each batch is row-locked so a payment collected
+ * at the same time cannot interleave with the recalculation.
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} options - { feeIds, studentIds, asOf (YYYY-MM-DD), transaction }
+ * @returns {Promise<Object>} { evaluated, updated, overdue }
+ */
+async function evaluateFees(tenantId, { feeIds, studentIds, asOf = today(), transaction = null } = {}) {
+    const rules = await FeeRule.findAll({ where: { tenantId, isActive: true }, raw: true, transaction });
+    const totals = { evaluated: 0, updated: 0, overdue: 0 };
+
+    const where = { tenantId, status: { [Op.in]: UNPAID_STATUSES } };
+    if (feeIds) where.id = { [Op.in]: feeIds };
+    if (studentIds) where.studentId = { [Op.in]: studentIds };
+
+    const runBatch = async (lastId, t) => {
+        const fees = await StudentFee.findAll({
+            where: lastId ? { ...where, [Op.and]: [{ id: { [Op.gt]: lastId } }] } : where,
+            order: [['id', 'ASC']],
+            limit: EVALUATION_BATCH_SIZE,
+            lock: t.LOCK.UPDATE,
+            transaction: t
+        });
+        if (fees.length === 0) return null;
+
+        const result = await evaluateBatch(tenantId, fees, rules, asOf, t);
+        Object.keys(totals).forEach(key => { totals[key] += result[key]; });
+        return fees[fees.length - 1].id;
+    };
+
+    let lastId = null;
+    do {
+        lastId = transaction
+            ? await runBatch(lastId, transaction)
+            : await sequelize.transaction(t => runBatch(lastId, t));
+    } while (lastId);
+
+    return totals;
+}
+
+/**
+ * Scheduled run: evaluate every active tenant. One failing tenant does not stop the others.
+ *
+ * @param {String} asOf - YYYY-MM-DD (defaults to the current date)
+ * @returns {Promise<Object>} { tenants, failed, evaluated, updated, overdue }
+ */
+async function evaluateAllTenants(asOf = today()) {
+    const tenants = await Tenant.findAll({ where: { status: 'active' }, attributes: ['id'], raw: true });
+    const summary = { tenants: tenants.length, failed: 0, evaluated: 0, updated: 0, overdue: 0 };
+
+    for (const tenant of tenants) {
+        try {
+            const result = await evaluateFees(tenant.id, { asOf });
+            summary.evaluated += result.evaluated;
+            summary.updated += result.updated;
+            summary.overdue += result.overdue;
+        } catch (err) {
+            summary.failed += 1;
+            logger.error(`[FEE_RULES] Evaluation failed for tenant ${tenant.id}: ${err.message}`);
+        }
+    }
+    return summary;
+}
+
+// ========== RULES ==========
+
+const RULE_FIELDS = ['name', 'kind', 'valueType', 'value', 'feeHeadId', 'category', 'minSiblingRank',
+    'graceDays', 'maxAmount', 'priority', 'description', 'isActive'];
+
+/**
+ * Check kind-specific fields of a rule (after merging updates into the stored rule)
+ */
+async function validateRule(tenantId, rule) {
+    if (!RULE_KINDS.includes(rule.kind)) {
+        throw new Error(`VALIDATION_ERROR: kind must be one of: ${RULE_KINDS.join(', ')}`);
+    }
+    if (rule.valueType === 'percent' && Number(rule.value) > 100 && rule.kind !== 'late_fine_per_day') {
+        throw new Error('VALIDATION_ERROR: A percent value cannot exceed 100');
+    }
+    if (rule.kind === 'category_concession' && !rule.category) {
+        throw new Error('VALIDATION_ERROR: category is required for a category concession');
+    }
+    if (rule.feeHeadId) {
+        const head = await FeeHead.findOne({ where: { id: rule.feeHeadId, tenantId }, attributes: ['id'] });
+        if (!head) {
+            throw new Error('VALIDATION_ERROR: Fee head does not exist');
+        }
+    }
+}
+
+async function listRules(tenantId, { kind, isActive } = {}) {
+    const where = { tenantId };
+    if (kind) where.kind = kind;
+    if (isActive !== undefined) where.isActive = isActive;
+    return FeeRule.findAll({
+        where,
+        include: [{ model: FeeHead, as: 'feeHead', attributes: ['id', 'name', 'code'] }],
+        order: [['priority', 'ASC'], ['name', 'ASC']]
+    });
+}
+
+async function getRuleById(id, tenantId) {
+    return FeeRule.findOne({
+        where: { id, tenantId },
+        include: [
+            { model: FeeHead, as: 'feeHead', attributes: ['id', 'name', 'code'] },
+            { model: FeeRuleAssignment, as: 'assignments', attributes: ['id', 'studentId', 'remarks', 'createdAt'] }
+        ]
+    });
+}
+
+async function createRule(tenantId, data) {
+    const fields = { valueType: 'fixed', graceDays: 0, priority: 100, isActive: true };
+    RULE_FIELDS.forEach(k => { if (data[k] !== undefined) fields[k] = data[k]; });
+
+    await validateRule(tenantId, fields);
+    return FeeRule.create({ ...fields, tenantId });
+}
+
+async function updateRule(id, tenantId, updates) {
+    const rule = await FeeRule.findOne({ where: { id, tenantId } });
+    if (!rule) return null;
+
+    const fields = {};
+    RULE_FIELDS.forEach(k => { if (updates[k] !== undefined) fields[k] = updates[k]; });
+
+    await validateRule(tenantId, { ...rule.get({ plain: true }), ...fields });
+    return rule.update(fields);
+}
+
+/**
+ * Delete a rule. Fees it was applied to keep their breakdown until the next evaluation.
+ */
+async function deleteRule(id, tenantId) {
+    return sequelize.transaction(async (transaction) => {
+        const rule = await FeeRule.findOne({ where: { id, tenantId }, transaction });
+        if (!rule) return null;
+
+        await FeeRuleAssignment.destroy({ where: { tenantId, feeRuleId: id }, transaction });
+        await rule.destroy({ transaction });
+        return rule;
+    });
+}
+
+// ========== ASSIGNMENTS ==========
+
+/**
+ * Grant a scholarship / staff-ward rule to students. Already assigned students are skipped.
+ *
+ * @returns {Promise<Object|null>} { assigned } or null if the rule does not exist
+ */
+async function assignRule(id, tenantId, studentIds, remarks = null) {
+    const rule = await FeeRule.findOne({ where: { id, tenantId }, attributes: ['id', 'kind'] });
+    if (!rule) return null;
+
+    if (!['scholarship', 'staff_ward_waiver'].includes(rule.kind)) {
+        throw new Error('VALIDATION_ERROR: Only scholarship and staff ward rules are assigned to students');
+    }
+
+    const ids = [...new Set(studentIds)];
+    const found = await Student.count({ where: { tenantId, id: { [Op.in]: ids } } });
+    if (found !== ids.length) {
+        throw new Error('VALIDATION_ERROR: One or more students do not exist');
+    }
+
+    const existing = await FeeRuleAssignment.findAll({
+        where: { tenantId, feeRuleId: id, studentId: { [Op.in]: ids } },
+        attributes: ['studentId'],
+        raw: true
+    });
+    const already = new Set(existing.map(a => a.studentId));
+    const rows = ids.filter(studentId => !already.has(studentId))
+        .map(studentId => ({ tenantId, feeRuleId: id, studentId, remarks }));
+
+    if (rows.length > 0) {
+        await FeeRuleAssignment.bulkCreate(rows, { ignoreDuplicates: true });
+    }
+    return { assigned: rows.length };
+}
+
+async function unassignRule(id, tenantId, studentId) {
+    const assignment = await FeeRuleAssignment.findOne({ where: { tenantId, feeRuleId: id, studentId } });
+    if (!assignment) return null;
+
+    await assignment.destroy();
+    return assignment;
+}
+
+module.exports = {
+    RULE_KINDS,
+    CONCESSION_KINDS,
+    FINE_KINDS,
+    computeAdjustments,
+    evaluateFees,
+    evaluateAllTenants,
+    listRules,
+    getRuleById,
+    createRule,
+    updateRule,
+    deleteRule,
+    assignRule,
+    unassignRule
+};
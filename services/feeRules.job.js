@@ -0,0 +1,73 @@
+/**
+ * Fee Rules Job
+ *
+ * Runs feeRuleService.evaluateAllTenants once a day so late fines accrue and past-due fees
+ * move to `overdue` without anyone touching them.
+ *
+ * Environment:
+ *   FEE_RULES_JOB=false      disable the job (e.g. when an external scheduler calls POST /api/fees/rules/evaluate)
+ *   FEE_RULES_JOB_HOUR=1     local hour of the daily run (0-23)
+ */
+const logger = require('../config/logger');
+const feeRuleService = require('./feeRuleService');
+
+let timer = null;
+let running = false;
+
+/**
+ * Milliseconds until the next occurrence of `hour`:00 local time
+ */
+function msUntilNextRun(hour, now = new Date()) {
+    const next = new Date(now);
+    next.setHours(hour, 0, 0, 0);
+    if (next <= now) next.setDate(next.getDate() + 1);
+    return next - now;
+}
+
+/**
+ * Evaluate all tenants once. Overlapping runs are skipped.
+ */
+async function runOnce() {
+    if (running) {
+        logger.warn('[FEE_RULES] Previous run still in progress, skipping');
+        return null;
+    }
+
+    running = true;
+    const startedAt = Date.now();
+    try {
+        const summary = await feeRuleService.evaluateAllTenants();
+        logger.info(`[FEE_RULES] Evaluated ${summary.evaluated} fees in ${summary.tenants} tenants: ` +
+            `${summary.updated} updated, ${summary.overdue} newly overdue, ${summary.failed} tenants failed (${Date.now() - startedAt}ms)`);
+        return summary;
+    } catch (err) {
+        logger.error(`[FEE_RULES] Run failed: ${err.message}`);
+        return null;
+    } finally {
+        running = false;
+    }
+}
+
+function schedule(hour) {
+    timer = setTimeout(async () => {
+        await runOnce();
+        schedule(hour);
+    }, msUntilNextRun(hour));
+    // Never keep the process alive just for the job
+    timer.unref();
+}
+
+function start() {
+    if (timer || process.env.FEE_RULES_JOB === 'false') return;
+
+    const hour = Math.min(23, Math.max(0, parseInt(process.env.FEE_RULES_JOB_HOUR, 10) || 1));
+    schedule(hour);
+    logger.info(`[FEE_RULES] Daily evaluation scheduled at ${String(hour).padStart(2, '0')}:00`);
+}
+
+function stop() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+}
+
+module.exports = { start, stop, runOnce, msUntilNextRun };
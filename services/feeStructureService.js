@@ -0,0 +1,337 @@
+/**
+ * Fee Structure Service
+ *
+ * Fee heads, per-class fee structures with installments, and generation of
+ * student_fees rows when a structure is assigned to a class.
+ */
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../config/logger');
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const StudentFee = require('../models/StudentFee');
+const FeeHead = require('../models/FeeHead');
+const FeeStructure = require('../models/FeeStructure');
+const FeeStructureItem = require('../models/FeeStructureItem');
+const feeRuleService = require('./feeRuleService');
+require('../models'); // register associations used by the includes below
+
+const ITEM_INCLUDE = {
+    model: FeeStructureItem,
+    as: 'items',
+    include: [{ model: FeeHead, as: 'feeHead', attributes: ['id', 'name', 'code'] }]
+};
+
+// ========== FEE HEADS ==========
+
+async function listFeeHeads(tenantId, { status } = {}) {
+    const where = { tenantId };
+    if (status) where.status = status;
+    return FeeHead.findAll({ where, order: [['name', 'ASC']] });
+}
+
+async function createFeeHead(tenantId, data) {
+    return FeeHead.create({
+        tenantId,
+        name: data.name,
+        code: data.code || null,
+        description: data.description || null,
+        taxRate: data.taxRate !== undefined && data.taxRate !== null ? data.taxRate : 0,
+        hsnSacCode: data.hsnSacCode || null,
+        status: data.status || 'active'
+    });
+}
+
+async function getFeeHeadById(id, tenantId) {
+    return FeeHead.findOne({ where: { id, tenantId } });
+}
+
+async function updateFeeHead(id, tenantId, updates) {
+    const head = await getFeeHeadById(id, tenantId);
+    if (!head) return null;
+    const { tenantId: ignored, ...safeUpdates } = updates;
+    return head.update(safeUpdates);
+}
+
+async function deleteFeeHead(id, tenantId) {
+    const head = await getFeeHeadById(id, tenantId);
+    if (!head) return null;
+
+    const inUse = await FeeStructureItem.count({ where: { tenantId, feeHeadId: id } });
+    if (inUse > 0) {
+        throw new Error('CONFLICT: Fee head is used by a fee structure; mark it inactive instead');
+    }
+
+    await head.destroy();
+    return head;
+}
+
+// ========== FEE STRUCTURES ==========
+
+/**
+ * Validate structure items against the tenant's fee heads and normalize them for insert
+ */
+async function normalizeItems(tenantId, items, transaction) {
+    if (!Array.isArray(items) || items.length === 0) {
+        throw new Error('VALIDATION_ERROR: A fee structure needs at least one item');
+    }
+
+    const headIds = [...new Set(items.map(i => i.feeHeadId))];
+    const heads = await FeeHead.findAll({
+        where: { tenantId, id: { [Op.in]: headIds } },
+        attributes: ['id'],
+        transaction
+    });
+    if (heads.length !== headIds.length) {
+        throw new Error('VALIDATION_ERROR: One or more fee heads do not exist');
+    }
+
+    return items.map(item => ({
+        feeHeadId: item.feeHeadId,
+        installmentNo: item.installmentNo || 1,
+        label: item.label || null,
+        amount: item.amount,
+        dueDate: item.dueDate || null
+    }));
+}
+
+async function listFeeStructures(tenantId, { page = 1, limit = 50, classId, academicSession, academicYearId, status } = {}) {
+    const safeLimit = Math.min(parseInt(limit, 10) || 50, 200);
+    const offset = (page - 1) * safeLimit;
+
+    const where = { tenantId };
+    if (classId) where.classId = classId;
+    if (academicSession) where.academicSession = academicSession;
+    if (academicYearId) where.academicYearId = academicYearId;
+    if (status) where.status = status;
+
+    return FeeStructure.findAndCountAll({
+        where,
+        include: [ITEM_INCLUDE],
+        limit: safeLimit,
+        offset,
+        distinct: true,
+        order: [['createdAt', 'DESC']]
+    });
+}
+
+async function getFeeStructureById(id, tenantId, transaction = null) {
+    return FeeStructure.findOne({ where: { id, tenantId }, include: [ITEM_INCLUDE], transaction });
+}
+
+async function createFeeStructure(tenantId, data) {
+    return sequelize.transaction(async (transaction) => {
+        const cls = await Class.findOne({ where: { id: data.classId, tenantId }, attributes: ['id'], transaction });
+        if (!cls) {
+            throw new Error('NOT_FOUND: Class not found');
+        }
+
+        const items = await normalizeItems(tenantId, data.items, transaction);
+
+        const structure = await FeeStructure.create({
+            tenantId,
+            classId: data.classId,
+            name: data.name,
+            academicSession: data.academicSession || null,
+            academicYearId: data.academicYearId || null,
+            description: data.description || null,
+            status: data.status || 'active'
+        }, { transaction });
+
+        await FeeStructureItem.bulkCreate(
+            items.map(item => ({ ...item, tenantId, feeStructureId: structure.id })),
+            { transaction }
+        );
+
+        return getFeeStructureById(structure.id, tenantId, transaction);
+    });
+}
+
+async function updateFeeStructure(id, tenantId, updates) {
+    return sequelize.transaction(async (transaction) => {
+        const structure = await FeeStructure.findOne({ where: { id, tenantId }, transaction });
+        if (!structure) return null;
+
+        const fields = {};
+        ['name', 'academicSession', 'academicYearId', 'description', 'status'].forEach(k => {
+            if (updates[k] !== undefined) fields[k] = updates[k];
+        });
+
+        if (updates.items !== undefined) {
+            // Generated demands reference the items; changing them would desync student ledgers
+            if (structure.assignedAt) {
+                throw new Error('CONFLICT: Items of an assigned fee structure cannot be changed');
+            }
+            const items = await normalizeItems(tenantId, updates.items, transaction);
+            await FeeStructureItem.destroy({ where: { tenantId, feeStructureId: id }, transaction });
+            await FeeStructureItem.bulkCreate(
+                items.map(item => ({ ...item, tenantId, feeStructureId: id })),
+                { transaction }
+            );
+        }
+
+        await structure.update(fields, { transaction });
+        return getFeeStructureById(id, tenantId, transaction);
+    });
+}
+
+async function deleteFeeStructure(id, tenantId) {
+    return sequelize.transaction(async (transaction) => {
+        const structure = await FeeStructure.findOne({ where: { id, tenantId }, transaction });
+        if (!structure) return null;
+
+        if (structure.assignedAt) {
+            throw new Error('CONFLICT: An assigned fee structure cannot be deleted; mark it inactive instead');
+        }
+
+        await FeeStructureItem.destroy({ where: { tenantId, feeStructureId: id }, transaction });
+        await structure.destroy({ transaction });
+        return structure;
+    });
+}
+
+// ========== ASSIGNMENT ==========
+
+/**
+ * Build student_fees rows for students x structure items, skipping pairs that already exist
+ *
+ * @param {Object} structure - FeeStructure (plain or instance) with items[].feeHead
+ * @param {Array} students - [{ id, classId }]
+ * @param {Set} existingKeys - Set of `${studentId}:${feeStructureItemId}` already generated
+ * @returns {Array} Rows ready for StudentFee.bulkCreate
+ */
+function buildStudentFeeRows(structure, students, existingKeys = new Set()) {
+    const rows = [];
+    students.forEach(student => {
+        structure.items.forEach(item => {
+            if (existingKeys.has(`${student.id}:${item.id}`)) return;
+
+            const headName = item.feeHead ? item.feeHead.name : 'Fee';
+            const feeType = (item.label ? `${headName} - ${item.label}` : headName).slice(0, 100);
+
+            rows.push({
+                tenantId: structure.tenantId,
+                studentId: student.id,
+                classId: structure.classId,
+                feeHeadId: item.feeHeadId,
+                feeStructureId: structure.id,
+                feeStructureItemId: item.id,
+                feeType,
+                grossAmount: item.amount,
+                amount: item.amount,
+                dueDate: item.dueDate || null,
+                status: 'pending'
+            });
+        });
+    });
+    return rows;
+}
+
+/**
+ * Generate student fees for the given students from a structure, idempotently.
+ * Concession and fine rules are applied to the new rows in the same transaction.
+ */
+async function generateFeesForStudents(structure, students, transaction) {
+    if (students.length === 0 || structure.items.length === 0) return [];
+
+    const existing = await StudentFee.findAll({
+        where: {
+            tenantId: structure.tenantId,
+            studentId: { [Op.in]: students.map(s => s.id) },
+            feeStructureItemId: { [Op.in]: structure.items.map(i => i.id) }
+        },
+        attributes: ['studentId', 'feeStructureItemId'],
+        raw: true,
+        transaction
+    });
+    const existingKeys = new Set(existing.map(f => `${f.studentId}:${f.feeStructureItemId}`));
+
+    const rows = buildStudentFeeRows(structure, students, existingKeys);
+    if (rows.length === 0) return [];
+
+    const created = await StudentFee.bulkCreate(rows, { transaction });
+    await feeRuleService.evaluateFees(structure.tenantId, { feeIds: created.map(f => f.id), transaction });
+    return created;
+}
+
+/**
+ * Assign a structure to its class: create fee demands for every active student in the class
+ *
+ * @returns {Promise<Object|null>} { structure, students, created } or null if not found
+ */
+async function assignFeeStructure(id, tenantId) {
+    return sequelize.transaction(async (transaction) => {
+        const structure = await getFeeStructureById(id, tenantId, transaction);
+        if (!structure) return null;
+
+        if (structure.status !== 'active') {
+            throw new Error('CONFLICT: Only active fee structures can be assigned');
+        }
+
+        const students = await Student.findAll({
+            where: { tenantId, classId: structure.classId, status: 'active' },
+            attributes: ['id', 'classId'],
+            raw: true,
+            transaction
+        });
+
+        const created = await generateFeesForStudents(structure, students, transaction);
+
+        if (!structure.assignedAt) {
+            await structure.update({ assignedAt: new Date() }, { transaction });
+        }
+
+        logger.info(`[FEE_ASSIGN] Structure ${id} assigned to class ${structure.classId}: ${created.length} fees for ${students.length} students`);
+        return { structure, students: students.length, created: created.length };
+    });
+}
+
+/**
+ * Apply every assigned structure of the student's class to a newly admitted student.
+ * Structures of another academic year (or, for a student without a year, another
+ * academicSession than Student.session) do not apply.
+ *
+ * @param {Object} student - Created student (needs id, tenantId, classId, academicYearId, session)
+ * @param {Object} transaction - Transaction of the admission
+ * @returns {Promise<Number>} Number of fee rows created
+ */
+async function applyAssignedStructuresToStudent(student, transaction = null) {
+    if (!student || !student.classId) return 0;
+
+    const where = {
+        tenantId: student.tenantId,
+        classId: student.classId,
+        status: 'active',
+        assignedAt: { [Op.ne]: null }
+    };
+    if (student.academicYearId) {
+        where[Op.or] = [{ academicYearId: null }, { academicYearId: student.academicYearId }];
+    } else if (student.session) {
+        where[Op.or] = [{ academicSession: null }, { academicSession: student.session }];
+    }
+
+    const structures = await FeeStructure.findAll({ where, include: [ITEM_INCLUDE], transaction });
+
+    let created = 0;
+    for (const structure of structures) {
+        const rows = await generateFeesForStudents(structure, [{ id: student.id, classId: student.classId }], transaction);
+        created += rows.length;
+    }
+    return created;
+}
+
+module.exports = {
+    listFeeHeads,
+    createFeeHead,
+    getFeeHeadById,
+    updateFeeHead,
+    deleteFeeHead,
+    listFeeStructures,
+    getFeeStructureById,
+    createFeeStructure,
+    updateFeeStructure,
+    deleteFeeStructure,
+    assignFeeStructure,
+    applyAssignedStructuresToStudent,
+    buildStudentFeeRows
+};
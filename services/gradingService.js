@@ -0,0 +1,482 @@
+/**
+ * Grading Service
+ *
+ * Tenant grading schemes (CBSE, ICSE, state board, GPA or custom): percentage bands mapped to
+ * grades and grade points, and the grades used for co-scholastic areas. Marks entry computes
+ * ExamMarks.percentage, grade and gradePoint with the scheme resolved for the paper's class
+ * and academic session, so grades are never typed in by hand.
+ *
+ * A scheme is picked by assignments (academic session, class, or both; the most specific
+ * wins), then the tenant's default scheme, then BUILT_IN_SCHEME (the CBSE eight-point scale).
+ */
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const GradingScheme = require('../models/GradingScheme');
+const GradingSchemeAssignment = require('../models/GradingSchemeAssignment');
+const Class = require('../models/Class');
+const logger = require('../config/logger');
+require('../models'); // register associations used by the includes below
+
+const SCHEME_TYPES = ['cbse', 'icse', 'state', 'gpa', 'custom'];
+
+const DEFAULT_GRADE_BANDS = [
+    { grade: 'A1', minPercent: 91, gradePoint: 10 },
+    { grade: 'A2', minPercent: 81, gradePoint: 9 },
+    { grade: 'B1', minPercent: 71, gradePoint: 8 },
+    { grade: 'B2', minPercent: 61, gradePoint: 7 },
+    { grade: 'C1', minPercent: 51, gradePoint: 6 },
+    { grade: 'C2', minPercent: 41, gradePoint: 5 },
+    { grade: 'D', minPercent: 33, gradePoint: 4 },
+    { grade: 'E', minPercent: 0, gradePoint: 0 }
+];
+
+const DEFAULT_CO_SCHOLASTIC_GRADES = [
+    { grade: 'A', description: 'Outstanding' },
+    { grade: 'B', description: 'Very good' },
+    { grade: 'C', description: 'Fair' }
+];
+
+const BUILT_IN_SCHEME = {
+    id: null,
+    name: 'CBSE (built-in)',
+    schemeType: 'cbse',
+    bands: DEFAULT_GRADE_BANDS,
+    maxGradePoint: 10,
+    coScholasticGrades: DEFAULT_CO_SCHOLASTIC_GRADES,
+    isDefault: false
+};
+
+const MAX_BANDS = 20;
+const MAX_CO_SCHOLASTIC_GRADES = 10;
+const MAX_GRADE_POINT = 100;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// ========== PURE HELPERS ==========
+
+/**
+ * Percentage of max marks, rounded to 2 decimals
+ *
+ * @param {Number} marks - Marks obtained
+ * @param {Number} maxMarks - Max marks of the paper
+ * @returns {Number|null}
+ */
+function percentOf(marks, maxMarks) {
+    if (marks === null || marks === undefined || !Number(maxMarks)) return null;
+    return Math.round((Number(marks) * 10000) / Number(maxMarks)) / 100;
+}
+
+/**
+ * Band of a percentage: the highest band it reaches
+ *
+ * @param {Number} percentage - 0-100
+ * @param {Array} bands - [{ grade, minPercent, gradePoint }], any order
+ * @returns {Object|null}
+ */
+function bandFor(percentage, bands) {
+    if (percentage === null || percentage === undefined) return null;
+    const sorted = [...bands].sort((a, b) => b.minPercent - a.minPercent);
+    return sorted.find(b => Number(percentage) >= b.minPercent) || null;
+}
+
+function gradeFor(percentage, bands) {
+    const band = bandFor(percentage, bands);
+    return band ? band.grade : null;
+}
+
+function gradePointFor(percentage, bands) {
+    const band = bandFor(percentage, bands);
+    return band && band.gradePoint !== undefined && band.gradePoint !== null ? band.gradePoint : null;
+}
+
+/**
+ * Check and normalize bands: highest first, unique grades and thresholds, one band from 0.
+ * With maxGradePoint every band needs a grade point, and points cannot rise as marks fall.
+ *
+ * @param {Array} bands - [{ grade, minPercent, gradePoint, description }]
+ * @param {Number|null} maxGradePoint - Highest grade point, or null for schemes without points
+ * @returns {Array} Normalized bands
+ */
+function validateBands(bands, maxGradePoint = null) {
+    if (!Array.isArray(bands) || bands.length === 0) {
+        throw new Error('VALIDATION_ERROR: bands must be a non-empty array');
+    }
+    if (bands.length > MAX_BANDS) {
+        throw new Error(`VALIDATION_ERROR: A scheme can have at most ${MAX_BANDS} bands`);
+    }
+
+    const normalized = bands.map((b, i) => {
+        const grade = b && typeof b.grade === 'string' ? b.grade.trim() : '';
+        if (!grade || grade.length > 10) {
+            throw new Error(`VALIDATION_ERROR: bands[${i}].grade must be 1-10 characters`);
+        }
+        const minPercent = Number(b.minPercent);
+        if (!Number.isFinite(minPercent) || minPercent < 0 || minPercent > 100) {
+            throw new Error(`VALIDATION_ERROR: bands[${i}].minPercent must be between 0 and 100`);
+        }
+        const band = { grade, minPercent };
+
+        const hasPoint = b.gradePoint !== undefined && b.gradePoint !== null && b.gradePoint !== '';
+        if (maxGradePoint === null) {
+            if (hasPoint) {
+                throw new Error(`VALIDATION_ERROR: bands[${i}].gradePoint needs maxGradePoint on the scheme`);
+            }
+        } else {
+            const gradePoint = Number(b.gradePoint);
+            if (!hasPoint || !Number.isFinite(gradePoint) || gradePoint < 0 || gradePoint > maxGradePoint) {
+                throw new Error(`VALIDATION_ERROR: bands[${i}].gradePoint must be between 0 and ${maxGradePoint}`);
+            }
+            band.gradePoint = gradePoint;
+        }
+        if (b.description) band.description = String(b.description).trim().slice(0, 100);
+        return band;
+    }).sort((a, b) => b.minPercent - a.minPercent);
+
+    const grades = new Set(normalized.map(b => b.grade.toUpperCase()));
+    if (grades.size !== normalized.length) {
+        throw new Error('VALIDATION_ERROR: Grades must be unique');
+    }
+    const thresholds = new Set(normalized.map(b => b.minPercent));
+    if (thresholds.size !== normalized.length) {
+        throw new Error('VALIDATION_ERROR: Two bands cannot start at the same percentage');
+    }
+    if (normalized[normalized.length - 1].minPercent !== 0) {
+        throw new Error('VALIDATION_ERROR: The lowest band must start at 0 so every percentage has a grade');
+    }
+    if (maxGradePoint !== null && normalized.some((b, i) => i > 0 && b.gradePoint > normalized[i - 1].gradePoint)) {
+        throw new Error('VALIDATION_ERROR: A lower band cannot have more grade points than a higher one');
+    }
+    return normalized;
+}
+
+/**
+ * Check and normalize co-scholastic grades, best first
+ *
+ * @param {Array|null} grades - [{ grade, description }]; null uses the built-in list
+ * @returns {Array|null}
+ */
+function validateCoScholasticGrades(grades) {
+    if (grades === null || grades === undefined) return null;
+    if (!Array.isArray(grades) || grades.length === 0 || grades.length > MAX_CO_SCHOLASTIC_GRADES) {
+        throw new Error(`VALIDATION_ERROR: coScholasticGrades must be an array of 1-${MAX_CO_SCHOLASTIC_GRADES} grades`);
+    }
+    const normalized = grades.map((g, i) => {
+        const grade = g && typeof g.grade === 'string' ? g.grade.trim() : '';
+        if (!grade || grade.length > 10) {
+            throw new Error(`VALIDATION_ERROR: coScholasticGrades[${i}].grade must be 1-10 characters`);
+        }
+        return g.description ? { grade, description: String(g.description).trim().slice(0, 100) } : { grade };
+    });
+    if (new Set(normalized.map(g => g.grade.toUpperCase())).size !== normalized.length) {
+        throw new Error('VALIDATION_ERROR: Co-scholastic grades must be unique');
+    }
+    return normalized;
+}
+
+/**
+ * Check and normalize the fields of a scheme
+ *
+ * @param {Object} data - { name, schemeType, bands, maxGradePoint, coScholasticGrades }
+ * @returns {Object} Normalized fields
+ */
+function validateScheme(data) {
+    const name = data.name ? String(data.name).trim() : '';
+    if (!name || name.length > 100) {
+        throw new Error('VALIDATION_ERROR: name must be 1-100 characters');
+    }
+    const schemeType = data.schemeType || 'custom';
+    if (!SCHEME_TYPES.includes(schemeType)) {
+        throw new Error(`VALIDATION_ERROR: schemeType must be one of: ${SCHEME_TYPES.join(', ')}`);
+    }
+
+    let maxGradePoint = null;
+    if (data.maxGradePoint !== undefined && data.maxGradePoint !== null && data.maxGradePoint !== '') {
+        maxGradePoint = Number(data.maxGradePoint);
+        if (!Number.isFinite(maxGradePoint) || maxGradePoint <= 0 || maxGradePoint > MAX_GRADE_POINT) {
+            throw new Error(`VALIDATION_ERROR: maxGradePoint must be more than 0 and at most ${MAX_GRADE_POINT}`);
+        }
+    }
+    if (schemeType === 'gpa' && maxGradePoint === null) {
+        throw new Error('VALIDATION_ERROR: A GPA scheme needs maxGradePoint and grade points on its bands');
+    }
+
+    return {
+        name,
+        schemeType,
+        bands: validateBands(data.bands, maxGradePoint),
+        maxGradePoint,
+        coScholasticGrades: validateCoScholasticGrades(data.coScholasticGrades)
+    };
+}
+
+/**
+ * The assignment that applies to a class in a session: a class match beats a session match,
+ * and an assignment matching both beats either
+ *
+ * @param {Array} assignments - [{ academicSession, classId }]
+ * @param {Object} target - { classId, academicSession }
+ * @returns {Object|null}
+ */
+function pickAssignment(assignments, { classId, academicSession }) {
+    let best = null;
+    let bestScore = 0;
+    assignments.forEach(a => {
+        if (a.classId && a.classId !== classId) return;
+        if (a.academicSession && a.academicSession !== academicSession) return;
+        const score = (a.classId ? 2 : 0) + (a.academicSession ? 1 : 0);
+        if (score > bestScore) {
+            best = a;
+            bestScore = score;
+        }
+    });
+    return best;
+}
+
+/**
+ * GPA: the mean grade point of the papers. An absent student scores 0 on the paper; medical
+ * absences are left out.
+ *
+ * @param {Array} results - [{ status, gradePoint }]
+ * @returns {Number|null} Null with no graded papers, or when a paper has no grade point
+ */
+function gpaOf(results) {
+    const counted = results.filter(r => r.status !== 'medical');
+    if (counted.length === 0) return null;
+
+    let total = 0;
+    for (const r of counted) {
+        if (r.status === 'absent') continue;
+        if (r.gradePoint === null || r.gradePoint === undefined) return null;
+        total += Number(r.gradePoint);
+    }
+    return round2(total / counted.length);
+}
+
+/**
+ * CGPA: the mean of the term GPAs, each term weighted equally
+ *
+ * @param {Array} gpas - GPA per term (null terms are left out)
+ * @returns {Number|null}
+ */
+function cgpaOf(gpas) {
+    const counted = gpas.filter(g => g !== null && g !== undefined);
+    if (counted.length === 0) return null;
+    return round2(counted.reduce((sum, g) => sum + Number(g), 0) / counted.length);
+}
+
+// ========== SCHEMES ==========
+
+const schemeView = (scheme) => {
+    const plain = scheme.get ? scheme.get({ plain: true }) : scheme;
+    return {
+        ...plain,
+        maxGradePoint: plain.maxGradePoint === null || plain.maxGradePoint === undefined ? null : Number(plain.maxGradePoint),
+        coScholasticGrades: plain.coScholasticGrades || DEFAULT_CO_SCHOLASTIC_GRADES
+    };
+};
+
+const ASSIGNMENT_INCLUDE = {
+    model: GradingSchemeAssignment,
+    as: 'assignments',
+    attributes: ['id', 'academicSession', 'classId'],
+    include: [{ model: Class, as: 'class', attributes: ['id', 'className', 'section'] }]
+};
+
+/**
+ * The tenant's schemes with their assignments, default first
+ */
+async function listSchemes(tenantId) {
+    const schemes = await GradingScheme.findAll({
+        where: { tenantId },
+        include: [ASSIGNMENT_INCLUDE],
+        order: [['isDefault', 'DESC'], ['name', 'ASC']]
+    });
+    return schemes.map(schemeView);
+}
+
+async function getSchemeById(id, tenantId) {
+    const scheme = await GradingScheme.findOne({ where: { id, tenantId }, include: [ASSIGNMENT_INCLUDE] });
+    return scheme ? schemeView(scheme) : null;
+}
+
+const assertNameFree = async (tenantId, name, exceptId, transaction) => {
+    const where = { tenantId, name };
+    if (exceptId) where.id = { [Op.ne]: exceptId };
+    if (await GradingScheme.count({ where, transaction })) {
+        throw new Error(`CONFLICT: A grading scheme named "${name}" already exists`);
+    }
+};
+
+/**
+ * Create a scheme. The tenant's first scheme becomes its default.
+ *
+ * @param {Object} data - { name, schemeType, bands, maxGradePoint, coScholasticGrades, isDefault }
+ */
+async function createScheme(tenantId, data) {
+    const fields = validateScheme(data);
+
+    const id = await sequelize.transaction(async (transaction) => {
+        await assertNameFree(tenantId, fields.name, null, transaction);
+        const hasDefault = await GradingScheme.count({ where: { tenantId, isDefault: true }, transaction });
+        const isDefault = data.isDefault === true || !hasDefault;
+        if (isDefault && hasDefault) {
+            await GradingScheme.update({ isDefault: false }, { where: { tenantId, isDefault: true }, transaction });
+        }
+        const scheme = await GradingScheme.create({ ...fields, tenantId, isDefault }, { transaction });
+        return scheme.id;
+    });
+
+    logger.info(`[GRADING] Scheme "${fields.name}" created for tenant ${tenantId}`);
+    return getSchemeById(id, tenantId);
+}
+
+/**
+ * Update a scheme. Marks already entered keep their grades until regraded.
+ * isDefault can only be turned on: the default moves to this scheme.
+ */
+async function updateScheme(id, tenantId, updates) {
+    const scheme = await GradingScheme.findOne({ where: { id, tenantId } });
+    if (!scheme) return null;
+
+    if (updates.isDefault === false && scheme.isDefault) {
+        throw new Error('VALIDATION_ERROR: Make another scheme the default instead');
+    }
+
+    const merged = {};
+    ['name', 'schemeType', 'bands', 'maxGradePoint', 'coScholasticGrades'].forEach(k => {
+        merged[k] = updates[k] !== undefined ? updates[k] : scheme[k];
+    });
+    const fields = validateScheme(merged);
+
+    await sequelize.transaction(async (transaction) => {
+        await assertNameFree(tenantId, fields.name, id, transaction);
+        if (updates.isDefault === true && !scheme.isDefault) {
+            await GradingScheme.update({ isDefault: false }, { where: { tenantId, isDefault: true }, transaction });
+            fields.isDefault = true;
+        }
+        await scheme.update(fields, { transaction });
+    });
+    return getSchemeById(id, tenantId);
+}
+
+/**
+ * Delete a scheme. Assigned schemes cannot be deleted; deleting the default falls back to the
+ * built-in scheme.
+ */
+async function deleteScheme(id, tenantId) {
+    const scheme = await GradingScheme.findOne({ where: { id, tenantId } });
+    if (!scheme) return null;
+
+    const assigned = await GradingSchemeAssignment.count({ where: { tenantId, gradingSchemeId: id } });
+    if (assigned > 0) {
+        throw new Error(`CONFLICT: The scheme is assigned ${assigned} time(s); remove the assignments first`);
+    }
+    await scheme.destroy();
+    logger.info(`[GRADING] Scheme "${scheme.name}" deleted for tenant ${tenantId}`);
+    return scheme;
+}
+
+// ========== ASSIGNMENTS ==========
+
+/**
+ * Assign a scheme to an academic session, to classes, or to classes in a session. A session
+ * or class that already had a scheme moves to this one.
+ *
+ * @param {Object} data - { academicSession, classIds }
+ */
+async function assignScheme(tenantId, schemeId, data) {
+    const scheme = await GradingScheme.findOne({ where: { id: schemeId, tenantId } });
+    if (!scheme) return null;
+
+    const academicSession = data.academicSession ? String(data.academicSession).trim() : null;
+    const classIds = Array.isArray(data.classIds) ? [...new Set(data.classIds)] : [];
+    if (!academicSession && classIds.length === 0) {
+        throw new Error('VALIDATION_ERROR: Give an academicSession, classIds or both; the default scheme covers everything else');
+    }
+    if (classIds.length) {
+        const found = await Class.count({ where: { tenantId, id: { [Op.in]: classIds } } });
+        if (found !== classIds.length) {
+            throw new Error('VALIDATION_ERROR: classIds must be classes of this school');
+        }
+    }
+
+    const targets = classIds.length ? classIds : [null];
+    await sequelize.transaction(async (transaction) => {
+        for (const classId of targets) {
+            const existing = await GradingSchemeAssignment.findOne({
+                where: { tenantId, academicSession, classId },
+                transaction
+            });
+            if (existing) {
+                await existing.update({ gradingSchemeId: schemeId }, { transaction });
+            } else {
+                await GradingSchemeAssignment.create({ tenantId, gradingSchemeId: schemeId, academicSession, classId }, { transaction });
+            }
+        }
+    });
+
+    logger.info(`[GRADING] Scheme "${scheme.name}" assigned to ${targets.length} target(s) (session: ${academicSession || 'any'})`);
+    return getSchemeById(schemeId, tenantId);
+}
+
+async function removeAssignment(tenantId, schemeId, assignmentId) {
+    const assignment = await GradingSchemeAssignment.findOne({ where: { id: assignmentId, gradingSchemeId: schemeId, tenantId } });
+    if (!assignment) return null;
+    await assignment.destroy();
+    return assignment;
+}
+
+/**
+ * The scheme that grades a class in an academic session
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} target - { classId, academicSession }
+ * @param {Object} transaction - Optional transaction
+ * @returns {Promise<Object>} The scheme, with source 'assignment', 'default' or 'built-in'
+ */
+async function resolveScheme(tenantId, { classId = null, academicSession = null } = {}, transaction = null) {
+    if (classId || academicSession) {
+        const assignments = await GradingSchemeAssignment.findAll({
+            where: {
+                tenantId,
+                classId: classId ? { [Op.or]: [classId, null] } : null,
+                academicSession: academicSession ? { [Op.or]: [academicSession, null] } : null
+            },
+            transaction
+        });
+        const assignment = pickAssignment(assignments, { classId, academicSession });
+        if (assignment) {
+            const scheme = await GradingScheme.findOne({ where: { id: assignment.gradingSchemeId, tenantId }, transaction });
+            if (scheme) return { ...schemeView(scheme), source: 'assignment' };
+        }
+    }
+
+    const scheme = await GradingScheme.findOne({ where: { tenantId, isDefault: true }, transaction });
+    if (scheme) return { ...schemeView(scheme), source: 'default' };
+    return { ...BUILT_IN_SCHEME, source: 'built-in' };
+}
+
+module.exports = {
+    SCHEME_TYPES,
+    DEFAULT_GRADE_BANDS,
+    DEFAULT_CO_SCHOLASTIC_GRADES,
+    BUILT_IN_SCHEME,
+    percentOf,
+    bandFor,
+    gradeFor,
+    gradePointFor,
+    validateBands,
+    validateCoScholasticGrades,
+    validateScheme,
+    pickAssignment,
+    gpaOf,
+    cgpaOf,
+    listSchemes,
+    getSchemeById,
+    createScheme,
+    updateScheme,
+    deleteScheme,
+    assignScheme,
+    removeAssignment,
+    resolveScheme
+};
@@ -0,0 +1,601 @@
+/**
+ * Invoice Service
+ *
+ * Invoices group a student's fee demands due in a billing period into one numbered document
+ * with tax-ready lines; credit notes reduce them afterwards. Fee amounts are tax-inclusive:
+ * each line splits its amount into taxable value and tax at the fee head's rate.
+ *
+ * A fee is on at most one issued invoice. Credit notes write through to the fee (creditAmount,
+ * and refundedAmount for refunds) so the fee ledger, the rule engine and the accounts agree.
+ */
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../config/logger');
+const Student = require('../models/Student');
+const Class = require('../models/Class');
+const Parent = require('../models/Parent');
+const ParentStudent = require('../models/ParentStudent');
+const StudentFee = require('../models/StudentFee');
+const FeeHead = require('../models/FeeHead');
+const Invoice = require('../models/Invoice');
+const InvoiceLine = require('../models/InvoiceLine');
+const InvoiceSequence = require('../models/InvoiceSequence');
+const CreditNote = require('../models/CreditNote');
+const CreditNoteLine = require('../models/CreditNoteLine');
+const feePaymentService = require('./feePaymentService');
+const accountingService = require('./accountingService');
+const { toCents, fromCents, deriveFeeStatus } = require('../utils/feeStatus');
+require('../models'); // register associations used by the includes below
+
+const CREDIT_NOTE_TYPES = ['adjustment', 'refund'];
+const REFUND_MODES = feePaymentService.PAYMENT_MODES;
+
+const SERIES_PREFIXES = {
+    invoice: 'INV-',
+    credit_note: 'CN-'
+};
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const studentName = (s) => (s ? (s.studentName || [s.firstName, s.lastName].filter(Boolean).join(' ')) : '');
+
+// ========== PURE HELPERS ==========
+
+/**
+ * Split a tax-inclusive amount into taxable value and tax
+ *
+ * @param {Number} amountCents - Amount including tax, in cents
+ * @param {Number|String} taxRate - Percentage, e.g. 18
+ * @returns {Object} { taxableCents, taxCents }
+ */
+function splitTax(amountCents, taxRate) {
+    const rate = Math.round(Number(taxRate || 0) * 100); // hundredths of a percent
+    if (rate <= 0) return { taxableCents: amountCents, taxCents: 0 };
+
+    const taxableCents = Math.round((amountCents * 10000) / (10000 + rate));
+    return { taxableCents, taxCents: amountCents - taxableCents };
+}
+
+/**
+ * Build invoice lines and totals from fees
+ *
+ * @param {Array} fees - StudentFees with feeHead ({ taxRate, hsnSacCode }) when they have one
+ * @returns {Object} { lines, totals: { grossAmount, discountAmount, fineAmount, taxableAmount, taxAmount, total, dueDate } }
+ */
+function buildInvoiceLines(fees) {
+    const sums = { gross: 0, discount: 0, fine: 0, taxable: 0, tax: 0, total: 0 };
+
+    const lines = [...fees]
+        .sort((a, b) => String(a.dueDate || '').localeCompare(String(b.dueDate || '')) || String(a.feeType).localeCompare(String(b.feeType)))
+        .map(fee => {
+            const amountCents = toCents(fee.amount);
+            const grossCents = toCents(fee.grossAmount !== null && fee.grossAmount !== undefined ? fee.grossAmount : fee.amount);
+            const discountCents = toCents(fee.discountAmount);
+            const fineCents = toCents(fee.fineAmount);
+            const taxRate = fee.feeHead ? Number(fee.feeHead.taxRate || 0) : 0;
+            const { taxableCents, taxCents } = splitTax(amountCents, taxRate);
+
+            sums.gross += grossCents;
+            sums.discount += discountCents;
+            sums.fine += fineCents;
+            sums.taxable += taxableCents;
+            sums.tax += taxCents;
+            sums.total += amountCents;
+
+            return {
+                studentFeeId: fee.id,
+                feeHeadId: fee.feeHeadId || null,
+                description: fee.feeType,
+                hsnSacCode: fee.feeHead ? fee.feeHead.hsnSacCode || null : null,
+                dueDate: fee.dueDate || null,
+                grossAmount: fromCents(grossCents),
+                discountAmount: fromCents(discountCents),
+                fineAmount: fromCents(fineCents),
+                taxRate: taxRate.toFixed(2),
+                taxableAmount: fromCents(taxableCents),
+                taxAmount: fromCents(taxCents),
+                amount: fromCents(amountCents)
+            };
+        });
+
+    const dueDates = lines.map(l => l.dueDate).filter(Boolean).map(d => String(d).slice(0, 10)).sort();
+    return {
+        lines,
+        totals: {
+            grossAmount: fromCents(sums.gross),
+            discountAmount: fromCents(sums.discount),
+            fineAmount: fromCents(sums.fine),
+            taxableAmount: fromCents(sums.taxable),
+            taxAmount: fromCents(sums.tax),
+            total: fromCents(sums.total),
+            dueDate: dueDates[0] || null
+        }
+    };
+}
+
+/**
+ * Validate the lines of a credit note against the invoice and the current state of its fees
+ *
+ * A line can be credited up to what is left of it. An adjustment cannot exceed the fee's
+ * unpaid balance; a refund cannot exceed what was paid against the fee.
+ *
+ * @param {String} type - 'adjustment' or 'refund'
+ * @param {Array} requested - [{ invoiceLineId, amount }]
+ * @param {Array} invoiceLines - InvoiceLines of the invoice
+ * @param {Map} feesById - studentFeeId -> StudentFee
+ * @returns {Object} { lines, totals: { taxableAmount, taxAmount, amount } }
+ */
+function buildCreditNoteLines(type, requested, invoiceLines, feesById) {
+    if (!Array.isArray(requested) || requested.length === 0) {
+        throw new Error('VALIDATION_ERROR: A credit note needs at least one line');
+    }
+
+    const linesById = new Map(invoiceLines.map(l => [l.id, l]));
+    const seen = new Set();
+    const sums = { taxable: 0, tax: 0, amount: 0 };
+
+    const lines = requested.map(({ invoiceLineId, amount }) => {
+        const line = linesById.get(invoiceLineId);
+        if (!line) {
+            throw new Error(`VALIDATION_ERROR: Invoice line ${invoiceLineId} is not on this invoice`);
+        }
+        if (seen.has(invoiceLineId)) {
+            throw new Error(`VALIDATION_ERROR: Invoice line ${invoiceLineId} is listed more than once`);
+        }
+        seen.add(invoiceLineId);
+
+        const cents = toCents(amount);
+        if (cents <= 0) {
+            throw new Error('VALIDATION_ERROR: Credit amounts must be greater than zero');
+        }
+
+        const creditable = toCents(line.amount) - toCents(line.creditedAmount);
+        if (cents > creditable) {
+            throw new Error(`VALIDATION_ERROR: Only ${fromCents(Math.max(0, creditable))} is left to credit on "${line.description}"`);
+        }
+
+        const fee = feesById.get(line.studentFeeId);
+        const paid = fee ? toCents(fee.paidAmount) : 0;
+        const outstanding = fee ? toCents(fee.amount) - paid : 0;
+        if (type === 'adjustment' && cents > outstanding) {
+            throw new Error(`VALIDATION_ERROR: "${line.description}" has ${fromCents(Math.max(0, outstanding))} unpaid; credit the paid part as a refund`);
+        }
+        if (type === 'refund' && cents > paid) {
+            throw new Error(`VALIDATION_ERROR: Only ${fromCents(paid)} was paid against "${line.description}"`);
+        }
+
+        const { taxableCents, taxCents } = splitTax(cents, line.taxRate);
+        sums.taxable += taxableCents;
+        sums.tax += taxCents;
+        sums.amount += cents;
+
+        return {
+            invoiceLineId: line.id,
+            studentFeeId: line.studentFeeId,
+            description: line.description,
+            taxRate: line.taxRate,
+            taxableAmount: fromCents(taxableCents),
+            taxAmount: fromCents(taxCents),
+            amount: fromCents(cents)
+        };
+    });
+
+    return {
+        lines,
+        totals: { taxableAmount: fromCents(sums.taxable), taxAmount: fromCents(sums.tax), amount: fromCents(sums.amount) }
+    };
+}
+
+/**
+ * Payment position of an invoice, read live from its fees
+ *
+ * @param {Object} invoice - Invoice with lines[].fee
+ * @returns {Object} { amountDue, paidAmount, balance, paymentStatus }
+ */
+function summarizeInvoice(invoice) {
+    let dueCents = 0;
+    let paidCents = 0;
+    (invoice.lines || []).forEach(line => {
+        if (!line.fee) return;
+        dueCents += toCents(line.fee.amount);
+        paidCents += toCents(line.fee.paidAmount);
+    });
+
+    const paymentStatus = invoice.status === 'cancelled'
+        ? 'cancelled'
+        : deriveFeeStatus({ amount: fromCents(dueCents), paidAmount: fromCents(paidCents), dueDate: invoice.dueDate });
+
+    return {
+        amountDue: fromCents(dueCents),
+        paidAmount: fromCents(paidCents),
+        balance: fromCents(Math.max(0, dueCents - paidCents)),
+        paymentStatus
+    };
+}
+
+// ========== NUMBERING ==========
+
+/**
+ * Allocate the next invoice or credit note number (see ReceiptSequence for the locking scheme)
+ */
+async function nextDocumentNo(tenantId, series, transaction) {
+    const lockOptions = { where: { tenantId, series }, lock: transaction.LOCK.UPDATE, transaction };
+
+    let sequence = await InvoiceSequence.findOne(lockOptions);
+    if (!sequence) {
+        await InvoiceSequence.bulkCreate([{ tenantId, series, prefix: SERIES_PREFIXES[series] }], { ignoreDuplicates: true, transaction });
+        sequence = await InvoiceSequence.findOne(lockOptions);
+    }
+
+    const number = sequence.lastNumber + 1;
+    await sequence.update({ lastNumber: number }, { transaction });
+    return `${sequence.prefix}${String(number).padStart(6, '0')}`;
+}
+
+// ========== INVOICES ==========
+
+// Fees already billed on an issued invoice
+const invoicedFeeIdsLiteral = (tenantId) => sequelize.literal(`(
+    SELECT il.studentFeeId FROM invoice_lines il
+    INNER JOIN invoices i ON i.id = il.invoiceId
+    WHERE i.tenantId = ${sequelize.escape(tenantId)} AND i.status = 'issued'
+)`);
+
+/**
+ * Bill-to block: student, class and primary parent as of today
+ */
+async function loadBillTo(tenantId, studentId, transaction) {
+    const student = await Student.findOne({
+        where: { id: studentId, tenantId },
+        attributes: ['id', 'admissionNo', 'firstName', 'lastName', 'studentName', 'classId',
+            'currentAddressLine1', 'currentAddressLine2', 'currentCity', 'currentState', 'currentPIN'],
+        transaction
+    });
+    if (!student) return null;
+
+    const [cls, link] = await Promise.all([
+        student.classId ? Class.findOne({ where: { id: student.classId, tenantId }, attributes: ['className', 'section'], transaction }) : null,
+        ParentStudent.findOne({
+            where: { tenantId, studentId },
+            attributes: ['relation', 'isPrimary'],
+            include: [{ model: Parent, as: 'parent', attributes: ['name', 'phone', 'email', 'address'], where: { status: 'active' } }],
+            order: [['isPrimary', 'DESC']],
+            transaction
+        })
+    ]);
+
+    const studentAddress = [
+        student.currentAddressLine1,
+        student.currentAddressLine2,
+        [student.currentCity, student.currentState, student.currentPIN].filter(Boolean).join(', ')
+    ].filter(Boolean).join('\n');
+
+    return {
+        student,
+        billTo: {
+            studentName: studentName(student),
+            admissionNo: student.admissionNo,
+            className: cls ? cls.className : null,
+            section: cls ? cls.section : null,
+            parentName: link ? link.parent.name : null,
+            phone: link ? link.parent.phone : null,
+            email: link ? link.parent.email : null,
+            address: (link && link.parent.address) || studentAddress || null
+        }
+    };
+}
+
+/**
+ * Invoice one student's uninvoiced fees due in the period
+ *
+ * @returns {Promise<Object|null>} Invoice, or null when nothing is left to invoice
+ */
+async function invoiceStudent(tenantId, studentId, { periodStart, periodEnd, issueDate, notes }, userId) {
+    return sequelize.transaction(async (transaction) => {
+        const fees = await StudentFee.findAll({
+            where: {
+                tenantId,
+                studentId,
+                dueDate: { [Op.between]: [periodStart, periodEnd] },
+                id: { [Op.notIn]: invoicedFeeIdsLiteral(tenantId) }
+            },
+            include: [{ model: FeeHead, as: 'feeHead', attributes: ['taxRate', 'hsnSacCode'] }],
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+        if (fees.length === 0) return null;
+
+        const loaded = await loadBillTo(tenantId, studentId, transaction);
+        if (!loaded) {
+            throw new Error('NOT_FOUND: Student not found');
+        }
+
+        const { lines, totals } = buildInvoiceLines(fees);
+        const { dueDate, ...amounts } = totals;
+
+        const invoice = await Invoice.create({
+            tenantId,
+            invoiceNo: await nextDocumentNo(tenantId, 'invoice', transaction),
+            studentId,
+            classId: loaded.student.classId || null,
+            periodStart,
+            periodEnd,
+            issueDate: issueDate || today(),
+            dueDate,
+            billTo: loaded.billTo,
+            ...amounts,
+            notes: notes || null,
+            createdBy: userId || null
+        }, { transaction });
+
+        await InvoiceLine.bulkCreate(lines.map(line => ({ ...line, tenantId, invoiceId: invoice.id })), { transaction });
+
+        logger.info(`[INVOICE] ${invoice.invoiceNo} issued for student ${studentId}: ${lines.length} fees, ${invoice.total}`);
+        return invoice;
+    });
+}
+
+const validatePeriod = (periodStart, periodEnd) => {
+    if (!periodStart || !periodEnd || periodStart > periodEnd) {
+        throw new Error('VALIDATION_ERROR: periodStart must be on or before periodEnd');
+    }
+};
+
+/**
+ * Issue an invoice for one student
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} data - { studentId, periodStart, periodEnd, issueDate, notes }
+ * @param {String} userId - Issuing user
+ * @returns {Promise<Object>} Invoice
+ */
+async function createInvoice(tenantId, data, userId) {
+    validatePeriod(data.periodStart, data.periodEnd);
+
+    const student = await Student.count({ where: { id: data.studentId, tenantId } });
+    if (!student) {
+        throw new Error('NOT_FOUND: Student not found');
+    }
+
+    const invoice = await invoiceStudent(tenantId, data.studentId, data, userId);
+    if (!invoice) {
+        throw new Error('CONFLICT: The student has no uninvoiced fees due in this period');
+    }
+    return invoice;
+}
+
+/**
+ * Issue invoices for every student (of a class, or from a list) with uninvoiced fees due in the period.
+ * Each student is invoiced in its own transaction, so one failure does not roll back the rest.
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} data - { periodStart, periodEnd, classId, studentIds, issueDate, notes }
+ * @param {String} userId - Issuing user
+ * @returns {Promise<Object>} { issued: [{ id, invoiceNo, studentId, total }], failed: [{ studentId, error }] }
+ */
+async function generateInvoices(tenantId, data, userId) {
+    validatePeriod(data.periodStart, data.periodEnd);
+
+    const where = {
+        tenantId,
+        dueDate: { [Op.between]: [data.periodStart, data.periodEnd] },
+        id: { [Op.notIn]: invoicedFeeIdsLiteral(tenantId) }
+    };
+    if (data.classId) where.classId = data.classId;
+    if (data.studentIds && data.studentIds.length) where.studentId = { [Op.in]: data.studentIds };
+
+    const pending = await StudentFee.findAll({
+        where,
+        attributes: ['studentId'],
+        group: ['studentId'],
+        raw: true
+    });
+
+    const result = { issued: [], failed: [] };
+    for (const { studentId } of pending) {
+        try {
+            const invoice = await invoiceStudent(tenantId, studentId, data, userId);
+            if (invoice) {
+                result.issued.push({ id: invoice.id, invoiceNo: invoice.invoiceNo, studentId, total: invoice.total });
+            }
+        } catch (err) {
+            logger.error(`[INVOICE] Failed to invoice student ${studentId}: ${err.message}`);
+            result.failed.push({ studentId, error: err.message });
+        }
+    }
+    return result;
+}
+
+const INVOICE_INCLUDE = [
+    {
+        model: InvoiceLine,
+        as: 'lines',
+        include: [{ model: StudentFee, as: 'fee', attributes: ['id', 'amount', 'paidAmount', 'status', 'dueDate'] }]
+    },
+    {
+        model: CreditNote,
+        as: 'creditNotes',
+        include: [{ model: CreditNoteLine, as: 'lines' }]
+    }
+];
+
+const INVOICE_ORDER = [
+    [{ model: InvoiceLine, as: 'lines' }, 'dueDate', 'ASC'],
+    [{ model: InvoiceLine, as: 'lines' }, 'description', 'ASC'],
+    [{ model: CreditNote, as: 'creditNotes' }, 'createdAt', 'ASC']
+];
+
+/**
+ * Invoice with its lines, credit notes and live payment position (no RLS: callers check access)
+ */
+async function getInvoiceById(id, tenantId) {
+    const invoice = await Invoice.findOne({ where: { id, tenantId }, include: INVOICE_INCLUDE, order: INVOICE_ORDER });
+    return invoice ? withSummary(invoice) : null;
+}
+
+function withSummary(invoice) {
+    return { ...invoice.get({ plain: true }), ...summarizeInvoice(invoice) };
+}
+
+/**
+ * Cancel an invoice so its fees can be invoiced again. Invoices with credit notes stay.
+ */
+async function cancelInvoice(id, tenantId, reason, userId) {
+    if (!reason || !String(reason).trim()) {
+        throw new Error('VALIDATION_ERROR: reason is required to cancel an invoice');
+    }
+
+    return sequelize.transaction(async (transaction) => {
+        const invoice = await Invoice.findOne({ where: { id, tenantId }, lock: transaction.LOCK.UPDATE, transaction });
+        if (!invoice) return null;
+
+        if (invoice.status === 'cancelled') {
+            throw new Error('CONFLICT: Invoice is already cancelled');
+        }
+        const creditNotes = await CreditNote.count({ where: { tenantId, invoiceId: id }, transaction });
+        if (creditNotes > 0) {
+            throw new Error('CONFLICT: An invoice with credit notes cannot be cancelled');
+        }
+
+        await invoice.update({
+            status: 'cancelled',
+            cancelledAt: new Date(),
+            cancelledBy: userId || null,
+            cancellationReason: String(reason).trim()
+        }, { transaction });
+
+        logger.info(`[INVOICE] ${invoice.invoiceNo} cancelled: ${invoice.cancellationReason}`);
+        return invoice;
+    });
+}
+
+// ========== CREDIT NOTES ==========
+
+/**
+ * Issue a credit note against an invoice
+ *
+ * The credited amounts come off the fees (creditAmount); a refund also comes off what counts
+ * as paid (refundedAmount) and posts a fee_refund voucher. Everything runs in one transaction
+ * with the invoice, its lines and their fees locked.
+ *
+ * @param {String} invoiceId - Invoice ID
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} data - { type, reason, lines: [{ invoiceLineId, amount }], issueDate, refundMode, refundReference }
+ * @param {String} userId - Issuing user
+ * @returns {Promise<Object|null>} CreditNote, or null if the invoice does not exist
+ */
+async function createCreditNote(invoiceId, tenantId, data, userId) {
+    if (!CREDIT_NOTE_TYPES.includes(data.type)) {
+        throw new Error(`VALIDATION_ERROR: type must be one of: ${CREDIT_NOTE_TYPES.join(', ')}`);
+    }
+    if (!data.reason || !String(data.reason).trim()) {
+        throw new Error('VALIDATION_ERROR: reason is required');
+    }
+    if (data.type === 'refund' && !REFUND_MODES.includes(data.refundMode)) {
+        throw new Error(`VALIDATION_ERROR: refundMode must be one of: ${REFUND_MODES.join(', ')}`);
+    }
+
+    return sequelize.transaction(async (transaction) => {
+        const invoice = await Invoice.findOne({ where: { id: invoiceId, tenantId }, lock: transaction.LOCK.UPDATE, transaction });
+        if (!invoice) return null;
+        if (invoice.status !== 'issued') {
+            throw new Error('CONFLICT: Credit notes can only be issued against an issued invoice');
+        }
+
+        const invoiceLines = await InvoiceLine.findAll({ where: { invoiceId, tenantId }, lock: transaction.LOCK.UPDATE, transaction });
+        const fees = await StudentFee.findAll({
+            where: { tenantId, id: { [Op.in]: invoiceLines.map(l => l.studentFeeId) } },
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+        const feesById = new Map(fees.map(f => [f.id, f]));
+
+        const { lines, totals } = buildCreditNoteLines(data.type, data.lines, invoiceLines, feesById);
+
+        const creditNote = await CreditNote.create({
+            tenantId,
+            creditNoteNo: await nextDocumentNo(tenantId, 'credit_note', transaction),
+            invoiceId,
+            studentId: invoice.studentId,
+            type: data.type,
+            issueDate: data.issueDate || today(),
+            reason: String(data.reason).trim(),
+            ...totals,
+            refundMode: data.type === 'refund' ? data.refundMode : null,
+            refundReference: data.type === 'refund' ? data.refundReference || null : null,
+            createdBy: userId || null
+        }, { transaction });
+
+        await CreditNoteLine.bulkCreate(lines.map(line => ({ ...line, tenantId, creditNoteId: creditNote.id })), { transaction });
+
+        const linesById = new Map(invoiceLines.map(l => [l.id, l]));
+        for (const line of lines) {
+            const cents = toCents(line.amount);
+            const invoiceLine = linesById.get(line.invoiceLineId);
+            await invoiceLine.update({ creditedAmount: fromCents(toCents(invoiceLine.creditedAmount) + cents) }, { transaction });
+
+            const fee = feesById.get(line.studentFeeId);
+            await fee.update({
+                creditAmount: fromCents(toCents(fee.creditAmount) + cents),
+                refundedAmount: data.type === 'refund' ? fromCents(toCents(fee.refundedAmount) + cents) : fee.refundedAmount,
+                amount: fromCents(toCents(fee.amount) - cents)
+            }, { transaction });
+            await feePaymentService.recalculateFee(fee, transaction);
+        }
+
+        await invoice.update({ creditedAmount: fromCents(toCents(invoice.creditedAmount) + toCents(totals.amount)) }, { transaction });
+
+        if (data.type === 'refund') {
+            const voucher = await accountingService.postFeeRefund(creditNote, transaction);
+            await creditNote.update({ voucherId: voucher.id }, { transaction });
+        }
+
+        logger.info(`[INVOICE] ${creditNote.creditNoteNo} (${data.type}) of ${creditNote.amount} against ${invoice.invoiceNo}`);
+        return creditNote;
+    });
+}
+
+async function getCreditNoteById(id, tenantId) {
+    return CreditNote.findOne({
+        where: { id, tenantId },
+        include: [
+            { model: CreditNoteLine, as: 'lines' },
+            { model: Invoice, as: 'invoice', attributes: ['id', 'invoiceNo', 'issueDate', 'studentId', 'billTo'] }
+        ]
+    });
+}
+
+async function listCreditNotes(tenantId, { page = 1, limit = 20, type, studentId, from, to } = {}) {
+    const where = { tenantId };
+    if (type) where.type = type;
+    if (studentId) where.studentId = studentId;
+    if (from || to) {
+        where.issueDate = {};
+        if (from) where.issueDate[Op.gte] = from;
+        if (to) where.issueDate[Op.lte] = to;
+    }
+
+    return CreditNote.findAndCountAll({
+        where,
+        include: [{ model: Invoice, as: 'invoice', attributes: ['id', 'invoiceNo'] }],
+        limit,
+        offset: (page - 1) * limit,
+        order: [['issueDate', 'DESC'], ['createdAt', 'DESC']]
+    });
+}
+
+module.exports = {
+    CREDIT_NOTE_TYPES,
+    REFUND_MODES,
+    splitTax,
+    buildInvoiceLines,
+    buildCreditNoteLines,
+    summarizeInvoice,
+    createInvoice,
+    generateInvoices,
+    getInvoiceById,
+    cancelInvoice,
+    createCreditNote,
+    getCreditNoteById,
+    listCreditNotes
+};
@@ -0,0 +1,290 @@
+/**
+ * Notification Service
+ *
+ * Message templates per tenant and the outbox (NotificationMessage) that SMS and email go
+ * through. Features render a template and queue a message; the notifications job calls
+ * dispatchDue to hand due messages to smsService / emailService and retry failures.
+ *
+ * Templates use {{placeholders}} from TEMPLATE_VARIABLES. Events and channels a tenant has
+ * not customised use DEFAULT_TEMPLATES.
+ */
+const { Op } = require('sequelize');
+const logger = require('../config/logger');
+const NotificationTemplate = require('../models/NotificationTemplate');
+const NotificationMessage = require('../models/NotificationMessage');
+const { sendSms } = require('./smsService');
+const { sendEmail } = require('./emailService');
+
+const NOTIFICATION_EVENTS = ['student_absent', 'student_late'];
+const NOTIFICATION_CHANNELS = ['sms', 'email'];
+const MESSAGE_STATUSES = ['queued', 'sending', 'sent', 'failed', 'cancelled'];
+
+const TEMPLATE_VARIABLES = ['parentName', 'studentName', 'className', 'date', 'status', 'schoolName'];
+
+// Three concatenated SMS segments
+const MAX_SMS_LENGTH = 480;
+const MAX_EMAIL_LENGTH = 5000;
+
+// A message is given up after this many failed sends, retried RETRY_DELAY_MINUTES * attempts apart
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MINUTES = 5;
+
+const DISPATCH_BATCH_SIZE = 100;
+
+// A message left `sending` this long (its dispatcher died mid-send) is claimed again
+const SENDING_TIMEOUT_MINUTES = 15;
+
+const DEFAULT_TEMPLATES = {
+    student_absent: {
+        sms: {
+            subject: null,
+            body: 'Dear {{parentName}}, {{studentName}} ({{className}}) is marked absent at {{schoolName}} today, {{date}}.'
+        },
+        email: {
+            subject: '{{studentName}} is absent today ({{date}})',
+            body: 'Dear {{parentName}},\n\n{{studentName}} of {{className}} has been marked absent at {{schoolName}} today, {{date}}.\n\n' +
+                'If you did not expect this, please contact the school.\n\nRegards,\n{{schoolName}}'
+        }
+    },
+    student_late: {
+        sms: {
+            subject: null,
+            body: 'Dear {{parentName}}, {{studentName}} ({{className}}) arrived late at {{schoolName}} today, {{date}}.'
+        },
+        email: {
+            subject: '{{studentName}} arrived late today ({{date}})',
+            body: 'Dear {{parentName}},\n\n{{studentName}} of {{className}} has been marked late at {{schoolName}} today, {{date}}.\n\n' +
+                'Regards,\n{{schoolName}}'
+        }
+    }
+};
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+// ========== PURE HELPERS ==========
+
+/**
+ * Fill in the placeholders of a template; unknown or missing values render empty
+ *
+ * @param {String} text - Template text
+ * @param {Object} variables - Values by placeholder name
+ * @returns {String}
+ */
+function renderTemplate(text, variables = {}) {
+    if (!text) return text;
+    return String(text).replace(PLACEHOLDER, (match, name) => {
+        const value = variables[name];
+        return value === undefined || value === null ? '' : String(value);
+    });
+}
+
+/**
+ * Throw unless a template can be saved for a channel
+ *
+ * @param {String} channel - 'sms' | 'email'
+ * @param {Object} template - { subject, body }
+ */
+function validateTemplate(channel, { subject, body }) {
+    if (!body || !String(body).trim()) {
+        throw new Error('VALIDATION_ERROR: body is required');
+    }
+    if (channel === 'email' && (!subject || !String(subject).trim())) {
+        throw new Error('VALIDATION_ERROR: subject is required for email templates');
+    }
+
+    const maxLength = channel === 'sms' ? MAX_SMS_LENGTH : MAX_EMAIL_LENGTH;
+    if (String(body).length > maxLength) {
+        throw new Error(`VALIDATION_ERROR: ${channel} templates can be at most ${maxLength} characters`);
+    }
+
+    const used = [...`${subject || ''} ${body}`.matchAll(PLACEHOLDER)].map(m => m[1]);
+    const unknown = used.filter(name => !TEMPLATE_VARIABLES.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`VALIDATION_ERROR: Unknown placeholders: ${[...new Set(unknown)].join(', ')}. Use: ${TEMPLATE_VARIABLES.join(', ')}`);
+    }
+}
+
+/**
+ * When a failed message is tried again
+ *
+ * @param {Number} attempts - Attempts made so far, including the one that just failed
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+function nextAttemptAt(attempts, now = new Date()) {
+    return new Date(now.getTime() + attempts * RETRY_DELAY_MINUTES * 60000);
+}
+
+// ========== TEMPLATES ==========
+
+const assertEventChannel = (event, channel) => {
+    if (!NOTIFICATION_EVENTS.includes(event)) {
+        throw new Error(`VALIDATION_ERROR: event must be one of: ${NOTIFICATION_EVENTS.join(', ')}`);
+    }
+    if (!NOTIFICATION_CHANNELS.includes(channel)) {
+        throw new Error(`VALIDATION_ERROR: channel must be one of: ${NOTIFICATION_CHANNELS.join(', ')}`);
+    }
+};
+
+/**
+ * Every event and channel with the tenant's template, or the default where none was saved
+ *
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Array>} [{ event, channel, subject, body, isActive, isDefault }]
+ */
+async function getTemplates(tenantId) {
+    const saved = await NotificationTemplate.findAll({ where: { tenantId } });
+    const byKey = new Map(saved.map(t => [`${t.event}:${t.channel}`, t]));
+
+    const templates = [];
+    NOTIFICATION_EVENTS.forEach(event => {
+        NOTIFICATION_CHANNELS.forEach(channel => {
+            const custom = byKey.get(`${event}:${channel}`);
+            templates.push(custom
+                ? { event, channel, subject: custom.subject, body: custom.body, isActive: custom.isActive, isDefault: false }
+                : { event, channel, ...DEFAULT_TEMPLATES[event][channel], isActive: true, isDefault: true });
+        });
+    });
+    return templates;
+}
+
+/**
+ * Save the tenant's template for an event and channel
+ *
+ * @param {Object} data - { subject, body, isActive }
+ */
+async function saveTemplate(tenantId, event, channel, data) {
+    assertEventChannel(event, channel);
+    const template = {
+        subject: channel === 'email' ? (data.subject || '').trim() : null,
+        body: String(data.body || '').trim()
+    };
+    validateTemplate(channel, template);
+
+    const [row] = await NotificationTemplate.findOrCreate({
+        where: { tenantId, event, channel },
+        defaults: { tenantId, event, channel, ...template }
+    });
+    await row.update({ ...template, isActive: data.isActive === undefined ? row.isActive : data.isActive });
+
+    logger.info(`[NOTIFICATIONS] Template ${event}/${channel} saved for tenant ${tenantId}`);
+    return { event, channel, subject: row.subject, body: row.body, isActive: row.isActive, isDefault: false };
+}
+
+/**
+ * Drop the tenant's template so the default applies again
+ */
+async function resetTemplate(tenantId, event, channel) {
+    assertEventChannel(event, channel);
+    await NotificationTemplate.destroy({ where: { tenantId, event, channel } });
+    return { event, channel, ...DEFAULT_TEMPLATES[event][channel], isActive: true, isDefault: true };
+}
+
+// ========== OUTBOX ==========
+
+/**
+ * Messages of a tenant, newest first
+ *
+ * @param {Object} filters - { status, channel, event, studentId, date }
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} { count, rows }
+ */
+async function listMessages(tenantId, filters, { page, limit }) {
+    const where = { tenantId };
+    ['status', 'channel', 'event', 'studentId'].forEach(k => {
+        if (filters[k]) where[k] = filters[k];
+    });
+    if (filters.date) where.referenceDate = filters.date;
+
+    return NotificationMessage.findAndCountAll({
+        where,
+        attributes: { exclude: ['dedupeKey'] },
+        order: [['createdAt', 'DESC'], ['recipientRank', 'ASC']],
+        limit,
+        offset: (page - 1) * limit
+    });
+}
+
+async function deliver(message) {
+    if (message.channel === 'sms') {
+        return sendSms({ to: message.recipient, body: message.body });
+    }
+    return sendEmail({ to: message.recipient, subject: message.subject, body: message.body });
+}
+
+/**
+ * Claim a message for this dispatcher: a conditional update from the status it was read with,
+ * so when dispatchers overlap only one of them sends it
+ *
+ * @returns {Promise<Boolean>} Whether this dispatcher claimed it
+ */
+async function claimMessage(message) {
+    const where = { id: message.id, status: message.status };
+    if (message.status === 'sending') where.updatedAt = message.updatedAt;
+    const [claimed] = await NotificationMessage.update({ status: 'sending' }, { where });
+    return claimed === 1;
+}
+
+/**
+ * Send queued messages whose sendAfter has passed, across all tenants. Each message is
+ * claimed (`sending`) before it is handed to the provider.
+ *
+ * @param {Object} options - { now, limit }
+ * @returns {Promise<Object>} { sent, retrying, failed }
+ */
+async function dispatchDue({ now = new Date(), limit = DISPATCH_BATCH_SIZE } = {}) {
+    const staleBefore = new Date(now.getTime() - SENDING_TIMEOUT_MINUTES * 60000);
+    const due = await NotificationMessage.findAll({
+        where: {
+            [Op.or]: [
+                { status: 'queued', sendAfter: { [Op.lte]: now } },
+                { status: 'sending', updatedAt: { [Op.lt]: staleBefore } }
+            ]
+        },
+        order: [['sendAfter', 'ASC'], ['recipientRank', 'ASC'], ['createdAt', 'ASC']],
+        limit
+    });
+
+    const summary = { sent: 0, retrying: 0, failed: 0 };
+    for (const message of due) {
+        if (!(await claimMessage(message))) continue;
+
+        const attempts = message.attempts + 1;
+        const where = { id: message.id, status: 'sending' };
+        try {
+            const { providerMessageId } = await deliver(message);
+            await NotificationMessage.update({ status: 'sent', attempts, sentAt: new Date(), providerMessageId, lastError: null }, { where });
+            summary.sent++;
+        } catch (err) {
+            const giveUp = attempts >= MAX_ATTEMPTS;
+            await NotificationMessage.update({
+                status: giveUp ? 'failed' : 'queued',
+                attempts,
+                lastError: String(err.message).slice(0, 500),
+                sendAfter: giveUp ? message.sendAfter : nextAttemptAt(attempts, now)
+            }, { where });
+            summary[giveUp ? 'failed' : 'retrying']++;
+            logger.warn(`[NOTIFICATIONS] ${message.channel} message ${message.id} failed (attempt ${attempts}): ${err.message}`);
+        }
+    }
+    return summary;
+}
+
+module.exports = {
+    NOTIFICATION_EVENTS,
+    NOTIFICATION_CHANNELS,
+    MESSAGE_STATUSES,
+    TEMPLATE_VARIABLES,
+    DEFAULT_TEMPLATES,
+    MAX_SMS_LENGTH,
+    MAX_EMAIL_LENGTH,
+    MAX_ATTEMPTS,
+    renderTemplate,
+    validateTemplate,
+    nextAttemptAt,
+    getTemplates,
+    saveTemplate,
+    resetTemplate,
+    listMessages,
+    dispatchDue
+};
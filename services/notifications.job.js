@@ -0,0 +1,63 @@
+/**
+ * Notifications Job
+ *
+ * Runs notificationService.dispatchDue every minute so queued SMS and email (e.g. absence
+ * alerts) go out shortly after they are queued, or when their quiet hours end.
+ *
+ * Environment:
+ *   NOTIFICATIONS_JOB=false               disable the job (e.g. on all but one instance)
+ *   NOTIFICATIONS_JOB_INTERVAL_SECONDS=60 seconds between runs (at least 10)
+ */
+const logger = require('../config/logger');
+const notificationService = require('./notificationService');
+
+let timer = null;
+let running = false;
+
+/**
+ * Send the messages that are due once. Overlapping runs are skipped.
+ */
+async function runOnce() {
+    if (running) {
+        logger.warn('[NOTIFICATIONS] Previous run still in progress, skipping');
+        return null;
+    }
+
+    running = true;
+    try {
+        const summary = await notificationService.dispatchDue();
+        if (summary.sent + summary.retrying + summary.failed > 0) {
+            logger.info(`[NOTIFICATIONS] ${summary.sent} sent, ${summary.retrying} to retry, ${summary.failed} failed`);
+        }
+        return summary;
+    } catch (err) {
+        logger.error(`[NOTIFICATIONS] Run failed: ${err.message}`);
+        return null;
+    } finally {
+        running = false;
+    }
+}
+
+function schedule(intervalMs) {
+    timer = setTimeout(async () => {
+        await runOnce();
+        schedule(intervalMs);
+    }, intervalMs);
+    // Never keep the process alive just for the job
+    timer.unref();
+}
+
+function start() {
+    if (timer || process.env.NOTIFICATIONS_JOB === 'false') return;
+
+    const seconds = Math.max(10, parseInt(process.env.NOTIFICATIONS_JOB_INTERVAL_SECONDS, 10) || 60);
+    schedule(seconds * 1000);
+    logger.info(`[NOTIFICATIONS] Outbox dispatch every ${seconds}s`);
+}
+
+function stop() {
+    if (timer) clearTimeout(timer);
+    timer = null;
+}
+
+module.exports = { start, stop, runOnce };
@@ -0,0 +1,878 @@
+/**
+ * Online Test Service
+ *
+ * Timed online tests for a class and subject, built from the question bank. The subject
+ * teacher (the subject's teacher in the class, or a teacher of its periods) drafts a test,
+ * publishes it and closes it; students of the class sit it between opensAt and closesAt.
+ *
+ * Each student gets their own paper: the questions (or questionsPerAttempt of them, drawn at
+ * random) in random order, with the options of MCQ and multi-select questions shuffled. The
+ * deadline is fixed on the server when the attempt starts: durationMinutes later, or closesAt
+ * if that comes first. Answers are accepted until the deadline plus a short grace for the
+ * request in flight; attempts left open past it are submitted with the answers saved so far.
+ *
+ * MCQ, multi-select (all or nothing) and numeric answers are graded on submission. Short
+ * answers wait for the teacher's marks. Once every attempt is graded, the scores can be
+ * posted to the linked exam paper's marks, scaled to its max marks.
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const OnlineTest = require('../models/OnlineTest');
+const OnlineTestAttempt = require('../models/OnlineTestAttempt');
+const Question = require('../models/Question');
+const ExamPaper = require('../models/ExamPaper');
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const examMarksService = require('./examMarksService');
+const { teachesSubject, loadTaughtSubjects } = require('./subjectService');
+const logger = require('../config/logger');
+require('../models'); // register associations used by the includes below
+
+const TEST_STATES = ['draft', 'published', 'closed'];
+
+const TEST_FIELDS = ['classId', 'subject', 'examPaperId', 'title', 'instructions', 'questionIds', 'questionsPerAttempt', 'shuffleOptions', 'durationMinutes', 'opensAt', 'closesAt'];
+
+// Fields that can still change once students may be sitting the test
+const LIVE_FIELDS = ['title', 'instructions', 'closesAt', 'examPaperId'];
+
+const MAX_DURATION_MINUTES = 600;
+
+const MAX_QUESTIONS = 200;
+
+// Allowance for an answer request sent just before the deadline
+const GRACE_SECONDS = 30;
+
+const MAX_SHORT_ANSWER_LENGTH = 2000;
+
+const studentName = (s) => s.studentName || [s.firstName, s.lastName].filter(Boolean).join(' ');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// ========== PURE HELPERS ==========
+
+/**
+ * Check the fields of a test (after merging updates into the stored test)
+ *
+ * @returns {Object} Normalized fields
+ */
+function validateTestFields(test) {
+    if (!test.title || !String(test.title).trim() || String(test.title).trim().length > 150) {
+        throw new Error('VALIDATION_ERROR: title must be 1-150 characters');
+    }
+    if (!test.subject || !String(test.subject).trim()) {
+        throw new Error('VALIDATION_ERROR: subject is required');
+    }
+    const duration = Number(test.durationMinutes);
+    if (!Number.isInteger(duration) || duration < 1 || duration > MAX_DURATION_MINUTES) {
+        throw new Error(`VALIDATION_ERROR: durationMinutes must be a whole number from 1 to ${MAX_DURATION_MINUTES}`);
+    }
+    const opensAt = new Date(test.opensAt);
+    const closesAt = new Date(test.closesAt);
+    if (Number.isNaN(opensAt.getTime()) || Number.isNaN(closesAt.getTime())) {
+        throw new Error('VALIDATION_ERROR: opensAt and closesAt must be date-times');
+    }
+    if (closesAt <= opensAt) {
+        throw new Error('VALIDATION_ERROR: closesAt must be after opensAt');
+    }
+    const ids = test.questionIds;
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_QUESTIONS) {
+        throw new Error(`VALIDATION_ERROR: questionIds must list 1-${MAX_QUESTIONS} questions`);
+    }
+    if (new Set(ids).size !== ids.length) {
+        throw new Error('VALIDATION_ERROR: questionIds cannot repeat a question');
+    }
+    const perAttempt = test.questionsPerAttempt === undefined || test.questionsPerAttempt === null ? null : Number(test.questionsPerAttempt);
+    if (perAttempt !== null && (!Number.isInteger(perAttempt) || perAttempt < 1 || perAttempt > ids.length)) {
+        throw new Error(`VALIDATION_ERROR: questionsPerAttempt must be from 1 to the number of questions (${ids.length})`);
+    }
+
+    return {
+        title: String(test.title).trim(),
+        subject: String(test.subject).trim(),
+        durationMinutes: duration,
+        opensAt,
+        closesAt,
+        questionIds: ids,
+        questionsPerAttempt: perAttempt === ids.length ? null : perAttempt,
+        shuffleOptions: test.shuffleOptions !== false
+    };
+}
+
+/**
+ * Fisher-Yates shuffle into a new array
+ *
+ * @param {Array} list
+ * @param {Function} randomInt - (n) => integer in [0, n)
+ */
+function shuffle(list, randomInt = crypto.randomInt) {
+    const copy = [...list];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = randomInt(i + 1);
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+/**
+ * Draw a student's paper: the questions (or questionsPerAttempt of them) in random order,
+ * with option orders for MCQ and multi-select questions
+ *
+ * @param {Array} questions - Questions of the test ({ id, questionType, options })
+ * @param {Object} test - { questionsPerAttempt, shuffleOptions }
+ * @returns {Array} [{ questionId, optionOrder }]
+ */
+function drawPaper(questions, test, randomInt = crypto.randomInt) {
+    const drawn = shuffle(questions, randomInt).slice(0, test.questionsPerAttempt || questions.length);
+    return drawn.map(q => {
+        const keys = Array.isArray(q.options) ? q.options.map(o => o.key) : null;
+        return { questionId: q.id, optionOrder: keys && test.shuffleOptions !== false ? shuffle(keys, randomInt) : keys };
+    });
+}
+
+/**
+ * When an attempt started now must end: after the test's duration, or when the test closes
+ */
+function attemptDeadline(startedAt, test) {
+    const end = new Date(new Date(startedAt).getTime() + Number(test.durationMinutes) * 60000);
+    const closesAt = new Date(test.closesAt);
+    return end < closesAt ? end : closesAt;
+}
+
+/**
+ * Check a student's answer to a question; null clears it
+ *
+ * @returns {*} The answer as stored
+ */
+function normalizeAnswer(question, answer) {
+    if (answer === null || answer === undefined || answer === '') return null;
+    const keys = Array.isArray(question.options) ? question.options.map(o => o.key) : [];
+
+    switch (question.questionType) {
+        case 'mcq':
+            if (!keys.includes(answer)) {
+                throw new Error(`VALIDATION_ERROR: The answer to question ${question.id} must be one of its option keys`);
+            }
+            return answer;
+        case 'multi_select':
+            if (!Array.isArray(answer) || !answer.every(k => keys.includes(k))) {
+                throw new Error(`VALIDATION_ERROR: The answer to question ${question.id} must be a list of its option keys`);
+            }
+            return keys.filter(k => answer.includes(k));
+        case 'numeric': {
+            const value = Number(answer);
+            if (typeof answer === 'boolean' || !Number.isFinite(value)) {
+                throw new Error(`VALIDATION_ERROR: The answer to question ${question.id} must be a number`);
+            }
+            return value;
+        }
+        default:
+            if (typeof answer !== 'string' || answer.length > MAX_SHORT_ANSWER_LENGTH) {
+                throw new Error(`VALIDATION_ERROR: The answer to question ${question.id} must be text of at most ${MAX_SHORT_ANSWER_LENGTH} characters`);
+            }
+            return answer.trim() || null;
+    }
+}
+
+/**
+ * Marks of an objective answer; null for a short answer, which the teacher marks
+ *
+ * @param {Object} question - { questionType, answer, marks }
+ * @param {*} given - The student's answer (normalized), or null
+ * @returns {Number|null}
+ */
+function gradeAnswer(question, given) {
+    const marks = Number(question.marks);
+    if (question.questionType === 'short_answer') return null;
+    if (given === null || given === undefined) return 0;
+
+    switch (question.questionType) {
+        case 'mcq':
+            return given === question.answer ? marks : 0;
+        case 'multi_select': {
+            const expected = [...question.answer].sort();
+            const chosen = [...given].sort();
+            return expected.length === chosen.length && expected.every((k, i) => k === chosen[i]) ? marks : 0;
+        }
+        default:
+            return Math.abs(Number(given) - Number(question.answer.value)) <= Number(question.answer.tolerance || 0) + 1e-9 ? marks : 0;
+    }
+}
+
+/**
+ * Score of an attempt from its paper, answers and the teacher's short-answer marks
+ *
+ * @param {Map} questionsById - questionId -> question
+ * @param {Array} paper - [{ questionId }]
+ * @param {Object} answers - { questionId: answer }
+ * @param {Object} reviewMarks - { questionId: marks } for short answers
+ * @returns {Object} { maxScore, autoScore, pendingReview, score, lines }
+ */
+function scoreAttempt(questionsById, paper, answers = {}, reviewMarks = {}) {
+    let maxScore = 0;
+    let autoScore = 0;
+    let reviewed = 0;
+    let pendingReview = 0;
+
+    const lines = paper.map(({ questionId }) => {
+        const question = questionsById.get(questionId);
+        const given = answers && answers[questionId] !== undefined ? answers[questionId] : null;
+        maxScore += Number(question.marks);
+
+        let marks = gradeAnswer(question, given);
+        if (marks === null) {
+            const review = reviewMarks ? reviewMarks[questionId] : undefined;
+            if (given === null) {
+                marks = 0;
+            } else if (review === undefined || review === null) {
+                pendingReview += 1;
+            } else {
+                marks = Number(review);
+                reviewed += marks;
+            }
+        } else {
+            autoScore += marks;
+        }
+        return { questionId, marks };
+    });
+
+    return {
+        maxScore: round2(maxScore),
+        autoScore: round2(autoScore),
+        pendingReview,
+        score: pendingReview ? null : round2(autoScore + reviewed),
+        lines
+    };
+}
+
+/**
+ * The student's view of a paper: questions in their order with options reordered, and
+ * without the answers unless asked for
+ */
+function paperView(questionsById, paper, { withAnswers = false } = {}) {
+    return paper.map(({ questionId, optionOrder }, i) => {
+        const q = questionsById.get(questionId);
+        const options = optionOrder ? optionOrder.map(key => q.options.find(o => o.key === key)) : null;
+        return {
+            number: i + 1,
+            questionId,
+            questionType: q.questionType,
+            text: q.text,
+            marks: Number(q.marks),
+            options,
+            ...(withAnswers ? { answer: q.answer } : {})
+        };
+    });
+}
+
+// ========== ACCESS ==========
+
+/**
+ * Whether a teacher takes the subject in the class (class subjects, or the timetable in classes
+ * without them); admins
+ * (access null) always do
+ *
+ * @param {Object} access - { teacherId } or null
+ */
+async function assertTeaches(tenantId, classId, subject, access) {
+    if (!access) return;
+    if (!(await teachesSubject(tenantId, { classId, subject, teacherId: access.teacherId }))) {
+        throw new Error(`INSUFFICIENT_PERMISSIONS: You do not teach ${subject} in this class`);
+    }
+}
+
+const loadTest = async (id, tenantId, access, transaction = null) => {
+    const test = await OnlineTest.findOne({
+        where: { id, tenantId },
+        include: [{ model: Class, as: 'class', attributes: ['id', 'className', 'section'] }],
+        transaction,
+        ...(transaction ? { lock: transaction.LOCK.UPDATE } : {})
+    });
+    if (!test) {
+        throw new Error('NOT_FOUND: Online test not found');
+    }
+    await assertTeaches(tenantId, test.classId, test.subject, access);
+    return test;
+};
+
+const loadQuestions = async (tenantId, ids, transaction = null) => {
+    const questions = ids.length ? await Question.findAll({ where: { tenantId, id: { [Op.in]: ids } }, transaction }) : [];
+    return new Map(questions.map(q => [q.id, q]));
+};
+
+/**
+ * Check the test's questions are in the bank and of its subject, and its exam paper matches
+ */
+async function checkTestSources(tenantId, fields, { requireActive }) {
+    const questions = await loadQuestions(tenantId, fields.questionIds);
+    fields.questionIds.forEach(id => {
+        const q = questions.get(id);
+        if (!q) {
+            throw new Error(`VALIDATION_ERROR: Question ${id} not found`);
+        }
+        if (q.subject !== fields.subject) {
+            throw new Error(`VALIDATION_ERROR: Question ${id} is a ${q.subject} question, not ${fields.subject}`);
+        }
+        if (requireActive && !q.isActive) {
+            throw new Error(`VALIDATION_ERROR: Question ${id} is retired`);
+        }
+    });
+
+    if (fields.examPaperId) {
+        const paper = await ExamPaper.findOne({ where: { id: fields.examPaperId, tenantId }, attributes: ['id', 'classId', 'subject'] });
+        if (!paper) {
+            throw new Error('VALIDATION_ERROR: Exam paper not found');
+        }
+        if (paper.classId !== fields.classId || paper.subject !== fields.subject) {
+            throw new Error('VALIDATION_ERROR: The exam paper must be of the same class and subject as the test');
+        }
+    }
+}
+
+// ========== TESTS ==========
+
+const testSummary = (test) => ({
+    id: test.id,
+    title: test.title,
+    subject: test.subject,
+    class: test.class ? { id: test.class.id, className: test.class.className, section: test.class.section } : { id: test.classId },
+    instructions: test.instructions,
+    durationMinutes: test.durationMinutes,
+    opensAt: test.opensAt,
+    closesAt: test.closesAt,
+    status: test.status
+});
+
+/**
+ * List tests, latest first. Teachers see the tests of the subjects they take in each class.
+ *
+ * @param {Object} filters - { classId, subject, status }
+ * @param {Object} access - { teacherId } or null
+ */
+async function listTests(tenantId, { classId, subject, status } = {}, access) {
+    const where = { tenantId };
+    if (classId) where.classId = classId;
+    if (subject) where.subject = subject;
+    if (status) where.status = status;
+
+    if (access) {
+        const taught = await loadTaughtSubjects(tenantId, access.teacherId);
+        if (taught.length === 0) return [];
+        where[Op.or] = taught.map(s => ({ classId: s.classId, subject: s.subject }));
+    }
+
+    return OnlineTest.findAll({
+        where,
+        include: [{ model: Class, as: 'class', attributes: ['id', 'className', 'section'] }],
+        order: [['opensAt', 'DESC'], ['createdAt', 'DESC']]
+    });
+}
+
+/**
+ * A test with its questions, answers included
+ */
+async function getTest(id, tenantId, access) {
+    const test = await loadTest(id, tenantId, access);
+    const questions = await loadQuestions(tenantId, test.questionIds);
+    return {
+        ...test.get({ plain: true }),
+        questions: test.questionIds.map(qid => questions.get(qid)).filter(Boolean)
+    };
+}
+
+async function createTest(tenantId, data, userId, access) {
+    const fields = { ...validateTestFields(data), classId: data.classId, examPaperId: data.examPaperId || null };
+    const cls = await Class.findOne({ where: { id: fields.classId, tenantId }, attributes: ['id'] });
+    if (!cls) {
+        throw new Error('VALIDATION_ERROR: Class not found');
+    }
+    await assertTeaches(tenantId, fields.classId, fields.subject, access);
+    await checkTestSources(tenantId, fields, { requireActive: true });
+
+    const test = await OnlineTest.create({
+        ...fields,
+        tenantId,
+        instructions: data.instructions || null,
+        status: 'draft',
+        createdBy: userId || null
+    });
+    logger.info(`[ONLINE_TEST] Test ${test.id} (${fields.subject}) drafted with ${fields.questionIds.length} question(s)`);
+    return test;
+}
+
+/**
+ * Update a test. Drafts change freely; once published only the title, instructions,
+ * closing time and exam paper can change.
+ */
+async function updateTest(id, tenantId, updates, access) {
+    const test = await loadTest(id, tenantId, access);
+
+    if (test.status !== 'draft') {
+        const locked = Object.keys(updates).filter(k => updates[k] !== undefined && !LIVE_FIELDS.includes(k));
+        if (locked.length > 0) {
+            throw new Error(`CONFLICT: A ${test.status} test only allows changes to ${LIVE_FIELDS.join(', ')}`);
+        }
+    }
+
+    const merged = { ...test.get({ plain: true }) };
+    TEST_FIELDS.forEach(k => { if (updates[k] !== undefined) merged[k] = updates[k]; });
+    const fields = { ...validateTestFields(merged), classId: merged.classId, examPaperId: merged.examPaperId || null };
+    if (fields.classId !== test.classId || fields.subject !== test.subject) {
+        await assertTeaches(tenantId, fields.classId, fields.subject, access);
+    }
+    await checkTestSources(tenantId, fields, { requireActive: test.status === 'draft' });
+
+    await test.update({ ...fields, instructions: merged.instructions || null });
+    return test;
+}
+
+/**
+ * Delete a test nobody has sat
+ */
+async function deleteTest(id, tenantId, access) {
+    const test = await loadTest(id, tenantId, access);
+    const attempts = await OnlineTestAttempt.count({ where: { tenantId, onlineTestId: test.id } });
+    if (attempts > 0) {
+        throw new Error(`CONFLICT: ${attempts} student(s) have sat this test; close it instead`);
+    }
+    await test.destroy();
+    return test;
+}
+
+/**
+ * Open a draft test to its class
+ */
+async function publishTest(id, tenantId, access) {
+    const test = await loadTest(id, tenantId, access);
+    if (test.status !== 'draft') {
+        throw new Error(`CONFLICT: The test is already ${test.status}`);
+    }
+    if (new Date(test.closesAt) <= new Date()) {
+        throw new Error('VALIDATION_ERROR: closesAt has passed; move it before publishing');
+    }
+    await checkTestSources(tenantId, test, { requireActive: true });
+
+    await test.update({ status: 'published' });
+    logger.info(`[ONLINE_TEST] Test ${test.id} published`);
+    return test;
+}
+
+// ========== ATTEMPTS ==========
+
+/**
+ * Submit an attempt with its saved answers and grade what can be graded
+ */
+async function finishAttempt(attempt, questionsById, submittedAt, transaction = null) {
+    const result = scoreAttempt(questionsById, attempt.paper, attempt.answers || {}, attempt.reviewMarks || {});
+    await attempt.update({
+        status: result.pendingReview ? 'submitted' : 'graded',
+        submittedAt,
+        autoScore: result.autoScore,
+        score: result.score
+    }, { transaction });
+    return result;
+}
+
+const isExpired = (attempt, now) => now.getTime() > new Date(attempt.deadlineAt).getTime() + GRACE_SECONDS * 1000;
+
+/**
+ * Submit the test's attempts whose time ran out while they were open
+ *
+ * @returns {Promise<Number>} Attempts submitted
+ */
+async function finishExpiredAttempts(tenantId, test, now = new Date(), { all = false } = {}) {
+    const open = await OnlineTestAttempt.findAll({ where: { tenantId, onlineTestId: test.id, status: 'in_progress' } });
+    const due = open.filter(a => all || isExpired(a, now));
+    if (due.length === 0) return 0;
+
+    const questions = await loadQuestions(tenantId, test.questionIds);
+    for (const attempt of due) {
+        await finishAttempt(attempt, questions, all && !isExpired(attempt, now) ? now : attempt.deadlineAt);
+    }
+    logger.info(`[ONLINE_TEST] Test ${test.id}: ${due.length} open attempt(s) submitted at the deadline`);
+    return due.length;
+}
+
+/**
+ * Close a test: no more attempts start, and open ones are submitted as they stand
+ */
+async function closeTest(id, tenantId, access) {
+    const test = await loadTest(id, tenantId, access);
+    if (test.status !== 'published') {
+        throw new Error(`CONFLICT: Only published tests can be closed (this one is ${test.status})`);
+    }
+    const finished = await finishExpiredAttempts(tenantId, test, new Date(), { all: true });
+    await test.update({ status: 'closed' });
+    return { test, attemptsSubmitted: finished };
+}
+
+const attemptSummary = (attempt, student) => ({
+    id: attempt.id,
+    studentId: attempt.studentId,
+    ...(student ? { admissionNo: student.admissionNo, rollNumber: student.rollNumber, name: studentName(student) } : {}),
+    status: attempt.status,
+    startedAt: attempt.startedAt,
+    deadlineAt: attempt.deadlineAt,
+    submittedAt: attempt.submittedAt,
+    maxScore: Number(attempt.maxScore),
+    autoScore: attempt.autoScore === null ? null : Number(attempt.autoScore),
+    score: attempt.score === null ? null : Number(attempt.score)
+});
+
+/**
+ * Results of a test: every student of the class with their attempt, if any
+ *
+ * @returns {Promise<Object>} { test, summary, students }
+ */
+async function listAttempts(id, tenantId, access) {
+    const test = await loadTest(id, tenantId, access);
+    await finishExpiredAttempts(tenantId, test);
+
+    const [students, attempts] = await Promise.all([
+        Student.findAll({
+            where: { tenantId, classId: test.classId, status: 'active' },
+            attributes: ['id', 'admissionNo', 'rollNumber', 'firstName', 'lastName', 'studentName'],
+            order: [['rollNumber', 'ASC'], ['firstName', 'ASC'], ['lastName', 'ASC']]
+        }),
+        OnlineTestAttempt.findAll({ where: { tenantId, onlineTestId: test.id } })
+    ]);
+    const byStudent = new Map(attempts.map(a => [a.studentId, a]));
+
+    const summary = { students: students.length, notStarted: 0, in_progress: 0, submitted: 0, graded: 0 };
+    const rows = students.map(s => {
+        const attempt = byStudent.get(s.id);
+        if (!attempt) {
+            summary.notStarted += 1;
+            return { studentId: s.id, admissionNo: s.admissionNo, rollNumber: s.rollNumber, name: studentName(s), status: 'not_started' };
+        }
+        summary[attempt.status] += 1;
+        return attemptSummary(attempt, s);
+    });
+
+    return { test: testSummary(test), summary, students: rows };
+}
+
+/**
+ * A student's attempt with their answers, for the teacher marking short answers
+ */
+async function getAttemptForReview(testId, attemptId, tenantId, access) {
+    const test = await loadTest(testId, tenantId, access);
+    const attempt = await OnlineTestAttempt.findOne({ where: { id: attemptId, tenantId, onlineTestId: test.id } });
+    if (!attempt) {
+        throw new Error('NOT_FOUND: Attempt not found');
+    }
+    const questions = await loadQuestions(tenantId, test.questionIds);
+    const result = scoreAttempt(questions, attempt.paper, attempt.answers || {}, attempt.reviewMarks || {});
+    const marks = new Map(result.lines.map(l => [l.questionId, l.marks]));
+
+    return {
+        ...attemptSummary(attempt),
+        pendingReview: result.pendingReview,
+        questions: paperView(questions, attempt.paper, { withAnswers: true }).map(q => ({
+            ...q,
+            given: attempt.answers ? attempt.answers[q.questionId] ?? null : null,
+            awarded: marks.get(q.questionId)
+        }))
+    };
+}
+
+/**
+ * Mark the short answers of a submitted attempt. The attempt is graded once every short
+ * answer has marks; changed marks reach the exam marks when the scores are posted again.
+ *
+ * @param {Array} entries - [{ questionId, marks }]
+ */
+async function reviewAttempt(testId, attemptId, tenantId, entries, userId, access) {
+    return sequelize.transaction(async (transaction) => {
+        const test = await loadTest(testId, tenantId, access, transaction);
+        const attempt = await OnlineTestAttempt.findOne({
+            where: { id: attemptId, tenantId, onlineTestId: test.id },
+            transaction,
+            lock: transaction.LOCK.UPDATE
+        });
+        if (!attempt) {
+            throw new Error('NOT_FOUND: Attempt not found');
+        }
+        if (attempt.status === 'in_progress') {
+            throw new Error('CONFLICT: The student is still writing this test');
+        }
+
+        const questions = await loadQuestions(tenantId, test.questionIds, transaction);
+        const onPaper = new Set(attempt.paper.map(p => p.questionId));
+        const reviewMarks = { ...(attempt.reviewMarks || {}) };
+        entries.forEach((entry, i) => {
+            const question = questions.get(entry.questionId);
+            if (!question || !onPaper.has(entry.questionId)) {
+                throw new Error(`VALIDATION_ERROR: entries[${i}]: question is not on this student's paper`);
+            }
+            if (question.questionType !== 'short_answer') {
+                throw new Error(`VALIDATION_ERROR: entries[${i}]: only short answers are marked by hand`);
+            }
+            const marks = Number(entry.marks);
+            if (!Number.isFinite(marks) || marks < 0 || marks > Number(question.marks)) {
+                throw new Error(`VALIDATION_ERROR: entries[${i}]: marks must be between 0 and ${Number(question.marks)}`);
+            }
+            reviewMarks[entry.questionId] = marks;
+        });
+
+        attempt.reviewMarks = reviewMarks;
+        attempt.reviewedBy = userId || null;
+        const result = await finishAttempt(attempt, questions, attempt.submittedAt, transaction);
+        return { ...attemptSummary(attempt), pendingReview: result.pendingReview };
+    });
+}
+
+/**
+ * Post the test's scores to the linked exam paper, scaled to its max marks, through the
+ * marks sheet (so moderated papers stay locked). Every attempt must be graded; students who
+ * did not sit the test are left for the marks sheet.
+ *
+ * @returns {Promise<Object>} { paperId, posted, notAttempted, marksStatus, summary }
+ */
+async function postMarks(id, tenantId, userId, access) {
+    const test = await loadTest(id, tenantId, access);
+    if (!test.examPaperId) {
+        throw new Error('VALIDATION_ERROR: Link the test to an exam paper before posting its scores');
+    }
+    await finishExpiredAttempts(tenantId, test);
+
+    const attempts = await OnlineTestAttempt.findAll({ where: { tenantId, onlineTestId: test.id } });
+    const writing = attempts.filter(a => a.status === 'in_progress').length;
+    if (writing > 0) {
+        throw new Error(`VALIDATION_ERROR: ${writing} student(s) are still writing; close the test first`);
+    }
+    const unmarked = attempts.filter(a => a.status === 'submitted').length;
+    if (unmarked > 0) {
+        throw new Error(`VALIDATION_ERROR: ${unmarked} attempt(s) have short answers to mark`);
+    }
+    if (attempts.length === 0) {
+        throw new Error('VALIDATION_ERROR: Nobody has sat this test');
+    }
+
+    const paper = await ExamPaper.findOne({ where: { id: test.examPaperId, tenantId }, attributes: ['id', 'examId', 'maxMarks'] });
+    if (!paper) {
+        throw new Error('NOT_FOUND: Exam paper not found');
+    }
+    const entries = attempts.map(a => ({
+        studentId: a.studentId,
+        marksObtained: Number(a.maxScore) > 0 ? round2((Number(a.score) / Number(a.maxScore)) * Number(paper.maxMarks)) : 0
+    }));
+
+    const result = await examMarksService.saveMarks(tenantId, paper.examId, paper.id, { entries }, userId, access);
+    await test.update({ marksPostedAt: new Date() });
+    logger.info(`[ONLINE_TEST] Test ${test.id}: ${entries.length} score(s) posted to exam paper ${paper.id}`);
+    return {
+        paperId: paper.id,
+        posted: entries.length,
+        notAttempted: result.summary.pending,
+        marksStatus: result.marksStatus,
+        summary: result.summary
+    };
+}
+
+// ========== STUDENTS ==========
+
+/**
+ * Published and closed tests of the student's class with their own attempt
+ *
+ * @param {Object} student - { id, classId }
+ */
+async function listStudentTests(tenantId, student) {
+    const tests = await OnlineTest.findAll({
+        where: { tenantId, classId: student.classId, status: { [Op.in]: ['published', 'closed'] } },
+        include: [{ model: Class, as: 'class', attributes: ['id', 'className', 'section'] }],
+        order: [['opensAt', 'DESC']]
+    });
+    const attempts = tests.length ? await OnlineTestAttempt.findAll({
+        where: { tenantId, studentId: student.id, onlineTestId: { [Op.in]: tests.map(t => t.id) } }
+    }) : [];
+    const byTest = new Map(attempts.map(a => [a.onlineTestId, a]));
+
+    return tests.map(t => ({
+        ...testSummary(t),
+        attempt: byTest.has(t.id) ? studentAttemptSummary(byTest.get(t.id), t) : null
+    }));
+}
+
+/**
+ * An attempt as its student sees it: no scores until the test is closed, so early finishers
+ * cannot tell classmates still sitting it which answers were right
+ */
+const studentAttemptSummary = (attempt, test) => {
+    const resultsOut = test.status === 'closed' && attempt.status === 'graded';
+    return {
+        ...attemptSummary(attempt),
+        autoScore: resultsOut ? Number(attempt.autoScore) : null,
+        score: resultsOut ? Number(attempt.score) : null
+    };
+};
+
+/**
+ * The student's view of an attempt: the paper without answers while it runs, and their score,
+ * the marks of each question and the correct answers once graded and the test is closed
+ */
+async function attemptView(tenantId, attempt, test, now = new Date()) {
+    const questions = await loadQuestions(tenantId, test.questionIds);
+    const showAnswers = test.status === 'closed' && attempt.status === 'graded';
+    const result = showAnswers ? scoreAttempt(questions, attempt.paper, attempt.answers || {}, attempt.reviewMarks || {}) : null;
+    const marks = result ? new Map(result.lines.map(l => [l.questionId, l.marks])) : null;
+
+    return {
+        ...studentAttemptSummary(attempt, test),
+        test: testSummary(test),
+        secondsLeft: attempt.status === 'in_progress' ? Math.max(0, Math.floor((new Date(attempt.deadlineAt) - now) / 1000)) : 0,
+        answers: attempt.answers || {},
+        questions: paperView(questions, attempt.paper, { withAnswers: showAnswers })
+            .map(q => (marks ? { ...q, awarded: marks.get(q.questionId) } : q))
+    };
+}
+
+const loadOwnAttempt = async (tenantId, attemptId, student, transaction = null) => {
+    const attempt = await OnlineTestAttempt.findOne({
+        where: { id: attemptId, tenantId, studentId: student.id },
+        include: [{ model: OnlineTest, as: 'test', include: [{ model: Class, as: 'class', attributes: ['id', 'className', 'section'] }] }],
+        transaction,
+        ...(transaction ? { lock: transaction.LOCK.UPDATE } : {})
+    });
+    if (!attempt) {
+        throw new Error('NOT_FOUND: Attempt not found');
+    }
+    return attempt;
+};
+
+/**
+ * Start the test, or resume the student's attempt
+ *
+ * @param {Object} student - { id, classId }
+ */
+async function startAttempt(tenantId, testId, student, now = new Date()) {
+    const test = await OnlineTest.findOne({
+        where: { id: testId, tenantId, classId: student.classId, status: { [Op.in]: ['published', 'closed'] } },
+        include: [{ model: Class, as: 'class', attributes: ['id', 'className', 'section'] }]
+    });
+    if (!test) {
+        throw new Error('NOT_FOUND: Online test not found');
+    }
+
+    let attempt = await OnlineTestAttempt.findOne({ where: { tenantId, onlineTestId: test.id, studentId: student.id } });
+    if (!attempt) {
+        if (test.status !== 'published' || now < new Date(test.opensAt) || now >= new Date(test.closesAt)) {
+            throw new Error(`CONFLICT: The test is open from ${new Date(test.opensAt).toISOString()} to ${new Date(test.closesAt).toISOString()}`);
+        }
+        const questions = await loadQuestions(tenantId, test.questionIds);
+        const paper = drawPaper(test.questionIds.map(id => questions.get(id)).filter(Boolean), test);
+        try {
+            attempt = await OnlineTestAttempt.create({
+                tenantId,
+                onlineTestId: test.id,
+                studentId: student.id,
+                paper,
+                answers: {},
+                status: 'in_progress',
+                startedAt: now,
+                deadlineAt: attemptDeadline(now, test),
+                maxScore: scoreAttempt(questions, paper).maxScore
+            });
+            logger.info(`[ONLINE_TEST] Student ${student.id} started test ${test.id}`);
+        } catch (err) {
+            // A second start request (another tab) raced this one
+            if (err.name !== 'SequelizeUniqueConstraintError') throw err;
+            attempt = await OnlineTestAttempt.findOne({ where: { tenantId, onlineTestId: test.id, studentId: student.id } });
+        }
+    } else if (attempt.status === 'in_progress' && isExpired(attempt, now)) {
+        await finishAttempt(attempt, await loadQuestions(tenantId, test.questionIds), attempt.deadlineAt);
+    }
+
+    return attemptView(tenantId, attempt, test, now);
+}
+
+async function getStudentAttempt(tenantId, attemptId, student, now = new Date()) {
+    const attempt = await loadOwnAttempt(tenantId, attemptId, student);
+    if (attempt.status === 'in_progress' && isExpired(attempt, now)) {
+        await finishAttempt(attempt, await loadQuestions(tenantId, attempt.test.questionIds), attempt.deadlineAt);
+    }
+    return attemptView(tenantId, attempt, attempt.test, now);
+}
+
+/**
+ * Save answers (merged into those saved before) while time is left
+ *
+ * @param {Object} answers - { questionId: answer }, null clears one
+ */
+async function saveAnswers(tenantId, attemptId, answers, student, now = new Date()) {
+    return sequelize.transaction(async (transaction) => {
+        const attempt = await loadOwnAttempt(tenantId, attemptId, student, transaction);
+        if (attempt.status !== 'in_progress') {
+            throw new Error('CONFLICT: This attempt has been submitted');
+        }
+        if (isExpired(attempt, now)) {
+            throw new Error('CONFLICT: Time is up; answers can no longer be changed');
+        }
+
+        const questions = await loadQuestions(tenantId, attempt.test.questionIds, transaction);
+        const onPaper = new Set(attempt.paper.map(p => p.questionId));
+        const saved = { ...(attempt.answers || {}) };
+        Object.entries(answers).forEach(([questionId, answer]) => {
+            if (!onPaper.has(questionId)) {
+                throw new Error(`VALIDATION_ERROR: Question ${questionId} is not on your paper`);
+            }
+            const value = normalizeAnswer(questions.get(questionId), answer);
+            if (value === null) delete saved[questionId];
+            else saved[questionId] = value;
+        });
+
+        await attempt.update({ answers: saved }, { transaction });
+        return {
+            id: attempt.id,
+            answered: Object.keys(saved).length,
+            questions: attempt.paper.length,
+            secondsLeft: Math.max(0, Math.floor((new Date(attempt.deadlineAt) - now) / 1000))
+        };
+    });
+}
+
+/**
+ * Hand in the attempt; objective answers are graded straight away
+ */
+async function submitAttempt(tenantId, attemptId, student, now = new Date()) {
+    const attempt = await sequelize.transaction(async (transaction) => {
+        const own = await loadOwnAttempt(tenantId, attemptId, student, transaction);
+        if (own.status !== 'in_progress') {
+            throw new Error('CONFLICT: This attempt has already been submitted');
+        }
+        const questions = await loadQuestions(tenantId, own.test.questionIds, transaction);
+        await finishAttempt(own, questions, isExpired(own, now) ? own.deadlineAt : now, transaction);
+        return own;
+    });
+    logger.info(`[ONLINE_TEST] Student ${student.id} submitted test ${attempt.onlineTestId}`);
+    return attemptView(tenantId, attempt, attempt.test, now);
+}
+
+module.exports = {
+    TEST_STATES,
+    GRACE_SECONDS,
+    validateTestFields,
+    shuffle,
+    drawPaper,
+    attemptDeadline,
+    normalizeAnswer,
+    gradeAnswer,
+    scoreAttempt,
+    paperView,
+    listTests,
+    getTest,
+    createTest,
+    updateTest,
+    deleteTest,
+    publishTest,
+    closeTest,
+    listAttempts,
+    getAttemptForReview,
+    reviewAttempt,
+    postMarks,
+    listStudentTests,
+    startAttempt,
+    getStudentAttempt,
+    saveAnswers,
+    submitAttempt
+};
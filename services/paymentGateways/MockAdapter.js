@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const PaymentGatewayAdapter = require('./PaymentGatewayAdapter');
+
+const DEFAULT_SECRET = 'mock_key_secret';
+const DEFAULT_WEBHOOK_SECRET = 'mock_webhook_secret';
+
+// Process-local record of simulated payments, used by fetchSettlements
+const settledPayments = [];
+
+/**
+ * MockAdapter
+ *
+ * Local provider for development and tests: no network, Razorpay-compatible signatures.
+ * simulatePayment() plays the part of the checkout page and the gateway's webhook sender.
+ */
+class MockAdapter extends PaymentGatewayAdapter {
+    get keySecret() {
+        return this.credentials.keySecret || DEFAULT_SECRET;
+    }
+
+    get webhookSecret() {
+        return this.credentials.webhookSecret || DEFAULT_WEBHOOK_SECRET;
+    }
+
+    async createOrder({ amount, currency }) {
+        const providerOrderId = `mock_order_${crypto.randomBytes(8).toString('hex')}`;
+        return {
+            providerOrderId,
+            checkout: { key: this.credentials.keyId || 'mock_key', orderId: providerOrderId, amount, currency }
+        };
+    }
+
+    verifyPaymentSignature({ providerOrderId, providerPaymentId, signature }) {
+        return PaymentGatewayAdapter.hmacMatches(this.keySecret, `${providerOrderId}|${providerPaymentId}`, signature);
+    }
+
+    verifyWebhookSignature(rawBody, headers) {
+        return PaymentGatewayAdapter.hmacMatches(this.webhookSecret, rawBody, headers['x-mock-signature']);
+    }
+
+    parseWebhookEvent(body) {
+        return {
+            eventId: body.id,
+            type: body.event === 'payment.captured' ? 'paid' : body.event === 'payment.failed' ? 'failed' : 'ignored',
+            providerOrderId: body.orderId,
+            providerPaymentId: body.paymentId,
+            amount: body.amount,
+            reason: body.reason || null
+        };
+    }
+
+    async fetchSettlements({ from, to }) {
+        return settledPayments.filter(p => {
+            const day = p.settledAt.toISOString().slice(0, 10);
+            return day >= from && day <= to;
+        });
+    }
+
+    /**
+     * Pay an order as the checkout page would
+     * @param {String} providerOrderId - Order returned by createOrder
+     * @param {Number} amount - Amount in minor units
+     * @returns {Object} { providerPaymentId, signature, webhook: { rawBody, headers } }
+     */
+    simulatePayment(providerOrderId, amount) {
+        const providerPaymentId = `mock_pay_${crypto.randomBytes(8).toString('hex')}`;
+        const signature = crypto.createHmac('sha256', this.keySecret).update(`${providerOrderId}|${providerPaymentId}`).digest('hex');
+
+        const rawBody = JSON.stringify({
+            id: `mock_evt_${crypto.randomBytes(8).toString('hex')}`,
+            event: 'payment.captured',
+            orderId: providerOrderId,
+            paymentId: providerPaymentId,
+            amount
+        });
+        const webhookSignature = crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+
+        settledPayments.push({
+            settlementId: `mock_setl_${new Date().toISOString().slice(0, 10).replace(/-/g, '')}`,
+            providerOrderId,
+            providerPaymentId,
+            amount,
+            fee: 0,
+            settledAt: new Date()
+        });
+
+        return { providerPaymentId, signature, webhook: { rawBody, headers: { 'x-mock-signature': webhookSignature } } };
+    }
+}
+
+module.exports = MockAdapter;
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+
+/**
+ * PaymentGatewayAdapter
+ *
+ * Interface every payment gateway adapter implements. paymentService only talks to this
+ * interface, so adding a provider means adding an adapter and registering it in ./index.js.
+ *
+ * Amounts crossing this interface are integers in the currency's minor unit (paise).
+ *
+ * Normalized webhook event:
+ *   { eventId, type: 'paid' | 'failed' | 'ignored', providerOrderId, providerPaymentId, amount, reason }
+ *
+ * Normalized settlement entry:
+ *   { settlementId, providerOrderId, providerPaymentId, amount, fee, settledAt }
+ */
+class PaymentGatewayAdapter {
+    /**
+     * @param {Object} credentials - Decrypted tenant credentials { keyId, keySecret, webhookSecret, mode }
+     */
+    constructor(credentials = {}) {
+        this.credentials = credentials;
+    }
+
+    /**
+     * Create an order at the gateway
+     * @param {Object} params - { amount, currency, receipt, notes }
+     * @returns {Promise<Object>} { providerOrderId, checkout } - checkout is handed to the client SDK
+     */
+    async createOrder(params) {
+        throw new Error(`${this.constructor.name}.createOrder is not implemented`);
+    }
+
+    /**
+     * Verify the signature the client receives from checkout after paying
+     * @param {Object} params - { providerOrderId, providerPaymentId, signature }
+     * @returns {Boolean}
+     */
+    verifyPaymentSignature(params) {
+        throw new Error(`${this.constructor.name}.verifyPaymentSignature is not implemented`);
+    }
+
+    /**
+     * Verify a webhook request against the raw body
+     * @param {Buffer|String} rawBody - Body exactly as received
+     * @param {Object} headers - Lower-cased request headers
+     * @returns {Boolean}
+     */
+    verifyWebhookSignature(rawBody, headers) {
+        throw new Error(`${this.constructor.name}.verifyWebhookSignature is not implemented`);
+    }
+
+    /**
+     * Normalize a verified webhook payload
+     * @param {Object} body - Parsed webhook body
+     * @param {Object} headers - Lower-cased request headers
+     * @returns {Object} Normalized webhook event
+     */
+    parseWebhookEvent(body, headers) {
+        throw new Error(`${this.constructor.name}.parseWebhookEvent is not implemented`);
+    }
+
+    /**
+     * List settled payments between two dates (inclusive)
+     * @param {Object} range - { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD' }
+     * @returns {Promise<Array>} Normalized settlement entries
+     */
+    async fetchSettlements(range) {
+        throw new Error(`${this.constructor.name}.fetchSettlements is not implemented`);
+    }
+
+    /**
+     * Constant-time comparison of an expected HMAC-SHA256 hex digest with a received one
+     */
+    static hmacMatches(secret, payload, received) {
+        if (!secret || !received) return false;
+        const expected = crypto.createHmac('sha256', secret).update(payload).digest('hex');
+        const a = Buffer.from(expected);
+        const b = Buffer.from(String(received));
+        return a.length === b.length && crypto.timingSafeEqual(a, b);
+    }
+}
+
+module.exports = PaymentGatewayAdapter;
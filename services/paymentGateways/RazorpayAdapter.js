@@ -0,0 +1,105 @@
+const PaymentGatewayAdapter = require('./PaymentGatewayAdapter');
+
+const API_BASE = 'https://api.razorpay.com/v1';
+
+// Razorpay caps reconciliation pages at 1000 entries
+const RECON_PAGE_SIZE = 1000;
+
+// Keeps a reconciliation run bounded (one API call per day in the range)
+const MAX_RECON_DAYS = 31;
+
+/**
+ * RazorpayAdapter
+ *
+ * Orders API + checkout signature (HMAC of "order_id|payment_id" with the key secret),
+ * webhooks signed with the webhook secret, and the settlement recon report.
+ */
+class RazorpayAdapter extends PaymentGatewayAdapter {
+    async request(method, path, body = null) {
+        const { keyId, keySecret } = this.credentials;
+        const response = await fetch(`${API_BASE}${path}`, {
+            method,
+            headers: {
+                Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`,
+                'Content-Type': 'application/json'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const description = data.error && data.error.description ? data.error.description : `HTTP ${response.status}`;
+            throw new Error(`Razorpay ${method} ${path} failed: ${description}`);
+        }
+        return data;
+    }
+
+    async createOrder({ amount, currency, receipt, notes }) {
+        const order = await this.request('POST', '/orders', {
+            amount,
+            currency,
+            receipt: String(receipt).slice(0, 40),
+            notes
+        });
+
+        return {
+            providerOrderId: order.id,
+            checkout: { key: this.credentials.keyId, orderId: order.id, amount, currency }
+        };
+    }
+
+    verifyPaymentSignature({ providerOrderId, providerPaymentId, signature }) {
+        return PaymentGatewayAdapter.hmacMatches(this.credentials.keySecret, `${providerOrderId}|${providerPaymentId}`, signature);
+    }
+
+    verifyWebhookSignature(rawBody, headers) {
+        return PaymentGatewayAdapter.hmacMatches(this.credentials.webhookSecret, rawBody, headers['x-razorpay-signature']);
+    }
+
+    parseWebhookEvent(body, headers) {
+        const payment = body.payload && body.payload.payment ? body.payload.payment.entity : null;
+        const event = {
+            eventId: headers['x-razorpay-event-id'] || (payment ? `${body.event}:${payment.id}` : null),
+            type: 'ignored',
+            providerOrderId: payment ? payment.order_id : null,
+            providerPaymentId: payment ? payment.id : null,
+            amount: payment ? payment.amount : null,
+            reason: null
+        };
+
+        if (body.event === 'payment.captured' || body.event === 'order.paid') {
+            event.type = 'paid';
+        } else if (body.event === 'payment.failed') {
+            event.type = 'failed';
+            event.reason = payment ? payment.error_description : null;
+        }
+        return event;
+    }
+
+    async fetchSettlements({ from, to }) {
+        const entries = [];
+        const day = new Date(`${from}T00:00:00Z`);
+        const end = new Date(`${to}T00:00:00Z`);
+
+        for (let i = 0; day <= end && i < MAX_RECON_DAYS; i++) {
+            const query = `year=${day.getUTCFullYear()}&month=${day.getUTCMonth() + 1}&day=${day.getUTCDate()}`;
+            for (let skip = 0; ; skip += RECON_PAGE_SIZE) {
+                const page = await this.request('GET', `/settlements/recon/combined?${query}&count=${RECON_PAGE_SIZE}&skip=${skip}`);
+                const items = page.items || [];
+                items.filter(item => item.type === 'payment').forEach(item => entries.push({
+                    settlementId: item.settlement_id,
+                    providerOrderId: item.order_id,
+                    providerPaymentId: item.entity_id,
+                    amount: item.amount,
+                    fee: item.fee || 0,
+                    settledAt: item.settled_at ? new Date(item.settled_at * 1000) : null
+                }));
+                if (items.length < RECON_PAGE_SIZE) break;
+            }
+            day.setUTCDate(day.getUTCDate() + 1);
+        }
+        return entries;
+    }
+}
+
+module.exports = RazorpayAdapter;
@@ -0,0 +1,37 @@
+/**
+ * Payment gateway adapter registry
+ *
+ * Maps a provider key (stored on PaymentGatewayConfig / PaymentOrder) to its adapter class.
+ */
+const RazorpayAdapter = require('./RazorpayAdapter');
+const MockAdapter = require('./MockAdapter');
+
+const ADAPTERS = {
+    razorpay: RazorpayAdapter,
+    mock: MockAdapter
+};
+
+// The mock provider settles nothing real, so it is never offered in production
+const isProviderEnabled = (provider) => Boolean(ADAPTERS[provider]) &&
+    (provider !== 'mock' || process.env.NODE_ENV !== 'production');
+
+const SUPPORTED_PROVIDERS = Object.keys(ADAPTERS);
+
+/**
+ * Build an adapter for a provider
+ * @param {String} provider - Provider key
+ * @param {Object} credentials - Decrypted credentials { keyId, keySecret, webhookSecret, mode }
+ * @returns {PaymentGatewayAdapter}
+ */
+function getAdapter(provider, credentials = {}) {
+    if (!isProviderEnabled(provider)) {
+        throw new Error(`VALIDATION_ERROR: Unsupported payment provider: ${provider}`);
+    }
+    return new ADAPTERS[provider](credentials);
+}
+
+module.exports = {
+    SUPPORTED_PROVIDERS,
+    isProviderEnabled,
+    getAdapter
+};
@@ -1,2 +1,372 @@
-// Placeholder service: paymentService.js
-module.exports = {};
+/**
+ * Payment Service
+ *
+ * Provider-agnostic online fee payments. Talks to gateways only through the adapter
+ * interface in ./paymentGateways, so the flow below is the same for every provider:
+ *
+ *   createOrder  -> client pays through the gateway checkout
+ *   verifyPayment (signed callback from the client) and/or handleWebhook (signed, server to server)
+ *      -> markOrderPaid writes one `online` FeePayment per allocated fee (idempotent)
+ *   reconcileSettlements -> matches gateway settlements to orders, recovering missed callbacks
+ *
+ * Gateway credentials are stored per tenant in payment_gateway_configs, secrets encrypted.
+ */
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../config/logger');
+const PaymentGatewayConfig = require('../models/PaymentGatewayConfig');
+const PaymentOrder = require('../models/PaymentOrder');
+const PaymentWebhookEvent = require('../models/PaymentWebhookEvent');
+const StudentFee = require('../models/StudentFee');
+const feePaymentService = require('./feePaymentService');
+const { getAdapter, isProviderEnabled, SUPPORTED_PROVIDERS } = require('./paymentGateways');
+const { encryptSecret, decryptSecret, maskSecret } = require('../utils/credentialCipher');
+const { toCents, fromCents } = require('../utils/feeStatus');
+
+const DEFAULT_CURRENCY = 'INR';
+
+// ========== GATEWAY CONFIGURATION ==========
+
+/**
+ * Shape a config for API responses: secrets are never returned, only whether they are set
+ */
+const toPublicConfig = (config) => ({
+    id: config.id,
+    provider: config.provider,
+    keyId: config.keyId ? maskSecret(config.keyId) : null,
+    keySecretSet: Boolean(config.keySecret),
+    webhookSecretSet: Boolean(config.webhookSecret),
+    mode: config.mode,
+    isActive: config.isActive,
+    webhookPath: `/api/payments/webhooks/${config.provider}/${config.tenantId}`,
+    updatedAt: config.updatedAt
+});
+
+const credentialsOf = (config) => ({
+    keyId: config.keyId,
+    keySecret: decryptSecret(config.keySecret),
+    webhookSecret: decryptSecret(config.webhookSecret),
+    mode: config.mode
+});
+
+async function listGatewayConfigs(tenantId) {
+    const configs = await PaymentGatewayConfig.findAll({ where: { tenantId }, order: [['provider', 'ASC']] });
+    return {
+        providers: SUPPORTED_PROVIDERS.filter(isProviderEnabled),
+        gateways: configs.map(toPublicConfig)
+    };
+}
+
+/**
+ * Create or update a tenant's credentials for a provider.
+ * Secrets left undefined keep their stored value; null clears them.
+ */
+async function upsertGatewayConfig(tenantId, provider, data) {
+    if (!isProviderEnabled(provider)) {
+        throw new Error(`VALIDATION_ERROR: Unsupported payment provider: ${provider}`);
+    }
+
+    const fields = {};
+    if (data.keyId !== undefined) fields.keyId = data.keyId || null;
+    if (data.keySecret !== undefined) fields.keySecret = encryptSecret(data.keySecret);
+    if (data.webhookSecret !== undefined) fields.webhookSecret = encryptSecret(data.webhookSecret);
+    if (data.mode !== undefined) fields.mode = data.mode;
+    if (data.isActive !== undefined) fields.isActive = data.isActive;
+
+    const existing = await PaymentGatewayConfig.findOne({ where: { tenantId, provider } });
+    const config = existing
+        ? await existing.update(fields)
+        : await PaymentGatewayConfig.create({ tenantId, provider, ...fields });
+
+    logger.info(`[PAYMENT_GATEWAY] ${provider} credentials ${existing ? 'updated' : 'added'} for tenant ${tenantId}`);
+    return toPublicConfig(config);
+}
+
+/**
+ * Resolve the gateway to use: the requested provider, or the tenant's only active one
+ */
+async function resolveGateway(tenantId, provider = null) {
+    const where = { tenantId, isActive: true };
+    if (provider) where.provider = provider;
+
+    const configs = await PaymentGatewayConfig.findAll({ where });
+    if (configs.length === 0) {
+        throw new Error(`VALIDATION_ERROR: No active payment gateway${provider ? ` for ${provider}` : ''} is configured`);
+    }
+    if (configs.length > 1) {
+        throw new Error('VALIDATION_ERROR: Several payment gateways are active; specify provider');
+    }
+
+    const config = configs[0];
+    return { config, adapter: getAdapter(config.provider, credentialsOf(config)) };
+}
+
+// ========== ORDERS ==========
+
+/**
+ * Create a gateway order for one or more fees
+ *
+ * @param {String} tenantId - Tenant of the caller
+ * @param {Array} fees - StudentFee rows, already RLS-checked by the caller
+ * @param {Object} options - { provider, amounts: { [studentFeeId]: amount } } (default: full outstanding)
+ * @param {String} userId - User paying / initiating
+ * @returns {Promise<Object>} { order, checkout }
+ */
+async function createOrder(tenantId, fees, { provider = null, amounts = {} } = {}, userId = null) {
+    if (!fees || fees.length === 0) {
+        throw new Error('VALIDATION_ERROR: At least one fee is required');
+    }
+
+    const allocations = fees.map(fee => {
+        const outstanding = toCents(fee.amount) - toCents(fee.paidAmount);
+        const requested = amounts[fee.id] !== undefined ? toCents(amounts[fee.id]) : outstanding;
+        if (outstanding <= 0) {
+            throw new Error(`CONFLICT: Fee ${fee.id} is already fully paid`);
+        }
+        if (requested <= 0 || requested > outstanding) {
+            throw new Error(`VALIDATION_ERROR: Amount for fee ${fee.id} must be between 0.01 and ${fromCents(outstanding)}`);
+        }
+        return { studentFeeId: fee.id, studentId: fee.studentId, amount: fromCents(requested) };
+    });
+    const totalCents = allocations.reduce((sum, a) => sum + toCents(a.amount), 0);
+
+    const { config, adapter } = await resolveGateway(tenantId, provider);
+
+    const id = crypto.randomUUID();
+    const { providerOrderId, checkout } = await adapter.createOrder({
+        amount: totalCents,
+        currency: DEFAULT_CURRENCY,
+        receipt: id,
+        notes: { tenantId, orderId: id }
+    });
+
+    const order = await PaymentOrder.create({
+        id,
+        tenantId,
+        provider: config.provider,
+        providerOrderId,
+        amount: fromCents(totalCents),
+        currency: DEFAULT_CURRENCY,
+        allocations,
+        status: 'created',
+        createdBy: userId
+    });
+
+    logger.info(`[PAYMENT_ORDER] ${config.provider} order ${providerOrderId} created for ${allocations.length} fees (${order.amount})`);
+    return { order, checkout: { provider: config.provider, ...checkout } };
+}
+
+async function getOrderById(id, tenantId) {
+    return PaymentOrder.findOne({ where: { id, tenantId } });
+}
+
+/**
+ * Apply a confirmed gateway payment to the ledger. Safe to call more than once for the same
+ * order (callback and webhook usually both arrive): a paid order is returned unchanged.
+ *
+ * Each allocation is capped at the fee's current outstanding balance; whatever cannot be
+ * applied (fee paid at the counter meanwhile) is kept in unallocatedAmount for a refund.
+ */
+async function markOrderPaid(orderId, providerPaymentId, transaction) {
+    const order = await PaymentOrder.findOne({ where: { id: orderId }, lock: transaction.LOCK.UPDATE, transaction });
+    if (order.status === 'paid') return order;
+
+    let unallocatedCents = 0;
+    for (const allocation of order.allocations) {
+        const fee = await StudentFee.findOne({
+            where: { id: allocation.studentFeeId, tenantId: order.tenantId },
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+        const outstanding = fee ? toCents(fee.amount) - toCents(fee.paidAmount) : 0;
+        const applied = Math.min(toCents(allocation.amount), Math.max(outstanding, 0));
+        unallocatedCents += toCents(allocation.amount) - applied;
+
+        if (applied > 0) {
+            await feePaymentService.collectPayment(fee.id, order.tenantId, {
+                amount: fromCents(applied),
+                mode: 'online',
+                referenceNo: providerPaymentId,
+                remarks: `${order.provider} order ${order.providerOrderId}`
+            }, order.createdBy, transaction);
+        }
+    }
+
+    await order.update({
+        status: 'paid',
+        providerPaymentId,
+        paidAt: new Date(),
+        unallocatedAmount: fromCents(unallocatedCents),
+        failureReason: null
+    }, { transaction });
+
+    if (unallocatedCents > 0) {
+        logger.warn(`[PAYMENT_ORDER] ${order.providerOrderId}: ${fromCents(unallocatedCents)} could not be applied and needs a refund`);
+    }
+    return order;
+}
+
+/**
+ * Verify the signed checkout callback and record the payment
+ *
+ * @returns {Promise<Object|null>} Updated order, or null if the order does not exist
+ */
+async function verifyPayment(orderId, tenantId, { providerPaymentId, signature }) {
+    const order = await getOrderById(orderId, tenantId);
+    if (!order) return null;
+
+    const { adapter } = await resolveGateway(tenantId, order.provider);
+    if (!adapter.verifyPaymentSignature({ providerOrderId: order.providerOrderId, providerPaymentId, signature })) {
+        logger.warn(`[PAYMENT_ORDER] Invalid checkout signature for order ${order.providerOrderId}`);
+        throw new Error('VALIDATION_ERROR: Payment signature verification failed');
+    }
+
+    return sequelize.transaction(transaction => markOrderPaid(order.id, providerPaymentId, transaction));
+}
+
+/**
+ * Handle a gateway webhook. Events are recorded by (provider, eventId) in the same
+ * transaction as their effect, so a redelivered event is a no-op and a failed one is
+ * retried by the gateway.
+ *
+ * @returns {Promise<Object>} { status: 'invalid_signature' | 'duplicate' | 'processed' | 'ignored' }
+ */
+async function handleWebhook(provider, tenantId, rawBody, headers, body) {
+    const config = await PaymentGatewayConfig.findOne({ where: { tenantId, provider } });
+    if (!config || !isProviderEnabled(provider)) {
+        return { status: 'invalid_signature' };
+    }
+
+    const adapter = getAdapter(provider, credentialsOf(config));
+    if (!adapter.verifyWebhookSignature(rawBody, headers)) {
+        logger.warn(`[PAYMENT_WEBHOOK] Rejected ${provider} webhook with invalid signature for tenant ${tenantId}`);
+        return { status: 'invalid_signature' };
+    }
+
+    const event = adapter.parseWebhookEvent(body, headers);
+    if (!event.eventId) {
+        throw new Error('VALIDATION_ERROR: Webhook event has no id');
+    }
+
+    try {
+        return await sequelize.transaction(async (transaction) => {
+            const record = await PaymentWebhookEvent.create({
+                tenantId,
+                provider,
+                eventId: event.eventId,
+                eventType: body.event || event.type,
+                payload: body,
+                status: 'processed'
+            }, { transaction });
+
+            const order = event.providerOrderId
+                ? await PaymentOrder.findOne({ where: { tenantId, provider, providerOrderId: event.providerOrderId }, transaction })
+                : null;
+
+            if (!order || event.type === 'ignored') {
+                await record.update({ status: 'ignored' }, { transaction });
+                return { status: 'ignored' };
+            }
+
+            if (event.type === 'paid') {
+                await markOrderPaid(order.id, event.providerPaymentId, transaction);
+            } else if (event.type === 'failed' && order.status === 'created') {
+                await order.update({ status: 'failed', failureReason: event.reason || 'Payment failed' }, { transaction });
+            }
+            return { status: 'processed' };
+        });
+    } catch (err) {
+        if (err.name === 'SequelizeUniqueConstraintError') {
+            return { status: 'duplicate' };
+        }
+        throw err;
+    }
+}
+
+// ========== RECONCILIATION ==========
+
+/**
+ * Match gateway settlements in a date range against our orders.
+ * Orders the gateway settled but we never marked paid (lost callback and webhook) are
+ * paid now; amount differences and unknown gateway orders are reported for follow-up.
+ *
+ * @param {String} tenantId - Tenant
+ * @param {Object} params - { provider, from, to } (dates YYYY-MM-DD, inclusive)
+ * @returns {Promise<Object>} Reconciliation summary
+ */
+async function reconcileSettlements(tenantId, { provider = null, from, to }) {
+    const { config, adapter } = await resolveGateway(tenantId, provider);
+    const entries = await adapter.fetchSettlements({ from, to });
+
+    const summary = { provider: config.provider, from, to, settled: 0, recovered: [], mismatched: [], unknown: [], unsettled: [] };
+
+    for (const entry of entries) {
+        const order = await PaymentOrder.findOne({
+            where: { tenantId, provider: config.provider, providerOrderId: entry.providerOrderId }
+        });
+        if (!order) {
+            summary.unknown.push(entry);
+            continue;
+        }
+
+        if (order.status !== 'paid') {
+            await sequelize.transaction(transaction => markOrderPaid(order.id, entry.providerPaymentId, transaction));
+            summary.recovered.push(order.id);
+        }
+
+        if (toCents(order.amount) !== Number(entry.amount)) {
+            summary.mismatched.push({ orderId: order.id, expected: order.amount, settled: fromCents(Number(entry.amount)) });
+        }
+
+        await PaymentOrder.update(
+            { settlementId: entry.settlementId, settledAt: entry.settledAt },
+            { where: { id: order.id } }
+        );
+        summary.settled += 1;
+    }
+
+    // Paid on our side in the range but not (yet) in any settlement
+    const unsettled = await PaymentOrder.findAll({
+        where: {
+            tenantId,
+            provider: config.provider,
+            status: 'paid',
+            settlementId: null,
+            paidAt: { [Op.between]: [new Date(`${from}T00:00:00Z`), new Date(`${to}T23:59:59Z`)] }
+        },
+        attributes: ['id', 'providerOrderId', 'amount', 'paidAt']
+    });
+    summary.unsettled = unsettled.map(o => o.toJSON());
+
+    logger.info(`[PAYMENT_RECON] ${config.provider} ${from}..${to}: ${summary.settled} settled, ${summary.recovered.length} recovered, ${summary.mismatched.length} mismatched, ${summary.unknown.length} unknown`);
+    return summary;
+}
+
+// ========== MOCK PROVIDER ==========
+
+/**
+ * Pay a mock order the way the checkout page would (development / tests only).
+ * Returns the callback fields for verifyPayment and the signed webhook the gateway would send.
+ */
+async function simulateMockPayment(orderId, tenantId) {
+    const order = await getOrderById(orderId, tenantId);
+    if (!order) return null;
+    if (order.provider !== 'mock') {
+        throw new Error('VALIDATION_ERROR: Only orders of the mock provider can be simulated');
+    }
+
+    const { adapter } = await resolveGateway(tenantId, 'mock');
+    return adapter.simulatePayment(order.providerOrderId, toCents(order.amount));
+}
+
+module.exports = {
+    listGatewayConfigs,
+    upsertGatewayConfig,
+    createOrder,
+    getOrderById,
+    verifyPayment,
+    handleWebhook,
+    reconcileSettlements,
+    simulateMockPayment
+};
@@ -0,0 +1,379 @@
+/**
+ * Promotion Service
+ *
+ * Year-end promotion of a class. The preview lists the class's students with their results
+ * over the exams of the class's academic year and suggests promoting those who passed every
+ * paper of the final exams (every paper of the year when there was no final exam).
+ *
+ * The admin then decides for every student: promote (into the target class), detain (into a
+ * class of the same grade, detainClassId) or leave. Both classes belong to a later academic
+ * year. One transaction records the outcome on the student's enrollment for the old year,
+ * moves the student (classId, classData, rollNumber, academicYearId, session), enrolls them in
+ * the new year and raises the fees already assigned to the new class. Leaving students become
+ * inactive. The enrollments (StudentEnrollment) are the student's class history. The new
+ * classes must have seats for the students moving in (section capacity, classSectionService).
+ */
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const AcademicYear = require('../models/AcademicYear');
+const StudentEnrollment = require('../models/StudentEnrollment');
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const Exam = require('../models/Exam');
+const gradingService = require('./gradingService');
+const { studentResult, loadClassMarks } = require('./examMarksService');
+const { syncEnrollment } = require('./academicYearService');
+const { applyAssignedStructuresToStudent } = require('./feeStructureService');
+const { assignRollNumbers, classDataOf, assertSeats } = require('./classSectionService');
+const logger = require('../config/logger');
+require('../models'); // register associations used by the includes below
+
+const ACTIONS = ['promote', 'detain', 'leave'];
+
+const OUTCOMES = { promote: 'promoted', detain: 'detained', leave: 'left' };
+
+const YEAR_ATTRIBUTES = ['id', 'name', 'startDate', 'endDate'];
+
+const ROSTER_ATTRIBUTES = ['id', 'tenantId', 'admissionNo', 'rollNumber', 'firstName', 'lastName', 'studentName', 'classId', 'academicYearId', 'status'];
+
+const studentName = (s) => s.studentName || [s.firstName, s.lastName].filter(Boolean).join(' ');
+
+// ========== PURE HELPERS ==========
+
+/**
+ * Whether a student passed a paper: null without marks or on medical grounds, false when
+ * absent or under the pass marks
+ *
+ * @param {Object} paper - { passMarks }
+ * @param {Object} row - The student's marks row, if any
+ * @returns {Boolean|null}
+ */
+function paperPassed(paper, row) {
+    if (!row || row.status === 'medical') return null;
+    if (row.status === 'absent') return false;
+    return Number(row.marksObtained) >= Number(paper.passMarks);
+}
+
+/**
+ * A student's result over the year and the suggested action
+ *
+ * @param {Array} papers - The class's papers of the year ({ id, examId, subject, maxMarks, passMarks })
+ * @param {Map} rowsByPaper - examPaperId -> marks row of the student
+ * @param {Array} bands - Bands of the grading scheme
+ * @param {Set} finalExamIds - Exams of type final; their papers decide pass or fail when there are any
+ * @returns {Object} { percentage, grade, marksObtained, maxMarks, pending, failedSubjects, suggestedAction }
+ */
+function promotionResult(papers, rowsByPaper, bands, finalExamIds = new Set()) {
+    const overall = studentResult(papers, rowsByPaper, bands);
+    const finals = papers.filter(p => finalExamIds.has(p.examId));
+    const deciding = finals.length ? finals : papers;
+    const failedSubjects = [...new Set(deciding
+        .filter(p => paperPassed(p, rowsByPaper.get(p.id)) === false)
+        .map(p => p.subject))];
+
+    return {
+        percentage: overall.percentage,
+        grade: overall.grade,
+        marksObtained: overall.marksObtained,
+        maxMarks: overall.maxMarks,
+        pending: overall.pending,
+        failedSubjects,
+        suggestedAction: failedSubjects.length ? 'detain' : 'promote'
+    };
+}
+
+/**
+ * Check the decisions against the class roster: one per student, for every student
+ *
+ * @param {Array} rosterIds - Student IDs of the class
+ * @param {Array} decisions - [{ studentId, action, remarks }]
+ * @returns {Array} Normalized decisions in roster order
+ */
+function planPromotion(rosterIds, decisions) {
+    if (!Array.isArray(decisions) || decisions.length === 0) {
+        throw new Error('VALIDATION_ERROR: decisions must be a non-empty array');
+    }
+    const byStudent = new Map();
+    decisions.forEach((d, i) => {
+        if (!d || !ACTIONS.includes(d.action)) {
+            throw new Error(`VALIDATION_ERROR: decisions[${i}].action must be one of: ${ACTIONS.join(', ')}`);
+        }
+        if (byStudent.has(d.studentId)) {
+            throw new Error(`VALIDATION_ERROR: Student ${d.studentId} has more than one decision`);
+        }
+        byStudent.set(d.studentId, {
+            studentId: d.studentId,
+            action: d.action,
+            remarks: d.remarks ? String(d.remarks).trim().slice(0, 255) : null
+        });
+    });
+
+    const roster = new Set(rosterIds);
+    const strangers = [...byStudent.keys()].filter(id => !roster.has(id));
+    if (strangers.length) {
+        throw new Error(`VALIDATION_ERROR: ${strangers.length} student(s) are not in this class: ${strangers.join(', ')}`);
+    }
+    const missing = rosterIds.filter(id => !byStudent.has(id));
+    if (missing.length) {
+        throw new Error(`VALIDATION_ERROR: ${missing.length} student(s) have no decision: ${missing.join(', ')}`);
+    }
+    return rosterIds.map(id => byStudent.get(id));
+}
+
+// ========== PREVIEW ==========
+
+const classSummary = (cls) => ({ id: cls.id, className: cls.className, section: cls.section });
+const yearSummary = (year) => (year ? { id: year.id, name: year.name } : null);
+
+async function loadClassWithYear(tenantId, classId, transaction = null) {
+    const cls = await Class.findOne({ where: { id: classId, tenantId }, transaction });
+    if (!cls) {
+        throw new Error('NOT_FOUND: Class not found');
+    }
+    const year = cls.academicYearId
+        ? await AcademicYear.findOne({ where: { id: cls.academicYearId, tenantId }, attributes: YEAR_ATTRIBUTES, transaction })
+        : null;
+    return { cls, year };
+}
+
+// Students still in the class for its year; those already moved on have left it
+const loadRoster = (tenantId, cls, transaction = null) => Student.findAll({
+    where: { tenantId, classId: cls.id, status: 'active' },
+    attributes: ROSTER_ATTRIBUTES,
+    order: [['rollNumber', 'ASC'], ['firstName', 'ASC'], ['lastName', 'ASC']],
+    transaction
+});
+
+/**
+ * The promotion wizard's first step: the class's students with their results for the year,
+ * and the classes of the next academic year to move them into
+ *
+ * @returns {Promise<Object>} { class, academicYear, nextYear, targetClasses, exams, students }
+ */
+async function getPromotionPreview(tenantId, classId) {
+    const { cls, year } = await loadClassWithYear(tenantId, classId);
+    if (!year) {
+        throw new Error('VALIDATION_ERROR: The class has no academic year; link it to one first');
+    }
+
+    const exams = await Exam.findAll({
+        where: { tenantId, academicYearId: year.id },
+        attributes: ['id', 'name', 'examType'],
+        order: [['startDate', 'ASC'], ['createdAt', 'ASC']]
+    });
+    const scheme = await gradingService.resolveScheme(tenantId, { classId, academicSession: year.name });
+    const { papers, rowsByStudent } = exams.length
+        ? await loadClassMarks(tenantId, exams.map(e => e.id), classId)
+        : { papers: [], rowsByStudent: new Map() };
+    const written = new Set(papers.map(p => p.examId));
+    const finalExamIds = new Set(exams.filter(e => e.examType === 'final').map(e => e.id));
+
+    const nextYear = await AcademicYear.findOne({
+        where: { tenantId, startDate: { [Op.gt]: year.endDate } },
+        attributes: YEAR_ATTRIBUTES,
+        order: [['startDate', 'ASC']]
+    });
+    const targetClasses = nextYear ? await Class.findAll({
+        where: { tenantId, academicYearId: nextYear.id, status: 'active' },
+        attributes: ['id', 'className', 'section'],
+        order: [['className', 'ASC'], ['section', 'ASC']]
+    }) : [];
+
+    const students = await loadRoster(tenantId, cls);
+    return {
+        class: classSummary(cls),
+        academicYear: yearSummary(year),
+        nextYear: yearSummary(nextYear),
+        targetClasses: targetClasses.map(classSummary),
+        exams: exams.filter(e => written.has(e.id)).map(e => ({ id: e.id, name: e.name, examType: e.examType })),
+        students: students.map(s => ({
+            studentId: s.id,
+            admissionNo: s.admissionNo,
+            rollNumber: s.rollNumber,
+            name: studentName(s),
+            ...promotionResult(papers, rowsByStudent.get(s.id) || new Map(), scheme.bands, finalExamIds)
+        }))
+    };
+}
+
+// ========== PROMOTION ==========
+
+/**
+ * A class of a later academic year than the source class
+ */
+async function loadTargetClass(tenantId, classId, sourceYear, field, transaction) {
+    const cls = await Class.findOne({ where: { id: classId, tenantId }, transaction });
+    if (!cls) {
+        throw new Error(`VALIDATION_ERROR: ${field} must be a class of this school`);
+    }
+    const year = cls.academicYearId
+        ? await AcademicYear.findOne({ where: { id: cls.academicYearId, tenantId }, attributes: YEAR_ATTRIBUTES, transaction })
+        : null;
+    if (!year || String(year.startDate) <= String(sourceYear.endDate)) {
+        throw new Error(`VALIDATION_ERROR: ${field} must be a class of an academic year after ${sourceYear.name}`);
+    }
+    return { cls, year };
+}
+
+/**
+ * Promote, detain or release every student of a class in one transaction
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} classId - Source class
+ * @param {Object} data - { targetClassId, detainClassId, decisions: [{ studentId, action, remarks }] }
+ * @param {String} userId - Admin who decided
+ * @returns {Promise<Object>} { academicYear, nextYear, promoted, detained, left, feesCreated }
+ */
+async function promoteClass(tenantId, classId, data, userId) {
+    const result = await sequelize.transaction(async (transaction) => {
+        const { cls, year } = await loadClassWithYear(tenantId, classId, transaction);
+        if (!year) {
+            throw new Error('VALIDATION_ERROR: The class has no academic year; link it to one first');
+        }
+
+        const roster = await loadRoster(tenantId, cls, transaction);
+        if (roster.length === 0) {
+            throw new Error('VALIDATION_ERROR: The class has no students left to promote');
+        }
+        const plan = planPromotion(roster.map(s => s.id), data.decisions);
+        const actionOf = new Map(plan.map(d => [d.studentId, d.action]));
+        const needs = (action) => plan.some(d => d.action === action);
+
+        const targets = {};
+        if (needs('promote')) {
+            if (!data.targetClassId) throw new Error('VALIDATION_ERROR: targetClassId is required to promote students');
+            targets.promote = await loadTargetClass(tenantId, data.targetClassId, year, 'targetClassId', transaction);
+        }
+        if (needs('detain')) {
+            if (!data.detainClassId) throw new Error('VALIDATION_ERROR: detainClassId is required to detain students');
+            if (data.detainClassId === data.targetClassId) {
+                throw new Error('VALIDATION_ERROR: detainClassId must differ from targetClassId');
+            }
+            targets.detain = await loadTargetClass(tenantId, data.detainClassId, year, 'detainClassId', transaction);
+        }
+        if (targets.promote && targets.detain && targets.promote.year.id !== targets.detain.year.id) {
+            throw new Error('VALIDATION_ERROR: targetClassId and detainClassId must be classes of the same academic year');
+        }
+        const nextYear = (targets.promote || targets.detain || {}).year || null;
+
+        if (nextYear) {
+            const moved = await StudentEnrollment.count({
+                where: { tenantId, academicYearId: nextYear.id, studentId: { [Op.in]: roster.map(s => s.id) } },
+                transaction
+            });
+            if (moved > 0) {
+                throw new Error(`CONFLICT: ${moved} student(s) are already enrolled in ${nextYear.name}`);
+            }
+        }
+
+        // Roll numbers continue after the students already in each new class, within its capacity
+        const rolls = {};
+        for (const action of ['promote', 'detain']) {
+            if (!targets[action]) continue;
+            const moving = roster.filter(s => actionOf.get(s.id) === action);
+            await assertSeats(tenantId, targets[action].cls.id, moving.length, transaction);
+            const taken = await Student.max('rollNumber', {
+                where: { tenantId, classId: targets[action].cls.id, status: 'active' },
+                transaction
+            });
+            rolls[action] = assignRollNumbers(moving, taken || 0);
+        }
+
+        const decidedAt = new Date();
+        const counts = { promoted: 0, detained: 0, left: 0, feesCreated: 0 };
+        for (const [index, decision] of plan.entries()) {
+            const student = roster[index];
+
+            // Close the old year's enrollment with the decision
+            const enrollment = await syncEnrollment(
+                { ...student.get({ plain: true }), academicYearId: year.id, status: decision.action === 'leave' ? 'inactive' : student.status },
+                transaction
+            );
+            await enrollment.update({
+                outcome: OUTCOMES[decision.action],
+                remarks: decision.remarks,
+                decidedBy: userId || null,
+                decidedAt
+            }, { transaction });
+            counts[OUTCOMES[decision.action]] += 1;
+
+            if (decision.action === 'leave') {
+                await Student.update({ status: 'inactive' }, { where: { id: student.id, tenantId }, transaction });
+                continue;
+            }
+
+            const target = targets[decision.action];
+            const moved = {
+                classId: target.cls.id,
+                classData: classDataOf(target.cls),
+                rollNumber: rolls[decision.action].get(student.id),
+                academicYearId: nextYear.id,
+                session: nextYear.name
+            };
+            await Student.update(moved, { where: { id: student.id, tenantId }, transaction });
+            const next = { ...student.get({ plain: true }), ...moved };
+            await syncEnrollment(next, transaction);
+            counts.feesCreated += await applyAssignedStructuresToStudent(next, transaction);
+        }
+
+        return {
+            class: classSummary(cls),
+            academicYear: yearSummary(year),
+            nextYear: yearSummary(nextYear),
+            targetClass: targets.promote ? classSummary(targets.promote.cls) : null,
+            detainClass: targets.detain ? classSummary(targets.detain.cls) : null,
+            ...counts
+        };
+    });
+
+    logger.info(`[PROMOTION] Class ${classId} of tenant ${tenantId} closed for ${result.academicYear.name} by ${userId}: `
+        + `${result.promoted} promoted, ${result.detained} detained, ${result.left} left`);
+    return result;
+}
+
+// ========== HISTORY ==========
+
+/**
+ * A student's class in each academic year, oldest first, with the year-end outcomes
+ *
+ * @returns {Promise<Object>} { student, enrollments }
+ */
+async function getClassHistory(tenantId, studentId) {
+    const student = await Student.findOne({ where: { id: studentId, tenantId }, attributes: ROSTER_ATTRIBUTES });
+    if (!student) {
+        throw new Error('NOT_FOUND: Student not found');
+    }
+    const enrollments = await StudentEnrollment.findAll({
+        where: { tenantId, studentId },
+        include: [
+            { model: AcademicYear, as: 'academicYear', attributes: YEAR_ATTRIBUTES },
+            { model: Class, as: 'class', attributes: ['id', 'className', 'section'] }
+        ],
+        order: [[{ model: AcademicYear, as: 'academicYear' }, 'startDate', 'ASC']]
+    });
+
+    return {
+        student: { id: student.id, admissionNo: student.admissionNo, name: studentName(student), status: student.status },
+        enrollments: enrollments.map(e => ({
+            academicYear: yearSummary(e.academicYear),
+            class: e.class ? classSummary(e.class) : null,
+            rollNumber: e.rollNumber,
+            status: e.status,
+            outcome: e.outcome,
+            remarks: e.remarks,
+            decidedAt: e.decidedAt
+        }))
+    };
+}
+
+module.exports = {
+    ACTIONS,
+    paperPassed,
+    promotionResult,
+    planPromotion,
+    assignRollNumbers,
+    classDataOf,
+    getPromotionPreview,
+    promoteClass,
+    getClassHistory
+};
@@ -0,0 +1,270 @@
+/**
+ * Question Bank Service
+ *
+ * The tenant's question bank, filed by subject and topic, that online tests are built from.
+ * Question types: mcq (one correct option), multi_select (a set of correct options), numeric
+ * (a value with a tolerance) and short_answer (marked by the teacher against a model answer).
+ *
+ * Teachers work on the questions of the subjects they take (their class subjects, or their
+ * periods on the timetable); the bank of a subject is shared by everyone teaching it. Questions
+ * used by a test keep their answer and marks once the test is published; retire them with
+ * isActive instead of deleting.
+ */
+const { Op, fn, col, where: whereFn } = require('sequelize');
+const Question = require('../models/Question');
+const OnlineTest = require('../models/OnlineTest');
+const { loadTaughtSubjects } = require('./subjectService');
+const logger = require('../config/logger');
+
+const QUESTION_TYPES = ['mcq', 'multi_select', 'numeric', 'short_answer'];
+
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+const QUESTION_FIELDS = ['subject', 'topic', 'questionType', 'text', 'options', 'answer', 'marks', 'difficulty', 'isActive'];
+
+// Fields that decide how attempts are graded
+const GRADING_FIELDS = ['questionType', 'options', 'answer', 'marks'];
+
+const MAX_OPTIONS = 8;
+
+const MAX_QUESTION_MARKS = 100;
+
+const OPTION_KEYS = 'ABCDEFGH'.split('');
+
+// ========== PURE HELPERS ==========
+
+const hasTwoDecimals = (n) => Math.round(n * 100) === n * 100;
+
+/**
+ * Check options of an mcq / multi_select question; keys default to A, B, C...
+ *
+ * @returns {Array} [{ key, text }]
+ */
+function normalizeOptions(options) {
+    if (!Array.isArray(options) || options.length < 2 || options.length > MAX_OPTIONS) {
+        throw new Error(`VALIDATION_ERROR: options must be an array of 2-${MAX_OPTIONS} choices`);
+    }
+    const normalized = options.map((option, i) => {
+        const text = typeof option === 'string' ? option : option && option.text;
+        if (typeof text !== 'string' || !text.trim()) {
+            throw new Error(`VALIDATION_ERROR: options[${i}] needs text`);
+        }
+        const key = option && typeof option === 'object' && option.key !== undefined ? String(option.key).trim() : OPTION_KEYS[i];
+        if (!key || key.length > 10) {
+            throw new Error(`VALIDATION_ERROR: options[${i}].key must be 1-10 characters`);
+        }
+        return { key, text: text.trim() };
+    });
+    const keys = normalized.map(o => o.key);
+    if (new Set(keys).size !== keys.length) {
+        throw new Error('VALIDATION_ERROR: Option keys must be unique');
+    }
+    return normalized;
+}
+
+/**
+ * Check and normalize a question (after merging updates into the stored question)
+ *
+ * @param {Object} data - { subject, topic, questionType, text, options, answer, marks, difficulty }
+ * @returns {Object} Normalized fields
+ */
+function validateQuestion(data) {
+    const subject = typeof data.subject === 'string' ? data.subject.trim() : '';
+    if (!subject || subject.length > 100) {
+        throw new Error('VALIDATION_ERROR: subject must be 1-100 characters');
+    }
+    const topic = data.topic === null || data.topic === undefined ? null : String(data.topic).trim() || null;
+    if (topic && topic.length > 100) {
+        throw new Error('VALIDATION_ERROR: topic must be at most 100 characters');
+    }
+    if (!QUESTION_TYPES.includes(data.questionType)) {
+        throw new Error(`VALIDATION_ERROR: questionType must be one of: ${QUESTION_TYPES.join(', ')}`);
+    }
+    if (typeof data.text !== 'string' || !data.text.trim()) {
+        throw new Error('VALIDATION_ERROR: text is required');
+    }
+    const marks = data.marks === undefined || data.marks === null ? 1 : Number(data.marks);
+    if (!Number.isFinite(marks) || marks <= 0 || marks > MAX_QUESTION_MARKS || !hasTwoDecimals(marks)) {
+        throw new Error(`VALIDATION_ERROR: marks must be more than 0 and at most ${MAX_QUESTION_MARKS}, with up to 2 decimals`);
+    }
+    const difficulty = data.difficulty || 'medium';
+    if (!DIFFICULTIES.includes(difficulty)) {
+        throw new Error(`VALIDATION_ERROR: difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+    }
+
+    let options = null;
+    let answer;
+    const { answer: given } = data;
+    switch (data.questionType) {
+        case 'mcq':
+            options = normalizeOptions(data.options);
+            if (typeof given !== 'string' || !options.some(o => o.key === given)) {
+                throw new Error('VALIDATION_ERROR: answer must be the key of one of the options');
+            }
+            answer = given;
+            break;
+        case 'multi_select':
+            options = normalizeOptions(data.options);
+            if (!Array.isArray(given) || given.length === 0 || new Set(given).size !== given.length
+                || !given.every(k => options.some(o => o.key === k))) {
+                throw new Error('VALIDATION_ERROR: answer must be a non-empty list of distinct option keys');
+            }
+            answer = options.map(o => o.key).filter(k => given.includes(k));
+            break;
+        case 'numeric': {
+            const value = given && typeof given === 'object' && given.value !== null && given.value !== '' ? Number(given.value) : NaN;
+            const tolerance = given && given.tolerance !== undefined && given.tolerance !== null ? Number(given.tolerance) : 0;
+            if (!Number.isFinite(value)) {
+                throw new Error('VALIDATION_ERROR: answer.value must be a number');
+            }
+            if (!Number.isFinite(tolerance) || tolerance < 0) {
+                throw new Error('VALIDATION_ERROR: answer.tolerance must be 0 or more');
+            }
+            answer = { value, tolerance };
+            break;
+        }
+        default: {
+            const modelAnswer = given && typeof given === 'object' && given.modelAnswer ? String(given.modelAnswer).trim() : null;
+            answer = modelAnswer ? { modelAnswer } : null;
+        }
+    }
+
+    return { subject, topic, questionType: data.questionType, text: data.text.trim(), options, answer, marks, difficulty };
+}
+
+// ========== ACCESS ==========
+
+/**
+ * Subjects a teacher takes in any class: their class subjects and their periods on the
+ * active timetable
+ *
+ * @param {Object} access - { teacherId }, or null for admins (every subject)
+ * @returns {Promise<Array|null>} Subject names, null for every subject
+ */
+async function subjectsTaught(tenantId, access) {
+    if (!access) return null;
+    const taught = await loadTaughtSubjects(tenantId, access.teacherId);
+    return [...new Set(taught.map(s => s.subject))];
+}
+
+async function assertSubjectTaught(tenantId, subject, access) {
+    const subjects = await subjectsTaught(tenantId, access);
+    if (subjects && !subjects.includes(subject)) {
+        throw new Error(`INSUFFICIENT_PERMISSIONS: You do not teach ${subject}`);
+    }
+}
+
+/**
+ * Tests whose question list includes the question
+ */
+const testsUsing = (tenantId, questionId, extra = {}) => OnlineTest.findAll({
+    where: {
+        tenantId,
+        ...extra,
+        [Op.and]: [whereFn(fn('JSON_CONTAINS', col('questionIds'), JSON.stringify(questionId)), 1)]
+    },
+    attributes: ['id', 'title', 'status']
+});
+
+// ========== QUESTIONS ==========
+
+/**
+ * List questions, newest first. Teachers see the subjects they take.
+ *
+ * @param {Object} filters - { subject, topic, questionType, difficulty, includeInactive, page, limit }
+ * @param {Object} access - { teacherId } or null
+ */
+async function listQuestions(tenantId, { subject, topic, questionType, difficulty, includeInactive, page = 1, limit = 50 } = {}, access) {
+    const where = { tenantId };
+    const subjects = await subjectsTaught(tenantId, access);
+    if (subject) {
+        if (subjects && !subjects.includes(subject)) return { questions: [], pagination: { page, limit, total: 0 } };
+        where.subject = subject;
+    } else if (subjects) {
+        where.subject = { [Op.in]: subjects };
+    }
+    if (topic) where.topic = topic;
+    if (questionType) where.questionType = questionType;
+    if (difficulty) where.difficulty = difficulty;
+    if (!includeInactive) where.isActive = true;
+
+    const { rows, count } = await Question.findAndCountAll({
+        where,
+        order: [['createdAt', 'DESC']],
+        limit,
+        offset: (page - 1) * limit
+    });
+    return { questions: rows, pagination: { page, limit, total: count } };
+}
+
+async function getQuestionById(id, tenantId, access) {
+    const question = await Question.findOne({ where: { id, tenantId } });
+    if (!question) return null;
+    await assertSubjectTaught(tenantId, question.subject, access);
+    return question;
+}
+
+async function createQuestion(tenantId, data, userId, access) {
+    const fields = validateQuestion(data);
+    await assertSubjectTaught(tenantId, fields.subject, access);
+
+    const question = await Question.create({ ...fields, tenantId, isActive: data.isActive !== false, createdBy: userId || null });
+    logger.info(`[QUESTION_BANK] Question ${question.id} (${fields.subject}, ${fields.questionType}) created`);
+    return question;
+}
+
+/**
+ * Update a question. Once a published test uses it, only its topic, difficulty, text wording
+ * and isActive can change: the answer, options and marks decide how attempts are graded.
+ */
+async function updateQuestion(id, tenantId, updates, access) {
+    const question = await getQuestionById(id, tenantId, access);
+    if (!question) return null;
+
+    const merged = { ...question.get({ plain: true }) };
+    QUESTION_FIELDS.forEach(k => { if (updates[k] !== undefined) merged[k] = updates[k]; });
+    const fields = validateQuestion(merged);
+
+    const stored = { ...question.get({ plain: true }), marks: Number(question.marks) };
+    const changesGrading = GRADING_FIELDS.some(k => JSON.stringify(fields[k]) !== JSON.stringify(stored[k]));
+    if (changesGrading) {
+        const live = await testsUsing(tenantId, id, { status: { [Op.ne]: 'draft' } });
+        if (live.length > 0) {
+            throw new Error(`CONFLICT: The question is used by published test "${live[0].title}"; its answer, options and marks cannot change`);
+        }
+    }
+    if (fields.subject !== question.subject) {
+        await assertSubjectTaught(tenantId, fields.subject, access);
+    }
+
+    await question.update({ ...fields, ...(updates.isActive !== undefined ? { isActive: !!updates.isActive } : {}) });
+    return question;
+}
+
+/**
+ * Delete a question no test uses (retire used ones with isActive: false)
+ */
+async function deleteQuestion(id, tenantId, access) {
+    const question = await getQuestionById(id, tenantId, access);
+    if (!question) return null;
+
+    const tests = await testsUsing(tenantId, id);
+    if (tests.length > 0) {
+        throw new Error(`CONFLICT: The question is used by ${tests.length} test(s); set isActive to false to retire it`);
+    }
+    await question.destroy();
+    return question;
+}
+
+module.exports = {
+    QUESTION_TYPES,
+    DIFFICULTIES,
+    validateQuestion,
+    subjectsTaught,
+    assertSubjectTaught,
+    listQuestions,
+    getQuestionById,
+    createQuestion,
+    updateQuestion,
+    deleteQuestion
+};
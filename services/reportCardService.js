@@ -0,0 +1,572 @@
+/**
+ * Report Card Service
+ *
+ * Report cards for an academic session: the marks of every exam term of the session side by
+ * side per subject, each term's total, grade and GPA, the CGPA, co-scholastic grades,
+ * attendance and the class teacher's remarks. Cards are printed by utils/reportCardPdf from
+ * the tenant's templates, for one student or for a whole class.
+ *
+ * Attendance counts the days marked in the student's class up to the end of the session's
+ * last exam, unless a range is given.
+ */
+const { Op, fn, col } = require('sequelize');
+const { sequelize } = require('../config/database');
+const ReportCardTemplate = require('../models/ReportCardTemplate');
+const ReportCardRemark = require('../models/ReportCardRemark');
+const CoScholasticGrade = require('../models/CoScholasticGrade');
+const Attendance = require('../models/Attendance');
+const Exam = require('../models/Exam');
+const Class = require('../models/Class');
+const Student = require('../models/Student');
+const gradingService = require('./gradingService');
+const examMarksService = require('./examMarksService');
+const { canGradeClass } = require('./coScholasticService');
+const logger = require('../config/logger');
+
+// Printable sections, in their default order
+const SECTIONS = ['scholastic', 'coScholastic', 'attendance', 'remarks'];
+
+const MAX_SIGNATURES = 4;
+
+const MAX_REMARKS_LENGTH = 1000;
+
+// Used when the tenant has no template
+const BUILT_IN_TEMPLATE = Object.freeze({
+    id: null,
+    name: 'Standard (built-in)',
+    title: 'Report Card',
+    sections: SECTIONS,
+    signatures: ['Class Teacher', 'Principal', 'Parent'],
+    footerText: null,
+    isDefault: true
+});
+
+const studentName = (s) => s.studentName || [s.firstName, s.lastName].filter(Boolean).join(' ');
+
+// ========== PURE HELPERS ==========
+
+/**
+ * Check and normalize the fields of a template
+ *
+ * @param {Object} data - { name, title, sections, signatures, footerText }
+ * @returns {Object} Normalized fields
+ */
+function validateTemplate(data) {
+    const name = data.name ? String(data.name).trim() : '';
+    if (!name || name.length > 100) {
+        throw new Error('VALIDATION_ERROR: name must be 1-100 characters');
+    }
+    const title = data.title ? String(data.title).trim() : '';
+    if (!title || title.length > 150) {
+        throw new Error('VALIDATION_ERROR: title must be 1-150 characters');
+    }
+
+    const sections = data.sections === undefined || data.sections === null ? [...SECTIONS] : data.sections;
+    if (!Array.isArray(sections) || sections.length === 0) {
+        throw new Error('VALIDATION_ERROR: sections must be a non-empty array');
+    }
+    sections.forEach((s, i) => {
+        if (!SECTIONS.includes(s)) {
+            throw new Error(`VALIDATION_ERROR: sections[${i}] must be one of: ${SECTIONS.join(', ')}`);
+        }
+    });
+    if (new Set(sections).size !== sections.length) {
+        throw new Error('VALIDATION_ERROR: A section can only be printed once');
+    }
+
+    let signatures = null;
+    if (data.signatures !== undefined && data.signatures !== null) {
+        if (!Array.isArray(data.signatures) || data.signatures.length > MAX_SIGNATURES) {
+            throw new Error(`VALIDATION_ERROR: signatures must be an array of at most ${MAX_SIGNATURES} labels`);
+        }
+        signatures = data.signatures.map((label, i) => {
+            const text = typeof label === 'string' ? label.trim() : '';
+            if (!text || text.length > 50) {
+                throw new Error(`VALIDATION_ERROR: signatures[${i}] must be 1-50 characters`);
+            }
+            return text;
+        });
+    }
+
+    const footerText = data.footerText ? String(data.footerText).trim() : null;
+    if (footerText && footerText.length > 2000) {
+        throw new Error('VALIDATION_ERROR: footerText must be at most 2000 characters');
+    }
+
+    return { name, title, sections, signatures, footerText: footerText || null };
+}
+
+/**
+ * A student's marks of every term side by side per subject. Two papers of one subject in a
+ * term (theory and practical) are added up.
+ *
+ * @param {Array} terms - [{ examId, result }] in date order; result from examMarksService.studentResult
+ * @returns {Object} { subjects: [{ subject, terms: { examId: { marksObtained, maxMarks, status, grade } } }],
+ *                     totals: [{ examId, marksObtained, maxMarks, percentage, grade, gpa, pending }], cgpa }
+ */
+function combineTerms(terms) {
+    const subjects = new Map();
+    terms.forEach(({ examId, result }) => {
+        result.papers.forEach(p => {
+            if (!subjects.has(p.subject)) subjects.set(p.subject, { subject: p.subject, terms: {} });
+            const line = subjects.get(p.subject);
+            const marksObtained = p.marksObtained === undefined ? null : p.marksObtained;
+            const previous = line.terms[examId];
+            if (!previous) {
+                line.terms[examId] = { marksObtained, maxMarks: p.maxMarks, status: p.status, grade: p.grade || null };
+                return;
+            }
+            line.terms[examId] = {
+                marksObtained: previous.marksObtained === null && marksObtained === null
+                    ? null
+                    : (previous.marksObtained || 0) + (marksObtained || 0),
+                maxMarks: previous.maxMarks + p.maxMarks,
+                status: previous.status === p.status ? p.status : 'present',
+                grade: null
+            };
+        });
+    });
+
+    const totals = terms.map(({ examId, result }) => ({
+        examId,
+        marksObtained: result.marksObtained,
+        maxMarks: result.maxMarks,
+        percentage: result.percentage,
+        grade: result.grade,
+        gpa: result.gpa,
+        pending: result.pending
+    }));
+
+    return {
+        subjects: [...subjects.values()],
+        totals,
+        cgpa: gradingService.cgpaOf(totals.map(t => t.gpa))
+    };
+}
+
+/**
+ * Co-scholastic grades per area across the terms
+ *
+ * @param {Array} rows - [{ examId, area, grade }] of one student
+ * @returns {Array} [{ area, terms: { examId: grade } }] by area name
+ */
+function coScholasticByArea(rows) {
+    const areas = new Map();
+    rows.forEach(r => {
+        if (!areas.has(r.area)) areas.set(r.area, { area: r.area, terms: {} });
+        areas.get(r.area).terms[r.examId] = r.grade;
+    });
+    return [...areas.values()].sort((a, b) => a.area.localeCompare(b.area));
+}
+
+/**
+ * Attendance totals from status counts. Late days count as present, excused days as absent.
+ *
+ * @param {Object} counts - { present, late, absent, excused }
+ * @returns {Object} { workingDays, daysPresent, percentage }
+ */
+function attendanceTotals(counts = {}) {
+    const daysPresent = (counts.present || 0) + (counts.late || 0);
+    const workingDays = daysPresent + (counts.absent || 0) + (counts.excused || 0);
+    return {
+        workingDays,
+        daysPresent,
+        percentage: workingDays > 0 ? Math.round((daysPresent * 1000) / workingDays) / 10 : null
+    };
+}
+
+// ========== TEMPLATES ==========
+
+async function listTemplates(tenantId) {
+    return ReportCardTemplate.findAll({ where: { tenantId }, order: [['isDefault', 'DESC'], ['name', 'ASC']] });
+}
+
+async function getTemplateById(id, tenantId) {
+    return ReportCardTemplate.findOne({ where: { id, tenantId } });
+}
+
+const assertNameFree = async (tenantId, name, exceptId, transaction) => {
+    const where = { tenantId, name };
+    if (exceptId) where.id = { [Op.ne]: exceptId };
+    if (await ReportCardTemplate.count({ where, transaction })) {
+        throw new Error(`CONFLICT: A report card template named "${name}" already exists`);
+    }
+};
+
+/**
+ * Create a template. The tenant's first template becomes its default.
+ *
+ * @param {Object} data - { name, title, sections, signatures, footerText, isDefault }
+ */
+async function createTemplate(tenantId, data) {
+    const fields = validateTemplate(data);
+
+    const id = await sequelize.transaction(async (transaction) => {
+        await assertNameFree(tenantId, fields.name, null, transaction);
+        const hasDefault = await ReportCardTemplate.count({ where: { tenantId, isDefault: true }, transaction });
+        const isDefault = data.isDefault === true || !hasDefault;
+        if (isDefault && hasDefault) {
+            await ReportCardTemplate.update({ isDefault: false }, { where: { tenantId, isDefault: true }, transaction });
+        }
+        const template = await ReportCardTemplate.create({ ...fields, tenantId, isDefault }, { transaction });
+        return template.id;
+    });
+
+    logger.info(`[REPORT_CARDS] Template "${fields.name}" created for tenant ${tenantId}`);
+    return getTemplateById(id, tenantId);
+}
+
+/**
+ * Update a template. isDefault can only be turned on: the default moves to this template.
+ */
+async function updateTemplate(id, tenantId, updates) {
+    const template = await getTemplateById(id, tenantId);
+    if (!template) return null;
+
+    if (updates.isDefault === false && template.isDefault) {
+        throw new Error('VALIDATION_ERROR: Make another template the default instead');
+    }
+
+    const merged = {};
+    ['name', 'title', 'sections', 'signatures', 'footerText'].forEach(k => {
+        merged[k] = updates[k] !== undefined ? updates[k] : template[k];
+    });
+    const fields = validateTemplate(merged);
+
+    await sequelize.transaction(async (transaction) => {
+        await assertNameFree(tenantId, fields.name, id, transaction);
+        if (updates.isDefault === true && !template.isDefault) {
+            await ReportCardTemplate.update({ isDefault: false }, { where: { tenantId, isDefault: true }, transaction });
+            fields.isDefault = true;
+        }
+        await template.update(fields, { transaction });
+    });
+    return getTemplateById(id, tenantId);
+}
+
+/**
+ * Delete a template. Deleting the default falls back to the built-in template.
+ */
+async function deleteTemplate(id, tenantId) {
+    const template = await getTemplateById(id, tenantId);
+    if (!template) return null;
+    await template.destroy();
+    logger.info(`[REPORT_CARDS] Template "${template.name}" deleted for tenant ${tenantId}`);
+    return template;
+}
+
+/**
+ * The template to print with: the one asked for, else the tenant's default, else the built-in one
+ *
+ * @param {String} templateId - Optional template ID
+ * @returns {Promise<Object>} Plain template
+ */
+async function resolveTemplate(tenantId, templateId = null) {
+    if (templateId) {
+        const template = await getTemplateById(templateId, tenantId);
+        if (!template) {
+            throw new Error('NOT_FOUND: Report card template not found');
+        }
+        return template.get({ plain: true });
+    }
+    const template = await ReportCardTemplate.findOne({ where: { tenantId, isDefault: true } });
+    return template ? template.get({ plain: true }) : { ...BUILT_IN_TEMPLATE };
+}
+
+// ========== REMARKS ==========
+
+const loadRemarksContext = async (tenantId, examId, classId, access, transaction = null) => {
+    const exam = await Exam.findOne({ where: { id: examId, tenantId }, attributes: ['id', 'name', 'academicSession'], transaction });
+    if (!exam) {
+        throw new Error('NOT_FOUND: Exam not found');
+    }
+    const cls = await Class.findOne({ where: { id: classId, tenantId }, attributes: ['id', 'className', 'section', 'classTeacherId'], transaction });
+    if (!cls) {
+        throw new Error('NOT_FOUND: Class not found');
+    }
+    if (!canGradeClass(cls, access)) {
+        throw new Error('INSUFFICIENT_PERMISSIONS: Report card remarks are written by the class teacher');
+    }
+    return { exam, cls };
+};
+
+const loadRoster = (tenantId, classId, transaction) => Student.findAll({
+    where: { tenantId, classId, status: 'active' },
+    attributes: ['id', 'admissionNo', 'rollNumber', 'firstName', 'lastName', 'studentName'],
+    order: [['rollNumber', 'ASC'], ['firstName', 'ASC'], ['lastName', 'ASC']],
+    transaction
+});
+
+/**
+ * The class teacher's remarks on a class for an exam term
+ *
+ * @param {Object} access - { teacherId, classIds } for teachers, null for tenant-wide callers
+ * @returns {Promise<Object>} { exam, class, students: [{ studentId, name, remarks }] }
+ */
+async function getClassRemarks(tenantId, examId, classId, access) {
+    const { exam, cls } = await loadRemarksContext(tenantId, examId, classId, access);
+    const students = await loadRoster(tenantId, classId);
+    const rows = await ReportCardRemark.findAll({ where: { tenantId, examId, classId }, attributes: ['studentId', 'remarks'] });
+    const byStudent = new Map(rows.map(r => [r.studentId, r.remarks]));
+
+    return {
+        exam: { id: exam.id, name: exam.name, academicSession: exam.academicSession },
+        class: { id: cls.id, className: cls.className, section: cls.section },
+        students: students.map(s => ({
+            studentId: s.id,
+            admissionNo: s.admissionNo,
+            rollNumber: s.rollNumber,
+            name: studentName(s),
+            remarks: byStudent.get(s.id) || null
+        }))
+    };
+}
+
+/**
+ * Write remarks for students of a class. Empty remarks clear a student's remarks; students
+ * left out keep theirs.
+ *
+ * @param {Object} data - { classId, entries: [{ studentId, remarks }] }
+ * @returns {Promise<Object>} { saved, cleared }
+ */
+async function saveClassRemarks(tenantId, examId, data, userId, access) {
+    if (!Array.isArray(data.entries) || data.entries.length === 0) {
+        throw new Error('VALIDATION_ERROR: entries must be a non-empty array');
+    }
+
+    return sequelize.transaction(async (transaction) => {
+        await loadRemarksContext(tenantId, examId, data.classId, access, transaction);
+        const roster = new Set((await loadRoster(tenantId, data.classId, transaction)).map(s => s.id));
+
+        const seen = new Set();
+        const plan = data.entries.map((entry, i) => {
+            if (!roster.has(entry.studentId)) {
+                throw new Error(`VALIDATION_ERROR: entries[${i}]: the student is not an active student of the class`);
+            }
+            if (seen.has(entry.studentId)) {
+                throw new Error(`VALIDATION_ERROR: entries[${i}]: the student appears more than once`);
+            }
+            seen.add(entry.studentId);
+            const remarks = entry.remarks ? String(entry.remarks).trim() : '';
+            if (remarks.length > MAX_REMARKS_LENGTH) {
+                throw new Error(`VALIDATION_ERROR: entries[${i}]: remarks must be at most ${MAX_REMARKS_LENGTH} characters`);
+            }
+            return { studentId: entry.studentId, remarks: remarks || null };
+        });
+
+        const existing = await ReportCardRemark.findAll({
+            where: { tenantId, examId, studentId: { [Op.in]: plan.map(p => p.studentId) } },
+            transaction
+        });
+        const existingByStudent = new Map(existing.map(r => [r.studentId, r]));
+
+        let saved = 0;
+        let cleared = 0;
+        for (const p of plan) {
+            const row = existingByStudent.get(p.studentId);
+            if (!p.remarks) {
+                if (row) {
+                    await row.destroy({ transaction });
+                    cleared += 1;
+                }
+                continue;
+            }
+            const fields = { remarks: p.remarks, classId: data.classId, enteredBy: userId || null };
+            if (row) {
+                await row.update(fields, { transaction });
+            } else {
+                await ReportCardRemark.create({ ...fields, tenantId, examId, studentId: p.studentId }, { transaction });
+            }
+            saved += 1;
+        }
+
+        logger.info(`[REPORT_CARDS] Remarks for exam ${examId}, class ${data.classId}: ${saved} saved, ${cleared} cleared`);
+        return { saved, cleared };
+    });
+}
+
+// ========== CARDS ==========
+
+/**
+ * Present / late / absent / excused days per student in a class, as { studentId: counts }
+ */
+async function countAttendance(tenantId, classId, studentIds, { from, to }) {
+    const where = { tenantId, classId, studentId: { [Op.in]: studentIds } };
+    if (from && to) where.attendanceDate = { [Op.between]: [from, to] };
+    else if (from) where.attendanceDate = { [Op.gte]: from };
+    else if (to) where.attendanceDate = { [Op.lte]: to };
+
+    const groups = await Attendance.findAll({
+        where,
+        attributes: ['studentId', 'status', [fn('COUNT', col('id')), 'days']],
+        group: ['studentId', 'status'],
+        raw: true
+    });
+    const counts = {};
+    groups.forEach(g => {
+        if (!counts[g.studentId]) counts[g.studentId] = {};
+        counts[g.studentId][g.status] = Number(g.days);
+    });
+    return counts;
+}
+
+const dateText = (value) => (value ? String(value instanceof Date ? value.toISOString() : value).slice(0, 10) : null);
+
+/**
+ * Cards of some students of a class for a session
+ *
+ * @param {Object} cls - Class ({ id, className, section })
+ * @param {Array} students - Student rows of the class
+ * @param {Object} options - { academicSession, from, to }
+ * @returns {Promise<Object>} { academicSession, class, scheme, exams, attendanceRange, cards }
+ */
+async function buildCards(tenantId, cls, students, { academicSession, from = null, to = null }) {
+    const exams = await Exam.findAll({
+        where: { tenantId, academicSession },
+        attributes: ['id', 'name', 'examType', 'startDate', 'endDate'],
+        order: [['startDate', 'ASC'], ['createdAt', 'ASC']]
+    });
+    const scheme = await gradingService.resolveScheme(tenantId, { classId: cls.id, academicSession });
+    const { papers, rowsByStudent } = exams.length
+        ? await examMarksService.loadClassMarks(tenantId, exams.map(e => e.id), cls.id)
+        : { papers: [], rowsByStudent: new Map() };
+
+    // Terms without papers for the class are left off the card
+    const paperExamIds = new Set(papers.map(p => p.examId));
+    const written = exams.filter(e => paperExamIds.has(e.id));
+    const examIds = written.map(e => e.id);
+    const studentIds = students.map(s => s.id);
+
+    const lastDay = written.map(e => dateText(e.endDate)).filter(Boolean).sort().pop() || null;
+    const range = { from: from || null, to: to || lastDay };
+
+    const [coScholastic, remarks, attendance] = studentIds.length === 0 ? [[], [], {}] : await Promise.all([
+        examIds.length ? CoScholasticGrade.findAll({
+            where: { tenantId, examId: { [Op.in]: examIds }, studentId: { [Op.in]: studentIds } },
+            attributes: ['studentId', 'examId', 'area', 'grade']
+        }) : [],
+        examIds.length ? ReportCardRemark.findAll({
+            where: { tenantId, examId: { [Op.in]: examIds }, studentId: { [Op.in]: studentIds } },
+            attributes: ['studentId', 'examId', 'remarks']
+        }) : [],
+        countAttendance(tenantId, cls.id, studentIds, range)
+    ]);
+
+    const group = (rows) => {
+        const byStudent = new Map();
+        rows.forEach(r => {
+            if (!byStudent.has(r.studentId)) byStudent.set(r.studentId, []);
+            byStudent.get(r.studentId).push(r);
+        });
+        return byStudent;
+    };
+    const coScholasticByStudent = group(coScholastic);
+    const remarksByStudent = group(remarks);
+
+    const cards = students.map(s => {
+        const rows = rowsByStudent.get(s.id) || new Map();
+        const terms = written.map(e => ({
+            examId: e.id,
+            result: examMarksService.studentResult(papers.filter(p => p.examId === e.id), rows, scheme.bands)
+        }));
+        const studentRemarks = remarksByStudent.get(s.id) || [];
+
+        return {
+            student: {
+                id: s.id,
+                name: studentName(s),
+                admissionNo: s.admissionNo,
+                rollNumber: s.rollNumber,
+                dateOfBirth: dateText(s.dateOfBirth),
+                parentName: s.fatherName || s.motherName || s.guardianName || null
+            },
+            scholastic: combineTerms(terms),
+            coScholastic: coScholasticByArea(coScholasticByStudent.get(s.id) || []),
+            attendance: attendanceTotals(attendance[s.id]),
+            remarks: written
+                .map(e => ({ examId: e.id, examName: e.name, remarks: (studentRemarks.find(r => r.examId === e.id) || {}).remarks }))
+                .filter(r => r.remarks)
+        };
+    });
+
+    return {
+        academicSession,
+        class: { id: cls.id, className: cls.className, section: cls.section },
+        scheme: { id: scheme.id, name: scheme.name, maxGradePoint: scheme.maxGradePoint },
+        exams: written.map(e => ({ id: e.id, name: e.name, examType: e.examType })),
+        attendanceRange: range,
+        cards
+    };
+}
+
+const CARD_STUDENT_ATTRIBUTES = ['id', 'classId', 'admissionNo', 'rollNumber', 'firstName', 'lastName', 'studentName',
+    'dateOfBirth', 'fatherName', 'motherName', 'guardianName'];
+
+/**
+ * Report cards of a class's active students
+ *
+ * @param {Object} options - { classId, academicSession, from, to }
+ * @param {Object} access - { teacherId, classIds } for teachers, null for tenant-wide callers
+ */
+async function getClassCards(tenantId, { classId, academicSession, from, to }, access) {
+    const cls = await Class.findOne({ where: { id: classId, tenantId }, attributes: ['id', 'className', 'section', 'classTeacherId'] });
+    if (!cls) {
+        throw new Error('NOT_FOUND: Class not found');
+    }
+    if (!examMarksService.canSeeClass(cls, access)) {
+        throw new Error('INSUFFICIENT_PERMISSIONS: You are not a teacher of this class');
+    }
+    const students = await Student.findAll({
+        where: { tenantId, classId, status: 'active' },
+        attributes: CARD_STUDENT_ATTRIBUTES,
+        order: [['rollNumber', 'ASC'], ['firstName', 'ASC'], ['lastName', 'ASC']]
+    });
+    return buildCards(tenantId, cls, students, { academicSession, from, to });
+}
+
+/**
+ * Report card of one student, in their current class
+ *
+ * @param {Object} options - { academicSession, from, to }
+ * @param {Object} access - null for tenant-wide callers, { teacherId, classIds } for teachers,
+ *                          { studentIds } for parents and students (their linked students)
+ */
+async function getStudentCard(tenantId, studentId, { academicSession, from, to }, access) {
+    if (access && access.studentIds && !access.studentIds.includes(studentId)) {
+        throw new Error('NOT_FOUND: Student not found');
+    }
+    const student = await Student.findOne({ where: { id: studentId, tenantId }, attributes: CARD_STUDENT_ATTRIBUTES });
+    if (!student) {
+        throw new Error('NOT_FOUND: Student not found');
+    }
+    if (!student.classId) {
+        throw new Error('VALIDATION_ERROR: The student is not in a class');
+    }
+    const cls = await Class.findOne({ where: { id: student.classId, tenantId }, attributes: ['id', 'className', 'section', 'classTeacherId'] });
+    if (!cls) {
+        throw new Error('NOT_FOUND: Class not found');
+    }
+    if (access && !access.studentIds && !examMarksService.canSeeClass(cls, access)) {
+        throw new Error('INSUFFICIENT_PERMISSIONS: You are not a teacher of this student\'s class');
+    }
+    return buildCards(tenantId, cls, [student], { academicSession, from, to });
+}
+
+module.exports = {
+    SECTIONS,
+    BUILT_IN_TEMPLATE,
+    validateTemplate,
+    combineTerms,
+    coScholasticByArea,
+    attendanceTotals,
+    listTemplates,
+    getTemplateById,
+    createTemplate,
+    updateTemplate,
+    deleteTemplate,
+    resolveTemplate,
+    getClassRemarks,
+    saveClassRemarks,
+    getClassCards,
+    getStudentCard
+};
@@ -259,7 +259,7 @@ const LEVEL_TO_ACTIONS = {
     'none': [],
     'read': ['read'],
     'limited': ['read'], // Limited typically means read-only with row-level filtering
-    'full': ['create', 'read', 'update', 'delete']
+    'full': ['create', 'read', 'update', 'delete', 'export'] // same as scripts/seedRBAC.js
 };
 
 /**
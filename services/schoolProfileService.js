@@ -0,0 +1,109 @@
+/**
+ * School Profile Service
+ *
+ * The school's name, address and tax registration printed on invoices and credit notes, and
+ * the logo printed on report cards.
+ */
+const Tenant = require('../models/Tenant');
+const SchoolProfile = require('../models/SchoolProfile');
+const { s3Client, bucket: S3_BUCKET, uploadBufferToS3, downloadBufferFromS3 } = require('../config/s3');
+const { generateS3Key, deleteS3Object, buildProxyUrl } = require('../utils/s3Helper');
+const logger = require('../config/logger');
+
+// pdfkit embeds PNG and JPEG only
+const LOGO_MIME_TYPES = ['image/png', 'image/jpeg', 'image/jpg'];
+
+const PROFILE_FIELDS = ['displayName', 'tagline', 'addressLine1', 'addressLine2', 'city', 'state', 'postalCode',
+    'country', 'phone', 'email', 'website', 'taxLabel', 'taxRegistrationNo', 'invoiceTerms'];
+
+/**
+ * Profile of a tenant, falling back to the tenant name when none was saved
+ *
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Object>} Plain profile with displayName always set, plus logoUrl (image proxy)
+ */
+async function getProfile(tenantId) {
+    const [profile, tenant] = await Promise.all([
+        SchoolProfile.findByPk(tenantId),
+        Tenant.findByPk(tenantId, { attributes: ['name'] })
+    ]);
+
+    const data = profile ? profile.get({ plain: true }) : { tenantId, taxLabel: 'GSTIN' };
+    if (!data.displayName) data.displayName = tenant ? tenant.name : '';
+    data.logoUrl = buildProxyUrl(data.logoKey);
+    return data;
+}
+
+async function updateProfile(tenantId, updates) {
+    const fields = {};
+    PROFILE_FIELDS.forEach(k => {
+        if (updates[k] !== undefined) fields[k] = updates[k] === '' ? null : updates[k];
+    });
+    if (fields.taxLabel === null) delete fields.taxLabel;
+
+    const [profile] = await SchoolProfile.findOrCreate({ where: { tenantId }, defaults: { tenantId } });
+    await profile.update(fields);
+    return getProfile(tenantId);
+}
+
+/**
+ * Upload a new logo and drop the previous one
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} file - Multer file ({ originalname, mimetype, buffer })
+ * @returns {Promise<Object>} Profile with the new logoKey
+ */
+async function setLogo(tenantId, file) {
+    if (!file || !file.buffer) {
+        throw new Error('VALIDATION_ERROR: logo file is required');
+    }
+    if (!LOGO_MIME_TYPES.includes(String(file.mimetype).toLowerCase())) {
+        throw new Error('VALIDATION_ERROR: logo must be a PNG or JPEG image');
+    }
+
+    const key = generateS3Key(tenantId, 'school', tenantId, 'logo', file.originalname);
+    await uploadBufferToS3(s3Client, S3_BUCKET, key, file.buffer, file.mimetype);
+
+    const [profile] = await SchoolProfile.findOrCreate({ where: { tenantId }, defaults: { tenantId } });
+    const previous = profile.logoKey;
+    await profile.update({ logoKey: key });
+    if (previous && previous !== key) await deleteS3Object(s3Client, S3_BUCKET, previous, tenantId, { entityType: 'school', category: 'logo', action: 'DELETE_OLD_LOGO' });
+    return getProfile(tenantId);
+}
+
+async function removeLogo(tenantId) {
+    const profile = await SchoolProfile.findByPk(tenantId);
+    if (profile && profile.logoKey) {
+        const previous = profile.logoKey;
+        await profile.update({ logoKey: null });
+        await deleteS3Object(s3Client, S3_BUCKET, previous, tenantId, { entityType: 'school', category: 'logo', action: 'DELETE_OLD_LOGO' });
+    }
+    return getProfile(tenantId);
+}
+
+/**
+ * The logo's bytes for printing, or null when there is none or it cannot be fetched
+ * (documents are still printed without it)
+ *
+ * @param {Object} profile - Profile from getProfile
+ * @returns {Promise<Buffer|null>}
+ */
+async function loadLogo(profile) {
+    if (!profile || !profile.logoKey) return null;
+    try {
+        return await downloadBufferFromS3(s3Client, S3_BUCKET, profile.logoKey);
+    } catch (e) {
+        logger.warn(`[SCHOOL_PROFILE] Logo ${profile.logoKey} could not be loaded: ${e.message}`);
+        return null;
+    }
+}
+
+module.exports = {
+    PROFILE_FIELDS,
+    LOGO_MIME_TYPES,
+    getProfile,
+    updateProfile,
+    setLogo,
+    removeLogo,
+    loadLogo
+};
@@ -1,2 +1,75 @@
-// Placeholder service: smsService.js
-module.exports = {};
+/**
+ * SMS Service
+ *
+ * Sends one text message through the configured provider. Used by the notifications job
+ * (notificationService.dispatchDue); features queue messages rather than calling this directly.
+ *
+ * Environment:
+ *   SMS_PROVIDER=log            'log' writes messages to the log only (default), 'aws' sends through Amazon SNS
+ *   SMS_DEFAULT_COUNTRY_CODE    prefix for numbers stored without one (default +91)
+ *   SMS_SENDER_ID               optional alphanumeric sender ID, where the destination country supports it
+ *   AWS_REGION                  SNS region (default ap-south-1); credentials come from the usual AWS variables
+ */
+const logger = require('../config/logger');
+
+let snsClient = null;
+
+const provider = () => (process.env.SMS_PROVIDER || 'log').toLowerCase();
+
+/**
+ * A phone number in E.164 form, or null when it cannot be one
+ *
+ * @param {String} phone - Number as stored on the parent (spaces, dashes and a trunk 0 allowed)
+ * @param {String} defaultCountryCode - e.g. '+91', used when the number has no country code
+ * @returns {String|null}
+ */
+function toE164(phone, defaultCountryCode = process.env.SMS_DEFAULT_COUNTRY_CODE || '+91') {
+    if (!phone) return null;
+    let number = String(phone).trim().replace(/[\s\-().]/g, '');
+    if (number.startsWith('00')) number = `+${number.slice(2)}`;
+    if (!number.startsWith('+')) {
+        number = `+${String(defaultCountryCode).replace(/\D/g, '')}${number.replace(/^0+/, '')}`;
+    }
+    return /^\+[1-9]\d{7,14}$/.test(number) ? number : null;
+}
+
+function getSnsClient() {
+    if (!snsClient) {
+        const SNS = require('aws-sdk/clients/sns');
+        snsClient = new SNS({ region: process.env.AWS_REGION || 'ap-south-1' });
+    }
+    return snsClient;
+}
+
+/**
+ * Send a text message
+ *
+ * @param {Object} message - { to, body }
+ * @returns {Promise<Object>} { providerMessageId }
+ */
+async function sendSms({ to, body }) {
+    const number = toE164(to);
+    if (!number) {
+        throw new Error(`Invalid phone number: ${to}`);
+    }
+
+    switch (provider()) {
+        case 'log':
+            logger.info(`[SMS] To ${number}: ${body}`);
+            return { providerMessageId: null };
+        case 'aws': {
+            const attributes = {
+                'AWS.SNS.SMS.SMSType': { DataType: 'String', StringValue: 'Transactional' }
+            };
+            if (process.env.SMS_SENDER_ID) {
+                attributes['AWS.SNS.SMS.SenderID'] = { DataType: 'String', StringValue: process.env.SMS_SENDER_ID };
+            }
+            const result = await getSnsClient().publish({ PhoneNumber: number, Message: body, MessageAttributes: attributes }).promise();
+            return { providerMessageId: result.MessageId || null };
+        }
+        default:
+            throw new Error(`Unknown SMS_PROVIDER: ${provider()}`);
+    }
+}
+
+module.exports = { toE164, sendSms };
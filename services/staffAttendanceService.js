@@ -0,0 +1,780 @@
+/**
+ * Staff Attendance Service
+ *
+ * Check-in / check-out of staff members and teachers, evaluated against their work shift
+ * (Staff.workShift / Teacher.workShift, timings in StaffShift). Check-in opens two hours
+ * before the shift starts and closes when it ends; a check-in after the late grace period is
+ * a late arrival and a check-out before the early-leave grace period an early departure.
+ *
+ * Shift timings are wall-clock times in the school's time zone (AttendanceSetting.timezone).
+ * A day belongs to the date its shift starts on, so a night shift is one row.
+ *
+ * Monthly sheets list every employee's days with loss-of-pay days (absent + half of half
+ * days + days of unpaid leave), which payroll uses when disbursing salaries
+ * (accountingService.disbursePayroll). Unrecorded days of approved leave (staffLeaveService)
+ * show as on leave.
+ */
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../config/logger');
+const StaffAttendance = require('../models/StaffAttendance');
+const StaffShift = require('../models/StaffShift');
+const StaffLeave = require('../models/StaffLeave');
+const LeaveType = require('../models/LeaveType');
+const Staff = require('../models/Staff');
+const Teacher = require('../models/Teacher');
+const { getSettings } = require('./attendanceService');
+const { isoWeekday } = require('./timetableService');
+const { toCents, fromCents } = require('../utils/feeStatus');
+require('../models'); // register associations used by the includes below
+
+const EMPLOYEE_TYPES = ['staff', 'teacher'];
+const SHIFT_NAMES = ['Morning', 'Afternoon', 'Night'];
+const STAFF_ATTENDANCE_STATUSES = ['present', 'half_day', 'absent', 'on_leave', 'holiday'];
+
+// Days HR records without times
+const NON_WORKING_STATUSES = ['absent', 'on_leave', 'holiday'];
+
+const DEFAULT_SHIFTS = {
+    Morning: { startTime: '08:00:00', endTime: '14:00:00' },
+    Afternoon: { startTime: '13:00:00', endTime: '19:00:00' },
+    Night: { startTime: '20:00:00', endTime: '06:00:00' }
+};
+const DEFAULT_SHIFT_RULES = { lateGraceMinutes: 10, earlyLeaveGraceMinutes: 10, halfDayMinutes: 240 };
+
+// Check-in opens this long before a shift starts
+const EARLY_CHECK_IN_MINUTES = 120;
+// Check-out stays open this long after a shift ends
+const LATE_CHECK_OUT_MINUTES = 240;
+
+const DAY_MINUTES = 24 * 60;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const addDays = (date, days) => {
+    const d = new Date(`${String(date).slice(0, 10)}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() + days);
+    return d.toISOString().slice(0, 10);
+};
+
+const fullName = (e) => [e.firstName, e.lastName].filter(Boolean).join(' ');
+
+// ========== TIME HELPERS (pure) ==========
+
+/**
+ * Minutes since midnight of a time of day
+ *
+ * @param {String} time - HH:MM or HH:MM:SS
+ * @returns {Number}
+ */
+function toMinutes(time) {
+    const [h, m] = String(time).split(':').map(Number);
+    return h * 60 + m;
+}
+
+/**
+ * Wall-clock date and minute of an instant in a time zone
+ *
+ * @param {Date} instant - Point in time
+ * @param {String} timeZone - IANA time zone
+ * @returns {Object} { date: YYYY-MM-DD, minutes }
+ */
+function localClock(instant, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(instant);
+    const get = (type) => parts.find(p => p.type === type).value;
+    return { date: `${get('year')}-${get('month')}-${get('day')}`, minutes: Number(get('hour')) * 60 + Number(get('minute')) };
+}
+
+/**
+ * The instant a wall-clock date and minute happen in a time zone
+ *
+ * @param {String} date - YYYY-MM-DD
+ * @param {Number} minutes - Minutes since local midnight
+ * @param {String} timeZone - IANA time zone
+ * @returns {Date}
+ */
+function zonedInstant(date, minutes, timeZone) {
+    const guess = Date.parse(`${date}T00:00:00Z`) + minutes * 60000;
+    const clock = localClock(new Date(guess), timeZone);
+    const offset = Date.parse(`${clock.date}T00:00:00Z`) + clock.minutes * 60000 - guess;
+    return new Date(guess - offset);
+}
+
+/**
+ * Length of a shift in minutes; shifts ending before they start run overnight
+ */
+function shiftDurationMinutes(shift) {
+    const duration = toMinutes(shift.endTime) - toMinutes(shift.startTime);
+    return duration > 0 ? duration : duration + DAY_MINUTES;
+}
+
+/**
+ * Which shift day a local clock reading falls in, if check-in (or, with closeAfterMinutes,
+ * check-out) is open
+ *
+ * @param {Object} clock - { date, minutes } from localClock
+ * @param {Object} shift - { startTime, endTime }
+ * @param {Number} closeAfterMinutes - How long after the shift ends the window stays open
+ * @returns {Object|null} { attendanceDate, minutesFromStart } or null outside the window
+ */
+function locateShift(clock, shift, closeAfterMinutes = 0) {
+    const start = toMinutes(shift.startTime);
+    const duration = shiftDurationMinutes(shift);
+
+    // Today's shift first, then yesterday's for overnight shifts still running
+    for (const offsetDays of [0, -1]) {
+        const minutesFromStart = clock.minutes - (start + offsetDays * DAY_MINUTES);
+        if (minutesFromStart >= -EARLY_CHECK_IN_MINUTES && minutesFromStart < duration + closeAfterMinutes) {
+            return { attendanceDate: addDays(clock.date, offsetDays), minutesFromStart };
+        }
+    }
+    return null;
+}
+
+/**
+ * Late arrival, early departure, worked time and status of a day
+ *
+ * @param {Object} day - { shiftStartAt, shiftEndAt, checkInAt, checkOutAt }
+ * @param {Object} shift - { lateGraceMinutes, earlyLeaveGraceMinutes, halfDayMinutes }
+ * @returns {Object} { lateMinutes, earlyLeaveMinutes, workedMinutes, status }
+ */
+function evaluateDay(day, shift) {
+    const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / 60000);
+    const result = { lateMinutes: 0, earlyLeaveMinutes: 0, workedMinutes: null, status: 'present' };
+
+    if (day.checkInAt && day.shiftStartAt) {
+        const late = minutesBetween(day.shiftStartAt, day.checkInAt);
+        if (late > shift.lateGraceMinutes) result.lateMinutes = late;
+    }
+    if (day.checkInAt && day.checkOutAt) {
+        result.workedMinutes = Math.max(0, minutesBetween(day.checkInAt, day.checkOutAt));
+        if (result.workedMinutes < shift.halfDayMinutes) result.status = 'half_day';
+
+        if (day.shiftEndAt) {
+            const early = minutesBetween(day.checkOutAt, day.shiftEndAt);
+            if (early > shift.earlyLeaveGraceMinutes) result.earlyLeaveMinutes = early;
+        }
+    }
+    return result;
+}
+
+// ========== MONTHLY SHEET (pure) ==========
+
+/**
+ * Dates of a month
+ *
+ * @param {String} month - YYYY-MM
+ * @returns {Array<String>} YYYY-MM-DD
+ */
+function daysOfMonth(month) {
+    const [year, mon] = month.split('-').map(Number);
+    const count = new Date(Date.UTC(year, mon, 0)).getUTCDate();
+    return Array.from({ length: count }, (_, i) => `${month}-${String(i + 1).padStart(2, '0')}`);
+}
+
+/**
+ * Attendance sheet of employees for a month
+ *
+ * Days without a record are weekly offs, days of approved leave, or absences once they are
+ * past. Days before an employee joined (or after they left) and days still to come are left
+ * empty (null), except approved leave ahead.
+ *
+ * @param {String} month - YYYY-MM
+ * @param {Array} employees - [{ employeeType, employeeId, name, code, department, workShift, dateOfJoining, dateOfLeaving }]
+ * @param {Array} records - StaffAttendance rows of the month
+ * @param {Object} options - { weeklyOffDays, asOf, leaves: approved [{ employeeType, employeeId, fromDate, toDate, isPaid }] }
+ * @returns {Object} { month, dates, rows: [{ ...employee, days: [{ date, status, lateMinutes, earlyLeaveMinutes }], summary }] }
+ */
+function buildMonthlySheet(month, employees, records, { weeklyOffDays = [7], asOf, leaves = [] } = {}) {
+    const dates = daysOfMonth(month);
+    const byEmployee = new Map();
+    records.forEach(r => {
+        const key = `${r.employeeType}:${r.employeeId}`;
+        if (!byEmployee.has(key)) byEmployee.set(key, new Map());
+        byEmployee.get(key).set(String(r.attendanceDate).slice(0, 10), r);
+    });
+    const leavesByEmployee = new Map();
+    leaves.forEach(l => {
+        const key = `${l.employeeType}:${l.employeeId}`;
+        if (!leavesByEmployee.has(key)) leavesByEmployee.set(key, []);
+        leavesByEmployee.get(key).push(l);
+    });
+
+    const rows = employees.map(employee => {
+        const key = `${employee.employeeType}:${employee.employeeId}`;
+        const recorded = byEmployee.get(key) || new Map();
+        const employeeLeaves = leavesByEmployee.get(key) || [];
+        const summary = {
+            workingDays: 0, present: 0, halfDay: 0, absent: 0, onLeave: 0, unpaidLeave: 0, holiday: 0, weeklyOff: 0,
+            late: 0, earlyLeave: 0, lateMinutes: 0, lopDays: 0
+        };
+
+        const days = dates.map(date => {
+            const record = recorded.get(date);
+            const leave = employeeLeaves.find(l => String(l.fromDate).slice(0, 10) <= date && String(l.toDate).slice(0, 10) >= date);
+            let status = null;
+            if (record) {
+                status = record.status;
+            } else if ((employee.dateOfJoining && date < String(employee.dateOfJoining).slice(0, 10))
+                || (employee.dateOfLeaving && date > String(employee.dateOfLeaving).slice(0, 10))) {
+                status = null;
+            } else if (weeklyOffDays.includes(isoWeekday(date))) {
+                status = asOf && date > asOf ? null : 'weekly_off';
+            } else if (leave) {
+                status = 'on_leave';
+                if (!leave.isPaid) summary.unpaidLeave += 1;
+            } else if (asOf && date > asOf) {
+                status = null;
+            } else {
+                status = 'absent';
+            }
+
+            if (status === 'present') summary.present += 1;
+            if (status === 'half_day') summary.halfDay += 1;
+            if (status === 'absent') summary.absent += 1;
+            if (status === 'on_leave') summary.onLeave += 1;
+            if (status === 'holiday') summary.holiday += 1;
+            if (status === 'weekly_off') summary.weeklyOff += 1;
+            if (['present', 'half_day', 'absent', 'on_leave'].includes(status)) summary.workingDays += 1;
+
+            const lateMinutes = record ? record.lateMinutes || 0 : 0;
+            const earlyLeaveMinutes = record ? record.earlyLeaveMinutes || 0 : 0;
+            if (lateMinutes > 0) {
+                summary.late += 1;
+                summary.lateMinutes += lateMinutes;
+            }
+            if (earlyLeaveMinutes > 0) summary.earlyLeave += 1;
+
+            return { date, status, lateMinutes, earlyLeaveMinutes };
+        });
+
+        summary.lopDays = summary.absent + summary.halfDay / 2 + summary.unpaidLeave;
+        return { ...employee, days, summary };
+    });
+
+    return { month, dates, rows };
+}
+
+/**
+ * Salary deducted for loss-of-pay days, pro rata over the calendar days of the month
+ *
+ * @param {Number|String} basicSalary - Monthly salary
+ * @param {Number} lopDays - Loss-of-pay days
+ * @param {Number} daysInMonth - Calendar days of the month
+ * @returns {String} Deduction (2 decimals)
+ */
+function lossOfPayAmount(basicSalary, lopDays, daysInMonth) {
+    if (!lopDays || !daysInMonth) return fromCents(0);
+    const cents = Math.round((toCents(basicSalary) * Math.min(lopDays, daysInMonth)) / daysInMonth);
+    return fromCents(cents);
+}
+
+// ========== SHIFTS ==========
+
+/**
+ * Timings of every shift, with the defaults for shifts the tenant has not configured
+ *
+ * @param {String} tenantId - Tenant ID
+ * @returns {Promise<Array>} [{ name, startTime, endTime, lateGraceMinutes, earlyLeaveGraceMinutes, halfDayMinutes, configured }]
+ */
+async function getShifts(tenantId) {
+    const rows = await StaffShift.findAll({ where: { tenantId } });
+    const byName = new Map(rows.map(r => [r.name, r.get({ plain: true })]));
+
+    return SHIFT_NAMES.map(name => {
+        const row = byName.get(name);
+        return row
+            ? { ...row, configured: true }
+            : { name, ...DEFAULT_SHIFTS[name], ...DEFAULT_SHIFT_RULES, configured: false };
+    });
+}
+
+async function getShift(tenantId, name) {
+    const shifts = await getShifts(tenantId);
+    return shifts.find(s => s.name === name) || null;
+}
+
+/**
+ * Set the timings of a shift
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} name - Morning, Afternoon or Night
+ * @param {Object} updates - { startTime, endTime, lateGraceMinutes, earlyLeaveGraceMinutes, halfDayMinutes }
+ */
+async function updateShift(tenantId, name, updates) {
+    if (!SHIFT_NAMES.includes(name)) {
+        throw new Error(`VALIDATION_ERROR: shift must be one of: ${SHIFT_NAMES.join(', ')}`);
+    }
+
+    const current = await getShift(tenantId, name);
+    const merged = { ...current };
+    ['startTime', 'endTime', 'lateGraceMinutes', 'earlyLeaveGraceMinutes', 'halfDayMinutes'].forEach(k => {
+        if (updates[k] !== undefined) merged[k] = updates[k];
+    });
+
+    ['startTime', 'endTime'].forEach(k => {
+        if (!TIME_PATTERN.test(merged[k])) {
+            throw new Error(`VALIDATION_ERROR: ${k} must be a time (HH:MM)`);
+        }
+    });
+    if (toMinutes(merged.startTime) === toMinutes(merged.endTime)) {
+        throw new Error('VALIDATION_ERROR: endTime must differ from startTime');
+    }
+    ['lateGraceMinutes', 'earlyLeaveGraceMinutes', 'halfDayMinutes'].forEach(k => {
+        const value = Number(merged[k]);
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`VALIDATION_ERROR: ${k} must be a non-negative whole number`);
+        }
+        merged[k] = value;
+    });
+    if (merged.halfDayMinutes > shiftDurationMinutes(merged)) {
+        throw new Error('VALIDATION_ERROR: halfDayMinutes cannot exceed the length of the shift');
+    }
+
+    const fields = {
+        startTime: merged.startTime,
+        endTime: merged.endTime,
+        lateGraceMinutes: merged.lateGraceMinutes,
+        earlyLeaveGraceMinutes: merged.earlyLeaveGraceMinutes,
+        halfDayMinutes: merged.halfDayMinutes
+    };
+    const [row, created] = await StaffShift.findOrCreate({ where: { tenantId, name }, defaults: { tenantId, name, ...fields } });
+    if (!created) await row.update(fields);
+    return { ...row.get({ plain: true }), configured: true };
+}
+
+// ========== EMPLOYEES ==========
+
+const EMPLOYEE_ATTRIBUTES = ['id', 'userId', 'firstName', 'lastName', 'workShift', 'dateOfJoining', 'status'];
+
+/**
+ * The staff or teacher profile linked to a login
+ *
+ * @returns {Promise<Object>} { employeeType, employee }
+ */
+async function resolveEmployee(tenantId, userId) {
+    const staff = await Staff.findOne({ where: { tenantId, userId, status: 'active' }, attributes: EMPLOYEE_ATTRIBUTES });
+    if (staff) return { employeeType: 'staff', employee: staff };
+
+    const teacher = await Teacher.findOne({ where: { tenantId, userId, status: { [Op.in]: ['active', 'on-leave'] } }, attributes: EMPLOYEE_ATTRIBUTES });
+    if (teacher) return { employeeType: 'teacher', employee: teacher };
+
+    throw new Error('NOT_FOUND: No active staff or teacher profile is linked to your account');
+}
+
+async function loadEmployee(tenantId, employeeType, employeeId) {
+    if (!EMPLOYEE_TYPES.includes(employeeType)) {
+        throw new Error('VALIDATION_ERROR: employeeType must be staff or teacher');
+    }
+    const Model = employeeType === 'teacher' ? Teacher : Staff;
+    const employee = await Model.findOne({ where: { id: employeeId, tenantId }, attributes: EMPLOYEE_ATTRIBUTES });
+    if (!employee) {
+        throw new Error(`NOT_FOUND: ${employeeType === 'teacher' ? 'Teacher' : 'Staff member'} not found`);
+    }
+    return employee;
+}
+
+async function shiftOf(tenantId, employee) {
+    if (!employee.workShift) {
+        throw new Error('VALIDATION_ERROR: No work shift is assigned; ask HR to set workShift on the profile');
+    }
+    return getShift(tenantId, employee.workShift);
+}
+
+/**
+ * Shift start and end of a shift day
+ */
+function shiftWindow(date, shift, timeZone) {
+    const shiftStartAt = zonedInstant(date, toMinutes(shift.startTime), timeZone);
+    return { shiftStartAt, shiftEndAt: new Date(shiftStartAt.getTime() + shiftDurationMinutes(shift) * 60000) };
+}
+
+// ========== CHECK-IN / CHECK-OUT ==========
+
+/**
+ * Check the caller in for their current shift
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} userId - Caller's user ID
+ * @param {Date} at - Check-in time (default now)
+ * @returns {Promise<Object>} StaffAttendance
+ */
+async function checkIn(tenantId, userId, at = new Date()) {
+    const { employeeType, employee } = await resolveEmployee(tenantId, userId);
+    const shift = await shiftOf(tenantId, employee);
+    const { timezone } = await getSettings(tenantId);
+
+    const located = locateShift(localClock(at, timezone), shift);
+    if (!located) {
+        throw new Error(`CONFLICT: Check-in for the ${shift.name} shift (${shift.startTime.slice(0, 5)}-${shift.endTime.slice(0, 5)}) opens ${EARLY_CHECK_IN_MINUTES / 60} hours before it starts and closes when it ends`);
+    }
+
+    const window = shiftWindow(located.attendanceDate, shift, timezone);
+    const existing = await StaffAttendance.findOne({
+        where: { tenantId, employeeType, employeeId: employee.id, attendanceDate: located.attendanceDate },
+        attributes: ['id', 'status', 'checkInAt']
+    });
+    if (existing) {
+        throw new Error(existing.checkInAt
+            ? `CONFLICT: You already checked in for ${located.attendanceDate}`
+            : `CONFLICT: HR has recorded ${located.attendanceDate} as ${existing.status}`);
+    }
+
+    const day = { ...window, checkInAt: at };
+    try {
+        const record = await StaffAttendance.create({
+            tenantId,
+            employeeType,
+            employeeId: employee.id,
+            userId,
+            attendanceDate: located.attendanceDate,
+            shift: shift.name,
+            ...day,
+            ...evaluateDay(day, shift),
+            source: 'self',
+            markedBy: userId
+        });
+        logger.info(`[STAFF_ATTENDANCE] ${employeeType} ${employee.id} checked in for ${located.attendanceDate}${record.lateMinutes ? ` (${record.lateMinutes} min late)` : ''}`);
+        return record;
+    } catch (err) {
+        if (err.name === 'SequelizeUniqueConstraintError') {
+            throw new Error(`CONFLICT: You already checked in for ${located.attendanceDate}`);
+        }
+        throw err;
+    }
+}
+
+/**
+ * Check the caller out of the shift day they are in: from two hours before their shift
+ * starts until four hours after it ends
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} userId - Caller's user ID
+ * @param {Date} at - Check-out time (default now)
+ * @returns {Promise<Object>} StaffAttendance
+ */
+async function checkOut(tenantId, userId, at = new Date()) {
+    const { employeeType, employee } = await resolveEmployee(tenantId, userId);
+    const current = await shiftOf(tenantId, employee);
+    const { timezone } = await getSettings(tenantId);
+
+    // An overnight shift started yesterday is located on yesterday
+    const located = locateShift(localClock(at, timezone), current, LATE_CHECK_OUT_MINUTES);
+    if (!located) {
+        throw new Error(`VALIDATION_ERROR: Check-out for the ${current.name} shift (${current.startTime.slice(0, 5)}-${current.endTime.slice(0, 5)}) closes ${LATE_CHECK_OUT_MINUTES / 60} hours after it ends; ask HR to record the day`);
+    }
+
+    return sequelize.transaction(async (transaction) => {
+        const record = await StaffAttendance.findOne({
+            where: {
+                tenantId,
+                employeeType,
+                employeeId: employee.id,
+                attendanceDate: located.attendanceDate,
+                checkInAt: { [Op.ne]: null },
+                checkOutAt: null
+            },
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+        if (!record) {
+            throw new Error(`CONFLICT: You have not checked in for ${located.attendanceDate}`);
+        }
+
+        // The day is judged by the shift it was checked in for
+        const shift = (record.shift && await getShift(tenantId, record.shift)) || current;
+        const day = { shiftStartAt: record.shiftStartAt, shiftEndAt: record.shiftEndAt, checkInAt: record.checkInAt, checkOutAt: at };
+        await record.update({ checkOutAt: at, ...evaluateDay(day, shift), markedBy: userId }, { transaction });
+
+        logger.info(`[STAFF_ATTENDANCE] ${employeeType} ${employee.id} checked out for ${record.attendanceDate}${record.earlyLeaveMinutes ? ` (${record.earlyLeaveMinutes} min early)` : ''}`);
+        return record;
+    });
+}
+
+// ========== HR RECORDS ==========
+
+/**
+ * Times, flags and status of a day recorded by HR
+ *
+ * @param {Object} data - { status, checkInAt, checkOutAt }
+ * @param {Object} shift - Shift of the day, or null when the employee has none
+ */
+function evaluateManualDay(date, data, shift, timeZone) {
+    const checkInAt = data.checkInAt ? new Date(data.checkInAt) : null;
+    const checkOutAt = data.checkOutAt ? new Date(data.checkOutAt) : null;
+
+    if (NON_WORKING_STATUSES.includes(data.status)) {
+        if (checkInAt || checkOutAt) {
+            throw new Error(`VALIDATION_ERROR: A day recorded as ${data.status} cannot have check-in or check-out times`);
+        }
+        return { status: data.status, checkInAt: null, checkOutAt: null, lateMinutes: 0, earlyLeaveMinutes: 0, workedMinutes: null };
+    }
+
+    if (checkOutAt && !checkInAt) {
+        throw new Error('VALIDATION_ERROR: checkOutAt needs a checkInAt');
+    }
+    if (checkInAt && checkOutAt && checkOutAt <= checkInAt) {
+        throw new Error('VALIDATION_ERROR: checkOutAt must be after checkInAt');
+    }
+
+    const window = shift ? shiftWindow(date, shift, timeZone) : { shiftStartAt: null, shiftEndAt: null };
+    const rules = shift || DEFAULT_SHIFT_RULES;
+    const evaluated = evaluateDay({ ...window, checkInAt, checkOutAt }, rules);
+
+    return {
+        ...window,
+        shift: shift ? shift.name : null,
+        checkInAt,
+        checkOutAt,
+        ...evaluated,
+        // An explicit present / half_day from HR wins over the worked time
+        status: data.status || evaluated.status
+    };
+}
+
+/**
+ * Record or correct an employee's day (HR)
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} data - { employeeType, employeeId, date, status, checkInAt, checkOutAt, remarks }
+ * @param {String} userId - Recording user
+ * @returns {Promise<Object>} { record, created }
+ */
+async function recordAttendance(tenantId, data, userId) {
+    const employee = await loadEmployee(tenantId, data.employeeType, data.employeeId);
+    if (data.status && !STAFF_ATTENDANCE_STATUSES.includes(data.status)) {
+        throw new Error(`VALIDATION_ERROR: status must be one of: ${STAFF_ATTENDANCE_STATUSES.join(', ')}`);
+    }
+    if (!data.status && !data.checkInAt) {
+        throw new Error('VALIDATION_ERROR: Give a status or a checkInAt');
+    }
+
+    const { timezone } = await getSettings(tenantId);
+    const shift = employee.workShift ? await getShift(tenantId, employee.workShift) : null;
+    const fields = evaluateManualDay(data.date, data, shift, timezone);
+
+    return sequelize.transaction(async (transaction) => {
+        const existing = await StaffAttendance.findOne({
+            where: { tenantId, employeeType: data.employeeType, employeeId: employee.id, attendanceDate: data.date },
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+
+        const values = {
+            ...fields,
+            remarks: data.remarks === undefined ? (existing ? existing.remarks : null) : data.remarks || null,
+            source: 'manual',
+            markedBy: userId || null
+        };
+        if (existing) {
+            await existing.update(values, { transaction });
+            return { record: existing, created: false };
+        }
+
+        const record = await StaffAttendance.create({
+            tenantId,
+            employeeType: data.employeeType,
+            employeeId: employee.id,
+            userId: employee.userId || null,
+            attendanceDate: data.date,
+            ...values
+        }, { transaction });
+        return { record, created: true };
+    });
+}
+
+/**
+ * Correct one record (HR). Times and status are re-evaluated against the day's shift.
+ *
+ * @param {Object} record - StaffAttendance the caller may see (from StaffAttendanceRepository)
+ * @param {Object} updates - { status, checkInAt, checkOutAt, remarks }
+ * @param {String} userId - Editing user
+ */
+async function updateRecord(record, updates, userId) {
+    if (updates.status && !STAFF_ATTENDANCE_STATUSES.includes(updates.status)) {
+        throw new Error(`VALIDATION_ERROR: status must be one of: ${STAFF_ATTENDANCE_STATUSES.join(', ')}`);
+    }
+
+    const merged = {
+        status: updates.status,
+        checkInAt: updates.checkInAt !== undefined ? updates.checkInAt : record.checkInAt,
+        checkOutAt: updates.checkOutAt !== undefined ? updates.checkOutAt : record.checkOutAt
+    };
+    // Moving to a non-working status clears the times unless new ones are given
+    if (NON_WORKING_STATUSES.includes(merged.status)) {
+        if (updates.checkInAt === undefined) merged.checkInAt = null;
+        if (updates.checkOutAt === undefined) merged.checkOutAt = null;
+    }
+    if (!merged.status && !merged.checkInAt) merged.status = record.status;
+
+    const { timezone } = await getSettings(record.tenantId);
+    const shiftName = record.shift || (await loadEmployee(record.tenantId, record.employeeType, record.employeeId)).workShift;
+    const shift = shiftName ? await getShift(record.tenantId, shiftName) : null;
+    const fields = evaluateManualDay(String(record.attendanceDate).slice(0, 10), merged, shift, timezone);
+
+    if (updates.remarks !== undefined) fields.remarks = updates.remarks || null;
+    return record.update({ ...fields, source: 'manual', markedBy: userId || null });
+}
+
+async function deleteRecord(record) {
+    await record.destroy();
+}
+
+// ========== MONTHLY SHEETS ==========
+
+/**
+ * Monthly attendance sheet of the tenant's staff and teachers
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} filters - { month (YYYY-MM), employeeType, employeeId, userId }
+ * @returns {Promise<Object>} { month, dates, weeklyOffDays, rows }
+ */
+async function buildSheet(tenantId, { month, employeeType, employeeId, userId } = {}) {
+    const dates = daysOfMonth(month);
+    const where = { tenantId, attendanceDate: { [Op.between]: [dates[0], dates[dates.length - 1]] } };
+    if (employeeType) where.employeeType = employeeType;
+    if (employeeId) where.employeeId = employeeId;
+    if (userId) where.userId = userId;
+
+    const leaveWhere = { tenantId, status: 'approved', fromDate: { [Op.lte]: dates[dates.length - 1] }, toDate: { [Op.gte]: dates[0] } };
+    if (employeeType) leaveWhere.employeeType = employeeType;
+    if (employeeId) leaveWhere.employeeId = employeeId;
+    if (userId) leaveWhere.userId = userId;
+
+    const [records, leaves, settings] = await Promise.all([
+        StaffAttendance.findAll({ where, attributes: ['employeeType', 'employeeId', 'attendanceDate', 'status', 'lateMinutes', 'earlyLeaveMinutes'] }),
+        StaffLeave.findAll({
+            where: leaveWhere,
+            attributes: ['employeeType', 'employeeId', 'fromDate', 'toDate'],
+            include: [{ model: LeaveType, as: 'leaveType', attributes: ['isPaid'] }]
+        }),
+        getSettings(tenantId)
+    ]);
+
+    // Current employees, plus anyone with a record in the month (e.g. left since)
+    const loadEmployees = async (type, Model, activeStatuses) => {
+        if (employeeType && employeeType !== type) return [];
+        const recordedIds = records.filter(r => r.employeeType === type).map(r => r.employeeId);
+        const employeeWhere = { tenantId, [Op.or]: [{ status: { [Op.in]: activeStatuses } }, { id: { [Op.in]: recordedIds } }] };
+        if (employeeId) employeeWhere.id = employeeId;
+        if (userId) employeeWhere.userId = userId;
+
+        const rows = await Model.findAll({
+            where: employeeWhere,
+            attributes: type === 'teacher'
+                ? [...EMPLOYEE_ATTRIBUTES, 'teacherId', 'dateOfLeaving']
+                : [...EMPLOYEE_ATTRIBUTES, 'department', 'designation'],
+            order: [['firstName', 'ASC'], ['lastName', 'ASC']]
+        });
+        return rows.map(e => ({
+            employeeType: type,
+            employeeId: e.id,
+            name: fullName(e),
+            code: type === 'teacher' ? e.teacherId : null,
+            department: type === 'teacher' ? 'Teaching' : e.department || null,
+            workShift: e.workShift || null,
+            dateOfJoining: e.dateOfJoining || null,
+            dateOfLeaving: type === 'teacher' ? e.dateOfLeaving || null : null
+        }));
+    };
+
+    const employees = [
+        ...await loadEmployees('staff', Staff, ['active']),
+        ...await loadEmployees('teacher', Teacher, ['active', 'on-leave'])
+    ];
+
+    const asOf = localClock(new Date(), settings.timezone).date;
+    const sheet = buildMonthlySheet(month, employees, records, {
+        weeklyOffDays: settings.weeklyOffDays,
+        asOf,
+        leaves: leaves.map(l => ({
+            employeeType: l.employeeType,
+            employeeId: l.employeeId,
+            fromDate: l.fromDate,
+            toDate: l.toDate,
+            isPaid: l.leaveType ? l.leaveType.isPaid : true
+        }))
+    });
+    return { ...sheet, weeklyOffDays: settings.weeklyOffDays };
+}
+
+const DAY_CODES = { present: 'P', half_day: 'HD', absent: 'A', on_leave: 'L', holiday: 'H', weekly_off: 'WO' };
+
+/**
+ * A sheet as an exportHelper report: one column per day, then the totals
+ */
+function sheetReport(sheet) {
+    const dayColumns = sheet.dates.map(date => ({ key: date, label: String(Number(date.slice(8))), align: 'center', width: 0.5 }));
+    return {
+        title: `Staff Attendance Sheet - ${sheet.month}`,
+        subtitle: 'P present, HD half day, A absent, L leave, H holiday, WO weekly off; * late arrival',
+        columns: [
+            { key: 'name', label: 'Employee', width: 3 },
+            { key: 'department', label: 'Department', width: 2 },
+            ...dayColumns,
+            { key: 'present', label: 'Present', align: 'right' },
+            { key: 'halfDay', label: 'Half Days', align: 'right' },
+            { key: 'absent', label: 'Absent', align: 'right' },
+            { key: 'onLeave', label: 'Leave', align: 'right' },
+            { key: 'unpaidLeave', label: 'Unpaid Leave', align: 'right' },
+            { key: 'late', label: 'Late', align: 'right' },
+            { key: 'earlyLeave', label: 'Early Exits', align: 'right' },
+            { key: 'lopDays', label: 'LOP Days', align: 'right' }
+        ],
+        rows: sheet.rows.map(row => {
+            const cells = { name: row.name, department: row.department, ...row.summary };
+            row.days.forEach(d => {
+                cells[d.date] = d.status ? `${DAY_CODES[d.status]}${d.lateMinutes > 0 ? '*' : ''}` : '';
+            });
+            return cells;
+        })
+    };
+}
+
+/**
+ * Loss-of-pay days of one employee for a payroll period
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} employeeType - staff or teacher
+ * @param {String} employeeId - Staff / Teacher ID
+ * @param {String} period - YYYY-MM
+ * @returns {Promise<Object>} { lopDays, daysInMonth }
+ */
+async function getLossOfPayDays(tenantId, employeeType, employeeId, period) {
+    const sheet = await buildSheet(tenantId, { month: period, employeeType, employeeId });
+    const row = sheet.rows[0];
+    return { lopDays: row ? row.summary.lopDays : 0, daysInMonth: sheet.dates.length };
+}
+
+module.exports = {
+    EMPLOYEE_TYPES,
+    SHIFT_NAMES,
+    STAFF_ATTENDANCE_STATUSES,
+    toMinutes,
+    localClock,
+    zonedInstant,
+    locateShift,
+    evaluateDay,
+    daysOfMonth,
+    buildMonthlySheet,
+    lossOfPayAmount,
+    resolveEmployee,
+    loadEmployee,
+    getShifts,
+    updateShift,
+    checkIn,
+    checkOut,
+    recordAttendance,
+    updateRecord,
+    deleteRecord,
+    buildSheet,
+    sheetReport,
+    getLossOfPayDays
+};
@@ -0,0 +1,698 @@
+/**
+ * Staff Leave Service
+ *
+ * Leave for staff members and teachers: leave types with yearly or monthly accrual and a
+ * carry-forward limit (LeaveType), yearly balances (LeaveBalance) and applications
+ * (StaffLeave) that pass through a configurable approval chain (LeaveApprovalStep), e.g.
+ * HOD then Principal. School admins may act on any step; nobody may decide their own leave.
+ *
+ * The leave year is the calendar year. A balance row is opened the first time an employee's
+ * balance of a type is needed for a year, taking the entitlement (LeaveType.annualQuota, or
+ * the employee's own casualLeaves / sickLeaves / ... when set) and the days carried over from
+ * the previous year. Final approval debits the balance; cancelling an approved leave
+ * restores it. Unpaid types have no balance and their days count as loss of pay on the
+ * monthly staff attendance sheet (staffAttendanceService).
+ */
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../config/logger');
+const StaffLeave = require('../models/StaffLeave');
+const LeaveType = require('../models/LeaveType');
+const LeaveBalance = require('../models/LeaveBalance');
+const LeaveApprovalStep = require('../models/LeaveApprovalStep');
+const Role = require('../models/Role');
+const Staff = require('../models/Staff');
+const Teacher = require('../models/Teacher');
+const { getSettings } = require('./attendanceService');
+const { isoWeekday } = require('./timetableService');
+const { EMPLOYEE_TYPES, localClock, resolveEmployee, loadEmployee } = require('./staffAttendanceService');
+require('../models'); // register associations used by the includes below
+
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+const REVIEW_DECISIONS = ['approved', 'rejected'];
+const ACCRUAL_TYPES = ['yearly', 'monthly'];
+const LEAVE_APPLIES_TO = ['all', ...EMPLOYEE_TYPES];
+
+// Staff / Teacher columns that hold an employee's own yearly entitlement
+const PROFILE_FIELDS = ['casualLeaves', 'sickLeaves', 'medicalLeaves', 'maternityLeaves'];
+
+// Opened for tenants the first time their leave types are listed
+const DEFAULT_LEAVE_TYPES = [
+    { code: 'CL', name: 'Casual Leave', annualQuota: 12, accrual: 'monthly', carryForwardLimit: 0, profileField: 'casualLeaves' },
+    { code: 'SL', name: 'Sick Leave', annualQuota: 10, accrual: 'yearly', carryForwardLimit: 10, profileField: 'sickLeaves' },
+    { code: 'ML', name: 'Medical Leave', annualQuota: 10, accrual: 'yearly', carryForwardLimit: 30, profileField: 'medicalLeaves' },
+    // Granted per employee through Teacher / Staff.maternityLeaves
+    { code: 'MAT', name: 'Maternity Leave', annualQuota: 0, accrual: 'yearly', carryForwardLimit: 0, profileField: 'maternityLeaves' },
+    { code: 'LWP', name: 'Leave Without Pay', annualQuota: 0, accrual: 'yearly', carryForwardLimit: 0, isPaid: false }
+];
+
+// Chains of tenants that have not configured one
+const DEFAULT_APPROVAL_CHAINS = {
+    staff: ['HR_MANAGER'],
+    teacher: ['PRINCIPAL']
+};
+
+const MAX_APPROVAL_STEPS = 5;
+
+const LEAVE_INCLUDES = [
+    { model: LeaveType, as: 'leaveType', attributes: ['id', 'code', 'name', 'isPaid'] }
+];
+
+const toDays = (value) => Number(value) || 0;
+
+// ========== PURE HELPERS ==========
+
+/**
+ * Round down to a whole or half day
+ */
+function roundHalfDay(days) {
+    return Math.floor(days * 2) / 2;
+}
+
+/**
+ * Days of an entitlement accrued by a date
+ *
+ * Yearly accrual credits the whole entitlement on 1 January; monthly accrual a twelfth on
+ * the first of each month, rounded down to half days.
+ *
+ * @param {String} accrual - yearly or monthly
+ * @param {Number} entitlement - Days for the whole year
+ * @param {Number} year - Leave year
+ * @param {String} asOf - YYYY-MM-DD
+ * @returns {Number}
+ */
+function accruedDays(accrual, entitlement, year, asOf) {
+    const asOfYear = Number(asOf.slice(0, 4));
+    if (asOfYear < year) return 0;
+    if (asOfYear > year || accrual !== 'monthly') return entitlement;
+    return roundHalfDay((entitlement * Number(asOf.slice(5, 7))) / 12);
+}
+
+/**
+ * Days carried into a year from the previous year's balance
+ *
+ * @param {Object} previous - LeaveBalance of the previous year, or null
+ * @param {Number} limit - LeaveType.carryForwardLimit
+ * @returns {Number}
+ */
+function carryForwardDays(previous, limit) {
+    if (!previous) return 0;
+    const unused = toDays(previous.carriedForward) + toDays(previous.entitlement) - toDays(previous.used);
+    return Math.max(0, Math.min(toDays(limit), unused));
+}
+
+/**
+ * Yearly entitlement of an employee: their own profile value when set, else the type's quota
+ *
+ * @param {Object} leaveType - { annualQuota, profileField }
+ * @param {Object} profile - Staff / Teacher with the PROFILE_FIELDS columns
+ * @returns {Number}
+ */
+function entitlementFor(leaveType, profile) {
+    const own = leaveType.profileField && profile ? toDays(profile[leaveType.profileField]) : 0;
+    return own > 0 ? own : toDays(leaveType.annualQuota);
+}
+
+/**
+ * Working days between two dates (both included), leaving out weekly offs
+ *
+ * @param {String} fromDate - YYYY-MM-DD
+ * @param {String} toDate - YYYY-MM-DD
+ * @param {Array<Number>} weeklyOffDays - ISO weekdays (1 = Monday ... 7 = Sunday)
+ * @returns {Number}
+ */
+function workingDays(fromDate, toDate, weeklyOffDays = []) {
+    let count = 0;
+    const end = Date.parse(`${toDate}T00:00:00Z`);
+    for (let t = Date.parse(`${fromDate}T00:00:00Z`); t <= end; t += 86400000) {
+        if (!weeklyOffDays.includes(isoWeekday(new Date(t).toISOString().slice(0, 10)))) count += 1;
+    }
+    return count;
+}
+
+/**
+ * Check the dates and reason of an application
+ */
+function validateApplication({ fromDate, toDate, reason }) {
+    if (!fromDate || !toDate) {
+        throw new Error('VALIDATION_ERROR: fromDate and toDate are required');
+    }
+    if (toDate < fromDate) {
+        throw new Error('VALIDATION_ERROR: toDate cannot be before fromDate');
+    }
+    if (fromDate.slice(0, 4) !== toDate.slice(0, 4)) {
+        throw new Error('VALIDATION_ERROR: A leave cannot span two leave years; apply for each year separately');
+    }
+    if (!reason || !String(reason).trim()) {
+        throw new Error('VALIDATION_ERROR: reason is required');
+    }
+}
+
+/**
+ * Normalise the role codes of an approval chain
+ *
+ * @param {Array<String>} roleCodes - e.g. ['hod', 'PRINCIPAL']
+ * @returns {Array<String>} Upper-case codes
+ */
+function normalizeChain(roleCodes) {
+    if (!Array.isArray(roleCodes) || roleCodes.length === 0) {
+        throw new Error('VALIDATION_ERROR: An approval chain needs at least one role');
+    }
+    if (roleCodes.length > MAX_APPROVAL_STEPS) {
+        throw new Error(`VALIDATION_ERROR: An approval chain can have at most ${MAX_APPROVAL_STEPS} steps`);
+    }
+    const codes = roleCodes.map(code => String(code || '').trim().toUpperCase());
+    if (codes.some(code => !code)) {
+        throw new Error('VALIDATION_ERROR: Approval chain roles cannot be empty');
+    }
+    if (new Set(codes).size !== codes.length) {
+        throw new Error('VALIDATION_ERROR: A role can appear only once in an approval chain');
+    }
+    return codes;
+}
+
+/**
+ * Whether a user may decide the current step of a pending leave
+ *
+ * @param {Object} leave - { userId, currentRoleCode }
+ * @param {Object} caller - { userId, roles, isAdmin }
+ * @returns {Boolean}
+ */
+function canDecide(leave, caller) {
+    if (leave.userId && leave.userId === caller.userId) return false;
+    if (caller.isAdmin) return true;
+    return (caller.roles || []).some(role => String(role).toUpperCase() === leave.currentRoleCode);
+}
+
+// ========== LEAVE TYPES ==========
+
+/**
+ * Leave types of a tenant, opening the defaults for tenants that have none
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} filters - { employeeType, activeOnly }
+ * @returns {Promise<Array>} LeaveType rows
+ */
+async function getLeaveTypes(tenantId, { employeeType, activeOnly } = {}) {
+    const existing = await LeaveType.count({ where: { tenantId } });
+    if (existing === 0) {
+        await LeaveType.bulkCreate(DEFAULT_LEAVE_TYPES.map(t => ({ ...t, tenantId })), { ignoreDuplicates: true });
+    }
+
+    const where = { tenantId };
+    if (employeeType) where.appliesTo = { [Op.in]: ['all', employeeType] };
+    if (activeOnly) where.isActive = true;
+    return LeaveType.findAll({ where, order: [['code', 'ASC']] });
+}
+
+/**
+ * Check the rules of a leave type (after merging updates into the stored type)
+ */
+function validateLeaveTypeFields(fields) {
+    if (!fields.code || !/^[A-Z0-9_]{1,20}$/.test(fields.code)) {
+        throw new Error('VALIDATION_ERROR: code must be 1-20 upper-case letters, digits or underscores');
+    }
+    if (!fields.name || !String(fields.name).trim()) {
+        throw new Error('VALIDATION_ERROR: name is required');
+    }
+    if (!LEAVE_APPLIES_TO.includes(fields.appliesTo)) {
+        throw new Error(`VALIDATION_ERROR: appliesTo must be one of: ${LEAVE_APPLIES_TO.join(', ')}`);
+    }
+    if (!ACCRUAL_TYPES.includes(fields.accrual)) {
+        throw new Error(`VALIDATION_ERROR: accrual must be one of: ${ACCRUAL_TYPES.join(', ')}`);
+    }
+    ['annualQuota', 'carryForwardLimit'].forEach(field => {
+        const days = Number(fields[field]);
+        if (!Number.isFinite(days) || days < 0 || days > 365 || days * 2 !== Math.round(days * 2)) {
+            throw new Error(`VALIDATION_ERROR: ${field} must be between 0 and 365 in half days`);
+        }
+    });
+    if (fields.profileField && !PROFILE_FIELDS.includes(fields.profileField)) {
+        throw new Error(`VALIDATION_ERROR: profileField must be one of: ${PROFILE_FIELDS.join(', ')}`);
+    }
+}
+
+const LEAVE_TYPE_FIELDS = ['code', 'name', 'appliesTo', 'annualQuota', 'accrual', 'carryForwardLimit', 'isPaid', 'profileField', 'isActive'];
+
+async function createLeaveType(tenantId, data) {
+    const fields = {
+        appliesTo: 'all', accrual: 'yearly', annualQuota: 0, carryForwardLimit: 0, isPaid: true, profileField: null, isActive: true
+    };
+    LEAVE_TYPE_FIELDS.forEach(field => {
+        if (data[field] !== undefined) fields[field] = data[field];
+    });
+    fields.code = String(fields.code || '').trim().toUpperCase();
+    validateLeaveTypeFields(fields);
+
+    const duplicate = await LeaveType.findOne({ where: { tenantId, code: fields.code }, attributes: ['id'] });
+    if (duplicate) {
+        throw new Error(`CONFLICT: A leave type with code ${fields.code} already exists`);
+    }
+    return LeaveType.create({ ...fields, tenantId });
+}
+
+/**
+ * Change a leave type. Balances already opened keep their entitlement; a new quota applies
+ * from the next balance opened (normally the next year).
+ */
+async function updateLeaveType(tenantId, id, updates) {
+    const leaveType = await LeaveType.findOne({ where: { id, tenantId } });
+    if (!leaveType) {
+        throw new Error('NOT_FOUND: Leave type not found');
+    }
+    if (updates.code !== undefined && String(updates.code).trim().toUpperCase() !== leaveType.code) {
+        throw new Error('VALIDATION_ERROR: The code of a leave type cannot be changed');
+    }
+
+    const fields = {};
+    LEAVE_TYPE_FIELDS.forEach(field => {
+        if (field !== 'code' && updates[field] !== undefined) fields[field] = updates[field];
+    });
+    validateLeaveTypeFields({ ...leaveType.get({ plain: true }), ...fields });
+    return leaveType.update(fields);
+}
+
+// ========== APPROVAL CHAINS ==========
+
+/**
+ * Approval chain of an employee type
+ *
+ * @returns {Promise<Object>} { employeeType, roleCodes, configured }
+ */
+async function getApprovalChain(tenantId, employeeType, transaction = null) {
+    const steps = await LeaveApprovalStep.findAll({
+        where: { tenantId, employeeType },
+        order: [['stepNo', 'ASC']],
+        transaction
+    });
+    if (steps.length === 0) {
+        return { employeeType, roleCodes: DEFAULT_APPROVAL_CHAINS[employeeType], configured: false };
+    }
+    return { employeeType, roleCodes: steps.map(s => s.roleCode), configured: true };
+}
+
+async function getApprovalChains(tenantId) {
+    return Promise.all(EMPLOYEE_TYPES.map(type => getApprovalChain(tenantId, type)));
+}
+
+/**
+ * Replace the approval chain of an employee type. Pending leaves keep the chain they were
+ * applied under.
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} employeeType - staff or teacher
+ * @param {Array<String>} roleCodes - Role codes in approval order, e.g. ['HOD', 'PRINCIPAL']
+ */
+async function setApprovalChain(tenantId, employeeType, roleCodes) {
+    if (!EMPLOYEE_TYPES.includes(employeeType)) {
+        throw new Error('VALIDATION_ERROR: employeeType must be staff or teacher');
+    }
+    const codes = normalizeChain(roleCodes);
+
+    const roles = await Role.findAll({
+        where: { code: { [Op.in]: codes }, [Op.or]: [{ tenantId }, { isSystemRole: true }] },
+        attributes: ['code']
+    });
+    const known = new Set(roles.map(r => r.code));
+    const unknown = codes.filter(code => !known.has(code));
+    if (unknown.length > 0) {
+        throw new Error(`VALIDATION_ERROR: Unknown role code(s): ${unknown.join(', ')}`);
+    }
+
+    await sequelize.transaction(async (transaction) => {
+        await LeaveApprovalStep.destroy({ where: { tenantId, employeeType }, transaction });
+        await LeaveApprovalStep.bulkCreate(
+            codes.map((roleCode, i) => ({ tenantId, employeeType, stepNo: i + 1, roleCode })),
+            { transaction }
+        );
+    });
+    logger.info(`[STAFF_LEAVE] Approval chain for ${employeeType} leave set to ${codes.join(' > ')}`);
+    return getApprovalChain(tenantId, employeeType);
+}
+
+// ========== BALANCES ==========
+
+/**
+ * The balance row of an employee, type and year, opened when missing
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} employee - { employeeType, employeeId }
+ * @param {Object} leaveType - LeaveType
+ * @param {Number} year - Leave year
+ * @param {Object} transaction - Optional transaction; the row is locked for update inside one
+ */
+async function ensureBalance(tenantId, { employeeType, employeeId }, leaveType, year, transaction = null) {
+    const where = { tenantId, employeeType, employeeId, leaveTypeId: leaveType.id, year };
+    const lock = transaction ? transaction.LOCK.UPDATE : undefined;
+
+    const existing = await LeaveBalance.findOne({ where, lock, transaction });
+    if (existing) return existing;
+
+    const Model = employeeType === 'teacher' ? Teacher : Staff;
+    const [profile, previous] = await Promise.all([
+        Model.findOne({ where: { id: employeeId, tenantId }, attributes: ['id', ...PROFILE_FIELDS], transaction }),
+        LeaveBalance.findOne({ where: { ...where, year: year - 1 }, transaction })
+    ]);
+
+    await LeaveBalance.bulkCreate([{
+        ...where,
+        entitlement: entitlementFor(leaveType, profile),
+        carriedForward: carryForwardDays(previous, leaveType.carryForwardLimit),
+        used: 0
+    }], { ignoreDuplicates: true, transaction });
+    return LeaveBalance.findOne({ where, lock, transaction });
+}
+
+/**
+ * Days of pending applications of an employee for a type and year
+ */
+async function pendingDays(tenantId, { employeeType, employeeId }, leaveTypeId, year, excludeId = null, transaction = null) {
+    const where = {
+        tenantId,
+        employeeType,
+        employeeId,
+        leaveTypeId,
+        status: 'pending',
+        fromDate: { [Op.between]: [`${year}-01-01`, `${year}-12-31`] }
+    };
+    if (excludeId) where.id = { [Op.ne]: excludeId };
+    const total = await StaffLeave.sum('days', { where, transaction });
+    return toDays(total);
+}
+
+/**
+ * Balance summary of one row
+ *
+ * @returns {Object} { entitlement, carriedForward, accrued, used, available }
+ */
+function summarizeBalance(balance, leaveType, asOf) {
+    const entitlement = toDays(balance.entitlement);
+    const carriedForward = toDays(balance.carriedForward);
+    const used = toDays(balance.used);
+    const accrued = accruedDays(leaveType.accrual, entitlement, balance.year, asOf);
+    return { entitlement, carriedForward, accrued, used, available: carriedForward + accrued - used };
+}
+
+const todayOf = async (tenantId) => localClock(new Date(), (await getSettings(tenantId)).timezone).date;
+
+/**
+ * Balances of an employee for a year, one per paid leave type that applies to them
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} employee - { employeeType, employeeId }
+ * @param {Number} year - Leave year (defaults to the current one)
+ * @returns {Promise<Array>} [{ leaveType, year, entitlement, carriedForward, accrued, used, pending, available }]
+ */
+async function getBalances(tenantId, { employeeType, employeeId }, year = null) {
+    await loadEmployee(tenantId, employeeType, employeeId);
+    const today = await todayOf(tenantId);
+    const leaveYear = year || Number(today.slice(0, 4));
+    // Past years show what accrued in full, the current year what has accrued so far
+    const asOf = leaveYear < Number(today.slice(0, 4)) ? `${leaveYear}-12-31` : today;
+
+    const types = (await getLeaveTypes(tenantId, { employeeType, activeOnly: true })).filter(t => t.isPaid);
+    const employee = { employeeType, employeeId };
+    return Promise.all(types.map(async (leaveType) => {
+        const balance = await ensureBalance(tenantId, employee, leaveType, leaveYear);
+        const pending = await pendingDays(tenantId, employee, leaveType.id, leaveYear);
+        return {
+            leaveType: { id: leaveType.id, code: leaveType.code, name: leaveType.name, accrual: leaveType.accrual },
+            year: leaveYear,
+            ...summarizeBalance(balance, leaveType, asOf),
+            pending
+        };
+    }));
+}
+
+// ========== APPLICATIONS ==========
+
+async function getLeaveById(id, tenantId) {
+    return StaffLeave.findOne({ where: { id, tenantId }, include: LEAVE_INCLUDES });
+}
+
+/**
+ * Apply for leave for the caller's own staff or teacher profile
+ *
+ * The balance (what will have accrued by the last day of the leave, less pending
+ * applications) must cover the working days of the leave.
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} userId - Applying user
+ * @param {Object} data - { leaveTypeId, fromDate, toDate, reason }
+ * @returns {Promise<Object>} StaffLeave
+ */
+async function applyForLeave(tenantId, userId, data) {
+    validateApplication(data);
+    const { employeeType, employee } = await resolveEmployee(tenantId, userId);
+    const owner = { employeeType, employeeId: employee.id };
+
+    const leaveType = await LeaveType.findOne({ where: { id: data.leaveTypeId, tenantId, isActive: true } });
+    if (!leaveType || !['all', employeeType].includes(leaveType.appliesTo)) {
+        throw new Error('NOT_FOUND: Leave type not found');
+    }
+
+    const { weeklyOffDays } = await getSettings(tenantId);
+    const days = workingDays(data.fromDate, data.toDate, weeklyOffDays);
+    if (days === 0) {
+        throw new Error('VALIDATION_ERROR: The leave covers only weekly off days');
+    }
+
+    const overlapping = await StaffLeave.findOne({
+        where: {
+            tenantId,
+            ...owner,
+            status: { [Op.in]: ['pending', 'approved'] },
+            fromDate: { [Op.lte]: data.toDate },
+            toDate: { [Op.gte]: data.fromDate }
+        },
+        attributes: ['fromDate', 'toDate', 'status']
+    });
+    if (overlapping) {
+        throw new Error(`CONFLICT: You already have ${overlapping.status} leave from ${overlapping.fromDate} to ${overlapping.toDate}`);
+    }
+
+    if (leaveType.isPaid) {
+        const year = Number(data.fromDate.slice(0, 4));
+        const balance = await ensureBalance(tenantId, owner, leaveType, year);
+        const { available } = summarizeBalance(balance, leaveType, data.toDate);
+        const free = available - await pendingDays(tenantId, owner, leaveType.id, year);
+        if (days > free) {
+            throw new Error(`VALIDATION_ERROR: Insufficient ${leaveType.name} balance: ${Math.max(0, free)} day(s) available, ${days} requested`);
+        }
+    }
+
+    const { roleCodes } = await getApprovalChain(tenantId, employeeType);
+    const leave = await StaffLeave.create({
+        tenantId,
+        ...owner,
+        userId: employee.userId || userId,
+        leaveTypeId: leaveType.id,
+        fromDate: data.fromDate,
+        toDate: data.toDate,
+        days,
+        reason: String(data.reason).trim(),
+        status: 'pending',
+        approvalChain: roleCodes,
+        currentStep: 0,
+        currentRoleCode: roleCodes[0],
+        approvals: [],
+        appliedBy: userId
+    });
+    logger.info(`[STAFF_LEAVE] ${leaveType.code} leave ${leave.id} of ${employeeType} ${employee.id} from ${data.fromDate} to ${data.toDate} applied`);
+    return getLeaveById(leave.id, tenantId);
+}
+
+/**
+ * Add days to (or, negative, take days off) the used days of a leave's balance
+ */
+async function adjustUsed(leave, leaveType, delta, transaction) {
+    const year = Number(String(leave.fromDate).slice(0, 4));
+    const balance = await ensureBalance(leave.tenantId, leave, leaveType, year, transaction);
+    if (delta > 0) {
+        const { available } = summarizeBalance(balance, leaveType, String(leave.toDate).slice(0, 10));
+        if (delta > available) {
+            throw new Error(`VALIDATION_ERROR: Insufficient ${leaveType.name} balance: ${Math.max(0, available)} day(s) available, ${delta} needed`);
+        }
+    }
+    await balance.update({ used: Math.max(0, toDays(balance.used) + delta) }, { transaction });
+}
+
+/**
+ * Approve or reject the current step of a pending leave
+ *
+ * Approving the last step approves the leave and debits the balance; rejecting any step
+ * rejects it.
+ *
+ * @param {Object} leave - StaffLeave the caller may see
+ * @param {String} decision - approved or rejected
+ * @param {String} remarks - Approver's remarks (optional)
+ * @param {Object} caller - { userId, roles, isAdmin }
+ * @returns {Promise<Object>} StaffLeave
+ */
+async function reviewLeave(leave, decision, remarks, caller) {
+    if (!REVIEW_DECISIONS.includes(decision)) {
+        throw new Error(`VALIDATION_ERROR: decision must be one of: ${REVIEW_DECISIONS.join(', ')}`);
+    }
+
+    const outcome = await sequelize.transaction(async (transaction) => {
+        const row = await StaffLeave.findOne({
+            where: { id: leave.id, tenantId: leave.tenantId },
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+        if (row.status !== 'pending') {
+            throw new Error(`CONFLICT: This leave is already ${row.status}`);
+        }
+        if (!canDecide(row, caller)) {
+            throw new Error(row.userId === caller.userId
+                ? 'INSUFFICIENT_PERMISSIONS: You cannot decide your own leave'
+                : `INSUFFICIENT_PERMISSIONS: This leave is waiting for ${row.currentRoleCode} approval`);
+        }
+
+        const chain = row.approvalChain || [];
+        const approvals = [...(row.approvals || []), {
+            step: row.currentStep + 1,
+            roleCode: row.currentRoleCode,
+            decision,
+            userId: caller.userId || null,
+            remarks: remarks || null,
+            at: new Date().toISOString()
+        }];
+        const isLastStep = row.currentStep + 1 >= chain.length;
+
+        if (decision === 'rejected' || !isLastStep) {
+            const next = decision === 'approved' ? row.currentStep + 1 : row.currentStep;
+            await row.update({
+                approvals,
+                currentStep: next,
+                currentRoleCode: decision === 'approved' ? chain[next] : null,
+                status: decision === 'approved' ? 'pending' : 'rejected',
+                decidedAt: decision === 'approved' ? null : new Date()
+            }, { transaction });
+            return decision === 'approved' ? `forwarded to ${chain[next]}` : 'rejected';
+        }
+
+        const leaveType = await LeaveType.findOne({ where: { id: row.leaveTypeId, tenantId: row.tenantId }, transaction });
+        if (leaveType.isPaid) {
+            await adjustUsed(row, leaveType, toDays(row.days), transaction);
+        }
+        await row.update({ approvals, currentRoleCode: null, status: 'approved', decidedAt: new Date() }, { transaction });
+        return 'approved';
+    });
+
+    logger.info(`[STAFF_LEAVE] Leave ${leave.id} ${outcome}`);
+    return getLeaveById(leave.id, leave.tenantId);
+}
+
+/**
+ * Cancel a pending or approved leave
+ *
+ * The employee may cancel a pending leave, or an approved one that has not started yet;
+ * admins may cancel any. Cancelling an approved leave restores the balance.
+ *
+ * @param {Object} leave - StaffLeave the caller may see
+ * @param {Object} caller - { userId, isAdmin }
+ */
+async function cancelLeave(leave, caller) {
+    const isOwner = leave.userId === caller.userId || leave.appliedBy === caller.userId;
+    if (!caller.isAdmin && !isOwner) {
+        throw new Error('INSUFFICIENT_PERMISSIONS: Only the employee can cancel this leave');
+    }
+
+    await sequelize.transaction(async (transaction) => {
+        const row = await StaffLeave.findOne({
+            where: { id: leave.id, tenantId: leave.tenantId },
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+        if (!['pending', 'approved'].includes(row.status)) {
+            throw new Error(`CONFLICT: This leave is already ${row.status}`);
+        }
+        if (row.status === 'approved') {
+            if (!caller.isAdmin && String(row.fromDate).slice(0, 10) <= await todayOf(row.tenantId)) {
+                throw new Error('CONFLICT: Leave that has started can only be cancelled by an admin');
+            }
+            const leaveType = await LeaveType.findOne({ where: { id: row.leaveTypeId, tenantId: row.tenantId }, transaction });
+            if (leaveType.isPaid) {
+                await adjustUsed(row, leaveType, -toDays(row.days), transaction);
+            }
+        }
+        await row.update({
+            status: 'cancelled',
+            currentRoleCode: null,
+            cancelledBy: caller.userId || null,
+            cancelledAt: new Date()
+        }, { transaction });
+    });
+
+    logger.info(`[STAFF_LEAVE] Leave ${leave.id} cancelled`);
+    return getLeaveById(leave.id, leave.tenantId);
+}
+
+/**
+ * Pending leaves waiting for one of the caller's roles (every pending leave for admins),
+ * leaving out the caller's own
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} caller - { userId, roles, isAdmin }
+ * @returns {Promise<Array>} StaffLeave rows, oldest first
+ */
+async function pendingApprovals(tenantId, caller) {
+    const where = { tenantId, status: 'pending' };
+    if (!caller.isAdmin) {
+        where.currentRoleCode = { [Op.in]: (caller.roles || []).map(role => String(role).toUpperCase()) };
+    }
+    if (caller.userId) {
+        where[Op.or] = [{ userId: null }, { userId: { [Op.ne]: caller.userId } }];
+    }
+    return StaffLeave.findAll({ where, include: LEAVE_INCLUDES, order: [['fromDate', 'ASC'], ['createdAt', 'ASC']] });
+}
+
+/**
+ * The caller's own applications and current balances
+ *
+ * @returns {Promise<Object>} { employeeType, employeeId, balances, leaves }
+ */
+async function getMyLeave(tenantId, userId, year = null) {
+    const { employeeType, employee } = await resolveEmployee(tenantId, userId);
+    const owner = { employeeType, employeeId: employee.id };
+    const [balances, leaves] = await Promise.all([
+        getBalances(tenantId, owner, year),
+        StaffLeave.findAll({
+            where: { tenantId, ...owner },
+            include: LEAVE_INCLUDES,
+            order: [['fromDate', 'DESC']],
+            limit: 50
+        })
+    ]);
+    return { ...owner, balances, leaves };
+}
+
+module.exports = {
+    LEAVE_STATUSES,
+    REVIEW_DECISIONS,
+    ACCRUAL_TYPES,
+    LEAVE_APPLIES_TO,
+    PROFILE_FIELDS,
+    DEFAULT_APPROVAL_CHAINS,
+    MAX_APPROVAL_STEPS,
+    accruedDays,
+    carryForwardDays,
+    entitlementFor,
+    workingDays,
+    validateApplication,
+    normalizeChain,
+    canDecide,
+    getLeaveTypes,
+    createLeaveType,
+    updateLeaveType,
+    getApprovalChains,
+    setApprovalChain,
+    getBalances,
+    getLeaveById,
+    applyForLeave,
+    reviewLeave,
+    cancelLeave,
+    pendingApprovals,
+    getMyLeave
+};
@@ -0,0 +1,272 @@
+/**
+ * Student Leave Service
+ *
+ * Leave applications for students. A parent linked to the student (ParentStudent) applies
+ * with dates, a reason and an optional attachment; the class teacher (Class.classTeacherId,
+ * or a teacher assigned to the class when it has none) approves or rejects it.
+ *
+ * Approval marks the student's daily and period attendance on the leave days as excused.
+ * Days marked later are excused by the class and period registers (attendanceService) unless
+ * the teacher gives the student an explicit status.
+ */
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const logger = require('../config/logger');
+const StudentLeave = require('../models/StudentLeave');
+const Student = require('../models/Student');
+const Parent = require('../models/Parent');
+const ParentStudent = require('../models/ParentStudent');
+const Class = require('../models/Class');
+const Attendance = require('../models/Attendance');
+const PeriodAttendance = require('../models/PeriodAttendance');
+require('../models'); // register associations used by the includes below
+
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+const REVIEW_DECISIONS = ['approved', 'rejected'];
+
+// Longest leave one application may cover, in calendar days
+const MAX_LEAVE_DAYS = 60;
+
+const LEAVE_INCLUDES = [
+    { model: Student, as: 'student', attributes: ['id', 'admissionNo', 'rollNumber', 'firstName', 'lastName', 'studentName'] },
+    { model: Class, as: 'class', attributes: ['id', 'className', 'section', 'classTeacherId'] }
+];
+
+// ========== PURE HELPERS ==========
+
+/**
+ * Calendar days a leave covers, both ends included
+ *
+ * @param {String} fromDate - YYYY-MM-DD
+ * @param {String} toDate - YYYY-MM-DD
+ * @returns {Number}
+ */
+function leaveDays(fromDate, toDate) {
+    return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / 86400000) + 1;
+}
+
+/**
+ * Check the dates and reason of an application
+ */
+function validateApplication({ fromDate, toDate, reason }) {
+    if (!fromDate || !toDate) {
+        throw new Error('VALIDATION_ERROR: fromDate and toDate are required');
+    }
+    if (toDate < fromDate) {
+        throw new Error('VALIDATION_ERROR: toDate cannot be before fromDate');
+    }
+    if (leaveDays(fromDate, toDate) > MAX_LEAVE_DAYS) {
+        throw new Error(`VALIDATION_ERROR: A leave application can cover at most ${MAX_LEAVE_DAYS} days`);
+    }
+    if (!reason || !String(reason).trim()) {
+        throw new Error('VALIDATION_ERROR: reason is required');
+    }
+}
+
+/**
+ * Whether the reviewer may decide a leave of a class
+ *
+ * @param {Object} cls - { id, classTeacherId }
+ * @param {Object} access - { classIds, teacherId }; classIds null for callers not restricted to classes
+ * @returns {Boolean}
+ */
+function canReview(cls, access) {
+    if (!access || !access.classIds) return true;
+    if (cls.classTeacherId) return cls.classTeacherId === access.teacherId;
+    return access.classIds.includes(cls.id);
+}
+
+// ========== APPLICATIONS ==========
+
+async function getLeaveById(id, tenantId) {
+    return StudentLeave.findOne({ where: { id, tenantId }, include: LEAVE_INCLUDES });
+}
+
+/**
+ * Apply for leave for a student
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} data - { studentId, fromDate, toDate, reason }
+ * @param {Object} applicant - { userId, onBehalf }; onBehalf (admins) skips the parent link
+ * @returns {Promise<Object>} StudentLeave
+ */
+async function applyForLeave(tenantId, data, applicant) {
+    validateApplication(data);
+
+    const student = await Student.findOne({
+        where: { id: data.studentId, tenantId },
+        attributes: ['id', 'classId', 'status']
+    });
+    if (!student) {
+        throw new Error('NOT_FOUND: Student not found');
+    }
+    if (student.status !== 'active' || !student.classId) {
+        throw new Error('VALIDATION_ERROR: Leave can only be applied for active students in a class');
+    }
+
+    let parentId = null;
+    if (!applicant.onBehalf) {
+        const parent = await Parent.findOne({ where: { tenantId, userId: applicant.userId }, attributes: ['id'] });
+        const link = parent && await ParentStudent.findOne({
+            where: { tenantId, parentId: parent.id, studentId: student.id },
+            attributes: ['id']
+        });
+        if (!link) {
+            throw new Error('INSUFFICIENT_PERMISSIONS: Only a parent linked to the student can apply for leave');
+        }
+        parentId = parent.id;
+    }
+
+    const overlapping = await StudentLeave.findOne({
+        where: {
+            tenantId,
+            studentId: student.id,
+            status: { [Op.in]: ['pending', 'approved'] },
+            fromDate: { [Op.lte]: data.toDate },
+            toDate: { [Op.gte]: data.fromDate }
+        },
+        attributes: ['fromDate', 'toDate', 'status']
+    });
+    if (overlapping) {
+        throw new Error(`CONFLICT: The student already has ${overlapping.status} leave from ${overlapping.fromDate} to ${overlapping.toDate}`);
+    }
+
+    const leave = await StudentLeave.create({
+        tenantId,
+        studentId: student.id,
+        classId: student.classId,
+        parentId,
+        fromDate: data.fromDate,
+        toDate: data.toDate,
+        reason: String(data.reason).trim(),
+        status: 'pending',
+        appliedBy: applicant.userId || null
+    });
+    logger.info(`[STUDENT_LEAVE] Leave ${leave.id} for student ${student.id} from ${data.fromDate} to ${data.toDate} applied`);
+    return getLeaveById(leave.id, tenantId);
+}
+
+/**
+ * Store the key of an uploaded attachment
+ */
+async function setAttachment(leave, attachmentKey) {
+    return leave.update({ attachmentKey });
+}
+
+/**
+ * Mark the attendance of a student on approved leave days as excused
+ *
+ * @returns {Promise<Object>} { daily, periods } rows changed
+ */
+async function excuseAttendance(leave, userId, transaction) {
+    const where = {
+        tenantId: leave.tenantId,
+        studentId: leave.studentId,
+        attendanceDate: { [Op.between]: [leave.fromDate, leave.toDate] },
+        status: { [Op.ne]: 'excused' }
+    };
+    const [daily] = await Attendance.update({ status: 'excused', markedBy: userId || null }, { where, transaction });
+    const [periods] = await PeriodAttendance.update({ status: 'excused', markedBy: userId || null }, { where, transaction });
+    return { daily, periods };
+}
+
+/**
+ * Approve or reject a pending leave
+ *
+ * @param {Object} leave - StudentLeave the caller may see (from StudentLeaveRepository)
+ * @param {String} decision - approved or rejected
+ * @param {String} remarks - Reviewer's remarks (optional)
+ * @param {String} userId - Reviewing user
+ * @param {Object} access - { classIds, teacherId } of the reviewer
+ * @returns {Promise<Object>} { leave, excused }
+ */
+async function reviewLeave(leave, decision, remarks, userId, access) {
+    if (!REVIEW_DECISIONS.includes(decision)) {
+        throw new Error(`VALIDATION_ERROR: decision must be one of: ${REVIEW_DECISIONS.join(', ')}`);
+    }
+
+    const cls = await Class.findOne({ where: { id: leave.classId, tenantId: leave.tenantId }, attributes: ['id', 'classTeacherId'] });
+    if (!cls || !canReview(cls, access)) {
+        throw new Error('INSUFFICIENT_PERMISSIONS: Only the class teacher can review this leave');
+    }
+
+    const excused = await sequelize.transaction(async (transaction) => {
+        const row = await StudentLeave.findOne({
+            where: { id: leave.id, tenantId: leave.tenantId },
+            lock: transaction.LOCK.UPDATE,
+            transaction
+        });
+        if (row.status !== 'pending') {
+            throw new Error(`CONFLICT: This leave is already ${row.status}`);
+        }
+
+        await row.update({
+            status: decision,
+            reviewedBy: userId || null,
+            reviewedAt: new Date(),
+            reviewRemarks: remarks || null
+        }, { transaction });
+
+        return decision === 'approved' ? excuseAttendance(row, userId, transaction) : null;
+    });
+
+    logger.info(`[STUDENT_LEAVE] Leave ${leave.id} ${decision}${excused ? ` (${excused.daily} daily, ${excused.periods} period records excused)` : ''}`);
+    return { leave: await getLeaveById(leave.id, leave.tenantId), excused };
+}
+
+/**
+ * Withdraw a pending leave. Only the applicant (or an admin) may.
+ *
+ * @param {Object} leave - StudentLeave the caller may see
+ * @param {Object} caller - { userId, isAdmin }
+ */
+async function cancelLeave(leave, caller) {
+    if (!caller.isAdmin && leave.appliedBy !== caller.userId) {
+        throw new Error('INSUFFICIENT_PERMISSIONS: Only the applicant can cancel this leave');
+    }
+    if (leave.status !== 'pending') {
+        throw new Error(`CONFLICT: Only pending leave can be cancelled; this leave is ${leave.status}`);
+    }
+    await leave.update({ status: 'cancelled' });
+    return getLeaveById(leave.id, leave.tenantId);
+}
+
+/**
+ * Students of a list who are on approved leave on a date
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Array} studentIds - Student IDs
+ * @param {String} date - YYYY-MM-DD
+ * @param {Object} transaction - Optional transaction
+ * @returns {Promise<Set>} Student IDs
+ */
+async function studentsOnLeave(tenantId, studentIds, date, transaction = null) {
+    if (studentIds.length === 0) return new Set();
+    const rows = await StudentLeave.findAll({
+        where: {
+            tenantId,
+            studentId: { [Op.in]: studentIds },
+            status: 'approved',
+            fromDate: { [Op.lte]: date },
+            toDate: { [Op.gte]: date }
+        },
+        attributes: ['studentId'],
+        transaction
+    });
+    return new Set(rows.map(r => r.studentId));
+}
+
+module.exports = {
+    LEAVE_STATUSES,
+    REVIEW_DECISIONS,
+    MAX_LEAVE_DAYS,
+    leaveDays,
+    validateApplication,
+    canReview,
+    getLeaveById,
+    applyForLeave,
+    setAttachment,
+    reviewLeave,
+    cancelLeave,
+    studentsOnLeave
+};
@@ -0,0 +1,521 @@
+/**
+ * Subject Service
+ *
+ * Subjects of a tenant and the subjects each class takes (ClassSubject), with the teacher who
+ * teaches the subject in that class. The mapping is what the rest of the app reads:
+ *   - attendance and leave: a teacher's classes are the classes they teach a subject in
+ *     (AttendanceRepository.getTeacherAssignment)
+ *   - marks entry, online tests and the question bank: a teacher works on their subjects
+ *   - timetable: a slot's subject must be one of the class's subjects, and its teacher
+ *     defaults to the subject's teacher
+ *   - teachers: parents and students see the teachers of their children's classes
+ *
+ * Classes without subjects keep the free-text subjects of the timetable; importFromTimetable
+ * creates subjects and mappings from those slots.
+ */
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Subject = require('../models/Subject');
+const ClassSubject = require('../models/ClassSubject');
+const Class = require('../models/Class');
+const Teacher = require('../models/Teacher');
+const TimetableSlot = require('../models/TimetableSlot');
+const logger = require('../config/logger');
+require('../models'); // register associations used by the includes below
+
+const TYPES = ['theory', 'practical'];
+const CATEGORIES = ['core', 'elective'];
+const STATUSES = ['active', 'inactive'];
+
+const CODE_PATTERN = /^[A-Z0-9][A-Z0-9-]{0,19}$/;
+
+const SUBJECT_ATTRIBUTES = ['id', 'name', 'code', 'type', 'category', 'status'];
+const CLASS_ATTRIBUTES = ['id', 'className', 'section'];
+const TEACHER_ATTRIBUTES = ['id', 'teacherId', 'firstName', 'lastName'];
+
+const MAPPING_INCLUDES = [
+    { model: Subject, as: 'subject', attributes: SUBJECT_ATTRIBUTES },
+    { model: Class, as: 'class', attributes: CLASS_ATTRIBUTES },
+    { model: Teacher, as: 'teacher', attributes: TEACHER_ATTRIBUTES }
+];
+
+// ========== PURE HELPERS ==========
+
+/**
+ * Check and normalize the fields of a subject (after merging updates into the stored subject)
+ *
+ * @param {Object} subject - { name, code, type, category, status }
+ * @returns {Object} Normalized fields; the code upper case
+ */
+function validateSubjectFields(subject) {
+    const name = typeof subject.name === 'string' ? subject.name.trim() : '';
+    if (!name || name.length > 100) {
+        throw new Error('VALIDATION_ERROR: name must be 1-100 characters');
+    }
+    const code = typeof subject.code === 'string' ? subject.code.trim().toUpperCase() : '';
+    if (!CODE_PATTERN.test(code)) {
+        throw new Error('VALIDATION_ERROR: code must be 1-20 letters, digits or dashes');
+    }
+    const fields = { name, code, type: subject.type || 'theory', category: subject.category || 'core', status: subject.status || 'active' };
+    if (!TYPES.includes(fields.type)) {
+        throw new Error(`VALIDATION_ERROR: type must be one of: ${TYPES.join(', ')}`);
+    }
+    if (!CATEGORIES.includes(fields.category)) {
+        throw new Error(`VALIDATION_ERROR: category must be one of: ${CATEGORIES.join(', ')}`);
+    }
+    if (!STATUSES.includes(fields.status)) {
+        throw new Error(`VALIDATION_ERROR: status must be one of: ${STATUSES.join(', ')}`);
+    }
+    return fields;
+}
+
+/**
+ * A code for a subject name: its letters and digits, upper case, at most 8, with a number
+ * added when the code is taken
+ *
+ * @param {String} name - Subject name
+ * @param {Set} taken - Codes in use (upper case)
+ * @returns {String}
+ */
+function codeFor(name, taken = new Set()) {
+    const base = String(name).toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 8) || 'SUBJECT';
+    let code = base;
+    for (let n = 2; taken.has(code); n += 1) code = `${base}${n}`;
+    return code;
+}
+
+/**
+ * The subject a value names: its ID, or its name or code in any case
+ *
+ * @param {Array} subjects - [{ id, name, code }]
+ * @param {Object} ref - { subjectId, subject }
+ * @returns {Object|undefined}
+ */
+function matchSubject(subjects, { subjectId, subject } = {}) {
+    if (subjectId) return subjects.find(s => s.id === subjectId);
+    const wanted = String(subject || '').trim().toLowerCase();
+    if (!wanted) return undefined;
+    return subjects.find(s => s.name.toLowerCase() === wanted) || subjects.find(s => s.code.toLowerCase() === wanted);
+}
+
+/**
+ * Check the mapping of a class: each subject at most once
+ *
+ * @param {Array} entries - [{ subjectId, teacherId }]
+ * @returns {Array} [{ subjectId, teacherId }]
+ */
+function validateClassSubjects(entries) {
+    if (!Array.isArray(entries)) {
+        throw new Error('VALIDATION_ERROR: subjects must be an array');
+    }
+    const seen = new Set();
+    return entries.map((e, i) => {
+        if (!e || !e.subjectId) {
+            throw new Error(`VALIDATION_ERROR: subjects[${i}].subjectId is required`);
+        }
+        if (seen.has(e.subjectId)) {
+            throw new Error(`VALIDATION_ERROR: Subject ${e.subjectId} is listed more than once`);
+        }
+        seen.add(e.subjectId);
+        return { subjectId: e.subjectId, teacherId: e.teacherId || null };
+    });
+}
+
+// ========== SUBJECTS ==========
+
+/**
+ * The tenant's subjects by name
+ *
+ * @param {Object} filters - { status, type, category }
+ */
+async function listSubjects(tenantId, { status, type, category } = {}) {
+    const where = { tenantId };
+    if (status) where.status = status;
+    if (type) where.type = type;
+    if (category) where.category = category;
+    return Subject.findAll({ where, attributes: SUBJECT_ATTRIBUTES, order: [['name', 'ASC']] });
+}
+
+/**
+ * A subject with the classes that take it and their teachers
+ */
+async function getSubjectById(id, tenantId) {
+    const subject = await Subject.findOne({ where: { id, tenantId }, attributes: SUBJECT_ATTRIBUTES });
+    if (!subject) return null;
+    const classes = await ClassSubject.findAll({
+        where: { tenantId, subjectId: id },
+        include: MAPPING_INCLUDES.filter(i => i.as !== 'subject')
+    });
+    return { ...subject.get({ plain: true }), classes: classes.map(mappingView) };
+}
+
+const assertSubjectFree = async (tenantId, fields, exceptId, transaction = null) => {
+    const where = { tenantId, [Op.or]: [{ name: fields.name }, { code: fields.code }] };
+    if (exceptId) where.id = { [Op.ne]: exceptId };
+    const clash = await Subject.findOne({ where, attributes: ['name', 'code'], transaction });
+    if (clash) {
+        const field = clash.code.toUpperCase() === fields.code ? `code ${fields.code}` : `name "${fields.name}"`;
+        throw new Error(`CONFLICT: A subject with the ${field} already exists`);
+    }
+};
+
+/**
+ * @param {Object} data - { name, code, type, category, status }
+ */
+async function createSubject(tenantId, data) {
+    const fields = validateSubjectFields(data);
+    await assertSubjectFree(tenantId, fields, null);
+    const subject = await Subject.create({ ...fields, tenantId });
+    return getSubjectById(subject.id, tenantId);
+}
+
+/**
+ * Update a subject. Renaming it renames the timetable slots linked to it.
+ */
+async function updateSubject(id, tenantId, updates) {
+    const subject = await Subject.findOne({ where: { id, tenantId } });
+    if (!subject) return null;
+
+    const merged = {};
+    ['name', 'code', 'type', 'category', 'status'].forEach(k => {
+        merged[k] = updates[k] !== undefined ? updates[k] : subject[k];
+    });
+    const fields = validateSubjectFields(merged);
+
+    await sequelize.transaction(async (transaction) => {
+        await assertSubjectFree(tenantId, fields, id, transaction);
+        if (fields.name !== subject.name) {
+            await TimetableSlot.update({ subject: fields.name }, { where: { tenantId, subjectId: id }, transaction });
+        }
+        await subject.update(fields, { transaction });
+    });
+    return getSubjectById(id, tenantId);
+}
+
+/**
+ * Delete a subject no class takes and no timetable slot points at; deactivate it otherwise
+ */
+async function deleteSubject(id, tenantId) {
+    const subject = await Subject.findOne({ where: { id, tenantId } });
+    if (!subject) return null;
+
+    const classes = await ClassSubject.count({ where: { tenantId, subjectId: id } });
+    const slots = await TimetableSlot.count({ where: { tenantId, subjectId: id } });
+    if (classes + slots > 0) {
+        throw new Error(`CONFLICT: ${classes} class(es) and ${slots} timetable slot(s) use this subject; deactivate it instead`);
+    }
+    await subject.destroy();
+    logger.info(`[SUBJECT] Subject ${subject.code} deleted for tenant ${tenantId}`);
+    return subject;
+}
+
+// ========== CLASS SUBJECTS ==========
+
+const teacherName = (t) => [t.firstName, t.lastName].filter(Boolean).join(' ');
+
+const mappingView = (row) => ({
+    id: row.id,
+    classId: row.classId,
+    subjectId: row.subjectId,
+    teacherId: row.teacherId,
+    ...(row.class ? { class: { id: row.class.id, className: row.class.className, section: row.class.section } } : {}),
+    ...(row.subject ? { subject: row.subject.get ? row.subject.get({ plain: true }) : row.subject } : {}),
+    teacher: row.teacher ? { id: row.teacher.id, teacherId: row.teacher.teacherId, name: teacherName(row.teacher) } : null
+});
+
+const loadClass = async (tenantId, classId, transaction = null) => {
+    const cls = await Class.findOne({ where: { id: classId, tenantId }, attributes: [...CLASS_ATTRIBUTES, 'noOfSubjects'], transaction });
+    if (!cls) {
+        throw new Error('NOT_FOUND: Class not found');
+    }
+    return cls;
+};
+
+/**
+ * The subjects a class takes, with their teachers
+ */
+async function listClassSubjects(tenantId, classId) {
+    const cls = await loadClass(tenantId, classId);
+    const rows = await ClassSubject.findAll({
+        where: { tenantId, classId },
+        include: MAPPING_INCLUDES.filter(i => i.as !== 'class'),
+        order: [[{ model: Subject, as: 'subject' }, 'name', 'ASC']]
+    });
+    return {
+        class: { id: cls.id, className: cls.className, section: cls.section },
+        subjects: rows.map(mappingView)
+    };
+}
+
+/**
+ * Replace the subjects of a class and their teachers. A subject still on the class's active
+ * timetable cannot be removed. Class.noOfSubjects follows the number of subjects.
+ *
+ * @param {Array} entries - [{ subjectId, teacherId }]
+ */
+async function setClassSubjects(tenantId, classId, entries) {
+    const wanted = validateClassSubjects(entries);
+
+    await sequelize.transaction(async (transaction) => {
+        const cls = await loadClass(tenantId, classId, transaction);
+
+        const subjectIds = wanted.map(e => e.subjectId);
+        const subjects = subjectIds.length
+            ? await Subject.findAll({ where: { tenantId, id: { [Op.in]: subjectIds } }, attributes: ['id', 'status'], transaction })
+            : [];
+        const unknown = subjectIds.filter(id => !subjects.some(s => s.id === id));
+        if (unknown.length) {
+            throw new Error(`VALIDATION_ERROR: Unknown subject(s): ${unknown.join(', ')}`);
+        }
+
+        const teacherIds = [...new Set(wanted.map(e => e.teacherId).filter(Boolean))];
+        const teachers = teacherIds.length
+            ? await Teacher.findAll({ where: { tenantId, id: { [Op.in]: teacherIds }, deletedAt: null }, attributes: ['id'], transaction })
+            : [];
+        const strangers = teacherIds.filter(id => !teachers.some(t => t.id === id));
+        if (strangers.length) {
+            throw new Error(`VALIDATION_ERROR: Unknown teacher(s): ${strangers.join(', ')}`);
+        }
+
+        const current = await ClassSubject.findAll({ where: { tenantId, classId }, transaction });
+        const removed = current.filter(row => !subjectIds.includes(row.subjectId));
+        if (removed.length) {
+            const scheduled = await TimetableSlot.count({
+                where: { tenantId, classId, isActive: true, subjectId: { [Op.in]: removed.map(r => r.subjectId) } },
+                transaction
+            });
+            if (scheduled > 0) {
+                throw new Error(`CONFLICT: ${scheduled} active timetable slot(s) of the class use the subjects being removed`);
+            }
+            await ClassSubject.destroy({ where: { tenantId, id: { [Op.in]: removed.map(r => r.id) } }, transaction });
+        }
+
+        for (const entry of wanted) {
+            const row = current.find(r => r.subjectId === entry.subjectId);
+            if (!row) {
+                await ClassSubject.create({ tenantId, classId, ...entry }, { transaction });
+            } else if (row.teacherId !== entry.teacherId) {
+                await row.update({ teacherId: entry.teacherId }, { transaction });
+            }
+        }
+        await cls.update({ noOfSubjects: wanted.length }, { transaction });
+    });
+
+    logger.info(`[SUBJECT] Class ${classId} of tenant ${tenantId} now takes ${wanted.length} subject(s)`);
+    return listClassSubjects(tenantId, classId);
+}
+
+/**
+ * The classes and subjects a teacher teaches
+ */
+async function getTeacherSubjects(tenantId, teacherId) {
+    const teacher = await Teacher.findOne({ where: { id: teacherId, tenantId }, attributes: TEACHER_ATTRIBUTES });
+    if (!teacher) {
+        throw new Error('NOT_FOUND: Teacher not found');
+    }
+    const rows = await ClassSubject.findAll({
+        where: { tenantId, teacherId },
+        include: MAPPING_INCLUDES.filter(i => i.as !== 'teacher'),
+        order: [[{ model: Class, as: 'class' }, 'className', 'ASC'], [{ model: Class, as: 'class' }, 'section', 'ASC']]
+    });
+    return {
+        teacher: { id: teacher.id, teacherId: teacher.teacherId, name: teacherName(teacher) },
+        subjects: rows.map(mappingView)
+    };
+}
+
+// ========== LOOKUPS ==========
+
+/**
+ * The subject a timetable slot names among the subjects of its class
+ *
+ * @param {Object} ref - { subjectId, subject }
+ * @returns {Promise<Object|null>} { subjectId, subject, teacherId }, null when the class has no subjects
+ */
+async function resolveClassSubject(tenantId, classId, ref, transaction = null) {
+    const rows = await ClassSubject.findAll({
+        where: { tenantId, classId },
+        include: [{ model: Subject, as: 'subject', attributes: SUBJECT_ATTRIBUTES }],
+        transaction
+    });
+    if (rows.length === 0) {
+        if (ref.subjectId) {
+            throw new Error('VALIDATION_ERROR: The class has no subjects yet; map them first');
+        }
+        return null;
+    }
+
+    const subject = matchSubject(rows.map(r => r.subject), ref);
+    if (!subject) {
+        throw new Error(`VALIDATION_ERROR: ${ref.subject || ref.subjectId} is not a subject of this class`);
+    }
+    const row = rows.find(r => r.subjectId === subject.id);
+    return { subjectId: subject.id, subject: subject.name, teacherId: row.teacherId };
+}
+
+/**
+ * Whether a teacher teaches a subject (by name or code) in a class: its class subjects, or
+ * its periods on the active timetable when the class has no subjects mapped yet
+ */
+async function teachesSubject(tenantId, { classId, subject, teacherId }, transaction = null) {
+    if (!teacherId) return false;
+    if (await ClassSubject.count({ where: { tenantId, classId }, transaction })) {
+        const count = await ClassSubject.count({
+            where: { tenantId, classId, teacherId },
+            include: [{
+                model: Subject,
+                as: 'subject',
+                attributes: [],
+                where: { [Op.or]: [{ name: subject }, { code: subject }] }
+            }],
+            transaction
+        });
+        return count > 0;
+    }
+    const periods = await TimetableSlot.count({
+        where: { tenantId, classId, subject, teacherId, isActive: true },
+        transaction
+    });
+    return periods > 0;
+}
+
+/**
+ * The subjects a teacher takes: their class subjects and the subjects of their periods on the
+ * active timetable in classes whose subjects are not mapped yet
+ *
+ * @returns {Promise<Array>} [{ classId, subject }], subject by name
+ */
+async function loadTaughtSubjects(tenantId, teacherId, transaction = null) {
+    if (!teacherId) return [];
+    const mapped = await ClassSubject.findAll({
+        where: { tenantId, teacherId },
+        attributes: ['classId'],
+        include: [{ model: Subject, as: 'subject', attributes: ['name'] }],
+        transaction
+    });
+    let slots = await TimetableSlot.findAll({
+        where: { tenantId, teacherId, isActive: true },
+        attributes: ['classId', 'subject'],
+        transaction
+    });
+    if (slots.length) {
+        const mappedClasses = await ClassSubject.findAll({
+            where: { tenantId, classId: { [Op.in]: [...new Set(slots.map(s => s.classId))] } },
+            attributes: ['classId'],
+            transaction
+        });
+        const withSubjects = new Set(mappedClasses.map(r => r.classId));
+        slots = slots.filter(s => !withSubjects.has(s.classId));
+    }
+
+    const taught = new Map();
+    [...mapped.map(r => ({ classId: r.classId, subject: r.subject ? r.subject.name : null })), ...slots]
+        .filter(r => r.subject)
+        .forEach(r => taught.set(`${r.classId}|${r.subject}`, { classId: r.classId, subject: r.subject }));
+    return [...taught.values()];
+}
+
+/**
+ * The teacher of each subject of the classes
+ *
+ * @returns {Promise<Array>} [{ classId, subject, teacherId, teacher }]
+ */
+async function loadClassTeachers(tenantId, classIds) {
+    if (classIds.length === 0) return [];
+    const rows = await ClassSubject.findAll({
+        where: { tenantId, classId: { [Op.in]: classIds }, teacherId: { [Op.ne]: null } },
+        include: [
+            { model: Subject, as: 'subject', attributes: ['id', 'name'] },
+            { model: Teacher, as: 'teacher', attributes: ['id', 'firstName', 'lastName'] }
+        ]
+    });
+    return rows.map(r => ({ classId: r.classId, subject: r.subject ? r.subject.name : null, teacherId: r.teacherId, teacher: r.teacher }));
+}
+
+// ========== IMPORT ==========
+
+/**
+ * Create subjects and class mappings from the free-text subjects of the active timetable.
+ * A subject's teacher in a class is the teacher who takes most of its periods there. Slots
+ * are linked to their subjects. Existing subjects (same name) and mappings are reused.
+ *
+ * @returns {Promise<Object>} { subjects, classSubjects, slots } created or linked
+ */
+async function importFromTimetable(tenantId) {
+    const counts = await sequelize.transaction(async (transaction) => {
+        const slots = await TimetableSlot.findAll({
+            where: { tenantId, isActive: true },
+            attributes: ['id', 'classId', 'subject', 'teacherId', 'subjectId'],
+            transaction
+        });
+        const subjects = await Subject.findAll({ where: { tenantId }, attributes: ['id', 'name', 'code'], transaction });
+        const taken = new Set(subjects.map(s => s.code.toUpperCase()));
+        const result = { subjects: 0, classSubjects: 0, slots: 0 };
+
+        // Periods per class, subject and teacher
+        const periods = new Map();
+        for (const slot of slots) {
+            let subject = slot.subjectId ? subjects.find(s => s.id === slot.subjectId) : matchSubject(subjects, { subject: slot.subject });
+            if (!subject) {
+                const code = codeFor(slot.subject, taken);
+                taken.add(code);
+                subject = await Subject.create({ tenantId, name: slot.subject.trim(), code }, { transaction });
+                subjects.push(subject);
+                result.subjects += 1;
+            }
+            if (slot.subjectId !== subject.id) {
+                await slot.update({ subjectId: subject.id, subject: subject.name }, { transaction });
+                result.slots += 1;
+            }
+            const key = `${slot.classId}|${subject.id}`;
+            if (!periods.has(key)) periods.set(key, new Map());
+            if (slot.teacherId) {
+                const byTeacher = periods.get(key);
+                byTeacher.set(slot.teacherId, (byTeacher.get(slot.teacherId) || 0) + 1);
+            }
+        }
+
+        const existing = await ClassSubject.findAll({ where: { tenantId }, attributes: ['classId', 'subjectId'], transaction });
+        const mapped = new Set(existing.map(r => `${r.classId}|${r.subjectId}`));
+        const touched = new Set();
+        for (const [key, byTeacher] of periods) {
+            if (mapped.has(key)) continue;
+            const [classId, subjectId] = key.split('|');
+            const [top] = [...byTeacher.entries()].sort((a, b) => b[1] - a[1]);
+            await ClassSubject.create({ tenantId, classId, subjectId, teacherId: top ? top[0] : null }, { transaction });
+            result.classSubjects += 1;
+            touched.add(classId);
+        }
+        for (const classId of touched) {
+            const count = await ClassSubject.count({ where: { tenantId, classId }, transaction });
+            await Class.update({ noOfSubjects: count }, { where: { tenantId, id: classId }, transaction });
+        }
+        return result;
+    });
+
+    logger.info(`[SUBJECT] Imported the timetable of tenant ${tenantId}: ${counts.subjects} subject(s), ${counts.classSubjects} class subject(s), ${counts.slots} slot(s)`);
+    return counts;
+}
+
+module.exports = {
+    TYPES,
+    CATEGORIES,
+    STATUSES,
+    validateSubjectFields,
+    codeFor,
+    matchSubject,
+    validateClassSubjects,
+    listSubjects,
+    getSubjectById,
+    createSubject,
+    updateSubject,
+    deleteSubject,
+    listClassSubjects,
+    setClassSubjects,
+    getTeacherSubjects,
+    resolveClassSubject,
+    teachesSubject,
+    loadTaughtSubjects,
+    loadClassTeachers,
+    importFromTimetable
+};
@@ -0,0 +1,219 @@
+/**
+ * Timetable Service
+ *
+ * The weekly timetable of each class: one slot per weekday and period, with the subject and
+ * the teacher taking it. A class has at most one active slot per weekday and period, and a
+ * teacher cannot take two classes in the same period.
+ *
+ * Once a class has subjects (ClassSubject), a slot's subject must be one of them, named by
+ * subjectId or by name or code; the slot keeps the subject's name and, when no teacher is
+ * given, takes the subject's teacher in the class.
+ *
+ * Slots that period-wise attendance was recorded against cannot be deleted; deactivate them
+ * instead so the history keeps pointing at them.
+ */
+const { Op } = require('sequelize');
+const TimetableSlot = require('../models/TimetableSlot');
+const PeriodAttendance = require('../models/PeriodAttendance');
+const Class = require('../models/Class');
+const Teacher = require('../models/Teacher');
+const Subject = require('../models/Subject');
+const { resolveClassSubject } = require('./subjectService');
+require('../models'); // register associations used by the includes below
+
+const MAX_PERIODS_PER_DAY = 20;
+
+const SLOT_FIELDS = ['classId', 'dayOfWeek', 'periodNo', 'startTime', 'endTime', 'subject', 'subjectId', 'teacherId', 'room', 'isActive'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const SLOT_INCLUDES = [
+    { model: Class, as: 'class', attributes: ['id', 'className', 'section'] },
+    { model: Teacher, as: 'teacher', attributes: ['id', 'teacherId', 'firstName', 'lastName'] },
+    { model: Subject, as: 'subjectDetail', attributes: ['id', 'name', 'code', 'type', 'category'] }
+];
+
+// ========== PURE HELPERS ==========
+
+/**
+ * ISO weekday of a date: 1 = Monday ... 7 = Sunday
+ *
+ * @param {String} date - YYYY-MM-DD
+ * @returns {Number}
+ */
+function isoWeekday(date) {
+    const day = new Date(`${String(date).slice(0, 10)}T00:00:00Z`).getUTCDay();
+    return day === 0 ? 7 : day;
+}
+
+/**
+ * Check the fields of a slot (after merging updates into the stored slot)
+ */
+function validateSlotFields(slot) {
+    const dayOfWeek = Number(slot.dayOfWeek);
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 1 || dayOfWeek > 7) {
+        throw new Error('VALIDATION_ERROR: dayOfWeek must be between 1 (Monday) and 7 (Sunday)');
+    }
+    const periodNo = Number(slot.periodNo);
+    if (!Number.isInteger(periodNo) || periodNo < 1 || periodNo > MAX_PERIODS_PER_DAY) {
+        throw new Error(`VALIDATION_ERROR: periodNo must be between 1 and ${MAX_PERIODS_PER_DAY}`);
+    }
+    if (!slot.subjectId && (!slot.subject || !String(slot.subject).trim())) {
+        throw new Error('VALIDATION_ERROR: subject is required');
+    }
+    ['startTime', 'endTime'].forEach(k => {
+        if (slot[k] && !TIME_PATTERN.test(slot[k])) {
+            throw new Error(`VALIDATION_ERROR: ${k} must be a time (HH:MM)`);
+        }
+    });
+    if (slot.startTime && slot.endTime && slot.startTime.slice(0, 5) >= slot.endTime.slice(0, 5)) {
+        throw new Error('VALIDATION_ERROR: endTime must be after startTime');
+    }
+}
+
+// ========== SLOTS ==========
+
+/**
+ * Check references and clashes of an active slot. Resolves the slot's subject among the
+ * class's subjects and fills in the subject's teacher when none is given.
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} slot - Merged slot fields; subject, subjectId and teacherId are resolved in place
+ * @param {String} excludeId - Slot being updated
+ */
+async function validateSlot(tenantId, slot, excludeId = null) {
+    validateSlotFields(slot);
+
+    const cls = await Class.findOne({ where: { id: slot.classId, tenantId }, attributes: ['id'] });
+    if (!cls) {
+        throw new Error('VALIDATION_ERROR: Class does not exist');
+    }
+    const subject = await resolveClassSubject(tenantId, slot.classId, slot);
+    if (subject) {
+        slot.subjectId = subject.subjectId;
+        slot.subject = subject.subject;
+        if (!slot.teacherId) slot.teacherId = subject.teacherId;
+    } else {
+        slot.subjectId = null;
+    }
+    if (slot.teacherId) {
+        const teacher = await Teacher.findOne({ where: { id: slot.teacherId, tenantId }, attributes: ['id'] });
+        if (!teacher) {
+            throw new Error('VALIDATION_ERROR: Teacher does not exist');
+        }
+    }
+    if (slot.isActive === false) return;
+
+    const sameTime = { tenantId, dayOfWeek: slot.dayOfWeek, periodNo: slot.periodNo, isActive: true };
+    if (excludeId) sameTime.id = { [Op.ne]: excludeId };
+
+    const taken = await TimetableSlot.findOne({ where: { ...sameTime, classId: slot.classId }, attributes: ['id', 'subject'] });
+    if (taken) {
+        throw new Error(`CONFLICT: The class already has ${taken.subject} in period ${slot.periodNo} on this day`);
+    }
+    if (slot.teacherId) {
+        const busy = await TimetableSlot.findOne({ where: { ...sameTime, teacherId: slot.teacherId }, attributes: ['id'] });
+        if (busy) {
+            throw new Error(`CONFLICT: The teacher already takes another class in period ${slot.periodNo} on this day`);
+        }
+    }
+}
+
+/**
+ * List slots, ordered by class, weekday and period
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {Object} filters - { classId, teacherId, dayOfWeek, includeInactive }
+ */
+async function listSlots(tenantId, { classId, teacherId, dayOfWeek, includeInactive = false } = {}) {
+    const where = { tenantId };
+    if (classId) where.classId = classId;
+    if (teacherId) where.teacherId = teacherId;
+    if (dayOfWeek) where.dayOfWeek = dayOfWeek;
+    if (!includeInactive) where.isActive = true;
+
+    return TimetableSlot.findAll({
+        where,
+        include: SLOT_INCLUDES,
+        order: [['classId', 'ASC'], ['dayOfWeek', 'ASC'], ['periodNo', 'ASC']]
+    });
+}
+
+async function getSlotById(id, tenantId) {
+    return TimetableSlot.findOne({ where: { id, tenantId }, include: SLOT_INCLUDES });
+}
+
+async function createSlot(tenantId, data) {
+    const fields = { isActive: true };
+    SLOT_FIELDS.forEach(k => { if (data[k] !== undefined) fields[k] = data[k]; });
+
+    await validateSlot(tenantId, fields);
+    const slot = await TimetableSlot.create({ ...fields, tenantId });
+    return getSlotById(slot.id, tenantId);
+}
+
+/**
+ * Update a slot. A slot with recorded attendance cannot move to another class.
+ */
+async function updateSlot(id, tenantId, updates) {
+    const slot = await TimetableSlot.findOne({ where: { id, tenantId } });
+    if (!slot) return null;
+
+    const fields = {};
+    SLOT_FIELDS.forEach(k => { if (updates[k] !== undefined) fields[k] = updates[k]; });
+
+    if (fields.classId && fields.classId !== slot.classId) {
+        const recorded = await PeriodAttendance.count({ where: { tenantId, timetableSlotId: id } });
+        if (recorded > 0) {
+            throw new Error('CONFLICT: Attendance was recorded against this slot; deactivate it and add a new slot instead');
+        }
+    }
+
+    // A new subject name or class is looked up again rather than kept with the old subjectId
+    if ((fields.subject !== undefined || fields.classId !== undefined) && fields.subjectId === undefined) fields.subjectId = null;
+    const merged = { ...slot.get({ plain: true }), ...fields };
+    await validateSlot(tenantId, merged, id);
+    ['subject', 'subjectId', 'teacherId'].forEach(k => { fields[k] = merged[k]; });
+    await slot.update(fields);
+    return getSlotById(id, tenantId);
+}
+
+async function deleteSlot(id, tenantId) {
+    const slot = await TimetableSlot.findOne({ where: { id, tenantId } });
+    if (!slot) return null;
+
+    const recorded = await PeriodAttendance.count({ where: { tenantId, timetableSlotId: id } });
+    if (recorded > 0) {
+        throw new Error('CONFLICT: Attendance was recorded against this slot; deactivate it instead');
+    }
+    await slot.destroy();
+    return slot;
+}
+
+/**
+ * Active slots of a class on the weekday of a date, by period
+ *
+ * @param {String} tenantId - Tenant ID
+ * @param {String} classId - Class ID
+ * @param {String} date - YYYY-MM-DD
+ * @param {Object} transaction - Optional transaction
+ */
+async function slotsForDate(tenantId, classId, date, transaction = null) {
+    return TimetableSlot.findAll({
+        where: { tenantId, classId, dayOfWeek: isoWeekday(date), isActive: true },
+        order: [['periodNo', 'ASC']],
+        transaction
+    });
+}
+
+module.exports = {
+    MAX_PERIODS_PER_DAY,
+    isoWeekday,
+    validateSlotFields,
+    listSlots,
+    getSlotById,
+    createSlot,
+    updateSlot,
+    deleteSlot,
+    slotsForDate
+};
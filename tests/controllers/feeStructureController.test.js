@@ -0,0 +1,28 @@
+jest.mock('../../services/feeStructureService');
+jest.mock('../../services/academicYearService');
+const feeStructureService = require('../../services/feeStructureService');
+const academicYearService = require('../../services/academicYearService');
+const controller = require('../../controllers/feeStructureController');
+
+const list = async (query) => {
+    const req = { user: { tenantId: 't1' }, query };
+    const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+    await controller.listFeeStructures(req, res, jest.fn());
+    return res.json.mock.calls[0][0];
+};
+
+describe('feeStructureController.listFeeStructures', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        academicYearService.resolveYearFilter.mockResolvedValue(null);
+        feeStructureService.listFeeStructures.mockResolvedValue({ count: 450, rows: [] });
+    });
+
+    test('counts pages with the limit the list was read with', async () => {
+        expect((await list({ limit: '1000' })).pagination).toEqual({ total: 450, pages: 3, current: 1 });
+        expect(feeStructureService.listFeeStructures).toHaveBeenCalledWith('t1', expect.objectContaining({ page: 1, limit: 200 }));
+
+        expect((await list({ limit: 'abc', page: '2' })).pagination).toEqual({ total: 450, pages: 9, current: 2 });
+        expect(feeStructureService.listFeeStructures).toHaveBeenLastCalledWith('t1', expect.objectContaining({ page: 2, limit: 50 }));
+    });
+});
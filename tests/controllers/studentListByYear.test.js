@@ -0,0 +1,75 @@
+// The student repository, recording the filters it is given
+const mockFindVisibleStudents = jest.fn();
+jest.mock('../../repositories', () => ({
+    RepositoryFactory: jest.fn().mockImplementation(() => ({
+        student: { findVisibleStudents: mockFindVisibleStudents }
+    }))
+}));
+jest.mock('../../utils/s3Helper');
+
+const { Op } = require('sequelize');
+const AcademicYear = require('../../models/AcademicYear');
+const StudentEnrollment = require('../../models/StudentEnrollment');
+const controller = require('../../controllers/studentController');
+
+const LAST_YEAR = '11111111-1111-4111-8111-111111111111';
+const THIS_YEAR = '22222222-2222-4222-8222-222222222222';
+
+// Riya was in class-5a last year and was promoted to class-6a this year: her student row
+// points at this year, her enrollments keep both
+const riya = { id: 'student-1', firstName: 'Riya', classId: 'class-6a', academicYearId: THIS_YEAR };
+const enrollments = [
+    { studentId: 'student-1', academicYearId: LAST_YEAR, classId: 'class-5a' },
+    { studentId: 'student-1', academicYearId: THIS_YEAR, classId: 'class-6a' }
+];
+
+const list = async (query) => {
+    const req = { user: { tenantId: 't1', userId: 'admin-1' }, query };
+    const res = { json: jest.fn(), status: jest.fn().mockReturnThis() };
+    await controller.listStudents(req, res, jest.fn());
+    return res.json.mock.calls[0][0];
+};
+
+describe('studentController.listStudents by academic year', () => {
+    beforeEach(() => {
+        jest.spyOn(AcademicYear, 'count').mockResolvedValue(1);
+        jest.spyOn(AcademicYear, 'findOne').mockResolvedValue({ id: THIS_YEAR });
+        jest.spyOn(StudentEnrollment, 'findAll').mockImplementation(async ({ where }) => enrollments
+            .filter(e => e.academicYearId === where.academicYearId && (!where.classId || e.classId === where.classId))
+            .map(e => ({ studentId: e.studentId })));
+        mockFindVisibleStudents.mockImplementation(async (userContext, filters) => {
+            const ids = filters.id ? filters.id[Op.in] : [riya.id];
+            const rows = ids.includes(riya.id) ? [riya] : [];
+            return { count: rows.length, rows };
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        mockFindVisibleStudents.mockReset();
+    });
+
+    test('lists a promoted student in the year they left, through their enrollment', async () => {
+        const body = await list({ academicYearId: LAST_YEAR });
+
+        expect(body.data.map(s => s.id)).toEqual(['student-1']);
+        const filters = mockFindVisibleStudents.mock.calls[0][1];
+        expect(filters).not.toHaveProperty('academicYearId');
+        expect(filters.id[Op.in]).toEqual(['student-1']);
+    });
+
+    test('matches classId against the class of that year', async () => {
+        expect((await list({ academicYearId: LAST_YEAR, classId: 'class-5a' })).data).toHaveLength(1);
+        expect((await list({ academicYearId: LAST_YEAR, classId: 'class-6a' })).data).toHaveLength(0);
+        expect(StudentEnrollment.findAll).toHaveBeenCalledWith(expect.objectContaining({
+            where: { tenantId: 't1', academicYearId: LAST_YEAR, classId: 'class-6a' }
+        }));
+    });
+
+    test('defaults to the current year and leaves "all" unfiltered', async () => {
+        expect((await list({ classId: 'class-6a' })).data).toHaveLength(1);
+
+        await list({ academicYearId: 'all', classId: 'class-6a' });
+        expect(mockFindVisibleStudents.mock.calls[1][1]).toEqual({ classId: 'class-6a' });
+    });
+});
@@ -0,0 +1,98 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['ADMIN'], role: 'ADMIN' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+// Mock the controller so we don't hit DB/repositories
+const respond = (req, res) => res.json({ success: true, permission: req.permission || null, body: req.body });
+const mockController = {
+    listYears: jest.fn(respond),
+    getCurrentYear: jest.fn(respond),
+    getYear: jest.fn(respond),
+    createYear: jest.fn(respond),
+    updateYear: jest.fn(respond),
+    makeCurrent: jest.fn(respond),
+    linkRecords: jest.fn(respond),
+    deleteYear: jest.fn(respond)
+};
+
+jest.mock('../../controllers/academicYearController', () => mockController);
+
+const academicYearsRouter = require('../../routes/academicYears');
+
+const YEAR = '11111111-1111-4111-8111-111111111111';
+
+const newYear = {
+    name: '2026-27',
+    startDate: '2026-04-01',
+    endDate: '2027-03-31',
+    terms: [{ name: 'Term 1', startDate: '2026-04-01', endDate: '2026-09-30' }]
+};
+
+describe('academic years routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/academic-years', academicYearsRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('years are read with school_config:read', async () => {
+        const list = await request(app).get('/api/academic-years');
+        expect(list.status).toBe(200);
+        expect(list.body.permission).toEqual(expect.objectContaining({ resource: 'school_config', action: 'read' }));
+
+        expect((await request(app).get('/api/academic-years/current')).body.permission)
+            .toEqual(expect.objectContaining({ action: 'read' }));
+        expect(mockController.getCurrentYear).toHaveBeenCalled();
+        expect(mockController.getYear).not.toHaveBeenCalled();
+
+        expect((await request(app).get(`/api/academic-years/${YEAR}`)).status).toBe(200);
+        expect((await request(app).get('/api/academic-years/2026-27')).status).toBe(400);
+    });
+
+    test('years are managed with school_config create/update/delete', async () => {
+        const created = await request(app).post('/api/academic-years').send({ ...newYear, isCurrent: 'true' });
+        expect(created.status).toBe(200);
+        expect(created.body.permission).toEqual(expect.objectContaining({ resource: 'school_config', action: 'create' }));
+        expect(created.body.body.isCurrent).toBe(true);
+
+        expect((await request(app).put(`/api/academic-years/${YEAR}`).send({ name: '2026-2027' })).body.permission)
+            .toEqual(expect.objectContaining({ action: 'update' }));
+        for (const path of ['make-current', 'link-records']) {
+            const res = await request(app).post(`/api/academic-years/${YEAR}/${path}`);
+            expect(res.body.permission).toEqual(expect.objectContaining({ action: 'update' }));
+        }
+        expect((await request(app).delete(`/api/academic-years/${YEAR}`)).body.permission)
+            .toEqual(expect.objectContaining({ action: 'delete' }));
+    });
+
+    test('year fields are validated', async () => {
+        expect((await request(app).post('/api/academic-years').send({ ...newYear, name: '' })).status).toBe(400);
+        expect((await request(app).post('/api/academic-years').send({ ...newYear, endDate: '31/03/2027' })).status).toBe(400);
+        expect((await request(app).post('/api/academic-years').send({ ...newYear, terms: [{ name: 'Term 1' }] })).status).toBe(400);
+        expect((await request(app).put(`/api/academic-years/${YEAR}`).send({ startDate: 'April' })).status).toBe(400);
+        expect(mockController.createYear).not.toHaveBeenCalled();
+        expect(mockController.updateYear).not.toHaveBeenCalled();
+    });
+});
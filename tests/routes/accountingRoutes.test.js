@@ -0,0 +1,125 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['ACCOUNTANT'], role: 'ACCOUNTANT' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+jest.mock('../../services/accountingService', () => ({
+    ACCOUNT_TYPES: ['asset', 'liability', 'equity', 'income', 'expense'],
+    VOUCHER_TYPES: ['income', 'expense', 'journal', 'fee_receipt', 'fee_refund', 'payroll', 'reversal'],
+    VOUCHER_MODES: ['cash', 'cheque', 'upi', 'bank_transfer']
+}));
+
+// Mock the controller so we don't hit DB/services
+const respond = (req, res) => res.json({ success: true, permission: req.permission });
+const mockController = {
+    listAccounts: jest.fn(respond),
+    createAccount: jest.fn(respond),
+    updateAccount: jest.fn(respond),
+    deleteAccount: jest.fn(respond),
+    getAccountLedger: jest.fn(respond),
+    listVouchers: jest.fn(respond),
+    getVoucherById: jest.fn(respond),
+    createIncomeVoucher: jest.fn(respond),
+    createExpenseVoucher: jest.fn(respond),
+    createJournalVoucher: jest.fn(respond),
+    reverseVoucher: jest.fn(respond),
+    disbursePayroll: jest.fn(respond),
+    listPayrollDisbursements: jest.fn(respond),
+    listJournal: jest.fn(respond),
+    getTrialBalance: jest.fn(respond),
+    exportTrialBalance: jest.fn(respond)
+};
+
+jest.mock('../../controllers/accountingController', () => mockController);
+
+const accountingRouter = require('../../routes/accounting');
+
+const UUID = '11111111-1111-4111-8111-111111111111';
+
+describe('accounting routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/accounting', accountingRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('the books are read with fees:read', async () => {
+        for (const path of ['/accounts', `/accounts/${UUID}/ledger`, '/vouchers', `/vouchers/${UUID}`, '/journal', '/trial-balance']) {
+            const res = await request(app).get(`/api/accounting${path}`);
+            expect(res.status).toBe(200);
+            expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'fees', action: 'read' }));
+        }
+    });
+
+    test('income and expense vouchers need an amount and a cash side', async () => {
+        let res = await request(app).post('/api/accounting/vouchers/expense').send({ amount: 250 });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post('/api/accounting/vouchers/expense').send({ amount: 0, mode: 'cash' });
+        expect(res.status).toBe(400);
+        expect(mockController.createExpenseVoucher).not.toHaveBeenCalled();
+
+        res = await request(app).post('/api/accounting/vouchers/income').send({ amount: 250, mode: 'upi', partyName: 'Canteen' });
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'fees', action: 'create' }));
+    });
+
+    test('account updates receive isActive as a boolean', async () => {
+        const res = await request(app).put(`/api/accounting/accounts/${UUID}`).send({ isActive: 'false' });
+        expect(res.status).toBe(200);
+        expect(mockController.updateAccount.mock.calls[0][0].body.isActive).toBe(false);
+    });
+
+    test('journal vouchers need at least two lines', async () => {
+        const res = await request(app).post('/api/accounting/vouchers/journal').send({ lines: [{ accountId: UUID, debit: 10 }] });
+        expect(res.status).toBe(400);
+        expect(mockController.createJournalVoucher).not.toHaveBeenCalled();
+    });
+
+    test('reversing a voucher requires a reason and fees:update', async () => {
+        let res = await request(app).post(`/api/accounting/vouchers/${UUID}/reverse`).send({});
+        expect(res.status).toBe(400);
+
+        res = await request(app).post(`/api/accounting/vouchers/${UUID}/reverse`).send({ reason: 'Wrong account' });
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'fees', action: 'update' }));
+    });
+
+    test('salary disbursement runs on hr_payroll and validates the period', async () => {
+        let res = await request(app).post('/api/accounting/payroll/disbursements')
+            .send({ employeeType: 'staff', employeeId: UUID, period: '2026-13', mode: 'bank_transfer' });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post('/api/accounting/payroll/disbursements')
+            .send({ employeeType: 'teacher', employeeId: UUID, period: '2026-09', mode: 'bank_transfer' });
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'hr_payroll', action: 'create' }));
+    });
+
+    test('trial balance export requires fees:export', async () => {
+        const res = await request(app).get('/api/accounting/trial-balance/export?format=pdf');
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'fees', action: 'export' }));
+    });
+});
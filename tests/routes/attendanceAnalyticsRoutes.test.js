@@ -0,0 +1,79 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['PRINCIPAL'], role: 'PRINCIPAL' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+jest.mock('../../services/attendanceAnalyticsService', () => ({
+    STANDINGS: ['below', 'at_risk', 'ok']
+}));
+
+// Mock the controller so we don't hit DB/repositories
+const respond = (req, res) => res.json({ success: true, permission: req.permission || null, query: req.query });
+const mockController = {
+    getStudentReport: jest.fn(respond),
+    exportStudentReport: jest.fn(respond),
+    getClassReport: jest.fn(respond),
+    exportClassReport: jest.fn(respond),
+    getChronicAbsenteeReport: jest.fn(respond),
+    exportChronicAbsenteeReport: jest.fn(respond)
+};
+
+jest.mock('../../controllers/attendanceAnalyticsController', () => mockController);
+
+const attendanceAnalyticsRouter = require('../../routes/attendanceAnalytics');
+
+describe('attendance analytics routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/attendance', attendanceAnalyticsRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('reports use analytics:read', async () => {
+        const students = await request(app).get('/api/attendance/analytics/students?from=2026-04-01&to=2026-09-30&standing=below');
+        expect(students.status).toBe(200);
+        expect(students.body.permission).toEqual(expect.objectContaining({ resource: 'analytics', action: 'read' }));
+
+        expect((await request(app).get('/api/attendance/analytics/classes')).body.permission).toEqual(expect.objectContaining({ action: 'read' }));
+        expect(mockController.getClassReport).toHaveBeenCalled();
+
+        expect((await request(app).get('/api/attendance/analytics/chronic-absentees')).status).toBe(200);
+        expect(mockController.getChronicAbsenteeReport).toHaveBeenCalled();
+    });
+
+    test('exports use analytics:export', async () => {
+        const res = await request(app).get('/api/attendance/analytics/chronic-absentees/export?format=csv');
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'analytics', action: 'export' }));
+
+        expect((await request(app).get('/api/attendance/analytics/students/export?format=xlsx')).status).toBe(400);
+        expect(mockController.exportStudentReport).not.toHaveBeenCalled();
+    });
+
+    test('filters are validated', async () => {
+        expect((await request(app).get('/api/attendance/analytics/students?standing=great')).status).toBe(400);
+        expect((await request(app).get('/api/attendance/analytics/students?classId=5A')).status).toBe(400);
+        expect((await request(app).get('/api/attendance/analytics/classes?from=last-term')).status).toBe(400);
+    });
+});
@@ -0,0 +1,138 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['TEACHER'], role: 'TEACHER' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+jest.mock('../../services/attendanceService', () => ({
+    ATTENDANCE_STATUSES: ['present', 'absent', 'late', 'excused']
+}));
+
+// Mock the controller so we don't hit DB/repositories
+const respond = (req, res) => res.json({ success: true, permission: req.permission });
+const mockController = {
+    listAttendance: jest.fn(respond),
+    listClasses: jest.fn(respond),
+    getClassRoster: jest.fn(respond),
+    markClassAttendance: jest.fn(respond),
+    listPeriods: jest.fn(respond),
+    getPeriodRoster: jest.fn(respond),
+    markPeriodAttendance: jest.fn(respond),
+    getAttendance: jest.fn(respond),
+    updateAttendance: jest.fn(respond),
+    deleteAttendance: jest.fn((req, res) => res.status(204).end())
+};
+
+jest.mock('../../controllers/attendanceController', () => mockController);
+
+const attendanceRouter = require('../../routes/attendance');
+
+const UUID = '11111111-1111-4111-8111-111111111111';
+const OTHER = '22222222-2222-4222-8222-222222222222';
+
+describe('attendance routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/attendance', attendanceRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('records and registers are read with attendance_students:read', async () => {
+        for (const path of ['', '/classes', `/classes/${UUID}?date=2026-10-19`, `/${UUID}`]) {
+            const res = await request(app).get(`/api/attendance${path}`);
+            expect(res.status).toBe(200);
+            expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'attendance_students', action: 'read' }));
+        }
+    });
+
+    test('/classes is not taken for a record id', async () => {
+        await request(app).get('/api/attendance/classes');
+        expect(mockController.listClasses).toHaveBeenCalled();
+        expect(mockController.getAttendance).not.toHaveBeenCalled();
+    });
+
+    test('marking a class needs attendance_students:create', async () => {
+        const res = await request(app).post(`/api/attendance/classes/${UUID}`).send({
+            date: '2026-10-19',
+            defaultStatus: 'present',
+            records: [{ studentId: OTHER, status: 'absent', remarks: 'Fever' }]
+        });
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'attendance_students', action: 'create' }));
+    });
+
+    test('marking validates the class, date and records', async () => {
+        let res = await request(app).post('/api/attendance/classes/not-a-uuid').send({ defaultStatus: 'present' });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post(`/api/attendance/classes/${UUID}`).send({ date: '19/10/2026', defaultStatus: 'present' });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post(`/api/attendance/classes/${UUID}`).send({ defaultStatus: 'holiday' });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post(`/api/attendance/classes/${UUID}`).send({ records: [{ studentId: OTHER, status: 'gone' }] });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post(`/api/attendance/classes/${UUID}`).send({ records: [{ status: 'present' }] });
+        expect(res.status).toBe(400);
+
+        expect(mockController.markClassAttendance).not.toHaveBeenCalled();
+    });
+
+    test('single records are edited with update and removed with delete', async () => {
+        let res = await request(app).put(`/api/attendance/${UUID}`).send({ status: 'excused' });
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ action: 'update' }));
+
+        res = await request(app).put(`/api/attendance/${UUID}`).send({ status: 'holiday' });
+        expect(res.status).toBe(400);
+
+        res = await request(app).delete(`/api/attendance/${UUID}`);
+        expect(res.status).toBe(204);
+    });
+
+    test('the period register reads with read and marks with create', async () => {
+        let res = await request(app).get('/api/attendance/periods?date=2026-10-19');
+        expect(res.status).toBe(200);
+        expect(mockController.listPeriods).toHaveBeenCalled();
+        expect(mockController.getAttendance).not.toHaveBeenCalled();
+
+        res = await request(app).get(`/api/attendance/periods/${UUID}`);
+        expect(res.body.permission).toEqual(expect.objectContaining({ action: 'read' }));
+
+        res = await request(app).post(`/api/attendance/periods/${UUID}`).send({ date: '2026-10-19', defaultStatus: 'present' });
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'attendance_students', action: 'create' }));
+    });
+
+    test('period marking validates the slot and records', async () => {
+        let res = await request(app).post('/api/attendance/periods/not-a-uuid').send({ defaultStatus: 'present' });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post(`/api/attendance/periods/${UUID}`).send({ records: [{ studentId: OTHER, status: 'gone' }] });
+        expect(res.status).toBe(400);
+
+        expect(mockController.markPeriodAttendance).not.toHaveBeenCalled();
+    });
+});
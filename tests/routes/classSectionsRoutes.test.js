@@ -0,0 +1,116 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['ADMIN'], role: 'ADMIN' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+// Mock the controller so we don't hit DB/repositories
+const respond = (req, res) => res.json({ success: true, permission: req.permission || null, body: req.body });
+const mockController = {
+    listGroups: jest.fn(respond),
+    getGroup: jest.fn(respond),
+    createGroup: jest.fn(respond),
+    updateGroup: jest.fn(respond),
+    deleteGroup: jest.fn(respond),
+    addSections: jest.fn(respond),
+    updateSection: jest.fn(respond),
+    resequenceRollNumbers: jest.fn(respond),
+    moveStudents: jest.fn(respond)
+};
+
+jest.mock('../../controllers/classSectionController', () => mockController);
+
+const classSectionsRouter = require('../../routes/classSections');
+
+const ID = '11111111-1111-4111-8111-111111111111';
+const SECTION = '22222222-2222-4222-8222-222222222222';
+const STUDENT = '33333333-3333-4333-8333-333333333333';
+
+describe('class sections routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/class-sections', classSectionsRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('classes are read with school_config:read, by year or all years', async () => {
+        const list = await request(app).get('/api/class-sections?academicYearId=all');
+        expect(list.status).toBe(200);
+        expect(list.body.permission).toEqual(expect.objectContaining({ resource: 'school_config', action: 'read' }));
+        expect((await request(app).get(`/api/class-sections?academicYearId=${ID}`)).status).toBe(200);
+        expect((await request(app).get('/api/class-sections?academicYearId=2026-27')).status).toBe(400);
+
+        expect((await request(app).get(`/api/class-sections/${ID}`)).status).toBe(200);
+        expect((await request(app).get('/api/class-sections/not-a-uuid')).status).toBe(400);
+        expect(mockController.getGroup).toHaveBeenCalledTimes(1);
+    });
+
+    test('creating a class checks its name, capacities and sections', async () => {
+        const res = await request(app).post('/api/class-sections').send({
+            name: 'Grade 5',
+            defaultCapacity: 40,
+            sections: [{ section: 'A', classTeacherId: SECTION }, { section: 'B', capacity: 35 }]
+        });
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'school_config', action: 'create' }));
+
+        expect((await request(app).post('/api/class-sections').send({ defaultCapacity: 40 })).status).toBe(400);
+        expect((await request(app).post('/api/class-sections').send({ name: 'Grade 5', defaultCapacity: 0 })).status).toBe(400);
+        expect((await request(app).post('/api/class-sections').send({ name: 'Grade 5', sections: [{ capacity: 30 }] })).status).toBe(400);
+        expect((await request(app).post('/api/class-sections').send({ name: 'Grade 5', sections: [{ section: 'A', classTeacherId: 'x' }] })).status).toBe(400);
+        expect(mockController.createGroup).toHaveBeenCalledTimes(1);
+    });
+
+    test('classes and sections are changed with school_config', async () => {
+        const update = await request(app).put(`/api/class-sections/${ID}`).send({ name: 'Grade Five', defaultCapacity: null });
+        expect(update.status).toBe(200);
+        expect(update.body.permission).toEqual(expect.objectContaining({ resource: 'school_config', action: 'update' }));
+
+        const add = await request(app).post(`/api/class-sections/${ID}/sections`).send({ sections: [{ section: 'C' }] });
+        expect(add.status).toBe(200);
+        expect((await request(app).post(`/api/class-sections/${ID}/sections`).send({ sections: [] })).status).toBe(400);
+
+        const section = await request(app).put(`/api/class-sections/${ID}/sections/${SECTION}`).send({ capacity: 30, classTeacherId: null });
+        expect(section.status).toBe(200);
+        expect(section.body.permission).toEqual(expect.objectContaining({ resource: 'school_config', action: 'update' }));
+        expect((await request(app).put(`/api/class-sections/${ID}/sections/${SECTION}`).send({ status: 'closed' })).status).toBe(400);
+
+        const removed = await request(app).delete(`/api/class-sections/${ID}`);
+        expect(removed.body.permission).toEqual(expect.objectContaining({ resource: 'school_config', action: 'delete' }));
+    });
+
+    test('moving students and renumbering a section need students:update', async () => {
+        const move = await request(app).post(`/api/class-sections/${ID}/move`).send({ toClassId: SECTION, studentIds: [STUDENT] });
+        expect(move.status).toBe(200);
+        expect(move.body.permission).toEqual(expect.objectContaining({ resource: 'students', action: 'update' }));
+
+        expect((await request(app).post(`/api/class-sections/${ID}/move`).send({ toClassId: SECTION, studentIds: [] })).status).toBe(400);
+        expect((await request(app).post(`/api/class-sections/${ID}/move`).send({ studentIds: [STUDENT] })).status).toBe(400);
+        expect((await request(app).post(`/api/class-sections/${ID}/move`).send({ toClassId: SECTION, studentIds: ['x'] })).status).toBe(400);
+        expect(mockController.moveStudents).toHaveBeenCalledTimes(1);
+
+        const rolls = await request(app).post(`/api/class-sections/${ID}/sections/${SECTION}/roll-numbers`);
+        expect(rolls.status).toBe(200);
+        expect(rolls.body.permission).toEqual(expect.objectContaining({ resource: 'students', action: 'update' }));
+    });
+});
@@ -0,0 +1,89 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['PRINCIPAL'], role: 'PRINCIPAL' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+// Mock the controller so we don't hit DB/repositories
+const respond = (req, res) => res.json({ success: true, permission: req.permission || null, query: req.query });
+const mockController = {
+    getRankReport: jest.fn(respond),
+    exportRankReport: jest.fn(respond),
+    getSubjectReport: jest.fn(respond),
+    exportSubjectReport: jest.fn(respond),
+    getTeacherReport: jest.fn(respond),
+    exportTeacherReport: jest.fn(respond),
+    getTermReport: jest.fn(respond),
+    exportTermReport: jest.fn(respond)
+};
+
+jest.mock('../../controllers/examAnalyticsController', () => mockController);
+
+const examAnalyticsRouter = require('../../routes/examAnalytics');
+
+const EXAM = '11111111-1111-4111-8111-111111111111';
+const CLASS = '22222222-2222-4222-8222-222222222222';
+
+describe('exam analytics routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/exams', examAnalyticsRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('reports use exams:read', async () => {
+        const ranks = await request(app).get(`/api/exams/${EXAM}/analytics/ranks?classId=${CLASS}`);
+        expect(ranks.status).toBe(200);
+        expect(ranks.body.permission).toEqual(expect.objectContaining({ resource: 'exams', action: 'read' }));
+
+        expect((await request(app).get(`/api/exams/${EXAM}/analytics/subjects`)).status).toBe(200);
+        expect(mockController.getSubjectReport).toHaveBeenCalled();
+        expect((await request(app).get(`/api/exams/${EXAM}/analytics/teachers`)).status).toBe(200);
+        expect(mockController.getTeacherReport).toHaveBeenCalled();
+
+        const terms = await request(app).get(`/api/exams/analytics/terms?academicSession=2026-27&classId=${CLASS}`);
+        expect(terms.status).toBe(200);
+        expect(mockController.getTermReport).toHaveBeenCalled();
+    });
+
+    test('exports use exams:export', async () => {
+        const res = await request(app).get(`/api/exams/${EXAM}/analytics/subjects/export?format=pdf`);
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'exams', action: 'export' }));
+
+        expect((await request(app).get(`/api/exams/analytics/terms/export?academicSession=2026-27&classId=${CLASS}`)).body.permission)
+            .toEqual(expect.objectContaining({ action: 'export' }));
+
+        expect((await request(app).get(`/api/exams/${EXAM}/analytics/teachers/export?format=xlsx`)).status).toBe(400);
+        expect(mockController.exportTeacherReport).not.toHaveBeenCalled();
+    });
+
+    test('filters are validated', async () => {
+        expect((await request(app).get(`/api/exams/${EXAM}/analytics/ranks`)).status).toBe(400);
+        expect((await request(app).get(`/api/exams/term-1/analytics/subjects`)).status).toBe(400);
+        expect((await request(app).get(`/api/exams/analytics/terms?classId=${CLASS}`)).status).toBe(400);
+        expect((await request(app).get('/api/exams/analytics/terms?academicSession=2026-27&teacherId=T-12')).status).toBe(400);
+        expect(mockController.getRankReport).not.toHaveBeenCalled();
+        expect(mockController.getTermReport).not.toHaveBeenCalled();
+    });
+});
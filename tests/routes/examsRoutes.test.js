@@ -0,0 +1,176 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['SCHOOL_ADMIN'], role: 'SCHOOL_ADMIN' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+jest.mock('../../services/examService', () => ({
+    EXAM_TYPES: ['unit_test', 'midterm', 'final'],
+    MAX_PAPER_MARKS: 1000
+}));
+
+jest.mock('../../services/examMarksService', () => ({
+    MARK_STATUSES: ['present', 'absent', 'medical']
+}));
+
+// Mock the controller so we don't hit DB/repositories
+const respond = (req, res) => res.json({ success: true, permission: req.permission, body: req.body });
+const mockController = {
+    listExams: jest.fn(respond),
+    createExam: jest.fn(respond),
+    getExam: jest.fn(respond),
+    updateExam: jest.fn(respond),
+    deleteExam: jest.fn((req, res) => res.status(204).end()),
+    listPapers: jest.fn(respond),
+    createPaper: jest.fn(respond),
+    updatePaper: jest.fn(respond),
+    deletePaper: jest.fn((req, res) => res.status(204).end()),
+    setInvigilators: jest.fn(respond),
+    listInvigilations: jest.fn(respond)
+};
+
+jest.mock('../../controllers/examController', () => mockController);
+
+const mockMarksController = {
+    getMarks: jest.fn(respond),
+    saveMarks: jest.fn(respond),
+    moderateMarks: jest.fn(respond),
+    reopenMarks: jest.fn(respond)
+};
+
+jest.mock('../../controllers/examMarksController', () => mockMarksController);
+
+const examsRouter = require('../../routes/exams');
+
+const UUID = '11111111-1111-4111-8111-111111111111';
+const PAPER = '22222222-2222-4222-8222-222222222222';
+
+describe('exams routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/exams', examsRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('exams are listed with exams:read and filtered by type', async () => {
+        let res = await request(app).get('/api/exams?examType=midterm&from=2026-09-01');
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'exams', action: 'read' }));
+
+        res = await request(app).get('/api/exams?examType=quarterly');
+        expect(res.status).toBe(400);
+    });
+
+    test('creating an exam needs exams:create, a name and a known type', async () => {
+        const exam = { name: 'Midterm 2026', examType: 'midterm', academicSession: '2026-27', startDate: '2026-09-21', endDate: '2026-10-03' };
+        let res = await request(app).post('/api/exams').send(exam);
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'exams', action: 'create' }));
+
+        res = await request(app).post('/api/exams').send({ ...exam, name: '' });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post('/api/exams').send({ ...exam, examType: 'quarterly' });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post('/api/exams').send({ ...exam, academicSession: '' });
+        expect(res.status).toBe(400);
+
+        expect(mockController.createExam).toHaveBeenCalledTimes(1);
+    });
+
+    test('invigilation duties are not taken for an exam id', async () => {
+        const res = await request(app).get(`/api/exams/invigilations?teacherId=${UUID}`);
+        expect(res.status).toBe(200);
+        expect(mockController.listInvigilations).toHaveBeenCalledTimes(1);
+        expect(mockController.getExam).not.toHaveBeenCalled();
+    });
+
+    test('papers need a date, times and marks', async () => {
+        const paper = { classId: UUID, subject: 'Mathematics', examDate: '2026-09-22', startTime: '09:30', endTime: '12:30', maxMarks: '80', passMarks: '28' };
+        let res = await request(app).post(`/api/exams/${UUID}/papers`).send(paper);
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'exams', action: 'create' }));
+        expect(res.body.body).toEqual(expect.objectContaining({ maxMarks: 80, passMarks: 28 }));
+
+        res = await request(app).post(`/api/exams/${UUID}/papers`).send({ ...paper, startTime: undefined });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post(`/api/exams/${UUID}/papers`).send({ ...paper, maxMarks: 0 });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post(`/api/exams/${UUID}/papers`).send({ ...paper, invigilatorIds: ['nope'] });
+        expect(res.status).toBe(400);
+
+        expect(mockController.createPaper).toHaveBeenCalledTimes(1);
+    });
+
+    test('papers and invigilators are changed with the matching actions', async () => {
+        let res = await request(app).put(`/api/exams/${UUID}/papers/${PAPER}`).send({ room: 'Hall A' });
+        expect(res.body.permission).toEqual(expect.objectContaining({ action: 'update' }));
+
+        res = await request(app).put(`/api/exams/${UUID}/papers/${PAPER}/invigilators`).send({ teacherIds: [UUID] });
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ action: 'update' }));
+
+        res = await request(app).put(`/api/exams/${UUID}/papers/${PAPER}/invigilators`).send({ teacherIds: 'all' });
+        expect(res.status).toBe(400);
+
+        res = await request(app).delete(`/api/exams/${UUID}/papers/${PAPER}`);
+        expect(res.status).toBe(204);
+
+        res = await request(app).delete(`/api/exams/${UUID}`);
+        expect(res.status).toBe(204);
+    });
+
+    test('marks are entered on exams:read, with the subject teacher checked by the controller', async () => {
+        const entries = [
+            { studentId: UUID, marksObtained: '72.5' },
+            { studentId: PAPER, status: 'medical' }
+        ];
+        let res = await request(app).put(`/api/exams/${UUID}/papers/${PAPER}/marks`).send({ entries, submit: true });
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'exams', action: 'read' }));
+        expect(res.body.body.entries[0].marksObtained).toBe(72.5);
+        expect(res.body.body.submit).toBe(true);
+
+        res = await request(app).put(`/api/exams/${UUID}/papers/${PAPER}/marks`).send({ entries: [] });
+        expect(res.status).toBe(400);
+
+        res = await request(app).put(`/api/exams/${UUID}/papers/${PAPER}/marks`).send({ entries: [{ studentId: UUID, status: 'late' }] });
+        expect(res.status).toBe(400);
+
+        res = await request(app).put(`/api/exams/${UUID}/papers/${PAPER}/marks`).send({ entries: [{ studentId: UUID, marksObtained: -1 }] });
+        expect(res.status).toBe(400);
+
+        expect(mockMarksController.saveMarks).toHaveBeenCalledTimes(1);
+    });
+
+    test('moderation and reopening need exams:update', async () => {
+        let res = await request(app).post(`/api/exams/${UUID}/papers/${PAPER}/marks/moderate`);
+        expect(res.body.permission).toEqual(expect.objectContaining({ action: 'update' }));
+
+        res = await request(app).post(`/api/exams/${UUID}/papers/${PAPER}/marks/reopen`);
+        expect(res.body.permission).toEqual(expect.objectContaining({ action: 'update' }));
+    });
+});
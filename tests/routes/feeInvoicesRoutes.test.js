@@ -0,0 +1,129 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['ACCOUNTANT'], role: 'ACCOUNTANT' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+jest.mock('../../services/invoiceService', () => ({
+    CREDIT_NOTE_TYPES: ['adjustment', 'refund'],
+    REFUND_MODES: ['cash', 'cheque', 'upi', 'bank_transfer']
+}));
+
+// Mock the controller so we don't hit DB/services
+const respond = (req, res) => res.json({ success: true, permission: req.permission });
+const mockController = {
+    listInvoices: jest.fn(respond),
+    createInvoice: jest.fn(respond),
+    generateInvoices: jest.fn(respond),
+    getInvoiceById: jest.fn(respond),
+    getInvoicePdf: jest.fn(respond),
+    cancelInvoice: jest.fn(respond),
+    createCreditNote: jest.fn(respond),
+    getCreditNotePdf: jest.fn(respond),
+    listCreditNotes: jest.fn(respond)
+};
+
+jest.mock('../../controllers/invoiceController', () => mockController);
+
+const feeInvoicesRouter = require('../../routes/feeInvoices');
+
+const UUID = '11111111-1111-4111-8111-111111111111';
+const PERIOD = { periodStart: '2026-10-01', periodEnd: '2026-10-31' };
+
+describe('fee invoice routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/fees', feeInvoicesRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('invoices and credit notes are read with fees:read', async () => {
+        for (const path of ['/invoices', `/invoices/${UUID}`, `/invoices/${UUID}/pdf`, `/invoices/${UUID}/credit-notes/${UUID}/pdf`, '/credit-notes']) {
+            const res = await request(app).get(`/api/fees${path}`);
+            expect(res.status).toBe(200);
+            expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'fees', action: 'read' }));
+        }
+    });
+
+    test('issuing an invoice needs a student and a period', async () => {
+        let res = await request(app).post('/api/fees/invoices').send(PERIOD);
+        expect(res.status).toBe(400);
+
+        res = await request(app).post('/api/fees/invoices').send({ studentId: UUID, periodStart: '2026-10-01' });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post('/api/fees/invoices').send({ studentId: UUID, ...PERIOD });
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'fees', action: 'create' }));
+    });
+
+    test('bulk generation validates studentIds', async () => {
+        let res = await request(app).post('/api/fees/invoices/generate').send({ ...PERIOD, studentIds: ['not-a-uuid'] });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post('/api/fees/invoices/generate').send({ ...PERIOD, classId: UUID });
+        expect(res.status).toBe(200);
+        expect(mockController.generateInvoices).toHaveBeenCalled();
+    });
+
+    test('cancelling needs a reason and fees:update', async () => {
+        let res = await request(app).post(`/api/fees/invoices/${UUID}/cancel`).send({});
+        expect(res.status).toBe(400);
+
+        res = await request(app).post(`/api/fees/invoices/${UUID}/cancel`).send({ reason: 'Raised in error' });
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'fees', action: 'update' }));
+    });
+
+    test('credit notes need a type, reason and lines', async () => {
+        const path = `/api/fees/invoices/${UUID}/credit-notes`;
+
+        let res = await request(app).post(path).send({ type: 'waiver', reason: 'x', lines: [{ invoiceLineId: UUID, amount: 10 }] });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post(path).send({ type: 'adjustment', reason: 'x', lines: [] });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post(path).send({ type: 'adjustment', reason: 'x', lines: [{ invoiceLineId: UUID, amount: 0 }] });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post(path).send({ type: 'adjustment', reason: 'Fee waived', lines: [{ invoiceLineId: UUID, amount: 250 }] });
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'fees', action: 'update' }));
+    });
+
+    test('refunds need a refund mode', async () => {
+        const path = `/api/fees/invoices/${UUID}/credit-notes`;
+        const refund = { type: 'refund', reason: 'Left school', lines: [{ invoiceLineId: UUID, amount: 250 }] };
+
+        let res = await request(app).post(path).send(refund);
+        expect(res.status).toBe(400);
+
+        res = await request(app).post(path).send({ ...refund, refundMode: 'online' });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post(path).send({ ...refund, refundMode: 'cash' });
+        expect(res.status).toBe(200);
+        expect(mockController.createCreditNote).toHaveBeenCalledTimes(1);
+    });
+});
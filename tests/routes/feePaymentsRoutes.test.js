@@ -0,0 +1,92 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['ACCOUNTANT'], role: 'ACCOUNTANT' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+jest.mock('../../services/feePaymentService', () => ({
+    PAYMENT_MODES: ['cash', 'cheque', 'upi', 'bank_transfer'],
+    LEDGER_MODES: ['cash', 'cheque', 'upi', 'bank_transfer', 'online']
+}));
+
+// Mock the controller so we don't hit DB/repositories
+const mockController = {
+    listPayments: jest.fn((req, res) => res.json({ success: true, data: [], pagination: { total: 0, pages: 0, current: 1 } })),
+    listFeePayments: jest.fn((req, res) => res.json({ success: true, data: { payments: [] } })),
+    getPaymentById: jest.fn((req, res) => res.json({ success: true, data: { id: req.params.paymentId } })),
+    collectPayment: jest.fn((req, res) => res.status(201).json({ success: true, permission: req.permission })),
+    reversePayment: jest.fn((req, res) => res.json({ success: true, permission: req.permission }))
+};
+
+jest.mock('../../controllers/feePaymentController', () => mockController);
+
+const feePaymentsRouter = require('../../routes/feePayments');
+
+const FEE_ID = '6ec0bd7f-11c0-43da-975e-2a8ad9ebae0b';
+const PAYMENT_ID = '1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed';
+
+describe('fee payment routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/fees', feePaymentsRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('POST /api/fees/:id/payments records a cash payment with fees:create', async () => {
+        const res = await request(app).post(`/api/fees/${FEE_ID}/payments`).send({ amount: 500, mode: 'cash' });
+        expect(res.status).toBe(201);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'fees', action: 'create' }));
+    });
+
+    test('POST /api/fees/:id/payments requires a reference for cheque payments', async () => {
+        const res = await request(app).post(`/api/fees/${FEE_ID}/payments`).send({ amount: 500, mode: 'cheque' });
+        expect(res.status).toBe(400);
+        expect(res.body).toEqual(expect.objectContaining({ success: false, code: 'VALIDATION_ERROR' }));
+        expect(mockController.collectPayment).not.toHaveBeenCalled();
+    });
+
+    test('POST /api/fees/:id/payments rejects an unknown mode', async () => {
+        const res = await request(app).post(`/api/fees/${FEE_ID}/payments`).send({ amount: 500, mode: 'card' });
+        expect(res.status).toBe(400);
+        expect(mockController.collectPayment).not.toHaveBeenCalled();
+    });
+
+    test('POST /api/fees/payments/:paymentId/reverse requires a reason', async () => {
+        const res = await request(app).post(`/api/fees/payments/${PAYMENT_ID}/reverse`).send({ reason: '  ' });
+        expect(res.status).toBe(400);
+        expect(mockController.reversePayment).not.toHaveBeenCalled();
+    });
+
+    test('POST /api/fees/payments/:paymentId/reverse uses fees:update', async () => {
+        const res = await request(app).post(`/api/fees/payments/${PAYMENT_ID}/reverse`).send({ reason: 'Cheque bounced' });
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'fees', action: 'update' }));
+    });
+
+    test('GET /api/fees/payments is not captured by the payment id route', async () => {
+        const res = await request(app).get('/api/fees/payments').query({ mode: 'upi', from: '2026-04-01' });
+        expect(res.status).toBe(200);
+        expect(mockController.listPayments).toHaveBeenCalledTimes(1);
+        expect(mockController.getPaymentById).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,80 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['ACCOUNTANT'], role: 'ACCOUNTANT' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+jest.mock('../../services/feePaymentService', () => ({
+    LEDGER_MODES: ['cash', 'cheque', 'upi', 'bank_transfer', 'online']
+}));
+
+// Mock the controller so we don't hit DB/services
+const respond = (req, res) => res.json({ success: true, permission: req.permission });
+const mockController = {
+    getAgingReport: jest.fn(respond),
+    exportAgingReport: jest.fn(respond),
+    getDefaulterReport: jest.fn(respond),
+    exportDefaulterReport: jest.fn(respond),
+    getCollectionReport: jest.fn(respond),
+    exportCollectionReport: jest.fn(respond)
+};
+
+jest.mock('../../controllers/feeReportController', () => mockController);
+
+const feeReportsRouter = require('../../routes/feeReports');
+
+describe('fee report routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/fees', feeReportsRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('reports are read with fees:read', async () => {
+        for (const report of ['aging', 'defaulters', 'collections']) {
+            const res = await request(app).get(`/api/fees/reports/${report}`);
+            expect(res.status).toBe(200);
+            expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'fees', action: 'read' }));
+        }
+    });
+
+    test('exports require fees:export', async () => {
+        for (const report of ['aging', 'defaulters', 'collections']) {
+            const res = await request(app).get(`/api/fees/reports/${report}/export?format=pdf`);
+            expect(res.status).toBe(200);
+            expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'fees', action: 'export' }));
+        }
+    });
+
+    test('unknown export formats are rejected', async () => {
+        const res = await request(app).get('/api/fees/reports/aging/export?format=xlsx');
+        expect(res.status).toBe(400);
+        expect(mockController.exportAgingReport).not.toHaveBeenCalled();
+    });
+
+    test('collections only group by day or collector', async () => {
+        const res = await request(app).get('/api/fees/reports/collections?groupBy=class');
+        expect(res.status).toBe(400);
+        expect(mockController.getCollectionReport).not.toHaveBeenCalled();
+    });
+});
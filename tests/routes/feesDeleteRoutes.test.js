@@ -0,0 +1,65 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['ACCOUNTANT'], role: 'ACCOUNTANT' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+// The real controller and FeeRepository, with the fee lookup and delete stubbed
+const FeeRepository = require('../../repositories/FeeRepository');
+const FeePayment = require('../../models/FeePayment');
+const feesRouter = require('../../routes/fees');
+
+const FEE_ID = '6ec0bd7f-11c0-43da-975e-2a8ad9ebae0b';
+
+describe('DELETE /api/fees/:id', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/fees', feesRouter);
+    });
+
+    beforeEach(() => {
+        jest.spyOn(FeeRepository.prototype, 'findFeeById').mockResolvedValue({ id: FEE_ID, tenantId: 't1' });
+        jest.spyOn(FeeRepository.prototype, 'deleteWithRLS').mockResolvedValue(1);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('refuses a fee with payments', async () => {
+        jest.spyOn(FeePayment, 'count').mockResolvedValue(1);
+
+        const res = await request(app).delete(`/api/fees/${FEE_ID}`);
+
+        expect(res.status).toBe(409);
+        expect(res.body).toEqual(expect.objectContaining({ success: false, error: 'Fee has payments; cancel or refund them first' }));
+        expect(FeePayment.count).toHaveBeenCalledWith(expect.objectContaining({ where: { tenantId: 't1', studentFeeId: FEE_ID } }));
+        expect(FeeRepository.prototype.deleteWithRLS).not.toHaveBeenCalled();
+    });
+
+    test('deletes a fee without payments', async () => {
+        jest.spyOn(FeePayment, 'count').mockResolvedValue(0);
+
+        const res = await request(app).delete(`/api/fees/${FEE_ID}`);
+
+        expect(res.status).toBe(204);
+        expect(FeeRepository.prototype.deleteWithRLS).toHaveBeenCalledWith(FEE_ID, expect.any(Object), {});
+    });
+});
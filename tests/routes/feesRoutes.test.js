@@ -0,0 +1,98 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['ACCOUNTANT'], role: 'ACCOUNTANT' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+// Mock the controller so we don't hit DB/repositories
+const mockController = {
+    listFees: jest.fn((req, res) => res.json({ success: true, data: [], pagination: { total: 0, pages: 0, current: 1 } })),
+    createFee: jest.fn((req, res) => res.status(201).json({ success: true, data: { id: 'f1', ...req.body } })),
+    getFeeById: jest.fn((req, res) => res.json({ success: true, data: { id: req.params.id } })),
+    updateFee: jest.fn((req, res) => res.json({ success: true, data: { id: req.params.id } })),
+    deleteFee: jest.fn((req, res) => res.status(204).end())
+};
+
+jest.mock('../../controllers/feeController', () => mockController);
+
+const feesRouter = require('../../routes/fees');
+
+const STUDENT_ID = '1b9d6bcd-bbfd-4b2d-9b5d-ab8dfbbd4bed';
+const FEE_ID = '6ec0bd7f-11c0-43da-975e-2a8ad9ebae0b';
+
+describe('fees routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/fees', feesRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('GET /api/fees passes filters through to the controller', async () => {
+        const res = await request(app).get('/api/fees').query({ status: 'pending', dueFrom: '2026-04-01', dueTo: '2026-04-30' });
+        expect(res.status).toBe(200);
+        expect(mockController.listFees).toHaveBeenCalledTimes(1);
+    });
+
+    test('GET /api/fees rejects an unknown status', async () => {
+        const res = await request(app).get('/api/fees').query({ status: 'waived' });
+        expect(res.status).toBe(400);
+        expect(res.body).toEqual(expect.objectContaining({ success: false, code: 'VALIDATION_ERROR' }));
+        expect(mockController.listFees).not.toHaveBeenCalled();
+    });
+
+    test('POST /api/fees validation fails when required fields missing', async () => {
+        const res = await request(app).post('/api/fees').send({ feeType: 'Tuition' });
+        expect(res.status).toBe(400);
+        expect(res.body.details).toEqual(expect.arrayContaining(['studentId is required', 'amount is required']));
+    });
+
+    test('POST /api/fees rejects a non-positive amount', async () => {
+        const res = await request(app).post('/api/fees').send({ studentId: STUDENT_ID, feeType: 'Tuition', amount: 0 });
+        expect(res.status).toBe(400);
+        expect(mockController.createFee).not.toHaveBeenCalled();
+    });
+
+    test('POST /api/fees success returns 201', async () => {
+        const res = await request(app).post('/api/fees').send({ studentId: STUDENT_ID, feeType: 'Tuition', amount: 1500, dueDate: '2026-04-10' });
+        expect(res.status).toBe(201);
+        expect(mockController.createFee).toHaveBeenCalledTimes(1);
+    });
+
+    test('GET /api/fees/:id rejects a non-UUID id', async () => {
+        const res = await request(app).get('/api/fees/not-a-uuid');
+        expect(res.status).toBe(400);
+        expect(mockController.getFeeById).not.toHaveBeenCalled();
+    });
+
+    test('PUT /api/fees/:id updates the fee', async () => {
+        const res = await request(app).put(`/api/fees/${FEE_ID}`).send({ amount: 1200 });
+        expect(res.status).toBe(200);
+        expect(res.body.data.id).toBe(FEE_ID);
+    });
+
+    test('DELETE /api/fees/:id returns 204', async () => {
+        const res = await request(app).delete(`/api/fees/${FEE_ID}`);
+        expect(res.status).toBe(204);
+        expect(mockController.deleteFee).toHaveBeenCalledTimes(1);
+    });
+});
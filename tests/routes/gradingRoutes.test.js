@@ -0,0 +1,147 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['SCHOOL_ADMIN'], role: 'SCHOOL_ADMIN' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+jest.mock('../../services/gradingService', () => ({
+    SCHEME_TYPES: ['cbse', 'icse', 'state', 'gpa', 'custom']
+}));
+
+// Mock the controller so we don't hit DB/repositories
+const respond = (req, res) => res.json({ success: true, permission: req.permission, body: req.body, query: req.query });
+const mockController = {
+    listSchemes: jest.fn(respond),
+    resolveScheme: jest.fn(respond),
+    getScheme: jest.fn(respond),
+    createScheme: jest.fn(respond),
+    updateScheme: jest.fn(respond),
+    deleteScheme: jest.fn((req, res) => res.status(204).end()),
+    assignScheme: jest.fn(respond),
+    removeAssignment: jest.fn((req, res) => res.status(204).end()),
+    getClassCgpa: jest.fn(respond),
+    getExamResults: jest.fn(respond),
+    regradeExam: jest.fn(respond),
+    getCoScholastic: jest.fn(respond),
+    saveCoScholastic: jest.fn(respond)
+};
+
+jest.mock('../../controllers/gradingController', () => mockController);
+
+const gradingRouter = require('../../routes/grading');
+
+const UUID = '11111111-1111-4111-8111-111111111111';
+const OTHER = '22222222-2222-4222-8222-222222222222';
+
+describe('grading routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/exams', gradingRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('schemes are created with exams:create, bands and a known type', async () => {
+        const scheme = {
+            name: 'CBSE Secondary',
+            schemeType: 'cbse',
+            maxGradePoint: '10',
+            bands: [{ grade: 'A1', minPercent: '91', gradePoint: '10' }, { grade: 'E', minPercent: 0, gradePoint: 0 }]
+        };
+        let res = await request(app).post('/api/exams/grading-schemes').send(scheme);
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'exams', action: 'create' }));
+        expect(res.body.body.maxGradePoint).toBe(10);
+        expect(res.body.body.bands[0]).toEqual({ grade: 'A1', minPercent: 91, gradePoint: 10 });
+
+        res = await request(app).post('/api/exams/grading-schemes').send({ ...scheme, schemeType: 'ib' });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post('/api/exams/grading-schemes').send({ ...scheme, bands: [] });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post('/api/exams/grading-schemes').send({ ...scheme, coScholasticGrades: [{ grade: '' }] });
+        expect(res.status).toBe(400);
+
+        expect(mockController.createScheme).toHaveBeenCalledTimes(1);
+    });
+
+    test('resolve is not taken for a scheme id', async () => {
+        const res = await request(app).get(`/api/exams/grading-schemes/resolve?classId=${UUID}&academicSession=2026-27`);
+        expect(res.status).toBe(200);
+        expect(mockController.resolveScheme).toHaveBeenCalledTimes(1);
+        expect(mockController.getScheme).not.toHaveBeenCalled();
+    });
+
+    test('schemes are changed and assigned with exams:update', async () => {
+        let res = await request(app).put(`/api/exams/grading-schemes/${UUID}`).send({ isDefault: true });
+        expect(res.body.permission).toEqual(expect.objectContaining({ action: 'update' }));
+
+        res = await request(app).put(`/api/exams/grading-schemes/${UUID}/assignments`).send({ academicSession: '2026-27', classIds: [OTHER] });
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ action: 'update' }));
+
+        res = await request(app).put(`/api/exams/grading-schemes/${UUID}/assignments`).send({ classIds: ['nope'] });
+        expect(res.status).toBe(400);
+
+        res = await request(app).delete(`/api/exams/grading-schemes/${UUID}/assignments/${OTHER}`);
+        expect(res.status).toBe(204);
+
+        res = await request(app).delete(`/api/exams/grading-schemes/${UUID}`);
+        expect(res.status).toBe(204);
+    });
+
+    test('results and CGPA need a class', async () => {
+        let res = await request(app).get(`/api/exams/${UUID}/results?classId=${OTHER}`);
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ action: 'read' }));
+
+        res = await request(app).get(`/api/exams/${UUID}/results`);
+        expect(res.status).toBe(400);
+
+        res = await request(app).get(`/api/exams/cgpa?classId=${OTHER}&academicSession=2026-27`);
+        expect(res.status).toBe(200);
+
+        res = await request(app).get(`/api/exams/cgpa?classId=${OTHER}`);
+        expect(res.status).toBe(400);
+    });
+
+    test('regrading needs exams:update', async () => {
+        const res = await request(app).post(`/api/exams/${UUID}/regrade`);
+        expect(res.body.permission).toEqual(expect.objectContaining({ action: 'update' }));
+    });
+
+    test('co-scholastic grades are entered on exams:read, with the class teacher checked by the controller', async () => {
+        const grades = { classId: OTHER, area: 'Art Education', entries: [{ studentId: UUID, grade: 'A' }] };
+        let res = await request(app).put(`/api/exams/${UUID}/co-scholastic`).send(grades);
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ action: 'read' }));
+
+        res = await request(app).put(`/api/exams/${UUID}/co-scholastic`).send({ ...grades, area: ' ' });
+        expect(res.status).toBe(400);
+
+        res = await request(app).put(`/api/exams/${UUID}/co-scholastic`).send({ ...grades, entries: [{ studentId: 'nope' }] });
+        expect(res.status).toBe(400);
+
+        expect(mockController.saveCoScholastic).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,112 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a student login on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'student-user', id: 'student-user', tenantId: 't1', roles: ['STUDENT'], role: 'STUDENT' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Students hold lms:read at tenant scope
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    },
+    checkPermission: jest.fn()
+}));
+
+// The calling student, found through the LMS repository
+jest.mock('../../repositories', () => ({
+    RepositoryFactory: jest.fn().mockImplementation(() => ({
+        lms: {
+            isAdmin: () => false,
+            isStudent: () => true,
+            getOwnStudent: async () => ({ id: 'student-1', classId: 'class-1' })
+        },
+        attendance: { getTeacherAssignment: async () => null }
+    }))
+}));
+
+const OnlineTestAttempt = require('../../models/OnlineTestAttempt');
+const Question = require('../../models/Question');
+const lmsRouter = require('../../routes/lms');
+
+const ATTEMPT = '44444444-4444-4444-8444-444444444444';
+
+const question = {
+    id: 'q1',
+    questionType: 'mcq',
+    text: 'Which is a vector?',
+    marks: 2,
+    options: [{ key: 'a', text: 'Speed' }, { key: 'b', text: 'Velocity' }],
+    answer: 'b'
+};
+
+const gradedAttempt = (testStatus) => ({
+    id: ATTEMPT,
+    onlineTestId: 'test-1',
+    studentId: 'student-1',
+    status: 'graded',
+    startedAt: '2026-10-20T09:00:00Z',
+    deadlineAt: '2026-10-20T09:20:00Z',
+    submittedAt: '2026-10-20T09:10:00Z',
+    maxScore: 2,
+    autoScore: 2,
+    score: 2,
+    paper: [{ questionId: 'q1', optionOrder: ['b', 'a'] }],
+    answers: { q1: 'b' },
+    reviewMarks: {},
+    test: {
+        id: 'test-1',
+        classId: 'class-1',
+        title: 'Motion quiz',
+        subject: 'Physics',
+        questionIds: ['q1'],
+        durationMinutes: 20,
+        opensAt: '2026-10-20T09:00:00Z',
+        closesAt: '2026-10-20T17:00:00Z',
+        status: testStatus
+    }
+});
+
+describe('lms attempts seen by the student', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/lms', lmsRouter);
+    });
+
+    beforeEach(() => {
+        jest.spyOn(Question, 'findAll').mockResolvedValue([question]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('a submitted attempt on a published test shows no score or marks', async () => {
+        jest.spyOn(OnlineTestAttempt, 'findOne').mockResolvedValue(gradedAttempt('published'));
+
+        const res = await request(app).get(`/api/lms/attempts/${ATTEMPT}`);
+        expect(res.status).toBe(200);
+        expect(res.body.data).toEqual(expect.objectContaining({ status: 'graded', score: null, autoScore: null }));
+        expect(res.body.data.questions).toHaveLength(1);
+        expect(res.body.data.questions[0]).not.toHaveProperty('awarded');
+        expect(res.body.data.questions[0]).not.toHaveProperty('answer');
+    });
+
+    test('once the test is closed the score, marks and answers are shown', async () => {
+        jest.spyOn(OnlineTestAttempt, 'findOne').mockResolvedValue(gradedAttempt('closed'));
+
+        const res = await request(app).get(`/api/lms/attempts/${ATTEMPT}`);
+        expect(res.status).toBe(200);
+        expect(res.body.data).toEqual(expect.objectContaining({ score: 2, autoScore: 2 }));
+        expect(res.body.data.questions[0]).toEqual(expect.objectContaining({ awarded: 2, answer: 'b' }));
+    });
+});
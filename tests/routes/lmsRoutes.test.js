@@ -0,0 +1,144 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['TEACHER'], role: 'TEACHER' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+// Mock the controller so we don't hit DB/repositories
+const respond = (req, res) => res.json({ success: true, permission: req.permission || null, body: req.body });
+const mockController = {
+    listQuestions: jest.fn(respond),
+    getQuestion: jest.fn(respond),
+    createQuestion: jest.fn(respond),
+    updateQuestion: jest.fn(respond),
+    deleteQuestion: jest.fn(respond),
+    listTests: jest.fn(respond),
+    getTest: jest.fn(respond),
+    createTest: jest.fn(respond),
+    updateTest: jest.fn(respond),
+    deleteTest: jest.fn(respond),
+    publishTest: jest.fn(respond),
+    closeTest: jest.fn(respond),
+    listAttempts: jest.fn(respond),
+    getAttemptForReview: jest.fn(respond),
+    reviewAttempt: jest.fn(respond),
+    postMarks: jest.fn(respond),
+    startAttempt: jest.fn(respond),
+    getAttempt: jest.fn(respond),
+    saveAnswers: jest.fn(respond),
+    submitAttempt: jest.fn(respond)
+};
+
+jest.mock('../../controllers/lmsController', () => mockController);
+
+const lmsRouter = require('../../routes/lms');
+
+const TEST = '11111111-1111-4111-8111-111111111111';
+const CLASS = '22222222-2222-4222-8222-222222222222';
+const QUESTION = '33333333-3333-4333-8333-333333333333';
+const ATTEMPT = '44444444-4444-4444-8444-444444444444';
+
+const newTest = {
+    classId: CLASS,
+    subject: 'Physics',
+    title: 'Motion quiz',
+    questionIds: [QUESTION],
+    durationMinutes: 20,
+    opensAt: '2026-10-20T09:00:00Z',
+    closesAt: '2026-10-20T17:00:00Z'
+};
+
+describe('lms routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/lms', lmsRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('question bank uses the lms permissions', async () => {
+        const list = await request(app).get('/api/lms/questions?questionType=mcq');
+        expect(list.status).toBe(200);
+        expect(list.body.permission).toEqual(expect.objectContaining({ resource: 'lms', action: 'read' }));
+
+        const created = await request(app).post('/api/lms/questions')
+            .send({ subject: 'Physics', questionType: 'numeric', text: 'g?', answer: { value: 9.8 }, marks: '2' });
+        expect(created.status).toBe(200);
+        expect(created.body.permission).toEqual(expect.objectContaining({ action: 'create' }));
+        expect(created.body.body.marks).toBe(2);
+
+        expect((await request(app).put(`/api/lms/questions/${QUESTION}`).send({ isActive: false })).body.permission)
+            .toEqual(expect.objectContaining({ action: 'update' }));
+        expect((await request(app).delete(`/api/lms/questions/${QUESTION}`)).body.permission)
+            .toEqual(expect.objectContaining({ action: 'delete' }));
+    });
+
+    test('question fields are validated', async () => {
+        expect((await request(app).post('/api/lms/questions').send({ subject: 'Physics', questionType: 'essay', text: 'x' })).status).toBe(400);
+        expect((await request(app).post('/api/lms/questions').send({ questionType: 'mcq', text: 'x' })).status).toBe(400);
+        expect((await request(app).post('/api/lms/questions').send({ subject: 'Physics', questionType: 'mcq', text: 'x', options: ['only'] })).status).toBe(400);
+        expect((await request(app).get('/api/lms/questions?difficulty=tricky')).status).toBe(400);
+        expect(mockController.createQuestion).not.toHaveBeenCalled();
+        expect(mockController.listQuestions).not.toHaveBeenCalled();
+    });
+
+    test('tests are built and run by lms create/update', async () => {
+        const created = await request(app).post('/api/lms/tests').send(newTest);
+        expect(created.status).toBe(200);
+        expect(created.body.permission).toEqual(expect.objectContaining({ resource: 'lms', action: 'create' }));
+
+        for (const path of ['publish', 'close', 'post-marks']) {
+            const res = await request(app).post(`/api/lms/tests/${TEST}/${path}`);
+            expect(res.body.permission).toEqual(expect.objectContaining({ action: 'update' }));
+        }
+        const review = await request(app).put(`/api/lms/tests/${TEST}/attempts/${ATTEMPT}/review`)
+            .send({ entries: [{ questionId: QUESTION, marks: 2 }] });
+        expect(review.body.permission).toEqual(expect.objectContaining({ action: 'update' }));
+        expect((await request(app).get(`/api/lms/tests/${TEST}/attempts`)).body.permission)
+            .toEqual(expect.objectContaining({ action: 'read' }));
+    });
+
+    test('test fields are validated', async () => {
+        expect((await request(app).post('/api/lms/tests').send({ ...newTest, durationMinutes: 0 })).status).toBe(400);
+        expect((await request(app).post('/api/lms/tests').send({ ...newTest, questionIds: ['q-1'] })).status).toBe(400);
+        expect((await request(app).post('/api/lms/tests').send({ ...newTest, closesAt: 'tomorrow' })).status).toBe(400);
+        expect((await request(app).put(`/api/lms/tests/${TEST}/attempts/${ATTEMPT}/review`).send({ entries: [] })).status).toBe(400);
+        expect((await request(app).get('/api/lms/tests?status=open')).status).toBe(400);
+        expect(mockController.createTest).not.toHaveBeenCalled();
+        expect(mockController.reviewAttempt).not.toHaveBeenCalled();
+    });
+
+    test('students sit tests with lms:read', async () => {
+        const start = await request(app).post(`/api/lms/tests/${TEST}/attempts`);
+        expect(start.status).toBe(200);
+        expect(start.body.permission).toEqual(expect.objectContaining({ resource: 'lms', action: 'read' }));
+        expect(mockController.startAttempt).toHaveBeenCalled();
+
+        const saved = await request(app).put(`/api/lms/attempts/${ATTEMPT}/answers`).send({ answers: { [QUESTION]: 'B' } });
+        expect(saved.body.permission).toEqual(expect.objectContaining({ action: 'read' }));
+        expect((await request(app).post(`/api/lms/attempts/${ATTEMPT}/submit`)).status).toBe(200);
+        expect((await request(app).get(`/api/lms/attempts/${ATTEMPT}`)).status).toBe(200);
+
+        expect((await request(app).put(`/api/lms/attempts/${ATTEMPT}/answers`).send({ answers: ['B'] })).status).toBe(400);
+        expect((await request(app).get('/api/lms/attempts/attempt-1')).status).toBe(400);
+    });
+});
@@ -0,0 +1,82 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['SCHOOL_ADMIN'], role: 'SCHOOL_ADMIN' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+jest.mock('../../services/notificationService', () => ({
+    NOTIFICATION_EVENTS: ['student_absent', 'student_late'],
+    NOTIFICATION_CHANNELS: ['sms', 'email'],
+    MESSAGE_STATUSES: ['queued', 'sent', 'failed', 'cancelled'],
+    MAX_EMAIL_LENGTH: 5000
+}));
+
+// Mock the controller so we don't hit DB/repositories
+const respond = (req, res) => res.json({ success: true, permission: req.permission || null, body: req.body });
+const mockController = {
+    listTemplates: jest.fn(respond),
+    saveTemplate: jest.fn(respond),
+    resetTemplate: jest.fn(respond),
+    listMessages: jest.fn(respond)
+};
+
+jest.mock('../../controllers/notificationController', () => mockController);
+
+const notificationsRouter = require('../../routes/notifications');
+
+describe('notification routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/notifications', notificationsRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('templates are read with communication:read and saved with communication:update', async () => {
+        const listed = await request(app).get('/api/notifications/templates');
+        expect(listed.body.permission).toEqual(expect.objectContaining({ resource: 'communication', action: 'read' }));
+
+        const saved = await request(app).put('/api/notifications/templates/student_absent/sms')
+            .send({ body: 'Dear {{parentName}}, {{studentName}} is absent today.' });
+        expect(saved.status).toBe(200);
+        expect(saved.body.permission).toEqual(expect.objectContaining({ resource: 'communication', action: 'update' }));
+
+        const reset = await request(app).delete('/api/notifications/templates/student_late/email');
+        expect(reset.body.permission).toEqual(expect.objectContaining({ action: 'update' }));
+    });
+
+    test('templates need a known event, channel and a body', async () => {
+        expect((await request(app).put('/api/notifications/templates/fee_due/sms').send({ body: 'Pay up' })).status).toBe(400);
+        expect((await request(app).put('/api/notifications/templates/student_absent/whatsapp').send({ body: 'Hi' })).status).toBe(400);
+        expect((await request(app).put('/api/notifications/templates/student_absent/sms').send({ body: '  ' })).status).toBe(400);
+        expect(mockController.saveTemplate).not.toHaveBeenCalled();
+    });
+
+    test('the message log validates its filters', async () => {
+        const res = await request(app).get('/api/notifications/messages?status=sent&channel=sms&date=2026-10-19');
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'communication', action: 'read' }));
+
+        expect((await request(app).get('/api/notifications/messages?status=bounced')).status).toBe(400);
+        expect((await request(app).get('/api/notifications/messages?studentId=42')).status).toBe(400);
+    });
+});
@@ -0,0 +1,82 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['ADMIN'], role: 'ADMIN' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+// Mock the controller so we don't hit DB/repositories
+const respond = (req, res) => res.json({ success: true, permission: req.permission || null, body: req.body });
+const mockController = {
+    getPreview: jest.fn(respond),
+    promoteClass: jest.fn(respond),
+    getClassHistory: jest.fn(respond)
+};
+
+jest.mock('../../controllers/promotionController', () => mockController);
+
+const promotionsRouter = require('../../routes/promotions');
+
+const CLASS = '11111111-1111-4111-8111-111111111111';
+const TARGET = '22222222-2222-4222-8222-222222222222';
+const STUDENT = '33333333-3333-4333-8333-333333333333';
+
+describe('promotions routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/promotions', promotionsRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('the preview and the promotion need students:update', async () => {
+        const preview = await request(app).get(`/api/promotions/classes/${CLASS}`);
+        expect(preview.status).toBe(200);
+        expect(preview.body.permission).toEqual(expect.objectContaining({ resource: 'students', action: 'update' }));
+
+        const promoted = await request(app).post(`/api/promotions/classes/${CLASS}`).send({
+            targetClassId: TARGET,
+            decisions: [{ studentId: STUDENT, action: 'promote', remarks: 'Well done' }]
+        });
+        expect(promoted.status).toBe(200);
+        expect(promoted.body.permission).toEqual(expect.objectContaining({ resource: 'students', action: 'update' }));
+        expect(mockController.promoteClass).toHaveBeenCalled();
+    });
+
+    test('the class history needs students:read', async () => {
+        const history = await request(app).get(`/api/promotions/students/${STUDENT}/history`);
+        expect(history.status).toBe(200);
+        expect(history.body.permission).toEqual(expect.objectContaining({ resource: 'students', action: 'read' }));
+        expect((await request(app).get('/api/promotions/students/abc/history')).status).toBe(400);
+    });
+
+    test('decisions are validated', async () => {
+        const send = (body) => request(app).post(`/api/promotions/classes/${CLASS}`).send(body);
+        expect((await send({ targetClassId: TARGET })).status).toBe(400);
+        expect((await send({ targetClassId: TARGET, decisions: [] })).status).toBe(400);
+        expect((await send({ decisions: [{ studentId: STUDENT, action: 'skip' }] })).status).toBe(400);
+        expect((await send({ decisions: [{ studentId: 'abc', action: 'leave' }] })).status).toBe(400);
+        expect((await send({ targetClassId: 'grade-6', decisions: [{ studentId: STUDENT, action: 'promote' }] })).status).toBe(400);
+        expect((await send({ decisions: [{ studentId: STUDENT, action: 'leave', remarks: 'x'.repeat(256) }] })).status).toBe(400);
+        expect((await request(app).get('/api/promotions/classes/grade-5')).status).toBe(400);
+        expect(mockController.promoteClass).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,115 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['SCHOOL_ADMIN'], role: 'SCHOOL_ADMIN' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+jest.mock('../../services/reportCardService', () => ({
+    SECTIONS: ['scholastic', 'coScholastic', 'attendance', 'remarks']
+}));
+
+// Mock the controller so we don't hit DB/repositories
+const respond = (req, res) => res.json({ success: true, permission: req.permission, body: req.body, query: req.query });
+const mockController = {
+    listTemplates: jest.fn(respond),
+    getTemplate: jest.fn(respond),
+    createTemplate: jest.fn(respond),
+    updateTemplate: jest.fn(respond),
+    deleteTemplate: jest.fn((req, res) => res.status(204).end()),
+    getRemarks: jest.fn(respond),
+    saveRemarks: jest.fn(respond),
+    getStudentCard: jest.fn(respond),
+    getClassCards: jest.fn(respond)
+};
+
+jest.mock('../../controllers/reportCardController', () => mockController);
+
+const reportCardsRouter = require('../../routes/reportCards');
+
+const UUID = '11111111-1111-4111-8111-111111111111';
+const OTHER = '22222222-2222-4222-8222-222222222222';
+
+describe('report card routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/exams', reportCardsRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('templates are created with exams:create and known sections', async () => {
+        const template = { name: 'Secondary', title: 'Progress Report', sections: ['scholastic', 'remarks'], signatures: ['Principal'] };
+        let res = await request(app).post('/api/exams/report-card-templates').send(template);
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'exams', action: 'create' }));
+
+        res = await request(app).post('/api/exams/report-card-templates').send({ ...template, sections: ['photos'] });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post('/api/exams/report-card-templates').send({ name: 'No title' });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post('/api/exams/report-card-templates').send({ ...template, signatures: ['a', 'b', 'c', 'd', 'e'] });
+        expect(res.status).toBe(400);
+
+        expect(mockController.createTemplate).toHaveBeenCalledTimes(1);
+    });
+
+    test('templates are changed with exams:update and deleted with exams:delete', async () => {
+        let res = await request(app).put(`/api/exams/report-card-templates/${UUID}`).send({ isDefault: true });
+        expect(res.body.permission).toEqual(expect.objectContaining({ action: 'update' }));
+
+        res = await request(app).delete(`/api/exams/report-card-templates/${UUID}`);
+        expect(res.status).toBe(204);
+    });
+
+    test('report cards need an academic session and are read with exams:read', async () => {
+        let res = await request(app).get(`/api/exams/report-cards/students/${UUID}?academicSession=2026-27&templateId=${OTHER}`);
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ action: 'read' }));
+
+        res = await request(app).get(`/api/exams/report-cards/students/${UUID}`);
+        expect(res.status).toBe(400);
+
+        res = await request(app).get(`/api/exams/report-cards/classes/${OTHER}?academicSession=2026-27&to=2026-09-30`);
+        expect(res.status).toBe(200);
+        expect(mockController.getClassCards).toHaveBeenCalledTimes(1);
+
+        res = await request(app).get(`/api/exams/report-cards/classes/${OTHER}?academicSession=2026-27&format=docx`);
+        expect(res.status).toBe(400);
+    });
+
+    test('remarks are written on exams:read, with the class teacher checked by the controller', async () => {
+        const remarks = { classId: OTHER, entries: [{ studentId: UUID, remarks: 'Steady progress' }] };
+        let res = await request(app).put(`/api/exams/${UUID}/remarks`).send(remarks);
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ action: 'read' }));
+
+        res = await request(app).put(`/api/exams/${UUID}/remarks`).send({ ...remarks, entries: [{ studentId: 'nope' }] });
+        expect(res.status).toBe(400);
+
+        res = await request(app).get(`/api/exams/${UUID}/remarks`);
+        expect(res.status).toBe(400);
+
+        expect(mockController.saveRemarks).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,125 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['HR_MANAGER'], role: 'HR_MANAGER' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+jest.mock('../../services/staffAttendanceService', () => ({
+    EMPLOYEE_TYPES: ['staff', 'teacher'],
+    SHIFT_NAMES: ['Morning', 'Afternoon', 'Night'],
+    STAFF_ATTENDANCE_STATUSES: ['present', 'half_day', 'absent', 'on_leave', 'holiday']
+}));
+
+// Mock the controller so we don't hit DB/repositories
+const respond = (req, res) => res.json({ success: true, permission: req.permission || null, body: req.body });
+const mockController = {
+    checkIn: jest.fn(respond),
+    checkOut: jest.fn(respond),
+    getMySheet: jest.fn(respond),
+    listRecords: jest.fn(respond),
+    recordAttendance: jest.fn(respond),
+    getSheet: jest.fn(respond),
+    exportSheet: jest.fn(respond),
+    listShifts: jest.fn(respond),
+    updateShift: jest.fn(respond),
+    getRecord: jest.fn(respond),
+    updateRecord: jest.fn(respond),
+    deleteRecord: jest.fn((req, res) => res.status(204).end())
+};
+
+jest.mock('../../controllers/staffAttendanceController', () => mockController);
+
+const staffAttendanceRouter = require('../../routes/staffAttendance');
+
+const UUID = '11111111-1111-4111-8111-111111111111';
+
+describe('staff attendance routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/staff-attendance', staffAttendanceRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('check-in and check-out only need a login', async () => {
+        const checkIn = await request(app).post('/api/staff-attendance/check-in');
+        expect(checkIn.status).toBe(200);
+        expect(checkIn.body.permission).toBeNull();
+
+        const checkOut = await request(app).post('/api/staff-attendance/check-out');
+        expect(checkOut.status).toBe(200);
+        expect(mockController.checkOut).toHaveBeenCalled();
+    });
+
+    test('own month is not routed to the record lookup', async () => {
+        const res = await request(app).get('/api/staff-attendance/me?month=2026-10');
+        expect(res.status).toBe(200);
+        expect(mockController.getMySheet).toHaveBeenCalled();
+        expect(mockController.getRecord).not.toHaveBeenCalled();
+    });
+
+    test('sheets need attendance_staff:read and a YYYY-MM month', async () => {
+        const res = await request(app).get('/api/staff-attendance/sheet?month=2026-10&employeeType=teacher');
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'attendance_staff', action: 'read' }));
+
+        const bad = await request(app).get('/api/staff-attendance/sheet?month=2026-13');
+        expect(bad.status).toBe(400);
+        expect(mockController.getSheet).toHaveBeenCalledTimes(1);
+    });
+
+    test('sheet export accepts csv and pdf only', async () => {
+        expect((await request(app).get('/api/staff-attendance/sheet/export?format=pdf')).status).toBe(200);
+        expect((await request(app).get('/api/staff-attendance/sheet/export?format=xlsx')).status).toBe(400);
+    });
+
+    test('shift timings need attendance_staff:update and a known shift', async () => {
+        const res = await request(app).put('/api/staff-attendance/shifts/Morning').send({ startTime: '08:30', lateGraceMinutes: '15' });
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'attendance_staff', action: 'update' }));
+        expect(res.body.body.lateGraceMinutes).toBe(15);
+
+        expect((await request(app).put('/api/staff-attendance/shifts/Evening').send({})).status).toBe(400);
+        expect((await request(app).put('/api/staff-attendance/shifts/Night').send({ endTime: '25:00' })).status).toBe(400);
+    });
+
+    test('recording a day needs attendance_staff:create and an employee', async () => {
+        const res = await request(app).post('/api/staff-attendance').send({
+            employeeType: 'staff', employeeId: UUID, date: '2026-10-19', status: 'on_leave'
+        });
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'attendance_staff', action: 'create' }));
+
+        const bad = await request(app).post('/api/staff-attendance').send({ employeeType: 'driver', employeeId: UUID, date: '2026-10-19', status: 'late' });
+        expect(bad.status).toBe(400);
+        expect(mockController.recordAttendance).toHaveBeenCalledTimes(1);
+    });
+
+    test('records are corrected and deleted by id', async () => {
+        const updated = await request(app).put(`/api/staff-attendance/${UUID}`).send({ checkOutAt: '2026-10-19T14:00:00Z' });
+        expect(updated.status).toBe(200);
+        expect(updated.body.permission).toEqual(expect.objectContaining({ resource: 'attendance_staff', action: 'update' }));
+
+        expect((await request(app).delete(`/api/staff-attendance/${UUID}`)).status).toBe(204);
+        expect((await request(app).get('/api/staff-attendance/not-a-uuid')).status).toBe(400);
+    });
+});
@@ -0,0 +1,132 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['TEACHER'], role: 'TEACHER' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+jest.mock('../../services/staffLeaveService', () => ({
+    LEAVE_STATUSES: ['pending', 'approved', 'rejected', 'cancelled'],
+    ACCRUAL_TYPES: ['yearly', 'monthly'],
+    LEAVE_APPLIES_TO: ['all', 'staff', 'teacher'],
+    PROFILE_FIELDS: ['casualLeaves', 'sickLeaves', 'medicalLeaves', 'maternityLeaves'],
+    MAX_APPROVAL_STEPS: 5
+}));
+
+jest.mock('../../services/staffAttendanceService', () => ({
+    EMPLOYEE_TYPES: ['staff', 'teacher']
+}));
+
+// Mock the controller so we don't hit DB/repositories
+const respond = (req, res) => res.json({ success: true, permission: req.permission || null, body: req.body });
+const mockController = {
+    listLeaveTypes: jest.fn(respond),
+    createLeaveType: jest.fn(respond),
+    updateLeaveType: jest.fn(respond),
+    listApprovalChains: jest.fn(respond),
+    setApprovalChain: jest.fn(respond),
+    getBalances: jest.fn(respond),
+    getMyLeave: jest.fn(respond),
+    listPendingApprovals: jest.fn(respond),
+    listLeaves: jest.fn(respond),
+    applyForLeave: jest.fn(respond),
+    getLeave: jest.fn(respond),
+    approveLeave: jest.fn(respond),
+    rejectLeave: jest.fn(respond),
+    cancelLeave: jest.fn(respond)
+};
+
+jest.mock('../../controllers/staffLeaveController', () => mockController);
+
+const staffLeavesRouter = require('../../routes/staffLeaves');
+
+const UUID = '11111111-1111-4111-8111-111111111111';
+
+describe('staff leave routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/staff-leaves', staffLeavesRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('employees apply, read their own leave and cancel without an RBAC check', async () => {
+        const applied = await request(app).post('/api/staff-leaves').send({
+            leaveTypeId: UUID, fromDate: '2026-11-02', toDate: '2026-11-04', reason: 'Family function'
+        });
+        expect(applied.status).toBe(200);
+        expect(applied.body.permission).toBeNull();
+
+        expect((await request(app).get('/api/staff-leaves/me?year=2026')).body.permission).toBeNull();
+        expect((await request(app).get('/api/staff-leaves/types')).body.permission).toBeNull();
+        expect((await request(app).post(`/api/staff-leaves/${UUID}/cancel`)).body.permission).toBeNull();
+    });
+
+    test('applications need a leave type, dates and a reason', async () => {
+        const res = await request(app).post('/api/staff-leaves').send({ leaveTypeId: 'CL', fromDate: 'monday', reason: '' });
+        expect(res.status).toBe(400);
+        expect(mockController.applyForLeave).not.toHaveBeenCalled();
+    });
+
+    test('the approval queue and decisions use attendance_staff:read', async () => {
+        const queue = await request(app).get('/api/staff-leaves/approvals');
+        expect(queue.body.permission).toEqual(expect.objectContaining({ resource: 'attendance_staff', action: 'read' }));
+
+        const approved = await request(app).post(`/api/staff-leaves/${UUID}/approve`).send({ remarks: 'Enjoy' });
+        expect(approved.status).toBe(200);
+        expect(mockController.approveLeave).toHaveBeenCalled();
+
+        const rejected = await request(app).post(`/api/staff-leaves/${UUID}/reject`).send({});
+        expect(rejected.body.permission).toEqual(expect.objectContaining({ action: 'read' }));
+    });
+
+    test('leave types need attendance_staff create / update and valid rules', async () => {
+        const created = await request(app).post('/api/staff-leaves/types').send({ code: 'EL', name: 'Earned Leave', annualQuota: 15, accrual: 'monthly' });
+        expect(created.status).toBe(200);
+        expect(created.body.permission).toEqual(expect.objectContaining({ resource: 'attendance_staff', action: 'create' }));
+
+        const updated = await request(app).put(`/api/staff-leaves/types/${UUID}`).send({ carryForwardLimit: 5 });
+        expect(updated.body.permission).toEqual(expect.objectContaining({ action: 'update' }));
+
+        expect((await request(app).post('/api/staff-leaves/types').send({ code: 'EL', name: 'Earned', accrual: 'weekly' })).status).toBe(400);
+        expect((await request(app).put(`/api/staff-leaves/types/${UUID}`).send({ profileField: 'earnedLeaves' })).status).toBe(400);
+    });
+
+    test('approval chains list role codes for staff or teachers', async () => {
+        const res = await request(app).put('/api/staff-leaves/approval-chains/teacher').send({ roleCodes: ['HOD', 'PRINCIPAL'] });
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'attendance_staff', action: 'update' }));
+
+        expect((await request(app).put('/api/staff-leaves/approval-chains/driver').send({ roleCodes: ['HOD'] })).status).toBe(400);
+        expect((await request(app).put('/api/staff-leaves/approval-chains/staff').send({ roleCodes: [] })).status).toBe(400);
+    });
+
+    test('balances need an employee', async () => {
+        expect((await request(app).get(`/api/staff-leaves/balances?employeeType=teacher&employeeId=${UUID}`)).status).toBe(200);
+        expect((await request(app).get('/api/staff-leaves/balances?employeeType=teacher')).status).toBe(400);
+    });
+
+    test('listing validates its filters', async () => {
+        expect((await request(app).get('/api/staff-leaves?status=approved&employeeType=staff')).status).toBe(200);
+        expect((await request(app).get('/api/staff-leaves?status=maybe')).status).toBe(400);
+        expect((await request(app).get('/api/staff-leaves/nope')).status).toBe(400);
+    });
+});
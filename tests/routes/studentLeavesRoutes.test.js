@@ -0,0 +1,107 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['PARENT'], role: 'PARENT' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+jest.mock('../../services/studentLeaveService', () => ({
+    LEAVE_STATUSES: ['pending', 'approved', 'rejected', 'cancelled']
+}));
+
+// Mock the controller so we don't hit DB/repositories
+const respond = (req, res) => res.json({
+    success: true,
+    permission: req.permission,
+    body: req.body,
+    file: req.file ? req.file.originalname : null
+});
+const mockController = {
+    listLeaves: jest.fn(respond),
+    applyForLeave: jest.fn(respond),
+    getLeave: jest.fn(respond),
+    approveLeave: jest.fn(respond),
+    rejectLeave: jest.fn(respond),
+    cancelLeave: jest.fn(respond)
+};
+
+jest.mock('../../controllers/studentLeaveController', () => mockController);
+
+const studentLeavesRouter = require('../../routes/studentLeaves');
+
+const UUID = '11111111-1111-4111-8111-111111111111';
+
+describe('student leave routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/student-leaves', studentLeavesRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('parents apply with attendance_students:read', async () => {
+        const res = await request(app).post('/api/student-leaves').send({
+            studentId: UUID, fromDate: '2026-10-20', toDate: '2026-10-22', reason: 'Fever'
+        });
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'attendance_students', action: 'read' }));
+    });
+
+    test('applications can carry an attachment', async () => {
+        const res = await request(app).post('/api/student-leaves')
+            .field('studentId', UUID)
+            .field('fromDate', '2026-10-20')
+            .field('toDate', '2026-10-20')
+            .field('reason', 'Doctor visit')
+            .attach('attachment', Buffer.from('%PDF-1.4'), { filename: 'certificate.pdf', contentType: 'application/pdf' });
+        expect(res.status).toBe(200);
+        expect(res.body.file).toBe('certificate.pdf');
+        expect(res.body.body.reason).toBe('Doctor visit');
+    });
+
+    test('applications need a student, dates and a reason', async () => {
+        const res = await request(app).post('/api/student-leaves').send({ studentId: 'x', fromDate: 'soon', reason: ' ' });
+        expect(res.status).toBe(400);
+        expect(mockController.applyForLeave).not.toHaveBeenCalled();
+    });
+
+    test('listing validates the status filter', async () => {
+        expect((await request(app).get('/api/student-leaves?status=pending')).status).toBe(200);
+        expect((await request(app).get('/api/student-leaves?status=maybe')).status).toBe(400);
+    });
+
+    test('review needs attendance_students:update', async () => {
+        const approved = await request(app).post(`/api/student-leaves/${UUID}/approve`).send({ remarks: 'Get well soon' });
+        expect(approved.status).toBe(200);
+        expect(approved.body.permission).toEqual(expect.objectContaining({ resource: 'attendance_students', action: 'update' }));
+
+        const rejected = await request(app).post(`/api/student-leaves/${UUID}/reject`).send({});
+        expect(rejected.status).toBe(200);
+        expect(mockController.rejectLeave).toHaveBeenCalled();
+    });
+
+    test('applicants cancel with read access', async () => {
+        const res = await request(app).post(`/api/student-leaves/${UUID}/cancel`);
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ action: 'read' }));
+        expect((await request(app).post('/api/student-leaves/nope/cancel')).status).toBe(400);
+    });
+});
@@ -0,0 +1,100 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['ADMIN'], role: 'ADMIN' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+// Mock the controller so we don't hit DB/repositories
+const respond = (req, res) => res.json({ success: true, permission: req.permission || null, body: req.body });
+const mockController = {
+    listSubjects: jest.fn(respond),
+    getSubject: jest.fn(respond),
+    createSubject: jest.fn(respond),
+    updateSubject: jest.fn(respond),
+    deleteSubject: jest.fn(respond),
+    getClassSubjects: jest.fn(respond),
+    setClassSubjects: jest.fn(respond),
+    getTeacherSubjects: jest.fn(respond),
+    importFromTimetable: jest.fn(respond)
+};
+
+jest.mock('../../controllers/subjectController', () => mockController);
+
+const subjectsRouter = require('../../routes/subjects');
+
+const ID = '11111111-1111-4111-8111-111111111111';
+const TEACHER = '22222222-2222-4222-8222-222222222222';
+
+describe('subjects routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/subjects', subjectsRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('subjects are read with school_config:read', async () => {
+        const list = await request(app).get('/api/subjects?type=practical');
+        expect(list.status).toBe(200);
+        expect(list.body.permission).toEqual(expect.objectContaining({ resource: 'school_config', action: 'read' }));
+        expect((await request(app).get('/api/subjects?category=optional')).status).toBe(400);
+
+        expect((await request(app).get(`/api/subjects/${ID}`)).status).toBe(200);
+        expect((await request(app).get('/api/subjects/MATH')).status).toBe(400);
+    });
+
+    test('subjects are managed with school_config create/update/delete', async () => {
+        const created = await request(app).post('/api/subjects').send({ name: 'Mathematics', code: 'MATH', type: 'theory', category: 'core' });
+        expect(created.status).toBe(200);
+        expect(created.body.permission).toEqual(expect.objectContaining({ resource: 'school_config', action: 'create' }));
+
+        expect((await request(app).post('/api/subjects').send({ name: 'Mathematics' })).status).toBe(400);
+        expect((await request(app).post('/api/subjects').send({ name: 'Physics', code: 'PHY', type: 'lab' })).status).toBe(400);
+        expect(mockController.createSubject).toHaveBeenCalledTimes(1);
+
+        expect((await request(app).put(`/api/subjects/${ID}`).send({ category: 'elective' })).body.permission)
+            .toEqual(expect.objectContaining({ action: 'update' }));
+        expect((await request(app).delete(`/api/subjects/${ID}`)).body.permission)
+            .toEqual(expect.objectContaining({ action: 'delete' }));
+        expect((await request(app).post('/api/subjects/import-timetable')).body.permission)
+            .toEqual(expect.objectContaining({ action: 'update' }));
+        expect(mockController.importFromTimetable).toHaveBeenCalled();
+    });
+
+    test('class subjects map each subject to a teacher', async () => {
+        const read = await request(app).get(`/api/subjects/classes/${ID}`);
+        expect(read.body.permission).toEqual(expect.objectContaining({ action: 'read' }));
+        expect(mockController.getClassSubjects).toHaveBeenCalled();
+
+        const saved = await request(app).put(`/api/subjects/classes/${ID}`).send({ subjects: [{ subjectId: ID, teacherId: TEACHER }, { subjectId: TEACHER, teacherId: null }] });
+        expect(saved.status).toBe(200);
+        expect(saved.body.permission).toEqual(expect.objectContaining({ resource: 'school_config', action: 'update' }));
+
+        expect((await request(app).put(`/api/subjects/classes/${ID}`).send({ subjects: [{ subjectId: 'MATH' }] })).status).toBe(400);
+        expect((await request(app).put(`/api/subjects/classes/${ID}`).send({ subjects: [{ subjectId: ID, teacherId: 'abc' }] })).status).toBe(400);
+        expect((await request(app).put(`/api/subjects/classes/${ID}`).send({})).status).toBe(400);
+        expect(mockController.setClassSubjects).toHaveBeenCalledTimes(1);
+
+        expect((await request(app).get(`/api/subjects/teachers/${TEACHER}`)).status).toBe(200);
+        expect((await request(app).get('/api/subjects/teachers/T-1')).status).toBe(400);
+    });
+});
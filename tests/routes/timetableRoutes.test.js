@@ -0,0 +1,95 @@
+const request = require('supertest');
+const express = require('express');
+
+// Mock auth middleware to inject a tenant on req.user
+jest.mock('../../middleware/auth', () => ({
+    authenticateToken: (req, res, next) => {
+        req.user = { userId: 'test-user', id: 'test-user', tenantId: 't1', roles: ['SCHOOL_ADMIN'], role: 'SCHOOL_ADMIN' };
+        return next();
+    },
+    requireRole: jest.fn(() => (req, res, next) => next()),
+    enforceTenantScope: jest.fn((req, res, next) => next())
+}));
+
+// Mock RBAC middleware, recording the permission each route asks for
+jest.mock('../../middleware/rbac', () => ({
+    authorize: (resource, action) => (req, res, next) => {
+        req.permission = { resource, action, scope: 'tenant' };
+        next();
+    }
+}));
+
+jest.mock('../../services/timetableService', () => ({
+    MAX_PERIODS_PER_DAY: 20
+}));
+
+// Mock the controller so we don't hit DB/repositories
+const respond = (req, res) => res.json({ success: true, permission: req.permission, body: req.body });
+const mockController = {
+    listSlots: jest.fn(respond),
+    createSlot: jest.fn(respond),
+    getSlotById: jest.fn(respond),
+    updateSlot: jest.fn(respond),
+    deleteSlot: jest.fn((req, res) => res.status(204).end())
+};
+
+jest.mock('../../controllers/timetableController', () => mockController);
+
+const timetableRouter = require('../../routes/timetable');
+
+const UUID = '11111111-1111-4111-8111-111111111111';
+
+describe('timetable routes', () => {
+    let app;
+    beforeAll(() => {
+        app = express();
+        app.use(express.json());
+        app.use('/api/timetable', timetableRouter);
+    });
+
+    afterEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('slots are listed with timetable:read', async () => {
+        const res = await request(app).get(`/api/timetable?classId=${UUID}&dayOfWeek=1`);
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'timetable', action: 'read' }));
+    });
+
+    test('creating a slot needs timetable:create and a valid period', async () => {
+        const slot = { classId: UUID, dayOfWeek: '1', periodNo: '2', subject: 'Mathematics', startTime: '09:00', endTime: '09:45' };
+        let res = await request(app).post('/api/timetable').send(slot);
+        expect(res.status).toBe(200);
+        expect(res.body.permission).toEqual(expect.objectContaining({ resource: 'timetable', action: 'create' }));
+        expect(res.body.body).toEqual(expect.objectContaining({ dayOfWeek: 1, periodNo: 2 }));
+
+        res = await request(app).post('/api/timetable').send({ ...slot, dayOfWeek: 8 });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post('/api/timetable').send({ ...slot, subject: '' });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post('/api/timetable').send({ ...slot, startTime: '25:00' });
+        expect(res.status).toBe(400);
+
+        res = await request(app).post('/api/timetable').send({ ...slot, subject: undefined, subjectId: UUID });
+        expect(res.status).toBe(200);
+
+        res = await request(app).post('/api/timetable').send({ ...slot, subjectId: 'maths' });
+        expect(res.status).toBe(400);
+
+        expect(mockController.createSlot).toHaveBeenCalledTimes(2);
+    });
+
+    test('slots are updated and deleted with the matching actions', async () => {
+        let res = await request(app).put(`/api/timetable/${UUID}`).send({ isActive: false });
+        expect(res.body.permission).toEqual(expect.objectContaining({ action: 'update' }));
+
+        res = await request(app).put('/api/timetable/not-a-uuid').send({ isActive: false });
+        expect(res.status).toBe(400);
+
+        res = await request(app).delete(`/api/timetable/${UUID}`);
+        expect(res.status).toBe(204);
+    });
+});
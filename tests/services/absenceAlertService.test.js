@@ -0,0 +1,124 @@
+const { Op } = require('sequelize');
+const {
+    alertEventFor,
+    alertDedupeKey,
+    quietHoursRelease,
+    planAlerts,
+    registerAttendanceHooks
+} = require('../../services/absenceAlertService');
+const Attendance = require('../../models/Attendance');
+const AttendanceSetting = require('../../models/AttendanceSetting');
+const NotificationMessage = require('../../models/NotificationMessage');
+const NotificationTemplate = require('../../models/NotificationTemplate');
+
+describe('absenceAlertService', () => {
+    describe('alertEventFor', () => {
+        test('alerts on absent and late only', () => {
+            expect(alertEventFor('absent')).toBe('student_absent');
+            expect(alertEventFor('late')).toBe('student_late');
+            expect(alertEventFor('present')).toBeNull();
+            expect(alertEventFor('excused')).toBeNull();
+            expect(alertEventFor(null)).toBeNull();
+        });
+    });
+
+    describe('quietHoursRelease', () => {
+        const overnight = { quietHoursStart: '21:00', quietHoursEnd: '07:00', timezone: 'Asia/Kolkata' };
+
+        test('sends straight away outside quiet hours or without them', () => {
+            const now = new Date('2026-10-19T06:00:00Z'); // 11:30 in Kolkata
+            expect(quietHoursRelease(now, overnight)).toBe(now);
+            expect(quietHoursRelease(now, { quietHoursStart: null, quietHoursEnd: null, timezone: 'UTC' })).toBe(now);
+        });
+
+        test('holds evening alerts until the next morning', () => {
+            // 22:30 in Kolkata
+            expect(quietHoursRelease(new Date('2026-10-19T17:00:00Z'), overnight).toISOString()).toBe('2026-10-20T01:30:00.000Z');
+        });
+
+        test('holds early morning alerts until the end of the same night', () => {
+            // 01:30 on the 20th in Kolkata
+            expect(quietHoursRelease(new Date('2026-10-19T20:00:00Z'), overnight).toISOString()).toBe('2026-10-20T01:30:00.000Z');
+        });
+
+        test('handles quiet hours within one day', () => {
+            const afternoon = { quietHoursStart: '13:00:00', quietHoursEnd: '16:00:00', timezone: 'Asia/Kolkata' };
+            // 15:30 in Kolkata
+            expect(quietHoursRelease(new Date('2026-10-19T10:00:00Z'), afternoon).toISOString()).toBe('2026-10-19T10:30:00.000Z');
+        });
+    });
+
+    describe('planAlerts', () => {
+        const recipient = (parentId, channel) => ({ parentId, channel, dedupeKey: alertDedupeKey('s1', '2026-10-19', parentId, channel) });
+        const message = (parentId, channel, status, event = 'student_absent') => ({ ...recipient(parentId, channel), status, event });
+        const recipients = [recipient('p1', 'sms'), recipient('p1', 'email'), recipient('p2', 'sms')];
+
+        test('queues an alert per parent and channel for today', () => {
+            const plan = planAlerts('student_absent', recipients, [], true);
+            expect(plan.create).toEqual(recipients);
+            expect(planAlerts('student_absent', recipients, [], false).create).toEqual([]);
+        });
+
+        test('never queues a second alert for a parent already told', () => {
+            const existing = [message('p1', 'sms', 'sent'), message('p1', 'email', 'failed'), message('p2', 'sms', 'queued')];
+            const plan = planAlerts('student_absent', recipients, existing, true);
+            expect(plan).toEqual({ create: [], reword: [], requeue: [], cancel: [] });
+        });
+
+        test('rewords queued alerts when absent is corrected to late', () => {
+            const queued = message('p1', 'sms', 'queued');
+            const plan = planAlerts('student_late', [recipients[0]], [queued], true);
+            expect(plan.reword).toEqual([{ message: queued, recipient: recipients[0] }]);
+            expect(plan.create).toEqual([]);
+        });
+
+        test('cancels queued alerts when the student is no longer absent', () => {
+            const queued = message('p1', 'sms', 'queued');
+            const sent = message('p2', 'sms', 'sent');
+            expect(planAlerts(null, [], [queued, sent], true).cancel).toEqual([queued]);
+        });
+
+        test('queues a cancelled alert again on the same day only', () => {
+            const cancelled = message('p1', 'sms', 'cancelled');
+            expect(planAlerts('student_absent', [recipients[0]], [cancelled], true).requeue).toHaveLength(1);
+            expect(planAlerts('student_absent', [recipients[0]], [cancelled], false).requeue).toHaveLength(0);
+        });
+    });
+
+    describe('bulk attendance updates', () => {
+        const settle = async () => {
+            for (let i = 0; i < 20; i++) await new Promise(resolve => setImmediate(resolve));
+        };
+
+        beforeAll(() => registerAttendanceHooks());
+        afterEach(() => jest.restoreAllMocks());
+
+        test('cancel the queued alert of a day excused by approved leave', async () => {
+            const queued = {
+                studentId: 'student-1', referenceDate: '2026-10-19', status: 'queued', dedupeKey: 'k1',
+                update: jest.fn().mockResolvedValue(null)
+            };
+            jest.spyOn(Attendance.queryInterface, 'bulkUpdate').mockResolvedValue(1);
+            // Before the update the row is still absent; afterwards it is excused and the update's own where (status != excused) misses it
+            const findAll = jest.spyOn(Attendance, 'findAll')
+                .mockResolvedValueOnce([{ id: 'att-1' }])
+                .mockResolvedValueOnce([{ tenantId: 't1', studentId: 'student-1', classId: 'class-1', attendanceDate: '2026-10-19', status: 'excused' }]);
+            jest.spyOn(AttendanceSetting, 'findByPk').mockResolvedValue(null);
+            jest.spyOn(NotificationTemplate, 'findAll').mockResolvedValue([]);
+            jest.spyOn(NotificationMessage, 'findAll').mockResolvedValue([queued]);
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+
+            const callbacks = [];
+            const transaction = { afterCommit: (fn) => callbacks.push(fn) };
+            await Attendance.update({ status: 'excused', markedBy: 'u1' }, {
+                where: { tenantId: 't1', studentId: 'student-1', attendanceDate: { [Op.between]: ['2026-10-19', '2026-10-20'] }, status: { [Op.ne]: 'excused' } },
+                transaction
+            });
+            callbacks.forEach(fn => fn());
+            await settle();
+
+            expect(findAll.mock.calls[1][0].where).toEqual({ id: { [Op.in]: ['att-1'] } });
+            expect(queued.update).toHaveBeenCalledWith({ status: 'cancelled' });
+        });
+    });
+});
@@ -0,0 +1,54 @@
+const { validateYearFields, validateTerms, rangesOverlap, rangeFor } = require('../../services/academicYearService');
+
+const year = { name: ' 2026-27 ', startDate: '2026-04-01', endDate: '2027-03-31' };
+
+describe('academicYearService', () => {
+    describe('validateYearFields', () => {
+        test('trims the name and keeps the dates', () => {
+            expect(validateYearFields(year)).toEqual({ name: '2026-27', startDate: '2026-04-01', endDate: '2027-03-31' });
+        });
+
+        test('refuses a missing name and bad or reversed dates', () => {
+            expect(() => validateYearFields({ ...year, name: ' ' })).toThrow('VALIDATION_ERROR: name must be 1-50 characters');
+            expect(() => validateYearFields({ ...year, startDate: '01/04/2026' })).toThrow('VALIDATION_ERROR: startDate must be a date');
+            expect(() => validateYearFields({ ...year, endDate: '2026-04-01' })).toThrow('VALIDATION_ERROR: endDate must be after startDate');
+            expect(() => validateYearFields({ ...year, endDate: '2028-06-30' })).toThrow('VALIDATION_ERROR: An academic year can last at most two years');
+        });
+    });
+
+    describe('validateTerms', () => {
+        const range = { startDate: '2026-04-01', endDate: '2027-03-31' };
+        const term1 = { name: 'Term 1', startDate: '2026-04-01', endDate: '2026-09-30' };
+        const term2 = { name: ' Term 2 ', startDate: '2026-10-01', endDate: '2027-03-31' };
+
+        test('puts terms in date order', () => {
+            expect(validateTerms([term2, term1], range)).toEqual([term1, { ...term2, name: 'Term 2' }]);
+            expect(validateTerms([], range)).toEqual([]);
+        });
+
+        test('keeps terms within the year, apart and uniquely named', () => {
+            expect(() => validateTerms([{ ...term1, startDate: '2026-03-31' }], range)).toThrow('VALIDATION_ERROR: terms[0] must be within the year');
+            expect(() => validateTerms([term1, { ...term2, startDate: '2026-09-30' }], range)).toThrow('VALIDATION_ERROR: Terms "Term 1" and "Term 2" overlap');
+            expect(() => validateTerms([term1, { ...term2, name: 'term 1' }], range)).toThrow('VALIDATION_ERROR: Term names must be unique');
+            expect(() => validateTerms([{ ...term1, endDate: '2026-03-01' }], range)).toThrow('VALIDATION_ERROR: terms[0].endDate cannot be before its startDate');
+            expect(() => validateTerms('Term 1', range)).toThrow('VALIDATION_ERROR: terms must be an array');
+        });
+    });
+
+    test('rangesOverlap counts a shared day as an overlap', () => {
+        const a = { startDate: '2026-04-01', endDate: '2027-03-31' };
+        expect(rangesOverlap(a, { startDate: '2027-04-01', endDate: '2028-03-31' })).toBe(false);
+        expect(rangesOverlap(a, { startDate: '2027-03-31', endDate: '2028-03-30' })).toBe(true);
+        expect(rangesOverlap(a, { startDate: '2025-04-01', endDate: '2026-04-01' })).toBe(true);
+    });
+
+    test('rangeFor finds the year or term holding a date', () => {
+        const years = [
+            { id: 'y1', startDate: '2025-04-01', endDate: '2026-03-31' },
+            { id: 'y2', startDate: '2026-04-01', endDate: '2027-03-31' }
+        ];
+        expect(rangeFor(years, '2026-03-31').id).toBe('y1');
+        expect(rangeFor(years, new Date('2026-10-19T08:00:00Z')).id).toBe('y2');
+        expect(rangeFor(years, '2027-04-01')).toBeNull();
+    });
+});
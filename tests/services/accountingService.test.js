@@ -0,0 +1,114 @@
+const { normalizeLines, buildTrialBalance, updateAccount } = require('../../services/accountingService');
+const LedgerAccount = require('../../models/LedgerAccount');
+
+describe('accountingService', () => {
+    describe('normalizeLines', () => {
+        test('accepts a balanced entry and returns its total', () => {
+            const { lines, totalCents } = normalizeLines([
+                { accountId: 'cash', debit: 1500 },
+                { accountId: 'fees', credit: '1000.00' },
+                { accountId: 'other', credit: 500, narration: 'Canteen' }
+            ]);
+
+            expect(totalCents).toBe(150000);
+            expect(lines).toEqual([
+                { accountId: 'cash', debit: '1500.00', credit: '0.00', narration: null },
+                { accountId: 'fees', debit: '0.00', credit: '1000.00', narration: null },
+                { accountId: 'other', debit: '0.00', credit: '500.00', narration: 'Canteen' }
+            ]);
+        });
+
+        test('rejects entries whose debits and credits differ', () => {
+            expect(() => normalizeLines([
+                { accountId: 'a', debit: 100 },
+                { accountId: 'b', credit: 99.99 }
+            ])).toThrow(/VALIDATION_ERROR: Debits \(100.00\) and credits \(99.99\)/);
+        });
+
+        test('requires at least two lines', () => {
+            expect(() => normalizeLines([{ accountId: 'a', debit: 100 }])).toThrow(/at least two lines/);
+            expect(() => normalizeLines(undefined)).toThrow(/at least two lines/);
+        });
+
+        test('each line carries either a debit or a credit', () => {
+            expect(() => normalizeLines([
+                { accountId: 'a', debit: 100, credit: 100 },
+                { accountId: 'b', credit: 0 }
+            ])).toThrow(/Line 1 must have either a debit or a credit/);
+            expect(() => normalizeLines([
+                { accountId: 'a', debit: 100 },
+                { accountId: 'b' }
+            ])).toThrow(/Line 2/);
+            expect(() => normalizeLines([
+                { accountId: 'a', debit: -100 },
+                { accountId: 'b', credit: -100 }
+            ])).toThrow(/Line 1/);
+        });
+    });
+
+    describe('buildTrialBalance', () => {
+        const accounts = [
+            { id: 'a5000', code: '5000', name: 'Salaries', type: 'expense' },
+            { id: 'a1000', code: '1000', name: 'Cash', type: 'asset' },
+            { id: 'a4000', code: '4000', name: 'Fee Income', type: 'income' },
+            { id: 'a1010', code: '1010', name: 'Bank', type: 'asset' },
+            { id: 'a10000', code: '10000', name: 'Petty Cash', type: 'asset' }
+        ];
+
+        test('puts each net balance on its side and totals both columns', () => {
+            const { rows, totals, balanced } = buildTrialBalance(accounts, [
+                { accountId: 'a1000', debit: '5000.00', credit: '1200.00' },
+                { accountId: 'a4000', debit: '300.00', credit: '5000.00' },
+                { accountId: 'a5000', debit: '1200.00', credit: null },
+                { accountId: 'a1010', debit: '300.00', credit: '300.00' } // nets to zero
+            ]);
+
+            expect(rows.map(r => r.code)).toEqual(['1000', '4000', '5000']);
+            expect(rows[0]).toEqual(expect.objectContaining({ name: 'Cash', debit: '3800.00', credit: '' }));
+            expect(rows[1]).toEqual(expect.objectContaining({ name: 'Fee Income', debit: '', credit: '4700.00' }));
+            expect(totals).toEqual({ code: 'Total', debit: '5000.00', credit: '4700.00' });
+            expect(balanced).toBe(false);
+        });
+
+        test('balanced books have equal totals; codes sort numerically', () => {
+            const { rows, totals, balanced } = buildTrialBalance(accounts, [
+                { accountId: 'a10000', debit: '250.00', credit: '0' },
+                { accountId: 'a1000', debit: '750.00', credit: '0' },
+                { accountId: 'a4000', debit: '0', credit: '1000.00' }
+            ]);
+
+            expect(rows.map(r => r.code)).toEqual(['1000', '4000', '10000']);
+            expect(totals.debit).toBe('1000.00');
+            expect(totals.credit).toBe('1000.00');
+            expect(balanced).toBe(true);
+        });
+    });
+
+    describe('updateAccount', () => {
+        const account = (fields) => ({ id: 'a1', type: 'asset', ...fields, update: jest.fn(async (f) => ({ ...fields, ...f })) });
+
+        afterEach(() => jest.restoreAllMocks());
+
+        test('keeps system accounts active for automatic postings', async () => {
+            const cash = account({ systemKey: 'cash', isActive: true });
+            jest.spyOn(LedgerAccount, 'findOne').mockResolvedValue(cash);
+
+            for (const isActive of [false, 'false', 0]) {
+                await expect(updateAccount('a1', 't1', { isActive }))
+                    .rejects.toThrow('CONFLICT: System accounts are used for automatic postings and cannot be deactivated');
+            }
+            expect(cash.update).not.toHaveBeenCalled();
+
+            await updateAccount('a1', 't1', { name: 'Cash', isActive: true });
+            expect(cash.update).toHaveBeenCalledWith({ name: 'Cash', isActive: true });
+        });
+
+        test('other accounts can be deactivated', async () => {
+            const petty = account({ systemKey: null, isActive: true });
+            jest.spyOn(LedgerAccount, 'findOne').mockResolvedValue(petty);
+
+            await updateAccount('a1', 't1', { isActive: false });
+            expect(petty.update).toHaveBeenCalledWith({ isActive: false });
+        });
+    });
+});
@@ -0,0 +1,86 @@
+const {
+    percentOf,
+    resolveRange,
+    summarizeStudent,
+    summarizeClass
+} = require('../../services/attendanceAnalyticsService');
+
+const thresholds = { minAttendancePercent: 75, attendanceWarningMargin: 5, chronicAbsencePercent: 10 };
+
+describe('attendanceAnalyticsService', () => {
+    describe('percentOf', () => {
+        test('rounds to one decimal', () => {
+            expect(percentOf(2, 3)).toBe(66.7);
+            expect(percentOf(0, 0)).toBeNull();
+        });
+    });
+
+    describe('resolveRange', () => {
+        test('defaults to the calendar year through today', () => {
+            expect(resolveRange({}, '2026-10-19')).toEqual({ start: '2026-01-01', end: '2026-10-19' });
+            expect(resolveRange({ from: '2026-04-01', to: '2026-09-30' }, '2026-10-19')).toEqual({ start: '2026-04-01', end: '2026-09-30' });
+        });
+
+        test('starts from the academic year when there is one', () => {
+            expect(resolveRange({}, '2026-10-19', '2026-04-01')).toEqual({ start: '2026-04-01', end: '2026-10-19' });
+            expect(resolveRange({ from: '2026-06-01' }, '2026-10-19', '2026-04-01')).toEqual({ start: '2026-06-01', end: '2026-10-19' });
+        });
+
+        test('rejects a range that ends before it starts', () => {
+            expect(() => resolveRange({ from: '2026-10-01', to: '2026-09-30' }, '2026-10-19')).toThrow(/from must not be after to/);
+        });
+    });
+
+    describe('summarizeStudent', () => {
+        test('counts late days as attended and excused days as missed', () => {
+            const summary = summarizeStudent({ present: 80, late: 5, absent: 10, excused: 5 }, {}, thresholds);
+            expect(summary).toEqual(expect.objectContaining({ markedDays: 100, attendedDays: 85, missedDays: 15, percentage: 85 }));
+        });
+
+        test('flags students below the minimum', () => {
+            expect(summarizeStudent({ present: 70, absent: 30 }, {}, thresholds).standing).toBe('below');
+        });
+
+        test('warns students just above the minimum', () => {
+            expect(summarizeStudent({ present: 78, absent: 22 }, {}, thresholds).standing).toBe('at_risk');
+            expect(summarizeStudent({ present: 80, absent: 20 }, {}, thresholds).standing).toBe('ok');
+        });
+
+        test('warns students whose recent attendance fell below the minimum', () => {
+            const summary = summarizeStudent({ present: 90, absent: 10 }, { present: 10, absent: 10 }, thresholds);
+            expect(summary.percentage).toBe(90);
+            expect(summary.recentPercentage).toBe(50);
+            expect(summary.standing).toBe('at_risk');
+        });
+
+        test('marks chronic absentees from the share of days missed', () => {
+            expect(summarizeStudent({ present: 90, excused: 10 }, {}, thresholds).chronic).toBe(true);
+            expect(summarizeStudent({ present: 91, absent: 9 }, {}, thresholds).chronic).toBe(false);
+        });
+
+        test('leaves students without records unrated', () => {
+            const summary = summarizeStudent({}, undefined, thresholds);
+            expect(summary).toEqual(expect.objectContaining({ markedDays: 0, percentage: null, standing: null, chronic: false }));
+        });
+    });
+
+    describe('summarizeClass', () => {
+        test('weights the class percentage by days and averages student percentages', () => {
+            const students = [
+                summarizeStudent({ present: 90, absent: 10 }, {}, thresholds),
+                summarizeStudent({ present: 35, absent: 15 }, {}, thresholds),
+                summarizeStudent({}, {}, thresholds)
+            ];
+            expect(summarizeClass(students)).toEqual({
+                students: 3,
+                markedDays: 150,
+                attendedDays: 125,
+                percentage: 83.3,
+                averagePercentage: 80,
+                below: 1,
+                atRisk: 0,
+                chronic: 2
+            });
+        });
+    });
+});
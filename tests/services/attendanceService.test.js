@@ -0,0 +1,168 @@
+const { editWindowFor, planMarking, summarize, resolveMode, deriveDailyStatus, getClassRoster } = require('../../services/attendanceService');
+const AttendanceSetting = require('../../models/AttendanceSetting');
+const Class = require('../../models/Class');
+const Student = require('../../models/Student');
+
+describe('attendanceService', () => {
+    describe('editWindowFor', () => {
+        test('a date is editable from the day itself until the window closes', () => {
+            expect(editWindowFor('2026-10-17', 2, '2026-10-17')).toEqual({ editable: true, editableUntil: '2026-10-19', reason: null });
+            expect(editWindowFor('2026-10-17', 2, '2026-10-19').editable).toBe(true);
+
+            const closed = editWindowFor('2026-10-17', 2, '2026-10-20');
+            expect(closed.editable).toBe(false);
+            expect(closed.reason).toMatch(/could only be changed until 2026-10-19/);
+        });
+
+        test('a zero-day window allows the same day only', () => {
+            expect(editWindowFor('2026-10-19', 0, '2026-10-19').editable).toBe(true);
+            expect(editWindowFor('2026-10-18', 0, '2026-10-19').editable).toBe(false);
+        });
+
+        test('future dates are never editable', () => {
+            const result = editWindowFor('2026-10-20', 5, '2026-10-19');
+            expect(result.editable).toBe(false);
+            expect(result.reason).toMatch(/future date/);
+        });
+
+        test('windows cross month ends', () => {
+            expect(editWindowFor('2026-10-30', 3, '2026-11-02').editable).toBe(true);
+            expect(editWindowFor('2026-10-30', 3, '2026-11-03').editable).toBe(false);
+        });
+    });
+
+    describe('planMarking', () => {
+        const roster = ['s1', 's2', 's3'];
+
+        test('creates a row per student, filling gaps with the default status', () => {
+            const plan = planMarking(roster, [{ studentId: 's2', status: 'absent', remarks: 'Fever' }], 'present');
+
+            expect(plan.toCreate).toEqual([
+                { studentId: 's1', status: 'present', remarks: null },
+                { studentId: 's2', status: 'absent', remarks: 'Fever' },
+                { studentId: 's3', status: 'present', remarks: null }
+            ]);
+            expect(plan.toUpdate).toEqual([]);
+        });
+
+        test('updates changed rows and never overwrites marked rows with the default', () => {
+            const existing = new Map([
+                ['s1', { status: 'absent', remarks: null }],
+                ['s2', { status: 'present', remarks: null }],
+                ['s3', { status: 'late', remarks: 'Bus' }]
+            ]);
+            const plan = planMarking(roster, [
+                { studentId: 's2', status: 'late' },
+                { studentId: 's3', status: 'late' }
+            ], 'present', existing);
+
+            expect(plan.toCreate).toEqual([]);
+            expect(plan.toUpdate).toEqual([{ row: existing.get('s2'), status: 'late', remarks: null }]);
+            expect(plan.unchanged).toBe(2);
+        });
+
+        test('requires every student to be covered without a default', () => {
+            expect(() => planMarking(roster, [{ studentId: 's1', status: 'present' }]))
+                .toThrow(/2 student\(s\) of the class have no status/);
+        });
+
+        test('rejects students outside the class and repeated students', () => {
+            expect(() => planMarking(roster, [{ studentId: 'other', status: 'present' }], 'present'))
+                .toThrow(/not an active student of this class/);
+            expect(() => planMarking(roster, [
+                { studentId: 's1', status: 'present' },
+                { studentId: 's1', status: 'absent' }
+            ], 'present')).toThrow(/listed more than once/);
+        });
+
+        test('rejects unknown statuses', () => {
+            expect(() => planMarking(roster, [{ studentId: 's1', status: 'holiday' }], 'present')).toThrow(/status must be one of/);
+        });
+
+        test('excuses students on approved leave unless they are marked explicitly', () => {
+            const onLeave = new Set(['s1', 's3']);
+            const plan = planMarking(roster, [{ studentId: 's3', status: 'present' }], 'present', new Map(), onLeave);
+
+            expect(plan.toCreate).toEqual([
+                { studentId: 's1', status: 'excused', remarks: 'On approved leave' },
+                { studentId: 's2', status: 'present', remarks: null },
+                { studentId: 's3', status: 'present', remarks: null }
+            ]);
+            expect(() => planMarking(['s1'], [], undefined, new Map(), new Set(['s1']))).not.toThrow();
+        });
+    });
+
+    describe('summarize', () => {
+        test('counts rows per status', () => {
+            expect(summarize([{ status: 'present' }, { status: 'absent' }, { status: 'present' }, { status: 'excused' }]))
+                .toEqual({ total: 4, present: 2, absent: 1, late: 0, excused: 1 });
+        });
+    });
+
+    describe('resolveMode', () => {
+        test('a class override wins over the tenant mode', () => {
+            expect(resolveMode({ attendanceMode: 'period' }, { mode: 'daily' })).toBe('period');
+            expect(resolveMode({ attendanceMode: null }, { mode: 'period' })).toBe('period');
+            expect(resolveMode({}, {})).toBe('daily');
+        });
+    });
+
+    describe('deriveDailyStatus', () => {
+        const periods = (...statuses) => statuses.map((status, i) => ({ periodNo: i + 1, status }));
+        const missedShare = { dailyStatusRule: 'missed_share', absentThresholdPercent: 50 };
+
+        test('nothing marked gives no daily status', () => {
+            expect(deriveDailyStatus([], missedShare)).toBeNull();
+        });
+
+        test('absent only when more than the threshold share was missed', () => {
+            expect(deriveDailyStatus(periods('absent', 'absent', 'present', 'present'), missedShare)).toBe('present');
+            expect(deriveDailyStatus(periods('absent', 'absent', 'absent', 'present'), missedShare)).toBe('absent');
+        });
+
+        test('excused and absent periods both count as missed', () => {
+            expect(deriveDailyStatus(periods('excused', 'absent', 'excused', 'present'), missedShare)).toBe('absent');
+            expect(deriveDailyStatus(periods('excused', 'excused', 'excused', 'present'), missedShare)).toBe('excused');
+        });
+
+        test('late when the first period was late', () => {
+            expect(deriveDailyStatus([{ periodNo: 2, status: 'present' }, { periodNo: 1, status: 'late' }], missedShare)).toBe('late');
+            expect(deriveDailyStatus(periods('present', 'late'), missedShare)).toBe('present');
+        });
+
+        test('a zero threshold makes any missed period an absence', () => {
+            expect(deriveDailyStatus(periods('present', 'absent', 'present'), { dailyStatusRule: 'missed_share', absentThresholdPercent: 0 })).toBe('absent');
+        });
+
+        test('first_period takes the status of the earliest period', () => {
+            const rule = { dailyStatusRule: 'first_period' };
+            expect(deriveDailyStatus([{ periodNo: 3, status: 'present' }, { periodNo: 1, status: 'absent' }], rule)).toBe('absent');
+        });
+    });
+
+    describe('getClassRoster', () => {
+        beforeEach(() => {
+            // 20:00 UTC on the 19th is already the 20th in Kolkata
+            jest.useFakeTimers({ now: new Date('2026-10-19T20:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+            jest.spyOn(AttendanceSetting, 'findByPk').mockResolvedValue({
+                get: () => ({ tenantId: 't1', editWindowDays: 0, mode: 'daily', timezone: 'Asia/Kolkata', weeklyOffDays: [7], alertChannels: [] })
+            });
+            jest.spyOn(Class, 'findOne').mockResolvedValue({ id: 'class-1', className: '5', section: 'A', attendanceMode: null });
+            jest.spyOn(Student, 'findAll').mockResolvedValue([]);
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+            jest.restoreAllMocks();
+        });
+
+        test('takes today in the school\'s time zone', async () => {
+            const roster = await getClassRoster('t1', 'class-1', undefined, {});
+            expect(roster.date).toBe('2026-10-20');
+            expect(roster.editable).toBe(true);
+
+            const yesterday = await getClassRoster('t1', 'class-1', '2026-10-19', {});
+            expect(yesterday.editable).toBe(false);
+        });
+    });
+});
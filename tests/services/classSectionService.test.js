@@ -0,0 +1,63 @@
+const { validateCapacity, validateGroupFields, validateSections, capacityOf, seatsLeft } = require('../../services/classSectionService');
+const promotionService = require('../../services/promotionService');
+const classSectionService = require('../../services/classSectionService');
+
+describe('classSectionService', () => {
+    test('validateCapacity takes whole numbers from 1, and null for no limit', () => {
+        expect(validateCapacity(40)).toBe(40);
+        expect(validateCapacity('35')).toBe(35);
+        expect(validateCapacity(null)).toBeNull();
+        expect(validateCapacity('')).toBeNull();
+        expect(() => validateCapacity(0)).toThrow('VALIDATION_ERROR: capacity must be a whole number from 1 to 1000, or null');
+        expect(() => validateCapacity(12.5, 'defaultCapacity')).toThrow(/^VALIDATION_ERROR: defaultCapacity/);
+        expect(() => validateCapacity(1001)).toThrow(/capacity/);
+    });
+
+    describe('validateGroupFields', () => {
+        test('trims the name and fills in the defaults', () => {
+            expect(validateGroupFields({ name: ' Grade 5 ' }))
+                .toEqual({ name: 'Grade 5', displayOrder: 0, defaultCapacity: null, status: 'active' });
+            expect(validateGroupFields({ name: 'Grade 6', displayOrder: 6, defaultCapacity: 40, status: 'inactive' }))
+                .toEqual({ name: 'Grade 6', displayOrder: 6, defaultCapacity: 40, status: 'inactive' });
+        });
+
+        test('refuses bad names, orders and statuses', () => {
+            expect(() => validateGroupFields({ name: ' ' })).toThrow('VALIDATION_ERROR: name must be 1-100 characters');
+            expect(() => validateGroupFields({ name: 'Grade 5', displayOrder: -1 })).toThrow(/displayOrder/);
+            expect(() => validateGroupFields({ name: 'Grade 5', status: 'closed' })).toThrow('VALIDATION_ERROR: status must be one of: active, inactive');
+        });
+    });
+
+    describe('validateSections', () => {
+        test('trims the names and keeps the capacity and class teacher', () => {
+            expect(validateSections([{ section: ' A ', capacity: 40, classTeacherId: 't1' }, { section: 'B' }]))
+                .toEqual([{ section: 'A', capacity: 40, classTeacherId: 't1' }, { section: 'B', capacity: null, classTeacherId: null }]);
+        });
+
+        test('refuses names repeated in any case, or already taken', () => {
+            expect(() => validateSections([{ section: 'A' }, { section: 'a' }])).toThrow('VALIDATION_ERROR: Section "a" is listed more than once');
+            expect(() => validateSections([{ section: 'C' }], ['A', 'c'])).toThrow(/Section "C"/);
+            expect(() => validateSections([{ section: '' }])).toThrow('VALIDATION_ERROR: sections[0].section must be 1-50 characters');
+            expect(() => validateSections([{ section: 'A', capacity: -5 }])).toThrow(/sections\[0\]\.capacity/);
+            expect(() => validateSections('A')).toThrow(/sections must be an array/);
+        });
+    });
+
+    test('capacityOf prefers the section, then the class default', () => {
+        expect(capacityOf({ capacity: 30 }, { defaultCapacity: 40 })).toBe(30);
+        expect(capacityOf({ capacity: null }, { defaultCapacity: 40 })).toBe(40);
+        expect(capacityOf({ capacity: null }, { defaultCapacity: null })).toBeNull();
+        expect(capacityOf({ capacity: undefined })).toBeNull();
+    });
+
+    test('seatsLeft is null without a limit and never negative', () => {
+        expect(seatsLeft(40, 38)).toBe(2);
+        expect(seatsLeft(40, 45)).toBe(0);
+        expect(seatsLeft(null, 45)).toBeNull();
+    });
+
+    test('the promotion wizard numbers and denormalizes with the same helpers', () => {
+        expect(promotionService.assignRollNumbers).toBe(classSectionService.assignRollNumbers);
+        expect(promotionService.classDataOf).toBe(classSectionService.classDataOf);
+    });
+});
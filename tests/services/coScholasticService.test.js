@@ -0,0 +1,37 @@
+const { canGradeClass, planCoScholasticEntry } = require('../../services/coScholasticService');
+const { DEFAULT_CO_SCHOLASTIC_GRADES } = require('../../services/gradingService');
+
+describe('coScholasticService', () => {
+    describe('canGradeClass', () => {
+        test('is the class teacher, or the class\'s teachers when it has none', () => {
+            expect(canGradeClass({ id: 'c1', classTeacherId: 't1' }, null)).toBe(true);
+            expect(canGradeClass({ id: 'c1', classTeacherId: 't1' }, { teacherId: 't1', classIds: [] })).toBe(true);
+            expect(canGradeClass({ id: 'c1', classTeacherId: 't1' }, { teacherId: 't2', classIds: ['c1'] })).toBe(false);
+            expect(canGradeClass({ id: 'c1', classTeacherId: null }, { teacherId: 't2', classIds: ['c1'] })).toBe(true);
+        });
+    });
+
+    describe('planCoScholasticEntry', () => {
+        const roster = ['s1', 's2'];
+
+        test('spells grades as the scheme does and clears null grades', () => {
+            const plan = planCoScholasticEntry([
+                { studentId: 's1', grade: ' a ', remarks: 'Neat work' },
+                { studentId: 's2', grade: null }
+            ], roster, DEFAULT_CO_SCHOLASTIC_GRADES);
+            expect(plan).toEqual([
+                { studentId: 's1', grade: 'A', remarks: 'Neat work' },
+                { studentId: 's2', grade: null, remarks: null }
+            ]);
+        });
+
+        test('rejects grades outside the scheme and students outside the class', () => {
+            expect(() => planCoScholasticEntry([{ studentId: 's1', grade: 'D' }], roster, DEFAULT_CO_SCHOLASTIC_GRADES))
+                .toThrow(/entries\[0\]: grade must be one of: A, B, C/);
+            expect(() => planCoScholasticEntry([{ studentId: 'x', grade: 'A' }], roster, DEFAULT_CO_SCHOLASTIC_GRADES))
+                .toThrow(/not an active student of the class/);
+            expect(() => planCoScholasticEntry([{ studentId: 's1', grade: 'A' }, { studentId: 's1', grade: 'B' }], roster, DEFAULT_CO_SCHOLASTIC_GRADES))
+                .toThrow(/appears more than once/);
+        });
+    });
+});
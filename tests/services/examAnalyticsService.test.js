@@ -0,0 +1,81 @@
+const {
+    competitionRanks,
+    paperStats,
+    poolStats,
+    examOutcome
+} = require('../../services/examAnalyticsService');
+
+const present = (marksObtained) => ({ status: 'present', marksObtained: String(marksObtained) });
+
+describe('examAnalyticsService', () => {
+    describe('competitionRanks', () => {
+        test('equal values share a rank and the next rank is skipped', () => {
+            expect(competitionRanks([72.5, 91, 72.5, 60])).toEqual([2, 1, 2, 4]);
+        });
+
+        test('missing values are not ranked', () => {
+            expect(competitionRanks([null, 55, undefined, 80])).toEqual([null, 2, null, 1]);
+            expect(competitionRanks([])).toEqual([]);
+        });
+    });
+
+    describe('paperStats', () => {
+        const paper = { maxMarks: '80.00', passMarks: '28.00' };
+
+        test('averages present students and counts absent ones as failing', () => {
+            const rows = [present(72), present(28), present(20), { status: 'absent', marksObtained: null }, { status: 'medical', marksObtained: null }];
+            expect(paperStats(rows, paper)).toEqual({
+                entered: 5,
+                appeared: 3,
+                absent: 1,
+                medical: 1,
+                average: 40,
+                highest: 72,
+                lowest: 20,
+                averagePercent: 50,
+                passed: 2,
+                failed: 2,
+                passPercent: 50
+            });
+        });
+
+        test('has no figures before marks are entered', () => {
+            expect(paperStats([], paper)).toEqual(expect.objectContaining({
+                appeared: 0, average: null, highest: null, lowest: null, averagePercent: null, passPercent: null
+            }));
+        });
+    });
+
+    describe('poolStats', () => {
+        test('weighs each paper\'s average by the students who appeared', () => {
+            const maths = paperStats([present(90), present(70), present(50)], { maxMarks: 100, passMarks: 60 });
+            const art = paperStats([present(40), { status: 'absent' }], { maxMarks: 50, passMarks: 20 });
+            expect(poolStats([maths, art])).toEqual({
+                papers: 2,
+                appeared: 4,
+                absent: 1,
+                medical: 0,
+                passed: 3,
+                failed: 2,
+                averagePercent: 72.5,
+                passPercent: 60
+            });
+        });
+    });
+
+    describe('examOutcome', () => {
+        const papers = [{ id: 'p1', passMarks: 33 }, { id: 'p2', passMarks: 33 }];
+
+        test('passes when every paper is passed and fails on any failed or absent paper', () => {
+            expect(examOutcome(papers, new Map([['p1', present(33)], ['p2', present(90)]]))).toBe('pass');
+            expect(examOutcome(papers, new Map([['p1', present(32.5)], ['p2', present(90)]]))).toBe('fail');
+            expect(examOutcome(papers, new Map([['p1', { status: 'absent' }]]))).toBe('fail');
+        });
+
+        test('stays open while papers are pending', () => {
+            expect(examOutcome(papers, new Map([['p1', present(70)]]))).toBeNull();
+            expect(examOutcome(papers, new Map([['p1', { status: 'medical' }], ['p2', present(70)]]))).toBe('pass');
+            expect(examOutcome([], new Map())).toBeNull();
+        });
+    });
+});
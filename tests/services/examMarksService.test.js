@@ -0,0 +1,142 @@
+const { planMarksEntry, summarizeMarks, canSeeClass, studentResult, saveMarks } = require('../../services/examMarksService');
+const gradingService = require('../../services/gradingService');
+const { DEFAULT_GRADE_BANDS } = gradingService;
+const { sequelize } = require('../../config/database');
+const ExamPaper = require('../../models/ExamPaper');
+const ExamMarks = require('../../models/ExamMarks');
+const Student = require('../../models/Student');
+
+describe('examMarksService', () => {
+    describe('planMarksEntry', () => {
+        const roster = ['s1', 's2', 's3'];
+        const paper = { maxMarks: '80.00' };
+
+        test('computes percentage and grade from the scale', () => {
+            const [row] = planMarksEntry([{ studentId: 's1', marksObtained: 74 }], roster, paper, DEFAULT_GRADE_BANDS);
+            expect(row).toEqual(expect.objectContaining({ status: 'present', marksObtained: 74, totalMarks: 80, percentage: 92.5, grade: 'A1', gradePoint: 10 }));
+
+            const [low] = planMarksEntry([{ studentId: 's2', marksObtained: 26.4 }], roster, paper, DEFAULT_GRADE_BANDS);
+            expect(low).toEqual(expect.objectContaining({ percentage: 33, grade: 'D', gradePoint: 4 }));
+        });
+
+        test('rejects marks above max marks or with more than 2 decimals', () => {
+            expect(() => planMarksEntry([{ studentId: 's1', marksObtained: 81 }], roster, paper, DEFAULT_GRADE_BANDS))
+                .toThrow(/entries\[0\]: marksObtained 81 must be between 0 and the max marks \(80\)/);
+            expect(() => planMarksEntry([{ studentId: 's1', marksObtained: 40.125 }], roster, paper, DEFAULT_GRADE_BANDS))
+                .toThrow(/at most 2 decimals/);
+            expect(() => planMarksEntry([{ studentId: 's1', marksObtained: 12.35 }], roster, paper, DEFAULT_GRADE_BANDS)).not.toThrow();
+        });
+
+        test('absent and medical entries carry no marks', () => {
+            const rows = planMarksEntry([
+                { studentId: 's1', status: 'absent' },
+                { studentId: 's2', status: 'medical', remarks: 'Fever' }
+            ], roster, paper, DEFAULT_GRADE_BANDS);
+            expect(rows.map(r => [r.status, r.marksObtained, r.grade])).toEqual([['absent', null, null], ['medical', null, null]]);
+
+            expect(() => planMarksEntry([{ studentId: 's1', status: 'absent', marksObtained: 10 }], roster, paper, DEFAULT_GRADE_BANDS))
+                .toThrow(/marked absent cannot have marks/);
+        });
+
+        test('requires marks for present students', () => {
+            expect(() => planMarksEntry([{ studentId: 's1' }], roster, paper, DEFAULT_GRADE_BANDS)).toThrow(/marksObtained is required/);
+        });
+
+        test('only takes each student of the class once', () => {
+            expect(() => planMarksEntry([{ studentId: 'other', marksObtained: 10 }], roster, paper, DEFAULT_GRADE_BANDS))
+                .toThrow(/not an active student of the class/);
+            expect(() => planMarksEntry([
+                { studentId: 's1', marksObtained: 10 },
+                { studentId: 's1', marksObtained: 12 }
+            ], roster, paper, DEFAULT_GRADE_BANDS)).toThrow(/entries\[1\]: the student appears more than once/);
+        });
+    });
+
+    describe('summarizeMarks', () => {
+        test('counts entries by status and students still pending', () => {
+            const summary = summarizeMarks([{ status: 'present' }, { status: 'present' }, { status: 'medical' }], 5);
+            expect(summary).toEqual({ entered: 3, present: 2, absent: 0, medical: 1, pending: 2 });
+        });
+    });
+
+    describe('canSeeClass', () => {
+        test('lets teachers of the class and its class teacher in', () => {
+            expect(canSeeClass({ id: 'c1' }, null)).toBe(true);
+            expect(canSeeClass({ id: 'c1' }, { teacherId: 't1', classIds: ['c1'] })).toBe(true);
+            expect(canSeeClass({ id: 'c1', classTeacherId: 't1' }, { teacherId: 't1', classIds: [] })).toBe(true);
+            expect(canSeeClass({ id: 'c1', classTeacherId: 't2' }, { teacherId: 't1', classIds: ['c2'] })).toBe(false);
+        });
+    });
+
+    describe('studentResult', () => {
+        const papers = [
+            { id: 'p1', subject: 'Mathematics', maxMarks: '100' },
+            { id: 'p2', subject: 'Science', maxMarks: '50' },
+            { id: 'p3', subject: 'English', maxMarks: '50' }
+        ];
+
+        test('totals present papers, counts absences as 0 and leaves medical papers out', () => {
+            const rows = new Map([
+                ['p1', { status: 'present', marksObtained: '90.00', totalMarks: '100.00', percentage: '90.00', grade: 'A2', gradePoint: '9.00' }],
+                ['p2', { status: 'absent', marksObtained: null, totalMarks: '50.00', percentage: null, grade: null, gradePoint: null }],
+                ['p3', { status: 'medical', marksObtained: null, totalMarks: '50.00', percentage: null, grade: null, gradePoint: null }]
+            ]);
+            const result = studentResult(papers, rows, DEFAULT_GRADE_BANDS);
+            expect(result).toEqual(expect.objectContaining({ marksObtained: 90, maxMarks: 150, percentage: 60, grade: 'C1', gpa: 4.5, pending: 0 }));
+            expect(result.papers[0]).toEqual(expect.objectContaining({ subject: 'Mathematics', marksObtained: 90, gradePoint: 9 }));
+        });
+
+        test('gives no GPA while papers are pending', () => {
+            const rows = new Map([['p1', { status: 'present', marksObtained: '90.00', totalMarks: '100.00', percentage: '90.00', grade: 'A2', gradePoint: '9.00' }]]);
+            const result = studentResult(papers, rows, DEFAULT_GRADE_BANDS);
+            expect(result).toEqual(expect.objectContaining({ percentage: 90, gpa: null, pending: 2 }));
+            expect(result.papers[1]).toEqual({ paperId: 'p2', subject: 'Science', maxMarks: 50, status: null });
+        });
+    });
+
+    describe('saveMarks', () => {
+        const paper = (marksStatus) => ({
+            id: 'p1', examId: 'e1', classId: 'c1', subject: 'Maths', maxMarks: 100, passMarks: 35, marksStatus,
+            update: jest.fn(async function (fields) { Object.assign(this, fields); return this; })
+        });
+        const entry = { entries: [{ studentId: 's1', marksObtained: 80 }] };
+
+        beforeEach(() => {
+            jest.spyOn(sequelize, 'transaction').mockImplementation(async (fn) => fn({ LOCK: { UPDATE: 'UPDATE' } }));
+            jest.spyOn(Student, 'findAll').mockResolvedValue([{ id: 's1' }]);
+            jest.spyOn(gradingService, 'resolveScheme').mockResolvedValue({ bands: DEFAULT_GRADE_BANDS });
+            jest.spyOn(ExamMarks, 'findAll')
+                .mockResolvedValueOnce([{ studentId: 's1', update: jest.fn() }])
+                .mockResolvedValueOnce([{ status: 'present' }]);
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+        });
+
+        afterEach(() => jest.restoreAllMocks());
+
+        test('sends a submitted paper back to open when its marks change', async () => {
+            const submitted = paper('submitted');
+            jest.spyOn(ExamPaper, 'findOne').mockResolvedValue(submitted);
+
+            const result = await saveMarks('t1', 'e1', 'p1', entry, 'u1', null);
+
+            expect(result.marksStatus).toBe('open');
+            expect(submitted.update).toHaveBeenCalledWith({ marksStatus: 'open', marksSubmittedBy: null, marksSubmittedAt: null }, expect.any(Object));
+        });
+
+        test('keeps it submitted when the corrections are submitted again', async () => {
+            const submitted = paper('submitted');
+            jest.spyOn(ExamPaper, 'findOne').mockResolvedValue(submitted);
+
+            const result = await saveMarks('t1', 'e1', 'p1', { ...entry, submit: true }, 'u1', null);
+
+            expect(result.marksStatus).toBe('submitted');
+            expect(submitted.update).toHaveBeenCalledWith(expect.objectContaining({ marksStatus: 'submitted', marksSubmittedBy: 'u1' }), expect.any(Object));
+        });
+
+        test('refuses moderated papers until they are reopened', async () => {
+            jest.spyOn(ExamPaper, 'findOne').mockResolvedValue(paper('moderated'));
+
+            await expect(saveMarks('t1', 'e1', 'p1', entry, 'u1', null)).rejects.toThrow('CONFLICT: The marks of this paper were moderated and are locked');
+        });
+    });
+});
@@ -0,0 +1,63 @@
+const { validateExamFields, validatePaperFields, papersOverlap } = require('../../services/examService');
+
+describe('examService', () => {
+    describe('validateExamFields', () => {
+        const exam = { name: 'Midterm 2026', examType: 'midterm', startDate: '2026-09-21', endDate: '2026-10-03' };
+
+        test('accepts an exam with or without dates', () => {
+            expect(() => validateExamFields(exam)).not.toThrow();
+            expect(() => validateExamFields({ ...exam, startDate: null, endDate: null })).not.toThrow();
+        });
+
+        test('requires a name and a known type', () => {
+            expect(() => validateExamFields({ ...exam, name: ' ' })).toThrow(/name is required/);
+            expect(() => validateExamFields({ ...exam, examType: 'quarterly' })).toThrow(/examType must be one of/);
+        });
+
+        test('rejects an end before the start', () => {
+            expect(() => validateExamFields({ ...exam, endDate: '2026-09-20' })).toThrow(/endDate cannot be before startDate/);
+            expect(() => validateExamFields({ ...exam, startDate: '21/09/2026' })).toThrow(/startDate must be a date/);
+        });
+    });
+
+    describe('validatePaperFields', () => {
+        const exam = { startDate: '2026-09-21', endDate: '2026-10-03' };
+        const paper = { subject: 'Mathematics', examDate: '2026-09-22', startTime: '09:30', endTime: '12:30', maxMarks: 80, passMarks: 28 };
+
+        test('accepts a paper within the exam', () => {
+            expect(() => validatePaperFields(paper, exam)).not.toThrow();
+            expect(() => validatePaperFields({ ...paper, examDate: '2026-12-01' })).not.toThrow();
+        });
+
+        test('keeps the date within the exam', () => {
+            expect(() => validatePaperFields({ ...paper, examDate: '2026-09-20' }, exam)).toThrow(/within the exam/);
+            expect(() => validatePaperFields({ ...paper, examDate: '2026-10-04' }, exam)).toThrow(/within the exam/);
+            expect(() => validatePaperFields({ ...paper, examDate: '2026-10-03' }, exam)).not.toThrow();
+        });
+
+        test('requires start and end times in order', () => {
+            expect(() => validatePaperFields({ ...paper, startTime: null }, exam)).toThrow(/startTime must be a time/);
+            expect(() => validatePaperFields({ ...paper, endTime: '09:30' }, exam)).toThrow(/endTime must be after startTime/);
+        });
+
+        test('keeps pass marks within max marks', () => {
+            expect(() => validatePaperFields({ ...paper, maxMarks: 0 }, exam)).toThrow(/maxMarks/);
+            expect(() => validatePaperFields({ ...paper, passMarks: 81 }, exam)).toThrow(/passMarks must be between 0 and maxMarks/);
+            expect(() => validatePaperFields({ ...paper, passMarks: 80 }, exam)).not.toThrow();
+        });
+    });
+
+    describe('papersOverlap', () => {
+        const paper = { examDate: '2026-09-22', startTime: '09:00:00', endTime: '11:00:00' };
+
+        test('detects overlapping times on the same day', () => {
+            expect(papersOverlap(paper, { examDate: '2026-09-22', startTime: '10:30', endTime: '12:00' })).toBe(true);
+            expect(papersOverlap(paper, { examDate: '2026-09-22', startTime: '08:00', endTime: '13:00' })).toBe(true);
+        });
+
+        test('allows back-to-back papers and other days', () => {
+            expect(papersOverlap(paper, { examDate: '2026-09-22', startTime: '11:00', endTime: '13:00' })).toBe(false);
+            expect(papersOverlap(paper, { examDate: '2026-09-23', startTime: '09:00', endTime: '11:00' })).toBe(false);
+        });
+    });
+});
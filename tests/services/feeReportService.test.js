@@ -0,0 +1,105 @@
+const { buildAgingRows, buildDefaulterRows, buildCollectionRows } = require('../../services/feeReportService');
+
+const fee = (overrides) => ({
+    studentId: 's1',
+    classId: 'c5',
+    className: '5',
+    section: 'A',
+    feeHeadId: 'h1',
+    feeHead: 'Tuition',
+    amount: '1000.00',
+    paidAmount: '0.00',
+    dueDate: '2026-10-01',
+    ...overrides
+});
+
+describe('feeReportService', () => {
+    const asOf = '2026-10-19';
+
+    describe('buildAgingRows', () => {
+        test('buckets outstanding balances by days past due', () => {
+            const { rows, totals } = buildAgingRows([
+                fee({ dueDate: '2026-10-19' }), // 0 days
+                fee({ studentId: 's2', dueDate: '2026-09-19', paidAmount: '400.00' }), // 30 days, 600 due
+                fee({ dueDate: '2026-09-18' }), // 31 days
+                fee({ dueDate: '2026-07-21' }), // 90 days
+                fee({ dueDate: '2026-07-20' }) // 91 days
+            ], asOf);
+
+            expect(rows).toHaveLength(1);
+            expect(rows[0]).toEqual(expect.objectContaining({
+                className: '5',
+                section: 'A',
+                feeHead: 'Tuition',
+                students: 2,
+                days0to30: '1600.00',
+                days31to60: '1000.00',
+                days61to90: '1000.00',
+                days90plus: '1000.00',
+                total: '4600.00'
+            }));
+            expect(totals).toEqual(expect.objectContaining({ total: '4600.00', students: 2 }));
+        });
+
+        test('splits rows by class and fee head and skips settled or future fees', () => {
+            const { rows } = buildAgingRows([
+                fee({}),
+                fee({ feeHeadId: 'h2', feeHead: 'Transport' }),
+                fee({ classId: 'c10', className: '10', section: 'B' }),
+                fee({ paidAmount: '1000.00' }),
+                fee({ dueDate: '2026-10-20' })
+            ], asOf);
+
+            expect(rows.map(r => `${r.className}${r.section} ${r.feeHead}`)).toEqual(['5A Transport', '5A Tuition', '10B Tuition']);
+            expect(rows.every(r => r.total === '1000.00')).toBe(true);
+        });
+    });
+
+    describe('buildDefaulterRows', () => {
+        test('totals dues per student from the oldest overdue fee', () => {
+            const rows = buildDefaulterRows([
+                fee({ dueDate: '2026-09-01' }),
+                fee({ dueDate: '2026-10-10', paidAmount: '250.00' }),
+                fee({ studentId: 's2', dueDate: '2026-10-18', amount: '5000.00' }),
+                fee({ studentId: 's3', dueDate: '2026-10-19' }) // due today, not yet a defaulter
+            ], asOf);
+
+            expect(rows.map(r => r.studentId)).toEqual(['s2', 's1']);
+            expect(rows[1]).toEqual(expect.objectContaining({ outstanding: '1750.00', fees: 2, oldestDueDate: '2026-09-01', daysOverdue: 48 }));
+        });
+
+        test('applies minimum days and amount thresholds', () => {
+            const fees = [fee({ dueDate: '2026-09-01' }), fee({ studentId: 's2', dueDate: '2026-10-18', amount: '5000.00' })];
+
+            expect(buildDefaulterRows(fees, asOf, { minDays: 30 }).map(r => r.studentId)).toEqual(['s1']);
+            expect(buildDefaulterRows(fees, asOf, { minAmount: 2000 }).map(r => r.studentId)).toEqual(['s2']);
+        });
+    });
+
+    describe('buildCollectionRows', () => {
+        const groups = [
+            { paidOn: '2026-10-02', collectedBy: 'u1', mode: 'cash', count: 3, amount: '1500.00' },
+            { paidOn: '2026-10-02', collectedBy: 'u2', mode: 'upi', count: 1, amount: '800.00' },
+            { paidOn: '2026-10-01', collectedBy: 'u1', mode: 'cheque', count: 1, amount: '2000.00' },
+            { paidOn: '2026-10-01', collectedBy: null, mode: 'online', count: 2, amount: '700.50' }
+        ];
+
+        test('pivots modes into columns per day', () => {
+            const { rows, totals } = buildCollectionRows(groups, 'day');
+
+            expect(rows.map(r => r.date)).toEqual(['2026-10-01', '2026-10-02']);
+            expect(rows[0]).toEqual(expect.objectContaining({ cheque: '2000.00', online: '700.50', cash: '0.00', count: 3, total: '2700.50' }));
+            expect(totals).toEqual(expect.objectContaining({ date: 'Total', cash: '1500.00', count: 7, total: '5000.50' }));
+        });
+
+        test('groups per collector with display names', () => {
+            const { rows } = buildCollectionRows(groups, 'collector', { u1: 'Asha Rao' });
+
+            expect(rows.map(r => [r.collector, r.total])).toEqual([
+                ['Asha Rao', '3500.00'],
+                ['Unknown user', '800.00'],
+                ['Online / system', '700.50']
+            ]);
+        });
+    });
+});
@@ -0,0 +1,107 @@
+const { computeAdjustments } = require('../../services/feeRuleService');
+
+const rule = (overrides) => ({
+    id: overrides.kind,
+    name: overrides.kind,
+    valueType: 'fixed',
+    feeHeadId: null,
+    graceDays: 0,
+    maxAmount: null,
+    priority: 100,
+    isActive: true,
+    ...overrides
+});
+
+describe('feeRuleService.computeAdjustments', () => {
+    const today = '2026-10-19';
+    const fee = { grossAmount: '10000.00', amount: '10000.00', paidAmount: '0.00', dueDate: '2026-10-10', feeHeadId: 'tuition' };
+
+    test('fee without matching rules keeps its gross amount as net', () => {
+        const result = computeAdjustments(fee, [rule({ kind: 'scholarship', value: '500' })], {}, today);
+
+        expect(result).toEqual({ grossAmount: '10000.00', discountAmount: '0.00', fineAmount: '0.00', amount: '10000.00', adjustments: [] });
+    });
+
+    test('sibling and category concessions apply to matching students', () => {
+        const rules = [
+            rule({ kind: 'sibling_concession', valueType: 'percent', value: '10', minSiblingRank: 2 }),
+            rule({ kind: 'category_concession', value: '1000', category: 'SC' })
+        ];
+
+        expect(computeAdjustments(fee, rules, { siblingRank: 1, category: 'General' }, today).discountAmount).toBe('0.00');
+
+        const result = computeAdjustments(fee, rules, { siblingRank: 2, category: 'SC' }, today);
+        expect(result.discountAmount).toBe('2000.00');
+        expect(result.amount).toBe('8000.00');
+        expect(result.adjustments.map(a => a.amount)).toEqual(['-1000.00', '-1000.00']);
+    });
+
+    test('scholarship and staff ward waivers follow assignments', () => {
+        const rules = [
+            rule({ id: 'sch', kind: 'scholarship', valueType: 'percent', value: '50' }),
+            rule({ id: 'ward', kind: 'staff_ward_waiver', valueType: 'percent', value: '25' })
+        ];
+
+        expect(computeAdjustments(fee, rules, { assignedRuleIds: new Set(['sch']) }, today).discountAmount).toBe('5000.00');
+        expect(computeAdjustments(fee, rules, { isStaffWard: true, assignedRuleIds: new Set() }, today).discountAmount).toBe('2500.00');
+    });
+
+    test('concessions are capped per rule and never exceed the gross amount', () => {
+        const rules = [
+            rule({ id: 'a', kind: 'category_concession', category: 'ST', valueType: 'percent', value: '80', maxAmount: '6000', priority: 1 }),
+            rule({ id: 'b', kind: 'staff_ward_waiver', valueType: 'percent', value: '100', priority: 2 })
+        ];
+
+        const result = computeAdjustments(fee, rules, { category: 'ST', isStaffWard: true }, today);
+        expect(result.adjustments.map(a => a.amount)).toEqual(['-6000.00', '-4000.00']);
+        expect(result.amount).toBe('0.00');
+    });
+
+    test('concessions do not bring the net below what was already paid', () => {
+        const rules = [rule({ kind: 'scholarship', valueType: 'percent', value: '100' })];
+        const paid = { ...fee, paidAmount: '3000.00', dueDate: null };
+
+        const result = computeAdjustments(paid, rules, { assignedRuleIds: new Set(['scholarship']) }, today);
+        expect(result.discountAmount).toBe('7000.00');
+        expect(result.amount).toBe('3000.00');
+    });
+
+    test('rules limited to another fee head are ignored', () => {
+        const rules = [rule({ kind: 'category_concession', category: 'OBC', value: '500', feeHeadId: 'transport' })];
+
+        expect(computeAdjustments(fee, rules, { category: 'OBC' }, today).discountAmount).toBe('0.00');
+    });
+
+    test('late fines start after the grace period', () => {
+        const perDay = rule({ kind: 'late_fine_per_day', value: '10', graceDays: 5 });
+        const flat = rule({ kind: 'late_fine_flat', valueType: 'percent', value: '2' });
+
+        // 9 days late, 4 beyond grace
+        const result = computeAdjustments(fee, [perDay, flat], {}, today);
+        expect(result.fineAmount).toBe('240.00');
+        expect(result.amount).toBe('10240.00');
+
+        expect(computeAdjustments(fee, [perDay], {}, '2026-10-15').fineAmount).toBe('0.00');
+        expect(computeAdjustments({ ...fee, dueDate: null }, [perDay, flat], {}, today).fineAmount).toBe('0.00');
+    });
+
+    test('per-day fines stop growing at maxAmount', () => {
+        const perDay = rule({ kind: 'late_fine_per_day', value: '50', maxAmount: '300' });
+
+        expect(computeAdjustments(fee, [perDay], {}, '2026-12-31').fineAmount).toBe('300.00');
+    });
+
+    test('legacy fees without a gross amount use their amount', () => {
+        const legacy = { amount: '1200.00', paidAmount: 0, dueDate: null };
+
+        expect(computeAdjustments(legacy, [], {}, today).grossAmount).toBe('1200.00');
+    });
+
+    test('credit notes stay off the net and leave less room for concessions', () => {
+        const credited = { ...fee, creditAmount: '9000.00' };
+        const result = computeAdjustments(credited, [rule({ kind: 'category_concession', value: '2000', category: 'SC' })], { category: 'SC' }, today);
+
+        expect(result.discountAmount).toBe('1000.00');
+        expect(result.amount).toBe('0.00');
+    });
+});
@@ -0,0 +1,40 @@
+const { buildStudentFeeRows } = require('../../services/feeStructureService');
+
+const structure = {
+    id: 'fs1',
+    tenantId: 't1',
+    classId: 'c1',
+    items: [
+        { id: 'i1', feeHeadId: 'h1', label: 'Term 1', amount: '1500.00', dueDate: '2026-04-10', feeHead: { name: 'Tuition' } },
+        { id: 'i2', feeHeadId: 'h2', label: null, amount: '400.00', dueDate: null, feeHead: { name: 'Transport' } }
+    ]
+};
+
+describe('feeStructureService.buildStudentFeeRows', () => {
+    test('creates one pending fee per student per installment', () => {
+        const rows = buildStudentFeeRows(structure, [{ id: 's1' }, { id: 's2' }]);
+
+        expect(rows).toHaveLength(4);
+        expect(rows[0]).toEqual({
+            tenantId: 't1',
+            studentId: 's1',
+            classId: 'c1',
+            feeHeadId: 'h1',
+            feeStructureId: 'fs1',
+            feeStructureItemId: 'i1',
+            feeType: 'Tuition - Term 1',
+            grossAmount: '1500.00',
+            amount: '1500.00',
+            dueDate: '2026-04-10',
+            status: 'pending'
+        });
+        expect(rows[1].feeType).toBe('Transport');
+    });
+
+    test('skips student/item pairs that were already generated', () => {
+        const rows = buildStudentFeeRows(structure, [{ id: 's1' }, { id: 's2' }], new Set(['s1:i1', 's1:i2', 's2:i2']));
+
+        expect(rows).toHaveLength(1);
+        expect(rows[0]).toEqual(expect.objectContaining({ studentId: 's2', feeStructureItemId: 'i1' }));
+    });
+});
@@ -0,0 +1,116 @@
+const {
+    percentOf,
+    gradeFor,
+    gradePointFor,
+    validateBands,
+    validateScheme,
+    validateCoScholasticGrades,
+    pickAssignment,
+    gpaOf,
+    cgpaOf,
+    DEFAULT_GRADE_BANDS
+} = require('../../services/gradingService');
+
+describe('gradingService', () => {
+    describe('percentOf', () => {
+        test('rounds to 2 decimals', () => {
+            expect(percentOf(74, 80)).toBe(92.5);
+            expect(percentOf(1, 3)).toBe(33.33);
+            expect(percentOf(null, 80)).toBeNull();
+        });
+    });
+
+    describe('gradeFor', () => {
+        test('picks the highest band reached', () => {
+            expect(gradeFor(91, DEFAULT_GRADE_BANDS)).toBe('A1');
+            expect(gradeFor(90.99, DEFAULT_GRADE_BANDS)).toBe('A2');
+            expect(gradeFor(32.5, DEFAULT_GRADE_BANDS)).toBe('E');
+            expect(gradeFor(null, DEFAULT_GRADE_BANDS)).toBeNull();
+        });
+
+        test('gives the grade point of the band', () => {
+            expect(gradePointFor(85, DEFAULT_GRADE_BANDS)).toBe(9);
+            expect(gradePointFor(85, [{ grade: 'A', minPercent: 0 }])).toBeNull();
+        });
+
+        test('does not depend on the order of the bands', () => {
+            const bands = [{ grade: 'F', minPercent: 0 }, { grade: 'A', minPercent: 80 }, { grade: 'C', minPercent: 40 }];
+            expect(gradeFor(85, bands)).toBe('A');
+            expect(gradeFor(40, bands)).toBe('C');
+        });
+    });
+
+    describe('validateBands', () => {
+        test('sorts bands highest first and trims grades', () => {
+            expect(validateBands([{ grade: ' F ', minPercent: 0 }, { grade: 'A', minPercent: '80' }])).toEqual([
+                { grade: 'A', minPercent: 80 },
+                { grade: 'F', minPercent: 0 }
+            ]);
+        });
+
+        test('needs a band from 0 and unique grades and thresholds', () => {
+            expect(() => validateBands([{ grade: 'A', minPercent: 50 }])).toThrow(/lowest band must start at 0/);
+            expect(() => validateBands([{ grade: 'A', minPercent: 50 }, { grade: 'a', minPercent: 0 }])).toThrow(/Grades must be unique/);
+            expect(() => validateBands([{ grade: 'A', minPercent: 0 }, { grade: 'B', minPercent: 0 }])).toThrow(/same percentage/);
+            expect(() => validateBands([{ grade: 'A', minPercent: 101 }])).toThrow(/bands\[0\]\.minPercent/);
+            expect(() => validateBands([])).toThrow(/non-empty array/);
+        });
+
+        test('needs grade points on every band with maxGradePoint, falling with the marks', () => {
+            const bands = [{ grade: 'A', minPercent: 80, gradePoint: 4 }, { grade: 'F', minPercent: 0, gradePoint: '0' }];
+            expect(validateBands(bands, 4)[1]).toEqual({ grade: 'F', minPercent: 0, gradePoint: 0 });
+            expect(() => validateBands([{ grade: 'A', minPercent: 80, gradePoint: 4 }, { grade: 'F', minPercent: 0 }], 4))
+                .toThrow(/bands\[1\]\.gradePoint must be between 0 and 4/);
+            expect(() => validateBands([{ grade: 'A', minPercent: 80, gradePoint: 5 }, { grade: 'F', minPercent: 0, gradePoint: 0 }], 4))
+                .toThrow(/between 0 and 4/);
+            expect(() => validateBands([{ grade: 'A', minPercent: 80, gradePoint: 1 }, { grade: 'F', minPercent: 0, gradePoint: 2 }], 4))
+                .toThrow(/lower band cannot have more grade points/);
+            expect(() => validateBands(bands)).toThrow(/needs maxGradePoint/);
+        });
+    });
+
+    describe('validateScheme', () => {
+        test('needs maxGradePoint for GPA schemes', () => {
+            expect(() => validateScheme({ name: 'GPA', schemeType: 'gpa', bands: [{ grade: 'F', minPercent: 0 }] }))
+                .toThrow(/GPA scheme needs maxGradePoint/);
+            const scheme = validateScheme({ name: ' State ', schemeType: 'state', bands: [{ grade: 'F', minPercent: 0 }] });
+            expect(scheme).toEqual({ name: 'State', schemeType: 'state', bands: [{ grade: 'F', minPercent: 0 }], maxGradePoint: null, coScholasticGrades: null });
+        });
+
+        test('rejects unknown types and duplicate co-scholastic grades', () => {
+            expect(() => validateScheme({ name: 'IB', schemeType: 'ib', bands: DEFAULT_GRADE_BANDS })).toThrow(/schemeType/);
+            expect(() => validateCoScholasticGrades([{ grade: 'A' }, { grade: 'a' }])).toThrow(/must be unique/);
+            expect(validateCoScholasticGrades(null)).toBeNull();
+        });
+    });
+
+    describe('pickAssignment', () => {
+        const assignments = [
+            { id: 'session', academicSession: '2026-27', classId: null },
+            { id: 'class', academicSession: null, classId: 'c1' },
+            { id: 'both', academicSession: '2026-27', classId: 'c2' }
+        ];
+
+        test('prefers class over session, and both over either', () => {
+            expect(pickAssignment(assignments, { classId: 'c1', academicSession: '2026-27' }).id).toBe('class');
+            expect(pickAssignment(assignments, { classId: 'c2', academicSession: '2026-27' }).id).toBe('both');
+            expect(pickAssignment(assignments, { classId: 'c3', academicSession: '2026-27' }).id).toBe('session');
+            expect(pickAssignment(assignments, { classId: 'c2', academicSession: '2025-26' })).toBeNull();
+        });
+    });
+
+    describe('gpaOf and cgpaOf', () => {
+        test('average grade points, with absences as 0 and medical papers left out', () => {
+            expect(gpaOf([{ status: 'present', gradePoint: 9 }, { status: 'present', gradePoint: 8 }, { status: 'medical', gradePoint: null }])).toBe(8.5);
+            expect(gpaOf([{ status: 'present', gradePoint: 9 }, { status: 'absent', gradePoint: null }])).toBe(4.5);
+            expect(gpaOf([{ status: 'medical' }])).toBeNull();
+            expect(gpaOf([{ status: 'present', gradePoint: null }])).toBeNull();
+        });
+
+        test('CGPA weighs terms equally and skips terms without a GPA', () => {
+            expect(cgpaOf([8, 9, null])).toBe(8.5);
+            expect(cgpaOf([7.33, 8.5, 9])).toBe(8.28);
+            expect(cgpaOf([null])).toBeNull();
+        });
+    });
+});
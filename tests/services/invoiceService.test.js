@@ -0,0 +1,133 @@
+const { splitTax, buildInvoiceLines, buildCreditNoteLines, summarizeInvoice } = require('../../services/invoiceService');
+
+describe('invoiceService', () => {
+    describe('splitTax', () => {
+        test('splits a tax-inclusive amount at the rate', () => {
+            expect(splitTax(118000, 18)).toEqual({ taxableCents: 100000, taxCents: 18000 });
+            expect(splitTax(10000, 5)).toEqual({ taxableCents: 9524, taxCents: 476 });
+            expect(splitTax(10000, '12.50')).toEqual({ taxableCents: 8889, taxCents: 1111 });
+        });
+
+        test('untaxed amounts are all taxable value', () => {
+            expect(splitTax(5000, 0)).toEqual({ taxableCents: 5000, taxCents: 0 });
+            expect(splitTax(5000, null)).toEqual({ taxableCents: 5000, taxCents: 0 });
+        });
+    });
+
+    describe('buildInvoiceLines', () => {
+        const fees = [
+            {
+                id: 'f2', feeHeadId: 'transport', feeType: 'Transport - Term 1', dueDate: '2026-10-15',
+                grossAmount: '1180.00', discountAmount: '0.00', fineAmount: '0.00', amount: '1180.00',
+                feeHead: { taxRate: '18.00', hsnSacCode: '996412' }
+            },
+            {
+                id: 'f1', feeHeadId: 'tuition', feeType: 'Tuition - October', dueDate: '2026-10-05',
+                grossAmount: '5000.00', discountAmount: '500.00', fineAmount: '50.00', amount: '4550.00',
+                feeHead: { taxRate: '0.00', hsnSacCode: null }
+            },
+            { id: 'f3', feeHeadId: null, feeType: 'Library fine', dueDate: '2026-10-20', grossAmount: null, amount: '75.00' }
+        ];
+
+        test('orders lines by due date and splits tax per line', () => {
+            const { lines } = buildInvoiceLines(fees);
+
+            expect(lines.map(l => l.studentFeeId)).toEqual(['f1', 'f2', 'f3']);
+            expect(lines[1]).toEqual({
+                studentFeeId: 'f2',
+                feeHeadId: 'transport',
+                description: 'Transport - Term 1',
+                hsnSacCode: '996412',
+                dueDate: '2026-10-15',
+                grossAmount: '1180.00',
+                discountAmount: '0.00',
+                fineAmount: '0.00',
+                taxRate: '18.00',
+                taxableAmount: '1000.00',
+                taxAmount: '180.00',
+                amount: '1180.00'
+            });
+            expect(lines[2]).toEqual(expect.objectContaining({ grossAmount: '75.00', taxRate: '0.00', taxAmount: '0.00', amount: '75.00' }));
+        });
+
+        test('totals the lines and takes the earliest due date', () => {
+            const { totals } = buildInvoiceLines(fees);
+
+            expect(totals).toEqual({
+                grossAmount: '6255.00',
+                discountAmount: '500.00',
+                fineAmount: '50.00',
+                taxableAmount: '5625.00',
+                taxAmount: '180.00',
+                total: '5805.00',
+                dueDate: '2026-10-05'
+            });
+        });
+    });
+
+    describe('buildCreditNoteLines', () => {
+        const invoiceLines = [
+            { id: 'l1', studentFeeId: 'f1', description: 'Tuition - October', taxRate: '0.00', amount: '4550.00', creditedAmount: '0.00' },
+            { id: 'l2', studentFeeId: 'f2', description: 'Transport - Term 1', taxRate: '18.00', amount: '1180.00', creditedAmount: '180.00' }
+        ];
+        const feesById = new Map([
+            ['f1', { amount: '4550.00', paidAmount: '4000.00' }],
+            ['f2', { amount: '1000.00', paidAmount: '1000.00' }]
+        ]);
+
+        test('credits lines at their tax rate', () => {
+            const { lines, totals } = buildCreditNoteLines('refund', [
+                { invoiceLineId: 'l2', amount: 590 },
+                { invoiceLineId: 'l1', amount: '100' }
+            ], invoiceLines, feesById);
+
+            expect(lines).toEqual([
+                { invoiceLineId: 'l2', studentFeeId: 'f2', description: 'Transport - Term 1', taxRate: '18.00', taxableAmount: '500.00', taxAmount: '90.00', amount: '590.00' },
+                { invoiceLineId: 'l1', studentFeeId: 'f1', description: 'Tuition - October', taxRate: '0.00', taxableAmount: '100.00', taxAmount: '0.00', amount: '100.00' }
+            ]);
+            expect(totals).toEqual({ taxableAmount: '600.00', taxAmount: '90.00', amount: '690.00' });
+        });
+
+        test('a line cannot be credited beyond what is left of it', () => {
+            expect(() => buildCreditNoteLines('refund', [{ invoiceLineId: 'l2', amount: 1000.01 }], invoiceLines, feesById))
+                .toThrow(/Only 1000.00 is left to credit on "Transport - Term 1"/);
+        });
+
+        test('adjustments are limited to the unpaid balance and refunds to what was paid', () => {
+            expect(() => buildCreditNoteLines('adjustment', [{ invoiceLineId: 'l1', amount: 600 }], invoiceLines, feesById))
+                .toThrow(/has 550.00 unpaid/);
+            expect(buildCreditNoteLines('adjustment', [{ invoiceLineId: 'l1', amount: 550 }], invoiceLines, feesById).totals.amount).toBe('550.00');
+            expect(() => buildCreditNoteLines('refund', [{ invoiceLineId: 'l1', amount: 4000.01 }], invoiceLines, feesById))
+                .toThrow(/Only 4000.00 was paid/);
+        });
+
+        test('rejects unknown, repeated and non-positive lines', () => {
+            expect(() => buildCreditNoteLines('refund', [], invoiceLines, feesById)).toThrow(/at least one line/);
+            expect(() => buildCreditNoteLines('refund', [{ invoiceLineId: 'lx', amount: 1 }], invoiceLines, feesById)).toThrow(/not on this invoice/);
+            expect(() => buildCreditNoteLines('refund', [
+                { invoiceLineId: 'l1', amount: 1 },
+                { invoiceLineId: 'l1', amount: 1 }
+            ], invoiceLines, feesById)).toThrow(/listed more than once/);
+            expect(() => buildCreditNoteLines('refund', [{ invoiceLineId: 'l1', amount: 0 }], invoiceLines, feesById)).toThrow(/greater than zero/);
+        });
+    });
+
+    describe('summarizeInvoice', () => {
+        test('reads the payment position from the fees', () => {
+            const summary = summarizeInvoice({
+                status: 'issued',
+                dueDate: '2999-01-01',
+                lines: [
+                    { fee: { amount: '4550.00', paidAmount: '4000.00' } },
+                    { fee: { amount: '1000.00', paidAmount: '1000.00' } }
+                ]
+            });
+
+            expect(summary).toEqual({ amountDue: '5550.00', paidAmount: '5000.00', balance: '550.00', paymentStatus: 'partial' });
+        });
+
+        test('cancelled invoices report as cancelled', () => {
+            expect(summarizeInvoice({ status: 'cancelled', lines: [] }).paymentStatus).toBe('cancelled');
+        });
+    });
+});
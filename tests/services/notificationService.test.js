@@ -0,0 +1,106 @@
+jest.mock('../../services/smsService', () => ({
+    ...jest.requireActual('../../services/smsService'),
+    sendSms: jest.fn()
+}));
+
+const {
+    renderTemplate,
+    validateTemplate,
+    nextAttemptAt,
+    dispatchDue,
+    DEFAULT_TEMPLATES,
+    MAX_SMS_LENGTH
+} = require('../../services/notificationService');
+const { toE164, sendSms } = require('../../services/smsService');
+const NotificationMessage = require('../../models/NotificationMessage');
+
+describe('notificationService', () => {
+    describe('renderTemplate', () => {
+        test('fills in placeholders', () => {
+            expect(renderTemplate('Dear {{parentName}}, {{ studentName }} is {{status}}.', { parentName: 'Asha', studentName: 'Ravi', status: 'absent' }))
+                .toBe('Dear Asha, Ravi is absent.');
+        });
+
+        test('renders missing values empty', () => {
+            expect(renderTemplate('{{studentName}} ({{className}})', { studentName: 'Ravi' })).toBe('Ravi ()');
+        });
+    });
+
+    describe('validateTemplate', () => {
+        test('accepts the defaults', () => {
+            Object.values(DEFAULT_TEMPLATES).forEach(channels => {
+                Object.entries(channels).forEach(([channel, template]) => {
+                    expect(() => validateTemplate(channel, template)).not.toThrow();
+                });
+            });
+        });
+
+        test('rejects unknown placeholders', () => {
+            expect(() => validateTemplate('sms', { body: 'Fee of {{amount}} due for {{studentName}}' })).toThrow(/Unknown placeholders: amount/);
+        });
+
+        test('requires a subject for email and keeps SMS short', () => {
+            expect(() => validateTemplate('email', { subject: ' ', body: 'Hello' })).toThrow(/subject is required/);
+            expect(() => validateTemplate('sms', { body: 'x'.repeat(MAX_SMS_LENGTH + 1) })).toThrow(/at most/);
+        });
+    });
+
+    describe('nextAttemptAt', () => {
+        test('backs off five minutes per attempt', () => {
+            const now = new Date('2026-10-19T10:00:00Z');
+            expect(nextAttemptAt(1, now).toISOString()).toBe('2026-10-19T10:05:00.000Z');
+            expect(nextAttemptAt(2, now).toISOString()).toBe('2026-10-19T10:10:00.000Z');
+        });
+    });
+
+    describe('toE164', () => {
+        test('adds the default country code to local numbers', () => {
+            expect(toE164('098765 43210', '+91')).toBe('+919876543210');
+            expect(toE164('+1 (415) 555-0100', '+91')).toBe('+14155550100');
+            expect(toE164('0044 20 7946 0958', '+91')).toBe('+442079460958');
+        });
+
+        test('rejects numbers that cannot be dialled', () => {
+            expect(toE164('12', '+91')).toBeNull();
+            expect(toE164(null, '+91')).toBeNull();
+        });
+    });
+
+    describe('dispatchDue', () => {
+        const now = new Date('2026-10-19T09:00:00Z');
+        const sms = (id, fields = {}) => ({ id, channel: 'sms', recipient: '+919876543210', body: 'Absent', status: 'queued', attempts: 0, sendAfter: now, ...fields });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+            sendSms.mockReset();
+        });
+
+        test('sends only the messages it claims', async () => {
+            jest.spyOn(NotificationMessage, 'findAll').mockResolvedValue([sms('m1'), sms('m2')]);
+            // m2 was claimed by an overlapping run between the read and the claim
+            const update = jest.spyOn(NotificationMessage, 'update').mockImplementation(async (fields, { where }) =>
+                [fields.status === 'sending' && where.id === 'm2' ? 0 : 1]);
+            sendSms.mockResolvedValue({ providerMessageId: 'p1' });
+
+            expect(await dispatchDue({ now })).toEqual({ sent: 1, retrying: 0, failed: 0 });
+            expect(sendSms).toHaveBeenCalledTimes(1);
+            expect(update).toHaveBeenCalledWith({ status: 'sending' }, { where: { id: 'm1', status: 'queued' } });
+            expect(update).toHaveBeenCalledWith(expect.objectContaining({ status: 'sent', attempts: 1, providerMessageId: 'p1' }),
+                { where: { id: 'm1', status: 'sending' } });
+            expect(update).not.toHaveBeenCalledWith(expect.objectContaining({ status: 'sent' }), { where: { id: 'm2', status: 'sending' } });
+        });
+
+        test('requeues a failed send and reclaims a stale claim', async () => {
+            const stale = new Date('2026-10-19T08:30:00Z');
+            jest.spyOn(NotificationMessage, 'findAll').mockResolvedValue([sms('m1', { status: 'sending', updatedAt: stale })]);
+            const update = jest.spyOn(NotificationMessage, 'update').mockResolvedValue([1]);
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            sendSms.mockRejectedValue(new Error('Throttled'));
+
+            expect(await dispatchDue({ now })).toEqual({ sent: 0, retrying: 1, failed: 0 });
+            expect(update).toHaveBeenCalledWith({ status: 'sending' }, { where: { id: 'm1', status: 'sending', updatedAt: stale } });
+            expect(update).toHaveBeenCalledWith(expect.objectContaining({ status: 'queued', attempts: 1, lastError: 'Throttled' }),
+                { where: { id: 'm1', status: 'sending' } });
+        });
+    });
+});
@@ -0,0 +1,125 @@
+const {
+    validateTestFields,
+    shuffle,
+    drawPaper,
+    attemptDeadline,
+    normalizeAnswer,
+    gradeAnswer,
+    scoreAttempt,
+    paperView
+} = require('../../services/onlineTestService');
+
+const options = [{ key: 'A', text: 'one' }, { key: 'B', text: 'two' }, { key: 'C', text: 'three' }];
+const mcq = { id: 'q1', questionType: 'mcq', options, answer: 'B', marks: '1.00', text: 'Pick two' };
+const multi = { id: 'q2', questionType: 'multi_select', options, answer: ['A', 'C'], marks: '2.00', text: 'Pick odd' };
+const numeric = { id: 'q3', questionType: 'numeric', options: null, answer: { value: 9.8, tolerance: 0.1 }, marks: '3.00', text: 'g?' };
+const short = { id: 'q4', questionType: 'short_answer', options: null, answer: null, marks: '4.00', text: 'Explain' };
+const byId = new Map([mcq, multi, numeric, short].map(q => [q.id, q]));
+const paper = [{ questionId: 'q1', optionOrder: ['C', 'A', 'B'] }, { questionId: 'q2', optionOrder: ['A', 'B', 'C'] }, { questionId: 'q3', optionOrder: null }, { questionId: 'q4', optionOrder: null }];
+
+// Deterministic "random" index: always the first remaining slot
+const first = () => 0;
+
+describe('onlineTestService', () => {
+    describe('validateTestFields', () => {
+        const test_ = {
+            title: ' Motion quiz ', subject: 'Physics', durationMinutes: '20',
+            opensAt: '2026-10-20T09:00:00Z', closesAt: '2026-10-20T17:00:00Z', questionIds: ['a', 'b', 'c']
+        };
+
+        test('normalizes the fields and drops a per-attempt count covering every question', () => {
+            expect(validateTestFields({ ...test_, questionsPerAttempt: 3 })).toEqual(expect.objectContaining({
+                title: 'Motion quiz', durationMinutes: 20, questionsPerAttempt: null, shuffleOptions: true
+            }));
+            expect(validateTestFields({ ...test_, questionsPerAttempt: 2, shuffleOptions: false }))
+                .toEqual(expect.objectContaining({ questionsPerAttempt: 2, shuffleOptions: false }));
+        });
+
+        test('refuses a bad window, duration or question list', () => {
+            expect(() => validateTestFields({ ...test_, closesAt: test_.opensAt })).toThrow('VALIDATION_ERROR: closesAt must be after opensAt');
+            expect(() => validateTestFields({ ...test_, durationMinutes: 601 })).toThrow('VALIDATION_ERROR: durationMinutes');
+            expect(() => validateTestFields({ ...test_, questionIds: ['a', 'a'] })).toThrow('VALIDATION_ERROR: questionIds cannot repeat');
+            expect(() => validateTestFields({ ...test_, questionIds: [] })).toThrow('VALIDATION_ERROR: questionIds');
+            expect(() => validateTestFields({ ...test_, questionsPerAttempt: 4 })).toThrow('VALIDATION_ERROR: questionsPerAttempt');
+        });
+    });
+
+    describe('drawPaper', () => {
+        test('shuffles without losing items', () => {
+            const list = [1, 2, 3, 4, 5];
+            expect(shuffle(list).sort()).toEqual(list);
+            expect(shuffle(list, first)).toEqual([2, 3, 4, 5, 1]);
+        });
+
+        test('draws questionsPerAttempt questions and shuffles option orders', () => {
+            const drawn = drawPaper([mcq, multi, numeric], { questionsPerAttempt: 2, shuffleOptions: true }, first);
+            expect(drawn).toEqual([
+                { questionId: 'q2', optionOrder: ['B', 'C', 'A'] },
+                { questionId: 'q3', optionOrder: null }
+            ]);
+        });
+
+        test('keeps the option order when shuffleOptions is off', () => {
+            const drawn = drawPaper([mcq], { questionsPerAttempt: null, shuffleOptions: false });
+            expect(drawn).toEqual([{ questionId: 'q1', optionOrder: ['A', 'B', 'C'] }]);
+        });
+    });
+
+    test('attemptDeadline ends at the duration or when the test closes', () => {
+        const test_ = { durationMinutes: 30, closesAt: '2026-10-20T10:00:00Z' };
+        expect(attemptDeadline('2026-10-20T09:00:00Z', test_).toISOString()).toBe('2026-10-20T09:30:00.000Z');
+        expect(attemptDeadline('2026-10-20T09:45:00Z', test_).toISOString()).toBe('2026-10-20T10:00:00.000Z');
+    });
+
+    describe('normalizeAnswer', () => {
+        test('checks each answer against its question type', () => {
+            expect(normalizeAnswer(mcq, 'C')).toBe('C');
+            expect(() => normalizeAnswer(mcq, 'D')).toThrow('VALIDATION_ERROR');
+            expect(normalizeAnswer(multi, ['C', 'A'])).toEqual(['A', 'C']);
+            expect(() => normalizeAnswer(multi, 'A')).toThrow('VALIDATION_ERROR');
+            expect(normalizeAnswer(numeric, '9.75')).toBe(9.75);
+            expect(() => normalizeAnswer(numeric, true)).toThrow('VALIDATION_ERROR');
+            expect(normalizeAnswer(short, '  Friction  ')).toBe('Friction');
+            expect(normalizeAnswer(short, null)).toBeNull();
+        });
+    });
+
+    describe('gradeAnswer', () => {
+        test('grades objective answers and leaves short answers to the teacher', () => {
+            expect(gradeAnswer(mcq, 'B')).toBe(1);
+            expect(gradeAnswer(mcq, 'A')).toBe(0);
+            expect(gradeAnswer(multi, ['C', 'A'])).toBe(2);
+            expect(gradeAnswer(multi, ['A'])).toBe(0);
+            expect(gradeAnswer(multi, ['A', 'B', 'C'])).toBe(0);
+            expect(gradeAnswer(numeric, 9.9)).toBe(3);
+            expect(gradeAnswer(numeric, 9.91)).toBe(0);
+            expect(gradeAnswer(numeric, null)).toBe(0);
+            expect(gradeAnswer(short, 'Because')).toBeNull();
+        });
+    });
+
+    describe('scoreAttempt', () => {
+        test('holds the score until short answers are marked', () => {
+            const answers = { q1: 'B', q2: ['A'], q3: 9.8, q4: 'Because' };
+            expect(scoreAttempt(byId, paper, answers)).toEqual(expect.objectContaining({
+                maxScore: 10, autoScore: 4, pendingReview: 1, score: null
+            }));
+            expect(scoreAttempt(byId, paper, answers, { q4: 2.5 })).toEqual(expect.objectContaining({
+                autoScore: 4, pendingReview: 0, score: 6.5
+            }));
+        });
+
+        test('an unanswered short answer scores 0 without review', () => {
+            expect(scoreAttempt(byId, paper, { q1: 'B' })).toEqual(expect.objectContaining({ pendingReview: 0, score: 1 }));
+        });
+    });
+
+    test('paperView orders options as drawn and hides answers', () => {
+        const view = paperView(byId, paper.slice(0, 1));
+        expect(view).toEqual([{
+            number: 1, questionId: 'q1', questionType: 'mcq', text: 'Pick two', marks: 1,
+            options: [options[2], options[0], options[1]]
+        }]);
+        expect(paperView(byId, paper.slice(0, 1), { withAnswers: true })[0].answer).toBe('B');
+    });
+});
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { getAdapter } = require('../../services/paymentGateways');
+
+describe('payment gateway adapters', () => {
+    describe('mock provider', () => {
+        const adapter = getAdapter('mock', { keyId: 'mock_key', keySecret: 'ks', webhookSecret: 'ws' });
+
+        test('simulated checkout produces a verifiable callback and webhook', async () => {
+            const { providerOrderId, checkout } = await adapter.createOrder({ amount: 150000, currency: 'INR', receipt: 'r1' });
+            expect(checkout).toEqual(expect.objectContaining({ orderId: providerOrderId, amount: 150000 }));
+
+            const paid = adapter.simulatePayment(providerOrderId, 150000);
+            expect(adapter.verifyPaymentSignature({ providerOrderId, providerPaymentId: paid.providerPaymentId, signature: paid.signature })).toBe(true);
+            expect(adapter.verifyWebhookSignature(paid.webhook.rawBody, paid.webhook.headers)).toBe(true);
+
+            const event = adapter.parseWebhookEvent(JSON.parse(paid.webhook.rawBody));
+            expect(event).toEqual(expect.objectContaining({ type: 'paid', providerOrderId, providerPaymentId: paid.providerPaymentId, amount: 150000 }));
+
+            const today = new Date().toISOString().slice(0, 10);
+            const settlements = await adapter.fetchSettlements({ from: today, to: today });
+            expect(settlements.map(s => s.providerOrderId)).toContain(providerOrderId);
+        });
+
+        test('tampered callbacks and webhooks are rejected', async () => {
+            const { providerOrderId } = await adapter.createOrder({ amount: 100, currency: 'INR', receipt: 'r2' });
+            const paid = adapter.simulatePayment(providerOrderId, 100);
+
+            expect(adapter.verifyPaymentSignature({ providerOrderId: 'mock_order_other', providerPaymentId: paid.providerPaymentId, signature: paid.signature })).toBe(false);
+            expect(adapter.verifyWebhookSignature(paid.webhook.rawBody.replace('100', '1'), paid.webhook.headers)).toBe(false);
+            expect(adapter.verifyWebhookSignature(paid.webhook.rawBody, {})).toBe(false);
+        });
+    });
+
+    describe('razorpay provider', () => {
+        const adapter = getAdapter('razorpay', { keyId: 'rzp_test_1', keySecret: 'secret', webhookSecret: 'whsecret' });
+
+        test('verifies the checkout signature over "order_id|payment_id"', () => {
+            const signature = crypto.createHmac('sha256', 'secret').update('order_1|pay_1').digest('hex');
+            expect(adapter.verifyPaymentSignature({ providerOrderId: 'order_1', providerPaymentId: 'pay_1', signature })).toBe(true);
+            expect(adapter.verifyPaymentSignature({ providerOrderId: 'order_1', providerPaymentId: 'pay_2', signature })).toBe(false);
+        });
+
+        test('normalizes payment.captured webhooks', () => {
+            const body = { event: 'payment.captured', payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1', amount: 50000 } } } };
+            const rawBody = JSON.stringify(body);
+            const headers = {
+                'x-razorpay-signature': crypto.createHmac('sha256', 'whsecret').update(rawBody).digest('hex'),
+                'x-razorpay-event-id': 'evt_1'
+            };
+
+            expect(adapter.verifyWebhookSignature(rawBody, headers)).toBe(true);
+            expect(adapter.parseWebhookEvent(body, headers)).toEqual({
+                eventId: 'evt_1', type: 'paid', providerOrderId: 'order_1', providerPaymentId: 'pay_1', amount: 50000, reason: null
+            });
+        });
+    });
+
+    test('unknown providers are rejected', () => {
+        expect(() => getAdapter('paypal', {})).toThrow('VALIDATION_ERROR');
+    });
+});
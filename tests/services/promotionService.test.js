@@ -0,0 +1,89 @@
+const { paperPassed, promotionResult, planPromotion, assignRollNumbers, classDataOf } = require('../../services/promotionService');
+
+const bands = [
+    { grade: 'A', minPercent: 75, maxPercent: 100 },
+    { grade: 'B', minPercent: 40, maxPercent: 74.99 },
+    { grade: 'F', minPercent: 0, maxPercent: 39.99 }
+];
+
+const papers = [
+    { id: 'p1', examId: 'mid', subject: 'Maths', maxMarks: 100, passMarks: 35 },
+    { id: 'p2', examId: 'final', subject: 'Maths', maxMarks: 100, passMarks: 35 },
+    { id: 'p3', examId: 'final', subject: 'Science', maxMarks: 100, passMarks: 35 }
+];
+
+const row = (marksObtained, status = 'present') => ({ status, marksObtained, totalMarks: 100 });
+
+describe('promotionService', () => {
+    test('paperPassed compares with the pass marks', () => {
+        expect(paperPassed(papers[0], row(35))).toBe(true);
+        expect(paperPassed(papers[0], row(34.5))).toBe(false);
+        expect(paperPassed(papers[0], row(null, 'absent'))).toBe(false);
+        expect(paperPassed(papers[0], row(null, 'medical'))).toBeNull();
+        expect(paperPassed(papers[0], undefined)).toBeNull();
+    });
+
+    describe('promotionResult', () => {
+        test('failing a mid-term paper does not detain when the finals were passed', () => {
+            const rows = new Map([['p1', row(20)], ['p2', row(60)], ['p3', row(70)]]);
+            const result = promotionResult(papers, rows, bands, new Set(['final']));
+            expect(result).toEqual(expect.objectContaining({ marksObtained: 150, maxMarks: 300, percentage: 50, grade: 'B', pending: 0 }));
+            expect(result.failedSubjects).toEqual([]);
+            expect(result.suggestedAction).toBe('promote');
+        });
+
+        test('a failed final paper suggests detention', () => {
+            const rows = new Map([['p1', row(80)], ['p2', row(null, 'absent')], ['p3', row(70)]]);
+            const result = promotionResult(papers, rows, bands, new Set(['final']));
+            expect(result.failedSubjects).toEqual(['Maths']);
+            expect(result.suggestedAction).toBe('detain');
+        });
+
+        test('every paper decides when there was no final exam', () => {
+            const rows = new Map([['p1', row(20)], ['p2', row(20)]]);
+            const result = promotionResult(papers, rows, bands);
+            expect(result.failedSubjects).toEqual(['Maths']);
+            expect(result.pending).toBe(1);
+        });
+    });
+
+    describe('planPromotion', () => {
+        test('returns one decision per student in roster order', () => {
+            const plan = planPromotion(['s1', 's2'], [
+                { studentId: 's2', action: 'leave', remarks: ' Moving city ' },
+                { studentId: 's1', action: 'promote' }
+            ]);
+            expect(plan).toEqual([
+                { studentId: 's1', action: 'promote', remarks: null },
+                { studentId: 's2', action: 'leave', remarks: 'Moving city' }
+            ]);
+        });
+
+        test('refuses missing, unknown, duplicate and bad decisions', () => {
+            expect(() => planPromotion(['s1'], [])).toThrow('VALIDATION_ERROR: decisions must be a non-empty array');
+            expect(() => planPromotion(['s1', 's2'], [{ studentId: 's1', action: 'promote' }]))
+                .toThrow('VALIDATION_ERROR: 1 student(s) have no decision: s2');
+            expect(() => planPromotion(['s1'], [{ studentId: 's1', action: 'promote' }, { studentId: 's9', action: 'leave' }]))
+                .toThrow('VALIDATION_ERROR: 1 student(s) are not in this class: s9');
+            expect(() => planPromotion(['s1'], [{ studentId: 's1', action: 'promote' }, { studentId: 's1', action: 'detain' }]))
+                .toThrow('VALIDATION_ERROR: Student s1 has more than one decision');
+            expect(() => planPromotion(['s1'], [{ studentId: 's1', action: 'skip' }]))
+                .toThrow('VALIDATION_ERROR: decisions[0].action must be one of: promote, detain, leave');
+        });
+    });
+
+    test('assignRollNumbers numbers by name after the roll numbers taken', () => {
+        const rolls = assignRollNumbers([
+            { id: 's1', firstName: 'Zara', lastName: 'Khan' },
+            { id: 's2', studentName: 'Aarav Shah' },
+            { id: 's3', firstName: 'Meera', lastName: null }
+        ], 12);
+        expect([...rolls]).toEqual([['s2', 13], ['s3', 14], ['s1', 15]]);
+        expect(assignRollNumbers([{ id: 's1', firstName: 'A' }]).get('s1')).toBe(1);
+    });
+
+    test('classDataOf denormalizes the class for Student.classData', () => {
+        expect(classDataOf({ id: 'c1', className: 'Grade 6', section: 'A', academicYearId: 'y2', classTeacherId: null }))
+            .toEqual({ id: 'c1', name: 'Grade 6', section: 'A', academicYearId: 'y2', classTeacherId: null });
+    });
+});
@@ -0,0 +1,51 @@
+const { validateQuestion } = require('../../services/questionBankService');
+
+const base = { subject: ' Physics ', text: 'Pick one', marks: 2 };
+
+describe('questionBankService', () => {
+    describe('validateQuestion', () => {
+        test('keys plain-text options A, B, C and checks the mcq answer against them', () => {
+            const question = validateQuestion({ ...base, questionType: 'mcq', options: ['Joule', ' Newton '], answer: 'B' });
+            expect(question).toEqual({
+                subject: 'Physics',
+                topic: null,
+                questionType: 'mcq',
+                text: 'Pick one',
+                options: [{ key: 'A', text: 'Joule' }, { key: 'B', text: 'Newton' }],
+                answer: 'B',
+                marks: 2,
+                difficulty: 'medium'
+            });
+            expect(() => validateQuestion({ ...base, questionType: 'mcq', options: ['Joule', 'Newton'], answer: 'C' }))
+                .toThrow('VALIDATION_ERROR: answer must be the key of one of the options');
+        });
+
+        test('puts a multi-select answer in option order and refuses repeats', () => {
+            const options = [{ key: 'p', text: 'Iron' }, { key: 'q', text: 'Copper' }, { key: 'r', text: 'Glass' }];
+            expect(validateQuestion({ ...base, questionType: 'multi_select', options, answer: ['q', 'p'] }).answer).toEqual(['p', 'q']);
+            expect(() => validateQuestion({ ...base, questionType: 'multi_select', options, answer: ['p', 'p'] })).toThrow('VALIDATION_ERROR');
+            expect(() => validateQuestion({ ...base, questionType: 'multi_select', options, answer: [] })).toThrow('VALIDATION_ERROR');
+            expect(() => validateQuestion({ ...base, questionType: 'multi_select', options: [{ key: 'a', text: 'x' }, { key: 'a', text: 'y' }], answer: ['a'] }))
+                .toThrow('VALIDATION_ERROR: Option keys must be unique');
+        });
+
+        test('numeric answers have a value and a tolerance; short answers an optional model answer', () => {
+            expect(validateQuestion({ ...base, questionType: 'numeric', answer: { value: '9.8', tolerance: 0.1 } }))
+                .toEqual(expect.objectContaining({ options: null, answer: { value: 9.8, tolerance: 0.1 } }));
+            expect(validateQuestion({ ...base, questionType: 'numeric', answer: { value: 3 } }).answer).toEqual({ value: 3, tolerance: 0 });
+            expect(() => validateQuestion({ ...base, questionType: 'numeric', answer: { value: 'abc' } })).toThrow('VALIDATION_ERROR: answer.value must be a number');
+            expect(() => validateQuestion({ ...base, questionType: 'numeric', answer: { value: 1, tolerance: -1 } })).toThrow('VALIDATION_ERROR');
+
+            expect(validateQuestion({ ...base, questionType: 'short_answer', answer: { modelAnswer: ' Inertia ' } }).answer).toEqual({ modelAnswer: 'Inertia' });
+            expect(validateQuestion({ ...base, questionType: 'short_answer' }).answer).toBeNull();
+        });
+
+        test('checks the type, marks and difficulty', () => {
+            expect(() => validateQuestion({ ...base, questionType: 'essay' })).toThrow('VALIDATION_ERROR: questionType');
+            expect(() => validateQuestion({ ...base, questionType: 'short_answer', marks: 0 })).toThrow('VALIDATION_ERROR: marks');
+            expect(() => validateQuestion({ ...base, questionType: 'short_answer', marks: 1.255 })).toThrow('VALIDATION_ERROR: marks');
+            expect(() => validateQuestion({ ...base, questionType: 'short_answer', difficulty: 'tricky' })).toThrow('VALIDATION_ERROR: difficulty');
+            expect(validateQuestion({ ...base, questionType: 'short_answer', marks: undefined }).marks).toBe(1);
+        });
+    });
+});
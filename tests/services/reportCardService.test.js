@@ -0,0 +1,97 @@
+const {
+    SECTIONS,
+    validateTemplate,
+    combineTerms,
+    coScholasticByArea,
+    attendanceTotals
+} = require('../../services/reportCardService');
+
+const result = (papers, totals) => ({ papers, pending: 0, ...totals });
+
+describe('reportCardService', () => {
+    describe('validateTemplate', () => {
+        test('prints every section by default and trims labels', () => {
+            expect(validateTemplate({ name: ' Primary ', title: 'Progress Report', signatures: [' Class Teacher ', 'Principal'] })).toEqual({
+                name: 'Primary',
+                title: 'Progress Report',
+                sections: SECTIONS,
+                signatures: ['Class Teacher', 'Principal'],
+                footerText: null
+            });
+        });
+
+        test('rejects unknown or repeated sections and too many signatures', () => {
+            const base = { name: 'T', title: 'Report Card' };
+            expect(() => validateTemplate({ ...base, sections: [] })).toThrow(/non-empty array/);
+            expect(() => validateTemplate({ ...base, sections: ['scholastic', 'photos'] })).toThrow(/sections\[1\] must be one of/);
+            expect(() => validateTemplate({ ...base, sections: ['remarks', 'remarks'] })).toThrow(/only be printed once/);
+            expect(() => validateTemplate({ ...base, signatures: ['a', 'b', 'c', 'd', 'e'] })).toThrow(/at most 4/);
+            expect(() => validateTemplate({ ...base, signatures: [''] })).toThrow(/signatures\[0\]/);
+            expect(() => validateTemplate({ name: 'T' })).toThrow(/title must be 1-150/);
+        });
+    });
+
+    describe('combineTerms', () => {
+        test('puts each subject\'s terms side by side with term totals and CGPA', () => {
+            const combined = combineTerms([
+                {
+                    examId: 'e1',
+                    result: result([
+                        { subject: 'Maths', maxMarks: 100, status: 'present', marksObtained: 92, grade: 'A1' },
+                        { subject: 'English', maxMarks: 100, status: 'absent', marksObtained: null, grade: null }
+                    ], { marksObtained: 92, maxMarks: 200, percentage: 46, grade: 'D', gpa: 5 })
+                },
+                {
+                    examId: 'e2',
+                    result: result([
+                        { subject: 'Maths', maxMarks: 100, status: 'present', marksObtained: 81, grade: 'A2' }
+                    ], { marksObtained: 81, maxMarks: 100, percentage: 81, grade: 'A2', gpa: 9 })
+                }
+            ]);
+
+            expect(combined.subjects).toEqual([
+                {
+                    subject: 'Maths',
+                    terms: {
+                        e1: { marksObtained: 92, maxMarks: 100, status: 'present', grade: 'A1' },
+                        e2: { marksObtained: 81, maxMarks: 100, status: 'present', grade: 'A2' }
+                    }
+                },
+                { subject: 'English', terms: { e1: { marksObtained: null, maxMarks: 100, status: 'absent', grade: null } } }
+            ]);
+            expect(combined.totals.map(t => t.gpa)).toEqual([5, 9]);
+            expect(combined.cgpa).toBe(7);
+        });
+
+        test('adds up two papers of a subject in one term and leaves pending ones blank', () => {
+            const combined = combineTerms([{
+                examId: 'e1',
+                result: result([
+                    { subject: 'Science', maxMarks: 80, status: 'present', marksObtained: 60, grade: 'B1' },
+                    { subject: 'Science', maxMarks: 20, status: 'present', marksObtained: 18, grade: 'A1' },
+                    { subject: 'Hindi', maxMarks: 100, status: null }
+                ], { marksObtained: 78, maxMarks: 100, percentage: 78, grade: 'B1', gpa: null })
+            }]);
+
+            expect(combined.subjects[0].terms.e1).toEqual({ marksObtained: 78, maxMarks: 100, status: 'present', grade: null });
+            expect(combined.subjects[1].terms.e1).toEqual({ marksObtained: null, maxMarks: 100, status: null, grade: null });
+            expect(combined.cgpa).toBeNull();
+        });
+    });
+
+    test('coScholasticByArea groups grades by area across terms', () => {
+        expect(coScholasticByArea([
+            { examId: 'e1', area: 'Work Education', grade: 'A' },
+            { examId: 'e1', area: 'Art Education', grade: 'B' },
+            { examId: 'e2', area: 'Art Education', grade: 'A' }
+        ])).toEqual([
+            { area: 'Art Education', terms: { e1: 'B', e2: 'A' } },
+            { area: 'Work Education', terms: { e1: 'A' } }
+        ]);
+    });
+
+    test('attendanceTotals counts late days as present and excused days as absent', () => {
+        expect(attendanceTotals({ present: 170, late: 10, absent: 15, excused: 5 })).toEqual({ workingDays: 200, daysPresent: 180, percentage: 90 });
+        expect(attendanceTotals(undefined)).toEqual({ workingDays: 0, daysPresent: 0, percentage: null });
+    });
+});
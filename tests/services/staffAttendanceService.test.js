@@ -0,0 +1,188 @@
+jest.mock('../../services/attendanceService', () => ({
+    getSettings: jest.fn(async () => ({ timezone: 'UTC' }))
+}));
+
+const {
+    localClock,
+    zonedInstant,
+    locateShift,
+    evaluateDay,
+    daysOfMonth,
+    buildMonthlySheet,
+    lossOfPayAmount,
+    checkOut
+} = require('../../services/staffAttendanceService');
+const { sequelize } = require('../../config/database');
+const Staff = require('../../models/Staff');
+const StaffShift = require('../../models/StaffShift');
+const StaffAttendance = require('../../models/StaffAttendance');
+
+describe('staffAttendanceService', () => {
+    describe('localClock / zonedInstant', () => {
+        test('reads the wall clock of a time zone', () => {
+            expect(localClock(new Date('2026-10-19T03:00:00Z'), 'Asia/Kolkata')).toEqual({ date: '2026-10-19', minutes: 8 * 60 + 30 });
+            expect(localClock(new Date('2026-10-19T20:00:00Z'), 'Asia/Kolkata')).toEqual({ date: '2026-10-20', minutes: 90 });
+        });
+
+        test('finds the instant of a wall-clock time', () => {
+            expect(zonedInstant('2026-10-19', 8 * 60, 'Asia/Kolkata').toISOString()).toBe('2026-10-19T02:30:00.000Z');
+            expect(zonedInstant('2026-10-19', 8 * 60, 'UTC').toISOString()).toBe('2026-10-19T08:00:00.000Z');
+        });
+
+        test('follows daylight saving time', () => {
+            expect(zonedInstant('2026-07-01', 9 * 60, 'Europe/London').toISOString()).toBe('2026-07-01T08:00:00.000Z');
+            expect(zonedInstant('2026-12-01', 9 * 60, 'Europe/London').toISOString()).toBe('2026-12-01T09:00:00.000Z');
+        });
+    });
+
+    describe('locateShift', () => {
+        const morning = { startTime: '08:00:00', endTime: '14:00:00' };
+        const night = { startTime: '20:00:00', endTime: '06:00:00' };
+
+        test('opens check-in two hours before the shift and closes it at the end', () => {
+            expect(locateShift({ date: '2026-10-19', minutes: 6 * 60 }, morning)).toEqual({ attendanceDate: '2026-10-19', minutesFromStart: -120 });
+            expect(locateShift({ date: '2026-10-19', minutes: 8 * 60 + 25 }, morning)).toEqual({ attendanceDate: '2026-10-19', minutesFromStart: 25 });
+            expect(locateShift({ date: '2026-10-19', minutes: 5 * 60 + 59 }, morning)).toBeNull();
+            expect(locateShift({ date: '2026-10-19', minutes: 14 * 60 }, morning)).toBeNull();
+        });
+
+        test('places the early hours of a night shift on the day it started', () => {
+            expect(locateShift({ date: '2026-10-19', minutes: 20 * 60 + 5 }, night)).toEqual({ attendanceDate: '2026-10-19', minutesFromStart: 5 });
+            expect(locateShift({ date: '2026-10-20', minutes: 60 }, night)).toEqual({ attendanceDate: '2026-10-19', minutesFromStart: 5 * 60 });
+            expect(locateShift({ date: '2026-10-20', minutes: 7 * 60 }, night)).toBeNull();
+        });
+
+        test('keeps the window open after the shift for check-out', () => {
+            expect(locateShift({ date: '2026-10-19', minutes: 17 * 60 }, morning, 240)).toEqual({ attendanceDate: '2026-10-19', minutesFromStart: 9 * 60 });
+            expect(locateShift({ date: '2026-10-19', minutes: 18 * 60 }, morning, 240)).toBeNull();
+            expect(locateShift({ date: '2026-10-20', minutes: 9 * 60 }, night, 240)).toEqual({ attendanceDate: '2026-10-19', minutesFromStart: 13 * 60 });
+        });
+    });
+
+    describe('evaluateDay', () => {
+        const shift = { lateGraceMinutes: 10, earlyLeaveGraceMinutes: 10, halfDayMinutes: 240 };
+        const window = { shiftStartAt: '2026-10-19T08:00:00Z', shiftEndAt: '2026-10-19T14:00:00Z' };
+
+        test('flags arrivals after the grace period as late', () => {
+            expect(evaluateDay({ ...window, checkInAt: '2026-10-19T08:10:00Z' }, shift).lateMinutes).toBe(0);
+            expect(evaluateDay({ ...window, checkInAt: '2026-10-19T08:25:00Z' }, shift)).toEqual({
+                lateMinutes: 25, earlyLeaveMinutes: 0, workedMinutes: null, status: 'present'
+            });
+        });
+
+        test('flags early departures and short days', () => {
+            expect(evaluateDay({ ...window, checkInAt: '2026-10-19T07:55:00Z', checkOutAt: '2026-10-19T13:30:00Z' }, shift)).toEqual({
+                lateMinutes: 0, earlyLeaveMinutes: 30, workedMinutes: 335, status: 'present'
+            });
+            expect(evaluateDay({ ...window, checkInAt: '2026-10-19T08:00:00Z', checkOutAt: '2026-10-19T11:00:00Z' }, shift)).toEqual(
+                expect.objectContaining({ workedMinutes: 180, status: 'half_day' })
+            );
+        });
+    });
+
+    describe('buildMonthlySheet', () => {
+        const employee = { employeeType: 'staff', employeeId: 's1', name: 'Asha Rao' };
+
+        test('lists every day of the month', () => {
+            expect(daysOfMonth('2026-02')).toHaveLength(28);
+            expect(daysOfMonth('2028-02')).toHaveLength(29);
+            expect(daysOfMonth('2026-10')[30]).toBe('2026-10-31');
+        });
+
+        test('counts unrecorded past working days as absent and weekly offs as off', () => {
+            const records = [
+                { employeeType: 'staff', employeeId: 's1', attendanceDate: '2026-10-01', status: 'present', lateMinutes: 20, earlyLeaveMinutes: 0 },
+                { employeeType: 'staff', employeeId: 's1', attendanceDate: '2026-10-02', status: 'half_day', lateMinutes: 0, earlyLeaveMinutes: 90 },
+                { employeeType: 'staff', employeeId: 's1', attendanceDate: '2026-10-03', status: 'on_leave' },
+                { employeeType: 'teacher', employeeId: 's1', attendanceDate: '2026-10-05', status: 'present' }
+            ];
+            const sheet = buildMonthlySheet('2026-10', [employee], records, { weeklyOffDays: [7], asOf: '2026-10-06' });
+            const [row] = sheet.rows;
+
+            expect(row.days.slice(0, 7).map(d => d.status)).toEqual(['present', 'half_day', 'on_leave', 'weekly_off', 'absent', 'absent', null]);
+            expect(row.summary).toEqual(expect.objectContaining({
+                workingDays: 5, present: 1, halfDay: 1, absent: 2, onLeave: 1, weeklyOff: 1,
+                late: 1, lateMinutes: 20, earlyLeave: 1, lopDays: 2.5
+            }));
+        });
+
+        test('shows approved leave as on leave and counts unpaid leave as loss of pay', () => {
+            const records = [
+                { employeeType: 'staff', employeeId: 's1', attendanceDate: '2026-10-05', status: 'present' }
+            ];
+            const leaves = [
+                { employeeType: 'staff', employeeId: 's1', fromDate: '2026-10-03', toDate: '2026-10-05', isPaid: true },
+                { employeeType: 'staff', employeeId: 's1', fromDate: '2026-10-08', toDate: '2026-10-08', isPaid: false },
+                { employeeType: 'teacher', employeeId: 's1', fromDate: '2026-10-01', toDate: '2026-10-02', isPaid: true }
+            ];
+            const sheet = buildMonthlySheet('2026-10', [employee], records, { weeklyOffDays: [7], asOf: '2026-10-06', leaves });
+            const [row] = sheet.rows;
+
+            expect(row.days.slice(0, 8).map(d => d.status)).toEqual(['absent', 'absent', 'on_leave', 'weekly_off', 'present', 'absent', null, 'on_leave']);
+            expect(row.summary).toEqual(expect.objectContaining({ onLeave: 2, unpaidLeave: 1, absent: 3, lopDays: 4 }));
+        });
+
+        test('leaves days before joining and after leaving empty', () => {
+            const sheet = buildMonthlySheet('2026-10', [{ ...employee, dateOfJoining: '2026-10-29', dateOfLeaving: '2026-10-30' }], [], { asOf: '2026-10-31' });
+            expect(sheet.rows[0].days.filter(d => d.status).map(d => d.date)).toEqual(['2026-10-29', '2026-10-30']);
+            expect(sheet.rows[0].summary.absent).toBe(2);
+        });
+    });
+
+    describe('lossOfPayAmount', () => {
+        test('deducts pro rata over the calendar days of the month', () => {
+            expect(lossOfPayAmount(31000, 2.5, 31)).toBe('2500.00');
+            expect(lossOfPayAmount('30000.00', 1, 30)).toBe('1000.00');
+            expect(lossOfPayAmount(30000, 0, 30)).toBe('0.00');
+        });
+
+        test('never deducts more than the salary', () => {
+            expect(lossOfPayAmount(30000, 40, 30)).toBe('30000.00');
+        });
+    });
+
+    describe('checkOut', () => {
+        const checkedIn = (fields) => ({
+            shift: 'Morning',
+            shiftStartAt: new Date('2026-10-19T08:00:00Z'),
+            shiftEndAt: new Date('2026-10-19T14:00:00Z'),
+            checkInAt: new Date('2026-10-19T07:55:00Z'),
+            attendanceDate: '2026-10-19',
+            ...fields,
+            update: jest.fn(async function (f) { Object.assign(this, f); return this; })
+        });
+
+        beforeEach(() => {
+            jest.spyOn(Staff, 'findOne').mockResolvedValue({ id: 'staff-1', workShift: 'Morning' });
+            jest.spyOn(StaffShift, 'findAll').mockResolvedValue([]);
+            jest.spyOn(sequelize, 'transaction').mockImplementation(async (fn) => fn({ LOCK: { UPDATE: 'UPDATE' } }));
+            jest.spyOn(console, 'log').mockImplementation(() => {});
+        });
+
+        afterEach(() => jest.restoreAllMocks());
+
+        test('closes the open record of the current shift day', async () => {
+            const record = checkedIn();
+            const findOne = jest.spyOn(StaffAttendance, 'findOne').mockResolvedValue(record);
+
+            await checkOut('t1', 'u1', new Date('2026-10-19T14:30:00Z'));
+
+            expect(findOne.mock.calls[0][0].where).toEqual(expect.objectContaining({ employeeId: 'staff-1', attendanceDate: '2026-10-19', checkOutAt: null }));
+            expect(record.update).toHaveBeenCalledWith(expect.objectContaining({ checkOutAt: new Date('2026-10-19T14:30:00Z'), workedMinutes: 395 }), expect.any(Object));
+        });
+
+        test('refuses outside the shift window instead of closing an older day', async () => {
+            const findOne = jest.spyOn(StaffAttendance, 'findOne').mockResolvedValue(checkedIn());
+
+            await expect(checkOut('t1', 'u1', new Date('2026-10-20T01:00:00Z')))
+                .rejects.toThrow(/^VALIDATION_ERROR: Check-out for the Morning shift \(08:00-14:00\) closes 4 hours after it ends/);
+            expect(findOne).not.toHaveBeenCalled();
+        });
+
+        test('needs a check-in for the current shift day', async () => {
+            jest.spyOn(StaffAttendance, 'findOne').mockResolvedValue(null);
+
+            await expect(checkOut('t1', 'u1', new Date('2026-10-20T09:00:00Z'))).rejects.toThrow('CONFLICT: You have not checked in for 2026-10-20');
+        });
+    });
+});
@@ -0,0 +1,115 @@
+const {
+    accruedDays,
+    carryForwardDays,
+    entitlementFor,
+    workingDays,
+    validateApplication,
+    normalizeChain,
+    canDecide,
+    MAX_APPROVAL_STEPS
+} = require('../../services/staffLeaveService');
+
+describe('staffLeaveService', () => {
+    describe('accruedDays', () => {
+        test('credits a yearly entitlement in full from 1 January', () => {
+            expect(accruedDays('yearly', 10, 2026, '2026-01-01')).toBe(10);
+            expect(accruedDays('yearly', 10, 2027, '2026-12-31')).toBe(0);
+        });
+
+        test('credits a monthly entitlement a twelfth at a time in half days', () => {
+            expect(accruedDays('monthly', 12, 2026, '2026-10-19')).toBe(10);
+            expect(accruedDays('monthly', 10, 2026, '2026-01-15')).toBe(0.5);
+            expect(accruedDays('monthly', 10, 2026, '2026-05-01')).toBe(4);
+        });
+
+        test('gives the whole entitlement of a past year', () => {
+            expect(accruedDays('monthly', 12, 2025, '2026-02-01')).toBe(12);
+        });
+    });
+
+    describe('carryForwardDays', () => {
+        test('carries unused days up to the limit', () => {
+            const previous = { carriedForward: '2.0', entitlement: '10.0', used: '4.5' };
+            expect(carryForwardDays(previous, 10)).toBe(7.5);
+            expect(carryForwardDays(previous, '5.0')).toBe(5);
+            expect(carryForwardDays(previous, 0)).toBe(0);
+        });
+
+        test('carries nothing without a previous balance or unused days', () => {
+            expect(carryForwardDays(null, 10)).toBe(0);
+            expect(carryForwardDays({ carriedForward: 0, entitlement: 10, used: 12 }, 10)).toBe(0);
+        });
+    });
+
+    describe('entitlementFor', () => {
+        const casual = { annualQuota: '12.0', profileField: 'casualLeaves' };
+
+        test("uses the employee's own value when it is set", () => {
+            expect(entitlementFor(casual, { casualLeaves: 15 })).toBe(15);
+        });
+
+        test("falls back to the type's quota", () => {
+            expect(entitlementFor(casual, { casualLeaves: 0 })).toBe(12);
+            expect(entitlementFor(casual, null)).toBe(12);
+            expect(entitlementFor({ annualQuota: 5, profileField: null }, { casualLeaves: 15 })).toBe(5);
+        });
+    });
+
+    describe('workingDays', () => {
+        test('leaves out weekly offs', () => {
+            // 2026-10-03 is a Saturday
+            expect(workingDays('2026-10-03', '2026-10-05', [7])).toBe(2);
+            expect(workingDays('2026-10-03', '2026-10-05', [6, 7])).toBe(1);
+            expect(workingDays('2026-10-04', '2026-10-04', [7])).toBe(0);
+        });
+    });
+
+    describe('validateApplication', () => {
+        const application = { fromDate: '2026-10-20', toDate: '2026-10-22', reason: 'Family function' };
+
+        test('accepts a complete application', () => {
+            expect(() => validateApplication(application)).not.toThrow();
+        });
+
+        test('requires the leave to end on or after its start', () => {
+            expect(() => validateApplication({ ...application, toDate: '2026-10-19' })).toThrow(/toDate cannot be before fromDate/);
+        });
+
+        test('keeps a leave within one leave year', () => {
+            expect(() => validateApplication({ ...application, fromDate: '2026-12-30', toDate: '2027-01-02' })).toThrow(/cannot span two leave years/);
+        });
+
+        test('requires a reason', () => {
+            expect(() => validateApplication({ ...application, reason: ' ' })).toThrow(/reason is required/);
+        });
+    });
+
+    describe('normalizeChain', () => {
+        test('upper-cases role codes', () => {
+            expect(normalizeChain(['hod', ' PRINCIPAL '])).toEqual(['HOD', 'PRINCIPAL']);
+        });
+
+        test('rejects empty, repeated and overlong chains', () => {
+            expect(() => normalizeChain([])).toThrow(/at least one role/);
+            expect(() => normalizeChain(['HOD', 'hod'])).toThrow(/only once/);
+            expect(() => normalizeChain(Array.from({ length: MAX_APPROVAL_STEPS + 1 }, (_, i) => `R${i}`))).toThrow(/at most/);
+        });
+    });
+
+    describe('canDecide', () => {
+        const leave = { userId: 'u1', currentRoleCode: 'HOD' };
+
+        test('lets holders of the current role decide', () => {
+            expect(canDecide(leave, { userId: 'u2', roles: ['TEACHER', 'hod'] })).toBe(true);
+            expect(canDecide(leave, { userId: 'u2', roles: ['PRINCIPAL'] })).toBe(false);
+        });
+
+        test('lets admins decide any step', () => {
+            expect(canDecide(leave, { userId: 'u2', roles: ['SCHOOL_ADMIN'], isAdmin: true })).toBe(true);
+        });
+
+        test('never lets employees decide their own leave', () => {
+            expect(canDecide(leave, { userId: 'u1', roles: ['HOD'], isAdmin: true })).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,50 @@
+const { leaveDays, validateApplication, canReview, MAX_LEAVE_DAYS } = require('../../services/studentLeaveService');
+
+describe('studentLeaveService', () => {
+    describe('leaveDays', () => {
+        test('counts both ends of the leave', () => {
+            expect(leaveDays('2026-10-20', '2026-10-20')).toBe(1);
+            expect(leaveDays('2026-10-30', '2026-11-02')).toBe(4);
+        });
+    });
+
+    describe('validateApplication', () => {
+        const application = { fromDate: '2026-10-20', toDate: '2026-10-22', reason: 'Fever' };
+
+        test('accepts a complete application', () => {
+            expect(() => validateApplication(application)).not.toThrow();
+        });
+
+        test('requires the leave to end on or after its start', () => {
+            expect(() => validateApplication({ ...application, toDate: '2026-10-19' })).toThrow(/toDate cannot be before fromDate/);
+        });
+
+        test('limits the length of one application', () => {
+            expect(() => validateApplication({ ...application, toDate: '2026-12-18' })).not.toThrow();
+            expect(() => validateApplication({ ...application, toDate: '2026-12-19' })).toThrow(new RegExp(`at most ${MAX_LEAVE_DAYS} days`));
+        });
+
+        test('requires a reason', () => {
+            expect(() => validateApplication({ ...application, reason: '   ' })).toThrow(/reason is required/);
+        });
+    });
+
+    describe('canReview', () => {
+        const cls = { id: 'c1', classTeacherId: 't1' };
+
+        test('lets the class teacher review, not other teachers of the class', () => {
+            expect(canReview(cls, { classIds: ['c1'], teacherId: 't1' })).toBe(true);
+            expect(canReview(cls, { classIds: ['c1'], teacherId: 't2' })).toBe(false);
+        });
+
+        test('falls back to teachers assigned to a class without a class teacher', () => {
+            const open = { id: 'c1', classTeacherId: null };
+            expect(canReview(open, { classIds: ['c1'], teacherId: 't2' })).toBe(true);
+            expect(canReview(open, { classIds: ['c2'], teacherId: 't2' })).toBe(false);
+        });
+
+        test('does not restrict callers outside the teacher role', () => {
+            expect(canReview(cls, { classIds: null, teacherId: null })).toBe(true);
+        });
+    });
+});
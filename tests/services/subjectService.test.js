@@ -0,0 +1,82 @@
+const { validateSubjectFields, codeFor, matchSubject, validateClassSubjects, teachesSubject, loadTaughtSubjects } = require('../../services/subjectService');
+const { Op } = require('sequelize');
+const ClassSubject = require('../../models/ClassSubject');
+const TimetableSlot = require('../../models/TimetableSlot');
+
+const subjects = [
+    { id: 's1', name: 'Mathematics', code: 'MATH' },
+    { id: 's2', name: 'Physics Lab', code: 'PHY-LAB' }
+];
+
+describe('subjectService', () => {
+    describe('validateSubjectFields', () => {
+        test('trims the name, upper-cases the code and fills in the defaults', () => {
+            expect(validateSubjectFields({ name: ' Mathematics ', code: ' math ' }))
+                .toEqual({ name: 'Mathematics', code: 'MATH', type: 'theory', category: 'core', status: 'active' });
+            expect(validateSubjectFields({ name: 'Physics Lab', code: 'phy-lab', type: 'practical', category: 'elective' }))
+                .toEqual(expect.objectContaining({ code: 'PHY-LAB', type: 'practical', category: 'elective' }));
+        });
+
+        test('refuses bad names, codes and kinds', () => {
+            expect(() => validateSubjectFields({ name: ' ', code: 'MATH' })).toThrow('VALIDATION_ERROR: name must be 1-100 characters');
+            expect(() => validateSubjectFields({ name: 'Maths', code: 'MA TH' })).toThrow('VALIDATION_ERROR: code must be 1-20 letters, digits or dashes');
+            expect(() => validateSubjectFields({ name: 'Maths', code: 'X'.repeat(21) })).toThrow(/code/);
+            expect(() => validateSubjectFields({ name: 'Maths', code: 'MATH', type: 'lab' })).toThrow('VALIDATION_ERROR: type must be one of: theory, practical');
+            expect(() => validateSubjectFields({ name: 'Maths', code: 'MATH', category: 'optional' })).toThrow('VALIDATION_ERROR: category must be one of: core, elective');
+        });
+    });
+
+    test('codeFor derives a free code from the name', () => {
+        expect(codeFor('Mathematics')).toBe('MATHEMAT');
+        expect(codeFor('Hindi (2nd language)')).toBe('HINDI2ND');
+        expect(codeFor('Mathematics', new Set(['MATHEMAT', 'MATHEMAT2']))).toBe('MATHEMAT3');
+        expect(codeFor('—')).toBe('SUBJECT');
+    });
+
+    test('matchSubject finds a subject by ID, name or code in any case', () => {
+        expect(matchSubject(subjects, { subjectId: 's2' })).toBe(subjects[1]);
+        expect(matchSubject(subjects, { subject: ' mathematics ' })).toBe(subjects[0]);
+        expect(matchSubject(subjects, { subject: 'phy-lab' })).toBe(subjects[1]);
+        expect(matchSubject(subjects, { subjectId: 's9', subject: 'Mathematics' })).toBeUndefined();
+        expect(matchSubject(subjects, { subject: 'Chemistry' })).toBeUndefined();
+        expect(matchSubject(subjects, {})).toBeUndefined();
+    });
+
+    test('validateClassSubjects takes each subject once', () => {
+        expect(validateClassSubjects([{ subjectId: 's1', teacherId: 't1' }, { subjectId: 's2' }]))
+            .toEqual([{ subjectId: 's1', teacherId: 't1' }, { subjectId: 's2', teacherId: null }]);
+        expect(validateClassSubjects([])).toEqual([]);
+        expect(() => validateClassSubjects([{ subjectId: 's1' }, { subjectId: 's1' }])).toThrow('VALIDATION_ERROR: Subject s1 is listed more than once');
+        expect(() => validateClassSubjects([{ teacherId: 't1' }])).toThrow('VALIDATION_ERROR: subjects[0].subjectId is required');
+        expect(() => validateClassSubjects('s1')).toThrow('VALIDATION_ERROR: subjects must be an array');
+    });
+
+    describe('timetable fallback', () => {
+        // class-a has subjects mapped, Physics to another teacher; class-b has none yet.
+        // Teacher t1 takes Physics periods in both
+        const mappedClasses = new Set(['class-a']);
+        const slots = [{ classId: 'class-a', subject: 'Physics' }, { classId: 'class-b', subject: 'Physics' }];
+
+        beforeEach(() => {
+            jest.spyOn(ClassSubject, 'count').mockImplementation(async ({ where }) =>
+                (where.teacherId ? 0 : Number(mappedClasses.has(where.classId))));
+            jest.spyOn(ClassSubject, 'findAll').mockImplementation(async ({ where }) =>
+                (where.teacherId ? [] : where.classId[Op.in].filter(id => mappedClasses.has(id)).map(classId => ({ classId }))));
+            jest.spyOn(TimetableSlot, 'count').mockImplementation(async ({ where }) =>
+                slots.filter(s => s.classId === where.classId && s.subject === where.subject).length);
+            jest.spyOn(TimetableSlot, 'findAll').mockResolvedValue(slots);
+        });
+
+        afterEach(() => jest.restoreAllMocks());
+
+        test('teachesSubject counts periods only in classes without subjects', async () => {
+            expect(await teachesSubject('t1', { classId: 'class-a', subject: 'Physics', teacherId: 't1' })).toBe(false);
+            expect(await teachesSubject('t1', { classId: 'class-b', subject: 'Physics', teacherId: 't1' })).toBe(true);
+            expect(await teachesSubject('t1', { classId: 'class-b', subject: 'Physics', teacherId: null })).toBe(false);
+        });
+
+        test('loadTaughtSubjects leaves out periods in classes with subjects', async () => {
+            expect(await loadTaughtSubjects('t1', 't1')).toEqual([{ classId: 'class-b', subject: 'Physics' }]);
+        });
+    });
+});
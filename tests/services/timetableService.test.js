@@ -0,0 +1,37 @@
+const { isoWeekday, validateSlotFields } = require('../../services/timetableService');
+
+describe('timetableService', () => {
+    describe('isoWeekday', () => {
+        test('numbers weekdays from Monday (1) to Sunday (7)', () => {
+            expect(isoWeekday('2026-10-19')).toBe(1);
+            expect(isoWeekday('2026-10-24')).toBe(6);
+            expect(isoWeekday('2026-10-25')).toBe(7);
+        });
+    });
+
+    describe('validateSlotFields', () => {
+        const slot = { dayOfWeek: 1, periodNo: 1, subject: 'Mathematics', startTime: '09:00', endTime: '09:45' };
+
+        test('accepts a complete slot', () => {
+            expect(() => validateSlotFields(slot)).not.toThrow();
+            expect(() => validateSlotFields({ ...slot, startTime: null, endTime: null })).not.toThrow();
+        });
+
+        test('rejects out-of-range weekdays and periods', () => {
+            expect(() => validateSlotFields({ ...slot, dayOfWeek: 0 })).toThrow(/dayOfWeek/);
+            expect(() => validateSlotFields({ ...slot, dayOfWeek: 8 })).toThrow(/dayOfWeek/);
+            expect(() => validateSlotFields({ ...slot, periodNo: 0 })).toThrow(/periodNo/);
+            expect(() => validateSlotFields({ ...slot, periodNo: 21 })).toThrow(/periodNo/);
+        });
+
+        test('requires a subject', () => {
+            expect(() => validateSlotFields({ ...slot, subject: '  ' })).toThrow(/subject is required/);
+            expect(() => validateSlotFields({ ...slot, subject: undefined, subjectId: '11111111-1111-4111-8111-111111111111' })).not.toThrow();
+        });
+
+        test('requires the period to end after it starts', () => {
+            expect(() => validateSlotFields({ ...slot, endTime: '09:00' })).toThrow(/endTime must be after startTime/);
+            expect(() => validateSlotFields({ ...slot, startTime: '9am' })).toThrow(/startTime must be a time/);
+        });
+    });
+});
@@ -0,0 +1,21 @@
+const { encryptSecret, decryptSecret, maskSecret } = require('../../utils/credentialCipher');
+
+describe('credentialCipher', () => {
+    test('round-trips a secret without storing it in clear text', () => {
+        const stored = encryptSecret('rzp_live_secret_value');
+        expect(stored).not.toContain('rzp_live_secret_value');
+        expect(decryptSecret(stored)).toBe('rzp_live_secret_value');
+    });
+
+    test('rejects tampered cipher text', () => {
+        const [version, iv, tag, data] = encryptSecret('value').split(':');
+        const tampered = [version, iv, tag, Buffer.from('other').toString('base64')].join(':');
+        expect(() => decryptSecret(tampered)).toThrow();
+    });
+
+    test('empty values stay empty and masks keep the last four characters', () => {
+        expect(encryptSecret('')).toBeNull();
+        expect(decryptSecret(null)).toBeNull();
+        expect(maskSecret('rzp_test_abcd1234')).toMatch(/\*+1234$/);
+    });
+});
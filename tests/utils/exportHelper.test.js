@@ -0,0 +1,27 @@
+const { toCsv, toPdf } = require('../../utils/exportHelper');
+
+const report = {
+    title: 'Test Report',
+    columns: [{ key: 'name', label: 'Name' }, { key: 'amount', label: 'Amount', align: 'right' }],
+    rows: [{ name: 'Asha, Rao', amount: '100.00' }, { name: 'Say "hi"', amount: '-5.00' }],
+    totals: { name: 'Total', amount: '95.00' }
+};
+
+describe('exportHelper', () => {
+    test('CSV has a header, quoted cells and the totals row last', () => {
+        expect(toCsv(report)).toBe('Name,Amount\r\n"Asha, Rao",100.00\r\n"Say ""hi""",-5.00\r\nTotal,95.00\r\n');
+    });
+
+    test('CSV neutralises spreadsheet formulas but keeps negative numbers', () => {
+        const csv = toCsv({ columns: [{ key: 'v', label: 'V' }], rows: [{ v: '=HYPERLINK("x")' }, { v: '-12.50' }, { v: '@SUM(A1)' }] });
+        expect(csv.split('\r\n').slice(1, 4)).toEqual(['"\'=HYPERLINK(""x"")"', '-12.50', "'@SUM(A1)"]);
+    });
+
+    test('PDF renders across pages', async () => {
+        const rows = Array.from({ length: 120 }, (_, i) => ({ name: `Student ${i}`, amount: '10.00' }));
+        const pdf = await toPdf({ ...report, rows });
+
+        expect(pdf.slice(0, 5).toString()).toBe('%PDF-');
+        expect((pdf.toString('latin1').match(/\/Type \/Page\b/g) || []).length).toBeGreaterThan(1);
+    });
+});
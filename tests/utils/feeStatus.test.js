@@ -0,0 +1,26 @@
+const { deriveFeeStatus, toCents, fromCents } = require('../../utils/feeStatus');
+
+describe('feeStatus', () => {
+    const today = '2026-10-19';
+
+    test('fee with nothing outstanding is paid, even past its due date', () => {
+        expect(deriveFeeStatus({ amount: '1500.00', paidAmount: '1500.00', dueDate: '2026-04-10' }, today)).toBe('paid');
+    });
+
+    test('unpaid balance past the due date is overdue', () => {
+        expect(deriveFeeStatus({ amount: '1500.00', paidAmount: '500.00', dueDate: '2026-10-18' }, today)).toBe('overdue');
+    });
+
+    test('partly paid fee that is not yet due is partial', () => {
+        expect(deriveFeeStatus({ amount: '1500.00', paidAmount: '500.00', dueDate: '2026-10-19' }, today)).toBe('partial');
+    });
+
+    test('unpaid fee without a due date is pending', () => {
+        expect(deriveFeeStatus({ amount: '1500.00', paidAmount: 0, dueDate: null }, today)).toBe('pending');
+    });
+
+    test('cent conversion avoids floating point drift', () => {
+        expect(toCents('0.1') + toCents('0.2')).toBe(30);
+        expect(fromCents(toCents('1499.99') + toCents('0.01'))).toBe('1500.00');
+    });
+});
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+/**
+ * Symmetric encryption for tenant secrets stored in the database (payment gateway keys, ...).
+ * AES-256-GCM with a key derived from CREDENTIALS_ENCRYPTION_KEY (falls back to JWT_SECRET).
+ * Stored format: v1:<iv>:<authTag>:<ciphertext>, all base64.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+const getKey = () => {
+    const secret = process.env.CREDENTIALS_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('CREDENTIALS_ENCRYPTION_KEY (or JWT_SECRET) must be set to store credentials');
+    }
+    return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} plainText - Secret to encrypt
+ * @returns {string|null} Encoded cipher text (null for empty input)
+ */
+function encryptSecret(plainText) {
+    if (plainText === null || plainText === undefined || plainText === '') return null;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(String(plainText), 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+
+    return [VERSION, iv.toString('base64'), tag.toString('base64'), encrypted.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ * @param {string} encoded - Stored cipher text
+ * @returns {string|null} Plain text secret
+ */
+function decryptSecret(encoded) {
+    if (!encoded) return null;
+
+    const [version, iv, tag, data] = String(encoded).split(':');
+    if (version !== VERSION || !iv || !tag || !data) {
+        throw new Error('Unrecognized encrypted secret format');
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Mask a secret for display, keeping the last 4 characters
+ * @param {string} value - Plain text secret
+ * @returns {string|null} Masked value
+ */
+function maskSecret(value) {
+    if (!value) return null;
+    const str = String(value);
+    return str.length <= 4 ? '****' : `${'*'.repeat(Math.min(str.length - 4, 12))}${str.slice(-4)}`;
+}
+
+module.exports = {
+    encryptSecret,
+    decryptSecret,
+    maskSecret
+};
@@ -14,11 +14,28 @@ const mapSequelizeValidation = (err) => {
     return { status: 400, body: { success: false, error: 'Validation error', code: 'VALIDATION_ERROR', details: messages } };
 };
 
+// Repositories and services throw `new Error('CODE: message')`; only these prefixes are mapped
+const PREFIXED_ERROR_STATUS = {
+    VALIDATION_ERROR: 400,
+    INSUFFICIENT_PERMISSIONS: 403,
+    NOT_FOUND: 404,
+    CONFLICT: 409
+};
+
+const mapPrefixedError = (err) => {
+    const match = /^([A-Z_]+):\s*(.*)$/.exec(err.message || '');
+    if (!match || !PREFIXED_ERROR_STATUS[match[1]]) return null;
+    return { status: PREFIXED_ERROR_STATUS[match[1]], body: { success: false, error: match[2], code: match[1] } };
+};
+
 function mapError(err) {
     if (!err) return { status: 500, body: { success: false, error: 'Unknown error', code: 'SERVER_ERROR' } };
     if (err.name === 'SequelizeUniqueConstraintError') return mapSequelizeUnique(err);
     if (err.name === 'SequelizeValidationError') return mapSequelizeValidation(err);
 
+    const prefixed = mapPrefixedError(err);
+    if (prefixed) return prefixed;
+
     // Allow an Error-like object with status/body (for manual mapping)
     if (err.status && err.body) return { status: err.status, body: err.body };
 
@@ -0,0 +1,130 @@
+/**
+ * CSV / PDF rendering of tabular reports.
+ *
+ * A report is { title, subtitle, columns: [{ key, label, align, width }], rows, totals }.
+ * `totals` is an optional row (same keys as the columns) printed last.
+ */
+const PDFDocument = require('pdfkit');
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (FORMULA_PREFIX.test(text) && !NUMERIC.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a report as CSV (RFC 4180, CRLF line endings)
+ *
+ * @param {Object} report - { columns, rows, totals }
+ * @returns {String} CSV text
+ */
+function toCsv(report) {
+    const lines = [report.columns.map(c => csvCell(c.label)).join(',')];
+    const rows = report.totals ? [...report.rows, report.totals] : report.rows;
+    rows.forEach(row => {
+        lines.push(report.columns.map(c => csvCell(row[c.key])).join(','));
+    });
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Render a report as a landscape A4 PDF table, repeating the header row on every page
+ *
+ * @param {Object} report - { title, subtitle, columns, rows, totals }
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function toPdf(report) {
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36, bufferPages: true });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const left = doc.page.margins.left;
+        const usable = doc.page.width - left - doc.page.margins.right;
+        const bottom = doc.page.height - doc.page.margins.bottom;
+
+        // Relative column widths (default 1) scaled to the page
+        const weights = report.columns.map(c => c.width || 1);
+        const weightSum = weights.reduce((a, b) => a + b, 0);
+        const widths = weights.map(w => (w / weightSum) * usable);
+
+        doc.font('Helvetica-Bold').fontSize(14).text(report.title || 'Report', left, doc.y);
+        if (report.subtitle) doc.font('Helvetica').fontSize(9).fillColor('#555555').text(report.subtitle);
+        doc.fillColor('#000000').moveDown(0.5);
+
+        const drawRow = (row, { bold = false, shade = false } = {}) => {
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+            const cells = report.columns.map(c => (row[c.key] === null || row[c.key] === undefined ? '' : String(row[c.key])));
+            const height = Math.max(14, ...cells.map((text, i) => doc.heightOfString(text, { width: widths[i] - 6 }) + 6));
+
+            if (doc.y + height > bottom) {
+                doc.addPage();
+                if (row !== header) drawRow(header, { bold: true, shade: true });
+            }
+
+            const y = doc.y;
+            if (shade) doc.rect(left, y, usable, height).fill('#eeeeee').fillColor('#000000');
+
+            let x = left;
+            cells.forEach((text, i) => {
+                doc.text(text, x + 3, y + 3, { width: widths[i] - 6, align: report.columns[i].align || 'left' });
+                x += widths[i];
+            });
+            doc.moveTo(left, y + height).lineTo(left + usable, y + height).lineWidth(0.5).strokeColor('#cccccc').stroke();
+            doc.x = left;
+            doc.y = y + height;
+        };
+
+        const header = {};
+        report.columns.forEach(c => { header[c.key] = c.label; });
+
+        drawRow(header, { bold: true, shade: true });
+        report.rows.forEach(row => drawRow(row));
+        if (report.totals) drawRow(report.totals, { bold: true });
+        if (report.rows.length === 0) {
+            doc.moveDown().font('Helvetica-Oblique').fontSize(9).text('No records', left);
+        }
+
+        // Page numbers
+        const range = doc.bufferedPageRange();
+        for (let i = range.start; i < range.start + range.count; i++) {
+            doc.switchToPage(i);
+            // Writing inside the bottom margin would otherwise start a new page
+            doc.page.margins.bottom = 0;
+            doc.font('Helvetica').fontSize(8).fillColor('#555555')
+                .text(`Page ${i + 1} of ${range.count}`, left, bottom + 12, { width: usable, align: 'right', lineBreak: false });
+        }
+
+        doc.end();
+    });
+}
+
+/**
+ * Send a report in the requested format as a download
+ *
+ * @param {Object} res - Express response
+ * @param {Object} report - { title, subtitle, columns, rows, totals }
+ * @param {String} format - 'csv' or 'pdf'
+ * @param {String} filename - Base file name without extension
+ */
+async function sendReport(res, report, format, filename) {
+    if (format === 'pdf') {
+        const pdf = await toPdf(report);
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.pdf"`);
+        return res.send(pdf);
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    return res.send(toCsv(report));
+}
+
+module.exports = { toCsv, toPdf, sendReport };
@@ -0,0 +1,30 @@
+/**
+ * Fee balance helpers shared by the fee repository and the payment ledger.
+ * Amounts come back from DECIMAL columns as strings, so all math is done in integer cents.
+ */
+
+const toCents = (value) => Math.round(Number(value || 0) * 100);
+
+const fromCents = (cents) => (cents / 100).toFixed(2);
+
+/**
+ * Derive a fee's status from what has been paid against it
+ *
+ * paid    - nothing outstanding
+ * overdue - balance outstanding and the due date has passed
+ * partial - something paid, not yet due
+ * pending - nothing paid, not yet due
+ *
+ * @param {Object} fee - { amount, paidAmount, dueDate }
+ * @param {String} today - YYYY-MM-DD (defaults to the current date)
+ * @returns {String} Fee status
+ */
+const deriveFeeStatus = (fee, today = new Date().toISOString().slice(0, 10)) => {
+    const outstanding = toCents(fee.amount) - toCents(fee.paidAmount);
+    if (outstanding <= 0) return 'paid';
+    if (fee.dueDate && String(fee.dueDate).slice(0, 10) < today) return 'overdue';
+    if (toCents(fee.paidAmount) > 0) return 'partial';
+    return 'pending';
+};
+
+module.exports = { toCents, fromCents, deriveFeeStatus };
@@ -0,0 +1,200 @@
+/**
+ * PDF rendering of fee invoices and credit notes on the school's letterhead.
+ *
+ * The letterhead comes from the school profile ({ displayName, tagline, address, phone, email,
+ * website, taxLabel, taxRegistrationNo, invoiceTerms }); documents are portrait A4.
+ */
+const { GREY, renderToBuffer, drawLetterhead, drawTable, drawPageNumbers } = require('./pdfLayout');
+
+const money = (value) => Number(value || 0).toFixed(2);
+const dateText = (value) => (value ? String(value instanceof Date ? value.toISOString() : value).slice(0, 10) : '');
+
+/**
+ * Bill-to block on the left, document details (number, dates) on the right
+ */
+function drawParties(doc, billTo, details) {
+    const left = doc.page.margins.left;
+    const usable = doc.page.width - left - doc.page.margins.right;
+    const half = usable / 2;
+    const top = doc.y;
+
+    const billLines = [
+        billTo.studentName,
+        billTo.admissionNo ? `Admission No: ${billTo.admissionNo}` : null,
+        billTo.className ? `Class: ${[billTo.className, billTo.section].filter(Boolean).join(' - ')}` : null,
+        billTo.parentName ? `Parent: ${billTo.parentName}` : null,
+        billTo.phone,
+        billTo.email,
+        billTo.address
+    ].filter(Boolean);
+
+    doc.font('Helvetica-Bold').fontSize(9).text('Bill To', left, top, { width: half - 10 });
+    doc.font('Helvetica').text(billLines.join('\n'), { width: half - 10 });
+    const leftBottom = doc.y;
+
+    doc.y = top;
+    details.forEach(([label, value]) => {
+        const y = doc.y;
+        doc.font('Helvetica-Bold').text(label, left + half, y, { width: half / 2 });
+        doc.font('Helvetica').text(value || '', left + half + half / 2, y, { width: half / 2, align: 'right' });
+    });
+
+    doc.x = left;
+    doc.y = Math.max(leftBottom, doc.y) + 10;
+}
+
+/**
+ * Right-aligned label / amount pairs under the table
+ */
+function drawSummary(doc, pairs) {
+    const left = doc.page.margins.left;
+    const usable = doc.page.width - left - doc.page.margins.right;
+
+    pairs.forEach(([label, value, bold]) => {
+        const y = doc.y;
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+        doc.text(label, left + usable * 0.5, y, { width: usable * 0.3, align: 'right' });
+        doc.text(value, left + usable * 0.8, y, { width: usable * 0.2, align: 'right' });
+    });
+    doc.x = left;
+    doc.moveDown(0.5);
+}
+
+/**
+ * Notes, terms and page numbers
+ */
+function drawFooter(doc, profile, notes) {
+    const left = doc.page.margins.left;
+    const usable = doc.page.width - left - doc.page.margins.right;
+
+    if (notes) {
+        doc.font('Helvetica-Bold').fontSize(8).fillColor('#000000').text('Notes', left, doc.y, { width: usable });
+        doc.font('Helvetica').text(notes, { width: usable });
+        doc.moveDown(0.5);
+    }
+    if (profile.invoiceTerms) {
+        doc.font('Helvetica-Bold').fontSize(8).fillColor('#000000').text('Terms', left, doc.y, { width: usable });
+        doc.font('Helvetica').fillColor(GREY).text(profile.invoiceTerms, { width: usable });
+    }
+    doc.moveDown();
+    doc.font('Helvetica-Oblique').fontSize(7).fillColor(GREY).text('This is a computer-generated document and does not need a signature.', left, doc.y, { width: usable, align: 'center' });
+
+    drawPageNumbers(doc);
+}
+
+const hasTax = (lines) => lines.some(l => Number(l.taxRate) > 0);
+
+/**
+ * Render an invoice
+ *
+ * @param {Object} invoice - Invoice (plain) with lines, plus amountDue / paidAmount / balance
+ * @param {Object} profile - School profile
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function renderInvoicePdf(invoice, profile) {
+    return renderToBuffer((doc) => {
+        const lines = invoice.lines || [];
+        const taxed = hasTax(lines);
+
+        drawLetterhead(doc, profile, invoice.status === 'cancelled' ? 'FEE INVOICE (CANCELLED)' : 'FEE INVOICE');
+        drawParties(doc, invoice.billTo || {}, [
+            ['Invoice No', invoice.invoiceNo],
+            ['Invoice Date', dateText(invoice.issueDate)],
+            ['Billing Period', `${dateText(invoice.periodStart)} to ${dateText(invoice.periodEnd)}`],
+            ['Due Date', dateText(invoice.dueDate)]
+        ]);
+
+        const columns = [
+            { key: 'no', label: '#', width: 0.4 },
+            { key: 'description', label: 'Description', width: 3 },
+            ...(taxed ? [{ key: 'hsnSacCode', label: 'HSN/SAC', width: 1 }] : []),
+            { key: 'dueDate', label: 'Due', width: 1.2 },
+            { key: 'grossAmount', label: 'Fee', align: 'right', width: 1.1 },
+            { key: 'adjustment', label: 'Disc./Fine', align: 'right', width: 1.1 },
+            ...(taxed ? [
+                { key: 'taxableAmount', label: 'Taxable', align: 'right', width: 1.1 },
+                { key: 'tax', label: 'Tax', align: 'right', width: 1.3 }
+            ] : []),
+            { key: 'amount', label: 'Amount', align: 'right', width: 1.2 }
+        ];
+        const rows = lines.map((line, i) => ({
+            no: i + 1,
+            description: line.description,
+            hsnSacCode: line.hsnSacCode,
+            dueDate: dateText(line.dueDate),
+            grossAmount: money(line.grossAmount),
+            adjustment: money(Number(line.fineAmount || 0) - Number(line.discountAmount || 0)),
+            taxableAmount: money(line.taxableAmount),
+            tax: Number(line.taxRate) > 0 ? `${money(line.taxAmount)} @${Number(line.taxRate)}%` : '-',
+            amount: money(line.amount)
+        }));
+        drawTable(doc, columns, rows, {
+            description: 'Total',
+            grossAmount: money(invoice.grossAmount),
+            adjustment: money(Number(invoice.fineAmount || 0) - Number(invoice.discountAmount || 0)),
+            taxableAmount: money(invoice.taxableAmount),
+            tax: money(invoice.taxAmount),
+            amount: money(invoice.total)
+        });
+
+        const summary = [['Invoice Total', money(invoice.total), true]];
+        if (taxed) summary.unshift(['Taxable Value', money(invoice.taxableAmount)], ['Tax Included', money(invoice.taxAmount)]);
+        if (Number(invoice.creditedAmount) > 0) summary.push(['Less: Credit Notes', money(invoice.creditedAmount)]);
+        if (invoice.paidAmount !== undefined) summary.push(['Paid', money(invoice.paidAmount)], ['Balance Due', money(invoice.balance), true]);
+        drawSummary(doc, summary);
+
+        drawFooter(doc, profile, invoice.notes);
+    });
+}
+
+/**
+ * Render a credit note
+ *
+ * @param {Object} creditNote - CreditNote (plain) with lines and invoice ({ invoiceNo, issueDate, billTo })
+ * @param {Object} profile - School profile
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function renderCreditNotePdf(creditNote, profile) {
+    return renderToBuffer((doc) => {
+        const lines = creditNote.lines || [];
+        const taxed = hasTax(lines);
+        const invoice = creditNote.invoice || {};
+
+        drawLetterhead(doc, profile, creditNote.type === 'refund' ? 'CREDIT NOTE (REFUND)' : 'CREDIT NOTE');
+        drawParties(doc, invoice.billTo || {}, [
+            ['Credit Note No', creditNote.creditNoteNo],
+            ['Date', dateText(creditNote.issueDate)],
+            ['Against Invoice', invoice.invoiceNo],
+            ['Invoice Date', dateText(invoice.issueDate)],
+            ...(creditNote.type === 'refund' ? [['Refund Mode', [creditNote.refundMode, creditNote.refundReference].filter(Boolean).join(' / ')]] : [])
+        ]);
+
+        const columns = [
+            { key: 'no', label: '#', width: 0.4 },
+            { key: 'description', label: 'Description', width: 4 },
+            ...(taxed ? [
+                { key: 'taxableAmount', label: 'Taxable', align: 'right', width: 1.2 },
+                { key: 'tax', label: 'Tax', align: 'right', width: 1.4 }
+            ] : []),
+            { key: 'amount', label: 'Amount', align: 'right', width: 1.2 }
+        ];
+        const rows = lines.map((line, i) => ({
+            no: i + 1,
+            description: line.description,
+            taxableAmount: money(line.taxableAmount),
+            tax: Number(line.taxRate) > 0 ? `${money(line.taxAmount)} @${Number(line.taxRate)}%` : '-',
+            amount: money(line.amount)
+        }));
+        drawTable(doc, columns, rows, {
+            description: 'Total',
+            taxableAmount: money(creditNote.taxableAmount),
+            tax: money(creditNote.taxAmount),
+            amount: money(creditNote.amount)
+        });
+
+        drawSummary(doc, [[creditNote.type === 'refund' ? 'Amount Refunded' : 'Amount Credited', money(creditNote.amount), true]]);
+        drawFooter(doc, profile, `Reason: ${creditNote.reason}`);
+    });
+}
+
+module.exports = { renderInvoicePdf, renderCreditNotePdf };
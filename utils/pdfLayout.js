@@ -0,0 +1,142 @@
+/**
+ * Shared layout of the PDF documents printed on the school's letterhead (invoices, credit
+ * notes, report cards): portrait A4, the school profile across the top, ruled tables and page
+ * numbers.
+ */
+const PDFDocument = require('pdfkit');
+const logger = require('../config/logger');
+
+const GREY = '#555555';
+const RULE = '#cccccc';
+
+const LOGO_SIZE = 56;
+
+const renderToBuffer = (draw) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: true });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    draw(doc);
+    doc.end();
+});
+
+/**
+ * School name, address and tax registration across the top, then the document title.
+ * A logo (PNG / JPEG bytes) is drawn on the left with the text beside it.
+ */
+function drawLetterhead(doc, profile, title, { logo = null, showTax = true } = {}) {
+    const margin = doc.page.margins.left;
+    const top = doc.page.margins.top;
+    let left = margin;
+    let usable = doc.page.width - margin - doc.page.margins.right;
+    let logoBottom = top;
+
+    if (logo) {
+        try {
+            doc.image(logo, margin, top, { fit: [LOGO_SIZE, LOGO_SIZE] });
+            left = margin + LOGO_SIZE + 10;
+            usable -= LOGO_SIZE + 10;
+            logoBottom = top + LOGO_SIZE;
+        } catch (e) {
+            // An unreadable image must not stop the document
+            logger.warn(`[PDF] Logo skipped: ${e.message}`);
+        }
+    }
+
+    doc.font('Helvetica-Bold').fontSize(16).fillColor('#000000').text(profile.displayName || '', left, top, { width: usable });
+    if (profile.tagline) doc.font('Helvetica-Oblique').fontSize(9).fillColor(GREY).text(profile.tagline, { width: usable });
+
+    const address = [
+        profile.addressLine1,
+        profile.addressLine2,
+        [profile.city, profile.state, profile.postalCode].filter(Boolean).join(', '),
+        profile.country
+    ].filter(Boolean).join('\n');
+    const contact = [profile.phone, profile.email, profile.website].filter(Boolean).join('  |  ');
+
+    doc.font('Helvetica').fontSize(9).fillColor(GREY);
+    if (address) doc.text(address, { width: usable });
+    if (contact) doc.text(contact, { width: usable });
+    if (showTax && profile.taxRegistrationNo) doc.text(`${profile.taxLabel || 'Tax No.'}: ${profile.taxRegistrationNo}`, { width: usable });
+
+    const fullWidth = doc.page.width - margin - doc.page.margins.right;
+    doc.y = Math.max(doc.y, logoBottom);
+    doc.moveDown(0.5);
+    doc.moveTo(margin, doc.y).lineTo(margin + fullWidth, doc.y).lineWidth(1).strokeColor('#000000').stroke();
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(13).fillColor('#000000').text(title, margin, doc.y, { width: fullWidth, align: 'center' });
+    doc.moveDown(0.5);
+}
+
+/**
+ * Ruled table; columns are [{ key, label, align, width }] with relative widths.
+ * The header row is repeated when the table runs onto a new page.
+ */
+function drawTable(doc, columns, rows, totals) {
+    const left = doc.page.margins.left;
+    const usable = doc.page.width - left - doc.page.margins.right;
+    const bottom = doc.page.height - doc.page.margins.bottom - 60;
+
+    const weightSum = columns.reduce((sum, c) => sum + (c.width || 1), 0);
+    const widths = columns.map(c => ((c.width || 1) / weightSum) * usable);
+
+    const header = {};
+    columns.forEach(c => { header[c.key] = c.label; });
+
+    const drawRow = (row, { bold = false, shade = false } = {}) => {
+        doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+        const cells = columns.map(c => (row[c.key] === null || row[c.key] === undefined ? '' : String(row[c.key])));
+        const height = Math.max(14, ...cells.map((text, i) => doc.heightOfString(text, { width: widths[i] - 6 }) + 6));
+
+        if (doc.y + height > bottom) {
+            doc.addPage();
+            if (row !== header) drawRow(header, { bold: true, shade: true });
+        }
+
+        const y = doc.y;
+        if (shade) doc.rect(left, y, usable, height).fill('#eeeeee').fillColor('#000000');
+
+        let x = left;
+        cells.forEach((text, i) => {
+            doc.text(text, x + 3, y + 3, { width: widths[i] - 6, align: columns[i].align || 'left' });
+            x += widths[i];
+        });
+        doc.moveTo(left, y + height).lineTo(left + usable, y + height).lineWidth(0.5).strokeColor(RULE).stroke();
+        doc.x = left;
+        doc.y = y + height;
+    };
+
+    drawRow(header, { bold: true, shade: true });
+    rows.forEach(row => drawRow(row));
+    if (totals) drawRow(totals, { bold: true });
+    doc.moveDown(0.5);
+}
+
+/**
+ * "Page n of m" at the foot of every buffered page
+ */
+function drawPageNumbers(doc) {
+    const left = doc.page.margins.left;
+    const usable = doc.page.width - left - doc.page.margins.right;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        // Writing inside the bottom margin would otherwise start a new page
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(8).fillColor(GREY)
+            .text(`Page ${i + 1} of ${range.count}`, left, bottom + 12, { width: usable, align: 'right', lineBreak: false });
+    }
+}
+
+module.exports = {
+    GREY,
+    RULE,
+    renderToBuffer,
+    drawLetterhead,
+    drawTable,
+    drawPageNumbers
+};
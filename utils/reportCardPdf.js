@@ -0,0 +1,190 @@
+/**
+ * PDF rendering of report cards on the school's letterhead, one card per student starting on
+ * a new page. The template decides the title, which sections are printed and in what order,
+ * the signature lines and the footer.
+ */
+const { GREY, renderToBuffer, drawLetterhead, drawTable } = require('./pdfLayout');
+
+const STATUS_TEXT = { absent: 'AB', medical: 'ML' };
+
+const number = (value) => (value === null || value === undefined ? '' : String(Number(value)));
+
+/**
+ * One subject's result in a term, e.g. "78/100 B1", "AB" or "-" when not entered
+ */
+const termCell = (term) => {
+    if (!term || !term.status) return '-';
+    if (STATUS_TEXT[term.status]) return STATUS_TEXT[term.status];
+    return [`${number(term.marksObtained)}/${number(term.maxMarks)}`, term.grade].filter(Boolean).join(' ');
+};
+
+const totalCell = (total) => {
+    if (!total || !total.maxMarks) return '-';
+    return [`${number(total.marksObtained)}/${number(total.maxMarks)}`, total.percentage !== null ? `${total.percentage}%` : null, total.grade]
+        .filter(Boolean).join(' ');
+};
+
+const heading = (doc, text) => {
+    const left = doc.page.margins.left;
+    const usable = doc.page.width - left - doc.page.margins.right;
+    doc.font('Helvetica-Bold').fontSize(10).fillColor('#000000').text(text, left, doc.y, { width: usable });
+    doc.moveDown(0.3);
+};
+
+/**
+ * Student details in two columns under the title
+ */
+function drawStudent(doc, student, cls, academicSession) {
+    const left = doc.page.margins.left;
+    const usable = doc.page.width - left - doc.page.margins.right;
+    const half = usable / 2;
+
+    const pairs = [
+        ['Name', student.name],
+        ['Academic Session', academicSession],
+        ['Admission No', student.admissionNo],
+        ['Class', [cls.className, cls.section].filter(Boolean).join(' - ')],
+        ['Roll No', student.rollNumber],
+        ['Date of Birth', student.dateOfBirth],
+        ['Parent / Guardian', student.parentName]
+    ];
+
+    doc.fontSize(9).fillColor('#000000');
+    for (let i = 0; i < pairs.length; i += 2) {
+        const y = doc.y;
+        [pairs[i], pairs[i + 1]].forEach((pair, col) => {
+            if (!pair) return;
+            const x = left + col * half;
+            doc.font('Helvetica-Bold').text(`${pair[0]}:`, x, y, { width: half * 0.4 });
+            doc.font('Helvetica').text(pair[1] === null || pair[1] === undefined ? '' : String(pair[1]), x + half * 0.4, y, { width: half * 0.6 - 10 });
+        });
+        doc.x = left;
+        doc.y = Math.max(doc.y, y + 12);
+    }
+    doc.moveDown(0.5);
+}
+
+function drawScholastic(doc, card, exams, scheme) {
+    heading(doc, 'Scholastic Areas');
+    const columns = [
+        { key: 'subject', label: 'Subject', width: 2 },
+        ...exams.map(e => ({ key: e.id, label: e.name, align: 'center', width: 1.5 }))
+    ];
+    const rows = card.scholastic.subjects.map(s => {
+        const row = { subject: s.subject };
+        exams.forEach(e => { row[e.id] = termCell(s.terms[e.id]); });
+        return row;
+    });
+    const totals = { subject: 'Total' };
+    card.scholastic.totals.forEach(t => { totals[t.examId] = totalCell(t); });
+    drawTable(doc, columns, rows, totals);
+
+    if (scheme.maxGradePoint) {
+        const gpas = card.scholastic.totals.map(t => {
+            const exam = exams.find(e => e.id === t.examId);
+            return `${exam ? exam.name : ''}: ${t.gpa === null ? '-' : t.gpa}`;
+        });
+        doc.font('Helvetica').fontSize(9).fillColor('#000000')
+            .text(`GPA  ${gpas.join('   ')}   CGPA: ${card.scholastic.cgpa === null ? '-' : card.scholastic.cgpa}`);
+        doc.moveDown(0.5);
+    }
+}
+
+function drawCoScholastic(doc, card, exams) {
+    if (card.coScholastic.length === 0) return;
+    heading(doc, 'Co-Scholastic Areas');
+    const columns = [
+        { key: 'area', label: 'Area', width: 2 },
+        ...exams.map(e => ({ key: e.id, label: e.name, align: 'center', width: 1.5 }))
+    ];
+    const rows = card.coScholastic.map(a => {
+        const row = { area: a.area };
+        exams.forEach(e => { row[e.id] = a.terms[e.id] || '-'; });
+        return row;
+    });
+    drawTable(doc, columns, rows);
+}
+
+function drawAttendance(doc, card, range) {
+    heading(doc, 'Attendance');
+    const { workingDays, daysPresent, percentage } = card.attendance;
+    const period = range.from || range.to ? ` (${[range.from || '', range.to || ''].join(' to ')})` : '';
+    doc.font('Helvetica').fontSize(9).fillColor('#000000')
+        .text(workingDays > 0 ? `Present on ${daysPresent} of ${workingDays} working days, ${percentage}%${period}` : 'No attendance recorded');
+    doc.moveDown(0.5);
+}
+
+function drawRemarks(doc, card) {
+    heading(doc, 'Remarks');
+    doc.font('Helvetica').fontSize(9).fillColor('#000000');
+    if (card.remarks.length === 0) {
+        doc.text('-');
+    }
+    card.remarks.forEach(r => {
+        doc.font('Helvetica-Bold').text(`${r.examName}: `, { continued: true }).font('Helvetica').text(r.remarks);
+    });
+    doc.moveDown(0.5);
+}
+
+/**
+ * Footer text and the signature lines, kept together at the foot of the card
+ */
+function drawClosing(doc, template) {
+    const left = doc.page.margins.left;
+    const usable = doc.page.width - left - doc.page.margins.right;
+    const signatures = template.signatures || [];
+    const needed = (template.footerText ? 40 : 0) + (signatures.length ? 50 : 0);
+    if (doc.y + needed > doc.page.height - doc.page.margins.bottom) doc.addPage();
+
+    if (template.footerText) {
+        doc.font('Helvetica').fontSize(8).fillColor(GREY).text(template.footerText, left, doc.y, { width: usable });
+        doc.moveDown();
+    }
+    if (signatures.length) {
+        const y = Math.max(doc.y + 30, doc.page.height - doc.page.margins.bottom - 30);
+        const width = usable / signatures.length;
+        signatures.forEach((label, i) => {
+            const x = left + i * width;
+            doc.moveTo(x + 10, y).lineTo(x + width - 10, y).lineWidth(0.5).strokeColor('#000000').stroke();
+            doc.font('Helvetica').fontSize(8).fillColor('#000000').text(label, x, y + 4, { width, align: 'center', lineBreak: false });
+        });
+    }
+}
+
+const SECTION_RENDERERS = {
+    scholastic: (doc, card, data) => drawScholastic(doc, card, data.exams, data.scheme),
+    coScholastic: (doc, card, data) => drawCoScholastic(doc, card, data.exams),
+    attendance: (doc, card, data) => drawAttendance(doc, card, data.attendanceRange),
+    remarks: (doc, card) => drawRemarks(doc, card)
+};
+
+/**
+ * Render report cards
+ *
+ * @param {Object} data - { academicSession, class, scheme, exams, attendanceRange, cards } from reportCardService
+ * @param {Object} profile - School profile
+ * @param {Object} template - { title, sections, signatures, footerText }
+ * @param {Buffer|null} logo - School logo (PNG / JPEG)
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+function renderReportCards(data, profile, template, logo = null) {
+    return renderToBuffer((doc) => {
+        if (data.cards.length === 0) {
+            drawLetterhead(doc, profile, template.title, { logo, showTax: false });
+            doc.font('Helvetica').fontSize(10).text('There are no active students in this class.', { align: 'center' });
+            return;
+        }
+
+        data.cards.forEach((card, i) => {
+            if (i > 0) doc.addPage();
+            drawLetterhead(doc, profile, template.title, { logo, showTax: false });
+            drawStudent(doc, card.student, data.class, data.academicSession);
+            template.sections.forEach(section => {
+                if (SECTION_RENDERERS[section]) SECTION_RENDERERS[section](doc, card, data);
+            });
+            drawClosing(doc, template);
+        });
+    });
+}
+
+module.exports = { renderReportCards };
@@ -27,9 +27,13 @@ const ROUTE_PERMISSION_MAP = {
     studentDetail: 'students:read',
     addStudent: 'students:create',
     editStudent: 'students:update',
-    studentPromotion: 'students:update', // Or admissions?
+    studentPromotion: 'students:update', // Year-end promotion wizard (/api/promotions)
     studentTimeTable: 'timetable:read',
-    studentLeaves: 'attendance_students:read',
+    studentLeaves: 'attendance_students:read', // Parents apply here (/api/student-leaves)
+    approveStudentLeaves: 'attendance_students:update', // Class teacher review (/api/student-leaves/:id/approve)
+    studentAttendance: 'attendance_students:read',
+    markAttendance: 'attendance_students:create', // Class-wise register (/api/attendance/classes/:classId)
+    markPeriodAttendance: 'attendance_students:create', // Period register (/api/attendance/periods/:slotId)
     studentFees: 'fees:read',
     studentResult: 'exams:read',
     studentLibrary: 'library:read',
@@ -56,18 +60,32 @@ const ROUTE_PERMISSION_MAP = {
     classes: 'school_config:read', // Or 'timetable'? 'school_config' has classes?
     classRoutine: 'timetable:read',
     classTimetable: 'timetable:read',
-    classSubject: 'school_config:read', // Subjects usually config
-    classSection: 'school_config:read',
+    classSubject: 'school_config:read', // Subjects and class-subject-teacher mapping (/api/subjects)
+    classSection: 'school_config:read', // Classes with their sections, capacities and section moves (/api/class-sections)
     classSyllabus: 'lms:read',
     classHomeWork: 'lms:read',
     sheduleClasses: 'timetable:create',
 
     // --- Exams ---
     exam: 'exams:read',
-    examSchedule: 'exams:read',
+    examSchedule: 'exams:read', // Exam papers per class (routes/exams.js)
+    examInvigilation: 'exams:read', // Teachers see their own duties
     examResult: 'exams:read',
+    examMarksEntry: 'exams:read', // Subject teachers; entry for any paper needs exams:update
+    examModeration: 'exams:update',
     examAttendance: 'exams:read',
-    grade: 'exams:read',
+    examAnalytics: 'exams:read', // Ranks, subject and teacher results (routes/examAnalytics.js)
+    examAnalyticsExport: 'exams:export',
+    grade: 'exams:read', // Grading schemes (routes/grading.js); changes need exams:update
+    coScholasticGrade: 'exams:read', // Class teachers; any class needs exams:update
+    reportCard: 'exams:read', // Parents get their own children's cards (routes/reportCards.js)
+    reportCardRemarks: 'exams:read', // Class teachers; any class needs exams:update
+    reportCardTemplate: 'exams:update',
+
+    // --- LMS ---
+    questionBank: 'lms:read', // Subject teachers (routes/lms.js); changes need lms:create/update
+    onlineTest: 'lms:read', // Teachers build tests, students sit them
+    onlineTestResults: 'lms:read', // Subject teachers mark short answers and post scores
 
     // --- Fees ---
     feesGroup: 'fees:read',
@@ -76,6 +94,7 @@ const ROUTE_PERMISSION_MAP = {
     feesAssign: 'fees:create',
     collectFees: 'fees:create',
     feesReport: 'fees:read',
+    feesReportExport: 'fees:export',
 
     // --- Library ---
     libraryBooks: 'library:read',
@@ -104,30 +123,42 @@ const ROUTE_PERMISSION_MAP = {
     staffPayroll: 'hr_payroll:read',
     staffAttendance: 'attendance_staff:read',
     staffLeaves: 'attendance_staff:read',
-    approveRequest: 'hr_payroll:update', // Leave approval?
+    approveRequest: 'attendance_staff:read', // Leave approvals; the approval chain decides who may act
 
     // --- Finance (Accounts) ---
-    accountsIncome: 'fees:read', // or separate 'finance' module? Matrix has 'fees'. 'inventory'?
+    // Accounting (/api/accounting) and invoices (/api/fees/invoices) run on the 'fees' resource; payroll disbursement on 'hr_payroll'
+    accountsIncome: 'fees:read',
     accountsInvoices: 'fees:read',
     accountsTransactions: 'fees:read',
-    expense: 'fees:read', // Matrix doesn't have explicit 'expenses', maybe 'fees' covers all finance or 'inventory'? 'fees' is best fit for now.
+    chartOfAccounts: 'fees:read',
+    trialBalance: 'fees:read',
+    addVoucher: 'fees:create',
+    expense: 'fees:read',
     invoice: 'fees:read',
+    addInvoice: 'fees:create',
+    creditNote: 'fees:update',
+    disburseSalary: 'hr_payroll:create',
 
     // --- Communication / Announcements ---
     events: 'communication:read',
     noticeBoard: 'communication:read',
     contactMessages: 'communication:read',
+    notificationTemplates: 'communication:update',
+    notificationLog: 'communication:read',
 
     // --- Settings ---
     schoolSettings: 'school_config:update',
     paymentGateways: 'school_config:update',
+    schoolProfile: 'school_config:update',
+    attendanceSettings: 'school_config:update',
     smsSettings: 'school_config:update',
     emailSettings: 'school_config:update',
+    academicYears: 'school_config:update', // Years, terms and the current year (/api/academic-years)
     rolesPermissions: 'user_management:update',
     backup: 'technical_ops:read',
 
     // --- Reports ---
-    attendanceReport: 'analytics:read',
+    attendanceReport: 'analytics:read', // /api/attendance/analytics (exports need analytics:export)
     classReport: 'analytics:read',
     studentReport: 'analytics:read',
     gradeReport: 'analytics:read',